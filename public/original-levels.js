@@ -1,488 +1,6945 @@
-// Auto-generated from LodeRunner_TotalRecall
-// https://github.com/SimonHung/LodeRunner_TotalRecall
-// Generated: 2026-01-18T20:56:53.549Z
-// Total levels: 399
+// Auto-generated from the level corpus (scripts/convert-totalrecall-levels.js)
+// Levels of LodeRunner_TotalRecall, https://github.com/SimonHung/LodeRunner_TotalRecall
+// Total levels: 433
 
-const LEVEL_VARIANTS = {
+export const LEVEL_VARIANTS = {
   classic: { name: 'Classic', count: 150 },
+  professional: { name: 'Professional', count: 149 },
+  fanbook: { name: 'Fan Book', count: 66 },
+  revenge: { name: 'Revenge', count: 17 },
   championship: { name: 'Championship', count: 51 },
-  professional: { name: 'Professional', count: 150 },
-  revenge: { name: 'Revenge', count: 24 },
-  fanbook: { name: 'Fan Book', count: 24 },
 };
 
-const ORIGINAL_LEVELS = [
-  { variant: 'classic', num: 1, data: `..................S.............G.............S.........bbbbbbb#bbbbbbb...S................#----------S....G...........#....bb#...bbbbbbb#bb.......#....bb#..........#.......E.#....bb#.......GE.#..bb#bbbbb....bbbbbbbb#bbbbbbb..#.................#.........#...........E.....#.......bbbbbbbbb#bbbbbbbbbb#................#..........#..............G.#----------#...G.......#bbbbbb.........bbbbbbb#....#.........M..G.........#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 2, data: `...G.......................##BBbBB#...........G........##.....#....#bbbbbbbbb#.G...##.G.E.#....#.........#bbbbX##bBbBb#....#.........#.....S#.....#----#------..E#.....S#.....#....#.....#bbbBBBBBB##.....#....#..G..#.........##...E.#.G..#bbbbb#.........#BbbbBbbBbbB#.........#bbb#bbBbbbB......#.........#...#..BG..B......#...------#...#.Gbbbbbbbb#bbbBBBB.....#..bbbb........#............#..............#...M........#......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 3, data: `...........................S----------....G............S#.G......#bbbbbbbbbb#......Sbbbbb#...#..........#BBBBBBB.....#.E.#.....G....#............#bbbbbb#bbbbb#bb.........G..#......#.....#..--.....bbbb#b......#..E..#....--.......#....#bbbbbb#bb......--G....#----#......#..E.......b....#.......#bbbbbbbbb#.........#.......#bbbbbbbbb#.....bbb#bbbbbbbbbb...G...bbbbb#bbbb#bbbbbbbbbb.#bbb#.bbbbb#b...#......M....#bbb#...G..#.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 4, data: `S...........................S-----------................#.....#.....b.G.b.....#.....#.G..###..G.bbbbb.G..###..G.#.##..#..##.......##..#..##.#.#.#####.#.......#.#####.#.#.#..GEG..#...#...#..GEG..#.#..#bbbbb#...###...#bbbbb#..#...#####.##..#..##.#####...#.........#.#####.#.........#....G....#..GEG..#.....G...#bbbbbb#...#bbbbb#..#bbbbbbb#......#....#####...#.......#......#............#.......#......#.......G..M.#.......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 5, data: `.........S...........................S.......G......E...bbb......S......bbbb#bbbbbbb..bb.....S.....bb...#..........bb....S....bb....#.......GE.bbb...S..Gbbb....#...G...bb#bbbb..S..bbbb#bbb#bbbbbbb..#...bb.S.bb...#.............#GE..bb#bb....#.....G.....#bbb#....#.....b#bb#bbb.....#...#..............#........#...#....G.....E...#........#...#bbbbbbb#bbbbbb#bbbbb#bb#...........#............#..#...........#..M.........#..bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 6, data: `bbbbbbbbbbbbbbbbbbSbbbbbbbbbb.G...............Sb.E.G...bbXbbb#bbbb#...G...Sbbbbbbb#bbXbbb#bbbbbbbbbbbbbb.bbb..#bb....#..G.E.....bbbb.bbb..#bb#bbbbbbbbb#bbbbbbbb.bbb..#bb#...bbbbbb#bbbbbGGb.bbbG.#bb#...bbbbbb#bbbbbbbbbbbbbb#bb#...b....G#....G..E...G.b#bb#...bbb#bbbbbbb#bbbbbbb#b#bb#..Gbbb#.......#bbbbbbb#b#bb#bbXb..#....M..#..bb...#b#bb#bbXb#bbbbb#bbbbbbbbGG.#b#bb#bbXb#bbbbb#bbbbbbGbbbbbb#bb#E...#bbGbb#....G..E.....#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 7, data: `..S...........................S.................--------..S..........E......#......#bbbbb#b....b#bbb...E#....G.#.....#......#....bbb#bbbbbbb..E..#...G..#.......#.......bbbbb#bbbb..#.......#............#......#.......#.........G..#...G..#.......#.......bb#bbbbbbbbbbbb#....#.bbbb.#..#............#.G..#.bbbb.#..#..G.........#----#.b.Gb.#bbbbbbb#............#.bbbbb#.......#............#......#.......#.M........G.#..E...#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 8, data: `...........S....S......................S....S..............G.E...#bS....Sb#...E.G...#bbbbb#--#bS....Sb#--#bbbbb##b...b#...bS....Sb...#b...b##b...b#...bS....Sb...#b...b##b.G.b#...bS....Sb...#b.G.b##bbbbb#...bS....Sb...#bbbbb##b...b#...bS....Sb...#b...b##b...b#---b#bbbb#b---#b...b##b...b...#b#....#b#...b...b##bEG.b...#b#..GE#b#...b.GEb##bbXbb...#bBBBBBBb#...bbXbb##.....X..#........#..X.....##......XE#....M...#.X......#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 9, data: `S...........................S---------------------------#b.E...b.............b.....b#.bbbbb...............bbbbb.#.b.bbb...............bGbbb.#.bbbbb.E....E......E.bbbbb.#.bbb.bXbbbbbbbbbbbbbbbbb.b.#.bbbbbXbbb.Gbb.Gbbbbbbbb#b.#.bbbbbXbbbbbbbbbbbbbbbbb#b.#.bbbbbXbbbbbbbbbbbbbbbbb#b.#.bbbbbXbbbb....bbbbbbbbb#b.#.bbbbbXbbbb....bbbbbbbbb#b.#.bbbbbXbbbb...G#bbbbbbbb#b.#...........bbbb#--------#..#..........BBBB.............#......M..BBBB......E.......` },
-  { variant: 'classic', num: 10, data: `..........G..............S..........#bbbbbbb..G......S......G...#......bbbbbb....S..bbbbbbbbbb#.........G....S............#bbbbbbSbbbbb#bb..E.........#......S.....#....bbbbbbbbbb#......S.E...#...Gbbbbbbbbbb#bbbbbbbBB...#bbbbbbbbbbbbbb#............#....bbbbbbbbbb#.......G.---#....bb......bb#.......bb...#....bb..GG..bb#.....G......#....bbbbbbbbbbb#bbbbbbb#...#...............#.......bbbbbbbb#....G....M.#...............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 11, data: `.......#.....................EG....#.................GE.#bbEG..#...............GEbb##..bb..#bbbbS#bbbbb#...bb..##...........##G....#.......##...........G##....#.......##...........##G............##...........G##............##...........##G............##...........G##............##...........##G............##...........G##............##...........##G............##...........G##............##.......M...##G............##....#bbbbbbbbbbbbbbbb#....#` },
-  { variant: 'classic', num: 12, data: `......G.....G...........#...#bbbbbbbbbbbbbbbbb#.....#...#.............G...#-----#..Gbbbbbbbbb#bbbbbbbbb.....#bbbbbbbbbbb##..............#...bbbbbbb##-------#.......#...bG.Gbb##......E.#..G..E.#..Gbbbbb##.....#bbbbBBBbbbb#bbb.....#......#...........#........#......#...........#.......E#...G..#-----------#..G#bbbbbbbbbbb#..G.....G..#bbb#...........#.bbbbbbbbb.#...#...........#...........#...#......G....#....M.G....#...bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 13, data: `............E..........E....X#X#X#X#X#X#X#X#X#X#X#X#X#XSX#X#X#X#X#X#X#X#X#X#X#X#X#XSG#b#.#b#G#b#.#b#G#b#.#b#G#bSX#b#X#b#X#b#X#b#X#b#X#b#X#bSX#b#X#b#X#b#X#b#X#b#X#b#X#bSX#b#X#b#X#b#X#b#X#b#X#b#X#bS.#b#G#b#.#b#G#b#.#b#G#b#.#bSX#b#X#b#X#b#X#b#X#b#X#b#X#bSX#b#X#b#X#b#X#b#X#b#X#b#X#bSG#.#.#.#.#.#.#.#.#.#.#.#.#bS#bbbbbbbbbbbbbbbbbbbbbbbbbbS#.........G.E.G...G.E......S#BBBBBBBBBBBBBBBBBBBBBBBBBBS#G.......M................GSbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 14, data: `..#...E....-...E-#....#-...G.-#...-#-...-..-.#-...#.-..#-.#..-.#.-....-..#.-..#..-.#G.#.-..#..-..-...#..-G#...-#..#-..-#...--....#G..-#....##-...-.#-..--..-.#------.-..#.-...-#..-G.-...#..-...#.-.#-.-...#G--#..-..#.....-#..-#.-.-..#--.#...-.#....-.#..-#-.G.-E#-..#.-..-#-..-..#..-#.-#..-....#...-...-....#..-#-.#...-...#..-.-...-...#..-#.-#.-..-..#G-...-...-..#.G-#-.#...-.-.#-.-..G-...-.#.-.#.-#..-...-#.....-.-.-.-#-.....#.....G.....GM.......#...` },
-  { variant: 'classic', num: 15, data: `S..........................SS.....G.E..G.....G..E.G....SSSSSbbbbbbbb#...#bbbbbbbbSSS............#...#..................#bbbbbbbbbbbbb#......G..E..G#.....G.G.....#G.E..Gbbbbbbb#.G.GbbbbbG.G.#bbbbbb.......#.bbbb...bbbb.#..........G..#......G......#.G......#bbbbbbbbbbbbbbbbbbbbbb#....#...........M..........#....#.G....G#bbbbbbb#G...G.#..bbbbbbbbbb#.......#bbbbbbbbb..........#.......#...........G.......#.......#......G..bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
-  { variant: 'classic', num: 16, data: `.........................S......................M.....S....Xbbbb##bbbbbb#####......S.........#...b..#.........S.....G.....#.#b..#........S......bG.....##b..#.......S......bbbG.....#b..#......S......bbbbbG....#b..#.....S.....bbbbbbbb....#b..#......S.....Gbbbbb.....#b..#.......S......bbb......#b..#........S......b.......#b..#.........S........E....#b..#...E......S.#bbbbbbbbbbbbbbXbbbbbbbbb.S.bbbbbbbbbbbbbbb.........#bSbbbbbbbbbbbbbbbb...GGGGGG#bb` },
-  { variant: 'classic', num: 17, data: `S..........................SS..........................SS.........E................S#bbbXbbbbbbbbbbbbbbbbbbbbbb##bbbXbbbbbbbbbbbbbbbbbbbbbb##...G...bb--------bb.......##.......Gb#....E.Gbb....E..##..bbb..bb#.bbbbbbbb..bbbbb##..bGb..bb#.......bb..bbGbb##...M...bb#.......bb..bbbbb##..bbb..bbbbbbbb##bb..bbGbb##..bbb..bbbbbbbb##bb..bbbbb##..bbb..bb......#.bb.......##..bbb..bb.....G#.bb....G..#bbbbbbbbbb#bbbbbbbbb#bbbbbbbbbbbbbb..G#bbbbbb.G.#bbbbbbb` },
-  { variant: 'classic', num: 18, data: `...S...........................S......G.........G......G#Xb#....#bbb#.....#bbb#b..b##..bbbbbb...#bbbbb#...#..G.##G.E........#.....#...bbbb.##Xbbbb.........bbb#b.......##.Bbbbb.......bb........#b.##.Bbbbbb.....bb.......#b#..##.Bbbbbbbbbbbb....G...#...bb#.Bbbbbbbbbbbb...bbb..#.....#.B....bbb.bbb........#...EG#.B..G.bb.G.bb.....E..#...bb#.B#bbbbbbbbbbb#bbbbbb#...bb#..#...........#......#...bb#..#.......M..........#...bbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 19, data: `............#bb#......................EG#bb#GE....................#bbbbbb#...................G#bbbbbb#G.................#bbbbbbbbbb#..............EG#bbbbbbbbbb#GE............#bbbbbbbbbbbbbb#...........G#...GGGGGGGG...#G.........#bbbbbbbbbbbbbbbbbb#.......G#bbbbbbbbbbbbbbbbbb#G.....#bbbbbbbbbbbbbbbbbbbbbb#....#bbbbbbbbbbbbbbbbbbbbbb#....#......................#....#......................#....#..........M...........#..bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 20, data: `.............EG........................bbbbbbbb#...E.G.........E.G.........#b#bbbbb#.....Gbbbbb#.......#.#.....#bbbXbbb....#-------#.#G....#...........#.......#.bbbbbbb.G.........#.......#........bbb#bbbbbbb#.......#--------G..#...E...#....G..#.......Gbbbbbbbbb..bbbbbbbb#....bbbb.......G...G.......#........bbbbb#bbbXbbb#..G..#...G.........#.......bbbbbbbbbbbbbb#.....#.....................#.....#.G...M......G........#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 21, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBSb#----------------------#SSSb#..#.....bb..E...G.....#SG.b#..#.bbbbbbbbbbbbbbbbbbbbb#b#..#.bbb............G.....#b#..#...b.bbbbbbbbbbbbbbbbbbb#..#..#b...G..b.G.b.G.b.G..b#..#..#bb#bbbbbbbbbbbbbbbbbb#..#--#..#bbbbb.bbbbb......b#..#..#..#....b.Gb.....E...b#..#..#..#--#.bbbb#--bbbbbbb#..#..#..#..#.....#..bbbbbbb#..#..#..#..#--#..#..bbbbbbb#..#..#..#..#..#.b#bbb.GGG.b#..#M.#..#.E#..#..#bbb#bbbbbbbbbbbbbbbbbbbbbbb#.GG#bbbbb` },
-  { variant: 'classic', num: 22, data: `.......G....G...............GGbbbbbbbbbbbbbbbb#.........bb..........G..G..#..................#bbbbbbbb#..G...G...........#........#bbbbbbbb.....G.EG.#.....................#bbbbbb#------.....G........#......#......#bbbbbbbbb#.G.#......#......#.........#bbb#....E.#..E.G.#.......G.#......#bbb#bbbbbb#....#bbbbb......#--------....G..#.........G.#G.......#bbbbbb#...G.bbbbbbb#.......#......#bbbbb.......#.......#...................#..G..M.#......G.....` },
-  { variant: 'classic', num: 23, data: `...BBBBBBBBB...........S......B.........B..........S.BB..B...GG.E....b#........S.BB.BBbb#bbbbbbbbBB#....E..SGBB.Bbbb#bbbbbbbbbbb#bbBBBb#BBBBBbb###b-------b###b----#---#Bbb#.#b..G....b#.#b.G....G.#Bbb#.#b..M....b#.#b........#Bbb#G#bbbb#bbbb#G#bB......B#Bbbbbbbbbb#bbbbbbbbbbbbbbbb#B......bb###bb..G....G...G.#B------b##.##--------------#B.G....b#...#............E.#B.......#...#..bbbbbbbbbbb.#BBBB....#...#.bbb.Gbb..G.bb#BbbbbbbB#G.G#..bbbbbbbbbbbbb` },
-  { variant: 'classic', num: 24, data: `................S..........................SS.........................SS.........................SS.........................SS..........................S.........................#bb#........................#bb#G....................#bbbbbbb#..E..........b#..E.#b.G.G.b#.b#b#.........bbb#bbbbbbbbbbbb#bbb#........bb.G..bbbb.G...#G..bb#.......bbbb#..G.bbb#.#bb#.b#........bGb#bbb#.G.#.#Gb#Gb#.....E...bbbbbbbbbbbbbbbbbb#.M.BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'classic', num: 25, data: `....B.....B.....B.........SB....B.....B.....B...G.....SB....BXbbbbB.....Bbbbb..bbbSBbbb.........bbb#E..G.....GSBbbbbbbbbbbb#...#bbbbbbbb.b#B.......M...#.bb#b...G....b#Bb#bbbbbbbbb#.Gb#b.bbbbb#.b#Bb--------bb#.bb#b.b....#.b#Bb..b..b.Gbb#...##.b.bbb#.b#Bb..b..b..b##bbbb#bbGbbb#.b#Bb..b.Gb..b#b......b.bbb#..#Bb..bbbb..b#b.bbbb.b....#b##Bb#bb..bb###b.bGbb.bbbbbbb#.Bb#...BBb##bb...b..bbG....#bBb#...B...#bbXbbbbXbbbbbbb#bBb#bbb....#.....E.........#.B` },
-  { variant: 'classic', num: 26, data: `..........................S......E....................S.#bbbbbbbbbb#..E..G.....G..S.#..........#bbbbb#...bbb#bbb#.G......G.#....B#......#...#.b..bbb.b.#.GG.B#....E.#...#.b.bbb..b.#.BB.BbbbbbbbbbBB#.b..bbb.b.#.BB...........BG#.b.bbb..b.#.B-------..G..B##.bG.bbb.b.#.BG......bbbb#B##.bbbbb..b.#.BB..........#.##.bbbbbbbb.#.BB....G.....#bb#..........#.BB.bbbbbb...#..#BBBBBBBBbBBBBB..........#..#.............M..........#..bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 27, data: `S..........................SS......M............E......SS...Bb#bB----------Bb#bB...SS...BG#.B.G......G.B.#.B...SS.Bbb.#.bbB......Bbb.#GbbB.SSSBG..#..GB.G...GB.G.#.bGBSSBSbbb.#...bbB..Bbbbbb#.b.bSBB.....#.....B.GBG....#.b..GBB.....#bbbbbB#bBbb..G#.bb.bBB.G.E.#...E..#.....bb#.....BB#bbbb#...Bbb#bbbB...#...b#B.#B.G.#...b..#.G.b...#..EB#..#Bbb.#.bbb..#...bbb.#.bbB#..#.GB.#.B....#....GB.#.BG.#..#...bbb.....#......bbb...#.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 28, data: `.............S..............-----------..S................G....G.B#..S.G............bbbbbbbbbBBBBBBB#..G#B#.....bBbBbBbBBBBB...BBBBBBB#...............BB..G......B#.EG..--------#.BBbbbbb#...BBbbbb#........#.BB.....#E....bbbb#........#.BB.bbbbbbbb#.bbbb#.G....G.#.BB.b......b#.bbbb#bbbE..b.#.BB.b...G..b#.bbGb#bbbbbbb.#.BB.bbbbbbbb#.bb.b#........#....b..G...b#....b#bbbbbbbbbbbbbb.#bb#.bbbbbbb#..........M....#.G#........#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 29, data: `..E.--.-.............E......bbbb..#...-.........bb#.....bbbb..#.bb.-...E...-bb#.....bGGb..#.bb-.bbbbbbb..-#.....bbbb..#.....bbbbbbb.#.#bbb........#---..bbbbbbb.#..bGb......-.....#.bbbbbbb.#..bbb.......bbbb.#.bbGGGbb.#..........-.bbbb.#.bbbbbbb.#.......bbb-.bGGb.#-.....-.-#.......bGb..bbbb.#.-...-.#..bbbb...bbb.......#...M...#..bbbb.............#..bbb..#..bGGb......bb.....#..bGb..#..bbbb......bb.....#..bXb..#...................#.......#.........` },
-  { variant: 'classic', num: 30, data: `B..........................SB.....GGGGE.E.E......M.....SBbbbbbbbbbbXbbbbbbbbbbbbbbb#...........................#....B.G..G.......G......GB.#....BbbbbbbbXbbbbbbbXbbbbB.#...........................#......B..G....G.....G..B...#......BbbbXbbbbbbXbbbbbB...#...........................#.......B..G.....G....GB....#......BBbbbbbbbbbbbbbbB....#...........................#...........................#GGGG...E..........E.....#B.#bbbbbbbbbbBBBBBBbbbbbbbBBB.#` },
-  { variant: 'classic', num: 31, data: `.............S...........................S..............G............SS............Gb#.#----------S---------#.#bbb##.E................G.##bbbbb#.#------.---------#.#bbbbbbb##.G..............##bbbbbbbbX#.#------.-----#E#XbbbbbbbbXb##..........G.##bXbbbbbbbbXbb#.#---.----#.#bbXbbbbbbbbXbbb##.G......##bbbXbbbbbbbbXbbbb#.#--.-#.#bbbbXbbbbbbbbXbbbbb##....##bbbbbXbbbbbbbbXbbbbbb#....#bbbbbbXbbbbbbbbXbbbbbbb#MG#bbbbbbbXbbbbbbbbE.......#bb#........bbbb` },
-  { variant: 'classic', num: 32, data: `............................bbbSbbbb.........------.E......S.--..E............BBBBB#...#b..bbbbb#bbbbbb---...b.##bbbb..bG---#-----b...bbbb#b#......bbbb...bbb#b...bG..#.#......b----#----#b...b-..#.#.Mb...b#GbG#Gb#G#b...b...#Gb#bb...bbbbbbbbbbbb...bb#bbb.#....Gb.....G....b.....#....#....bb...bbb#...b.....#....#..Gb.b......#...bG..#bbbbb.#..b..b...G..#...bb..#......#Gb...b.#bbbbbb#.b.bG#......#b..G.b.#b..G.b#....b#.....bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 33, data: `bbbbbSbbbbbbbbbbbbbbbbb.bbbb....bSb.-------............bSbbS.Sb.bG...b#b.........E.bS.bbbbb.bbbbbb#bbbbbG.b#bbbbbS....G---bbbb#bbbbbbbb#b.bbbbbbbbb...b..b#bbb.bbbb#b.bb.......E.....b#bbb.bb.b#bG.b#bbbbbbb#b#G.b#bbb.bb.b#bbbb#.......#bbbbb#bbbG.b.b#bb.b#.........bbbb#bbbbbb.b#bbGb#.......b.....#........#...b#bbb#bbbb#bBbBbBbBbBbBb#bBbB#bbb#bbbb#bbbbbb..bbbbb#bBbB#...#....#bbbbbbb..bbbb#....#bbbbbbbb#bbbbbbbbG.bbbbbbb##M.......#.G.bbbbbb..E.....#` },
-  { variant: 'classic', num: 34, data: `.--------GGbbbbbbGG--------.#.......Gbbb####bbbG.......##......Gbb###EE###bbG......##......bb##......##bb......##.....Gb##........##bG.....##.....bb#G........G#bb.....##.....b##G........G##b.....##.....b#GG........GG#b.....##.....b##G........G##b.....##.....bb#G........G#bb.....##......b##G......G##b......##......bX##GG..GG##Xb......##.......Xb###GG###bX.......##........bbb####bbb........##M......E..bbbbbb..E.......#bbbbbbbbb#........#bbbbbbbbb` },
-  { variant: 'classic', num: 35, data: `S............bb............SS............BB............SS.G.......G..bb..G.......G.SBbBbBbBbBbBb#BB#bBbBbBbBbBbB...G.....G..#bb#..G.....G...#BbBbBbBbBbBbBBbBbBbBbBbBbB##...G...G....bb....G...G...#BbBbBbBbBbBb#BB#bBbBbBbBbBbB....GE.EG...#bb#...GE.EG....#BbBbBbBbBbBbBBbBbBbBbBbBbB##..G.....G...bb...G.....G..#BbBbBbBbBbBb#BB#bBbBbBbBbBbB..G.......G.#bb#.G.......G..#BbBbBbBbBbBbBBbBbBbBbBbBbB##............M.............#bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
-  { variant: 'classic', num: 36, data: `....G....G.....G.......EG...#bbbbbb#bbb.bbbbb#bbb.bbbbb##......#.........#.........#.#......#..-....#.........#.#......#..-.-....#.........#.#......#-...-..#.--------#.#------#......-..#.........#....E...#-.....-#.........#.bbbbbb.#..-...-..#....EG.G.#bb.bbb..#..-.-..#....-bbbBBB.G...G.#....-....#...-bbbBBBbbXbbb..#..-.-..#....-bbbBBBbbXb.b.#..-...-..#...-bbGGBB..G.G...#-.....-#....-BBBBBBbbbbbb.#....G.M..#.G..BBBBBBbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 37, data: `S...........................S......E....................SbbbbbbbbbbBBBBBBbBBBBbBBBB#G.....................#....#bb.........B...G....G---G..#bbbbb##b##bbbbbbbb..b...b..#....b##.##b.BBbbbb.....E...#....b##G##b.B.bbbb.bbb#bbbb#....bbbbbbb.BGbbb.....#....#......................#....#.......M.......b#bbbbb#BBBB#bb#bbbbbbbb#bbb.#.GG..#....#..#........#....#.BB.....bb#..#bbGb....#..bbb.BBbbbbbb.#..#bbbb...E#...G..BB.......#bbbbbbbbbbbbbbbbbbBBbbbbBBBB` },
-  { variant: 'classic', num: 38, data: `S..........................SS..........................Sbbbbbb#bbbb#E.E#bbbb#bbbbbbb.-....#....#B#B#....#.....-.#.bbbbb......#...G..bbbbbb.##.bbbbb..b#######b..bbbbbb.##.bbbGb..b#BBBBB#b..bbGbbb.##.bbbbb..b#######b..bbbbbb.##.........-------..........##.E...#......B......#....E.##BBBBB#....GBBBG....#BBBBBB##.....#....BBBBB....#......##bbbbb#...BBBBBBB...#bbbbbb##.....#.GBBBBBBBBBG.#......##BBBBB#.BBBBBBBBBBB.#BBBBBB#G.....#BBBBBBBBBBBBB#..M...G` },
-  { variant: 'classic', num: 39, data: `bbb..S.bb....bb....bb.S..bbbbbbb.Sbbbb.Ebbbb.EbbbbS.bbbb#..bb#b..bb#b..b#bb..b#bb..##...b#--#.b#...G#b.#--#b...##.EbbbbG#bbbb##bbbb#Gbbbb.M##bbb..bb#b..b#bb..b#bb..bbb##bb....b#G...#b...G#b....bb##bbb..bbbb##bbbb##bbbb..bbb##..bb#b..bb#b..b#bb..b#bb..##...b#....b#...G#b....#b...##..bbbb##bbbb##bbbb##bbbb..##bbb..bb#b..b#bb..b#bb..bbb##bb....b#....#b....#b....bb##bbb..bbbb##bbbb##bbbb..bbb##....G....##.G..##....G....##bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
-  { variant: 'classic', num: 40, data: `S..........bbbbbbbbbbbbbbbbbS..........bbbbbbbbB.------bS....G...#b....G...B#.b.G..bbbbbbbbbb#Bbbbbbbb.B#.bbbbbb....G....#B....G...B#.bbbbbb#bbbbbbbbbB.bbXbbb.B#.bbbbbb#....EG...B......G.B#...E...bbbbbbbbb#B.bbXXXb.bbbbbbbb#.G.......#B....G...........##bbbbbbbbbB.bbXbbb.........##..G......B......G.........#bbbbbbbbb#B.bbXXXb..bbbbb..#........G#B......G..b..Gb..##bbbbbbbbbB.bbXbbb....#bb..##...E.......M.........#b.G.#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 41, data: `....--G.--------E-----.-----...#.GbG........#-.b.-#..GGGGM#.Gb.bG......#-.bbb.-#..GGbb.Gb...bG....#-.b...b.-#..G.E.X..b..b...#-.bb...bb.-#.E#bb..bbb..BBB-...bGGGb...-b##...b...b...G...##bbb......##..-.bbb...G#..#bb#b.......##...-.b...G#...#GG#.-------##....-...G#...#BBBB#.......#BBB#..---#....#G..G#.------#...#.........#bbbbbb#......#bbb#bbb#.....#G....G#.-----#.......#....#BBBBBBBB#.....#.......#..E.#G...E..G#.----#bbbbbbbbBBBBBbbbbbbbb#.....#` },
-  { variant: 'classic', num: 42, data: `..G.......G..........G....G.#bbb....#bbb....#bbbbbbbbbb##.G...G.#.....G.#.G....G...##bbb#bbb#...bbbbbBbbBbbbbBbb#...#..E#...---------------.bbbb#bbbbbb#......G...GE...#....#......#.BbbbbBBBBBBbbb#....#BBBBB.#.B......G..G...#b...#..G.B.#.B...BBBBBBBBB.#bGGBBBbbbB.#.B...B..G.G..B.#bbbBBBbbbB.#.B.G.B.#bbbb#B.#..G..G.....#.BBXBB.#....#B.#bbbbbbbbb..#.B.....#...E#B.#..G.G...B..#.BbbbbbbbbBBBB.#bbbbbb#.BBBBbbbbB...G..G..M#bbbbGb#...........#bbbbbbbbb` },
-  { variant: 'classic', num: 43, data: `..............................S.......................S...#bbbbbbbbbbbbbbbbbbbbbbb#...#.#bb...G...G.E.G...bb#.#...#bbb#bbbbbbbbbbbbbbb#bbb#...#.#.#.bbb.G...GEbb#.#.#.#...bb#bbb#.#bbbbbbb#.#bbb#bb...#.#.#.#.#.#bbb#.#.#.#.#.#...#bbb#bbb#.#.G.#.#bbb#bbb#.G.#.#.#.#.#E#BBB#E#.#.#.#.#Gbbbb#bbb#G#B#BBB#B#G#bbb#bbbbb#.#.#.#B#B#BBB#B#B#.#.#.#bbb#bb.#B#B#B#BBB#B#B#B#.bb#bbb#.#B#B#B#B#BBB#B#B#B#B#.#bbb#B#.#.#.#.#..M#.#.#.#.#B#bbbbbbbbbbbbb#bGb#bbbbbbbbbbb` },
-  { variant: 'classic', num: 44, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbbSb...###################...bSb.M.#.###....#...##...#.E.bSbbbb#.###.##.#.##.#.###bbbbSb...#.###.##.#.##.#...#...bSb.E.#.###.##.#.##.#.###.E.bSbbbb#...#....#...##...#bbbbS###########################S#.G.#.G.#.G..#..G.#.G.#.G.#S###########################S#...#.#.#.##.#.##.#...#...#S#.#.#.#.#..#.#..#.#.###.#.#S#..##.#.#.#..#.#..#...#..##S#.#.#.#.#.##.#.##.#.###.#.#S#.#.#...#.##.#.##.#...#.#.#S###########################S` },
-  { variant: 'classic', num: 45, data: `BBBBBBBBBBBBBBB..S.BBBBBBBBB..E#......#---...S.#......G.BBBSbbBBBBBbXbBBBS.#BBBB.#BbB--#.......#----#..#...bbbbbB..#.......G.bGb#E.#..G...bbG.X#.......#....Bb#.BBbbbbBbBbX#-------#-----B#-------#BbG.B.......#...G#BBB......#bBBXb....GGG#....#B----..G.##B..........#....#B#.G...XbB#bbbXbb.....#.M..#B#........#b#----.#BbbbBbbXBB#........#b#G...b#........#b#..Bbbbb.#b#B--bbb#.......#B#..b.G.B.#b#..bbbBb#..E...#.#...bBBbBBBbbbbbBBBBbbbbbbbbbbbbbbBbbb` },
-  { variant: 'classic', num: 46, data: `.G...................S......bbbb#............E...S........G.#..........#bbbbbb#...G.bbbbbbbb#bbbbbb#.....bbbbbbb........#......#.G........G......G..#......#bbbbbbbbbbbbb#bbbbbb#...G..#.............#...G..#BBBBBB#......G.....b#bbbbbb#......bbbbb#bbbbbb#........#.E....G....#......#.G......#bbb#bbbbbbbBBBBBBBBbbb#bbbbb...#..G......G.E......#.......#bbbbbbbb#bbbbbbb...#-------#........#..........#.........M......#.....G.bbbbbbbbbbbbbbbbbbbbbbbSbbbb` },
-  { variant: 'classic', num: 47, data: `B...............BBBBBBBBBBBSBE........E.....B..G.B.....SBB------bbbbb#.MB.#B.B#BbbbSBbbbbb...G..bbbBB.#B.B#BbbbSB....bbbbbb.......#B.B#B...Sbbb#......bbbb#.G.#B.B#B.G.Sb.bbbBb#......#bbbBB.B#BbbbSb..G..bbBb#...#....B.B#BbbbSbbbbb....bbbBb#....B.B#B...Sb.G.bB#b.....bbBbb#B.B#BGG.Sbbb...#bbBBb..G..B#B.B#BbbbSb.bBbb#....bbbBBbB#B.B#BbbbSb...bbbBbb#..G...B#B.B#B.bbSb.#bb...GbbbBBb#bB#B.B#B..bSb.#b...........#.G#B..#...GSbG#bBbbbbBbbbbbBbbBBbbBbbbbb` },
-  { variant: 'classic', num: 48, data: `............G................-------.bbbb#M.............#..........G.#....G......G..#........#BBBB.bbbbbbb#bbbbb#........#.G..........#.....#bbbbbb#.bbbb#........#.....#......#...G.#E#bbbbbbbbbbb##......#.#BBBB.#BBBBBBBBBBB##....G#b.#G....#B.....G...B##....#b..bbbb#.#B#BBBBBBB#B##..G#b......G#.#B#B...G..#B##..#b....#BBBB.#B#BBBBBBBBB##.#b.....#.G...#B#....G....###b......bbbb#.#BBBBBBBBBBBB##..E........S.#....E.......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 49, data: `.....-.....-.-......-..G..G.-...-.-...-.#.-....-.#bbbbbb.-.-...-.-..#..-..-..#........-.....-...#...--...#..E....G...G..G...#...-....#BBBBB#BBBBBBBXBBBBBB#-.....#B.G.B#..............B......#B#BGB#.............GB..M.G.#B#BGB##bbbbbbbbbb#bBB#bbbb-#B#BGB##.....E....#bb##.....#B#BGB##....bb....#bb#...GE..B#BGB##.bbb..bbb.#bbBBbbbbb#B#----#.bbb..bbb.#bb.......#......#.bbbGGbbb.#b.....--G#.bbbb.#.G.GbbG.G.#bb..#b..b#bbGGbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 50, data: `#...-..................#----#....#.................#.B..#....#.............E...#.BGG#.G..#bbbb..G..G#bbbbbXb#bbb#bb..#...bbbbbbbbb......##bX#....#...................##X#.....#-------------------###.....#....................##.....#.G.......E...G.....G##.....bbbbb#BBBBBBBBBBbbXbbb#---.......#..........---......EG......#.........#......bbbbbbbbb#.#...G.....#-...G.........bbbbb#BBB#bbbb.bGbbbG.......M....#...#...E.bbbbbbbbbbbbbbbbbb#...#bbbbbbbbbb` },
-  { variant: 'classic', num: 51, data: `bBbBBb.............SBbBBbbbBbbBBbb.............SbBBbbbBB...BbBb..G......G..SbB.....B#b...BbbBbbbB#bbB..SbB.bB#.B#bB..BbBBbbbB#.bb.GSB..bB#.B#bb.....BbbBB#..bBbbb.GbB#.B#BbbG....bBBb#........bbB#G.#bBbbbb...Bbb#..-------bBBb##.BBbBbbG..bB#.G.......bB..##.....#bb...BBbBBbB....bB..#BbbbBB#Bbb............GbB..#bBbBBB#bBbbG...E....GbbbB..#...G..#BBbbbXBBBBBBXbbbBB#bb#bBbbbBB...E.........M...#Bb#BbbbB..#bbBBbBBbbBbBBbbBBBb#...G...#............E...BbB` },
-  { variant: 'classic', num: 52, data: `.........#...........................#......G....E......----..G..S.....BBBBBBBBBBBB##..BBBBBBB.................##.........-----..-----.#BBBB#---------........#....#........E..........G..#b...#....#BBBBBBBBBBBBBBBBBBb...BBBB##.........................###......G......G.....E..B..#.BBBBbbBBBB#.bBBbBBBBBBBB..#...........#...............#........G..#......G........#.#BBBBBBBBBB.BBBBBBBB......#.#...................------#.#..........M........E.......` },
-  { variant: 'classic', num: 53, data: `.....................................E.....E........G.GS......#bbbbbbbbbbbbbb..#bbbb......#.bbbbbbbbbbbb..#bbbbb#bbbbbb..bGbbGbbGbb..#bbbbbb#bbbbbbb...........E#bbbbbbb#bbbbbbbbbbbbbXbbbbbbbbb....#bbbbbbbbG.G....G.Gbbbbb.GG.#bbbbbbbbbXbbbXbbbbbbbbbbbbb#.......E..........Gbbbbbb..#..#bbbbb#bbbbb#..-#bbbb..G##..#..#..#..#..#...bbb..G#bb#..#GG#GG#GG#GG#...b..G#bbbb#..#bbbbb#bbbbb#....G#bbbbbb#..............M...#bbbbbbbb#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 54, data: `S..............bbbbbbbbbbbbbS..G.....G.....bbbbbbbbbbbbbbbbbbbbbbbbbbb#..G..........bbbbbbbbbbbbbbbbbbbbbbbbbbb#.....G.E...E.G.............##bbbbbbbbbbbbbbbbbbbbbbbbbbb#........G..........G.......bbbbbbbbbbbbbbbbbbbbbbbbbbb#....G........G......G......##bbbbbbbbbbbbbbbbbbbbbbbbbbb#...G..E.E..E.....G.........bbbbbbbbbbbbbbbbbbbbbbbbbbb#...G......G......G......G..##bbbbbbbbbbbbbbbbbbbbbbbbbbb#.....G...........G..M......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 55, data: `bbbbbbbbbbbbS.bbbbbbbbbbbbbbb---------b.S..b---------b...bG..#..Gb..S...bG..#..Gb.....bG.#.Gb...S....bG.#.Gb.......bG#Gb....S.....bG#Gb.........b#b.....SBBBBBbb#b.......M..b#b.....SB...G.b#b..E...bbb#b#bbbbbbXbbbbbbb#bbbbbb#...#.#.E............#......##bbBb#bbbbbbbbbbbbbb#bBbbbbb#---b#b------------b#b......#.Gb.#.bG........Gb.#.b.....#Gb.G#G.bG......Gb..#..b....#b.Gb#bG.bG..#bbb...#...b.G.#.Gbb#Gb##bB#bBb..E.#..G.bbbbbbbbbbbb#..#.Gbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 56, data: `GGG----GGG.GGG-----------GGGbbb....bbb#bbb...........bbbbbb....bbb#bbb...........bbbbbb....bbb#bbb....GGG....bbbbbb....bbb#bbb....bbb....bbbbbb....bbb#bbb....bbb....bbbbbb....bbb#bbb....bbb....bbbbbb....bbb#bbb....bbb....bbbbbb....bbb#bbb....bbb....bbbbbbG--Gbbb#bbbG--GbbbG--GbbbbbbbGGbbbb#bbbbGGbbbbbGGbbbbbbbbbbbbbb#bbbbbbbbbbbbbbbbb.bbbbbbbb.#.bbbbbbb.bbbbbbb...bbbbbb..#..bbbbb...bbbbb.....E.....M#..........E......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 57, data: `bSbbbbbbbbbbbbbbbbbbbbbbbbbbbS------------------------.bbSbBBBbBBBbBBBbBBbB#bB---b#bbSb....G....G...G..#...G#b#bbSG#BBBBBBBBBBBBBBBBBBBB#B#bbSb#b----------------B.G#b#bbSG#b.BBBBBBBBBBBBBBBBbbbb#bbSb#b.B.GGGGGGGGGGGG...GbG#bbSG#b.BbbbBBBBBBbBBBBB#bbb#bbSb#b.....E...........#GbG#bbSG#bBBBBBBBBBBBbbBBBB#b.B#bbSb#------------------..#b#bbSbBBbbBB#BBbBbBB#BBBBBB#G#bbS.E.....#.BB....#..E..G#b#bbBBBbBbbbBBBB#BBbBbBBbbBBb#b.M...........#............#b` },
-  { variant: 'classic', num: 58, data: `bbbbbbbbbbbbbbbbbbbbb.....Sbb.Mbb---.BB...G...........Sbb.bB..G.#BBbbbbbb##.#b#.#.Sbb.b.....#....BBb.##G#.#.#.Sbb.b#bbbbBbbG...b.##.#.#b#.Sbb.b#b......Bbb...##.#.#.#.SbbG.#b...G..bBb.#b.#.#.#.#.Sbbb##bbXbBbbbBb.#bGbSbb#b#.Sbbb#......E.....#bXbSb.#.#.Sbbb#bbBbbbbbbbB###.bSb.#.#.Sbbb#.bBbbbbbbbB##..bSb.#.#E#bb.#..B..G....B#...bSb##bbb#bb.##bBbbbbbbbB#.G.bSb#E...#bb.b#bBbbbbbbbB#BBBbSbbbb..#bb.b#b.....G..BBb...S...b..#bb.G#.bBBBBBBBBBb.E.S...bbbbb` },
-  { variant: 'classic', num: 59, data: `...--.G.........-G....G.......#..bb........#.bb...bb#.....#........GE..#........#..G.G#--......bb.G#..EG....##bbbb#..#GE.....bb#..bb...G.#.....G.#bb.......#......bb.#....bb.#-.--EG---#.........#....G....#..bb....G...G-...#G..bb....#.......bb..bb.#G#bb.....-.G#..G...........#bb......#.bb#..bb...G......#......G.#.....G....bb.G....#G....#bb#....bb.......bb...#bb...#...........................#.............M.............bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 60, data: `...............-----..................----#.....EG..G........----#......E.G.bbbbbbb#.---#.........G.bbbbb..G..b##.........MG.bbbb...GEbXb#b##..XbX.bb.bbbb..G.bXbbb.b#b##..G.G.G..b..G.bbXb..G..b#b##.bb.XbX..b.bbbb...Gbbb#b#b##..G.G.G..b.b..G.bXbX.b#b#b##..bbb.Xb.b.b.bbXb..G.b#b#b##..G.G.G..b.b.b..G.bb#b#b#b##.bX.Xbb..b.b.b.bbbbb#b#b#b##..G.G.G..b.b.b.b...b#b#b#b##..bbX.Xb.b.b.b.b.G.b#b#b#b##........Eb.b.b.bbbbb#b#b#b#bbbbbbbbbbb..........#.#.#.#` },
-  { variant: 'classic', num: 61, data: `..........S...........................S..................G.E.G...B#B...--------.M...#BbbbBBb.B#G..........bbbb..#B.......B#B....G..........G#B----...B#B..bbbb---......##B......GB#B..G.........G..##..GBbbbBB#Bbbb......#bbbb.##BbBB....B#B......EG.#b....##B-------G#B...bbbbbbbb....##B....G..B#B...G........G..##B...BbbbB#B--bbbb--..#bb..##BG......B#B........G.#....##Bbb.....B#B......bbbbb....##.....E...#................#BbbbBbbbbBBBBbbbBbbbbBBbbBBB` },
-  { variant: 'classic', num: 62, data: `bbSbbbbSbbbbbSbbbbbSbbbbbSbbb.SGE..S.....S...G.S.G...S.bb#bbbbbbbbXbbbbXbbbbbbbbbb#bb#bG.......EG........G...b#bb#bbbbbXbbbbbbbbXbbbbbbb#b#bb#b..G..........G......b#b#bb#b#bbbbXbbbbXbbbbbXbb#b#b#bb#b#b................b#b#b#bb#b#b#bG.....E.....G.b#b#b#bb#b#b#bbbXbbXbbbXbbbbb#b#b#bb#b#b#...G........G...#b#b#bb#b#bbbXbbbbbbbbbbbbXbbb#b#bb#b#...G.........G......#b#bb#bbbXbbbbXbbbbXbbbbbbXbbb#bb#...E...G....M.....G..E..#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 63, data: `..................E.........bbbbbbbbbbbbbbbbbbbbbbbbbbbSG.E.....b.......G..b.G.....Sbbb#b.b#b#bbbbbbbb.b#b.bb#bbbbb#b#b#b#b..G...b.b#b.bb#bbbbb#b#b.b#b.bbbb.b.b#b...#.#bGb#b#b#b#b#bM.b.b.b#b.bbbb#b..#b#b#b#b#bb.b.b.b#b.b#..#.#b#b#b#b#b#..Gb.b.b#b.b#bbb#bbb.#b#b#bbbbbb.b.b#b.b#..##bb.b#b#b#.G.....b.b#.-bbbb##..-b#b#bbbbbbbbbb.b#b.b#..##bb.b#b#...........b#b.b#bbb--b.b#bbbbbbbbbbbbbb#b.b#..#.....#......E.......#b.bbbb#bbbbbbbbbbbbbbbbbbbbbb.E...#` },
-  { variant: 'classic', num: 64, data: `BS........................SBBS..EGGGGGGGG.GGGGGGGGGE..SBBBBBBBBBBBBBBSBBBBBBBBBBBBBB......G.G....S.....G..G.........B#BBBB...S...B#BBBBB.........#G.G....S....#G..G........BBBBBB#B..S..BBBBBBB#B.........G.G#...S.....G..G#......B#BBBBBBBB.S.B#BBBBBBBBB.....#..G.G....S..#..G..G......BBBBBBBBBB#BSBBBBBBBBBBB#B.......G..G.#.S....G...G..#...B#BBBBBBBBBBSBBBBBBBBBBBBB...#...........................#...G..G......M.G...G....Ebbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 65, data: `...................bbbbbbb..----------G......ES.bbbbbb..#........#b#----...S.bbbbbb##.......#XbX#.G#G...S.bb..b##-------#XbX#.bbb#...S.bG.b##.......#XbX#Ebbb#....S.bbb##E......#####.bbb#.....S.bb#b-----..BX#XB.bbb#......S.b#bbG..#..BX#XB....#.......SS#bbbG.#..BX#XB.#--#---------#bbbbG#..BX#XB.#.............bbbbb#E.BX#XB.#------#bbGbbb.....#..BX#XB.#.....#Bbbbbbb.....#..BX#XB.#....#Bbbbbbbb.....#...M#...#....#Bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 66, data: `bbbbbbb##----------##bbbbbbbbbbbbb##...-....-...##bbbbbbbbbbb##.....bEEb.....##bbbbbbbbb##....-.bbbb.-....##bbbbbbb##....-.bbbbbb.-....##bbbbb##-----.bbbbbbbb.-----##bbb##....-.bbbbGGbbbb.-....##b##......bbbbbbbbbbbb......##b##....-.bbbbGGbbbb.-....##bbb##....-.bbbbbbbb.-....##bbbbb##....-.bbbbbb.-....##bbbbbbb##....-.bbbb.-....##bbbbbbbbb##....-....-....##bbbbbbbbbbb##............##bbbbbbbbbbbbb##E...M....E##bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 67, data: `S...........................S....b...E.b.......E...E....S------G#b#.bb#bbSSbSSbb#...#......b#.b#b.#b.Gb.Gb..#...#.M.....b..b.#b.#b..b...#...bbbbb....bb.#b..b..b....#.......b...Gb.#b.Gb..b.---.#......b....b.###.b....b..bbbbb#.Gb...Gb..b##b..bb..X......#bb....b.Gb.#b..b..b..b.....#b...Gb..b.#b..b....b..bG...#....b.Gb.#b.Gb..#b..bG.b...#..Gb..b.#b..b...#.b..b..b..#..b.Gb.#b..b....#..bG.b..b.#.b..b.##.....G..#...b.....b#......#bbbbbbbbbbbbbbbbbb..#` },
-  { variant: 'classic', num: 68, data: `BBBBBBBBBBBBBBBBBBBBBBS....BB.........E...........S....BB....#bBbbBBb#B.......S....BB....#......S#BbBbbBBbS....BB.bbB#.....#S#b.b.Eb-------BBG...#...GS#Sbb.b.Bb......GBB....#...#S#Sb..b..b......EBB#...#...#S#Sb.GbM.b......bBB#...#...#SBbb..bb.b.....GbBB#BBBBXbBBSB.....b.b.....bbBB#.--------B-----b.b..G...bBB#.....G..#.....bb.b....bbbBB#..#BXBBB#BBBb#b..b...Gb..BB#..#B...B#B..b#bbbbXbBb.G.BB#..#B...B#BG.b#........bbBBB#.G#B.E.B#BbbbbbBBbbbBbbbbB` },
-  { variant: 'classic', num: 69, data: `#.E.bb..........------------#bbbbb.......bb#............#bbbbb.......bb#.bBbBbBbBbBb#bbbbb.......bb#.G.G.G.G.G.G#bbGbb.......bb#bXbXbXbXbXbX#bbbbb.G..E..bb#bXbXbXbXbXbX#bbbbbbbbbbbbbb#------------#bbbbbbbbbbbbbb#...B.B.B.B.B#..M.E.........#...bXbXbXbbb#bbbbbbbb#bbbbbbbb#.....Xbbb#bbbbbbbb#...bbbbb#bbbb#Xbbb#bbbbbbbb#bbG..bbb#bbbb#Xbbb#bbbbbbbb#bbbbG..b#.E..#Xbbb.........#bbbbbb..#bbbb#Xbbb....G.G..#bbbbbbbb#bbbb#Xbbbbbbbbbbbbbbbbbbbbb#.GG.#Xbbb` },
-  { variant: 'classic', num: 70, data: `...........................S...........................S.....................E-GGG-S..G-G-...............#GbbbG#G#b.b.G-............G#bbbbb#b#....b...........G.b#bbGbb#.#......G-........b#-#bbbbb#.#......b.......G.-#..GbbbG..#..............b#...........#........G......#....GGGG...#........b...G.-#...GbbbbG..#............b#.....bbbb#X..#.........G-..#.....bbb#Xb..#.........b.G-#.....bb#Xbb..#..........Gb.#.....b#Xbbb..#..M.......b..#.E...#Xbbbb.` },
-  { variant: 'classic', num: 71, data: `....S...........................S..............E............S............#bbbbb#.....G#bbbb#b#E....G.#b...b#....b#bbbbb#bbbbb#bb#bbbbbb#bbb#b#....B#.G..B#.B#..Bb.b#..G#b#.bbbB#.Bb.B#.B#.GBb.b#.bb#b#.GbbB#...GB#.B#.b.b.b#.bb#b#.bbbB#.b.bB#.B#.BB..b#.bb#b#...GB#.B...#Gb#.bbG.b#E.G#b#bbbbb#bbbbb#Xb#bbbbbb#bbb#G#-------.GG.#..E.bb.....BG#BBB#....bbBBBbb#BBbG.....GB#...#bbbGbBBBBBb#BBBBBB#BBBB#M..#bGbbGGGGGG.#G.....#....#BBBBBBbbbbBBBBBBBbbbbbbbbbbb` },
-  { variant: 'classic', num: 72, data: `S...........................S......------------------bbb#....GE.........#..........b#bbXbbbb........#..........b#......b........#.GE#.bb.G.b#.G.#..b.G...---#bbb#bbbbbbb#bbb#G.bbbbb.G..#...#...........#bbbbbbbbbbX#...#......G#...#bb..G.bbbbX#.Gb#-----bb#bbb#bbbbbbbbbbX#bbb#.G.#.bb#.....b---------#bGb#Xbb#.bb#GE#..b.....G...#bbb#...#.bbbbb#..b...G.bb..#bbb#...#.bb...#..b.G.bb....#bbb#...#.bb...#.Mbbbb....G.#bbb#..E#.bbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 73, data: `..................................SSSSSSSMS.......S.........E....S....SS.....SSEB.....G#G....S.....SS...SS.BBB...G###G...S......SS.SS.BBBBB.G#####G..S.......SSS.BBBBBBB#######--S..GE.G..S----###.....#....bbbbbbbbbbbb....#.....GBG...b.G......G.b....#....GBBBG..b.--------.b....#....BBBBB..b.#......#.b....#.....BBB...b.#......#.b....#...#bbbbb#.bG#...E..#Gb....#...#.....#.bbbbbbbbbbbb....#...#.....#..#........#.....#...#bbbbb##bbbbbbbbbbbb##bbbbb#` },
-  { variant: 'classic', num: 74, data: `.....S...........................S...........BBBBBBBBBBBBBBBBSBBBBB#----#..........BB....S.....#.M..#...E......Bbbbbb#bbbbbbbbbbbbbbbbbbbbbbbb#..#..#bbb....bbbb......bbb##bbbbb#bbb.bb.bbbbbbbbbbbbb#bbbbbb.#bb.Gb.bbb.bb..bb.bb#b.bbb.b#bb.bb.bbb.Gbbb.G.bb#bb.G.bb#bb....bbb.bb.Gbb.bb#bbbbbbb#bbbbbbbbbXbbbbbbbbb#..b.bG.##..............E#bb#bbbbbbb.#bbbbbbbb#bbbbbb#bb#.Gbbb...#......bb#......#bb#......E.#...G..bb#...G..#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 75, data: `.........G...G...............G...G...bb#bb...G...G....G..bb#bb.....#.....bb#bb...b#b...#......#........#......#.....#......#........#....#.....#.......E#...GG...#....#...#........#....bb..#.----.#...#......#........#......#.....#......#.------.#....#M....#.-----.E#........#....bb..#...GG...#........#..........#..bb..#........#..........E.#......#........#.E.....bbbbbXXXXXXXXXXXXXXXbbbbbbb#...........................#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 76, data: `bbbbbbbbbbbbbbb............Sb.............b............Sb.------------##bbbbbbbG...Sb.............#b..G..b.b---#bG.GE......M..#b.....b.bE..#b#bbbbbb#BBBBBBbBB...#..bb.#b#.....b#......bbb...#.....#b#G....b#-------...E.b#....#b#...bbB#......bbbbbbb#...#bb#..bbGB#....bbb.....b#bbbbbb#..b..B#..GbbGb.GG..b#bb.bbb#bb...B#..bb..bbbbbbb#b.b.bb#bG...B#.bb...b-----b#bb.bbb#.....###b....b..G..b#bGb.bb#.....#b#...........b#bb.bbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 77, data: `.----......GGGGGGG.....----.#....bbbbbbbbbbbbbbbbbb....##.BBBbbbbbbbbbbbbbbbbbbBBB.##....bbbbbbbbbbbbbbbbbb....##EB#.bbbbbbbbbbbbbbbbbb.#BE#BBB#.b....b....b....bbb.#BBB...#.bGGGGbGGGGbGGGGbbb.#......#.bbbbbbbbbbbbbbbbbb.#......#.bbbbbbbbbbbbbbbbbb.#......#.bbbbbbbbbbbbbbbbbb.#......#.bbb....b....b....b.#......#.bbbGGGGbGGGGbGGGGb.#......#.bbbbbbbbbbbbbbbbbb.#......#.bbbbbbbbbbbbbbbbbb.#......#.bbbbbbbbbbbbbbbbbb.#......#...................M#...` },
-  { variant: 'classic', num: 78, data: `b.........................bSb......G..E...-----------GbSbbbbbbbbbbbbb##....E.G..#bbSbbbb.........##bbbbbbbbbbb.Sbbbbb..G..E..##........bb..Sbbbbbbbbbbbbb##..G....bbb#.Sbbbbbbb......##bbbbbbbb..#.S...G..bb..G..##.....bbbXb#.S#bbbbbbbbbbbb##.G..bb....#.S#bb.b.bbbb...##bbbbb.G...#.S#..#b#b.Gbb..##..bbbbbXbb#.SBBB#.#b#bbbbM##.bb.G.....#.SBBBBB#.#b.bbb##bbbbbXbbbb#.SBBBBBBB###b.b##b.........#.S.........#.#.##..........#.Sbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 79, data: `.....................S..........E...........B....S...E.G#BBBBB.BBBBBBB#BB...bSb#bbbb#.......---...#BGbb#bSb#bbbbbb#bb.bb..#bE.#.bbb#bSb#bbGb..#..bbGb.#.b.#bb..#bSb#bbbb#b...bbbbX#..b#..#bbbSb#....#....M....#...b..#b..S.bbbb##bbbbbbbb.b.Gb..G#b#bbbbbbb##bbbbbbbbXb.b..bbbb#bb.....##bbbbbbbbXb.....Gbb#..bbbbbb#bbG...bbXb----#b.b#------..#bb...GbbXb#...b..bG....b.b##bbbbbbbbXb#..bbbbbbb#bbbGb##...bbG....#.bb......#..bbb##bbbbbbbbbb#bbbbbbbbbbb....#` },
-  { variant: 'classic', num: 80, data: `......-----------G..........BBBBBB...bb.....bBBBBBBb#...B------..GG.....b......b#...B#......bbbX....b.E...Gb#...B#GG....G..G....bbbbbbXb#...BBBB#.G.bXbb..........E##.......#.......G...G...E--.#.......#.....bBBBBBBBBBb--.#.......#GE.G.bE.....G..b...#.......#bbbb#bbbbbbXbbbb...#........b..b#..............#........b..b#..............#........bGGb#..............#........bbXb#..............#............#....E..M......#...bbbBBBBBbbbBBBBbbbBBBBbbbBBB` },
-  { variant: 'classic', num: 81, data: `S...........................S...........................BBBBBBB#...............#BBBB.......#...E.........E.#...........#bbbbbbbBBBbbbbb#.......b...#...............#......b..--#...............#......b.G.G#....GbG.....GGG#......b.bGb#--..b.b.GGG.bbb#--...b..bGb#G.G--Gb.bbb.bGb#G.G-.b..bbb#bGb.GbG.GGG.bbb#bGb..b....b#GbG.bbb.bbb.bGb#GbG.b.....b#bGb.........bbb#bGb........#-#.............#-#.........#....M..........#....bbbBBBbbbbbbbbbBBBBbbbbbbbbb` },
-  { variant: 'classic', num: 82, data: `BBBBBBBBBBBB.S.BBBBBBBBBBBBBB--------#bB-S-Bb#---------BB......G.#b--S--b#.G.......BB...G..bb#--GSG--#bb..G....BB..GbbX-##bBbSbBb##-bXb.G..BB.Gbb--#-bX-#S#-Xb-#--bbbG.BbGbb--#-----#S#-----#---bbGBbX---#------#S#------#----Xbb---#E------#S#------E#----bb...#bbbbbbX#M#Xbbbbbb#....bb.G.#.......bbb.......#..G.b#...#....E..bGb..E....#....##---#bXbbbbb#.#bbbbbXb#----##.G..#......#.#......#..G..##....#..G...#.#..G...#.....#bbbbbbbbbBbbbbbbbBbbbbbbBBBB` },
-  { variant: 'classic', num: 83, data: `.----G................G.GMbS.....b#..............#bbbbbS.....b#.............#XbbbbbS.....b#............#bXbb..bS.....b#...........#bbXbbG.bS.G.E.b#..........#bGbXbbXXbSbbbb..b#........#b.#bXbb..bSG...bG.b#G.....#b.G#bXbb..bSbbb#.b..bb#...#bbbb#bXbb..bSG..b#.bG.b#GE#b.G.G#bXbb..bSbb#.b#.b..bb#bbbbbb#bXbb..bSG.b#.b#.bG.b#.G.G.-#bXbb..bSb#.b#.b#.b.b#bbbbb.#bXbbXXbS.b#.b#.b#..........#bXbb...S..#..#..#.....E....#.......Sbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 84, data: `......................S...........................S.....E.......GbG...........SbG...bbbbb#bbbbbbbb#b#bbbbbbbbbb#G...b#.G......#b#....b.....#bbb#bbbbb#bbbbbbbbbb#b#bbbbbG..#.....#..E.......#b#....Gb#bbbbbbbbbbbbbb#bbbbbbbbbbbG#bbG..b......Gb#....E.bG...bbbbbbbbb#bbbbbbbbb#bbbbbbbbbb#.....E#bbbG.bb..#..bb..Gbbb#bbbb#bbbbbbbbb#bbb#bbbbbbG.#bbbb#b.GbbbbbG#bbb#....bbbb#bbbb#bbbbbbbbb#bbbbbb#bbbbb#...b#.....b.M.#..b...#..Gbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 85, data: `..............E..G...................G..bbbbbb#b.G...........bbbXbbbb.....#bbbbbXb.......b......b.....#b.....b.......b.EG...b.....#b.....b...bbbbbbbb.G.bG..b#bbbbbGGb...b......bbbXbbbbb#....bXbbbb.b......b.....G.b#.EG....-.b.b......b....#bbbbbbbbbbb.#b.b...G.Gb....#b.........G.#b.b..bbbbb....#b.G..#b#.#bbbb.bbbb...b.Gb#bbbb..#bbbXb.......b.G.bbbb#...b.G#b...........bbbbb..b#...bbbXb...................#......M........BbBbBbBbBbBbBbBbBbBbBbBbBbBb` },
-  { variant: 'classic', num: 86, data: `S..........................SS--------------------------S##........................###..bXbb....bbbXbb..bbbbbb..##..b..bb...b....b..b....X..##..b...bb..b.......b.......##..b....b..b.......b.......##..b...Gb..b....G..b.......##..b...bb..b...bb..b....G..##..bG.bb...b...Gb..bG..Gb..##..bbbb....bbbXbb..bbXbbb..##......M...................##.#bbbbbb..bbbbbb..b#bbbb..##.#b...Gb..bbbbbb#.b#bbGb..##E#b....b.Ebb.Gbb#..#bbbb..#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 87, data: `.S............................S..........................#G....G#......G#.....G#.....G#....#G......#G.....#G.....#G....G#......G#.....G#.....G#....#G......#G.....#G.....#G....G#......G#.....G#.....G#....#G......#G.....#G.....#G....G#......G#.....G#.....G#....#G......#G.....#G.....#G....G#......G#.....G#.....G#....#G......#G.....#G.....#G....G#......G#.....G#.....G#....#G......#G.....#G....M#G....G#.....EG#...E.G#..E.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 88, data: `.--------b..........E.......#........b..G....#bbbb#.b.b##.XXXXXX.bbbbb#B.#B...#.b.b##.XXXXXX.b..G.#B.#B#B.#.b.b##.XXXXXX.b#bbbbB.#B#B.#.b.b##.XXGGXX.b#.G..B.#B#B.#.b.b##.XXXXXX.bbbbb#B.#B#B.#.b.b##.XXXXXX.b..G.#B.#B#B.#.bGb##.......Eb#bbbbB.#B#B.#.bbX##bbbbbbbbb#.G..B.#B#B.#....##bbbbbbbbbbbbb#BbbB#Bbbbbbb##bbbbbbbbb..G.#BBBB#BBBBbbb##bbGGbbbbb#bbbbB.G.S.G.BGbb##bbbbbbbbG#BbBBBBBBBBBBBbbb##BBBBBBBBBB.......G..EG....##.M........#bbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 89, data: `BSbBBBbBBbbBbbBBbB.BBbBBbbBbB#SSSSSBSBbBBbSBSSSSSSBBbbbbB#.M.GSBS.GGG.S.S..E.S.G..SbB#BbBbSBSbBbbB#b#Bbbb#bbbbSbB#.G..SBS.GGG.#.#.Gbb#bbbBSbB#BbBSSBS.bbb.#.#.BBG#GbbGSbB#SSS.GBS.....#G#..bB#BbBBSbB#..SbbBS..G..#B#..G.#----SbB#G.ES.BS.bbb.#B#..bB#..GBbbB#bbbb#BS..b..#G#..b.#.bbGSbB#..B.#BSSSSSS#B#..b.#...B#BB#..B.#---------#GEb.#BGGG#bB#..BG#Bbbbb#.GB#bbbbbbbbbbbB#..Bb#B...bbbbbBbB-------#bB#.G..#..G...G.......E.GGG#bBbbbbbbBbBBBBBBBBBBBBbBBBB#b` },
-  { variant: 'classic', num: 90, data: `..................#...S.............--........#...S.....G...G..--.#.....--#..GSE....bbbb#--...#.E..---bXbb#b#.......#..BbXb#..---GbG..Sb#...XXbbb#..G..#-#BB.Bbbbbbb#...XG...#..B....#...BBBB.--#....XG..#......G#.G.....#B.......bG.#bXbb#BBBBBB#bXB#B.......#bG#....#..G...#...#B.......#.X#B...#bXbbbb#bbB#B.......#.-#..G.#..G...#..B#B.......#B.G..B.#bbbbXb#.BG#GB......#..B....#..G...#.BB#BB......#.......#bbXbbb#..E#......bbbbbbbbbb#..E..M#bbbbbbbbbb` },
-  { variant: 'classic', num: 91, data: `..............S...........................S...........................S..............------...E..#b#..E...------......#---#bG#b#Gb#---#......#bG.b#...#bbbbbbb#...#b.Gb#.#bbbb....#-#b.b#-#....bbbb#.##bb.......#bbb#.......bb##..#bb.......#b.b#.......bb#...#bb.......#bbb#.......bb#...#bb.......#b.b#.......bb#...#bb.......#bbb#.......bb#...#bb.......#b.b#.M...E.bb#...#bbbbbbbbb#bbb#bbbbbbbbb#.G.#bb...G..b#.G.#b..G...bb#GBBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'classic', num: 92, data: `........................S..................G.....bEbSb........#---#bbbbbbbbbbb.bSb..G.----#....b......G..b.bSb..b#.........b....bbbbbb.bSb..bb#......E.b....G......bSb..bbb#.....G.b.....-----.bSb..bbbb#.-----bG..Gb....#..S...BBBBBB#....bbbbbb....#--S.........#....bbbbbb....#.bbbbb......#....bbbbbb....#.bG.E.......#....bbbbbb....#.bbbb#......#..............#.....#....--#..............#.....#E.Gb..#.......M......#.....#bbbb..#bbGbbbbbbbbbbb#..bbb#` },
-  { variant: 'classic', num: 93, data: `.............SS...............E.#####..GGSSGG..#####.E......#####.#bbbbbb#.###.#......#b#.#.#.#..G...#.#.#.#b#....#b#.#.#.#bbbbbb#.#.#.#b#.....b#.#.#-#..M.G.#-#.#.#b......GB.#.B-bbbbbbbb-B.#.BG......X#.#.#-#bbbbbb#-#.#.#X.....#X#.#.#-#bbbbbb#-#.#.#X#....###.#.#..#bXXb#..#.#.###....###.#.#..#bXXb#..#.#.###.....##.#.#...bGGb...#.#.##.......###.#..........#.###.........####..........####...........###..........###.............E#bbbbbbbbbb#E.......` },
-  { variant: 'classic', num: 94, data: `G..bbbbbbbbbbbbSbbbbbbbbbbbb#b---....-...GbSb..........b#bGb.bbbb.bbbbbSb#bbb#bbbb#b#bGb.b..b...G.bSb#bbb#bbbb#b#bGb.bGGbbbbbbbSb#..b#.EGb#b#bGb.bbbbbbbbbbSbbb#b#bbbb#b#bGb..G....E...S..b#b#bbbb#b#bGbbbbb#bbbbG.S.Gb#b#....#b#bGb....#...bbbbbbb#bbbbbb#b#bGb#bbbGbb#..G...b#...G.b#b#bGb#b.G..bbbbbbb#bbbbbbbb#b#bGb#.#bb#EG....b#....G..b#b#bGbbbbbbbbbbbb#bbbbbbbb#b#b#bGbG..b.G.b.G.#G.b...G.#b#b#bXb#b#b#b#b#bbbbbb#bbbbbb#b#.G.#b#G#b#G#bM..G.#..G...#b` },
-  { variant: 'classic', num: 95, data: `..S...........................S...........................S......-----........-----#.E#....-......#..--.E#.....#Xb#---#.bXbb..#bb..bb#.bbXbbXb....#bbXbbb.#bb..bb#.bbXb.Xb....#bbE-...#bb..bb#.bb...Xb....#bb#.bb.#bb..bb#-.b...Xb.G..#bb#Gbb.#bbG.bbG#XXGM.X.--#-#bb#.bb.#bb..bb.#bbbb.bb.##..bb#..b.#bb..bb.#bbbb.bb##...bb#.X.-#bb..bb.#bb...bb#....bb#.bb..bb..bb.#bb...bb#.G--bb#..G...b.Gb..#...G.bbbbb#.bbbbbb#..bbXb..#bbbb#bbbbb#.Gbbbb.#..GbXG..#bbbbb` },
-  { variant: 'classic', num: 96, data: `.-..E...bbbb.E..G...bbbb....#.#bbbb#bbbb#bbbbbb.bbbbbbb##.#bbbb#..G.#bbbGbb.bbbbGbb##.#bGGb#bbbbbbbbbbb....bbbb##.bbbbb#.....--------------##.....b#E........G..G.......#bXb#.b#bbbbbXbbbbbbb#.G.G..#G.b#.b#-----.-----#BBBBBBBBbb.b#.b#....G.G....#..MG..G....G#.b#bbbbbXbbbbb#bbbbbbb#bb#BB.b#-----------#.......#bb#...G#....G.....Bbbbbbb#.#bb#bbbbbbbbbbbbbbSB....G.#.#Gb#b.............SBbbbbbXb.#bb#b.....G....G..SB....E...#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 97, data: `.............##----#####bbbb............#bb#---#GG.#bbbb...........#bbbb#...##G#.#.#..........#bbbbbb#....##G#G#..........#bbbbbb#.....#####..........#bBbBXB#.....#.#.#..........#GBbBXG#.....#.#.#..........#bBbBXB#.....#G#G#G---------#bBbBXB#.....######G........#GBbBXG#.....#.#.#b#G.......#bBbBXB#.....#.#.#bb#G......#bBbBXB#.....#G#G#bbb#G.....#GbbbXG#.....#####bbbb#G....#bbbbbb#.....#.#.#bbbbb#G..#Bb.bB.bB#...M#G#G#bbbbbb#.E#Bb.bB.bB#E.#bbbbbb` },
-  { variant: 'classic', num: 98, data: `BS.........................BBSBBBB.BBBBBBBBBbBBBBBBBBBGBBS....G...G----...--------#BBS.......#bb..bbbbb.....bb#BBS.....G.#.......Gb..b.GbG#BBS....bbb#..G.M..bb..bXbbB#BBS.G.....#bbbbb#..b.E.....#BBS.bbb...#b...b#..b---#bbbbBBS.....E.#bG..b#..b...#---.BBS...#bbbbbbbbb#bbb...#..G.BBbbb.#bG.b.G..b...b...#.bbbBBG.bb#bbbbbbbbb...b...#.b..BBbbbb#---GGBGGbG..bbBBB#BbbBB...b#..bbbBbbbbb#b....#..GBB.G.b#....G......##..E.#b#.Bbbbbb#bbbbbbbbbbbb#bbbbbbbbb` },
-  { variant: 'classic', num: 99, data: `..---......G..G....---..B.b#bb..b#....#bbbb#..#E..bbB..#.bb.b#...#bbbbbbbbbb#.bbB.b#bb..b#bbbbbGbbGbbbbb#.bGBbb#GbbGb#.....E........#.....b#bbbbbbbbbbbbbbbbbXbbbbbbbbb#...G.E...G..........M...E..#BBBBBBBBBBBBBBBB#bbbbbbbbbbb.-------------.B#...........#......-......#B#----------.#.....-.-.....#Bbb.bb.bb.bb##....-.b.-....#BBBBBBBBBBBB##...-.bbb.-...#------------##..-.bbbbb.-..#XbXbXbXbXbXbX#.-.bbGGGbb.-.#B............#-.bbbbbbbbb.-#B........E...` },
-  { variant: 'classic', num: 100, data: `.................E.E.E-....................#bbbbbb.#bbb#...............#b....b.#bbb#...........#bbbbbb...b.#bbb#...........#b....b...b.#bbb#.......#bbbbbb...bGGGb.#bbb#.......#b....b...bbbbb.#bbb#...#bbbbbb...bGGGb.....#bbb#..E#b....b...bbbbb.#bbbbbbb#bbbbbb...bGGGb....E#b....bb#b....b...bbbbb.#bbbbbb...bb#b....bGGGb.....#b....b...bb#b....bbbbb.#bbbbb.GGGbGGGbb#bGGGGb.....#bBBBBBBbBBBbBBB#bbbbbb.#bbbbb........M.....#.......#bbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 101, data: `#..........................##.....#bGbb#.....#bbGb#....##EG...#bbbb#.....#bbbb#...G#bbbb#.#bbbb#-----#bbbb#.#bbb....#.#bbGb#.....#bGbb#.#.....GE#.#bbbb#.....#bbbb#.#G..#bbbb.#bbbb#.....#bbbb#.bbb##.....#bGbb#-----#Gbbb#....##.G...#bbbb#.....#bGbb#..G.#bbbb#.#bbGb#.....#bbbb#.#bbb....#.#Gbbb#.....#bbGb#.#.....G.#.#bbbb#-----#bbbb#.#.G.#bbbb.#bGbb#.....#bbbG#.bbb##.....#bbbb#.....#bGbb#....##..M..#bbGG#..E..#bbbb#..E.#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 102, data: `---------....#......-----............#....#....#...........------#.G...#...#..........#.G.E..bbb...#....#.........#.bbbb......#.---..#.GG--...#..........#...G...#.BB.....#----...G.#....B..#......G.......#.bb.#......#.......b.......#.....#.....BBBbbbBbb.......#......#.--.............GEG.#.......#.........B.B..bbbb.#----...#...BBBBBBB.BG........GG...#.G......G.GEBB........BB..#..b..bbbbbbbbb...........M.#..............bbbbbBBBbbbbbbbbbBBBbbbbbbbb` },
-  { variant: 'classic', num: 103, data: `-----------------------#......G....G.....G.....G...#....bbbb..bbbb..bbbX..bbXb.#.........G....G......G.....#....b..bXbb..bbXb..Xbbb..b.#.....G......G...G......G...#....bbbb..bbbb..bbbX..bbXb.#........G.....G.....G......#....b..bbXb..bXbb..Xbbb..b.#......G.....G.....G....G...#....bbbb..bbbb..bbbX..bbXb.#....E....M...........E.....#...EbbbbbbbbbbbbbbbbbbbbbbbbSbbbbbbbbbbbbbbbbbbbbbbbbbbbSbbbbbbbbbbbbbbbbbbbbbbbbb..S..bbbbbbbbbbbbbbbbbbbbbbb.ESE.b` },
-  { variant: 'classic', num: 104, data: `............E..............S....G.................G....S..#bbb#....bb#bb....#bbb#..S.#b.G.b##bb#####bb##b.G.b#.Sb#bbbbb#bb#######b#bbbbbb#bS.....E...####G####.........Sbbbbbbbbb#########bbbbbbbbbS.bbGbb...b#######b..bbGbb..S..bbb.....b#####b....bbb...S...b.......b###b......b....S............b#b............S............b#b............S............b#b............S............b#b............S....E........#.....M.......SbbbbbbbbbbbbbbbbbbbbbbbbbbbS` },
-  { variant: 'classic', num: 105, data: `bbbbBBbbbbbbbbbbbbbbbbbbbbbSb.G..B.....G..E....M......bSb#b#.BbXb#bbbbbbXbbbbbbbb.bSb#bb#.bXb##bbG--------G...bSb#.bb#.Xbb##bbG...G..Gbb#.bSb#..bb#.bbb##bbG....Gbb.#b#Sb##..bb#.bb###bbG..Gbb..###Sb###G.b##.b#b##bb..bb..b##bSb####..#b#.#bb##bXbb..b###bSbG####E#bb##bbb##Xb..###G#bSb##G..##.bb#.bbb#X.Gb####bbSbbb#bbbbG.bb#.bb#..b###E##bSb########..b##.##E###G..##bSb#.##.G..#..#b###b##bbbbb#bSbG.#b#bbbb#.....###G.....#.Sbbbbb####G#bbbbb##bbbbbbbbbb` },
-  { variant: 'classic', num: 106, data: `BBBBBBBBBBBBS..BBB.......BbBbbbbbbbBbbBBS..bbB.......bBb...G..bBbBbBS..BbB.......b..#BbbbXb....BS.E.bB......Gb.G#bbbb...----#bbBbBXbbbbb#B.##b.Gb.---BbB#b....XBbbbb#b.##bbb---..BbB#b----XBbbbb#Bb##bb---......#B.....G.bbB#bb##b--G...bbBb#b....XbbBBb#bb##--.B-------#...-----.bb#.b#...BbE..G..B#XbbB.M.G...#bb#bbXbBbb.BbbB#XbbBBbBBbB....#bbXbB......B#X....E.G.BbbbbbbbXbB-------#Xbb..bbbbB..G.bbb.....G...B#..........bbbbbbBbbbbBbb#..#..#bbbBbbbbbbbb` },
-  { variant: 'classic', num: 107, data: `.----------..M...----------.#....----..bbbbbb..----....##....---.bbbbbbbbbb.---....##....--.bbbbbbbbbbbb.--....##....-.bbbbbGGGGbbbbb.-....##....-.bbbbbbbbbbbbbb.-....##.....bbbbbbbbbbbbbbbb.....##.....bbGGGGbbbbGGGGbb.....##.....bbbbbbbbbbbbbbbb.....##.....bbbbbbGGGGbbbbbb.....##......bbbbbbbbbbbbbb......##....-.bbbbbbbbbbbbbb.-....##....-..bGGGGbbGGGGb..-....##....--..bbbbbbbbbb..--....##EGGG---G..bbbbbb..G---GGGE#bbbbbbbbb#GGGGGGGG#bbbbbbbbb` },
-  { variant: 'classic', num: 108, data: `bbbbbbbbbbbb....bbbbbbBBbbbSb---------------------.bb.bSb.#bbbbbbbbb#..Sb-----#----SM.#GBGGGG...#..SbG..GG#...GSbb#bbbbbBbbb#..Sbbb#bbbXb#bSb.#####.B..G#..SbG.#-----#.SbG..BG#..GGb#..SbB.#.BBB.#GSbbbbbbbXbbbb#..SbG.#E..GG#B#b..GBGG.B..b#..Sbbbbbb#bbbb#b..BBBB.B..b#--#bG....#..GGSb.GGG.GGBG.b#GE#bBG...#.bbb#b#bbbXbbbb#bbbbbbbbb#bbbbbb#b#--------#bbb.-----#-B.---#b#.G..GGG.#..G#.G.G.#.B#G.Gbbb#bb#Bb#bbbXb#bbBbXbbbbb#bb.G#GG#E.#.....#........GG#GG` },
-  { variant: 'classic', num: 109, data: `##.bbbbbE#BBB.BBB#Ebbbbb.##B#B##.G.##B#######B##.G.##B##G#B#b#b#B#Gbb#bbG#B#b#b#B#Gbb.#B###B#.b.###.b.#B###B#.b#.b##B#B##b.#...#.b##B#B##b..#b.#####.b#.bbb.#b.#####.b#b#b#.....#b#b.G.b#b#.....#b#M#b.#####.b#.bbb.#b.#####.b#b.b##B#B##b.#...#.b##B#B##b..X.#B###B#.b.###.b.#B###B#.b#G#B#b#b#B#Gbb#bbG#B#b#b#B#Gb#B##.G.##B#######B##.G.##B##B#.bbbbb.#BBB#BBB#.bbbbb.#BBB#.#.G.#.#BB###BB#.#.G.#.#BBB#.#b#b#E##B###B##E#b#b#.#BB#B#B###B#B#######B#B###B#B##` },
-  { variant: 'classic', num: 110, data: `......B-------..---.##bb#..SG...EGB------Gbb...##bb##..Sbbb#bbB.....Gbb...##bb##G..S...#..B....Gbb...##bb##G.BBSG..#.GB...Gbb...##bb##G.BB.Sbbb#bbB..Gbb...##bb##G.BB..S..M#..B.Gbb...##bb##G.BB.GGSbbb#.GBGbb...##bb##G.BB.#bb.bbb#bbBbb...##bb##G.BB..#GG.bGb#..B.G..##E.##G.BB.#bbbb.bbb#.GBbbbbbbbbbbb#B..#G.EG.Gbb#bbB-----------#B.#bbbbb.bbb#.GBG.G..#......B.#G...G.bBBBBBBbbb..#.bbbb.B.#bbbbb............E#bbGGbbB.#G...G.bbbbbbbbbbbbBbbbbbbB.bbbbbbb` },
-  { variant: 'classic', num: 111, data: `............###........................####..........................##...............E.........####.........E..-----------######----------------------######-----------.----------######----------....--------######--------........------######------.............---######---........G.G.G.G.G..######..G.G.G.G.G...........##EM##...........bbbbbbbbbbb##bb##bbbbbbbbbbbbbbbbbbbbbb##bb##bbbbbbbbbbb.G.G.G.G....#..#....G.G.G.G.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 112, data: `.....................BBBBBB#--------------..E..........##............#BBBBBBB.#b.#Sb#.E#B#.......#-----#.b#.b#..BBBBB#B#B.M........#..bb.SbX#----#.#bXbbbBBB.bb#.bb#SSbX#....#.#b.Gb...G...#.b.#b--X#......#b..Gbbbb.BB#.G#bG.GG#......#b.Ebbbbb...#.b#b...b#XG.....b.bbbbbG.BB#SS#b#bbb#.b.....b.Gbbbbb.G.#..b.#bb.#..b....b.bbbbbb.#B#.bbb#.bb#...b...b#.GbG.b.#.#..b.#b.G#....b...#bbbbbb.#B#.b.bb.bb#.......b..........#........bbBBBbbbbbbbbbBBBBbBbBBBbBBB` },
-  { variant: 'classic', num: 113, data: `S...........................S...........................bbbbbbbbbbbbbbb#bb.G......M.....E.....E....#bbXbBBBBBBB#G..###########.#...........#bG.#..########.#.G.G.#bbbbb#.bG#..#........#.bSb.bbbbbb#..b#..#G.G.G.G..#.b........#...bG.#bXbXbXb.#.....EG.G.G#....b.#.........#....b#bbbb#......#.#.#.#..#......#...........#.........#.....#.E..........#.#.#...#......bbbbb#........#.#.#...#..........#....E....GSb...#...E.......#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 114, data: `.......--..........--....--..bbbbbbG-#bbbbbbbb#-GbbbbG-..bbbbbbbG#bbbbbbbb#GbbbbbbG..bbbbbbbb#bbbbbbbb#bbbbbbbb..bbb.bbbb#bbb.....#bbb...bb..bbb..bbb#bbbGGG..#bbbGGG--..bbb..bbb#bbbbbb..#bbbbbbG-..bbb..bbb#bbbbbb..#.bbbbbbG..bbb..bbb#bbbbbb..#..bbbbbb..bbb.Gbbb#bbb.....#.....bbb..bbbGbbbb#bbbGGGGG#bbGGGbbb..bbbbbbbb#bbbbbbbb#bbXbbbbb..bbbbbbb.#bbbbbbbb#.bXbbbb...bbbbbb..#bbbbbbbb#..Xbbb.....E..E...#...M....#...E..E..bbbbbbbbbSbbb##bbbSbbbbbbbbb` },
-  { variant: 'classic', num: 115, data: `...........................S--------.b#............G..GS...GbG..#b#bBbBbBbBbBXBbBbBb..Gb.bG.#b#....G...G..------.Gb...bG#bbBbBbBbBbBb#.....#.b.....X#bBBBBBBBBBBB#..G..#........#----------#bbbXbbb#...................#b......#..G.MG.............#b......##bbbbbbb#.E.G..G...#b.G..GE##.EG..G.#bBbBbBbBbBbBBbBXBb##bbbbbbb#bbbbbbG.bbb.......##..G.G..#bbbbbbbb.bb.......##bbbbbbb#bbbbbbbbb.b.......##...G.G.#bbbbbbbbbb..G..G..#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 116, data: `bbSbBbBbBbBbBBb.bSbB.bbSbbbbbbSbbbbbbBbBB#B.BSBb.b.S..#bbBS......bB..#...S.G..ES..#bbbbXbb#------#bbXbbbbbbbbb#b.M.G..#G#bBG.#.B..BbB..b..#bbbbbb#bb#BbB..G.B....B.---#b..Bb.#B.#BBBbBBb.B..-----b#bG.E..#..#..b---------B.Gbb#bbXBbb#..#GBBbG.bBG..B..bb.#bBX.B.#..GBbBBbG.Bb---#b...#b..b..#.GB.GGG.BG..B..#....#.#----#GB.#bBb..BG...b#bbbbbb#.#..BB--#......B..G.#.BBBBB#.#bBbGG.#--#..#.bbbb#..B..b#.#G.GbbGEGG#--#..bbB#...EGbbbbbbbbbbbbb#.G#Gbbbbbbbbbbb` },
-  { variant: 'classic', num: 117, data: `............bbb............S....G..E.G..BBB.....GE..G..S#bbbbbbbbbbbbbb#bbbbbbbbbbbb#----------.BBB#.......................#bbb#..---------..----------#BBB#G..........##.G..----M..bbbbbb.......G#bbbbbb....b#.BBBBBB....EG#bbb..-.b....b#.bbbbbb...G#bbbbbbbG#b....b#.BBBBBB.G#bbbbbbbGbb#b....b#-----.G#bbbbbbbbbbbG#b....b#.BBB.#BBBBBBBBBBBGbb#b.GG.b#.bbb.#...........bbG#bbbbXb#.BBB.#bbbbbbbbbb#Gbb#..E...#GbbbG#bG........#bbbbbbbbbbbbBBBbbbBBBBBBBBBB` },
-  { variant: 'classic', num: 118, data: `----------------.................G..........#E..............GGG........###..............GGG........###.............GG.........##.............GG.GGG.....##.###..--------GG.GG..GG..##.##..##...E.......##.........##......#####..E.###........###.....GGGGG.####.##....####.##....#####......##.........##....GGGGG......##.......M.##....#####.bbbbbbbbbbbb#bbbbbbbbbbbbbbb............#...........................#...............bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 119, data: `........................S......G....................S...#Bbb....................SBB##BGbb.G................GSBB##..bGbbb..........E.bbbbbbb##..b.b..bbbG.....bbb.G.....##--..bG.b..b..G.bbG.BBBB...##..bbbbbb...bbbXb......bbbB##G.M.............bBBB#b.G..##BBBB--------........#bbbG.##...B....EGGGG.......#..bbbb#.G.BG..BBBBBBBBBB...#.GB..G#bbbbb...............#bbBBbb#----#------.........#...........#...............#E........G.#...bbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 120, data: `.............S...........................S.......................#...S............#....bbbbbb#...#------------#....b..G.b#...#..........E.#....b....b#...#BBBBBBbbBBbbBBBbBBbBBbBBbBB#b-----bXbbb..b.GE.G.....G..#b.#...b--.b..bbbbbbbbXbbbbb#b.#bGGbGb#bG.b.------------#b.#bbbbXb#b..b#E...........#b.#G...--###bb#bbbbbbbbbbbb#bbbbbb#.G..#..#...........M#......#bb..####Gbbbbb.G.bbb#bb.G.b#bG--..##bb.G.bbbbbG.#Gbbbbb#bbG.bb#bbbbbbbbbbbbbbbbbbbb#..bbbbb` },
-  { variant: 'classic', num: 121, data: `............................bbbbbb#S............S#bbbbbbbbb###GS............SG###bbb##bbb###G..........G###bXb##G###bXb###GE....EG###bbb###G..G###bbb###G..G###bXb###G......G###bXb######bbb###G..........G###bbb##bbb###G..............G###b##b###G..............G###bbb##bbb###G..........G###bbb######bXb###G......G###bXb###G..G###bbb###G..G###bbb###G......G###bXb###G##bXb###G..........G###bbb##bbb###GS............SG###bbbbbbbbb#S.......M....S#bbbbbb` },
-  { variant: 'classic', num: 122, data: `S...........................S......E..........G.........S.BB#BBBB.........BBBB#BBBBBS...#....bG......b....#b.---S---#-----b.....b-----#B#..GbG..#..G...b...b......#b#--..bE.#---.b#.b.b...G...#B...#..b.....b.#..X........#bG..#M..b...b..#.........G.#B.--#BBb.b.b...#b.------.b.#b#.......bX....#.b.G....b..#B#.E.G#bbb.....#..b....b.G.#bbbb#b#B-------#...b..b..bb#bbbb#.#.............XX.....#....#.#....................#....#BBBBBBbbbbbbbBBBBbbbbBBBBBBB` },
-  { variant: 'classic', num: 123, data: `..............S................--------..-S---............#........#-.....#.#bbbb#....#-------E#------.#b.#-.b#...#.......#b..---.#b..#.G.X#..#......#X.b#...#b...#...Gb..#..--.#b...b#.-.M---#----b#.b##S.#bG#bb.b#..b........b#b.b#S.#bbbbbbb#..bbbb.bbbbbbbXbbS.#b..bG.b#-#....-...E#bbXbbS.#bbbbbbb..#bbbb.bbbb#b.G.bS.#b.Gb..b#.#bGbb.bbbb#bbbbbS.#bbbbbbb#.#bbbb.bbGb#bbbbbS.#b..bG..#.#b....b...#b...bS.#bbbbbbb#.#bbXbbbXbb#b.G..Sb#......b#b#...b..G..#` },
-  { variant: 'classic', num: 124, data: `S..........................SS..........................SS-----#.....#------#b.....b#......#-----#......#b.G...b#.G....#.....#.E.G..#bbbbbXb#bbb.G.b##...bbbbbbbbbbbbbXb#bbbbbbb.#.G..........G.....#bbbbbG..#bb...GbG...bb.....#bbbbbbG.#bb..GbbbG..bb.....#bbbbbbbG#bb.GbbbbbG.bb.E.G.#bbbbbbbb#bbXbbbbbbbbbbb#BBb#b......E#..............#.bb#b..G..bb#.......M......#.bb#bbbbbbbb#----#bbbb#G---#.bb#b..G....#..G.#bbGb#b..b#Gbb#bbbbbbbbbbbbbbbbbb#bbbb#bbb#` },
-  { variant: 'classic', num: 125, data: `....------..............-....bbb......#--...E..#bbbb.....bG......#--.bbbbbb#bbbb.....bbb.....--..XbbbbX#bGGb.........bbbX....XbbbbX#bbbb.........bbbX.bb-XbGGbX#....Xbbb.....bGGX.bb.XbbbbX#....Xbbb.....bbbX..........#....XGGb...................#....Xbbb.........XbbX......#........XbbbX....XGGX......#Xbbb....XbbbX....XbbX......#Xbbb.bb.X.G.X..............#XGGb.bb.XbbbX..............#Xbbb..................E....#.M......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 126, data: `...G......-.-..E...-......-E#bbb.#bbbbGbGbbbbb#.-....-.##..G.#bbbbbbbbbbbb#.-G.-.G.##bbb.#bbGbbbbbGbbb#-..-.-.-##..G.#bbbbbbbbbbbb#.G...G..##bbb.#bGbbbbbbbGbb#.--..-..##..G.#bbbbbbbbbbbb#.-.G.-G-##bbb.#bbGbbbbbGbbb#...-..-.##..G.#bbbbbbbbbbbb#..-.-...##bbb.#bbbGbbbGbbbb#-..-.-.-##..G.#bbbbbbbbbbbb#..G...-.##bbb.#bbbbGbGbbbbb#...--.G.##..G.#bbbbbbbbbbbb#.-..-.-.##bbb.#bbbGbbbGbbbb#.G.-.-.-##.E..#bbbbbbbbbbbb#.....M...#bbbb#bbGbbbbbGbbb#bbbbbbbbb` },
-  { variant: 'classic', num: 127, data: `......S....................S......S......E.............S---.E.S------bbbbb#....E...S#bbBbbb.bbbbbbb#Gbbbbbbbbbb##bbGbbb.BG...#b#bb...G...G.##bbbbbb.BBBBB#B#...-------.##........----#.#...#.......#bbXbbb#........#...#..b....#---...#bbbbbb.bbbbbbb#bbbbbbG...#bb.....----b.########--....#b..BBB#....bG########.G#bbbb..b...BBB#.b-########.-#.....b..#bbbb#.bG########..#...#b...#bbbb#.b-########..#M..#b#..#b.Gb#.bbbbbbbbbbb#bbbbbbbbbbbbbbb............#` },
-  { variant: 'classic', num: 128, data: `.-........................-.#.bbbbbbbbbbbbbbbbbbbbbbbb.##.b....b..G..Gb.......b..b.##.b.G..bbbbXbbb.......b..b.##.bXbbbb.....b.GE.G...b.Gb.##.b...b......bbbbbbbbbbbbb.##.b.G.b......b......b....b.##.bbbbb..G.E.b......b....b.##.b...bbbbbbbbb.....b..G.b.##.b......b....bG..E.bbXbbb.##.b.G..G.b....bbbbbbb....b.##.bbbXbbbb....b...b......b.##.b.G.bG...EG.bG..b.G....b.##.bbbXbbbbbbbbbbXbbbbbbXbb.##...........M......E.......#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 129, data: `.............##...............E#.........##.........#.E..bb#bb.....bb##bb.....bb#bb.bbG#Gbb...bbb##bbb...bbG#Gbbb..#.....bbG.##.Gbb..b..#...bbG#G.---bb..##......bbG#G...bb#bb...bbG.##EG.....bb#bb...G#Gbb...bbb##bb......G#Gbb...#..b....bb##bbb.--...#..bbbG#Gbb....G.##.Gbb..bbG#Gbb.bX#Xb.......##..bb...bb#Xb....#.....bbG.##EGbb.....#.............bbb##bbb.....................bb##bb...................M....##.............bbbbbbbbbbbbb##bbbbbbbbbbbbb` },
-  { variant: 'classic', num: 130, data: `#...........................#..--......-----------------#...S.....G#....G....#...E.#bbb.bbbbbbb#-------#.#.#BBBB.G.........#.G.....#.#.#....BBB#bbb.E..#-------#.#.BBBB#...#.G.bbbbb....G..#.#.....#.M.#.bbbbbGb-------#.#.#BBBB#b.#---------------#.#.#.G..#bbbbbbbXbbbbb...E...#.BBBB##G..bbbb.....bG..bbbb#.....##bbbbbbbbbbbbbBB.bbbbbb#bbbb#Bbbbbbbbbbbbb...bbbbbb#bbbG#Bbbbbbbbbbbbb#B.bbGbbb#bbbb#B.Gbbbbbbbbbb#B.......#....#.bbbbbbbG....#Bbbbbbbbbbbbb` },
-  { variant: 'classic', num: 131, data: `............S...............b.........bGSGb.........b....b---#-----b#b-----#---b......bG.#.E...G#G...E.#.Gb........b-#-#---b#b---#-#-b..........b..#..X.#.X..#..b........#---b.#.b--#--b.#.b------#..#-#..b#b.......b#b.....#-#....#..b#b.......b#b.....#....#-#..b#b.M.G...b#bbbb..#-#..#....b#bbbbbbbbb#bbbb....#..#-#..b#b.bbbbb.b#bbGb..#-#...G#..b#b.bbGbb.b#bbbb..#G...#-#E.b#b.bbbbb.b#b....E#-#..#----.#.-.....-.#.-------#..#....b#b.bbbbb.b#b.......#.` },
-  { variant: 'classic', num: 132, data: `bS.........................bbS-------------------------bbS.......Xbbb#bbbX.........bbS....GXbX...#...Xbb.G.....bbS..GXbXGGGGG#GGEGGbXb.G...bbS.bbXbXbbbbb#bbbbbbXbXb.G.bbbbb.........#.........bXbXbbb.....GGGG..#E.GGGG.....bXbb....#bbbbbbX#bbbbbbb#.....bb....#.......#.......#.....bb...G#..GGGGG#.G.GGGG#.E...bb.#Xbbbbbbbbb#Xbbbbbbbbb#..bb.#..........#..........#..bb.#..........#..........#..bb.#..........#..M.......#..bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 133, data: `-------------#--------------.G......G....#...G...G.EG..GEG..G....E.G.#.G...G.G.......bXbbXb#.#bXbbbb#.#bXb.......bXbbXbb##bXbbbbX##bXb.......bXbbXbbX#bXbbbbXb#bXb.......bXb..bbX#bXb..bXb#bXb.......bXb..bbX#bXb..bXb#bXb.......bXb..bbX#bXb..bXb#bXb.......bXb..bbX#bXb..bXb#bXb.......bXb.GbbX#bXb.GbXb#bXb.......bXbXbbbX#bXbXbbXb#bXbbbXbb..bXbXbbb.#bXbXbbX.#bXbbbXbb..bXbXbb..#bXbXbb..#bXbbbXbb..........#...M....#.........bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 134, data: `GE.....bbbbbbbbbbbbbbbbbbbbbbb#....bbbbbbbbbbbbbbbbbbbbb#bbbb#....bbbbbbbbbbbbbbbbbb#bbbbbbb#.E..bbbbbbbbbbbbbbb#bbbbb.bbbb#....bbbbbbbbbbbb#bbbbb.bbbbbbb#....bbbbbbbbb#bbbbb.bbbbbbbbbb#.E..bbbbbb#bbbb.G.bbbbbbbbbbbb#....bbb#bbbbbbb.G.bbbbbbbbbbbb#....#bbbbb.bbbb.G.bbbbbbbbbbbbb##bbbbb.bbbbbbb.G.bbbbbbbbbb##bbbbb.bbbbbbbbb#.G.bbbbbbb##bbbbb.bbbbbbbbb#bbb.bbbbbb##G...G...G...G.b#bbb.bbbbbb#bbbbbbbbbbbbbb..#bbb......M#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 135, data: `.......S...........................S...........................S...#BBBBBBBBBBBBBBBBbb##bbb#bbb#.....E...-------bGb#b.b#b.b#bbbbbbbbbbbb..G.b.b#bGb#bGb####G####G###bbb#bX##bbb#b.b##BBBB##BBB##...##############B..G##B..##bb#G##....#.bb.##B.-B##B.G##b.#b##.bbb#.bGb##BBBB##BBB##b#.b##.bG.#..bb##----.######b#..##.bb.#.b.b#..G...#####bbbb###....#Mbb.#bbbbbbb..G#bbbG########BBBB#b#####B.bb#bbb.##.....G..BB#b#.#.#B.bb#.bb#bbbbbb#...E..b#.#G#B..G#b.E#b` },
-  { variant: 'classic', num: 136, data: `.....................EEE......................GGGGGGS..............GGGGGGSbbbbbbb.......GGGGGGSBBBBBBB.............Sbbbbbbb....................SS...........................S.......................GGGGS.......................bbbb#.......................bbbbbbbbbb#.................bbbbbbbbbbbbbbb#............bbbbbbbbbbbbbbbbbbb#........bbbbbbbbbbbbbbbbbbbbbb#.....bbbbbbbbbbbbbbbbbbbbbbbb#...bbbbbbbbbbbbbbbbbbbbbbbbb#..bbbbbbbbbbbbbbbbbbbbbbbbb#M.` },
-  { variant: 'classic', num: 137, data: `S...........................S...G...G...GE.EG...G...G...bbbbbbbbbbbbbbSbbbbbbbbbbbbb..............#..........................b#b.........................G#G...............E........bb#bb.......E......#........G.#.G.......#.....b#b......bbb#bbb.....b#b....G#G......G..#..G.....G#G...bb#bb....bbbb#bbbb...bb#bb..G.#.G....G...#...G...G.#.G.bbb#bbb..bbbbb#bbbbb.bbb#bbbG..#..G..G....#....G.G..#..G...#..........#.M.......#...bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 138, data: `.............S...........................S........................E..S..G---.........--------#BBBBbXbb..#.......#........#.......G..#.......#......bbbbbbBBBbbbbbbb.....#......bG.b...b...b...b.....#.E.GG.b..b..Gb.GGb.GGb.G...#bbbbbbb..bbbbbbbbbbbbbbbbb.#b..b.bbbbb.....b...........#b.Gb.G..b...#G.b.M......G..#bbbbbbbbbbbB#BbbbbbbbXbbbbb#............#..........---.#............#.........#..G.#........G...#.........#.bbbbbbbbbbbbbbbb#....G.E..#..G.` },
-  { variant: 'classic', num: 139, data: `S...............S..Bbbbb....SbbbbbbbbbbbbbbbS..B.G#b.G..S-----------#..b#--Bbb#b.BBBG#bBb.....G.#--b#...G.#b...#B#...bb.....#..b#..Bbb#b..G#B#bb..Gb...M#..b#.GBE.#b#--###.Gbbbbbbbb#..b#..Bb#bb#..##..bbb.....B#..b#....#..#.G.#...bb....GB#..bb#...#..#bbb##...bbbbbbB#E..bbb#.#..#...B#bbb------Bbb#...bbb##.#bb#b#....E.......bB#...bb#b...#b#bbbbbbb#......bB#...#b...#b#bbGbbbb#bbbbb#bbbBB##bbb.#b#bbbbbGb#bbbbb#G..G.##bG..#b#bbbbbbbbbbbbbbbbbbb#bbbbb#` },
-  { variant: 'classic', num: 140, data: `......................................SSSSSSSS....................#bbbbbb#..................E.#b.E..b#.E..................#b..G.b#...............#bbbbbbbbbbbbbbbb#..........#b....b....b....b#..........#b....b....b....b#..........#b....b....b....b#..........#b..G.bE.G.b..G.b#.....#bbbbbbbbbbbbbXbbbbbbbbbbbb##b....b....b....b....b....b##b....b....b....b....b....b##b..G.b..G.b..G.b..G.b..G.b##b#bb#b#bb#b#bb#b#bb#b#bb#b##.#bb#.#bb#M#bb#E#bb#.#bb#.#` },
-  { variant: 'classic', num: 141, data: `----------........----------#.........bbbbbbbb.........##.......bbbbbbbbbbbb.......##...E..bbbbbbbbbbbbbb..E...##.BBBBbbbbbbbbbbbbbbbbBBBB.##........bbbbbbbbbb........##.B#........bbbb........#B.#BBB#....................#BBB...#..G..G..G..G..G..G..#......#....................#......#........bbbb........#......#.....bbbXXXXbbb..M..#......#..bbbXXXXXXXXXXbbb..#......#...XXXXXXXXXXXXXX...#......#....XXXXXXXXXXXX....#......#......XXXXXXXX......#...` },
-  { variant: 'classic', num: 142, data: `-----------............................#.....b...-.-......G..G..G.E#----.bbbb.#.bbbbbbbbbbbbbbb.....#bbbb.#.XbbbGG.......GG.----#bbbb.#.XbbbbbG.....Gbb#.....b.bb.#.XGGbbbbG...Gbbb#----.b.bb.#.XbbbbbbbG.Gbbbb.....#b.bb.#.XGGbbbbbbGbbbbb..E..#b.bb.#.Xbbbbbbbbbbbbbb#bbbbbbGGb.#.XGGb...........#.....bbbb.#.XbbbbSb....M...#.........E#.XGGbbSbbbbbbbbbbb#bbbbbbbbbbXbbbbS....bbbGbbb#bbbbbG........bS....bbbbGbb#bbG.Gbb#.....GbSG..Gbbbbb..#..bbbbbbbbbbbb` },
-  { variant: 'classic', num: 143, data: `bbbbbbbbSbbbbbbbbbbbbbbbbbbbM.B..BBBS...B#.b...#-------.b#...#.B#BB.B#Gb#BB#........G#BBb#.B#BB..#..#.........G.bb#..#.B#..bbb#B#-----......GB#bbBGB#bb---#B#.......bbbb..#....B#B.GB.#Bbb...G.......E#..G.B#Bbbbb#B.#.......E..BBbb#b.B#B....#--#BBBBBBBBBB#..B#b..#Bbbbbbb.#...B-----B#b..#bbb#B.GbG..bbb#.B.#...B#B.#BB.B#B..b......#...#...B#B.#B.GB#...bbbbbbbbbbb#B..B#.bbb.BB#Bbbb..........#...B#....E..#BG.B#.G....G..#...BbbbbbbbbbBbbG#BBbbbbBBB#..GB` },
-  { variant: 'classic', num: 144, data: `.................................---S......---....-...--#...#..-bBBBBBB...bbbb.BB#..#G..#G..b...BG...........#.Gbb#-BB#.B#..BBbB.XXXXbb.#bXb.G#.EG#.B#..BG..........#...#bb-#BB.B##.BBb#.X....X.#...#G..#G..B.##..B#..bGGb..#...bb#-BB#.B..##.B#...bb#--#.G.EG#..G#.B...##B#.....#..bbXb#bb-#BB.B....#B#..E..#......#G..#GE.B.....B#BBBBBBBB#.G.bb#-BB#.B.....B#b..G.G.b#bXb.G#..G#.B.....B#b#bBbBbb#...#bb-BBB.BEGG#b.#b#.G.G..#...#.M.....bbbbbbBBbbBbBbBbBbBb` },
-  { variant: 'classic', num: 145, data: `......E...S.......S...E................S.....S......................S...S.....................Gbbb#bbbG...................bGbG#GbGb...........G......bG#.#b#.#Gb....G.G...bb#b#bbbbbb#.#bbbbbb#b#bb..Gb.#b#......###......#b#Gb..b.##b#################b##.b.b#EG.b#######b#######b.GE#b..bbb#.b#.G..#.#..G.#b.#bbb....Gbb#bbbbbbb#bbbbbbb#bbG.....bb.#.....G.#.G.....#.bb.....b.#bb######b######bb#.b...G..#bbb###b#####b###bbb#MG.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 146, data: `b....-.....M....-....b.G....bbbb#.bbbbbbbbbb.#bbbb.bbbb#bbbb#.b..bbbbb.b.#bbbb...G.#bGbb#.b.bbbbb..b.#bbGb.#bbbbbbbb#.b..bbbbb.b.#bbbb.#G...bbGb#.b.bbbbb..b.#bGbb.bbbb#bbbb#.b..bbbbb.b.#bbbb....G#bGbb#.b.bbbbb..b.#bbbb.#bbbbbbbb#.b..bbbbb.b.#.bbb.#.G..bbGb#.b.bbbbb..b.#bbbb.bbbb#bbbb#.b...bbbb.b.#bGbb..G..#bGbb#.bGbbbbbGGb.#bbbb.#bbbbbbbb#.bbbbbbbbbb.#bbG..#..G.bbGb#.bbbbbbbbbb.#bbbb.bbbb#bbbb#..E.....E...#bbbb..E..#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 147, data: `................S............E-.........-M..S.....-......#.#.......#.#..S....#.#...##..##.....#...#.S...#...#..#.bG#.#...#.bGb.#S..#.bGb.#-#.bb#..---#Ebbb.#---#Eb#b...#Bbb#bbXbbBbbBbbBbbXbbB#bXbb#b..#..X..b..Gbbb..Gb.b#.X..#b--#--X--b.#b----#----#-b--#b..#..X..b.#b..b.#X#.bE.G..#bXB#bBbXBbb#bbBbbBX#BbbBbXb#.Xbbbb...bb#bb...bX#bb...Xb#...#---.--b#b--.--X#b--.--b#..b#b..G..b#b..G..b#...G..b#.Gb#b..B..b#b..B..b#b..B..b#bX.#.XbBbb.#.bbBbb.#.bbBbX.#` },
-  { variant: 'classic', num: 148, data: `......................................EE.SS.EE...................GGGSbbSGGG............GGGGGSBBBBBBBBBBSGGGGG.....Sbbbbbb..........bbbbbbS....SSS..................SSS......S..................S........S..................S........S..................S........S..................S........S..................S........S..................S........S..................S........S..................S........S..........M.......S....BbbbbbbBbbbbbBBbbbbbBbbbbbbB` },
-  { variant: 'classic', num: 149, data: `.....................................#bb....bb#.................#bb......bb#...............#bb........bb#.............#bbG..E.....Gbb#........G--#bbbbbbbbbbbbbbbb#--GE..#b#...bbG........Gbb...#b#..##b#...bb.G....G.bb...#b##..G##b#E..bbbb..bbbb...#b##G...G##b#...bbb..bbb...#b##G.....G##b#...bbGMbb...#b##G.......G##b#...bbbb...#b##G.........G##b#...##...#b##G...........G##b#..##..#b##G......G..E...G#bb#.##.#bb#G...E..Gbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'classic', num: 150, data: `.----........EM........----.#....bb#G..........G#bb....##....bb#G..........G#bb....##.....bb#G........G#bb.....##G.G..bb#G........G#bb..G.G##bbbb#.bb#G......G#bb.#bbbb##G..G#.bb#G......G#bb.#G..G##bbbbb#.bb#G....G#bb.#bbbbb##GE.EG#.bb#G....G#bb.#GE.EG##bbbbbb#.bb#G..G#bb.#bbbbbb##G....G#.bb#G..G#bb.#G....G##bbbbbbb#.bb#GG#bb.#bbbbbbb##G.....G#.bbbbbbbb.#G.....G##bbbbbbbb#.bbbXbb.#bbbbbbbb##G......G#.GGbXGG.#G......G#bbbbbbbbbbbbbBBbbSbbbbbbbbbb` },
-  { variant: 'championship', num: 1, data: `............................#--------------------------##.G..G.GGGG.G....G.....GG..##.G..G.G....G....G....G..G.##.GGGG.GGG..G....G....G..G.##.G..G.G....G....G....G..G.##.G..G.GGGG.GGGG.GGGG..GG..##.......................E.E##--###---###---###--####---##MS...S.S...S.S...S.S...S..##b#b....S...S.S...S.S...#bb##bS.b##.S...S.S...S.SbbbS.b##bS...Sb#b..S.S...#b#...S.b##b.SSSS..S##bGG###..SSSS..b##b........................b#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 2, data: `GE....BB....SGS...E......M.G#-----B-B----#----BB-------##----GB--B---#----B-B------##---BBB------#---GB--B-----##---BBB------#--BBB--------##------------#--BBB--------##E...GGG.....E............E##............G.........GG..##------------#---------BB--##--------BB--#---------B-B-##--------B-B-#--------GB--B##-------GB--B#-------BBB---##------BBB-----------BBB---##......BBB........GGG......##..........................##GGGGGGGGGGGGGGGGGGGGGGGGGG#` },
-  { variant: 'championship', num: 3, data: `#####G##E########M###......S#####################B.....S#####################B.....SG#####E####G#########Bbbbbbb####BBBBBBBBBBBBBBBBBBBBBBBB#################################G########E##G##########BBBBBBBBBBBBBBBBBBBBBBBB############G##########G###B###G#######################B###########################B########G#########G#######GBG#######BBBBBBBBBBBBBB#####B#####################B#####################E#G#G#B##########BBBBBBBBBBBBBBBbBB#G#######G` },
-  { variant: 'championship', num: 4, data: `.............#..............-------------S--------------............GSG............#......G....#b#b....EG......##BBBBBBBBBBBB#BBBBBBBBBBBBBB#............S..............#...........GSG.............#.E...G....bb#bb#...G....E..BBBBBBBBBBBBB#BBBBBBBBBBBBB#.............S.............#............GSG............#......G..#bbb#bbb...G....E.##BBBBBBBBBBBB#BBBBBBBBBBBBBB#............S..............#...........GSG.............#.....GM.bbbb#bbbb#.G....E..` },
-  { variant: 'championship', num: 5, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.bbbbbbbbbbbbbbbbbbbbbbbbbbbSM.............G.b..........S#BbBbBbBbBbBb.b.bbbbbbbbbbb##BbBbBbBbBbBbBb.b.bbbbbbb.b##............G..b.bbbbbbb.b##bBbBbBbBbBb.b..b.b-bbb-b.b##bBbBbBbBbBbBb..b.b-bbb-b.b##...........G...b.b-b.b-b.b##BbBbBbBbBb.b...b.b-b.b-b.b##BbBbBbBbBbBb...b.b-b.b-b.b##..........G....b.b-b.b-b.b##bBbBbBbBb.b....bGbGbGbGbGb##bBbBbBbBbBb....bXbbbbbbbbb##......................EEEE##bbbbbbbbbbb....bbbbbbbbbbbb` },
-  { variant: 'championship', num: 6, data: `#--------------------------##b.b..b.b.....G..bbb.b.b...##bbb..bbb...b.b..b.b.bbb...##...G...G...bbb.....G.....M##.b.b..bbb.......G.bbb..b.b##.bbb..b.bG....bbb.b.b..bbb##G...G....b.b..b.b....E....##b.b.b.b..bbb.......G.b.b..##bbb.bbb......G...b.b.bbb..##...G....G..b.b...bbb....G.##.b.b...bbb.bbb..G.....b.b.##.bbb...b.b......b.b...bbb.##....G.....b.b...bbb...E...##..b.b.b.b.bbbG.G.....bbb..##..bbb.bbb....b.b.....b.b..##.EEE.G.......bbb...G.....G#` },
-  { variant: 'championship', num: 7, data: `#############################..........................##............GG............##...........GXXG...........##...........bXXb...........##........G.GbXXbG.G........##........bGb.G.bbGb........##.....G.Gbbb.bG.bbbG.G.....##.....bGbbb.GbbG.bbbGb.....##.....bbbb..bbbb..bbbb.....##..G.Gbb.G.Gb.bbG.G.bbG.G..##..bGbb..bGbb..bbGb..bbGb..##..bX.G.Gbbb....bbbG.G.Xb..##..bb.bGbbb......bbbGb.bb..##..bb.bbb..GGGGGG..bbb.bb..##...M.....#bbbbbb#....EEEE.#` },
-  { variant: 'championship', num: 8, data: `#G#bb#G#BB#G#bb#G#BB#G#bb#G##BB#.#bb#.#BB#.#bb#E#BB#.#b###E#BB#.#bb#E#BB#.#bb#.#BB####bb#.#BB#.#bb#.#BB#.#bb#.###B#.#bb#.#BB#.#bb#.#BB#.#bb##.#BB#.#bb#.#BB#.#bb#.#BB#.##bb#.#BB#.#bb#.#BB#.#bb#E#B###.#bb#.#BB#.#bb#.#BB#.#bb####BB#.#bb#.#BB#.#bb#.#BB#.###b#.#BB#.#bb#.#BB#.#bb#.#BB##.#bb#.#BB#.#bb#.#BB#.#bb#.##BB#.#bb#.#BB#.#bb#.#BB#.#b###.#BB#.#bb#E#BB#.#bb#.#BB####bb#.#BB#.#bb#.#BB#.#bb#.###B#.#bb#.#BB#.#bb#.#BB#.#bb##M#BB#G#bb#G#BB#G#bb#.#BB#G#` },
-  { variant: 'championship', num: 9, data: `bbbbbbbbbbbbS.b.SbbbbbbbbbbSbb.E###.##.ES...SE##..##.EbS.Gbb..Gb.Gb##...#bG.bbG.bbGSGbb..Gb.Gb##....#bbG.bbG.bbSbb..Gb.Gb##.G.M.#.bbG.bbG.bbb..Gb.Gb##.Gbbbb#G.bbG.bbG.b.G.b.Gb##.Gbb..bb#G.bbG.bbG.#bb.Gb##.Gbb.GG.bb#G.bbG.bb.#b.Gb##.GbbG#bb#Gbb#G.bbG.bb#.Gb##.GbbG#b..b#Gbb#G.bbG..#Gb##.GbbG#b.GG.b#Gbb#G.bbGE#b##.GbbG#b.GbbG.b#Gbb#G.bb####.GbbG#b.GbbbbG.b#Gbb#G.b###.GbbG#b.GbbGGbbG.b#Gbb#G.##G.bbG#b.G...bb...G.b#Gbb#G#bb#.Gb#.bbbbbbbbbbbb.#b.G#bb` },
-  { variant: 'championship', num: 10, data: `#---..bbbb...G##..bbbbbbbb..#..GbbGbbb..G#..Gbb.......b.#.GbbbbGbb.G#..GbbG#bbbbbbb.#GbbbbbbGb.#G.-bbG#.....bb..#bbbbbbbbb.G#.-b.#.......bb.#.--GGbGGb.#G.-b#........Gb.#G..bbGbbG.G#.-b#b.......#b.M#..GbbGbb.#G.-b#bG#bG#bG#b..b#.bbGbbG.G#.-b#BBBBBBBBBb.Eb#.GbbGbb.#G.-b#.........b..b#.bbGbbG.G#.-bbbbbb#bbbbb..b#.GbbGbb.b#.-bbG..b#b..Gb..G#.bbGbbGb.#.-..b.Eb#b..bb..b#..bbbbb..#..bb.bbb#bbbb....#---.bbbbb....b#####bbb.....S.........................` },
-  { variant: 'championship', num: 11, data: `#--------------------------##...M......................##.bbbbb.bbbbb..bbbbb.bbbbb.##.b.G.b.b.G.b..b.G.b.b.G.b.##.bBbbb.bbbbb..bbbbb.bBbbb.##...b.....b......b.....b...##.bbbBb.bbbbb..bbbbb.bbbBb.##.b.G.b.b.G.b..b.G.b.b.G.b.##.bBbbb.bbbbb..bbbbb.bBbbb.##...b.....b......b.....b...##.bbbBb.bbbbb..bbbbb.bbbBb.##.b.G.b.b.G.b..b.G.b.b.G.b.##.bbbbb.bbbbb..bbbbb.bbbbb.##...b.....b......b.....b...##E........b......b........E#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 12, data: `S..------------------------#.bS..X.E.b...b.E.b...b...b.#..GXS.GbG.GXG.GbG.GXG.GbG..#X.bXbSbbb.bXb.bbX.XXb.bbb..#...b.S.b...b...b...b...b...#GbG.GXS.SXS.GbG.GXG.GXG.GbG#Xbb.bbbSbbXSXbb.bXX.bbb.bbb#.b...b.E.b.S.b.E.X...b...b.#..GXG.GbG.GXS.GXG.GbG.GbG..#X.bbb.bbb.bbbSbbb.Xbb.XbX..#...b...b...b.S.b...b...b...#GbG.GbG.GXG.GbS.GbG.GbG.GbG#Xbb.bbb.bbb.bbbSbbX.bbb.bbX#.b.G.b.G.b.G.b.S.b.G.b.G.b.#M.#b#.#X#.#b#.Sb..#b#.#b#.E#bb#.#.#.#.#.#.#.#.#.#.#.#bb#` },
-  { variant: 'championship', num: 13, data: `B.BBBBBBBBBBBBBBBBBBBBBBBBBSBSM#.#G#.#G#.#G#.#G#.#G#.#BSBBB#BBBBBBB#BBBBBBB#BBBBB#BSB#B#G#.#G#B#G#.#G#B#G#B#B#BSB#BBBBBBB#B#BBBBBBBBB#B#B#BSB#G#.#G#B#B#B#G#.#G#B#B#B#BSBBB#BBBBB#B#B#BBBBB#B#B#B#BSB#B#B#.#G#B#B#B#G#B#B#.#G#BSB#B#B#BBBBB#B#B#B#B#BBBBB#BSB#G#.#G#B#G#B#G#B#B#.#G#B#BSB#BBBBB#B#B#BBB#B#BBBBB#B#BSB#B#G#.#B#B#G#B#B#.#G#B#B#BSB#B#BBBBBBBBBBB#B#BBB#B#BBBSB#B#.#G#.#G#.#G#B#B#B#B#E#BSB#BBBBBBBBBBBBBBB#B#B#BBB#BSB#E#G#.#B#.#G#.#G#B#G#.#B#..` },
-  { variant: 'championship', num: 14, data: `...M...E...E...E...E...E...Sbbb#bXb#bbb#bXb#bbb#bXb#bbb#bbb#bXb#bbb#bXb#bbb#bXb#bbb#bbb#bXb#bbb#bXb#bbb#bXb#bbb#############################bbb#bXb.bXb#bbb.bXb#bXb.bbb#bbb#bXb.bXb#bbb.bXb#bXb.bbb#bbb#bXbGbXb#bbbGbXb#bXbGbbb#############################bXb.bbb#bXb.bbb#bXb.bbb#bXb#bXb.bbb#bXb.bbb#bXb.bbb#bXb#bXbGbbb#bXbGbbb#bXbGbbb#bXb##G###G###G###G###G###G###G##bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#bbb#` },
-  { variant: 'championship', num: 15, data: `E...........................MG..G..G..G..G..G..G..G..S...#-.#-.#-.#-.#-.#-.#-.#-.#-..#..#..#..#E.#..#..#E.#..#...#..#..#..#..#..#..#..#..#...#..#..#..#..#..#..#..#..#...#..#..#..#..#..#..#..#.-#...#..#..#..#..#..#..#.-#......#..#..#..#..#..#.-#.........#..#..#..#..#.-#.....bbbbb#.#..#..#..#.-#.....bGbbbbbb#.#..#..#.-#.....bbbbbbbbbbb#.#..#.-#.....bbbbbbbbbbbbbb#.#.-#.....b.bbbbbbbbbbbbbbb#-#.....bbbbbbbbbbbbbbbbbbbb#.S..bbbbbbbbbbbbbbbbbbbbbbb#` },
-  { variant: 'championship', num: 16, data: `####..#######################..Gbb..BB.G.B#GE.BBG..B#.G##.Gbb.....BBEG.B#G..BBG..B###Gbb......G.BB.G.B#G..BBG..##bb......#bb..BB.G.B#G..BBG##B.G....#Xb.....BB.G.B#G..B##.BB.G.#bX........BB.G.B#G.##G..Bb.bb..........GBB.G.BB##B#G..BB.G.......#bb..BB.G.##G.B#G..BB.G....#Xb.....BBM##BG..B#GE.BB.G.#bX.......Gb##.BBGE.B#G..Bb.bb......GbBB##G..BB.G.B#G..BB.G....GbB..##B#G..BBG..B#G..BB.G.GbB...##E.B#...BB...B#...bb.bb....#####################bbbbbbb#` },
-  { variant: 'championship', num: 17, data: `.........S........S.............G....S........S............#Bb#E.S........S..#bB#.G.#Bb#..#BB#........#BB#..#BB##M.G..G..#bB#.G#bB#..G..G..#BB#.G....G.S#BB#.........#Bb..#bB#E.#BBSG..#BB#...#Bb#.G#BBG.#bB#......G..#SBB#G.#BB#....G..#bB#E...#BbS..#bB#..#bBS....G..#BBS.#..G..#..E...G.SBB#..#BB..SbB#....#BbB#.......#Bb#....G..#BB#...G.#....#Bb#.G#BB#.......#bB#..#.#BB#..#bB#..#Bb#.#Bb#G.#BB#.#..S..S.ES..SG.SGS..S..S.GS.#BBBBBBBB#b.BBbBB#b.BBBBBBBB` },
-  { variant: 'championship', num: 18, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.M.-..b#...bb#...bb#...bb.bb#bb-bbb#bbb-b#bbb-b#bbb-b.bb#bb-bXb#bbb-b#bbb-b#bGb-b.bb#bb-bXb#bb-.b#bbb-b#bX-.b.bb#bb-bXb#.-.bb#...-b#...bbbbb#bb-bXb#.bbbb#bXb-b#bbbb.b.b#bb-bXb#b.bbb#bbb-b#bbbb.b.b#bb-bXb#bbGbb#bbb-b#bbbbG..b#bb-bG.#bXX..#bGb-.#b.Gbbb.b#bbbXbbbbbbbbbXbbXbbbXbbbbbb#.SSS.-------------------E.E#S.....SS..S.SS.S.SS.S..S.E.#.SS..S..S.SS...SS....SS....#...S.S..S.S....S.....S.....#SSS...SS..S....S....S....S.#` },
-  { variant: 'championship', num: 19, data: `........--.B..-..BBB...-..BBb#BGbBB#..bGbB.#b...GbB.#-G.b#.bbG.B#..BB..#bG..bB.#..b.bBBBBb..B#...E#Bb.Bbb.#..bB.G....bBBB#bBBBbBBbBB.#..bBB.X.#B.....#b.--...----#.bbGB.XB#.BBbBBbB.G.Bb...BXB..bBB..BB#..-...BBbBBBb.BBGBB..BB...BB#..BbGB....GbBBBXBBB..B.--.BB#..Bb....BBB.---#.BBG..G.#.BB#..........#....#.BB...b#...B#..#bB#----....B#.BB..b#Bbb.B#bBb.#.E...bEB..#...Bb.GbbB.#BGbbBBbS.bBb..#XS..BBBbbb.#bBBbb.GbSbGB..#BGBSGBG..b#B#..MbBB.BSBb..#..X.SB` },
-  { variant: 'championship', num: 20, data: `S...........................SG....E.......------------GG#B------------.GGGGGGGG.GGB##BXbbbbbbbXbbbXbbbXbbbbXbbB##B.G..E..G..G.....G.....G.B##B.BBBBBBBBBBB.bbbXbbbbXbbB##B.GGGEGGGGG.B.B.GGGGGGGG.B##B.bbbbbbbbb.B.B.bbbbbbbb.B##B.G..E..G..G..B..G.....G.B##b#bbbbbbbbbbbXbbbbbbbbbb#b##b#G..E..G..G..G..G..G...#b##bbbbbbbbbbbbb.BBBBBBBBBBbb##..G..M..G..GB.G..G..G..G..##bbbbbbbbbbbbb.bbbbbbbbbb.b##..G..G..G..GB.G..G..G..G..##bbbbbbbbbbbbb.bbbbbbbbbbbb#` },
-  { variant: 'championship', num: 21, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbbSbbbb--------b---------....bSbbb.....M...b....E....#b..bSbbb...bbbb..bbbbbbbbb.#b..bSbb...bbbbb..bbbGbbGbb.#b..bSbb.....Gbb..bGbbbbbGb.#b..bSb....E......bbbGbbbbG.#b..bSb...bbbb....bGbbbbGbb.#b..bSbXbbbbbbBB..bbbGbGbbb.#b..bSbXbGGGGGb##.bGbbbbbGb.#b..bSbXbbbbbb##.bbbbGbbbbG.#b..bSbXbbbb....bbbGbbbbGbb.#X..bSbXbbbb#b.bbbbbbbbbbbb.#bbbbSb.....#.b.bbb.........#b..bSb....#.bbb.b..........#b.GbSbbbbbbbbbbb.bbbbbbbbbbbbbXSS` },
-  { variant: 'championship', num: 22, data: `BB.BBBBBBBBBBSBBBBBBBBBBB.BBb#GGGGGGGGGGGSMGGGGGGEGGGG#bB#BBBBBBBBBBB#BBBBBBBBBBBB#Bb#BEGGGGGGG#.#.#GGGGGGGG.B#bB#bGBBBBbBB#G#G#BBbBBBBBGb#Bb#BGb#GGGEB#####B.GEGG.bGB#bB#bGB#BBBXBB###BBXBBBB#BGb#Bb#BGb#B.GGGG###GGG.G#B#bGB#bB#bGB#bGBBBB###BBBGB#b#BGb#Bb#BGb#BGG.GG###GGEGG#B#bGB#bB#bGB#BBBXBB###BBXBBBB#BGb#Bb#BGb#GGGGb#####bGGGGG#bGB#bB#bGBBBBBBB#BGB#BBBBBBBBGb#Bb#BGGGGGGGG#bGb#GGGGGGGGGB#bB#BBBBBBBBBBBGBBBBBBBBBBBB#Bb#GGGGGGGGGGGGGGGGGGGGGGGG#b` },
-  { variant: 'championship', num: 23, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.bM.b..b.....b..b...--.--.--#bG.b...G#b...G.b..b.Gb..bG.#bbbb#bbbbbbbbbbbbbbb.bb#bbb#b..b#Gb..b.Gb..b.G...bG#b..#b..b#....b..b....#b----#b..#bbbbb#bbbbbbbbbbbbbbbbbbbbb#b..b.#b..b..b.Gb...G.bG#b..#b.G..#bG.......b..b#..##bG.#b.bbbbbbbbbbbbbbbbbbbbbbbbb#b..b..b..bG#b..b....#b..b..#b...G.b..b..b...G#b..b..b..#b.bb#bbbbbbbb#bbbbbbbbbbbbb#b.Gb#.b..b...#Gb..bG....b..#b..b#..G....b#......Sb....G#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 24, data: `#----------------.Ebbbb.----#-----.E.-------.bbbbbbb.---#---..bbb..----.bbbbbbbb.---#--.bbbbbbb..-.bbbbbbb..----#-.b..bbbbbbb.bbbbbb...-----#-.b.G.bbbbbbbbbbbb.bbbbb.--#--.bbb.bbbbbbbbbb.bbbbbbbb.#-------.bbbbbbbbbb.bbbbbbbb#.......bbbbbbbbbbbb.bbbbbbb#......bbbGbbbGbbbbbb.bbbbbb#......bbbbbbbbbbbbbb.bbbbbb#...-----bbbbbbbb-----bbbbbb#....----bb...bbb------bbbbb#--.bbbSbbbb#bbbbb.bbbb.bbbb#..bGbbS..bbbbbb..bbbbbb.bbb#M#X#bbbS........bb#b#bb.bbb` },
-  { variant: 'championship', num: 25, data: `bbbbbbbbbb########bbbbbbbbbbbbbbbbb####EE...M####bbbbbbbbbbbbb##...bbbbbb...##bbbbbbbbbbb##.bbbbb-bbbbbb.##bbbbbbbbb##.bbbbbb--b.bGbb.##bbbbbbb##.bbGbbbb--bbbbbbb.##bbbbbb#.bbbbE...--...Ebbbb.#bbbbbb#.bbbbbbbb--bbbbbbbb.#bbbbbb#.bbbbb--b--b--bbbbb.#bbbbbb#.bbbb--bb--bb--bbbb.#bbbbbb##.bb-.bb.--bbbG-bb.##bbbbbbb##.bbbbbb.-bbbbbb.##bbbbbbbbb##.bbbbbb.bbbbb.##bbbbbbbbbbb##...bbbbbb...##bbbbbbbbbbbbb####......####bbbbbbbbbbbbbbbbb########bbbbbbbbbb` },
-  { variant: 'championship', num: 26, data: `bbbbb#################bbbbbbbbbb##...............##bbbbbbbb##.....M......E....##bbbbbb##..#bbbbbb#bbbbbb#..##bbbbb#...#b..G.b#b.G..b#...#bbbbb#---#BG...b#b...GB#---#bbbbb#GGG#bb.bbb#bbb.bb#GGG#bbbbb#GGG#.b.XBBBBBb.b.#GGG#bbbbb#...#.bbb.....bbb.#...#bbbbb#---#.....GGG.....#---#bbbbb#...#.bbbbbbbbbbb.#...#bbbbb#E......G#####G.....E#bbbbbbb#....XXbXXXXXbXX...#bbbbbbbbb#E..............E#bbbbbbbbbbb#..............#bbbbbbbbbbbbb#GGGGGGGGGGGG#bbbbbbbb` },
-  { variant: 'championship', num: 27, data: `...BE.........B................B#BBBBBBBB.B................B#BB.......B................B#BB.BBBBBBB.................#.#.........................#.#.........................#.#.........................#.#.BBBBBBBBBBBBBBBBBBBS....#.GGBGGGGGGGGGGGGGGGGGG#....#.BBBBBBBBBBBBBBBBBBBBBB....#...........................#.GGGGGGGGGGGGGGGGGGGGG#....#.BBBBBBBBBBBBBBBBBBBBBB....#...........................#.GGGGGGGGGGGGGGGGGGGGG#M...#.BBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'championship', num: 28, data: `...M...........E............bbSbbbbbXbbbbbbbbbSbbbbbbbbb..S...b..........bS.........SbbbbbbbbbbXbbbbbbbbbbXbbbSbS.........b............b..S.bbbbSbbbbbbbbbbbbbbbXbbb..S.....S------------.........S.....-.#..........bbb...bbbb#bbbb--#bbbbbbbbbbb......---#bbbb-.#................-...#bbEb-.bbbbb#bbbbbbb....-...#bbbb-......#.........G.-..#bbbEb-.bb#bbbbbb.#bb#.b.-.#bbbbbb-...#.......#..#....#bbbbGGb....#.......#..#....#bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 29, data: `###b#............#bM.EbE####XbXb#.G.G.G.G....#bbbGbbXbb##bXb#.########..G###bGEGGEb##b###.#bXbXXX#...G.#bbbbbGbb#bb##.#bSSGGX#####.#####bGGEXbb#G.#bGSSbXbXXb#.G.G.#bXbb#####.#bSSGbXSGGb#####.######bbb#.#bbbXbXSSbbXbXb#..GGGS#GGb#.#####bGGGbbGSSb#.G#######b#G....#bXbbbbSSGb#..G#XX#X#b#.....#####bGGGGb#..G#X##X#bbbbb#G....#bbbbXb#.###X##X#####b#.....########.#bXX##XbbXb#bXbbb#G..G...G.G#b#######Gb####bbb####...####b#bXXXXX#bbbG###bXXX#G.G#XXXb#b#` },
-  { variant: 'championship', num: 30, data: `bbbbbbbbbbbbbbSbbbbbbbbbbbbbb....E.G.E..MSSS..E.G.E....bbSbbbbbbbbbbb...bbbbbbbbbbSb.#------------------------#..#...........S............#..#...........S............#..#...........S............#..#...........S............#..#...........S............#..#...........S............#..#...........S............#..#...........SG...........#..#.....G......B......G....#..#.....B......B......B....#.#......B......B......B..E..##bbbbb...bbbb.B.bbbb...bbbb#` },
-  { variant: 'championship', num: 31, data: `.SS---S---S---S---S---S---SS.#bbXbbbXbbbXbbbXbbbXbbbXbb#.#b---b...b--.b.--b...b---b#.#bXbXbXbXbXbXbXbbbbbXbXbXb#.#b....b---b...b...X---b..b#.#bbXbXbXbXbXbXbXbbbXbXbXbb#.#b...b...b---b---b...b...b#.#bXbXbXbbbXbXbXbXbXbXbXbXb#.#b..X..#b---b---b...b....b#.#bbXXXbXbXbXbXbXbbbbbXbXbb#.#b...b---b...X...b#--b...b#.#bXbXbXbXbXbXXbbbbbbXbXbXb#.#b---.b...b...b#..b...b--b#.#bbXbXbXbXbXXXXXbXbXbXbXbb#.#MEE.........G.........EEE#.bbbbbbbbbbbbS.Sbbbbbbbbbbbb` },
-  { variant: 'championship', num: 32, data: `.S............M...........S..#.#bbbbbbbbbbBBBBBBBBBBB.#..#.#b...................#.#..#.#BGb#b.......G.E..G#b#.#..#.#BBBBBBBBBBBBBBBBBBbb#.#..#..#b..............---#..#..#..#bG.E.E.E...Gb#b.Gb#..#..#..#bbbbbbbBBBBBBBBBBb#..#..#---#---............b....#..#...#bG.b#b....GG...B#...#..#...#bbbbbbBBBBBBBBBB#...#..#....#B..................#..#....#BGE.b#b#.GG..b#....#..#....#BbBBBBBBBBBBBb#....#..#........................#..#........................#.` },
-  { variant: 'championship', num: 33, data: `-------------#G-------------.G.GEG.......G#.......GMG.G.bbbbbbbb.....#G.....bbbbbbbbbb.....bb....G#....bb.....bbbSb....b.b...#G...b.b....bSbbSSb...b..b..G#..b..b...bSSbbSSSbE.b...b.#G.b...b.EbSSSbbSSSSXXbbbXbbG#bbXbbbXXSSSSbbSSSSX.b....b#Gb....b.XSSSSbbbbbbXbbG...bG#b...GbbXbbbbb.b###X##bG..b#Gb..Gb##X###b...b##X###bG.bG#b.Gb###X##b..#..b#X####XGb#GbGX####X#b..###..bX#####XbG#bX#####Xb..##..#..XXbbbbXb#GbXbbbbXX..#..bb##.........G#.........##bb` },
-  { variant: 'championship', num: 34, data: `.S..-............E..........BS.#..b#..........B--------X.#B#bBBBBbbB#bbbB#.#.......##BBB#.-.B.G.B#bbB#..B...B..##BG..#G.GB#E-##bB#--G...G-B##BB#.#.#BB#..BB#B#..B.G-B..##GB#.#.BG.#..GB#B#--G.B.G-B##BG#-#BB#.#.G#B#B#..B-G.B..##GB#.BG.#.#.X#.#B#--G.B.G-B##BG#BB#.#.#.BGB#B#..B.G-B..##BBBG.#.#.#.GXG#B#--G.B.G-B##GBB#.#.#.#.#BBB.#..B-G.B..#BBG.#.#.#.#.#B..b#--G.B.G-B#B.#.#.#.#.#.#.b#B#..B...B..#GB#B#B#B#B#.BBB.M#BS....EE.##.#.#.#.#.#....b#BBBbbbbBBbB` },
-  { variant: 'championship', num: 35, data: `S..........................SS..G..E.G.......G....G..E.GSBBBBBBBBBBb#..#bBBBBBBBBBBBB...........#..#........................#bb#.............G..EG....G.#..#......G..E.G.bBbBbBbBbBbB##BbBbBbBbBbBbBb............##..............------....G.##...G..--------......#BBBBBBBBBBBB#..............#............#.........G.E..#.G.....G....#...GE.G.BBBBXbbbbbbb##bbbbbbbXBBBBBB............##..........................##...............G....MG....##.....G......G.` },
-  { variant: 'championship', num: 36, data: `..SSSSSSSSSSSSSSSSSSSSSSSSS...S..E......-----.....M...S...Sbbbbbbbbb..#..bbbbbbbbbS...SS#-#-#-#.b###b.#-#-#-#SS...b-#-#-#-#-b#.#b-#-#-#-#-b...b-#G#.#G#-b###b-#G#.#G#-b....bbbbbbbbb.###.bbbbbbbbb...............#.#.........................###.....bbb.................###....b--#.G..#b.-----G....#.#...b.G.#bbb.#BG.---.b....###--.B.b.#--..#bBbG-.b#bBbBb#b..b....#....#..bBbBb#...E.#.bBbBbBbBb.GBB#......Bb.bBb#b#...G...G.bBbBbB#Gb#......G.#bBbBbBbBbBb` },
-  { variant: 'championship', num: 37, data: `..........................S......#------------------#S.......#-.-.-.-.-.-.-.-bbb#........#.b.b.b.b.b.b...b.b.#.....#bbbbbbbbbbbbbbb..bbb..#....#b.bbbb.b.bbb.b.Xbbbb.#.....#bbbbbbbbbbbbbbbXbbbb#....E.#bbb.bbbbb.bbbbbXbbbb.#..#bbbbbbbbbb.bbbb.G.Xbbbb..#.#bb-bbbbbbbbbbbbXbbXbbbb...##bbbb..Gbbb.bbbbXbbXbbbb..#.#b...#bbbbb.bbb-Xb-Xb-bb.#..#Xbbb#XbbbbG.bbXbbXXbbbb#...#Xb-bbb--bbbb--XbbX--bbb.#..#Xbbbb----bb----bb----bb..#.#...##..E.##..G.##.G..##.M.#` },
-  { variant: 'championship', num: 38, data: `M####bbbb.#bbb#-----bbbb#####bbb#-----#bbb#bbbb.bbbb#bb##bbb.bbXbE#bbb#bbbb-----#bb##.GEGE.GEG#.G.#G.G..GG..G..#bbb.BBXb.b#Xb#bb#b.XbXb.bX#bbbb..GXb.b#Xb#bb#b.GbXb.bb#bbXb.bbXb.b####bb#b.XbXb.#.##GG.G---------..G#.G.G...G.G.bb.X#bbEbXbb.bXb#.bXb#.bbXX.bb.X#bb.bXbG-####.bGb#------bb.X#bb.bXbb.bbb#.bXb#.bbbb.G.G.#...G.G..GG.#.GG.#..GG.Gb#X#bX#Xbbb.bbbb#XbbX#bbbb.bb#X#bb#Xbbb.bbbb#XbbX#bbbb.bb######Xbbb.bbbb#XbbX#bbbb.bG#GGGGGGGGGGGGGG#GGGG#GGGGGG` },
-  { variant: 'championship', num: 39, data: `.E.........--..........M.......#bbbbbbb...bbbbbb#..........#bbbbbbb...bbbbbb#-#-.SS....#....bbb...bbb...E.#.S..S#--#....bbb...bbb.....#.S..S#..#...bbb.....bbb....#..SS.#..E..bbb.......bbb...#.....#....bbb.GG...GG.bbb..#.S.S.#....bbb.bb...bb.bbb..#.SS..#....bbb.........bbb..#.S.SS#....bbb..bbbbb..bbb..#.....#....bbb..bbbbb..bbb..#bBbb##.....bb...bbb...bbb..b.G.b#bbbbb#bbb..GbG..bbb---b.b.b#b.G.b#.bbbbbbbbbbb----bb.bb#b.b.b#...bb...bb...........#` },
-  { variant: 'championship', num: 40, data: `............................#----.......................#.ME.#bbb#..---------..#bbb##...b#bbbbb#..-----..#bbbbb##..bb#b#bbb#bb.....bb#bbb#b##..bb#b#bbb#bb.bbb.bb#bbb#b##...b#bbb#bbbb..#..bbbb#bbb##....#bbb#bbbb.b#b.bbbb#bbb##...b#b#bbb#bb.b#b.bb#bbb#b##..bb#b#bbb#bb.b#b.bb#bbb#b##..bb#bbb#bbbb.b#b.bbbb#bbb##...b#bbb#bbbb.b#b.bbbb#bbb##....#.#bbb#bb.b#b.bb#bbb#b#b#..#bb#bbb#...b#b...#bbb#b#bb##bbbbb.G...bb#bb...G.bbb#bbbbbbbbbbbbbbbbbbbbbbbbb..#` },
-  { variant: 'championship', num: 41, data: `.........E....S...........bSbb...#bbb.....S..b.bSbbbbbbS...bb#....bSbbbbbb.bbb....bS.....#..b.bbbbb..b.....#b.bS.bSbbbbbb........bbbbbbb..bS.bbb....bbbbbbb.......E..bbS................b..bbbbbbb.Sbbbb.bb...M..bbbb#.b.......S.......#bbbb.....#.....#bbbS.#bb...#...G.bbbb#.#bbbb.G.Sb#...bbb.#bbb......G....#bXS.#..G....#.....G.#bbb...#....bbbbbb#bb.bbbbb.#....bbbb#..G...E.#.....G...#........#.bbb.bbbbbb#.bbb..bbbb#..#bbb..........#..........#..#...` },
-  { variant: 'championship', num: 42, data: `.....----........SSE............#....bbbbbbbS..Sbbbbbb....#bbbbb.b.....bS..Sb....b....#b...bbbbb...bMSS.b.#bbbbb#b#bbb.b...b#..bbb#bb.#b.b.b#b...b.b...b#...b.#...#bbb.b#b..Gb.b.b#bbbbbbb#...#b...b#b.bbbbb.b#......bbb#b.bbbbb#b.b.b.b.bbb..b#bb..#bbbb#..#bbbbb.bbb.#bbbbb...#b..b#..#..b.....bG#.b.bbbbbbb#.b#G.#..b..bbbbbb.b.b.E.b.G#bbbb.b#bbb#b.Eb.b.b.b...b..#b.Eb.b#..b#b.Gbbbbb.b...bbbbb..b.b#..b#bbbbbb...bbbbb...bXbb.bbbbb#............b.....X...` },
-  { variant: 'championship', num: 43, data: `...bbb#bbb........bbb#bbb....bbb..#.....bbbb.....#..bbb..b....#bbbbbb..bbbbbb#....b..bbSbbbb............bbbbSbb...bS.....#bbb..bbb#.....Sb..X.bSbbbbb#........#bbbbbSb.XXBBSBBBBBBBB#..#BBBBBBBBSBBXX..S...G.b..#..#..b.G...S..XXBBSBBBBBB#B.--.B#BBBBBBSBBX...S......#.b..b.#......S...Eb.S.b#.M.#bb..bb#.E.#b.S.bE.bbbbb#bbbb#b..b#bbbb#bbbbb.E....b#bbG.#bGGb#.Gbb#b....Ebb..bb#.b--#bGGb#--b.#bb..bbbbb...#..bbbbbbbbbb..#...bbbbbbbbbbb#..........#bbbbbbbb` },
-  { variant: 'championship', num: 44, data: `..................M........S.bb#b#bbbbbbb#bbbbbbbbb#bbbS...#.b#b.....#.b#b.....#.b.S.bb#bb#bb.b#bbbb#bbSbbbbbbbS..#.S.#.....#...#..#.....#.S..b#..#b..bb#..b#b.b#..b.#-..b.#..#..-.b#..bbb..b#bbb#...b#b.b#bbGb#b#.....b.#...b#...#b..b#b-#b.#-b#b...#.b#b#...#....#bbbbEbb.#.bbbb..#b#..b#.-.b#b-..b..b#.....-.#b#..b#..b.#bbbb.#b.#.#bGbb.#b#...#..#b#---bb.b#..##b---#b#..bb#.#..#....b#b.b.#bbbbb##....bbb#-.#----#---bb-----#..............E...............` },
-  { variant: 'championship', num: 45, data: `bbbbbbbbbbbbb...............bM.b..b.G...b.#...----------b..bG...#b.Gb-#...#.........bbbbb#bbbbbbbE#..S#.bbbbbbb.b..bG#b..bG.b.#.S.#.GbbbGbb.bG.b.#bG....b-#S..#.bGbbbbG.bb.bb#bbbbbbb.....#.GbbbGbb.b.Gb.#b.Gb#.b.....#.bGbbbbG.b...G#b..bG.b.....#.GbbbGbb.bbbbb#bbbbbbb.....#.bGbbbbG.b--b.#b--b..b.....#.........b--b.#b--b.Eb.....#bbbbbbbbbbbbbbbbbbbbbb.....#b..#b..Gbb#.b.....b........#bbbbbbbbbb#E...b.G..#b.....#b...b#.Gbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 46, data: `.......ES.....SE............BB.BB..BS..M..SBB..B..BBBBB.B.B.B..B.S.#.S.B.B.B..BBB...B...B..B..S#S..B..BB..BBBBB.bbbbbXbbbBb#bbbbbbbbbb.Ebb..#-.........#.-..-.G-GGb#bbb##..GbbbbbGb#bG#b.#b.#bb#..b##.GGbbbbbGb#bBBBXXb#bXbGbbb##GGGbbbbbGb#.G....BB.G...G.##bGbbbbbbGb#XBBbXbbbbbbBBbb##..BBXGXBBB#B.GXXb.GbB.GBBB#bb#BBGGGBBB#b#bbbBbbbbbbbbb#b.#BGGGGGBB#BG.......G...Gb#b#bbbbbbbbb#BBBBBB.bbbbbBBb#b#.G.G.G.G.#.bbbbb#bG.....G#bbbbbbbbbbbbB.bbbb#Eb#bSbbbb` },
-  { variant: 'championship', num: 47, data: `#.-.E..E..E..E...-..-..-.M-##b.bbGbbGbbGbbGbb.bb.bb.bb.##bb.bb.bb.bb.bb.bb.bb.bb.bb##.bb.bb.bb.bb.bb.bb.bb.bb.b##b.bb.bb.bb.bb.bb.bb.bb.bb.##bb.bb.bb.bb.bb.bb.bb.bb.bb##.bb.bb.bb.bb.bb.bb.bb.bb.b##b.bb.bb.bb.bb.bb.bb.bb.bb.##bb.bb.bb.bb.bb.bb.bb.bb.bb##.bb.bb.bb.bb.bb.bb.bb.bb.b##b.bb.bb.bb.bb.bb.bb.bb.bb.##bb.bb.bb.bb.bb.bb.bb.bb.bb##.bbGbbGbbGbbGbbGbbGbbGbbGb##b.bb.bb.bb.bb.bb.bb.bb.bb.##..........................#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'championship', num: 48, data: `.........S........S..................S........S.............b....S........S....b........bBBXb#bXBBBBXb#bXBBb........bGGXb#bX....Xb#bXGGb........bbb.B#b.bbbb.b#B.bbb...........BB#BB....BB#BB..........bBBXB##B......B##BXBBb......bGGXB#bbBXBBXBbb#BXGGb......bbb.B#bGGXBBXGGb#B.bbb.........BB#bbb.BB.bbb#BB........bBBXB##...BBBB...##BXBBb....bGGXB#............#BXGGb....bbb.B#............#B.bbb....EE.B##..M.......EE##B.E...bbbb#.#bbbbbbbbbbbbbb#.#bbbb` },
-  { variant: 'championship', num: 49, data: `bbS.....................SbbbbbbbbSE.....M.......ESbbbbbbbbbbbbbbbS#bbbbb#Sbbbbbbbbbb.....G....#X...X#.....G........#bb....#bbGbb#....bb#....#bbbb..#b.#bbbbb#.b#..bbbbb##.....#bbSbbbbbbbSbb#......##..E.#X.bSb..XG.bSX.b#..E..##bbbbbbGbSbGbbb.bSbGbbbbbbb##.....bXbSbbbbbXbSbXb......#Xb#......S.......S......#bbbXbbbb#b.SbbbbbbbbbS.b#bbbXXbXG..b#bbS#b.GbG.b#Sbb#..b.GbbbG..#.bb#b.XbX.b#bb.#.b..bbbbb..#...#bbbbbbb#...#b.....bbbbb#bbb#.......#bbb#bbbbbb` },
-  { variant: 'championship', num: 50, data: `M......--....--.----.b.GEG.GEb#..#B..G.B#bGbGb...b#bXb.#BbbbbbB#b.bb#b.b.bbbb##bb..#BbbbbbB#.b.b#b--.bGbb#.bb-.#........#...#bbbbbbbb#..G..##bbbbbbX#...#--b.bGbb..bb.bb#b..b#.b#b.Gb.#bG.bbbBB..bbb#bG.b.Gb#bb.b.#bbbG#.......G#.bbbbb.#..b..#bGbb#-.G.b#bb#b.#b..b#..bEb#bbbG#.bb.G#bG#bG.b.GX#...bb#bGb..#bG#b.b.#.bbbbb.#....b#b..Eb#b##bbbb#b..b..b#....-#.G.b##.bb...G.bG.b.Gb#...#.G.b.b#.....#bbGbbbbbbb#...#.b.bB##.#bb.#bG........#b..b.bB..#..#bbG#b.` },
-  { variant: 'championship', num: 51, data: `M.bEEEEb....G....G..........b.b----b#bbbbbbbbbbSbbbbb.....b....b#b....-....S..-..-....G....b#b#bbbSbbbbGbb.bb.bbbbb....b#b#bGbSbbbbbGbb.bb.b##.....b#b#b.bS....bbGbb.bb.##.....##b#bbbS.....bbGbb.bb##........#b..S......bbGbb.bbbb....bbb#b..S.......bbGbb.BBBBBBBBBBbbSbbbbbbb#..bbGbb............SbG#b...#...bb.bG.........b#Sb..b...#.......bbbbbbbbb#bbbbBBbbbbbbbb#bb#.........#..........b....b.#G........#....#X#..GbbbbbG.#bbbbbbbbbbbbbbbbbbbbbbbbbX#b` },
-  { variant: 'professional', num: 1, data: `E.............M............EbSbbbbbbbbbbb..bbbbbbbbbbbSb############################G##...###....##...###....##GG##.#..##.##.##.#..##.##.##GG##.##.##.##.##.##.##.##.##GG##.#..##.##.##.#..##.##.##GG##...###....##...###....##GG##########################GG##########################GG##....##....##....#.....##GG##.#####.##.##.######.####GG##....##.##.##...####.####GG#####.##.##.##.######.####GG##....##....##.######.####G############################` },
-  { variant: 'professional', num: 2, data: `...........SSSSSSS...................SSSS.......................SSSS................#------.#...........M.......#......b#.....#Bbbbbbbbbbb..#......b#.....#Bbbbbbbbbb...#......b#....#BBbb....bb....#......bb.E.#BBbbG....Gb....#....BBbbBBBXBbbb......b....#...Bb#########bbbbbbbbb....#...BbG.......Gbbbbbbbbb....#...BbXbbbbbbbbbbbbbbbbbG...#.EBBbXbbbbbbbbbbbGGGGGbbbX.#.BBBBGGGBGGGBBBBB.GGG.BBG..#......G...G........G......Ebbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 3, data: `SBBBBBBBBBBBBBBBBBBBBBBBBBBBS.G....BBBBB.-..B..---....BBbbbb#bG..-..-E#.B.#...#BBGGGBBBB#bb#BGB#..#...#...#BBbbbBBB.#GG#BGB#..#-.-#....BBbbbBB.-BbbBBGB.-E..#......B.BbXB.-.B...BGB#.bbbb.....-..G...-.BBBb#BGBG#.....b#bb.B.B#.G.B...b#BGB#G.GGGGG#GGBB.G#.b.B...b#BGBG#.b#bbbbbbBB#B...-B...b#BGB#G.G#..G..GBB#G..bbB...b#BGBG#.bbbbbb#bBB.B#.#B...Gb#BGB#G.G...G.#.BB.G#.#bbbbbb#BGBG#.bbbbb.#.B.#B..#......#...#.M.....#bbbbbbb#bBbBbBbBbBbBbBbBbBb#GGGGGGX.` },
-  { variant: 'professional', num: 4, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBBSG.B..EEG.G..M...G.GEE..B.G.SB#BBBBBB.BBBBBBBB.BBBBBB#BBG.#......................#.BGG#.....G.G......G.G.....#GBGbbbbbb#b.bbbbbb#b.bbbbbb#bBGG.....#G.G.....#G.G.....#GBGb#bbbbbb.b#bbbbbb.b#bbbbbbBGG#.....G.G#.....G.G#.....GBGbbbbbb#b.bbbbbb#b.bbbbbb#bBGG.....#G.G.....#G.G.....#GBGb#bbbbbb.b#bbbbbb.b#bbbbbbBGG#.....G.G#.....G.G#.....GBGbbbbbb#b.bbbbbbbb.bbbbbb#bBG......#.................#...bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
-  { variant: 'professional', num: 5, data: `............................G...........ESE............GbBbB#BbBbBbBbBbBbBbBbBb#bBbB....#G.......G........G#....bbbbbbb#bbbbbbb#bbbbbbbbbbb#G.B.G.B#.G....B#.G.........#bBbbBbbBbbBbbBbbBbb#bbBbbBbb.G...B.G...BG......#...B...GBbBB#BBbBBbBBbBB#BBbBB#BBbBBG..B#....B.G.BGB#....B#.....bBbBbB#BbBbBbB#BbBbB#BbBbBb#G.....#...B..M#..B..#B..G..#bbbbbbbbb#bbbbbbbb#bbbbbbbbb.........#........#..................#........#.........GGGG#bbBbbBbbBbbBbbBbbB#GGGG` },
-  { variant: 'professional', num: 6, data: `...-....-....-....-....-....#BBEBBBBEBBBBMBBBBEBBBBEBBB##..........................##..---------------------...##..........................##..............G...........##...............G..........##......bbbbbbbbbbb.........##.....b.....b.....-........##....b......b.....G-.......##...b.---------------bbb...##..bb...bbbbbbbbbb...bbbbG.##.bbb.G.bbbbbbbbbb.G.bbbbb.##....GGG..........GGG......##.....G............G.......#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 7, data: `.............S...........................S...............E.G---------S----------G.E.#bbb.....GGG.S.GGG......bbb##.G.....GbbbGSGbbbG......G.##bb....GX...bGb...XG.....bb##.G....b.....X.....b.....G.##bb....bG.........Gb.....bb##..G....bG.......Gb.....G..##bbb.....bG.....Gb......bbb##...G.....bG...Gb......G...##bbbb......bG.Gb.......bbbb##....G......bGb.......G....##bbbbb.......X........bbbbb##E...........M............E#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 8, data: `...........................S.-------------------------.S#..G.......G.......G......bG#.bbb..-..bbb..-..bbb..-..bb#.....-.#.....-.#.....-.#...#....E..#....E..#....E..#...bbbbbb..bbbbbb..bbbbbb..bbb#G......................#...#bbbb.......#bbbbbbbbbb#.bbbbG...bb#.--.#...........##...#bb...#BGGB.bbbbb#bbbbbb.#..#..bbbbbbbb.bbbbb#........#.#...........bbGbb#...M...#..bbbbbbb#bbbbbbbbb#bbbbbbb..........#......---#bGGGGG#bb.G#bbbbbbbbbbb#GGG#Gbbbbbbb#G` },
-  { variant: 'professional', num: 9, data: `.............##----#####bbbb............#bb#---#GG.#bbbb...........#bbbb#...##G#.#.#..........#bbbbbb#....##G#G#..........#bbbbbb#.....#####..........#bBbBbB#.....#.#.#..........#GBbBbG#.....#.#.#..........#bBbBbB#.....#G#G#G---------#bBbBbB#.....######G........#GBbBbG#.....#.#.#b#G.......#bBbBbB#.....#.#.#bb#G......#bBbBbB#.....#G#G#bbb#G.....#GbbbbG#.....#####bbbb#G....#bbbbbb#.....#.#.#bbbbb#G..#Bb.bB.bB#...M#G#G#bbbbbb#.E#Bb.bB.bB#E.#bbbbbb` },
-  { variant: 'professional', num: 10, data: `bbbbbSbbbbbbbbbbbbbbbbbbbbbb....bSb.------.b.----------.SbbS.Sb.bbbbbbSb.B..G...G..#S.bbbbb.b....bSb.B.bbb.bbb.#bS.....-bSbbS.Sb.B..G...G..#bbbbbbb.bS.bbbbb.B.bbb.bbb.#E.....G.bbS.G...-B.EG...GE.##bbbbbb.bbbbbbbb.B.bbb.bbb.##--------------------------##.G#.G#.G#..B#########B.-G.##.#G.#G.#G..B##BBBBB##B.G-.##.G#.G#.G#..B#########B.-G.##.#G.#G.#G.......G......G-.##.G#.G#.G#...BbBbBbBbB..-G.##.#G.#G.#G.M-....-....-..-.#bbbbbbbbbbb#G#bb#G#bb#G#bbbb` },
-  { variant: 'professional', num: 11, data: `S...........................S...........................SbBBbbbbbbbbbbbbB#EE.G......SXBB.----------.Bbbbbbbbbbb#S.GB.GGG.......#B.....G....#SbBB.GGG.bbbbb.#B#bbbbbbbbbbSXBB.GGG.bbGbb.#B#...G......S.GB.....bbbbb.#Bbbbbbbbbbb#SbBB...........#B.....G....#SXBB.----..G..-#B#bbbbbbbbbbS.GB#....bBbBb..B#...G......SbBB#.--........Bbbbbbbbbbb#SXBB#BGGB#..GG..B.....G....#S.GB#bbbbb.bbbb.B#bbbbbbbbbbSbbB#.........EEB#...G.....MSbX.#bbbbbbbbbbb.#bbbbbbbbbb` },
-  { variant: 'professional', num: 12, data: `..........EE................Xbbbbbbbbbbbbbbbbbbbbbbbbbb#Gb.-.bbbbbbbbbbbbbbbbbbbbbB#Gb#bGb.-.bbbbbbbbbbbbbbbbbB#Gb#bGb#bGb.-.bbbbbbbbbbbbbB#Gb#bGb#bGb#bGb.-.bbbbbbbbbB#Gb#bGb#bGb#bGb#bGb.-.bbbbbB#Gb#bGb#bGb#bGb#bGb#bGb.-.bB#Gb#bGb#bGb#bGb#bGb#bGb#bG.B#Gb#bGb#bGb#bGb#bGb#bGb#bb#B#Gb#bGb#bGb#bGb#bGb#b..#bb#B#Gb#bGb#bGb#bGb#b..#bbbb.##B#Gb#bGb#bGb#b..#bbbbBBB.#BBB#Gb#bGb#b..#bbbbbbbb...#B#.B#Gb#b..#bbbbbbbbbbbbEG...#bB#..#bbbbbbbbbbbbbbbbbbbbb#bM#` },
-  { variant: 'professional', num: 13, data: `.............BbE.G..M..B....SB...-.......BbbbbXbbXbB....SBbbbGB#.G...BBBB.b.BBBB....SBGbbbB#.#X#G-....---------GSBbbbGB#.#X##.-..........-.#SBGbbbB#.#..#..-........-..#SBbbbGB#.#-.#...-......-...#SBGbbbB#-#..#....-....-....#SBGbbbB#-#..#....--..--....#SBbbbbB#....#.....-..-.....#S........--.#...G.----...G.##bBbBbB#bGGb#BbBB..--..BBbB##......#BbbB#......--......##E....E#....#......--......#XBBBBBBB.GG.#...G..--....G.#XGGGGGGB....#......--......#` },
-  { variant: 'professional', num: 14, data: `S...........................Sb...........BBBBBBBBBBBBBB.Sb..-#.......BBBBbBbBbBBBG#.Sb.b-.#........#......E.BB#.Sb.b-.#..#...--#bbbbbbb.B##.S-Sb-..#B#.XbX.#-.......B#...bSb-...G#.XGX.#.-.....--#...bSG...#B#.XXX.#..-...-M..b..bSb....G#..-..#...-.-....bX.BB....#B#XbX..#....-..............#B#XGX..#.....-.........bbX.#B#XXX..#......-.........G..#B#.-...#.......-.....#BBBXB#B#-....#.............#BBBBB#B#E....#...........G.#.....#BbbbbbbbbbbbbbbSbbbb` },
-  { variant: 'professional', num: 15, data: `B..........B.SS.B..........BB...G..G...B.SS.B...G..G...BBBBBBXXBBBBBS..SBBBBBXXBBBBB#------..--..SS..-B..GGGGGGG#.GbG...G#.G.SS...B.#BBBBBBB#bXbXbbb#..GS..S..B.#GGGGG..#GXbXG.....S....S.BBBBBBBB#.#b.bXbX..BEG.....MB...GGGG#.#bbbXbX..bbbbXbbbbb.##BBBBBB#..--#..-#--------##.----..GBBB..#.-.#...GG...#......BBB.-#..#-..#...GG...#......#-.G#...-....#......#....-...#G#..BB......#....#....-.BB..##...E.......#..#.......E...##GbbbbbbbbbbbXbbbbbbbbbbbbG#` },
-  { variant: 'professional', num: 16, data: `............................S...--.B...B.-............-.Sb.b-.#B#B#B#Xbbbbbbbbbbb#.GSb.b-.#G#B#G#X...........#.GSbGb-.bbbBbbbXbbbbbbbbbbB#.GSbbb-.G....EEX...........#.GSb.G..#bbbbbbX#BBBBBBBB#B#.GSb.b..#.....GX#B......B#B#.GSBXB..bbbbbb#X#BbBBBB#B#B#.GS..B..G.....#X#BG...B#B#B#.G.BBB..#bbbbbbX#......#B#B#.G......#.....GXBBBBBBBBB#B#.G.-----bbbbbb#..........#.#.G.GGGGG......##BBBBBBBBBBB#.G............##M.........E#...bbbbbbbbbbb##bbbbbbbbbbb#bb` },
-  { variant: 'professional', num: 17, data: `.............BB.............S........G.BX..XB.G........SS......G.Bb..EE..bB.G......SS....G.Bb.--------.bB.G....SS..G.Bb...G.......#..bB.G..SSG.BBbbbXbbbXbbbbb##bbbBB.GSSBB-------b..G...b.#b----BBSSb........b.GGG..B#.B.....bSSb.G......#------B.#B...G.bSSb.GG.....#......##.#..GGGbSSb#bbbbbbbbbbbXbbbbbbbbbb#bSSb#.....b-------------b..#bSSb#.....b.............b..#bSSb#.....b.............b..#bSS##G....#...G..M..G...#..##Sbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 18, data: `........S..........S...............GS..........SG.......#BBBBBBBB..#B##B#..BBBBBBBB##.........b#B##B#b.........#BBBBBBBBBBB#B##B#BBBBBBBBBBBG..........#B##B#..........GbbbbbbbbbbbbB##Bbbbbbbbbbbbb-.-....E....-##-....E....-.-G#GBbbbbbbbBG##GBbbbbbbbBG#G.#.B..bbb..B.##.B..bbb..B.#..#.B..bbb..B.##.B..bbb..B.#..#.BbbbGbbbB.##.BbbbGbbbB.#..#.B..bbb..B.##.B..bbb..B.#..#.G-#---#-G.##.G-#---#-G.#..#.b.#.G.#.bM##.b.#.G.#.b.#.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 19, data: `bG#.Eb#bbb#bG#..b#bbb#bG#.Ebbbb#bG#..b#bbb#bG#..b#bbb#bG.Gb#bbb#bG#..b#bbb#bG#..b#bb#bG#..b#bbb#bG#..b#bbb#bG#..#bbb#bG#..b#bbb#bG#..b#bbb#b#.Gb#bbb#bG#..b#bbb#bG#..b#bb#bG#..b#bbb#bG#..b#bbb#bG#.b#bbb#bG#..b#bbb#bG#..b#bbb#G#..b#bbb#bG#..b#bbb#bG#..b#bb#bG#..b#bbb#bG#..b#bbb#bG#Gb#bbb#bG#..b#bbb#bG#..b#bbbXG#..b#bbb#bG#..b#bbb#bG#..bbbb#bG#..b#bbb#bG#..b#bbb#bG.Gb#bbb#bG#..b#bbb#bG#..b#bb#bG#..b#bbb#bG#.Mb#bbb#bG#..bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 20, data: `..............S......E......-M..----.....S-S.....GSSSSSG.bXbbX.Ebbbbb#Sb...b.Sb...b#.....X..b...b#Sb...b..b...b#.GGG.X..b...b#Sb...b..b-..b#.GGG.X..b...b#Sb...b..b.-.b#.GGG.X..b...b#SbGGGb..bb.-b#.GGG.X..b...b#Sbbbbb..b.b.b#.GGG.X..b...b#Sbbbbb..b-Gbb#.GGG.X..b...b#Sb.G.b..b.-Gb#.-...X..b...b#Sb...b..b..-b#G....X..b.GGb#Sb...b..b...b#.....X..bEGGb#Sb...b..b...b#.bbbbX..bbbbb#Sb...b..b...b#.............#S............#BBbBBbBb#X#bb#SbbbbbbXbbbbb#` },
-  { variant: 'professional', num: 21, data: `SbEEGGGGGGGGGGGGGGGGGGGGGGGbSbbbbbbbbbbbbbbbbbbbbbbbbb#bSbGGGGGGGGGGGGGGGGGGGGGGGG#bSbBBBbBbBbBbbbbbbbbbbbbbbb#bSbGGGGGGGGGGGGGGGGGGGGGGGG#bSbbbbbbbbbbbbbbbbbbbbbbbbb#bSbGGGGGGGGGGGGGGGGGGGGGGGM#bSb#bbbbbbbbbbbbbbbbbbbbbbbbbSb#GGGGGGGGGGGGGGGGGGGGGGGGbSb#bbbbbbbbbbbBbBbBbBbBBBBBbSb#GGGGGGGGGGGGGGGGGGGGGGGGbSb#bbbbbbbbbbbbbbbbbbbbbbbbbSb#GGGGGGGGGGGGGGGGGGGGGGGGbSbbbbbbbbbbbbbbbbbbbbbbbbb#bSEEEGGGGGGGGGGGGGGGGGGGGGG#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 22, data: `E.-.#--G--....E------------#S#.-#..B..-...#..----------##S..-..B.#.-..#..G..G..G..G.S#...-.B.#-.-.#..----------##S.bb.-..#.-.-#-#.........-#S#.bb..-.#..-.-.#-----#..#-X#S.GG...-#...-.-#..G.G#.G#.GS#.....-.G.G.G.G..#---#--#-b#S.-..-...........#......#..S#.G.-bbbbbbbb#bbbbbbbbbbX--#S..-.....G.#.#..G.......-.-S#.-....G.#.#-#.bbb....--.-.#S.G....#.#-#.G..G...--....#S#......#-#.G...bbb--.M....##S......#.G...........BB#bbbbbbbbbbbbbbbbbbbbbbb#...#bbG` },
-  { variant: 'professional', num: 23, data: `bbbbbbb##----------##bbbbbbbbbbbbb##...-....-...##bbbbbbbbbbb##.....bEEb.....##bbbbbbbbb##....-.bbbb.-....##bbbbbbb##....-.bbbbbb.-....##bbbbb##-----.bbbbbbbb.-----##bbb##....-.bbbbGGbbbb.-....##b##......bbbbbbbbbbbb......##b##....-.bbbbGGbbbb.-....##bbb##....-.bbbbbbbb.-....##bbbbb##....-.bbbbbb.-....##bbbbbbb##....-.bbbb.-....##bbbbbbbbb##....-....-....##bbbbbbbbbbb##............##bbbbbbbbbbbbb##E...M....E##bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 24, data: `.......###b-----------------......#GGGbSS...SS..#......E.....#....bS.S.S....#......B....#.....bSS..S.S.B#BG....B...#.....GbS.S.SSS.B#BXXXXXB..#.....Gb.SS..GGGGB#B.G...B.#......bbb#...bbbbB#BXXXXXB#.......bbb#...bbM.B#B..G..B#.......b.G.#..bbbbB#BXXXXXB##......b.b.#...bbGB#B...G.B..#.....b.b#...bb.GB#BXXXXXB...#....b.b#..bb..GB#B....GB....##.Gb.b#.bb...GB#BXXXXXB....E#....b#bbGGGGGB#B.....Bbbbbbbbbbbbbbbbbbbbb#bbbbbXbbG.................G#G....GB` },
-  { variant: 'professional', num: 25, data: `M.....G.G......------#.....SBBBBBBB.bbbbbbb#GGb..#.....S..-----........#..b..#BBBBBB.-...b#GG.G...G#GGb..#......-G..Gbbbb.bbbbbbbbb.bbbbbbb#-bbbbb.GG.G--------#.......#-----b.bbbbbG.G.GGG#.......#.E...b.bbbbbbbb.#--#.G..b..#XbbbbbG.G...b#--#..bbbbbbbb#.bbbbbbbbG..b#.............#bbbbbbbbb.GGb#b.....G.G....#G....G.bb.#b.#b#bbbbb.bbbbb#bbbbbbXbb.#bG#b#......E....#.G....Gbb.#bbbbbbbbbbbbb#..#Xbbbbbbb#G#bbGbG......Gb#..#..G....G#bbBbBbBbBbBbBbBbBbB` },
-  { variant: 'professional', num: 26, data: `...........................#.....................E.....#..#bXb#.....M#bbbbbbbbbbbbbb..#...#.....G#................#...#.....G#..G.G.G.G.......#...#.....G#.G.G.G.G.G......#GG.bbb#..G#..G.G.G.G.......XbbX.E.#..G#................#GG#...#..G#bbbbbbbbbbXb#...#BB#...#..G#....E.......#...#GG#...#..G#............#...#BB#...#..G#............#..........#..G#............#..-.......#-.G#............#...b..#bbb#.#G#..........G-#.Gb#bb#GGb#.XbXS.........b.#.` },
-  { variant: 'professional', num: 27, data: `..-..E--------------#.........BBbb..............#...........................#............#---...........#....#.......S......G....---#-...#..bX...#......bbBBB...#.Bbb#...#...S......G-......#....#....S..#......G.-.....#....#....G..S......G.---##.#....#.......#......G.#..G..#G...#.......#......G.#..S..#G...#..BbbBSbG.....G.#.....#G...#..bb..S...M---G-#.....#G...#........B.....XB#.....#G...#..------......G.#....G#G...#...............#bBbBXbBB...#..` },
-  { variant: 'professional', num: 28, data: `............E..............MSBBBBBBB..BBBBBB..BBBBBB..BBSB.G.......--...............SB.BBBB#.--Bbbb#bb#bb#bb#bb#SBG....#-..BE..#.G#.G#.G#.G#SBB..--....Bbbb#bbbbbbbb#bb#S..--......BE..#.G..G..G#.G#S--........B#bbbbbbbbbbbbbb#SGB#bG...Gb.#..G....bbbbbb.#B#B#bb...bb.bbbbbb#.bbbbb.###XB#bbbXbbb....G..#.bbbb.##bX#B#bb...bb.#bbbbbb.GGb.##bb#XB#b.....b.#.......bb.##bbbX#B#bXbbbXbbbbbbbbbbb.##bbbb#XB#.................##bbbbbX#.#bbbbbbbbbbbbbb#G##bbbbbb` },
-  { variant: 'professional', num: 29, data: `...................................E.bbb#.....................Gbbbbbbb#..................Gbb....bbb#.................bb......bbbbbb#.............bb......bbbbb##.............bb...........#..............bb..........E#..............bb......bbbbb#..............bb......bbbbbb#..............bbG..Gbbb....#...............bbbbbbb.....#................bbbb.......#...........................#........M..................#.......Ebbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 30, data: `.G.#b#.G.#b#.G.#b#.G.#b#.G.#b#bb.bb#bb.bb#bb.bb#bb.bb#bb.#.b.b.#.b.b.#.b.b.#.b.b.#.b#b#.G.#b#.G.#b#.G.#b#.G.#b#Gb.bb#bb.bb#bbMbb#bb.bb#bb.bbb.b.#.b.b.#.b.b.#.b.b.#.b.b..G.#b#.G.#b#.G.#b#.G.#b#.G.#b#bb.bb#bb.bb#bb.bb#bb.bb#bb.#.b.b.#.b.b.#.b.b.#.b.b.#.b#b#.G.#b#.G.#b#.G.#b#.G.#b#Gb.bb#bb.bb#bb.bb#bb.bb#bb.bbb.b.#.b.b.#.b.b.#.b.b.#.b.b.EG.#b#.G.#b#.G.#b#.G.#b#.GE#b#bb.bb#bb.bb#bb.bb#bb.bb#bb.#.b.b.#.b.b.#.b.b.#.b.b.#.b#b#.G.#b#.G.#b#.G.#b#.G.#b#G` },
-  { variant: 'professional', num: 31, data: `EE....M....EE---------------#bbbbbbbbbbb#..............G#bG.......Gb#Gbbbbbbbbbbb#b##bbbbbbbbbbb#BBBBBBBBBBBBX#X#-----------#.Gb.G..b.G.b#XG#XXXXXXXXXXX#b#b#b##b#b#bXb##...........#b#G#b##G#b#...##bbbbb#bbbbb#bbbbb#bb#bb#b#b#..B#B#B#G.B#.....#Gb#..#b#G#B#B#B#G#B#B#bb#bbbbbbbbbb#b#B#G#B#B#B#G#..#.Gb.......#.#B#B#G#B#B#B#bbbbbb#bbbbbb#b#G#B#B#B#B#B#..b...#.GbG..#.#B#B#B#B#B#B#bbb#bbbbbbbbb#b#G#.#.#.#.#G#...#.........#.#b#b#b#b#b#b#BbBbBbBbBbBbBbB` },
-  { variant: 'professional', num: 32, data: `...S...........E...........E...S....G.............GGG---SSSSSSS.bbbb#B.-.#B.-#BBBBB.S.....S.....#BB#BBBBXBBBB---b#bbb#bb#.#b#..#G..G..G.B.BBE....#..bbbbbbbbb#-b#-b#B--Bbb#.#bb..........------#GG.E..#-#..#BbBbBbBbB......bbbb#bbB.Bbb#....GMG...bbbb#bbbb#bbB.Bbb#BbBbB#BbBb.---#....#GGB.BGG#.....#....#...bbbb#bbbbbbbb##bbbbbbbbb#bG.....#.---....##....---..#.b..#bbbb...#bbbbbbbb#...bbb#.b.#...E...#...GG...#...Gbbb#.bbb#bGG..#bbbbbbbb#...bbbbb#.G.#bG` },
-  { variant: 'professional', num: 33, data: `...........SS....................--....SS...................#..-.BBSSBB................#....b..SS..b.........-#-..#.....bbbbbbbb...-....-.#..#.G....bbbBBbbb..#.-..G.#...#....G.bBbBBbBb..#..-...#....#.....b.GBBG.b...#..-.#......#....bBbbbbBb...#...-#..G....#...............#......E....#....------.....#....#bb...#....#B....B#.....#..#bbB..#.G...#BBBBBB#.....#.#bb.G.#......#......#....#bbbbbbbE#.....E#G.M..G#E...#......Gbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 34, data: `.......................S....BG...E..................S...BbBBBBBBBBBBBBBB#--.....S................GB.#..--....S...BBBBBBBBBBBBbB.#....--..S..#.BG............#......--.S.#.BbBBBBBBBBBB..#........-SG#..........GB.#.#.........Bb#..BBBBBBBBbB.#.#........#B.#.#.BG........#.#.......#B.G#.#.BbBBBBBB..#.#......#B.bB#.#......GB.#.#.#.....#B.bbB#.#..BBBBbB.#.#.#....#BBBb.B#.#.#.BG....#.#.#...#BBBBbBB#.#.#.BbBB..#.#.#...#....E.Gbbbbb#E..M#bbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 35, data: `EbbbbbbbbbbbbbbbbbbbbbbbbbbESb#---###---#..#---###---#bSSb#.##.....##bb##.....##.#bSSb##.....##.#bb#.##.....##bSSb#...###...#bb#...###...#bSSb#..#.....##bb##.....#..#bSSb#.#....##.#bb#.##....#.#bSSb#b#bbbb#bbbGGbbb#bbbb#b#bSSb#b#bbbb#bbbGGbbb#bbbb#b#bSS.#.#----##E#bb#E##----#.#.SSb#..#.....##bb##.....#..#bSSb#...###...#bb#...###...#bSSb##.....##.#bb#.##.....##bSSb#.##.....##bb##.....##.#bSSbG...###...#.M#...###...GbSSbbbbbbbbbbbbbbbbbbbbbbbbbbS` },
-  { variant: 'professional', num: 36, data: `bbbbbbbbbbSbbbbbbbbbbbbbbbbbb##G###G#####G###G##bBG##GBbb###################b#B##B#bb#bbb#bbb#X#bbb#bbb#b######bb#E#-#--b#X#b#-#--E#b#B##B#bbbX#XbX#b#X#b#XbX#XbbB####Bbb#.#---##GXG###--#.#b##GG##bb#bbXX#bbXbXbb#XXbb#b##Xb##bb#----#bG...Gb#----#b#bbGb#bb#XXXX#bbbXbbb#XXXX#b##bX##bb#b.--#-------#--.b#b##GG##bb#b#bb#bbXXXbb#bb#b#bB####Bbb#.#--#---X---#--#.#b#B##B#bb#b#b#bbX#b#Xbb#b#b#b######bb#.#b#...#M#G..#b#.#.#B##B#bbbbbbbbbbbbbbbbbbbbbbBG##GBb` },
-  { variant: 'professional', num: 37, data: `#........................M.b#bbbbbbbbbbbbbbbbbbbbbbbbbGb#bb.bb.bb.bb.bb.bb.bb.bb.bb.#.bb.bb.bb.bb.bb.bb.bb.bb.b.#b.bb.bb.bb.bb.bb.bb.bb.bbGE#bb.bb.bb.bb.bb.bb.bb.bb.bbG#.bb.bb.bb.bb.bb.bb.bb.bb.b.#b.bb.bb.bb.bb.bb.bb.bb.bbG.#bb.bb.bb.bb.bb.bb.bb.bb.bb.#.bb.bb.bb.bb.bb.bb.bb.bb.b.#b.bb.bb.bb.bb.bb.bb.bb.bbGE#bb.bb.bb.bb.bb.bb.bb.bb.bbG#GbbGbbGbbGbbGbbGbbGbbGbbGb.#b.bb.bb.bb.bb.bb.bb.bb.bb..#...........................#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 38, data: `----------------------------#.G.....GG.G.....GG.G.....GG#.bbbbbbb..bbbbbbb..bbbbbbb.#.bbbbbbb..bbbbbbbG.bbbbbbbG#.bb...bb..bb.......bb......#.bb...bbG.bb.......bb......#Ebb.......bb...E...bbG....G#.bb..G..G.bb.......bbbbbbb.#.bb..bbb..bb.......bbbbbbb.#.bb..bbb..bb............bb.#.bb...bb..bb............bb.#.bbG.Gbb..bbG....G.....Gbb.#.bbbbbbb..bbbbbbbG.bbbbbbb.#.bbbbbbbG.bbbbbbb..bbbbbbbG#............M.............E#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 39, data: `..........................S.E..............E.GbG...GbGSEbbbbbbbbb#bbb#bb#bbb#bbbbbb#bbbbbbbbb#b..#.b#...#.b....#b.bbbbbbb#Gbbbb.b#bbbGbbbbbbb.bGGbbbb#bb..bG.#.........GG.bbbbbbb#bbb..bbbb#bbbbbbbbbbbbbbbbb#b---.....#.......G.........#..#bbbbbbbb..BBBBBbbbbbbbbbB#.#bbbbbbbbb.--..G#bbbbG.bbB#.#..M....##b..####bbbbbbG.BBBBbbbbb#bX##b..#G#....GbbbG...BBBBB#bXb##b.###bbbbbbbbbb#bGb...#bXbb##bG##...G...Eb.#bbb#B.#bXbbb##b.bbbbbbbbb..#G..#BB#.....G##G` },
-  { variant: 'professional', num: 40, data: `..................................S..............S.......#b-#XSBBBB#BbbB#BBBBSX#-b#..#....S....#....#....S....#..#...bbb...#....#...bbb...#.#--..G.G..-#.EE.#-..G.G..--##..bXb.bbb.bbbbbb.bbb.bXb..##.b.......#..EE..#.......b.##..bG..G#b#--bb--#b#G..Gb..#.#..b.#b#....bb....#b#.b..#...#..b#....bbGGbb....#b..#...#..Gb#G---bbGGbb---G#bG..#.#.-.b.#b#....bb....#b#.b.-.##b.b....#b#..bb..#b#....b.b##.........#--.M--#.........##.#bbbbbbb.bbbbbb.bbbbbbb#.#` },
-  { variant: 'professional', num: 41, data: `.............SS................E.E.......SS.......E.E...G.#bbb#.G....SS....G.#bbb#.GBbbb.bbbB#bbbbbbbb#Bbbb.bbbBBbGbbbGbB#..b..b..#BbGbbbGbBBbbb.bbbBbb#bGGb#bbBbbb.bbbBB..bbb..B..#.bb.#..B..bbb..BBbbb.bbbB#bbbbbbbb#Bbbb.bbbBBbGbbbGbB#........#BbGbbbGbBBbbb.bbbB#...M....#Bbbb.bbbBB..bbb..Bbbbb##bbbbB..bbb..BBbbb.bbbBG...##...GBbbb.bbbBBbGbbbGbBBBB#BB#BBBBbGbbbGbBBbbb.bbbB...#..#...Bbbb.bbbBBbBbBbBbB#B.#..#.B#BbBbBbBbB....G....#bbbbbbbb#....G....` },
-  { variant: 'professional', num: 42, data: `b.bbbbbbbbbbbbbbbbbbbbbbbbbbbS-------------------------bb#bbbbbbbbbbbbbbbbbbbbbbbb.bb#b.---------------------b.bb#bb#bbbbbbbbbbbbbbbbbbb.b.bb#bb#b-----------------b.b.bb#bb#b#bbbbbbbbbbbbbbb.b.b.bb#bb#b#b.............b.b.b.bb#bb#b#b#BG.......E.Gb.b.b.bb#bb#b#b#bbbbbbbbbbbbb.b.b.bb#bb#b#b#E............Gb.b.bb#bb#b#bbbbbbbbbbbbbbbbb.b.bb#bb#b#E................Gb.bb#bb#bbbbbbbbbbbbbbbbbbbbb.bb#bb#E....................Gbb#Mbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 43, data: `b............SS............bb------------SS------------bbb...........##...........bbbBb.---------##---------.bBbbG.b.........##.........b.GbbBBBb.-------##-------.bBBBbbG...b.......##.......b...GbbBBBBBb.-----##-----.bBBBBBbbG.....b.....##.....b.....GbbBBBBBBBb.---##---.bBBBBBBBbbG.......b...##...b.......GbbBBBBBBBBBb.-##-.bBBBBBBBBBbbG.........b.##.b.........GbbBBBBBBBBBBBb##bBBBBBBBBBBBbbGM..........##..........EGbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 44, data: `SM........................ESS..........................S#--------------------------#.#........................#..b#....BGGB.....BGGB.....#b..b.#...bbbb.....bbbb....#.b..b.b#......BG.GB.......#b.b..b.bG#...B.bbbbb..B...#Gb.b..b.b..#..B........B..#..b.b..bGBBB.#.BG......GB.#.BBBGb..b....b.#.bbbbbbbb.#.b....b.GBBBBBBB.#........#.BBBBBBBG........b.#......#.b........BBBBBBBBBBB#....#BBBBBBBBBBBGE..........#..#..........EGbbbbbbbbbbbbb##bbbbbbbbbbbbb` },
-  { variant: 'professional', num: 45, data: `#-------------------------#S#M........................#S#BbbGbbBbbGbbBbbGbbBbbGbbB#S#bBbbbbbGbbbbbGbbbbbGbbBbb#S#........................E#SbbbbbbbbbbbbbbbbbbbbbbbbbbbS.........................EbS#bbbbbbbbbbbbbbbbbbbbbbbbbbS#bbbbGbbbbbbbbbbbbbbbbGbbbbS#.......................E#bSbbbbbbbbbbbbbbbbbbbbbbbbb#bSbbbbbGbbbbbbbbbbbbbbbbGbb#bS#.......................E#bS#bbbbbbbbbbbbbbbbbbbbbbbbbbS#bbbbGbbbbbbbbbbbbbbbbGbbbbS#..........................S` },
-  { variant: 'professional', num: 46, data: `...................................E.........M.........S#bBbBbB#BBbXBBB#.b.#B.....BS#G.X.Gb#BG.X.GB#.b.#BbbbbbBSBbBBBbB#BbBBBbB#.b.#BbbbGbBS.......#--...--#.b.#BbbbbbBSbb#bbbbb#bbbbb#bbb.#BBbBBBBSbb#.....#-...###...#BB...BBSbb#-----#.-###b###BBBBBBbBBSbb#BG.GB#-.#XX#XX#B........SGb##bbb##.-#..#..#BBBBBBBBB.bbb#bbb#.-.#b#.#b#.......b-....#...#..-..#.#Ebbbbbbb#bbbbbbb#bbbbbbb#b.EbB......#...G...#.......#..bbB#BBBBBBXBBbbbbbbbbbbbbbbbbbB#G....GX..` },
-  { variant: 'professional', num: 47, data: `.....................E.....MSSSSSSSSSSSSSSSSSSSSSSSSSSSSG#.#.#.#.#.#.#.#.####BBBbbBBb.b.b.b.b.b.b.b.b...#bG.bb.GG......X.X.X.X.X.#bbbGBbbbbBBbBbBb......-....#.Gb#bBbbBb......bBbBbB.#BBB.BBb#bb....#bbbbb......#....-B.-#-bBBBb#..G..#bbbb#..B.B..G.#......bbbbbb#----#.EB.B#bXX#bbbbbbBBBBBBB....b#BB.B#.G.#......######Gbbbb.#B.G.Bbbbbbbbbb##bXbXbbE....#BbbbB.........##.....bbbb#bbBbbbB#bbbbbbbbb#.........#.......#........Gbbbbbbbbbbbbbbbbbb#b#.#b#.#b` },
-  { variant: 'professional', num: 48, data: `.S....#-.E#-...E.........G.S.S....#.-.#.-.#bbbbbbbbbbbbb.S....#..-#..-#.------------.#bbbbb..bb..bb.bbbbbbbbbbb#.#...GB.....GG.GB........--#.#....BBbbbbbb.BB--------..##bbbbbbb..G.....G.bG.b.G.E.##bbbbbbb..bbbbbbb.bbbb..bbb##BBbBBBB...................##bbGbb..b#bbbbbbbBbbB#..b..##bbXbbbbb#bbbbbbbBBb.bbbb#bb#bb.bbGbb#bbbbbbbBBbG.bbb#bb#..---...#bbbbbbbGBbb....#.G#..GGG.#bbbbGGGbbbBbb#bbbbbb#M.....#...........E.#..--bbbbbbbbbbbbbbbbbbbbbbbb#Gb#GG` },
-  { variant: 'professional', num: 49, data: `BBS.........................BBSEE........G.G.G....G....EBBBbBbBbBbBbBbBbBbBbBSBBBBBB----------#B.........S......B.GGGG....#B........GSG..M.GBB.....#BBBB#bbbbbBBBSbbbbbbGBB....#....#bbbbb...S......#.BB..#.....#BGBGB...S......#......#.#BBBBXbXB#BBSbbbbb##bbbb.#..#.........G.Sbbbbb##......#.#...G.#BBBB.Sbbbbb##.bbb.#..##BBB.#.....SbbbGb##.GbG..#.##....#..G..SGGbbb#bbbbb.#..BBBBBBBBBB..S.....#.......#.............S...bb#.G.G#bbbbbbbbbbbbbbbbbbb#..#` },
-  { variant: 'professional', num: 50, data: `SB.E........................Sbbb.E......................S.GBBB.G....................#Bb.Gbbb.G................BB#Bbbb.GBBB.G..........E.bbb-#Bbbbbb.Gbbb.G......E.BBB---#Bbbbbbbb.GBBB....G.bbb---#-#Bb.G.bbBBb.....G.BBB----.#-#BbbbbbbBBB...G.bbb---B.GB#-#----.......G.BBB----.BbbB#-....#..G....bbbG----......#-#bbbbbbb..BBBBBbbbb.......#-#........M................#-#bbbbbbbbbbbbbbbbbbbbbbbbbb##...........GBBG...........#bbbbbbbbbbbb#E.#bbbbbbbbbbbb` },
-  { variant: 'professional', num: 51, data: `-------Sbbbbbbbbbbbbbbbbbbbb#bbbbbbSb.------------------#b...GbSb.bbbbbbbbbbbbbbbbb##b#bbbbSb.b--------------.b##b#....Sb.b#bbbbbbbbbbbbb.b##bbbbbbbb.b#b-----GE......b##-------b.b#bG...Gbbbbbbbbb##bbbbbb#b.b#bbbbb.bGb----.b##b....b#b.b#----b.b#b#bbb.b##b.bb#b#b.b#bbb#b.b#b#bGb.b##b.Gb#b#b.b#.Gb#b.b#b#b#b.b##bbbb#b#b.bbbbb#b.b#b#b#b.b##----#b#b......#b.b#b#b#...##bbbbbb#bbbbbbbbb.b#b#bbbbbb#...GGb#E..........#b#.....Mbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 52, data: `#------------.M.-----------##bbbbbbb.--.EbbbE.--.bbbbbb##....G...-.bbbbbbb.-...G...##bbbbb..-.bbbG.Gbbb.-..bbbb##..G...-.bbbG...Gbbb.-...G.##bbb..-.bbbG.....Gbbb.-..bb##.G...-bbbG..bbb..Gbbb-...G##bb....bbb..bbbbb..bbb....b##...G...bbb..bGb..bbb...G..##bbbb.---bbb.....bbb---.bbb##.....G...bbbG.Gbbb...G....##bbbbbb....bbb.bbb....bbbbb##..G....G.bbbb.bbbb.G....G.##bbb....bbbbb...bbbbb....bb##.............E............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 53, data: `..............#M..........-S..#B---------###---------B-S.#BE..........#..........E.S#B............#........B.G.S#BBbB...G...Gb#bG...G..BBb.S##.GB...bbb.BX#XB.bbb......S.##B...GbbbbB.G.BbbbbG...BSS.#B....bb.bbG.B.Gbb.bb..BSS..#.....bb..bb.B.bb..bb..SS.G.##B#...bbGbb...bbGbb.SSSB.#.#B.#...bb..bX.Xb..bbSSGB..#.B.G#....BBbbXBXbbBB.S.B..G#.BBBB#...BBXbXBXbXBB..SBBBB#----B#----------------#--.B#...B.#..G...G...G...G.#....#.....#....E...E...E...#bb#.#` },
-  { variant: 'professional', num: 54, data: `......E...S................E....--#...S.......E.........bbbbbb#...S.................bbbbbbbbbb#-.....-##-.....-#bbbbbbbbbB#.-...-.##.-...-.#bbbbbbbbbB#..-.-..##..-.-..#bbG..b.G.B#...-.G.##.G.-...#bbbbbbbbbB#..G.-..##..-.G..#bbbbbbbbbB#-..G.-.##.-.G..-#bbb.G...bB#.-..G.-##-.G..-.#bbbbbbbbbB#..-..G.--.G..-..#bbbbbbbbbB#...-...--...-...#bG...b..GB#....-.-..-.-....#bbbbbbbbbB#.....-.GG.-.....#M...bb....#................#bbb#.G#bbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 55, data: `............E..bSbbbbbbbbbbb.........----#.bSSbbbbSSSSSbb.......b....#.bbSSSbbSbbbSbbbbbbbbbb....#...bbSSSSbbbSb.......GB...--#b.........GSbbbbbbbbbb..--.#BBBBBBBBBBBBB.......GB.--..#............Ebbbbbbbbb--...#-------#bbbbb......GB--....#.G.....##bbbbbbbbbbb--.....#.......###bbG......--......#.#bbbbbb###bb.....--.......bb#bbGbbbb###b....--........bb#bbbbbbbb###...G..........bb#bbbbbbbbb##M...............#.........E#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 56, data: `.M........................S.#bbbbbbb#-............#bb.Sb#.GbbbG.#.-..........#G.b.Sb#.bbbbb.#..-.....Gb#..#.bbSb#bbbbbbb#bG.-....bb#G#..bSGb#.GbbbG.#bb....Gbbb##...bSbb#.bbbbb.#.bb...bbbb..#G.bGSb#bbbbbbb#..bbGbbbbb...#.bbSb#G.bbbbb#...bbbbbbb.G#..bSSb#.bbbbbG#bbbBbbbbbb.#...bSbb#bbbbbbb#BbGBbbbbbb..#..bSSb#G.bbbbb#BbbBbbbbbb...#.bbSb#.bbbbGb#............#G.bSSb#bbbbbbb#.----........#.bSbb#G.bbbbb#B....B#.....#.#bSSb#Ebbbbbb#EbbbbE#bbbb#..#ESbb` },
-  { variant: 'professional', num: 57, data: `BSBB#..................#BBSBBSBB.#................#.BBSBSSSSS.S....##bbGbb##...SSSSSSEBB..S...#.##EbE##.#..SBBESBBBB..S..#....GbG....#.SBBBB...SSS..#.....#b#.....#.SS....S....#.....#bbb#.....#..S..S.SSS#-----.-bbb-.---#.SS...S....#.GG..bbbbbbb...#...S.--S---#bbbbbbbbbbbbbbb#BB-S----S--#bbbbbG.bbb.Gbbb#.....----S-#bbbbbbbbbbbbbbb#........S..#..-.........-..#.......S...#...............#......S....#........M......#.....bbbbbb#bbbbbbbbbbbbbbb#bbbbb` },
-  { variant: 'professional', num: 58, data: `BE................G....B...BBBBBBBBBBBBBBBBBBBB..BBBB#BB.#.#..#...#...#.#..B.....#...#-#-.#...#..-#.#..-----.#...#.#.-#..-#.-.##...#B.GB.#...#.#..#.-.#-..##.BB.---..S...#-#..#-..#GE.##...b..B..##..#.#..#..bbbb.#.#..G.-##BB#E.#.#..#.......#.#..B.B.#.#bb.#-#..#G..bbbbB#Bb.....bb#..b#.#.bbbb.....###........#bbb#.#..........#-#-.......#..b#.#..........#.#.bbbbbbbSbbb#M#--------..#bBb..BSSSSSSBbBbBS......SbbB.B...BSSSSSSBbbB.SbbbbbbSGB..B...BSSSESSB` },
-  { variant: 'professional', num: 59, data: `...........bb..###E---------..G.....bb....#G#G#..........#b.........-######..bbbbbbb#bGb#..###--..#####..bbbbb.b#.X...####..#.###G#..bGbbb.b#.#...####..#.#####..bbbb..b#.....###G#...#G###..bb.b.bb#......#####..####...bb...bb#..G..G###########...bb..bbb#.....######G##G##...bb.bbbb#......##########....bb..bbb#....########M###....bbbb.bb#...#...##########.E.bbbbG.b#...#G##-#----####.b.bbbbbbb#..............##G#.........bbbbbbbbbbbbbbb.###bbbbbbbbb` },
-  { variant: 'professional', num: 60, data: `E.....................G.bbb.bbbbbbbbbbbbbbbbbbbbbbb.bbbS......................SS..bSbb##bb###bbbb###bbbb.##.b#bSbb##b###bb.b#####bb#.##..#bSGb##b###bbbb#####bb#.##.#bbSbbb#b##bb..Gb####bb#.#####bSbb##b##bbbbbb####bb#.##.b#bSbb##b#bb#####b###bb#SSM.b#bSbb##b#bbb####bb#bbbbS##.b#bS...#E#...S..S..#....SS..b#bSbbbbbbbbbbbESbbbbbbbbbbbb#bSB..........BB.G..........#bSBSBBBBBBBbS..#bbbbbbbbbbbbbSBS.......BBBBBBBBBBBBBBBBBBSBBSESbbbS..................S` },
-  { variant: 'professional', num: 61, data: `SBBBBBBBBBBBBBBBBBBBBBBBBEEESB...-----------#--------BBGSB.b#.....--....#..-......#.SB.b#....-......#...-.....#GSB.b#....-......#....-.--.#.SB.b#.....--....#.....-...#GSB.b#.bbb...-...#...--.-..#.SB.b#..bbb..-bbbbbbb....-.#GSB.b#.bbb.--.G.....G.....-..SB.b#..bbb..-b......-...-.#GSB.b#.bbb.--.b#bbbbb.-.-..#.SB.b#..bbb....#.......-...#.SB.b#.bbb.--..#......-.-..#.SB.b#.G.....-.#.....-...-.#.SG.b#...M.--..#....-.....-#.bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 62, data: `..........SM.S........................SBBS........................SBBS.......................##bb##.....................#..bb..#.....................#b..b#.SS..................#bbGGbb#..SS...............#BBB..BBB#...S..............##bbbbbb##SSSSSSSSS.........#bb....bb#...S...BSEE.......#bEG..GEb#..S....BBBB.....#BBBbb##bbBBB#..............##bbbb##bbbb##..............#bbb..##..bbb#..............#.....##.....#......GE.bbbbb#bbbbb##bbbbb#bbbbb.bbb` },
-  { variant: 'professional', num: 63, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBMB-.-#----##-.-##.-.##-.-##B#B.b-#....##.b.##b.b##.b.##B#Bbb-#bbbb##bb.##bGb##bb.##B#B.b-#.E..##.b.##.b.##.b.##B#BGb.#bbbb##.b.##b.b##.b.##B#Bbbb#....##bbb##b.b##bbb##B#B...#....##...##...##...##B#Bbbb#bbbb##bbb##bbb##bbb##B#B...#....##...##...##...##B#Bbb.#....##.b.##b.b##bb.##B#B-.b#bbbb##bb.##bGb##..b##B#BGb.#.E..##.b.##.b.##.b.##B#Bb..#bbbb##.b.##b.b##b..##B#Bbbb#....##bbb##b.b##bbb##.#B...######################bBB` },
-  { variant: 'professional', num: 64, data: `#--------------------------##E...........E............B##B#----------------------#E##.#b.....................#b##b#.#------------------#b#.##G#B#.................B#G#B##B#.#B#--------------#.#B#.##.#b#.#b.............#b#.#b##b#.#b#.#----------#b#.#b#.##.#B#.#B#.........B#.#B#.#B##B#G#B#.#B#------#.#B#G#B#.##.#b#.#b#.#b.....#b#.#b#.#b##b#.#b#.#b#.#--#b#.#b#.#b#.##G#B#.#B#.#B#.B#.#B#.#B#.#B##B#.#B#.#B#.#BM#B#.#B#.#B#G#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 65, data: `...........#bb.....#...................#bbb#..#b#.................#...bb#bb.bb#............#bbb...#.b#####b#.........##b..bb..#b#...S#b#........#bb....bb.#bG#..S##b#.....##b###.bbbbb#bbb..SS#b#S....#E-E#.##bbbbbb###.S#E#E#....#---#..###bbbb#...S#-#-#....-----...###b#b#...S--#-SS...-----...#.Mb#b.#..S--#--S...-.-.-...#bbbbbb#..S--#--S...G.G.G...#bbbbbb#..S-.#.-S...........#bb.bbb#..SG.#.GS...........#bbGbbb#..S..#..S.bbbbbbbbbb#..#....#bbbbbbbbb` },
-  { variant: 'professional', num: 66, data: `S...bbb.....bbbb#E....E#bbbbS.bbbbbbb...bbbb#G....G#bbbbSbbbbbbbbb...G#bb#....#bb#bbSbbb###bbbb#bb#bb#G..G#bb#bbSb###.###bb#bb##Eb#..#bb##bbS##.....##b#bb##bb#..#bb##bb#.....#.#bb#bb###bb##bb###bb#....#.bbbb.bb#.#bb##bb#.#bb#....#bbb...bb#.##b##bb#.#bb##...##bbb..bb#..#b##b#..#bbb.#...###bb#bb#..######..#bbbb#.#E#.#bb#bb#...####...#bbbbbb###b#bb.bb#...####...#bb.bbb-G.b#b..bb#..........#bb..bbbbbb#...bb#..........#bb....bbb.M.....#bbbbbbbbbb#bb` },
-  { variant: 'professional', num: 67, data: `bbbbbbbbbbbbbbSbbbbbbbbbbbbbb.#E#.#.#.#.#.#.#.#.#.#.#E#bb.#b#b#b#b#b#bbbbbbbbbbbbb#bb.#G#.#.#.#.#.#.#.#.#.#G#b#bb.#.bbbbbbbbbb#b#b#b#b#b#b#bb.#.bG#.#.#.#.#.#.#.#G#b#b#bb.#.b.#b#b#b#bbbbbbbbb#b#b#bb.#.b.#-#-#-#-#.#.#.#b#b#b#bb.#.b.#.#.#.#M#.#.#.#b#b#b#bb.#.b.#bbbbbbb#b#b#b#b#b#b#bb.#.bG#.#.#.#.#.#.#.#G#b#b#bb.#.bbbb#b#b#bbbbbbbbbbb#b#bb.#G#.#.#.#.#.#.#.#.#.#G#b#bb.#b#b#bbbbbbb#b#b#b#b#b#b#bb.#E#.#.#.#.#.#.#.#.#.#.#E#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 68, data: `BbbbbbbbbbbbbbSbbbbbbbbbbbbBB#G.........G.S.G........G#BB#BbbbbbbbbbbbbbbbbbbbbbbB#BB#B#..........M.........#B#BB#B#Bbbbbbbbbb#bbbbbbbbB#B#BB#B#B#........#.......#B#B#BB#B#B#BbbbbbbbbbbbbbbB#B#B#BB#B#B#B--------------B#B#B#BB#B#B#BG....G.#.G...GB#B#B#BB#B#B#BbbXbbbb#bbXbbbB#B#B#BB#B#B#E.......#.....E.#B#B#BB#B#BbbbbbbbXbbbXbbbbbbB#B#BB#B#..........#.........#B#BB#BbbbbbXbbbbb#bbbbbXbbbbB#BB#G........G..#..G.......G#BBbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
-  { variant: 'professional', num: 69, data: `...........................S...........................S..........................MS.bbbbbSbb#bb.bb#bbbbSbbbbbb#.........#.bbb.#...........#.........#..E..#...........#.........#.GbG.#...........##bbbbbbbbbbbbbbbbbbbbbbbbbbX#...........................#............b#.............#bbbbbbbbbbbXbbbbbbbbbbbbbb#S..........................##bbbbbbbbbbbb.bb...........##.....G....bbbGb#bbbbbEbbbb##.E...b....bbbb.#.....G....#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 70, data: `#------M....................#...........................#...........................#...........................#....bbBBBbbbbbbbbbBBBbb....#.bbbbbBBBbbbbbbbbbBBBbbbbb.#BbbbbB...---------...BbbbbB#BGbbbB.B.G.G.G.G.G.B.BBbbGB#.BbBB..BBE........BB..BBbB.#......EBBbbbbbbbbbBB.....b.#......BBBBB.GGG.BBBBB.....b#.....BBBBB.GBBBG.BBBBB....b#....BBBBBB.GBBBG.BBBBBBGbb.#....BBBBBBB.GGG.BBBBBBBbb..#....BBBBBBBBBbBBBBBBBBB....bbbb#...................#bbb` },
-  { variant: 'professional', num: 71, data: `......................M...S......................bBG..S...........G.----.....BBB..S.#bbbbbbbbbb.#........bBb..S.#E..........#...G.........S.bbbbbbbbbb#.#..Gbbbbbbbbb.S...........#.#.Gbb..bbbbbbbS.#bbbbbbbbbb.#.bb....bbbb.bbG#...........#.......bbbb..bbbbbbbbbbbb#.#.......bbGb..bb..........#.#.....-------.bb#bbbbbbbbbb.#.....bb..bb#.b.#...........#...Gbb.Gbb.#...bbbbbbbbbb#.#...bb..bb..#...G.........#.#...b..bb...#...bbbbbbbbbb#.#.....bb....#..E` },
-  { variant: 'professional', num: 72, data: `.............B..-.ES........E..G.G.......B.---.S.G.G...EBBBBBB..G.G..S-----S.BBBBBBB.....BBBBBB..S..G.G..B...-#.....-#..-#B.GS..BBBBBB.--.#....-.#.-.#BBBSG.B.-----G..#.bbb..#-..#...SBBB.BG.BGbbb#.bbb..B...#...S....BbbB....#.bGbGG.GG.#..GS............#.bXb......#BBBS.....#bbbbbbb#.........#...S.....#...G...#.........#..GS.....#G..bbbb##bbbbbbbbbbbbSbbbbbbb.......#............S..............#M...........S...........b#.bbbbbbbbbbbbbbbbbbbbbbbbBG#b` },
-  { variant: 'professional', num: 73, data: `#--..#-------M--------#-....#..bbb...---.b.---....#.-...#.G....bbG.-bbb-.Gbb..#..-.Gbbb#...bbbb.bbb.bbbb..#...BB...#...GbbbbbbbbbbbG..##.-...G.#.....bbbbGbbbb....#B#.-G#bbb......b.GXG.b.....#BBBBB#.........bbbGbbb.....#.-#..#.G......bbbb.bbbb....#-.#..bbb#....Gbbb...bbbG..bbb.#.....#....bbb.....bbb......#...G.#....bb.......bb...bb##..#bbb..G.E.........E.G...#...#....#bbb#.......#bbb#..#...#....#...#G.....G#...#..#b.Gbbbbbbbbbbbbbbbbbbbbbbbb#.BB` },
-  { variant: 'professional', num: 74, data: `E.............#-.......S........----....M.#.b......S............#bbbbb#.bbb....S...........b#bbbbB#bbbGb...S.--S...bb.bb#bbbbB##bbbbb.GS-..S..bG.bbb#bbbbB.#bbbbbbb....S..bbGbbb#bbbGB#bbbbbbbb....S...bXbbb#bbbbB#bbbbbb...B#BS.....bbb#bbbbB#Gbbbb..BBB#BS......bG#bbbbB#B.....B...#BS......BB#....##B.....B#BBBBS.---.BBB#....#BB.....B#..B.Sb...#BB.#....#BB.....BBB#B.S.b..#.BB##...##BB.......#BGSG.b.#..BB#....#BBB...#BBBBBB...b#...##....#......#.....E` },
-  { variant: 'professional', num: 75, data: `..........S......S.............---..--#--.M--#--..---.....#.-.bb..S-.bb.-S..bb.-.#...G#.Gbbbb.S.bbbb.S.bbbbG.#G...#.bbbbbbSbbbbbbSbbbbbb.#....#.bbbbbbSbbbbbbSbbbbbb.#....#..bbbbbXbbbbbbXbbbbb..#....#...bbbGXbbGGbbXGbbb...#....#......................#....#.....bbbbbbbbbbbb.....#....#.......bbbbbbbb.......#....#..........GG..........#....#........bbbbbb........#....#..........bb..........#....#..........GG..........#..EG#bbbbbbbbbbbbbbbbbbbbbb#GE` },
-  { variant: 'professional', num: 76, data: `.......B......#....................B......#.............bbbb#..BE..G..#SSS----SG...Ebbbb#..BBBBBG..G...--.SBBBBBGbbb#---...BBBBBG.G...S.....bbbb....#..-...BBBBG.GS.............#.-.#..-..BBBBS....G........#-..#.-.#.....S.#bbb....#b......#-..#.....S.#...#bbbbG...GGGGGGG#.....S.#.-.#...............#.....S.#-.#bbbbb#..........#bb#bbS..G.#bbbbb#.............#.G.....#bbbbb#..#bbbbbbbbbbbbb.bbbbbbbbbb#..#..................GGbbbb#M.#bbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 77, data: `S....E......................S---------------------------SSSSSSSSSSSSSSSS.....M.....#bbbbbX.G....G..S.....BBBBBB#bbbbbX.....bbbbS.....BBBBBB#bbbGbX..G.SSSSSS.#bbbbbb...#bb.SSSSSbbS.....G#bbbbbb...#b..S.G.SSSS...#bbbbbb......#...Sbbb.......#bbbbbb......#.G.S.......#bbbbbb.........#bbbSS.....G#bbbbbb.........#....S...#bbbbbb............#....S...#bbbbbb............#....#bbbbbbb...............#.G..#bbbbbbbGG.............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 78, data: `BBBBBBBBBBBSBBBBBBBBBBBBBBBB#--....-...S........----#.-##GGBbbBGbbbbbbbbbbbb...E#..##..BbbB.bbbbGbbbbbGb....#..##..B..B..bbb..G.G.......#..##.EBbbB...bbb...........#..##..B..B...Gbbb.....-....#..##..BbbB.....bGb...---...#..##..B..B.....bGb..-----..#..##..BbbB...GbbX....---...#..##..BG.B...bbb......-....#..##..BbbB.Ebbb............bb.##.......bbbbGbbbbbGb..G..G.##.......bbbbbbbbbbbb.......##............M.............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 79, data: `ES............E......E.......S.----.-.................EGbBb....#.-.......#bbbbbbbbbb.BGB.-.#..-......#.........M.B..b..#...-.....#.....BBBBBGBBBBB.#....-G...#.........G......b#.....b-..#.....#bbbbBBBBBBB#.......-.#.....#...........#...--...-#.....bbbb##Bbbbbb..#BGGB#............##Bbbbbb..#BbbB#..bbbbb.#bbbb#Bbbbbb..#....#..bbbbb.#....#Bbbbbb..#....#..bGbbb.bbbb##BbbbbG..#....#..bbbbb....G##........#....#............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 80, data: `...............EE...........#bbbbbbbbbbbbSSbbbbbbbbbbbb##b.Gb..b..b..bb..b..b..bG.b##b..b.Gb..bG....Gb..bG.b..b##bbbb..b.GbB....BbG.b..bbbb##b.....b..bG....Gb..b.....b##bbbbbbb..bBB..BBb..bbbbbbb##b........b......b........b##BBBBBBBBBBBBGGBBBBBBBBBBBB##....-.........b....b#.B...##bbbSSB.Xbbbb..b#b.Gb#bGbBB##BBBBbBGX...b..b#bBBb#.BBBB##........#bGb..b#....#.....##bbbXbbbbbBBb..bbbbbbbbbbbb##M.......................EE##bbbbbbbbbbbbSSbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 81, data: `...........S..................BBBBBBBBBSBBBBBBBBBBBBBBB#.Eb.G.G.G.bSb....bG#####GBG#.Mb.#.#.#.bSb#b#bb#######BB#GEb.bb#bb.bSb#b#bbG#####GBG#b.....#....#.#b..G......#BB#..bbbbbbbbXSbbbXbbbbbbbbbBG#.........GBSB.X.B.bbbbbbbBB#..BBBBBBBBBSB.B.B.bbbbbbb..#.........G.SB.B.BGbbbbbbb..#SSBBBBBBBBBBB.B.BBbbbbGbb..#S........G....B...bbbbbbb..#S.BBBBBBBBBBBBB.G..........#S........G....B.b.bbbbbbbbb#S.b#BBBBBBBBBBB.BBBBBBBBBBB#SGb#.......................#` },
-  { variant: 'professional', num: 82, data: `............................#bGb....................bGb##bbbbGb..............bGbbbb##...bbbbGb...--...bGbbbb...##......bbbbGb..bGbbbb......##bGb......bbb..bbb......bGb##bbbbGb.....b##b.....bGbbbb##...bbbbGb...##...bGbbbb...##......bbbbGb##bGbbbb......##bGb......bbb##bbb......bGb##bbbbGb.....b##b.....bGbbbb##...bbbbGb...##...bGbbbb...##......bbbbGb..bGbbbb......##.........bbb..bbb.........##M....................EEEEE#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 83, data: `S............--............SS#-.........#bb#.b.bbbbbbb#SS#.-........#bb#.b.bG....b#SS#..-.M..-..#bb#.b.bbbbb.b#SS#..#bbb#.-.#bb#.b.......b#SS#..#bGb#..-#bb#.bbbbbbbbb#SS#..#bGb#...EbbE..........#SSbbbbbbbbbbbbbbbbbbbbbbbbbbSSbbbbbbbbbbbbbbbbbbbbbbbbbbSSb.........-EbbE.........G.SSb.bbbbbbbbb#bb...#bbbb#...SSbGbGbG....b#bb...#bGGb#...SSb.b.bbbbbb.#bbGb##bGGb#...SSb.b.......b#bbbbbbbbbbbbb.SSb.bbbbbbbb.#bb............SSb.........b#..#bbbbbbbbbbbS` },
-  { variant: 'professional', num: 84, data: `..........................M.......................EEEEbS...........................S#bGbGbGbGb#..........G.....S#bbbbbbbbb#bbbbbbbbb#b.....S#.GbGbGbG.#.........#.G....S#bbbXbXbbb#bbbbbbbbb#bb....S#bGbGbGbGb#.........#..G...S#bbbXbXbbb#bbbbbbbbb#bbb...S#.GbGbGbG.#.........#...G..S#bbbXbXbbb#bbbbbbbbb#bbbb..S#bGbGbGbGb#.........#....G.S#bbbXbXbbb#bbbbbbbbb#bbbbb.S#.GbGbGbG.#.........#.....GS#bbbXbXbbb#bbbbbbbbb#bbbbbb.#.G.....G.#.........#......G` },
-  { variant: 'professional', num: 85, data: `EGB..........M...........BGE#BB#BBB#BBBBBBBBB#BBBB#B#BB##B##.#B#.#.#.#.#.##B#.#B#BB##B#BBBBBB#BBB#BBBB#.#BBB#BB##B##BBB#G#B#.#.#B#BBB#..#BB###B#.#BBBBBBBBB#B#.#.#B#BBB#B#BBB#G#.#.#.#G#.BBBB#B#.#.#B#.#G#BB#BBBBBBB#BB#.#.BBBBBB#BBBB#.#.#.#.#.#.B#BBBB#.#BG#.#.BBBBBBBBB#BBBB#.#.##BBBBBBB#.#.B.#.#.#B#.#BBBBB#.#B#.#.#B#GBB#BBBBB#B#.#.#BBB#G#BBBBBBB#.#.#.#.#BBBBB#.#BBB#.#.#.BB#BBBBBBBBG#.#.BB#.#B#BBBB#BB#.#.#B#BBB#B#BBBBB#B#.#GB#.G#BBBBB#G#.#.#.#.#.#B` },
-  { variant: 'professional', num: 86, data: `...........................S..G.M..................E..ES#BbbbbbbB#bbbbbbbb###.Sb#.bS#BbbbbbbB..#.#.#.#.##b#b#.bS#BbbbbbbB#bbbbbbbbbb#Bbb#GbS#BbbbbbbB#...........bbbb#bS#BbbbbbbB#BBBBBBBBBBb.Bbb#.S#BbbGbbbB#.......BBBBbBbbbb##BbbbbbbB#bbXbbb#BGB..B..G.##--------#bbXGbb#B#BbBB#bbbb..b.......XBXBXX#.#B..B#.G..b#bbBb#B.bXBXB.BX#..BbBbbbb#b#.GBb#B...BXBGBXBb#..B..G.#bBBBBb.BBBB........BBBB#bbbbG...B#b...B#BBBBBB#....#....bbb#.#b#bb.#......#bbbb.....` },
-  { variant: 'professional', num: 87, data: `ME.E.E.EBG...........BbbbbbbbS.S.S.SBBBBBBB#BbbbbBSSSSSS.SbS.S.SB.....B#BGbbbBSbbbbb.S.SbS.SB#bbbbb#BBBbbBSSSSSS.S.S.SbS.#bGbbb#.-..BBBBBBB#.S.SSS.Sb#Xbbbb#-b#.G......#.SS...SS.......BbB#.b.bBbBb#.S.-#-.S....---...#.BBbBbBb#..-.#.-........-..#........#.-.-#-.-........-.#........#G.-.#.-.G........-#.GG.....#.-.-#-.-....--....b..b.bBbB#.G-.#.-G..#bGGb#.....BBbBbB#.-.-#-.-..#bbbb#...........#..-G#G-...#....#...........#bbbbbbbbbbbbbbbbb..bbbbbbbb#` },
-  { variant: 'professional', num: 88, data: `b.b.bb.b.b.bb.b.bb.b.b.bb.bSb.b.bb.b.b.bb.b.bb.b.b.bb.bSb.b.bb.b.b.bb.b.bb.b.b.bb.bSbEbEbb.b.b.bb.b.bb.b.bEbbEbSbGbGbbGbGbGbbGbGbbGbGbGbbGbSbXbXbbXbXbXbbXbXbbXbXbXbbXbSbXbXbbXbXbXbbXbXbbXbXbXbbXbS#...-.-...-.--.-...---.....S#bbb.b.bbb.b..b.bbb...bbbbb##b.b.b.b.b.bb.b.b.b...b...b##bbb.b.bbb.bbbb.b.b...b...b##b...b.b.b.bbbb.b.b...b...b##b...b.b.b.b.bb.b.b..BB..BB##b...b.b.b.bM.b.bbb..BB..BB##...........G..............##bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
-  { variant: 'professional', num: 89, data: `MB..bbbbbbbbbbbbbbbbbb.....S.B#bbbE..............b#bGbbS.b#bGb.bbbbbbbbbbbbb#b#bbbbS.b#bbb.bE..........b#b#bbbbS.b#bGb.b.bbbbbbbbb#b#b#bbbbS.b#bbb.b.bE......b#b#b#bbGbS.b#bGb.b.b.bbbbb#b#b#b#bbbbS.b#bbb.b.b.bEG.b#b#b#b#bbbbS.b#bGb.b.b.bbb#b#b#b#b#bbbbS.b#bbb.b.b.G..#b#b#b#b#bGbbS.b#bGb.b.bbbbbbb#b#b#b#bbbbS.b#bbb.b.G......#b#b#b#bbbbS.b#bGb.bbbbbbbbbbb#b#b#bbbbS.b#bbb.G..........#b#b#bbGbS.b#bbbbbbbbbbbbbbbbb#b#bbbbS..#b................#.#....S` },
-  { variant: 'professional', num: 90, data: `bbbbbbbbbbbbbSSbbbbbbbbbbbbb.b...........SS...........b..b...........SS...........b..b#Bbbbb#bbbbbbbbbb#bbbbB#b.E.#B....#..........#....B#.Ebb#bbbbbbbbbbbbbbbbbbbbbb#bbbb#bbbbbbG...bb...Gbbbbbb#bbbb#bbbbbbbbbbGGbbbbbbbbbb#bbbb#bbbbbGb..GbbG..bGbbbbb#bbbb#bbbGbbGbbbGGbbbGbbGbbb#bbbb#bbbbbbbbG-bb-Gbbbbbbbb#bbbb#b.G.b.G.bbGGbb.G.b.G.b#bbbb#bbbbbbbbbGbbGbbbbbbbbb#bbbb#bbbbbbbbbbbbbbbbbbbbbb#bb..#...........M..........#..bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 91, data: `S............E.............SS--------------------------S#..........................##..........................##.....bbbb.......-.bbb.-...##...bbbbb.........bGbGb....##..bbbGb...GG.....bbbbb....##..bbbbb...GG.....bbbbb....##...bbbbb.........bbbbb....##.....bbbb........b.b.b....##..........................##..........................##..........................##..........................##EE..........M...........EE#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 92, data: `G--------..........--------G#........bbbbbbbbbb........##.......b..........b.......##......b..GG....GG..b......##......b..bb....bb..b......##......b.....M......b......##.......b....bb....b.......##........b...bb...b........##.........b......b.........##..........bbbbbb..........##.E........bGGGGb........E.##.bbb......bbbbbb......bbb.##.Gbbbbbbb........bbbbbbbG.##.bbb....GbbbbbbbbG....bbb.##..........................##..........................#` },
-  { variant: 'professional', num: 93, data: `............................S.b..........E.....E.....E..S.bbSbb#.b#b-#b-#b-#b-#b-#bGS...S..S.b#.................S.bbb.b#.b#bbbbb#Bb.BbbbbbbbS.B...b#.b#bGbGb#.b.BbbbbbbbS.Bb#.b#.b#bbbbb#.b.BbbbbbbbS.Bb#.b#.b#bbGbb#.b.BbbbbbbbS.Bb#.b#.b#bbbbb#.b.BbbbbbbbS.Bb#Gb#Gb#bGbGb#.b.BbbbbbbbbbBbbBbbBb#bbbbb#bG.BbbbGbbb..G...B...#.M...#.bbBbbbbbbbbbbbbbbbbbbb#bbbbb..........G.----------#-------BbbXbbbbb...........#............b#GG#BbBbBbBbBbBbBbBbBbBbBb#b..` },
-  { variant: 'professional', num: 94, data: `.EEEEE......................BBBSBBBBBBBBBBBBBBBBBBBBBBBBBGBS.......................BB#BSBBBBBBBBBBBBBBBBBBBBBB#BB#BSB#.#.#.#.#.#.......--.#BB#BSB#BBBBBBBBB#BBBBBBB..B#BB#BSB#.#.G#BB#B#...GBB..B##BB#BSBBBBBB#.G#B#BBBBB..B###BB#BSB#.#.#B#BBB#.GBB..B##B#BB#BSB#BBB#B#.#B#BBB..B##BB#BB#BSB#.#B#BBB#B#M..GB##BBB#BB#BSBBB#B#.#B#BBB#-B##BBBB#BB#BSBG..BBB#.#B.....#..G..#BB##SBbBBBBBBBBBbBBBBBBBBBb#BB..S......................#BBbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
-  { variant: 'professional', num: 95, data: `SSSSSSSSSSSSSSSSSSSSSSSSSSSS#bbbbbbbbbbbbbXbbbbbbbbbbbb##bb########bbbXbbbbbbbbbGbb##bbbbbbbbbbbbbXbbbbbbbbbbbb##bbbXXXXXXXbbbXbbbbbbbbbbbb##b........................b##b.G.G.G.G.G.G.G.G.G.G.##.b##b........................b##b..G.G.G.G.G.G.G.G.G..##.b##b........................b##bE#.G.G.G.G.G.G.G.G.#.##.b##bE.......................b##bE##.G.G.G.G.G.G.G.##.##.b##bE.......................b##bE...################M...b##bbbbbbbbbbbbbbbbbbbbbbbbXb#` },
-  { variant: 'professional', num: 96, data: `bEEEEb......................bXb..b.....................SbGb.Gb...b..bGb.Gb...b..bGbSbXbbXb...bG.bXbbXb.G.bG.bXbS..b...bXbbXb..b...bXbbXb..bS.Gb...b..bGb.Gb...b..bGb.GbSbXb.G.bG.bXbbXb.G.bG.bXbbXbS...bXbbXb..b...bXbbXb..b...S...b..bGb.Gb...b..bGb.Gb...S...bG.bXbbXb.G.bG.bXbbXb.G.SbXbbXb..b...bXbbXb..b...bXbSb..bGb.Gb...b..bGb.Gb...b..S...........................S#bbbbbbbbbbbbbbbbbbbbbbbbbbS#............M.............Sbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 97, data: `............................SbbbbbbbbbbbbbbbbbbbbbbbbbbbSSSSSSSSSSSSSSSSSSSSSSSSSSSS.--------------------......S..........M..........#.....SG.-bbbb#bbbbb#bbbb-..bbbbbb#G.-bbbG#bbGbb#Gbbb-........#G.-bbbb#b...b#bbbb-..#bbbbbGG.-bbbGbb...bbGbbb-..#bbbbbbG.-bbbbbbbbbbbbbbb-..#bbbbbbG.-bbbbbbbbbbbbbbb-..#-----.G.-bbbbbbbbbbbbbbb-..bXbbXb#....-----EEE-----....bG..Gb#...#.....#E#.....#...bbbbbb#...##...##E##...##.........#bbb#bbbbb#b#bbbbb#bbbbbbbbb#` },
-  { variant: 'professional', num: 98, data: `M.bEEEEb....G....G..........bbb----b#bbbbbbbbbbSbbbbb.....b....b#b....-....S..-..-....G....b#b#bbbSbbbbGbb.bb.bbbbb....b#b#bGbSbbbbbGbb.bb.b##.....b#b#b.bS....bbGbb.bb.##.....##b#bbbS.....bbGbb.bb##........#b..S......bbGbb.bbbb....bbb#b..S.......bbGbb.BBBBBBBBBBbbSbbbbbbb#..bbGbb............SbG#b...#...bb.bG.........b#Sb..b...#.......bbbbbbbbb#bbbbBBbbbbbbbb#bb#.........#..........b....b.#G........#....#X#..GbbbbbG.#bbbbbbbbbbbbbbbbbbbbbbbbbX#b` },
-  { variant: 'professional', num: 99, data: `..-.......G.....G.....GEEEEE#b.BbBbBbBbBbBbBbBbBbBbBbBbB#b..........................#b........G.....G.....G.....#b.BbBbBbBXBbBbBbBbBXBbBXBbB#b..........................#b........G.....G.....G.....#b.BbBbBXBbBbBXBbBbBXBbBXBbB#b..........................#b........G.....G.....G.....#b.#bBbBbBXBbBbBXBbBXBbBXBb##b.#.......................##b.#......G.....G.....G....##..#bBbBbBbBXBbBXBbBXBbBbBb#bbS#............M..........#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 100, data: `#------------------------.G.#..........EEE.......M....b##...bbb-.bbbbbbb..bbbbbbb..##..bbbb-.bbbbbbb..bbbbbbb.#b#.bbbbb-.bb-.-bb..bb...bb.#.#...bbb-.bb-.-bb..bb.-.bb.b##...bbb-.bb-.-bb..bb.-.bb..##...bbb-.bb-.-bb..bb.-.bb.#b#...bbb-.bb-.-bb..bb.-.bb.#.#...bbb-.bb-.-bb..bb.-.bb.b##...bbb-.bb-.-bb..bb...bb..##...bbb-.bbbbbbb..b.bbb.b.#b#...bGX-.bGbGbGb..bGbbbGb.#.#-------------------------b##..........................#BbBbBbBbBbBbBbBbBbBbBbBbBbBb` },
-  { variant: 'professional', num: 101, data: `M......E....S.......E...............bb..S....#bb..............bbbbbbSS.#bbbbbb......-----bbbbbbbbS#bbbbbbbb-----...bbbbbbbbbb#.bbbbbbbbbb....bbbbE---#..-.#-..#---Ebbbb.--.bbG...#.-.#..-.#...Gbb....BbGbb...#-...#..-#...bbGbB..BBb.bb..Xb..#...bX..bb.bBB..BBBbGbb..bb..#.bb..bbGbBBB..BBBBb.bb..bb#.bb..bb.bBBBB..BBBBBbGbb..b.#b..bbGbBBBBB..BBBBBBb.bb.b#.b.bb.bBBBBBB..BBBBBBBbGbbb.#bbbGbBBBBBBB..BBBBBBBBb...#....bBBBBBBBB.BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'professional', num: 102, data: `SbBbBbBbBbBbBbBbBbBbBbBbBbBbS-............G............##Xbbbbbbbbbbb.B.BbBbBbBbBbB##b.bbbbbbbbbb.bBbBbBbBbBbBb##b.bbbbbbbbbb..G...........##b.b-bBb-bb-b..B.BbBbBbBbBb##b.b-bBb-bb-b..bBbBbBbBbBbB##b.b-bBb-bb-b...G..........##b.b-bBb-bb-b...B.BbBbBbBbB##b.b-bBb-bb-b...bBbBbBbBbBb##b.b-bBb-bb-b....G.........##bGbGbBbGbbGb....B.BbBbBbBb##bXbbbbbbbbbb....bBbBbBbBbB##..........................##M....................EEEEE##BbBbBbBbBbBbBbBbBbBbBbBbBb#` },
-  { variant: 'professional', num: 103, data: `.BbBbBbBbBbBbBbBbBbBbBbBbBbBSE.....M..............BbBbBbS....................#......Sb.....G............##......Sbbbbbbbbbbbbbbbbbbb#b......Sbbbbbbbbbbbbbbbbbbb#bG.....S..bbbbbbbbbb.bbbbbb#bb.....S.............bbbbbb#bbbb....SSS..S...S.S.bb#bbb#bbbb...S.....S...S.SG..#.bb#.bbbbb.S.GGG.S...S.SSG.#GGb#.bbbbbGS.SSS.S...S.S.SG#XXb#.bbbbbXS..S..SGGGS.S..S#...#...bbbX.SSS...SSS..S...S...#...bbbX....................#...bbbXbbbbbbbbbbbbbbbbbbbbbbS.....` },
-  { variant: 'professional', num: 104, data: `.........S..E................-------.S..................#........SSSS#BBBBBBBBBBBBB##.....bbb....#B.....EE....b##bbbb.b.Gbb..#b.#bBbBbBbG.B##bbbb.bbbbbb.#B.#BbBbBbBXBb##bbbb.b....b-#b.#..........##bbbb.bbbbbb.#BbBbBbBbBbBbB##bbbb.b....b............SS..#bbbb.bbbbbbbbbbbbbbbbbb.S..#bbbb.bG.b.Gb....Eb....b.S..#bbbb.bbbbbbbbbXbbbbbbbb.SSS#bbGb.b.....b.G...bb..Gb...S#XXXb.bbbbbbbbbXbbbbbbbb...S#M........E................S#bXbbbbbbbbbbbbXbbbbbbbbXbbb` },
-  { variant: 'professional', num: 105, data: `.Mbbbbbbbbb.......E.....-....#---------#BBBBBBBBBBBB.-...#.........#BG........GB..-..#.........#BBBBBB#B#BBB...-.##bbb#....#BG....#E#.GBGGGG.##bGb#....#BBBB#BB#BBBB.E...##bGb#....#B...#..#.........bbbbbbbbbb#bbbbbbbbbbbbbbb#.bbbbbbbb..#.Gbbbbbbbbbb..b#.bG.E..b##bbbb....Gbbbbbbbb#.bbbbb#b#bG..bXbbbb...Gb..b#.b....#.#bbb#bXbbbbXbbbbbbb#.bb#bbbbbbbb#bXbbbbXbbbb.GX#.bb#.......b#bXbbbbXbXbbbbX#.bbbbbbbbbbb#...E.......Xbb#.bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
-  { variant: 'professional', num: 106, data: `bG..............b.......bGbSbbbbbb#b#bbbbbbbb#b.G.B#b#bSM....b#b#bGGbbbbb#b.BBB#b#bSbEEEEb#b#b..bbbbb#b....#b#bSb....b#bbbbbbbbGb#b.G.B#b#bSb....b#b........b#b.BBB#b#bSb.....#b.BBBBBBBb#b....#b#bSbb.b.bbb.........#b.G.B#b#bS..b.....bbbbbbbbbbb.BBB#b#bSb#.b.....---------b....#b#bSGb#.b...#..GbG.bG.bBBBbBB#bS..b#.b..#..bbbbbbbb......#bS...b#.b.#..-------bbBBBBBBbS....b#.b#..G.G..G..........S......#.#..................Sbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 107, data: `bbbbbbbbbbbbbbbbSbbbbbbbbbbbbbbbbbbbbbbbbbbbSbbbbbbbbbbbbbbbbbbbb#..G...S.b.........bbbbbbbbb#bbbbbbSbbbbbbbbbbbbM......b#------------#bbbbbbbbbbbbbb#............#.G.bbbbbbbbbbb#bbbbbbbbbbbb#bbbbbbbbbbbbbb#b.....S....b#bb.G.bbbbbbbbb#bb....S...bb#bbbbbbbbbbbbbb#bbb...S..bbb#.GEbbbbbbbG..b#bbbbb.SGbbbb#bbbbbbbbbbbbbb#b.G..bSbbbbb#bb.G.bbbbbbb..#bbbbbbSbbbbb#bbbbbbbbbbbbbbbbbbbbbSbbbbb#.GEbb..............GGG.....#bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 108, data: `S..B...BbbbbbbbbbbbbbbbbbbbBS..bG..E#------------.......S..bbb#bbb......Gbb..#BbbbbGS.Gb..#.bb.......bb..#Bbbbbb#bbb..#.bb.......bb..#BGbbbb#..b..#.bb.......bb..#Bbbbbb#..b..#.bb.......bb..#Bbbbbb#GEb..#.bb.......bb..#......#bbb..#.bbG......bb..bbbb#bb#..b..#.bbbbbbbbbbbG.....#..#..b..#.bbbbbbbGbbb#----.#EG#..b..#.b...GG....b#...BbbbB#..b..#.b.bbbbbbb.b#........#..b..#...G........#........#..B.Bbbbbbb#bbbbbbbb#bbbbbB#G........G.#........#.M.G..` },
-  { variant: 'professional', num: 109, data: `BBBBBBBBBS..................BbbbbbbbBS..................BbB....GBBBBBBS.............B...#BbbbbbbBSSG..E..#BBBBb#BG--#BbG....BS.BbBbB##B.BBb#BBB.#BbbbB#.BSS..B..G#B.BBb#BG..#..EGBbbB.S..B...#..BBb#B#BBBbbbbbB..SSEGBG..GB#BBb#B#.-#BbbbbB..SBbbBbB.BB#B.b#BBB.#BG.bbBG.SS..B....B#BGb#B...#BbbbbBbB.S..B#---.#BXb#B#BB#.....B..SS.GB#..#B.BG-#B#.BBBbbB#B..SBbbB#G.#B.Bb#.B#..GBG.B#B..S..GBBB.#..Bbb#B#.#BBbbB#BbbB#BbB....B#BGb#BBBBBB...#..M.#...#B#..#...#` },
-  { variant: 'professional', num: 110, data: `G...MBbbBB.....S............bbbbbbbbBG...EGS....G......GbbbbbbbbBB#BBbBSB.B#b.b#bbBBb.G.....BG#B.G.SB.b#b.b#....bbbbbbbbBB#BSBbBB.b#b.bbbbb#bbbbbbbB.G#BS.G.B.b#b.b....#b.G.....b#BBBbBSB.b#b.b#bbbbbbbbbbbbB#.B.G.SBGb#b.b#.G..bbbbbbbbBB#BSBbBB.b#b.bbbbb#b.G.....BG#BS.G.B.b#b.b....#bbbbbbbbBB#BBbBSB.b#b.b#bbbbb...bG..BG#BG..SB.b#..b#.E..bG..bbbbBB#BBbbBB.bbbbbbbbb#bb#.b.....#................#G.#bb#bb#bbbbbbbbbbbbbbbbbb#bb#..#bb#..........EG......#` },
-  { variant: 'professional', num: 111, data: `BBBBBBBBBBBBBBBB...........SB---------------...........SB#B.BG..#B..BG.BG..--......SB#b.Bbbbbb..BBbbbbB..B.....S.#b......BG.B..b.GbG.B-.#BGS#Bbbbbbb.BbbB..bbbbbbBGBBBBS#B.bG..b....bG.b..b.Gb.....S#B.bbBBbbXb.bbbb..bbbbbbB..S#.....E..Gb....bG.b..b.GbG.S#BBbBBBB#bbbbb.bbbb..bbbbbbX#b.....B#....bGE..bG.b..EG.X#bbbbbbBBBBB#bbbb.bbbbbbbbbX#..B......GB#...b....bG.bbbX#bbbbbBBBbBBBBB#bbbb.bbbbbbX#.....G..M....B#...B.......GBbbbbbbbbbbbB#.#....#bbbbbbB` },
-  { variant: 'professional', num: 112, data: `bbbbbbbbbbbbbbbbbbBE.......SX#----------------BbBbBbBbBSX#.G...G...G...G.BB..-....GSX#....-----------#B#B.BBBBB.X#..........E....#B#...-.-..XbbBBbbBbBbbBbbbB#BBBBB.B.B##----------------#-..-.....##..................#b.bbbb#b#.G...G...G...G...G#b.b.bb#b#...........E......#b.b.bb#G#.bbbbbb#BbbBBbbBbBBb.b.bb#b#.bG....#bGb.G.b.G.bb.b.Gb#b#.......#..b#b#b#b#b..Gbbb#G#bb#bbbbbb#b#b#b#b#bGbbbbb#b#.b#.....b#b#b#b#b#bbbbbbb#b#.bbbb#..b#.#b#.#b#...GM..#b` },
-  { variant: 'professional', num: 113, data: `...........................Sbbbbbbbbbbbbbbbbbbb....E...SG#----....M....---.#bbbbbbbbb#.G.#bbbbbbbbbG.bbbbbbbbbbbG#BBB#bbbbbbbbbbb###bbbG.bbbb#...#b.bG.bb.bbb.G###bb.GbbG#-#.#b.bb.bb.bbb...G###bbbbbB.#.#b.Gb.Gb.GbbBB...G###bbG..#.#bbbbbbbbbbbbbBB...G#.bb#-#-............GbbbBB....bG#.G.#bBBBBb#.BbbbbbbbbBBBbbb#BBB#......#..............b.#...#----..#..........E....Bbb#.....G..#bbbbbbbbbbbbbb#...#..E.....#..--------....#G..#bbbbbbbbbbb...E.E..bbbbb` },
-  { variant: 'professional', num: 114, data: `bbBbbbbBbB..S.E.E.E.E.EB....G#---#---...SbBbbBbBbbBbB...b#.G.#.G..Sbb............b..G#...#..b#b.....G.....G.G.B.B#bb#bbbB#bbbBbBbbBB#bbbbXbBb#b###b.b#b......Gb###b..G.bb#b#b#b.b#b#bbbbbbb#b#bbbb.bb#b#G#b.b#b#bbGMbbb#.#b..G.bb#bbbbb.b#b#bbbbbbb#.#bXbbbbb#.G.G..b#b#....bbb#G#b...GbBbbbXbbB###bbbb#bbbbbbbbBXBBG#b#----#b#---###b........#Gb#b#..........#.#b--------#bb###.bbbbbbbb.#.#b......G.bBbb#..bbGbbGbb.###GbbBbBbB#.Gbb#............#.bBG.....#Bb` },
-  { variant: 'professional', num: 115, data: `...............S................E....-E....SE..GE...E..G#bbbbbbb#.b....S..G#bbbbbbbb#bbbGbbb#.bb...S.G#.........#.BbbbB.#.bbb..SG#.........G#..BbB..#.bG.bbS#G..bbbbbbXb#...B...#.bbbbbS.#G.........#...M...#.bbb.bS..#G.......Gbbbb#bbbb.b.bbbS..G#bbbbbbbb....#.....GbbbbS.G#.............#.....bbbbbSG#....bBbbb##bbbbbbbbbbbbbbS#G...B#....##................#G..BBb...##.................#G.BBGbb.##..................#.BBB...#bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
-  { variant: 'professional', num: 116, data: `..............................b..b..b..b..b..b..b..b..bSSb.Sb.Sb.Sb.Sb.Sb.Sb.Sb.Sb.SSbbXbbXbbXbbXbbXbbXbbXbbXbbXS......M...bX....bX.........#bbbbbB#bb#bX#bb#bX#bbbbbbb.#bbbGbB#bb#..#bb#..#bbbbbbb.#b.bbbB#bb#..#bb#..#bbbbbbb.#bbbGbB#bbbbbbbbbbbbbb.bbbb.#b.bbbB#bGbG.....bbbbb.bbbb-#bbbGbB#..bbbbbb#b.G.b.bbbb-#b.bbbB#bbb..E..#.bbbbG.bGb.#bbbGbB#..Gbbbbbb#....b.bbb.#b.bbbB#bbb......bbbb#-----.#bbbbbB#..................#G#E....E#bBbBbBbBbBbBbBb-#b-#` },
-  { variant: 'professional', num: 117, data: `..-.........................#BXbb#B.........E-..........#BXbb#b#bBBBBBBBb.#bBbBbBbBb#BXbb#B#bG.....Gb.#...b.---G#GXbb#b#bBBBBBBBb.#bbbbb....#BXbb#B#........M.#.b..#bbbb#GXbb#bBBBBBBBBB#BBBBBB#bbbb#BXbb#B---------#-----.#bbbb#BGbb#b....G....#BbBbB..#bbb#BbXX#B.bbbbbbb.#bBbBb..#bbb#....#b.........#.......#bbb#bBbBbBbB#BbBbBbBbBbBbB#-#bb#.......B#..G...G...G..#.#bbBBBBbBBBB#.bbb.bbb.bbb.#.#bbG........#....E...E....#bbbGbbbbbbbbb#bbbbbbbbbbbbb#....` },
-  { variant: 'professional', num: 118, data: `........SS....SG.......-----#bbbb#BES.S...Sbbbbbbb#b.X.b#bb..#BB#S....SG......#b.X.b#.bb.#..#.S.S.Sbbbbbbb#b.X.b#..bb#BE#SGG.S........#b.X.b#.bb.#BBbBbBb#bBbBbBbBXb.X.b#bb..#...----#..b......b.X.b#.bb.#BE.G..G#BbGbB#bXGb.X.b#..bb#BB#b..b#BbbbB#...b.X.b#.bb.#..#.bb.#BbbbB#bbbb.X.b#bb..#BE#....#.....#...b.X.b#.bb.#BBb#..#b#.#bbbbb#b.X.b#..bb#...bbbbbbbb.....#bbbbb#.bb.#B..........G...G#bGbGb#bGGb#BE.#bbbbbb#..M..#.....#.bb.#.bbbBBBBBBbbbbbbbbbbSG` },
-  { variant: 'professional', num: 119, data: `.............M..............#BbbbbbbbbbbB##BbbbbbbbbbbB##bbbbbbbbbbbb##bbbbbbbbbbbb##bbGbbbbbbbbb##bbGbbbbbbbbb##bbbbbbbbbbbb##bbbbbbbGbbbb##bbGbb#bGbbbb##bbbbbbbbbbbb##bbbbb-bbbbbb##bGGbbbbbGGbb##bbbbb-bbbbbb##bbbbbbbbbbbb##bbbbb-bG.bbb##bbbbbbbbbb.b##bbbbb.bb#bbb##bbbbbbbbbGGb##bbbbbbbG#bbb##GbbbbbbGGbbb##bbbbbbbb#bbb##bbbbbbbbbbbb##bGbbbbbG#bbb##BbGbbbbbbbbb##bbbbbbbbbbbb##bbbbbbbGbbbb##E..........E##E..........E#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 120, data: `M..........................E...Bb#bbbbb#bbbbbbbbbbbb#bbb..#..#.....#............#.BBBB...#.....#...........bSb.B...BB#.BBbb.#B.B..#bBB#bbb#BBBB..#.b-bb.#B.B.SBb#B#G..#B.....#..bb.#BB.BBBBbBBBBG.#B.b.#B#.BGGB#..#.GB.G...bBBBB..bB.#..bb.#-B.BBBbBB#bb....G#-B.#..B..#..B.---.BSbG-.B.bBBB.#.BGbB#...EBBB#BBBBSb#.--...#..Bb.#BbB#...#....BBB..b.-.#...b.#B#Gbb#.#.#-#-#-#b#bSb#.E...#.B#-#b.#B-#-#-#-#GBBb#b#bSb#.BB.BB#GB#-#-#-#Bb###bbbbb.#bbbBbbbbB-#-#-#G` },
-  { variant: 'professional', num: 121, data: `BBBBBBBBBBB#-....-...MEE....#...--.....#.b..b.bbb#..BBBB#bbb.......#.G..G.bGb#......#bGb.......#.b..b.b.b#..G...#b.bGBBBbbbB.bbbb.bbb#......#bbb.B..GGG..---.....#..bbbb#....Bb#...#b...b#...#..Gbbbbbbb#Bb#..##b...b##..#.bbbbb....#Bb#..#.b.G.b.#..#.....G....#Bb#..#.b.G.b.#..#....G.#bbbbBb#.##bbG.Gbb##.#......#....Bb#.#.bG...Gb.#.#.#bbbbbbbb#Bb#.#bG.bbb.Gb#.#.#........#Bb#..bEbbbbb.b..#.######bbbbBb#..G.bbbbb.G..#.----##.....b#....bGGGb....#.....#` },
-  { variant: 'professional', num: 122, data: `SSSSSSSSSSSSSSSSSSSSSSSSSSSSE...........SSSS...........E#bbbbbbbbbbbbbbbbbbbbbbbbbb##bbbbbbbbbbbbbbbbbbbbbbbbbb##b.Gbb......bGGb......bbG.b##..bbbbbbG..bbbb...Gbbbbb..#bb#..bbbbbbb..M.bbbbbbb..#bb..bb#..bbbbbEbbEbbbbb..#bb......bb#.--.b.Gb.b.--.#bb.....GbbG.bb..#b.bb.b#..bb.GbbG.bbGGbb..#bbb.bG.bbb#..bbGGbb..bb..#bbbbb.bb.bbbbb#..bb......#bbbb..........bbbb#......#bbbb..#bbbbbbbb#..bbbb#..Gb#......#b..GG..b#......#bGbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 123, data: `b#S#.#...#S.S#..SS...SS.S#Sbb#E#.#...#.S.#.S..S.S..E.#.bb#S#.#...#...#.S..S.SSS..#.bb#.#.#...#...#.S..S...S..#.bb#G#G#SSG#GG.#.GSSGGSSGG.#.bbbbbbbbbbbbbSSSbbbbbbbbbbbbb############################.####..................####...###bbbbbbbbbbbbbbbbbb###.....######################.......####......M.....####.........###bbbbbbbbbbbb###...........################.............####......####...............###bbbbbb###......GEGbbbb#...##########...#bb.bb` },
-  { variant: 'professional', num: 124, data: `BBbbSSS.SGSbSSS.SSSbbSSS....BBBbb#..#b#b#bbbS..Sb#BBbbbbBBbGb#Bb#S#.#SbbS##bb#SBbbbbBBBbb#BbSbSbSbbb#bb#b#BBbbbG.....#BGSbSbSSSb#bb#.#SSbbbb#BbBbBbBbBbBbBbBbBbBbBbBbBb##........B....--...b......b##.#-..-#.B.#bbbbbb#b#bbb..b##.#.--.#.B.#bbbbbb#b#bGbbbb##.#-..-#.B.#bbGGbb#E#b.bbbb##.#bGGb#.BBBBBBBBBBBBbbbb.b##.#....#.....-------------.##.#....#.....G...G...G...G.##.#....#...................##.#....#............M..EE..##bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
-  { variant: 'professional', num: 125, data: `...........................#...........................#........#bbb...............#.......#bbbbbb.............#......##bbbbbbbb...........#.....##.bbbbbbbbbb.........#....##...bbbbbbbb..........#...##....bbbbbbbG..........#..##......bbbbbGG..........#..##......bbbbGG...........#..##.......bbGG............#..##.......b...............#..##.......................#..##.......................#..##.##....................#bbbbbbbbb#EEEEE...........M#` },
-  { variant: 'professional', num: 126, data: `ME......G......G...........EB.....#bbb-...-#.#bbbbbbbbbbB..B..#....-.-.#.#bbbbbbbbbb..bGb.#.....-..#.#bbbbbbbbbb.BbBbB#....-.-.#.#bbbbbbbbbb.-----#.G.-...-#.#bbbbGGbbbb......bXbb.......#bbbbbbbbbb...........#b#...#...........bbbb#bb#bbbbbbbbbbbb#bbbbb#.bG.b.Gb#............#b...b#.bBBbBBb#..bbb..bbb..#b.G.b#....E...#..bbb..bbb..#X...b#.bbbbbbb#b#.G.GG.G.#b#bBBBX#........#.#........#.#.....#........#E#........#E#.....#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 127, data: `..............M.............SSSSSSSSSSSSSSSSSSSSSSSSSSSSG...S------------------S...Gbbbb#BbbbbbXB..BXbbbbbB#bbbbG...#BBBBBBB.bb.BBBBBBB#...Gbbbb#BBBBBB.bbbb.BBBBBB#bbbbG...#BBBBB.bbGGbb.BBBBB#...Gbbbb#BBBB.bbG..Gbb.BBBB#bbbb....#BBB.bbG....Gbb.BBB#....#bbbb...bbG......Gbb...bbbb##bbb....bbG......Gbb....bbb##bbbb...GbbG....GbbG...bbbb##BBBbBBBB.bbG..Gbb.BBBBbBBB##BBB.BBBBB.bbGGbb.BBBBB.BBB##.........EEbbbbEE.........#bbbbbbbbbbb#.XX.#bbbbbbbbbbb` },
-  { variant: 'professional', num: 128, data: `.........SSSSSSSSSS...............SSSS..EEEE..SSSS.........SSSS..G..BBBB..G..SSSS...SSSS..G..BBBB..BBBB..G..SSSSS..G..BBBBG......GBBBB..G..SBBBBS.G..BBBB##BBBB..G.SBBBB...BBBBS.G..B##B..G.SBBBB...G.....BBBBS.G##G.SBBBB.....Gbbbb#....BBBB##BBBB....#bbbb...bbbb#.....##.....#bbbb.........bbbb#..##..#bbbb...............bbbb##bbbb......................##.............bbbbbbbbbbbbb##bbbbbbbbbbbbb.............##M............bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 129, data: `M.---.--..-----.-...-.-.-...bb...b..bb...b.#.###.#S#.#..b.b.b.b.b.b.b.b#.S.S.#.#.#..b.b.b.b.b.b.b.b#.SSS.#S#.#.SbGb.bGb.bGb.bGX#...S.#.#.S#SbX...X..bX...X.S.SSS.###...#...........................#-------------...--.--...-..##.###.###.###bbb..b..bbb.bbb#.S.S.S.S.S..bG..b.b.bG...b.#.SSS.SSS.SSSbbb.b.b.bb...b.#...S.S.S...S.Gb.bGb.b....b.#.SSS.SSS.SSSbbb..X..b....b.#.......................EEEEBBBBBBBBBBBBBbbbbbbbbbbbbbbbbbbbbbbbbbbbbBBBBBBBBBBBBBBB` },
-  { variant: 'professional', num: 130, data: `.M...........GG...........E.SbbbbbbbbbbbbbbbbbbbbbbbbbbSSb...........GG...........bSSbBBBBBb#BBBB##bbbbbbbbbbbbSSbBG...b...GB##...........bSSbbBBBBbBBBBb##Bbbbb....bbbSSb-----------##Bbbb...bEbGbSSb.....-.....##Bbb...bbbb#bSSbbbb.bEb.bb.##..Gb.bGbbb#bSS.bbb.bbb.XG.##..b.bbbb#.#bSSbbbb.bbb.Gb.##...GG...#b#bSSbGbb..G..bb.##BBBBBBBB#.#bSSb..........E##E..GG...#b#bSSbbbbbbbbbbbbbbbbbbbbbbbbbbSSG........................GSbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 131, data: `.....BBB.......#-...-#b....M#bGb#B.#.bbbbbb#.b#b.#b...GE#bbb#B#.G......#.b.b.#BBBBB.#bbb#B#.XXbbbbb#.b#b.#......#bbb#B#........#.b.b.#..BB..#bbb#B.#.bbbbbb#.b#b.#.b.Gb.#bbb#BBBB...bbb#.b.b.#.b#bb.#bbb#......#bBb#.bbb.#.b#bb.#bbb#b...BBbb-b#.bbb.#.b#bb.#...#b...BBbb-b#.bGb.#.b#bb.#BBBbbXG.BBGbBB#.....#.b#bb.#...Gbbb.BBbBBBbbbbbb#.b#...#BBXbbG....E.........#.b#-b.#.....BBBBBbBBBBBBBBB#.bbbb.#E..................E#......bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 132, data: `...G.........E........-.....#bbb.bbbbbbbbbbbbbbbbb.bbb#.#..E.bbbbbbbbbbbbbbbbb.bbb#.bbb#.bbbbbbbbbbbbbbbbb.bb##.bGb#.bbbbbbbb.bbbbbb.G.b###bbb##.bbbbbbb...bbbbbbb..#b#b.##b.bbbbbbG...Gbbbbbb.E#bGb.#bb.bbbbbbb...bbbbbbb.b##bbb##b.bbbbbbbb.bbbGbbbb.bb##bbb##.bbbbbbbbbbbbbbbbb..bb#.bbb#.bbbbbbbb..bbbbbbb.Gbb#..b##.bbbbbbbb.bbbbbbbb.bb##bG##b.bbbbbbbbGbbbbbbbb.b##bb##bb.bbbbbbbbXbbbbbbbb.##bGG#............M.........#..bbbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 133, data: `-------G------------G-------#-..-..b..-.M##..-..b..-..-##.-..-.G.-..-##-..-.G.-..-.##..-..bbb..-.##.-..bbb..-..##...-..G..-..##..-..G..-...##....bbbbb...##...bbbbb....##...b-bbb-b..##..b-bbb-b...##..b..-b-.bb.##.bb.-b-.bb..##..bb-GbG-bb.##.bb-GbG-bb..##.bbb-bEb-bbb##bbb-bEb-bbb.##.bb.-b.b-.bb##bb.-b.b-.bb.##b...-bGb-...##...-bGb-...b##bbbb.-b-.bbb##bbb.-b-.bbbb##Ebbb-GbG-bbb##bbb-GbG-bbbE##..bb.bbb.bb.##.bb.bbb.bb..##....#bbb#...##...#bbb#....#` },
-  { variant: 'professional', num: 134, data: `#BBBBBBB.E...M...EE.BBBBBBB##..BBBB..BBBBBbBBBB..BBBB..##BSEB..G###......###G..BESB##BBBB.BBbb#BBBbBB#bbBB.BBBB##B.....####......####.....B##B.bBBb#bbbBBBbBBbbb#bBBb.B#S......####......####......SbBBBBbBbbb#BBBBBB#bbbBbBBBBbG.........###..###.........GbBBXbBXBBBbbb##bbbBBBXBbXBBb.....G.......##.......G.....BBBXBbXBBB###..###BBBXbBXBBBG......####..##..####......GbBBbBBX#...#XBBX#...#XBBbBBbG...#####XBBB##BBBX#####...GBBBX#...#B########B#...#XBBB` },
-  { variant: 'professional', num: 135, data: `.BBBBBBBB#...........................#........--............E.G..#-SSSSSS#..-..G...G...#b#bbXB.-..SE.#...--#bbbb...#BS..GBG-..S.#BXbB..#.......#BBBBBBB.BB#-#..G..#Bbbbb...#--.BBBB...#....B..#-...#.---.B#.....G.#G......#-b.B#b-B-bB#BXb#BBBBBB#bbXb#BbGB#b...bB#...#..BB..#....#.#bB#bbGbbB#Bbb#bbGBB.#...B#....#.bb...#...#.bbGBB#.G..#-#bbB......#...#bGbbGB#.B..G.#bGBbbbbbb#...#bbGbb.#.---B.#XbB......#E..#.bbGbb#......#...bbbbbbBbbb#M..E..#bbbbbbbBbb` },
-  { variant: 'professional', num: 136, data: `S...........................S.....................-----.S........M..........E......#S....bbbbbbbbbbbbbbbbbbb...#S..bbbbbbbbbbbbbbbbbbbbbbG.#S.bbbb..G...............bb.#S.bbGG..bb.E......G.....bX.#Gbbb....bbbbbbbbbbbbbbbbbG.#.Xbb....bbbbbbbbbbbbbbbb...#.Gbb...............G.......#..bbbb..G.......E.bb.......#...bbbbbbbbbbbbbbbbbG......#.....bbbbbbbbbbbbbbb.......#...........................#E...........E..............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 137, data: `SB.BB.BBBBBB....BBBBBBBBBBBBSB.BB.-----.----..........-BS----#-----BS..#BBBBBBBBB#.BSG...#G....BS..#...G...B.#.MSb#bXBbb#bbBS..#bbbBbbbBb#bBS.#-----#.GBS..#G..B.#####.BS.#.B.B.#.BBS..#bG...#GB..GB#B#G...E#..BS..#bbbbXBbBbbbB#BBbb#bbBbbBS..#b..B.G.BG..BSG...#....GB#--#b..B.BBBB..B#bbb.#....BB#EG#b.GB.G...G.B#bbbbBb#bbBBBbbBb#bBbbXbbb#B#---.B-#-----.bBb#--------#B#G..#B.#.G...#G..#.G....G.#BBb#bBBbBXbBbb#bXbBb#bB#bb#bBGb#.G........#.....#.E#G.#..` },
-  { variant: 'professional', num: 138, data: `.........S....bbbbbM.................S...bG###Gb.------#.-----...S...b######b......##........S...b###E###b.....##.....bb.S...b#######b.....##....bG.bS....bG#####b.....##.....bb.......b###Gbb.....##...............bbbbbbb.-..##...E................bbb...########-b#..S...SS.SSSbbB..########.b#.S.S.S...S..GbBB.########.b#.S.S.S...SS...BBB########.b#.SSS.S...S.....BBB#######Gb#.S.S..SS.SSS....BB--------b#..E..............EG..G.#bbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 139, data: `SbbbbbbbbbbbbbbbbbbbbbbbbbbSS----#B#----#bb#----#B#----SS....#B#...#.M..#...#B#....SS....#B#....#bb#....#B#....SS....###....#bb#....###....S#BS....#bbbb#..#bbbb#....SB##BES...#....#bb#....#...SEB##bbbbbbbbbbb#bb#bbbbbbbbbbb##BBBBBBBBBBBBbbBBBBBBBBBBBB##BE.....B..........B.....EB##B.....#bbbb#GG#bbbb#.....B##......#....#bb#....#......##....#B#....#bb#....#B#....##....#B#...#.GG.#...#B#....##...G#B#G.B.#bb#.B.G#B#G...#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 140, data: `E--------------#......................GG...#............#bbbbbb...##...Bbbbbbb#bbbbb#........#BB#.........#bGGbbBbbbbb#.b#BB#b........#b..bb......#..####..#bbbbbbBbbXbbbbbbbbB...##...#..........GEbbbbbbB...##..-#.b.bbbbbbbbbbbbbbbB...##......b.bbbbbbbbbbbbbbB...##.......b.bbbbbbbbbbbbbB...##........b.bbbbGbGbbbbbB...##.........b.bbbbb.-----.SbbbBb#..............S.....SSbbBBb#E...BB#.......S.....SbbbBBbBbbbbBBB#.....MS.....SbbbBBbBbbbbBBBB#-----` },
-  { variant: 'professional', num: 141, data: `SbbEbEbbbbbbbbbbbbbbbbEbEbbSS......#---#....#---#......SS...bGb#...#-##-#...#bGb...SS...bbXbG..bb##bb..GbXbb...SS...G...bb..####..bb...G...SSbb.bbbbGbb.#bb#.bbGbbbb.bbSS......bbGbb#bb#bbGbb......SS##bbb..bbG.#..#.Gbb..bbb##SS##bbbb..bbbb##bbbb..bbbb##SS##bG.GB#....##....#BG.Gb##SS##bGbB..bbbb##bbbb..BbGb##SS##XBB.GbbG..##M.GbbG.BBX##S####...bbGbb####bbGbb...########bbbbGbb.####.bbGbbbb########....bbG.####.Gbb....####bbbbbbbB#GBbbbbbbBG#Bbbbbbbb` },
-  { variant: 'professional', num: 142, data: `...........................SG.........GBBG............-S#E.......#bbbb#.....bbbbbBM##E.......#GBBG#.....bbbbb#.##E.....#bbbBBbbb#...bbGbbB.##E.....#G..BB..G#...bbbbbB.##....#bbbbbBBbbbbb#.bbbbbB.##....##G...BB...G##........##bbbb..#bbbBBbbb#.....bbbbb##......##G.BB.G##..........##........#bBBb#............##........##GG##............##..........##..............##.........#BB#.............##G........#..#............G#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 143, data: `............................S.M.SSSE.SSSE.SSSE.SSSE.SSSS#bbb#.#bb#.#bb#.#bb#.#bb#..S#bGb#.#bb#.#bb#.#bb#.#bb#..S#XbXb.bbbb.bbbb.bbbb.bbbb..S#............#.............S#.#bGGb.bbbb.#BGb.#bbb.bbbb##..b..b.B#GB.#Bbb.#bGb.bG..##..bbbb.BBBB.#Bbb.bXbb.bbXb##............##............##bbbb.bbbb.bbB#.BBBB.BBBB..##bbGb.bGGb.bGB#.BG.....GB..##bXbb.b..b.bXB#.BBB#.#BBB..##............##............##............##............#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 144, data: `SB.........--M............B.SB........#..GG...........B.SB........#..bb...........B.SB....bbB##.bBBb.##Bbb....B.SB...bbB##.bB##Bb.##Bbb...B.SB..bbB##.bB####Bb.##Bbb..B.SBGbbB##.bB##--##Bb.##BbbGB.SBbbB##.bB##----##Bb.##BbbB.SBbE##.bB##--..--##Bb.##EbB.SBb##.bB##--.GG.--##Bb.##bB.SB##.bB##--..bb..--##Bb.##B.SB#.bB##--..bbbb..--##Bb.#B.SB#bB##--..bb##bb..--##Bb.B.SBbB##--..bb####bb..--##Bb..SBB##---.bb##GG##bb.---##Bb.SS##--E.bb##-bb-##bb..--##bb` },
-  { variant: 'professional', num: 145, data: `##GE#..#..#..#.E#..#..#..#E##.b#.b#.b#.b#.b#.#b.#bG#bG###b#.b#.b#.b#.b##b.#b.#b.#b.###.b#.b#.b#.b#..#b.#b.#b.#b##.b#Gb#.b#.b#.#b.#bG#b.#b.###b#.b#.b#Gb##b.#b.#b.#b.#b.###.b#.b#.b#..#b.#b.#b.#b.#b##.b#.b#.b#.#b.#bG#b.#b.#b.###b#.b#.b##b.#b.#b.#b.#b.#b.###.b#.b#M.#b.#b.#b.#b.#b.#b##.b#.b#.#b.#b.#b.#b.#b.#b.###b#.b##b.#b.#b.#b.#b.#b.#b.###.b#..#bG#b.#bG#b.#b.#b.#b##.b#.#b.#b.#b.#b.#b.#b.#b.###b##b.#b.#b.#b.#b.#b.#b.#b.###..#..#..#..#..#..#..#..#.#` },
-  { variant: 'professional', num: 146, data: `........M.........-.-.-..--.#Bb#bB#.bbb#Bb#bB#.#.#.bb..##Bb#bB#bbb.#Bb#bB#.#.#..bb.##Bb#bB#.bbb#Bb#bB#.#.#.bb..##Bb#bB#bbb.#Bb#bB#.#.#..bb.###bBb##.bbb##bBb##.#.#.bbE.#E#bBb#.bbb.E#bBb#E.#.#..bb.#.#bBb#.B..B.#bBb#.##.#.bb..#.#bBb##BG.B##bBb#.#..#..bb.#.###bB#.bb.#Bb###.#.##.bG..#...#bB#..bb#Bb#...#.#...bb.###.#bB#.bb.#Bb#.###.#..bb..#.#.#bB#..bb#Bb#.#...#...bb.#.#.####BB.B####.#.####.bb..#.#....#B.GB#....#.#..#..Gb.#.####.#Bbb.#.####.#..#.bb..#` },
-  { variant: 'professional', num: 147, data: `#######-.......-----..M.##########..bbbbbbb.....#bb..########..bbbbbbbbb.....#bb..######..bbG.....Gbb.....#bb..####..bb.........bb.....#bb..##.GbbG.........Gbb....G#bbG#..bbbbbbbbb#.....bbbbbXbbbb#..bbbbbbbbbb#....GbbbbXbbbb##..bb#.G..Gbb#..........bb.###..bb#.....bb#........bb..####..bb#.....bb#.G..E.bb..######..bb#E....bXbbbbbbb..########..bb#.....Xbbbbbb..##########.............G...############.....E.........#####bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'professional', num: 148, data: `S-..E..................M..-#S.BBBbBBBbBBBbbBBBbBBBbBBB.#SbE......................Eb##B..##...##......##...##..B##B.#..#.#..#.GG.#..#.#..#.B##B.#..#.#..#.##.#..#.#..#.B##B.G##GGG##G....G##GGG##G.B##B.#..#.#..#.##.#..#.#..#.B##B.#..#.#..#G..G#..#.#..#.B##B..##...##......##...##..B##B........................B##.BBBbBBBbBbbbbbbBbBBBbBBB.##.---------.bbbb.---------.##..G....G..#bbbb#..G....G..##.E........#b##b#........E.#BBBBBbBBBbBbG##GbBbBBBbBBBBB` },
-  { variant: 'professional', num: 149, data: `BB..-...BBB..-..B.--.........G-#.BbG...b#.BbGb..#BBbGB#b.b..#.Bb..Gb#..BB..#B.Gbb.#b.Bb..#.bbB.bB#E...#B..bBBBBb.BBb..#.BBbBBbBBBb#BBBb....G.BGbb.#----...--.b#.....B#.X.BBb..BXB...bB.G.BbBBbBB.#BX.BB..BBGBB.bBBBbBB...-..#BB..B..BBBXBBBbG....BGbB..#BB....GBB.#---.BBB....bB..#BB.--..BB.#....#..........#BB.#.G.BB.#B....----#Bb#..#B...#b....#..BEb...E.#.bBb#B.bbB#b...SX#..bBb.SbBBbbGB#.BbbG.bBGSBGB#..BGbSbG.bbBBb#.bbbBBBBS.X..#..bBSB.BBbM..#B#b..GB` },
-  { variant: 'professional', num: 150, data: `SS#SS.#..#.#S#..#S#.#..#.#S...S...S..S.S....S...SS.S.S.S..S...SSSS.SS...SS..SS.S.S.S..S...S..S.S....S...S.SS.S.S..#...#..#.#S#..#S#.#.S#.#S.#BBBBBBBBBBBBBBBBBBBBBBBBBB##Bb#G#b#G#b#E##E#b#G#b#G#bB##Bb#b#b#b#b#b##b#b#b#b#b#bB##BG#b#G#b#G#b##b#G#b#G#b#GB##bbbbbbbbbbbb##bbbbbbbbbbbb##BG#b#G#b#G#b##b#G#b#G#b#GB##Bb#b#b#b#b#b##b#b#b#b#b#bB##Bb#E#b#G#b#.##.#b#G#b#E#bB##BBBBBBBBBBBB##BBBBBBBBBBBB##EG..........##..........GM#bbbbbbbbbb#..##..#bbbbbbbbbb` },
-  { variant: 'revenge', num: 1, data: `#B....SSS...SS...SS..SSS...B#B...S.....S..S.S..S.S..S..B#B...S..SS.S..S.S..S.S..S..B#B...S...S.S..S.S..S.S..S..B#B....SSS...SS...SS..SSS...B#BBBBBBBBBBBBBBBBBBBBBBBBBBB#...........................#bbbbbbbbBbbbbbbbbbbbbbb-...#bb#bbbbB#.bb#bb..b#b#bb-B#.#bb#bbbbB#bbb#b#bbbbb#bb-B#M#bb#bGGbB#Gbb#b#bbGbb#bb-B#E#bb#bbbbB#.bb#b#bbbbb#bb-B#.#bBb#..GBB#.#BbBbbbbb#Bb-B#.#BBBBBBBBBBBBB.BBBBBbBB.-B#.#EE..................G...B#.bbbbbbbbbbbbbbbbbbbbbbbb.bb.` },
-  { variant: 'revenge', num: 2, data: `SB........................B.SB....................G...B.SB#bbb#-#G#G#G#G#G#-#bbbb#B.SB#......#G#G#G#G#.....G.#B.SB#bbb#---#G#G#G#---#bbbb#B.SB#........#G#G#.....G...#B.SB#bbb#-----#G#-----#bbbb#B.SB#...GGGGGGG#GGGGGGGG...#B.SBBbbbbbbbbbb#bbbbbbbbXXXBB.S............#..............S..bbbbbb....#....bbbbbb....S..bbGGbb....#....bbGGbb....S..bbbbbb....#....bbbbbb....S............#..............S...M........#.......G.....EBBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'revenge', num: 3, data: `..........................BS.........-------..........BSbbbbbbbbb.......#.........BS.bbGGGbb....GG..#...G.....BS..bbbbb...-bbbbbbbbbbbbbb#BS...bbb....-.........bbbb##BS....b.....-.........bGb##bBS.........-..........bb##bbBS........-.G.........b##bbbBS.......-.GG...G....G##bbbbBSG.....-.GGG..bbb#bbbbbbbbbBSbbbXbb..GGG.....#.........BS...#....bbbb....#.........BS...#............#.........BSG..#......M.G...#...G....EESbbb#bbbSbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 4, data: `...................................#BG..........#BG.......-#BG.#BBG.........#BBG.......#BX.#BBX#BG......#BBBG....G.#..G#...#BBG.....#BBBBG...Xbbbbbbbbb#BBBG....#BBBBBG...bbbGGGbb.#BBBB....#BBBBBBG...bbbbbb..#BBBBX...#BBBBBBX...........#........#..............G...#..GGG...#.GGGG........bbbbbbbbbbbbbbbbbbbbb#........bb...bGGGBGGG..-.bb#.........bbb..GGGBGG#Xb.bb.#...........bbbBBBBBBBbbb...#..EEE...GG...G...G.G......M#..BBBBBBBBBBBBBBBBBBBBBBBBB#` },
-  { variant: 'revenge', num: 5, data: `B.........S................BB.........S................BBBBBBBBBBBSBBBBBBBBBBBBBBBBBBBBBBBBBBBSSSSSSSSSSSSSSSS.BB.G..G.....G..GG......G.GG#BB#bbbbbbbbbbbbbbbbbbbbbbbbbBB#.....................EEEEBBbbbbbbbbbbbbbbbbbbbbbbbbb#BB..G.............G.GGG....#BB#bbbbbbbbbbbbbbbbbbbbbbbbbBB#...........G...........G.BBbbbbbbbbbbbbbbbbbbbbbbbbb#BB.....G..G....GG.........G#BB#BBBBBBBBBBBBBBBBBBBBBBBBBBB#....................G..GGMBBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
-  { variant: 'revenge', num: 6, data: `BSBBBBBBBBBBBBBBBBBBBBBBBBBBBS.-------------------.....BBS.....#..............#.G..BBXbXXXX#..............bbbb#BB......#..bbbbbbbb........#BB......#.b########b.......#BBXXXXXX#b##.GGGG.##b......#BBGX.XGX#b#..----..#b......#BBGXGXGX#b#........#b......#BBGXGXGX#.X#.----.#b.......#BBGXGXGX#--bbXXXXbb........#BB.XGX.X#..................#BBXXXXXX#..................#BB------#.............EEGGM#BBbbbbbbb.bbbbbbbbbbbSbbbbbbB...GGG..............S.......` },
-  { variant: 'revenge', num: 7, data: `...------------------------#..-.....#.#.-.EE..-.GGGGGG.#.M.-....#-G..-EE..-.GGGGG.-#..---.....#...GG..#.GGGG.--#.....-....#.-.GG..G.GGG.---#......-...#.-...-.#.GG.----#.....-.-..#.-....-....-----#....-...-.#.G....G..--..G..#.G.-.....-#-----.-G-....G..#.#-.......#.-...-.#-....G..#.#.-......#.-..-..#-....G..#....-.....#--.-.........G..#.....-....#..-.--------.G..#......-...#.-...-.--.-..G..#.......---#-.....-..-...G..#..........#................#` },
-  { variant: 'revenge', num: 8, data: `Sb.........................bSb.........GG..............bSb.bbbbbbbbbbbbbbbbbbbbbbbbbSbE---.bbb..G..---....--....Sbb#.b#..b.bbbb...#..-..bbb#Sbb.bbbb#b........#--.bb-XX#SbbGGGGb#....G.....E..bbGXX#SbbbbbbbbbbbbbbbbbbbbbbXbbX#Sb.------------------------#Sb#bbbbbbbXbbbbbbbXbb#bbbbbbSb#b.E.G....b......G.#b.....Sb#b.bbbbbb#b.bbbbbbb#b.bbb#Sb#..b..G.b#..b..G..b#..b..#Sbbbbb.#b.bbbbb.#b..bbbbb.#bSG....M#b....G.E#b........#bbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 9, data: `.E.-----------............BS#bbG.BBBBBBB.Gbb#......BS.BS#bbbG.BBBBB.Gbbb#......BBBBS#bbbbG.BBB.Gbbbb#.....GE..BS#bbbbbG.B.Gbbbbbbbb#bbbbb#BS#bbbbbbG.Gbbbbbb...#....b#BS#bbbbbbbGbbbbbbbG.......b#BS#bbbbbbbbbbbbbbbbbbbb#bbb#BS#G.....B#B....E......#..b#BSbbbbbb#B#B..bbbbbbb#...Gb#BS......#B#B..bbbbbbGbbbbbb#BS#bbbbbbB#BG.bbbGb..b.G..b#BS#bbGbbbB#Bbbbbbbbbbbbbbbb#BS#.....MB#B...G.........G.#BSBBBBBBBB#BBBBBbBBBBBBBBBBBBS........#.....G.G..........S` },
-  { variant: 'revenge', num: 10, data: `S...........................S----....------------------.#...SBS.#..G-..G..-.G.-..G..#...SB#.#..G.-.#.-..#..-.#..#.GESB#.#.-#---#----#----#.G#bbbS.#.#-.-.-.-.--.-.--.-..#G..SB#.#..........G.....EE.#bbbSB#..bbbbbbbbbbbbb#bbbbb#..GSB#..bbbbbb.......#.....#bbbS.#..bbbbbb.......#..G..#.G.SB#..bbbbbb....#bbbb#bbb#bbbSB#..bbbGbb....#b...#...#..bSB#..bbbbbb....#b.G....Gbb#bSB#........#bbbbbbbbbbbbM.#bSB#........#.....G...GEEbbbbSB#..#bbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 11, data: `b.bbbbbbbbbbbbbbbbbbbbbbbbbbbS.bb......................bbbS.b..#bbbbbbb#-----......bbbbSb..#bbbbGbbS....Sb#bSG.bbbbS.G.#bGbbbbbS.G..Sb#bbbbbbbbbbbbbbbbbbbbbbbbbbb#..........................bbbbbb#----b#..G.bbbb#............#....b#bbb#bbbb#....G.......#G...b#...#bbGb#bbbbbbbb#bbbb....b#.G.#....G........#..G..G..bbbbbbbbbbbbbb#.G..#bbb#...G...........G..#bbbb#.G.#.............#bbbbbb...#bbbb.......G....M#........E#EEEESbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 12, data: `S...........................S.................G.-------.S..............BBBBBG......#BBBS..........B#####BG.....#B..S.........B##.G.##BG....#B.BBBBB#BBBBX##EGGG.##XG...#B.B..G.#B...BBBBbBBBBBB....#BGB#BBBBB.....---.B........#BGB#B............#B.bbbbbb.#BGB#B..G..G......#B.bbbbbb.#BGB#BBBBBBBBBB...#B.bbbbbb.#BGB#--------.B.G.#B.bbGbbb.#B.B#.G.GG.G.#BBBbBB.bbbbbb.#B.B#BBBbBBBBBB..G...bbbbbb.#B.M#...EEEE...BBBB.........#BBBBBBBBBBB#.............#BB` },
-  { variant: 'revenge', num: 13, data: `BBBBBBBBBBBBBBBBBBBBBBBBBB.BB..---------..............SBB.b........G#bbbbbS......S.BBGb........#b----bS.....S..BBGb.......#G....##bbS..S...BBGb.....-G#b#....##bS.S....BBGb....#Gb#b#.....#bbbbbbbbBBG.....#bb#b#.GG..#b...GG..BBGb...G#b..bbbbbbbbb#bbbbbGBBGb#bbbbb.Gb.-------#b.G.bGBBGb#b...bbbb#.....G......bGBBGb#b.G..G..b#bbbbbbb#bbbbGBB.b#b........#.......#..Gb.BB.b#bbb#bbbbbbbb#bbbbbbbbb#BB.M#...#....GG..#....GEEEE#BBbBBbBbBbbbBBbbBBbBBbBbbbBBB` },
-  { variant: 'revenge', num: 14, data: `S...........................S...........................Gbbbbbbbbbbbbbbbbbbbbbbbbbb#Gb.-------------#---------b#Gb#.G....G..G...b#........B#Gb#...#bbbbbbbb#bb#.bbbbb.B#GbX#..#.G......#.b#..bbGb.B#GbXb#bbbbb...G.#.bb#..bbb.B#GbGb#....b#bbbb#.Gbb##.bb.B#GbGb#.G..b#.....#bbbbb#.b.B#Gb.bbbbb#b#...G.#....bb#..B#Gb...G..#bb#bbbb#..G..b#..B#.b#bbbbb#b.#....#bbbbbbb#.B#Gb#EEEE....#.G..#....GMbb#B#Gbbbbbbbbbbbbbbbbbbbbbbbbbb#...........................#` },
-  { variant: 'revenge', num: 15, data: `.............S...........................S.......................#...S............#....bbbbbb#...#------------#....b..G.b#...#..........E.#....b....b#...#BBBBBBbbBBbbBBBbBBbBBbBBbBB#b-----bXbbb..b.GE.G.....G..#b.#...b--.b..bbbbbbbbXbbbbb#b.#bGGbGb#bG.b.------------#b.#bbbbXb#b..b#E...........#b.#G...--###bb#bbbbbbbbbbbb#bbbbbb#.G..#..#...........M#......#bb..####Gbbbbb.G.bbb#bb.G.b#bG--..##bb.G.bbbbbG.#Gbbbbb#bbG.bb#bbbbbbbbbbbbbbbbbbbb#..bbbbb` },
-  { variant: 'revenge', num: 16, data: `...........................S...G............G..........S#bbbbbbbbb-#bbbbbbbbb#.....S#..........#.........#.G...S#.....G.....------...bbbbXX#bb#bbbbbbbb................#..#...............#bbbbbbbbb..#.G.............#bbbbbbbbb#bbbbbbbb#...G....#bbbbGbbbb#........#bbbbbbbbbbbbbbbbbb#..G.....#..................bbbb#bbbbbbbbbbbbbbbbbbbbbb#bbbb#bGGGG.GG.G.GG..GGGGG..#bGbb#bbbbbbbbbbbbbbbbbbbbbbbbbbb#EEEEE.................Mbbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 17, data: `#---..bbbb...G##..bbbbbbbb..#..GbbGbbb..G#..Gbb.......b.#.GbbbbGbb.G#..GbbG#bbbbbbb.#GbbbbbbGb.#G.-bbG#.....bb..#bbbbbbbbb.G#.-b.#.......bb.#.--GGbGGb.#G.-b#........Gb.#G..bbGbbG.G#.-b#b.......#b.M#..GbbGbb.#G.-b#bG#bG#bG#b..b#.bbGbbG.G#.-b#BBBBBBBBBb.Eb#.GbbGbb.#G.-b#.........b..b#.bbGbbG.G#.-bbbbbb#bbbbb..b#.GbbGbb.b#.-bbG..b#b..Gb..G#.bbGbbGb.#.-..b.Eb#b..bb..b#..bbbbb..#..bb.bbb#bbbb....#---.bbbbb....b#####bbb.....S.........................` },
-  { variant: 'revenge', num: 18, data: `.....----........SSE............#....bbbbbbbS..Sbbbbbb....#bbbbb.b.....bS..Sb....b....#b...bbbbb...bMSS.b.#bbbbb#b#bbb.b...b#..bbb#bb.#b.b.b#b...b.b...b#...b.#...#bbb.b#b..Gb.b.b#bbbbbbb#...#b...b#b.bbbbb.b#......bbb#b.bbbbb#b.b.b.b.bbb..b#bb..#bbbb#..#bbbbb.bbb.#bbbbb...#b..b#..#..b.....bG#.b.bbbbbbb#.b#G.#..b..bbbbbb.b.b.E.b.G#bbbb.b#bbb#b.Eb.b.b.b...b..#b.Eb.b#..b#b.Gbbbbb.b...bbbbb..b.b#..b#bbbbbb...bbbbb...bXbb.bbbbb#............b.....X...` },
-  { variant: 'revenge', num: 19, data: `.............EG........................bbbbbbbb#...E.G.........E.G.........#b#bbbbb#.....Gbbbbb#.......#.#.....#bbbXbbb....#-------#.#G....#...........#.......#.bbbbbbb.G.........#.......#........bbb#bbbbbbb#.......#--------G..#...E...#....G..#.......Gbbbbbbbbb..bbbbbbbb#....bbbb.......G...G.......#........bbbbb#bbbXbbb#..G..#...G.........#.......bbbbbbbbbbbbbb#.....#.....................#.....#.G...M......G........#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 20, data: `bBbBBb.............SBbBBbbbBbbBBbb.............SbBBbbbBB...BbBb..G......G..SbB.....B#b...BbbBbbbB#bbB..SbB.bB#.B#bB..BbBBbbbB#.bb.GSB..bB#.B#bb.....BbbBB#..bBbbb.GbB#.B#BbbG....bBBb#........bbB#G.#bBbbbb...Bbb#..-------bBBb##.BBbBbbG..bB#.G.......bB..##.....#bb...BBbBBbB....bB..#BbbbBB#Bbb............GbB..#bBbBBB#bBbbG...E....GbbbB..#...G..#BBbbbXBBBBBBXbbbBB#bb#bBbbbBB...E.........M...#Bb#BbbbB..#bbBBbBBbbBbBBbbBBBb#...G...#............E...BbB` },
-  { variant: 'revenge', num: 21, data: `S..bbbbbbbbbbbbbbbbbbbbbbbbbSM.b..b.------.bbbbbbbbbbbb.#B.b#b.#.bbbb.-......E.....X#BEb#b#b#....#.BbbbbbbbbbbbG#B.b#bbbbbbb#..GBbbbbb-bbbbb#B.b#bGbbbb#b#.Bbbbbbb-bbbbG#B.b#bbbbb#Bb#...bbbGb-bGbbb#B.b#..b.#bbbbbb#.bbbbXbbbbG#B.bbb#bG#bb..G.#.........bb#B...b#bXbbbbbbbbbbB.......G#B.bbb#.....b#bbbbbB.#bBBb#b#B.b#bbbb#G.b#b.G..B.#b.Gb#G#B.b#....#bbbbbbbSSbbbbXbbbb#bXbbbbbbbBBBBBBBBBBBBBBBbBB#......................EEE..#BbBbBbBbBbBbBbBbBbBbBbBbBbB` },
-  { variant: 'revenge', num: 22, data: `...................b.........bbbbbbbbbbbb#bS...b........#bB.GG...E..b#bbbbbb..#bbbXb#bBbbbBBBbb#b#.......#BbG#.b#bB-.bGG..b#b#..M...#BBbb#.b#bB.bbbb#.b#bbbbbbb#.--bbbXb#bBBbGG.#.b#......b#...B..G.#bBBbbbbb.bbbbbbb#bbb#.BBBBb#bBG............b#b..#......#bbbb........G...#b..#...#b.#b...#bbbbbBBBBBBbb#bbbbb#bb#b...#b..b#BB......#b.b.b#bG#bb..#bE.b#BB#bbbbbbb.G.b#.bbb#bbbbbb.bBB#b.....bbbXb#b.bb#b....b....#b.G.......b#bGbb#bGGG..bbbbbbXbbbbbbbbbbbb` },
-  { variant: 'revenge', num: 23, data: `..................M........S.bb#b#bbbbbbb#bbbbbbbbb#bbbS...#.b#b.....#.b#b.....#.b.S.bb#bb#bb.b#bbbb#bbSbbbbbbbS..#.S.#.....#...#..#.....#.S..b#..#b..bb#..b#b.b#..b.#-..b.#..#..-.b#..bbb..b#bbb#...b#b.b#bbGb#b#.....b.#...b#...#b..b#b-#b.#-b#b...#.b#b#...#....#bbbbEbb.#.bbbb..#b#..b#.-.b#b-..b..b#.....-.#b#..b#..b.#bbbb.#b.#.#bGbb.#b#...#..#b#---bb.b#..##b---#b#..bb#.#..#....b#b.b.#bbbbb##....bbb#-.#----#---bb-----#..............E...............` },
-  { variant: 'revenge', num: 24, data: `M.......-....--.----.b.GEG.GEb#..#B#.G.B#bGbGb...b#bXb.#BbbbbbB#b.bb#b.b.bbbb##bb..#BbbbbbB#.b.b#b--.bGbb#.bb-.#........#...#bbbbbbbb#..G..##bbbbbbX#...#--b.bGbb..bb.bb#b..b#.b#b.Gb.#bG.bbbBB..bbb#bG.b.Gb#bb.b.#bbbG#.......G#.bbbbb.#..b..#bGbb#-.G.b#bb#b.#b..b#..bEb#bbbG#.bb.G#bG#bG.b.GX#...Xb#bGb..#bG#b.b.#.bbbbb.#...bb#b..Eb#b##bbbb#b..b..b#....-#.G.b##.bb...G.bG.b.Gb#...#.G.b.b#.....#bb.bbbbbbb#...#.b.bB##.#bb.#bG........#b..b.bB..#..#bbG#b.` },
-  { variant: 'fanbook', num: 1, data: `.......M..........---..---...b...bbb.-#bbbb-.b...bbG..b#.b.G#b..b.#b....b.b..b.b..b#.b..#bG.b.#b.G.bS.Gb.b.bG.b#.b..#bbb--#Xbb.bbBBb.b..b.b#.bG.#b.b...X...b...b.b..bGb#.bbb.b..b..b...b...b.b...bb#..................-........#..bbbb..#bbb.-#bbb.#b...b..#..b...B#b..#b.b...b#b..b...#..b..Gb#b..#b.b...b#bGb....#..b#bb.#b.G#b.b.G.b#bb.....#..b#.#b.b.-#b.b.--b#bbbG...#..b#..b.b...b.b...b#b..b.--#..bbbb...bbb...bbb..b...b...............................` },
-  { variant: 'fanbook', num: 2, data: `#----------..M..-----------##..........bbbbb...........##.......-.bbbbbbb.-........##........bb-bbb-bb.........##........bb.bbb.bb.........###....b..bbb.X.bbb..b.....###.#....bGGGGGGGGGGGb.....#.##..#...bG....G....Gb....#..##...#...bGGGGbGGGGb....#...##....#..bbbBBbBBbbb...#....##.....#..bb#####bb...#.....##......#..bbbbbbb...#......##.......#..bbbbb...#.......##........#..bbb...#........##.........#bbbbb.#.........#.........bbbbbbbbb..........` },
-  { variant: 'fanbook', num: 3, data: `Bbbbbbbbbb...bSb...bbbbbbbbBB....b..#bE.bbSbb.Eb#...b..BB...b..#bbbbb.S.bbbbb#.--b#BBE..b.#bbbb...S...bbbb#..b#BB...b.bbbb...SbS...bbbbb.b#BB.M..bb.b...SbbbS....b.bb.#BB.EEbbbbb..SbbbbbS...bbbbb#BB......G..S...G...S..G....#BB.....G#GS...G#G...SG#G...#BB....G#.#G..G#.#G..G#.#G..#BB...G#...#GG#...#GG#...#G.#BB...#..G..##..G..##..G..#.#BB....#...#..#...#..#...#..#BB....G#.#G..G#.#G..G#.#G..#BB....--#------#------#--..#BB......G......G......G....#B` },
-  { variant: 'fanbook', num: 4, data: `B........bbbbbbbbb.S.......BB........b...M...b.S.......BB-------bbbbbbbbbbbS------#BB#......bb#.-..-.#bb......#BB#......b.#.b..b.#.b......#BB#.....Gb.#......#.bG.....#BB#....Gb.G#E....E#G.bG....#BB#...Gb.Gb.#..G.#.bG.bG...#BB#..Gb.Gb..G#..#G..bG.bG..#BB#.Gb.Gb..Gb.##.bG..bG.bG.#BB#.b.Gb..Gb..##..bG..bG.b.#BB#..Gb..Gb..bb#b..bG..bG..#BB#..b..Gb..bbG#bb..bG..b..#BB#.....b..bbB#GBbb..b...###BB#.......bbbB#BBbbb.....#..BB#......############...##..B` },
-  { variant: 'fanbook', num: 5, data: `....G......G.....G..........bb#bbXbbbb#bbbbXbbbb#bbbXbb#..#.......#.........#----..#..#.E.....#..............E.#bbbbbb#bXb#b#bbbbbXb#bbb#bbb......#---#.#.......#...#....G....#.....#...G...#...#..Gbbb#Xbbbbbbbb#bbXbbbbbbbbXbb...#.........#..............G..#.........#..E.....G.....bbbbbb#bbXbbbbbbbbb#bbbbbbbb......#............#............G.#............#.......Gbb#bbbbbbXbbbbbbXbbbbbb#bbbb..#....................#......#.........M..........#....` },
-  { variant: 'fanbook', num: 6, data: `BB#B##BB##B##B###B#BBBB#BB#BB####B#BBB#BBEBB#BB#B#BB#BBBBB#B#B####B#####B#####B###BBB###BBBB#BBBBBB#BB#BB#B#BBBBB#B#B#####B###B#B###BBB#B##BB#B#B##BB#B#BBB##B#B#######BB#B#BB##B#####B#BB#B#BBBB#BBB#B#B#B#BBB#B#B#B####B##B##BB#B###B###BBB#B#B#BB#BB###BBB#BBBBB#B#B###B#B#B#BB#B#B#BB####B##B#B#BBB#B#####B##BBBBBB#B#BBB#B#B###BB#BB##B###BBE##B###B#B#BBB#####B#B#BB#BBB#BB#B###B###BBBBBBB###BB#BBB####B#B###B#####B###BBMG#BB##B#BB#B#E#B#B#B###B#BE#B#B` },
-  { variant: 'fanbook', num: 7, data: `GM....E...........Gb#####Gbbbb-bbbbbbbbbbbbb-b#b#b.b#bbb..................#b#b.b#.bb...bb.bbbbbb.#bbbbbb#b.b#.bbBB...b.......#.bbbbb.b.b#.bb...b.bbbbbbbbb#.bbbb.b.b#.bb...b.G.......b#..bbb.b.b#.bb...bbbbbbbbb.b#...bb.b.b#.bbG..bG.......Gb####bb.b.b#.bbbb.bbbbbb#bbbb...#...b.b#.bb......bG.#.G.....#.bbb.b#.bb#b.bbbbbbb.bbbbbb#...b.b#.bb#.bb..bbbbbbbbbbb#b.Gb.b#.bb#.bbbbbbbbbbbbbbbbbbbb.b#.bb.Gb..-..................#.bb...SbGbbbbbbbb#bbbbbbb.b#Gbb` },
-  { variant: 'fanbook', num: 8, data: `.G..........E#...............bbbbbbbbbbbb#....bb.........###.........#-.....bb.........#....G..G#..-......bb......b#bbbbb.Eb#bE.---...E.bb....b#.....Gb.#.b..G.----......#bb....G.G#G#...b...G......#.#bbbbbb.b.#.b..b.GGb.......#.........b#b..bbGbb.......#bbbb.G.....#..bbb..........#....bbbb#bbbbbbbGbbbbb.....#........#.......bbGbbbG....#.GG....#.#...G.GbbbbbbG....#b.bbbbbbbbbbbb..bbGGGbG....#.G...G.....GM.bbbb.bb......bbbbbbbbbbbbbb#...G.G.#Bb.G.` },
-  { variant: 'fanbook', num: 9, data: `...E.E.E.....M.S..E...E....................S...........................S............#--.-.-.-.---..S..-.--#.....#..b.b.b.b..b.bbbb.b..#bbb..#..b.b.b.bbGb.b..b.b..#b....#..b.b.b.bbbb.b....b..#bbb..#bGb.b.b.b.bb.bGbb.bGb#b....#Xbb.bbb.b..b.bbbb.bbX#bbb..#.....................#.....#bbbbbbbbbbbbb#bbb#bbb#b.GG.#bGb....-..bGb#...#..b#bbbbb#bb.#bbb.b#b.b#bGG#bbb#....##b.G#bGb..#b.b#---#bGbbbbbb##.Gb#b.b..#.bbb...bb.......#bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
-  { variant: 'fanbook', num: 10, data: `..............................bbbbbbbb#bbbbbbbbbbbGbbbbbG-bGGGGGGb#GGGbbbGGGbbbbbbbbbGBBBBBbbG#bbbbbbb#bbbGGGbbbbGGGG..bbb#-------##..bbbbbbbGbbbbbbbG#GGGGGGG##bbbbbbbbbGGGGGGGGb#bbbbbbbb#bbbbbbbbbGbbbbbbbb#bbbbGbbb#bGGGbbbbbGbbbbbbbb#bbGGGGGb#bbbbbbbbbXbbbbbbbbbbbbbbbbb#bbbbbbbbb.GGGGGG.---GGGGGGG#GGGGbbbbb.bbbbbb#G-Gbbbbbbbbbbbbbbbbb.bbbb..#bbbbbbbbbbbbbbbbbbbb.bbb...#...................G.......#.......M......EEEEEb.....bb#bbbbbbbbbbbbbbbbbbb` },
-  { variant: 'fanbook', num: 11, data: `B.........................SBB------------------------bSBB#.......M.....#.E.#.....bSBBbbbbbb.bbb#.bbBbbb#bb...bSBBbbbbbb...G#.bbBbbb#.Gb..bSBBbbbbb.....#.bbb.bb#.....bSBBb....b....#.b....b#.....bSBBb....b....#.b....b#..G..bSBBb.-.Gb....#.b....b#.#b..bSBBb#.bbb....#.b..G.b#.#..bbSBBb#.bb.....#.b..b.b#.#...bSBBb#.bbG....#.b.G..b#.#...bSBBb#........#.b.b..b#.#....SBBbbbbbb..G.#.b....b#.#.SbbbBBbbbbbb#...#......E#.#....GBBG.....#####bbbbbbbbbbbbbbbB` },
-  { variant: 'fanbook', num: 12, data: `B.............S............BB.------------S.----G----..BB.------------S.---------..BB#b#....G....b#b..E...M..b#BB#.b#bbbbbb#b.#.bbbbbbbbb.#BB#.b#b--...#bb#bbbbb.bbbb.#BB#.b#b#-bbb#..#....#----#-#BB#-...#.b.-bbbSbbbG#....#.#BB#.b.b#.GbGb..S..bb#b#b.b.#BB#.bbb#.bbb...S...bbb.b#b.#BB#.G..b..b....S.......#bb.#BB#.b..BGbb....S....b.bGbb.#BB#.bbbbX.b....S....bbbbbb.#BB#.....G.b....S....bG.....#BB#.bb#bb.b....S....bbbb#b.#BB#.b#.bbbb....S....bbGb#b.#B` },
-  { variant: 'fanbook', num: 13, data: `B.....#----B---#--#------bBBBE.E..#........#..#..G.G-bBBBbbbb.#.bbG.Gbb#..##.bGb.bBBB.E...#..bb.bb..--#.#bbb#bBBB.#b..#...bbb.....#..bGb.bBBB#.Gb###.bbMbb....#..b#b.bBBB#bGb.#...........#..b-b.bBBB#.bB.bbb.bbbbb#b##b#bGb.bBBB#bG#.bGG#bbb.b#b##b#bbb.bBBB#bbb.b...bGG.b.b##......bBBB#bGb.bbbbbbb...b.#bbbb#.bBBB#bGb.....bbbbbbb.#bGGbb.bBBB##b..............#bb#bb.bBBB#####.bbbbbbbb#bbbbb#bb.bBBB#....b............GG.b..bBBBbbbbbbbbbbbbbbbbbbbbbbbbbBB` },
-  { variant: 'fanbook', num: 14, data: `BE.....b.....--.G..bG......BB.....Mb.....#.bbb-.bbbbbb#BB-...Gbb.....#......-..b..#BBGbbbb.....G.#.....b..GbG#.BBbGb.G..#bbb.#Gb#..b#bbbG#.BB..b#bbbb.Gbbbb.#..b#bbbb#.BBb--#-GG.bb...G.#..b#bGGbb#BBGGGS.bb..#bbbbbb.Gb#b-#..#BB#b#-.GGGGG......Gbb#bGGG.#BB#b.#.#bbb#.....Gb.b#bbbbbbBB#b#GG#G.G#GGGGGbG#B.......BB#bbbbbbbbbbbbbbbbbbbb#....BB#---------------..---#bG-#BB#b.E.....E..G..........b.#BB#bbbbbbbbbbbbbbbbbbbbbbb.#BB#........................#B` },
-  { variant: 'fanbook', num: 15, data: `B..........................BB...bbbbbbb#M......bbb#....BB..bbbbbbbbb#-----bbbbb#...BB.bbbbbbbbbGb.....bbbbb#...BB.bbbbb...bbb....bbbbbbb#..BB.bbbb...........bbbbbbb#..BB.bbbbb...------.bbbbGbb#..BB..bbGbbbb...G..bbb....b.#.BB....bbbbbbb....bb#....bb#.BB.......Bbbbb...bb......b#.BB........bbbb...bb......b#.BB#bbB....bbbb.Sbbbbbbbbbbb#BB#bGb...bbbbb.Sbbbbbbbbbbb#BB#.bbbbbbbbb..SbGb#...Gb.b#BB#..bbbbbGb.BBBbbb.....bbb#BB#........................#B` },
-  { variant: 'fanbook', num: 16, data: `B......................MEG.BB.....S..#.Gbbbbbbbb#bbb.b.BBb...#-bbbbbG-G.G.G.G#bbb..BBb#bbb..bbb.#.bbbbbbbbbbb..BBb#...b-----#bGGbbbbbbbbb..BBBBBB#BBBB.BBBBBBBBBBBbbb..BB....#----S-.G.G.G.G.G.G...BB#b.........Sbbbbbbbbbb#...BB#bbbbbbbbSb#...........b..BB#bG.bbbbbbb#...........b..BB#bbbbbbbbbb#...........b..BB#bGbGbbbbbb#...........b..BB#bbbbbbbbbb#G...G...G.Gb..BB#G.G.G.G.Gb#bbbbbbbbbbbb..BB#bbbbbbbbb.#..............BB#.........bEb.EEE.........B` },
-  { variant: 'fanbook', num: 17, data: `B...-.-.-.............-.MG.BB#bbGbGbGb#bbbb#bbbbb#-#bGbBB#b.bbbbbbbbbbb-bG#Gbb.bbbbBB#b#bbbb..-bbbG#GbGbG---G--BB#b#bbbbbG.b.-b#bGXGbb.#bbbBB#b#b.....-.bGb#bbbbbb.#bGbBB#b#b####b.bGbb#..##...#bbbBB#b#b#---.GbbG-#bbGGbb#.-.EBB#b#b...#b.bGbb##GbbGb#..b.BB#b#bbbb#bbb..b#bbGbbb#..bbBB#b#b---#------#bbbGbb#...EBB#b#b#----------#GbbG##..b.BB#b#b#..........bbGGbb#..bbBB#b#.##bbbbbbbbbbbbbbbbb#..BB#.#--------------------#bGBBbbbXXXbbbbbbbbbbbbbbbbbbbbB` },
-  { variant: 'fanbook', num: 18, data: `bbb.......bbbb.........bbbbbb.b#bbbbb#b.bbbb#bbbb##b.bbbbb##bbGbb#bbbGbb#bbGb#.bbbbb..#.bbbbb#..bbbb#bbbbb#...bb..#bbGb###......#bbbGb#...bb.##bbbb#........#bbbbbb#..bb.#.bG.b#....M...###bbGb#..bb##bbbbb###bbbbb##.#bbbGb#.bb#.bEbbb###bbEbb##..#bEb.#.bb.bbbb###.#bbbbb#...#bbbbX#bb.bGb##...#.bEb.#....#BGbb#bbbbbb#...bbbbbbbbb#...#bbb#bbbGb##....bbbGbbbb#bbb#...#bbbbb#...bbbbbbbbb##bGb#bbb#bb...#............#bbbb#bGb#bbbbbbbbbbbbbbbbbb#bGSb.bGb#bb` },
-  { variant: 'fanbook', num: 19, data: `..........................S..........................MS.b#...........#b#........bbS.#bbbbbbbbbbbbb#bbbbbbbbb#bS.#.G.G.G.GbGGGG#bG.G.G.G.#bS.#.#.#.#.#bGXbb#b#.#.#.#.#bS.#G#G#G#G#bGGGG#b#G#G#G#G#bS.bbbbbbbbbbGXbb#bbXbbbbbbbbS..........bGGGG#...........S..........bGXbb#G..........S..........bGGGG#G..........S..........bGXbb#G..........S..........bG...#G..........S..........bG...#G..........S..........bG...#G..........S..........bG...#G..........S.` },
-  { variant: 'fanbook', num: 20, data: `B.............S............BB..........M..S............BBbbbbbbbbbbbbbbbbbbbbbbbbbSBBbbbbbbbbbbbbbbbbbbbbbbbbbSBBbb...bbb...#b#...bb...bbb#BBb.bbbGb#bbb#b#bbb#b#bb.bb#BBb.bbbbb#bbb###bbb#b#bbb.b#BBb.bbbbb#bbb#b.b.b#b#bbb.b#BBb.bbbbb#bbb#b.b.b###bbbbb#BBb.bbG#b.bbb#b.b.b#b#bbb.b#BBb.bbb.b.bbb#b.b.b#b#bbb.b#BBb.bbb.b.bbb#b#bbb#b.b-GbbSBBbb...bbbG.#bbb###Gb...b.b#BBbbbbbbbbbbbbbbbbbbbbbbbb.SBBbbbbbbbbbbbbbbbbbbbbbbbbbSBBEEEEE....................SB` },
-  { variant: 'fanbook', num: 21, data: `B.....................S....BB.----------------....S--..BB#..................E..#...BB#..bbbbb#bbbbb....#bbb#...BB#...#..-#-..#.....#..G....BB#...#G-.#.-G#.....#.......BB#...#-.-#-.-#.....#.......BB#...#.-G#G-.#.#E#.#bbb#...BB#b..#-..#..-#.#b#...G.#...BB#b..#.-.#.-.#.#b#.....#...BB#b..#-G-#-G-#.#b#.....#...BB#b..#...#...#-.b#.#bbb#...BB#bb.#---#---#..b#.#G......BB#bG.....#....bbb#.#....G..BB#..E....#..bbbGb#.#...Eb#MBB#bbbbbbbbb#G#bbbbbbbbbbbbbB` },
-  { variant: 'fanbook', num: 22, data: `B.........S................BBbbG......S........E..G....BB..BB#---#S#-----##BbBBb#..BB....#...#-#.....bbbbbbb#..BBGE--#........BB#bbbbbbb#..BBbb..#........--#-------#..BBB.G.#b.E.....b.#.......#..BBB.G.#bbbbGGG.b.#....E..#..BBB........bBBbb.#.bbbb..#..BBbbbbbbbb.......#.bbbb#b#b#BB.......b.......#..GG.#...#BB.........------#-----#...#BB...............#.....#bb.#BB...GG..........#.....#bGB#BB.#bbbbbbbbbbbbb#.....#bGB#BB.#......M......#.....#bGb#B` },
-  { variant: 'fanbook', num: 23, data: `Bbbbbb............S........BB...bb......bbb.b.Sbb......BBbb.....bbb#.bG.bb#.bbbbbb.BB.G.bbbbbbb##b#.bbb#-.---#.BBBBBb#-..GG.#b#--Gb#.-...#.BB....#.BBBBB#b...bb#.bbbb#.BBGGGE.b....b#Mbb#..#.bbGb#.BBbBBBBB.-.bbbbB##bbbbbbbbb.BB--...bb.b-.#bB#.bE........BB..bb.bbBb.b#bG#.bbbbbbbbbBBB.bb..b..bbb#bB#.....bbbbb.BB..bbbB.....#.B#-..b#bbbbbGBBGbbGbBBBBBBBbB#G.bb#bbbbb#BBbbbbb#....#...#.bbb#.....#BB.....#..G.#EG.#bbbb#....bbBBbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
-  { variant: 'fanbook', num: 24, data: `..---E..-...--M-----G--..E--..---E..-...--M-----G--..E.-modified.for.this.platform,.1/2E/2E15.
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-,
-
-//======<<<.Level.E13.>>>======
-/*.NORMAL.#ARD.E25.*/
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-,
-
-//======<<<.Level.E2E.>>>======
-/*.NORMAL.#ARD.E26.*/
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-,
-
-//======<<<.Level.E21.>>>======
-/*.NORMAL.#ARD.E27.*/
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-.+
-,
-
-//` },
+export const ORIGINAL_LEVELS = [
+  { variant: 'classic', num: 1, data: `..................S.........
+....G.............S.........
+bbbbbbb#bbbbbbb...S.........
+.......#----------S....G....
+.......#....bb#...bbbbbbb#bb
+.......#....bb#..........#..
+.....E.#....bb#.......GE.#..
+bb#bbbbb....bbbbbbbb#bbbbbbb
+..#.................#.......
+..#...........E.....#.......
+bbbbbbbbb#bbbbbbbbbb#.......
+.........#..........#.......
+.......G.#----------#...G...
+....#bbbbbb.........bbbbbbb#
+....#.........M..G.........#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 2, data: `...G.......................#
+#BBbBB#...........G........#
+#.....#....#bbbbbbbbb#.G...#
+#.G.E.#....#.........#bbbbX#
+#bBbBb#....#.........#.....S
+#.....#----#------..E#.....S
+#.....#....#.....#bbbBBBBBB#
+#.....#....#..G..#.........#
+#...E.#.G..#bbbbb#.........#
+BbbbBbbBbbB#.........#bbb#bb
+BbbbB......#.........#...#..
+BG..B......#...------#...#.G
+bbbbbbbb#bbbBBBB.....#..bbbb
+........#............#......
+........#...M........#......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 3, data: `...........................S
+----------....G............S
+#.G......#bbbbbbbbbb#......S
+bbbbb#...#..........#BBBBBBB
+.....#.E.#.....G....#.......
+.....#bbbbbb#bbbbb#bb.......
+..G..#......#.....#..--.....
+bbbb#b......#..E..#....--...
+....#....#bbbbbb#bb......--G
+....#----#......#..E.......b
+....#.......#bbbbbbbbb#.....
+....#.......#bbbbbbbbb#.....
+bbb#bbbbbbbbbb...G...bbbbb#b
+bbb#bbbbbbbbbb.#bbb#.bbbbb#b
+...#......M....#bbb#...G..#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 4, data: `S...........................
+S-----------................
+#.....#.....b.G.b.....#.....
+#.G..###..G.bbbbb.G..###..G.
+#.##..#..##.......##..#..##.
+#.#.#####.#.......#.#####.#.
+#.#..GEG..#...#...#..GEG..#.
+#..#bbbbb#...###...#bbbbb#..
+#...#####.##..#..##.#####...
+#.........#.#####.#.........
+#....G....#..GEG..#.....G...
+#bbbbbb#...#bbbbb#..#bbbbbbb
+#......#....#####...#.......
+#......#............#.......
+#......#.......G..M.#.......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 5, data: `.........S..................
+.........S.......G......E...
+bbb......S......bbbb#bbbbbbb
+..bb.....S.....bb...#.......
+...bb....S....bb....#.......
+GE.bbb...S..Gbbb....#...G...
+bb#bbbb..S..bbbb#bbb#bbbbbbb
+..#...bb.S.bb...#...........
+..#GE..bb#bb....#.....G.....
+#bbb#....#.....b#bb#bbb.....
+#...#..............#........
+#...#....G.....E...#........
+#...#bbbbbbb#bbbbbb#bbbbb#bb
+#...........#............#..
+#...........#..M.........#..
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 6, data: `bbbbbbbbbbbbbbbbbbSbbbbbbbbb
+b.G...............Sb.E.G...b
+bXbbb#bbbb#...G...Sbbbbbbb#b
+bXbbb#bbbbbbbbbbbbbb.bbb..#b
+b....#..G.E.....bbbb.bbb..#b
+b#bbbbbbbbb#bbbbbbbb.bbb..#b
+b#...bbbbbb#bbbbbGGb.bbbG.#b
+b#...bbbbbb#bbbbbbbbbbbbbb#b
+b#...b....G#....G..E...G.b#b
+b#...bbb#bbbbbbb#bbbbbbb#b#b
+b#..Gbbb#.......#bbbbbbb#b#b
+b#bbXb..#....M..#..bb...#b#b
+b#bbXb#bbbbb#bbbbbbbbGG.#b#b
+b#bbXb#bbbbb#bbbbbbGbbbbbb#b
+b#E...#bbGbb#....G..E.....#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 7, data: `..S.........................
+..S.................--------
+..S..........E......#......#
+bbbbb#b....b#bbb...E#....G.#
+.....#......#....bbb#bbbbbbb
+..E..#...G..#.......#.......
+bbbbb#bbbb..#.......#.......
+.....#......#.......#.......
+..G..#...G..#.......#.......
+bb#bbbbbbbbbbbb#....#.bbbb.#
+..#............#.G..#.bbbb.#
+..#..G.........#----#.b.Gb.#
+bbbbbbb#............#.bbbbb#
+.......#............#......#
+.......#.M........G.#..E...#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 8, data: `...........S....S...........
+...........S....S...........
+...G.E...#bS....Sb#...E.G...
+#bbbbb#--#bS....Sb#--#bbbbb#
+#b...b#...bS....Sb...#b...b#
+#b...b#...bS....Sb...#b...b#
+#b.G.b#...bS....Sb...#b.G.b#
+#bbbbb#...bS....Sb...#bbbbb#
+#b...b#...bS....Sb...#b...b#
+#b...b#---b#bbbb#b---#b...b#
+#b...b...#b#....#b#...b...b#
+#bEG.b...#b#..GE#b#...b.GEb#
+#bbXbb...#bBBBBBBb#...bbXbb#
+#.....X..#........#..X.....#
+#......XE#....M...#.X......#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 9, data: `S...........................
+S---------------------------
+#b.E...b.............b.....b
+#.bbbbb...............bbbbb.
+#.b.bbb...............bGbbb.
+#.bbbbb.E....E......E.bbbbb.
+#.bbb.bXbbbbbbbbbbbbbbbbb.b.
+#.bbbbbXbbb.Gbb.Gbbbbbbbb#b.
+#.bbbbbXbbbbbbbbbbbbbbbbb#b.
+#.bbbbbXbbbbbbbbbbbbbbbbb#b.
+#.bbbbbXbbbb....bbbbbbbbb#b.
+#.bbbbbXbbbb....bbbbbbbbb#b.
+#.bbbbbXbbbb...G#bbbbbbbb#b.
+#...........bbbb#--------#..
+#..........BBBB.............
+#......M..BBBB......E.......` },
+  { variant: 'classic', num: 10, data: `..........G..............S..
+........#bbbbbbb..G......S..
+....G...#......bbbbbb....S..
+bbbbbbbbbb#.........G....S..
+..........#bbbbbbSbbbbb#bb..
+E.........#......S.....#....
+bbbbbbbbbb#......S.E...#...G
+bbbbbbbbbb#bbbbbbbBB...#bbbb
+bbbbbbbbbb#............#....
+bbbbbbbbbb#.......G.---#....
+bb......bb#.......bb...#....
+bb..GG..bb#.....G......#....
+bbbbbbbbbbb#bbbbbbb#...#....
+...........#.......bbbbbbbb#
+....G....M.#...............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 11, data: `.......#....................
+.EG....#.................GE.
+#bbEG..#...............GEbb#
+#..bb..#bbbbS#bbbbb#...bb..#
+#...........##G....#.......#
+#...........G##....#.......#
+#...........##G............#
+#...........G##............#
+#...........##G............#
+#...........G##............#
+#...........##G............#
+#...........G##............#
+#...........##G............#
+#...........G##............#
+#.......M...##G............#
+#....#bbbbbbbbbbbbbbbb#....#` },
+  { variant: 'classic', num: 12, data: `......G.....G...........#...
+#bbbbbbbbbbbbbbbbb#.....#...
+#.............G...#-----#..G
+bbbbbbbbb#bbbbbbbbb.....#bbb
+bbbbbbbb##..............#...
+bbbbbbb##-------#.......#...
+bG.Gbb##......E.#..G..E.#..G
+bbbbb##.....#bbbbBBBbbbb#bbb
+.....#......#...........#...
+.....#......#...........#...
+....E#...G..#-----------#..G
+#bbbbbbbbbbb#..G.....G..#bbb
+#...........#.bbbbbbbbb.#...
+#...........#...........#...
+#......G....#....M.G....#...
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 13, data: `............E..........E....
+X#X#X#X#X#X#X#X#X#X#X#X#X#XS
+X#X#X#X#X#X#X#X#X#X#X#X#X#XS
+G#b#.#b#G#b#.#b#G#b#.#b#G#bS
+X#b#X#b#X#b#X#b#X#b#X#b#X#bS
+X#b#X#b#X#b#X#b#X#b#X#b#X#bS
+X#b#X#b#X#b#X#b#X#b#X#b#X#bS
+.#b#G#b#.#b#G#b#.#b#G#b#.#bS
+X#b#X#b#X#b#X#b#X#b#X#b#X#bS
+X#b#X#b#X#b#X#b#X#b#X#b#X#bS
+G#.#.#.#.#.#.#.#.#.#.#.#.#bS
+#bbbbbbbbbbbbbbbbbbbbbbbbbbS
+#.........G.E.G...G.E......S
+#BBBBBBBBBBBBBBBBBBBBBBBBBBS
+#G.......M................GS
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 14, data: `..#...E....-...E-#....#-...G
+.-#...-#-...-..-.#-...#.-..#
+-.#..-.#.-....-..#.-..#..-.#
+G.#.-..#..-..-...#..-G#...-#
+..#-..-#...--....#G..-#....#
+#-...-.#-..--..-.#------.-..
+#.-...-#..-G.-...#..-...#.-.
+#-.-...#G--#..-..#.....-#..-
+#.-.-..#--.#...-.#....-.#..-
+#-.G.-E#-..#.-..-#-..-..#..-
+#.-#..-....#...-...-....#..-
+#-.#...-...#..-.-...-...#..-
+#.-#.-..-..#G-...-...-..#.G-
+#-.#...-.-.#-.-..G-...-.#.-.
+#.-#..-...-#.....-.-.-.-#-..
+...#.....G.....GM.......#...` },
+  { variant: 'classic', num: 15, data: `S..........................S
+S.....G.E..G.....G..E.G....S
+SSSSbbbbbbbb#...#bbbbbbbbSSS
+............#...#...........
+.......#bbbbbbbbbbbbb#......
+G..E..G#.....G.G.....#G.E..G
+bbbbbbb#.G.GbbbbbG.G.#bbbbbb
+.......#.bbbb...bbbb.#......
+....G..#......G......#.G....
+..#bbbbbbbbbbbbbbbbbbbbbb#..
+..#...........M..........#..
+..#.G....G#bbbbbbb#G...G.#..
+bbbbbbbbbb#.......#bbbbbbbbb
+..........#.......#.........
+..G.......#.......#......G..
+bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
+  { variant: 'classic', num: 16, data: `.........................S..
+....................M.....S.
+...Xbbbb##bbbbbb#####......S
+.........#...b..#.........S.
+....G.....#.#b..#........S..
+....bG.....##b..#.......S...
+...bbbG.....#b..#......S....
+..bbbbbG....#b..#.....S.....
+bbbbbbbb....#b..#......S....
+.Gbbbbb.....#b..#.......S...
+...bbb......#b..#........S..
+....b.......#b..#.........S.
+.......E....#b..#...E......S
+.#bbbbbbbbbbbbbbXbbbbbbbbb.S
+.bbbbbbbbbbbbbbb.........#bS
+bbbbbbbbbbbbbbbb...GGGGGG#bb` },
+  { variant: 'classic', num: 17, data: `S..........................S
+S..........................S
+S.........E................S
+#bbbXbbbbbbbbbbbbbbbbbbbbbb#
+#bbbXbbbbbbbbbbbbbbbbbbbbbb#
+#...G...bb--------bb.......#
+#.......Gb#....E.Gbb....E..#
+#..bbb..bb#.bbbbbbbb..bbbbb#
+#..bGb..bb#.......bb..bbGbb#
+#...M...bb#.......bb..bbbbb#
+#..bbb..bbbbbbbb##bb..bbGbb#
+#..bbb..bbbbbbbb##bb..bbbbb#
+#..bbb..bb......#.bb.......#
+#..bbb..bb.....G#.bb....G..#
+bbbbbbbbbb#bbbbbbbbb#bbbbbbb
+bbbbbbb..G#bbbbbb.G.#bbbbbbb` },
+  { variant: 'classic', num: 18, data: `...S........................
+...S......G.........G......G
+#Xb#....#bbb#.....#bbb#b..b#
+#..bbbbbb...#bbbbb#...#..G.#
+#G.E........#.....#...bbbb.#
+#Xbbbb.........bbb#b.......#
+#.Bbbbb.......bb........#b.#
+#.Bbbbbb.....bb.......#b#..#
+#.Bbbbbbbbbbbb....G...#...bb
+#.Bbbbbbbbbbbb...bbb..#.....
+#.B....bbb.bbb........#...EG
+#.B..G.bb.G.bb.....E..#...bb
+#.B#bbbbbbbbbbb#bbbbbb#...bb
+#..#...........#......#...bb
+#..#.......M..........#...bb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 19, data: `............#bb#............
+..........EG#bb#GE..........
+..........#bbbbbb#..........
+.........G#bbbbbb#G.........
+........#bbbbbbbbbb#........
+......EG#bbbbbbbbbb#GE......
+......#bbbbbbbbbbbbbb#......
+.....G#...GGGGGGGG...#G.....
+....#bbbbbbbbbbbbbbbbbb#....
+...G#bbbbbbbbbbbbbbbbbb#G...
+..#bbbbbbbbbbbbbbbbbbbbbb#..
+..#bbbbbbbbbbbbbbbbbbbbbb#..
+..#......................#..
+..#......................#..
+..#..........M...........#..
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 20, data: `.............EG.............
+...........bbbbbbbb#...E.G..
+.......E.G.........#b#bbbbb#
+.....Gbbbbb#.......#.#.....#
+bbbXbbb....#-------#.#G....#
+...........#.......#.bbbbbbb
+.G.........#.......#........
+bbb#bbbbbbb#.......#--------
+G..#...E...#....G..#.......G
+bbbbbbbbb..bbbbbbbb#....bbbb
+.......G...G.......#........
+bbbbb#bbbXbbb#..G..#...G....
+.....#.......bbbbbbbbbbbbbb#
+.....#.....................#
+.....#.G...M......G........#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 21, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBSb
+#----------------------#SSSb
+#..#.....bb..E...G.....#SG.b
+#..#.bbbbbbbbbbbbbbbbbbbbb#b
+#..#.bbb............G.....#b
+#..#...b.bbbbbbbbbbbbbbbbbbb
+#..#..#b...G..b.G.b.G.b.G..b
+#..#..#bb#bbbbbbbbbbbbbbbbbb
+#..#--#..#bbbbb.bbbbb......b
+#..#..#..#....b.Gb.....E...b
+#..#..#..#--#.bbbb#--bbbbbbb
+#..#..#..#..#.....#..bbbbbbb
+#..#..#..#..#--#..#..bbbbbbb
+#..#..#..#..#..#.b#bbb.GGG.b
+#..#M.#..#.E#..#..#bbb#bbbbb
+bbbbbbbbbbbbbbbbbb#.GG#bbbbb` },
+  { variant: 'classic', num: 22, data: `.......G....G...............
+GGbbbbbbbbbbbbbbbb#.........
+bb..........G..G..#.........
+.........#bbbbbbbb#..G...G..
+.........#........#bbbbbbbb.
+....G.EG.#..................
+...#bbbbbb#------.....G.....
+...#......#......#bbbbbbbbb#
+.G.#......#......#.........#
+bbb#....E.#..E.G.#.......G.#
+......#bbb#bbbbbb#....#bbbbb
+......#--------....G..#.....
+....G.#G.......#bbbbbb#...G.
+bbbbbbb#.......#......#bbbbb
+.......#.......#............
+.......#..G..M.#......G.....` },
+  { variant: 'classic', num: 23, data: `...BBBBBBBBB...........S....
+..B.........B..........S.BB.
+.B...GG.E....b#........S.BB.
+BBbb#bbbbbbbbBB#....E..SGBB.
+Bbbb#bbbbbbbbbbb#bbBBBb#BBBB
+Bbb###b-------b###b----#---#
+Bbb#.#b..G....b#.#b.G....G.#
+Bbb#.#b..M....b#.#b........#
+Bbb#G#bbbb#bbbb#G#bB......B#
+Bbbbbbbbbb#bbbbbbbbbbbbbbbb#
+B......bb###bb..G....G...G.#
+B------b##.##--------------#
+B.G....b#...#............E.#
+B.......#...#..bbbbbbbbbbb.#
+BBBB....#...#.bbb.Gbb..G.bb#
+BbbbbbbB#G.G#..bbbbbbbbbbbbb` },
+  { variant: 'classic', num: 24, data: `................S...........
+...............SS...........
+..............SS............
+.............SS.............
+............SS..............
+............S...............
+..........#bb#..............
+..........#bb#G.............
+.......#bbbbbbb#..E.........
+.b#..E.#b.G.G.b#.b#b#.......
+..bbb#bbbbbbbbbbbb#bbb#.....
+...bb.G..bbbb.G...#G..bb#...
+....bbbb#..G.bbb#.#bb#.b#...
+.....bGb#bbb#.G.#.#Gb#Gb#...
+..E...bbbbbbbbbbbbbbbbbb#.M.
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'classic', num: 25, data: `....B.....B.....B.........SB
+....B.....B.....B...G.....SB
+....BXbbbbB.....Bbbbb..bbbSB
+bbb.........bbb#E..G.....GSB
+bbbbbbbbbbb#...#bbbbbbbb.b#B
+.......M...#.bb#b...G....b#B
+b#bbbbbbbbb#.Gb#b.bbbbb#.b#B
+b--------bb#.bb#b.b....#.b#B
+b..b..b.Gbb#...##.b.bbb#.b#B
+b..b..b..b##bbbb#bbGbbb#.b#B
+b..b.Gb..b#b......b.bbb#..#B
+b..bbbb..b#b.bbbb.b....#b##B
+b#bb..bb###b.bGbb.bbbbbbb#.B
+b#...BBb##bb...b..bbG....#bB
+b#...B...#bbXbbbbXbbbbbbb#bB
+b#bbb....#.....E.........#.B` },
+  { variant: 'classic', num: 26, data: `..........................S.
+.....E....................S.
+#bbbbbbbbbb#..E..G.....G..S.
+#..........#bbbbb#...bbb#bbb
+#.G......G.#....B#......#...
+#.b..bbb.b.#.GG.B#....E.#...
+#.b.bbb..b.#.BB.BbbbbbbbbbBB
+#.b..bbb.b.#.BB...........BG
+#.b.bbb..b.#.B-------..G..B#
+#.bG.bbb.b.#.BG......bbbb#B#
+#.bbbbb..b.#.BB..........#.#
+#.bbbbbbbb.#.BB....G.....#bb
+#..........#.BB.bbbbbb...#..
+#BBBBBBBBbBBBBB..........#..
+#.............M..........#..
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 27, data: `S..........................S
+S......M............E......S
+S...Bb#bB----------Bb#bB...S
+S...BG#.B.G......G.B.#.B...S
+S.Bbb.#.bbB......Bbb.#GbbB.S
+SSBG..#..GB.G...GB.G.#.bGBSS
+BSbbb.#...bbB..Bbbbbb#.b.bSB
+B.....#.....B.GBG....#.b..GB
+B.....#bbbbbB#bBbb..G#.bb.bB
+B.G.E.#...E..#.....bb#.....B
+B#bbbb#...Bbb#bbbB...#...b#B
+.#B.G.#...b..#.G.b...#..EB#.
+.#Bbb.#.bbb..#...bbb.#.bbB#.
+.#.GB.#.B....#....GB.#.BG.#.
+.#...bbb.....#......bbb...#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 28, data: `.............S..............
+-----------..S..............
+..G....G.B#..S.G............
+bbbbbbbbbBBBBBBB#..G#B#.....
+bBbBbBbBBBBB...BBBBBBB#.....
+..........BB..G......B#.EG..
+--------#.BBbbbbb#...BBbbbb#
+........#.BB.....#E....bbbb#
+........#.BB.bbbbbbbb#.bbbb#
+.G....G.#.BB.b......b#.bbbb#
+bbbE..b.#.BB.b...G..b#.bbGb#
+bbbbbbb.#.BB.bbbbbbbb#.bb.b#
+........#....b..G...b#....b#
+bbbbbbbbbbbbbb.#bb#.bbbbbbb#
+..........M....#.G#........#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 29, data: `..E.--.-.............E......
+bbbb..#...-.........bb#.....
+bbbb..#.bb.-...E...-bb#.....
+bGGb..#.bb-.bbbbbbb..-#.....
+bbbb..#.....bbbbbbb.#.#bbb..
+......#---..bbbbbbb.#..bGb..
+....-.....#.bbbbbbb.#..bbb..
+.....bbbb.#.bbGGGbb.#.......
+...-.bbbb.#.bbbbbbb.#.......
+bbb-.bGGb.#-.....-.-#.......
+bGb..bbbb.#.-...-.#..bbbb...
+bbb.......#...M...#..bbbb...
+..........#..bbb..#..bGGb...
+...bb.....#..bGb..#..bbbb...
+...bb.....#..bXb..#.........
+..........#.......#.........` },
+  { variant: 'classic', num: 30, data: `B..........................S
+B.....GGGGE.E.E......M.....S
+BbbbbbbbbbbXbbbbbbbbbbbbbbb#
+...........................#
+....B.G..G.......G......GB.#
+....BbbbbbbbXbbbbbbbXbbbbB.#
+...........................#
+......B..G....G.....G..B...#
+......BbbbXbbbbbbXbbbbbB...#
+...........................#
+.......B..G.....G....GB....#
+......BBbbbbbbbbbbbbbbB....#
+...........................#
+...........................#
+GGGG...E..........E.....#B.#
+bbbbbbbbbbBBBBBBbbbbbbbBBB.#` },
+  { variant: 'classic', num: 31, data: `.............S..............
+.............S..............
+G............SS............G
+b#.#----------S---------#.#b
+bb##.E................G.##bb
+bbb#.#------.---------#.#bbb
+bbbb##.G..............##bbbb
+bbbbX#.#------.-----#E#Xbbbb
+bbbbXb##..........G.##bXbbbb
+bbbbXbb#.#---.----#.#bbXbbbb
+bbbbXbbb##.G......##bbbXbbbb
+bbbbXbbbb#.#--.-#.#bbbbXbbbb
+bbbbXbbbbb##....##bbbbbXbbbb
+bbbbXbbbbbb#....#bbbbbbXbbbb
+bbbbXbbbbbbb#MG#bbbbbbbXbbbb
+bbbbE.......#bb#........bbbb` },
+  { variant: 'classic', num: 32, data: `............................
+bbbSbbbb.........------.E...
+...S.--..E............BBBBB#
+...#b..bbbbb#bbbbbb---...b.#
+#bbbb..bG---#-----b...bbbb#b
+#......bbbb...bbb#b...bG..#.
+#......b----#----#b...b-..#.
+#.Mb...b#GbG#Gb#G#b...b...#G
+b#bb...bbbbbbbbbbbb...bb#bbb
+.#....Gb.....G....b.....#...
+.#....bb...bbb#...b.....#...
+.#..Gb.b......#...bG..#bbbbb
+.#..b..b...G..#...bb..#.....
+.#Gb...b.#bbbbbb#.b.bG#.....
+.#b..G.b.#b..G.b#....b#.....
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 33, data: `bbbbbSbbbbbbbbbbbbbbbbb.bbbb
+....bSb.-------............b
+SbbS.Sb.bG...b#b.........E.b
+S.bbbbb.bbbbbb#bbbbbG.b#bbbb
+bS....G---bbbb#bbbbbbbb#b.bb
+bbbbbbb...b..b#bbb.bbbb#b.bb
+.......E.....b#bbb.bb.b#bG.b
+#bbbbbbb#b#G.b#bbb.bb.b#bbbb
+#.......#bbbbb#bbbG.b.b#bb.b
+#.........bbbb#bbbbbb.b#bbGb
+#.......b.....#........#...b
+#bbb#bbbb#bBbBbBbBbBbBb#bBbB
+#bbb#bbbb#bbbbbb..bbbbb#bBbB
+#...#....#bbbbbbb..bbbb#....
+#bbbbbbbb#bbbbbbbbG.bbbbbbb#
+#M.......#.G.bbbbbb..E.....#` },
+  { variant: 'classic', num: 34, data: `.--------GGbbbbbbGG--------.
+#.......Gbbb####bbbG.......#
+#......Gbb###EE###bbG......#
+#......bb##......##bb......#
+#.....Gb##........##bG.....#
+#.....bb#G........G#bb.....#
+#.....b##G........G##b.....#
+#.....b#GG........GG#b.....#
+#.....b##G........G##b.....#
+#.....bb#G........G#bb.....#
+#......b##G......G##b......#
+#......bX##GG..GG##Xb......#
+#.......Xb###GG###bX.......#
+#........bbb####bbb........#
+#M......E..bbbbbb..E.......#
+bbbbbbbbb#........#bbbbbbbbb` },
+  { variant: 'classic', num: 35, data: `S............bb............S
+S............BB............S
+S.G.......G..bb..G.......G.S
+BbBbBbBbBbBb#BB#bBbBbBbBbBbB
+...G.....G..#bb#..G.....G...
+#BbBbBbBbBbBbBBbBbBbBbBbBbB#
+#...G...G....bb....G...G...#
+BbBbBbBbBbBb#BB#bBbBbBbBbBbB
+....GE.EG...#bb#...GE.EG....
+#BbBbBbBbBbBbBBbBbBbBbBbBbB#
+#..G.....G...bb...G.....G..#
+BbBbBbBbBbBb#BB#bBbBbBbBbBbB
+..G.......G.#bb#.G.......G..
+#BbBbBbBbBbBbBBbBbBbBbBbBbB#
+#............M.............#
+bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
+  { variant: 'classic', num: 36, data: `....G....G.....G.......EG...
+#bbbbbb#bbb.bbbbb#bbb.bbbbb#
+#......#.........#.........#
+.#......#..-....#.........#.
+#......#..-.-....#.........#
+.#......#-...-..#.--------#.
+#------#......-..#.........#
+....E...#-.....-#.........#.
+bbbbbb.#..-...-..#....EG.G.#
+bb.bbb..#..-.-..#....-bbbBBB
+.G...G.#....-....#...-bbbBBB
+bbXbbb..#..-.-..#....-bbbBBB
+bbXb.b.#..-...-..#...-bbGGBB
+..G.G...#-.....-#....-BBBBBB
+bbbbbb.#....G.M..#.G..BBBBBB
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 37, data: `S...........................
+S......E....................
+SbbbbbbbbbbBBBBBBbBBBBbBBBB#
+G.....................#....#
+bb.........B...G....G---G..#
+bbbbb##b##bbbbbbbb..b...b..#
+....b##.##b.BBbbbb.....E...#
+....b##G##b.B.bbbb.bbb#bbbb#
+....bbbbbbb.BGbbb.....#....#
+......................#....#
+.......M.......b#bbbbb#BBBB#
+bb#bbbbbbbb#bbb.#.GG..#....#
+..#........#....#.BB.....bb#
+..#bbGb....#..bbb.BBbbbbbb.#
+..#bbbb...E#...G..BB.......#
+bbbbbbbbbbbbbbbbbbBBbbbbBBBB` },
+  { variant: 'classic', num: 38, data: `S..........................S
+S..........................S
+bbbbbb#bbbb#E.E#bbbb#bbbbbbb
+.-....#....#B#B#....#.....-.
+#.bbbbb......#...G..bbbbbb.#
+#.bbbbb..b#######b..bbbbbb.#
+#.bbbGb..b#BBBBB#b..bbGbbb.#
+#.bbbbb..b#######b..bbbbbb.#
+#.........-------..........#
+#.E...#......B......#....E.#
+#BBBBB#....GBBBG....#BBBBBB#
+#.....#....BBBBB....#......#
+#bbbbb#...BBBBBBB...#bbbbbb#
+#.....#.GBBBBBBBBBG.#......#
+#BBBBB#.BBBBBBBBBBB.#BBBBBB#
+G.....#BBBBBBBBBBBBB#..M...G` },
+  { variant: 'classic', num: 39, data: `bbb..S.bb....bb....bb.S..bbb
+bbbb.Sbbbb.Ebbbb.EbbbbS.bbbb
+#..bb#b..bb#b..b#bb..b#bb..#
+#...b#--#.b#...G#b.#--#b...#
+#.EbbbbG#bbbb##bbbb#Gbbbb.M#
+#bbb..bb#b..b#bb..b#bb..bbb#
+#bb....b#G...#b...G#b....bb#
+#bbb..bbbb##bbbb##bbbb..bbb#
+#..bb#b..bb#b..b#bb..b#bb..#
+#...b#....b#...G#b....#b...#
+#..bbbb##bbbb##bbbb##bbbb..#
+#bbb..bb#b..b#bb..b#bb..bbb#
+#bb....b#....#b....#b....bb#
+#bbb..bbbb##bbbb##bbbb..bbb#
+#....G....##.G..##....G....#
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
+  { variant: 'classic', num: 40, data: `S..........bbbbbbbbbbbbbbbbb
+S..........bbbbbbbbB.------b
+S....G...#b....G...B#.b.G..b
+bbbbbbbbb#Bbbbbbbb.B#.bbbbbb
+....G....#B....G...B#.bbbbbb
+#bbbbbbbbbB.bbXbbb.B#.bbbbbb
+#....EG...B......G.B#...E...
+bbbbbbbbb#B.bbXXXb.bbbbbbbb#
+.G.......#B....G...........#
+#bbbbbbbbbB.bbXbbb.........#
+#..G......B......G.........#
+bbbbbbbbb#B.bbXXXb..bbbbb..#
+........G#B......G..b..Gb..#
+#bbbbbbbbbB.bbXbbb....#bb..#
+#...E.......M.........#b.G.#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 41, data: `....--G.--------E-----.-----
+...#.GbG........#-.b.-#..GGG
+GM#.Gb.bG......#-.bbb.-#..GG
+bb.Gb...bG....#-.b...b.-#..G
+.E.X..b..b...#-.bb...bb.-#.E
+#bb..bbb..BBB-...bGGGb...-b#
+#...b...b...G...##bbb......#
+#..-.bbb...G#..#bb#b.......#
+#...-.b...G#...#GG#.-------#
+#....-...G#...#BBBB#.......#
+BBB#..---#....#G..G#.------#
+...#.........#bbbbbb#......#
+bbb#bbb#.....#G....G#.-----#
+.......#....#BBBBBBBB#.....#
+.......#..E.#G...E..G#.----#
+bbbbbbbbBBBBBbbbbbbbb#.....#` },
+  { variant: 'classic', num: 42, data: `..G.......G..........G....G.
+#bbb....#bbb....#bbbbbbbbbb#
+#.G...G.#.....G.#.G....G...#
+#bbb#bbb#...bbbbbBbbBbbbbBbb
+#...#..E#...---------------.
+bbbb#bbbbbb#......G...GE...#
+....#......#.BbbbbBBBBBBbbb#
+....#BBBBB.#.B......G..G...#
+b...#..G.B.#.B...BBBBBBBBB.#
+bGGBBBbbbB.#.B...B..G.G..B.#
+bbbBBBbbbB.#.B.G.B.#bbbb#B.#
+..G..G.....#.BBXBB.#....#B.#
+bbbbbbbbb..#.B.....#...E#B.#
+..G.G...B..#.BbbbbbbbbBBBB.#
+bbbbbb#.BBBBbbbbB...G..G..M#
+bbbbGb#...........#bbbbbbbbb` },
+  { variant: 'classic', num: 43, data: `............................
+..S.......................S.
+..#bbbbbbbbbbbbbbbbbbbbbbb#.
+..#.#bb...G...G.E.G...bb#.#.
+..#bbb#bbbbbbbbbbbbbbb#bbb#.
+..#.#.#.bbb.G...GEbb#.#.#.#.
+..bb#bbb#.#bbbbbbb#.#bbb#bb.
+..#.#.#.#.#.#bbb#.#.#.#.#.#.
+..#bbb#bbb#.#.G.#.#bbb#bbb#.
+G.#.#.#.#.#E#BBB#E#.#.#.#.#G
+bbbb#bbb#G#B#BBB#B#G#bbb#bbb
+bb#.#.#.#B#B#BBB#B#B#.#.#.#b
+bb#bb.#B#B#B#BBB#B#B#B#.bb#b
+bb#.#B#B#B#B#BBB#B#B#B#B#.#b
+bb#B#.#.#.#.#..M#.#.#.#.#B#b
+bbbbbbbbbbbb#bGb#bbbbbbbbbbb` },
+  { variant: 'classic', num: 44, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbbS
+b...###################...bS
+b.M.#.###....#...##...#.E.bS
+bbbb#.###.##.#.##.#.###bbbbS
+b...#.###.##.#.##.#...#...bS
+b.E.#.###.##.#.##.#.###.E.bS
+bbbb#...#....#...##...#bbbbS
+###########################S
+#.G.#.G.#.G..#..G.#.G.#.G.#S
+###########################S
+#...#.#.#.##.#.##.#...#...#S
+#.#.#.#.#..#.#..#.#.###.#.#S
+#..##.#.#.#..#.#..#...#..##S
+#.#.#.#.#.##.#.##.#.###.#.#S
+#.#.#...#.##.#.##.#...#.#.#S
+###########################S` },
+  { variant: 'classic', num: 45, data: `BBBBBBBBBBBBBBB..S.BBBBBBBBB
+..E#......#---...S.#......G.
+BBBSbbBBBBBbXbBBBS.#BBBB.#Bb
+B--#.......#----#..#...bbbbb
+B..#.......G.bGb#E.#..G...bb
+G.X#.......#....Bb#.BBbbbbBb
+BbX#-------#-----B#-------#B
+bG.B.......#...G#BBB......#b
+BBXb....GGG#....#B----..G.##
+B..........#....#B#.G...XbB#
+bbbXbb.....#.M..#B#........#
+b#----.#BbbbBbbXBB#........#
+b#G...b#........#b#..Bbbbb.#
+b#B--bbb#.......#B#..b.G.B.#
+b#..bbbBb#..E...#.#...bBBbBB
+BbbbbbBBBBbbbbbbbbbbbbbbBbbb` },
+  { variant: 'classic', num: 46, data: `.G...................S......
+bbbb#............E...S......
+..G.#..........#bbbbbb#...G.
+bbbbbbbb#bbbbbb#.....bbbbbbb
+........#......#.G........G.
+.....G..#......#bbbbbbbbbbbb
+b#bbbbbb#...G..#............
+.#...G..#BBBBBB#......G.....
+b#bbbbbb#......bbbbb#bbbbbb#
+........#.E....G....#......#
+.G......#bbb#bbbbbbbBBBBBBBB
+bbb#bbbbb...#..G......G.E...
+...#.......#bbbbbbbb#bbbbbbb
+...#-------#........#.......
+...#.........M......#.....G.
+bbbbbbbbbbbbbbbbbbbbbbbSbbbb` },
+  { variant: 'classic', num: 47, data: `B...............BBBBBBBBBBBS
+BE........E.....B..G.B.....S
+BB------bbbbb#.MB.#B.B#BbbbS
+Bbbbbb...G..bbbBB.#B.B#BbbbS
+B....bbbbbb.......#B.B#B...S
+bbb#......bbbb#.G.#B.B#B.G.S
+b.bbbBb#......#bbbBB.B#BbbbS
+b..G..bbBb#...#....B.B#BbbbS
+bbbbb....bbbBb#....B.B#B...S
+b.G.bB#b.....bbBbb#B.B#BGG.S
+bbb...#bbBBb..G..B#B.B#BbbbS
+b.bBbb#....bbbBBbB#B.B#BbbbS
+b...bbbBbb#..G...B#B.B#B.bbS
+b.#bb...GbbbBBb#bB#B.B#B..bS
+b.#b...........#.G#B..#...GS
+bG#bBbbbbBbbbbbBbbBBbbBbbbbb` },
+  { variant: 'classic', num: 48, data: `............G...............
+.-------.bbbb#M.............
+#..........G.#....G......G..
+#........#BBBB.bbbbbbb#bbbbb
+#........#.G..........#.....
+#bbbbbb#.bbbb#........#.....
+#......#...G.#E#bbbbbbbbbbb#
+#......#.#BBBB.#BBBBBBBBBBB#
+#....G#b.#G....#B.....G...B#
+#....#b..bbbb#.#B#BBBBBBB#B#
+#..G#b......G#.#B#B...G..#B#
+#..#b....#BBBB.#B#BBBBBBBBB#
+#.#b.....#.G...#B#....G....#
+##b......bbbb#.#BBBBBBBBBBBB
+##..E........S.#....E.......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 49, data: `.....-.....-.-......-..G..G.
+-...-.-...-.#.-....-.#bbbbbb
+.-.-...-.-..#..-..-..#......
+..-.....-...#...--...#..E...
+.G...G..G...#...-....#BBBBB#
+BBBBBBBXBBBBBB#-.....#B.G.B#
+..............B......#B#BGB#
+.............GB..M.G.#B#BGB#
+#bbbbbbbbbb#bBB#bbbb-#B#BGB#
+#.....E....#bb##.....#B#BGB#
+#....bb....#bb#...GE..B#BGB#
+#.bbb..bbb.#bbBBbbbbb#B#----
+#.bbb..bbb.#bb.......#......
+#.bbbGGbbb.#b.....--G#.bbbb.
+#.G.GbbG.G.#bb..#b..b#bbGGbb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 50, data: `#...-..................#----
+#....#.................#.B..
+#....#.............E...#.BGG
+#.G..#bbbb..G..G#bbbbbXb#bbb
+#bb..#...bbbbbbbbb......##bX
+#....#...................##X
+#.....#-------------------##
+#.....#....................#
+#.....#.G.......E...G.....G#
+#.....bbbbb#BBBBBBBBBBbbXbbb
+#---.......#..........---...
+...EG......#.........#......
+bbbbbbbbb#.#...G.....#-...G.
+........bbbbb#BBB#bbbb.bGbbb
+G.......M....#...#...E.bbbbb
+bbbbbbbbbbbbb#...#bbbbbbbbbb` },
+  { variant: 'classic', num: 51, data: `bBbBBb.............SBbBBbbbB
+bbBBbb.............SbBBbbbBB
+...BbBb..G......G..SbB.....B
+#b...BbbBbbbB#bbB..SbB.bB#.B
+#bB..BbBBbbbB#.bb.GSB..bB#.B
+#bb.....BbbBB#..bBbbb.GbB#.B
+#BbbG....bBBb#........bbB#G.
+#bBbbbb...Bbb#..-------bBBb#
+#.BBbBbbG..bB#.G.......bB..#
+#.....#bb...BBbBBbB....bB..#
+BbbbBB#Bbb............GbB..#
+bBbBBB#bBbbG...E....GbbbB..#
+...G..#BBbbbXBBBBBBXbbbBB#bb
+#bBbbbBB...E.........M...#Bb
+#BbbbB..#bbBBbBBbbBbBBbbBBBb
+#...G...#............E...BbB` },
+  { variant: 'classic', num: 52, data: `.........#..................
+.........#......G....E......
+----..G..S.....BBBBBBBBBBBB#
+#..BBBBBBB.................#
+#.........-----..-----.#BBBB
+#---------........#....#....
+....E..........G..#b...#....
+#BBBBBBBBBBBBBBBBBBb...BBBB#
+#.........................##
+#......G......G.....E..B..#.
+BBBBbbBBBB#.bBBbBBBBBBBB..#.
+..........#...............#.
+.......G..#......G........#.
+#BBBBBBBBBB.BBBBBBBB......#.
+#...................------#.
+#..........M........E.......` },
+  { variant: 'classic', num: 53, data: `............................
+.........E.....E........G.GS
+......#bbbbbbbbbbbbbb..#bbbb
+......#.bbbbbbbbbbbb..#bbbbb
+#bbbbbb..bGbbGbbGbb..#bbbbbb
+#bbbbbbb...........E#bbbbbbb
+#bbbbbbbbbbbbbXbbbbbbbbb....
+#bbbbbbbbG.G....G.Gbbbbb.GG.
+#bbbbbbbbbXbbbXbbbbbbbbbbbbb
+#.......E..........Gbbbbbb..
+#..#bbbbb#bbbbb#..-#bbbb..G#
+#..#..#..#..#..#...bbb..G#bb
+#..#GG#GG#GG#GG#...b..G#bbbb
+#..#bbbbb#bbbbb#....G#bbbbbb
+#..............M...#bbbbbbbb
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 54, data: `S..............bbbbbbbbbbbbb
+S..G.....G.....bbbbbbbbbbbbb
+bbbbbbbbbbbbbb#..G..........
+bbbbbbbbbbbbbbbbbbbbbbbbbbb#
+.....G.E...E.G.............#
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb
+#........G..........G.......
+bbbbbbbbbbbbbbbbbbbbbbbbbbb#
+....G........G......G......#
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb
+#...G..E.E..E.....G.........
+bbbbbbbbbbbbbbbbbbbbbbbbbbb#
+...G......G......G......G..#
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb
+#.....G...........G..M......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 55, data: `bbbbbbbbbbbbS.bbbbbbbbbbbbbb
+b---------b.S..b---------b..
+.bG..#..Gb..S...bG..#..Gb...
+..bG.#.Gb...S....bG.#.Gb....
+...bG#Gb....S.....bG#Gb.....
+....b#b.....SBBBBBbb#b......
+.M..b#b.....SB...G.b#b..E...
+bbb#b#bbbbbbXbbbbbbb#bbbbbb#
+...#.#.E............#......#
+#bbBb#bbbbbbbbbbbbbb#bBbbbbb
+#---b#b------------b#b......
+#.Gb.#.bG........Gb.#.b.....
+#Gb.G#G.bG......Gb..#..b....
+#b.Gb#bG.bG..#bbb...#...b.G.
+#.Gbb#Gb##bB#bBb..E.#..G.bbb
+bbbbbbbbb#..#.Gbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 56, data: `GGG----GGG.GGG-----------GGG
+bbb....bbb#bbb...........bbb
+bbb....bbb#bbb...........bbb
+bbb....bbb#bbb....GGG....bbb
+bbb....bbb#bbb....bbb....bbb
+bbb....bbb#bbb....bbb....bbb
+bbb....bbb#bbb....bbb....bbb
+bbb....bbb#bbb....bbb....bbb
+bbb....bbb#bbb....bbb....bbb
+bbbG--Gbbb#bbbG--GbbbG--Gbbb
+bbbbGGbbbb#bbbbGGbbbbbGGbbbb
+bbbbbbbbbb#bbbbbbbbbbbbbbbbb
+.bbbbbbbb.#.bbbbbbb.bbbbbbb.
+..bbbbbb..#..bbbbb...bbbbb..
+...E.....M#..........E......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 57, data: `bSbbbbbbbbbbbbbbbbbbbbbbbbbb
+bS------------------------.b
+bSbBBBbBBBbBBBbBBbB#bB---b#b
+bSb....G....G...G..#...G#b#b
+bSG#BBBBBBBBBBBBBBBBBBBB#B#b
+bSb#b----------------B.G#b#b
+bSG#b.BBBBBBBBBBBBBBBBbbbb#b
+bSb#b.B.GGGGGGGGGGGG...GbG#b
+bSG#b.BbbbBBBBBBbBBBBB#bbb#b
+bSb#b.....E...........#GbG#b
+bSG#bBBBBBBBBBBBbbBBBB#b.B#b
+bSb#------------------..#b#b
+bSbBBbbBB#BBbBbBB#BBBBBB#G#b
+bS.E.....#.BB....#..E..G#b#b
+bBBBbBbbbBBBB#BBbBbBBbbBBb#b
+.M...........#............#b` },
+  { variant: 'classic', num: 58, data: `bbbbbbbbbbbbbbbbbbbbb.....Sb
+b.Mbb---.BB...G...........Sb
+b.bB..G.#BBbbbbbb##.#b#.#.Sb
+b.b.....#....BBb.##G#.#.#.Sb
+b.b#bbbbBbbG...b.##.#.#b#.Sb
+b.b#b......Bbb...##.#.#.#.Sb
+bG.#b...G..bBb.#b.#.#.#.#.Sb
+bb##bbXbBbbbBb.#bGbSbb#b#.Sb
+bb#......E.....#bXbSb.#.#.Sb
+bb#bbBbbbbbbbB###.bSb.#.#.Sb
+bb#.bBbbbbbbbB##..bSb.#.#E#b
+b.#..B..G....B#...bSb##bbb#b
+b.##bBbbbbbbbB#.G.bSb#E...#b
+b.b#bBbbbbbbbB#BBBbSbbbb..#b
+b.b#b.....G..BBb...S...b..#b
+b.G#.bBBBBBBBBBb.E.S...bbbbb` },
+  { variant: 'classic', num: 59, data: `...--.G.........-G....G.....
+..#..bb........#.bb...bb#...
+..#........GE..#........#..G
+.G#--......bb.G#..EG....##bb
+bb#..#GE.....bb#..bb...G.#..
+...G.#bb.......#......bb.#..
+..bb.#-.--EG---#.........#..
+..G....#..bb....G...G-...#G.
+.bb....#.......bb..bb.#G#bb.
+....-.G#..G...........#bb...
+...#.bb#..bb...G......#.....
+.G.#.....G....bb.G....#G....
+#bb#....bb.......bb...#bb...
+#...........................
+#.............M.............
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 60, data: `...............-----........
+..........----#.....EG..G...
+.....----#......E.G.bbbbbbb#
+.---#.........G.bbbbb..G..b#
+#.........MG.bbbb...GEbXb#b#
+#..XbX.bb.bbbb..G.bXbbb.b#b#
+#..G.G.G..b..G.bbXb..G..b#b#
+#.bb.XbX..b.bbbb...Gbbb#b#b#
+#..G.G.G..b.b..G.bXbX.b#b#b#
+#..bbb.Xb.b.b.bbXb..G.b#b#b#
+#..G.G.G..b.b.b..G.bb#b#b#b#
+#.bX.Xbb..b.b.b.bbbbb#b#b#b#
+#..G.G.G..b.b.b.b...b#b#b#b#
+#..bbX.Xb.b.b.b.b.G.b#b#b#b#
+#........Eb.b.b.bbbbb#b#b#b#
+bbbbbbbbbbb..........#.#.#.#` },
+  { variant: 'classic', num: 61, data: `..........S.................
+..........S.................
+.G.E.G...B#B...--------.M...
+#BbbbBBb.B#G..........bbbb..
+#B.......B#B....G..........G
+#B----...B#B..bbbb---......#
+#B......GB#B..G.........G..#
+#..GBbbbBB#Bbbb......#bbbb.#
+#BbBB....B#B......EG.#b....#
+#B-------G#B...bbbbbbbb....#
+#B....G..B#B...G........G..#
+#B...BbbbB#B--bbbb--..#bb..#
+#BG......B#B........G.#....#
+#Bbb.....B#B......bbbbb....#
+#.....E...#................#
+BbbbBbbbbBBBBbbbBbbbbBBbbBBB` },
+  { variant: 'classic', num: 62, data: `bbSbbbbSbbbbbSbbbbbSbbbbbSbb
+b.SGE..S.....S...G.S.G...S.b
+b#bbbbbbbbXbbbbXbbbbbbbbbb#b
+b#bG.......EG........G...b#b
+b#bbbbbXbbbbbbbbXbbbbbbb#b#b
+b#b..G..........G......b#b#b
+b#b#bbbbXbbbbXbbbbbXbb#b#b#b
+b#b#b................b#b#b#b
+b#b#b#bG.....E.....G.b#b#b#b
+b#b#b#bbbXbbXbbbXbbbbb#b#b#b
+b#b#b#...G........G...#b#b#b
+b#b#bbbXbbbbbbbbbbbbXbbb#b#b
+b#b#...G.........G......#b#b
+b#bbbXbbbbXbbbbXbbbbbbXbbb#b
+b#...E...G....M.....G..E..#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 63, data: `..................E.........
+bbbbbbbbbbbbbbbbbbbbbbbbbbbS
+G.E.....b.......G..b.G.....S
+bbb#b.b#b#bbbbbbbb.b#b.bb#bb
+bbb#b#b#b#b..G...b.b#b.bb#bb
+bbb#b#b.b#b.bbbb.b.b#b...#.#
+bGb#b#b#b#b#bM.b.b.b#b.bbbb#
+b..#b#b#b#b#bb.b.b.b#b.b#..#
+.#b#b#b#b#b#..Gb.b.b#b.b#bbb
+#bbb.#b#b#bbbbbb.b.b#b.b#..#
+#bb.b#b#b#.G.....b.b#.-bbbb#
+#..-b#b#bbbbbbbbbb.b#b.b#..#
+#bb.b#b#...........b#b.b#bbb
+--b.b#bbbbbbbbbbbbbb#b.b#..#
+.....#......E.......#b.bbbb#
+bbbbbbbbbbbbbbbbbbbbbb.E...#` },
+  { variant: 'classic', num: 64, data: `BS........................SB
+BS..EGGGGGGGG.GGGGGGGGGE..SB
+BBBBBBBBBBBBBSBBBBBBBBBBBBBB
+......G.G....S.....G..G.....
+....B#BBBB...S...B#BBBBB....
+.....#G.G....S....#G..G.....
+...BBBBBB#B..S..BBBBBBB#B...
+......G.G#...S.....G..G#....
+..B#BBBBBBBB.S.B#BBBBBBBBB..
+...#..G.G....S..#..G..G.....
+.BBBBBBBBBB#BSBBBBBBBBBBB#B.
+......G..G.#.S....G...G..#..
+.B#BBBBBBBBBBSBBBBBBBBBBBBB.
+..#.........................
+..#...G..G......M.G...G....E
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 65, data: `...................bbbbbbb..
+----------G......ES.bbbbbb..
+#........#b#----...S.bbbbbb#
+#.......#XbX#.G#G...S.bb..b#
+#-------#XbX#.bbb#...S.bG.b#
+#.......#XbX#Ebbb#....S.bbb#
+#E......#####.bbb#.....S.bb#
+b-----..BX#XB.bbb#......S.b#
+bbG..#..BX#XB....#.......SS#
+bbbG.#..BX#XB.#--#---------#
+bbbbG#..BX#XB.#.............
+bbbbb#E.BX#XB.#------#bbGbbb
+.....#..BX#XB.#.....#Bbbbbbb
+.....#..BX#XB.#....#Bbbbbbbb
+.....#...M#...#....#Bbbbbbbb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 66, data: `bbbbbbb##----------##bbbbbbb
+bbbbbb##...-....-...##bbbbbb
+bbbbb##.....bEEb.....##bbbbb
+bbbb##....-.bbbb.-....##bbbb
+bbb##....-.bbbbbb.-....##bbb
+bb##-----.bbbbbbbb.-----##bb
+b##....-.bbbbGGbbbb.-....##b
+##......bbbbbbbbbbbb......##
+b##....-.bbbbGGbbbb.-....##b
+bb##....-.bbbbbbbb.-....##bb
+bbb##....-.bbbbbb.-....##bbb
+bbbb##....-.bbbb.-....##bbbb
+bbbbb##....-....-....##bbbbb
+bbbbbb##............##bbbbbb
+bbbbbbb##E...M....E##bbbbbbb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 67, data: `S...........................
+S....b...E.b.......E...E....
+S------G#b#.bb#bbSSbSSbb#...
+#......b#.b#b.#b.Gb.Gb..#...
+#.M.....b..b.#b.#b..b...#...
+bbbbb....bb.#b..b..b....#...
+....b...Gb.#b.Gb..b.---.#...
+...b....b.###.b....b..bbbbb#
+.Gb...Gb..b##b..bb..X......#
+bb....b.Gb.#b..b..b..b.....#
+b...Gb..b.#b..b....b..bG...#
+....b.Gb.#b.Gb..#b..bG.b...#
+..Gb..b.#b..b...#.b..b..b..#
+..b.Gb.#b..b....#..bG.b..b.#
+.b..b.##.....G..#...b.....b#
+......#bbbbbbbbbbbbbbbbbb..#` },
+  { variant: 'classic', num: 68, data: `BBBBBBBBBBBBBBBBBBBBBBS....B
+B.........E...........S....B
+B....#bBbbBBb#B.......S....B
+B....#......S#BbBbbBBbS....B
+B.bbB#.....#S#b.b.Eb-------B
+BG...#...GS#Sbb.b.Bb......GB
+B....#...#S#Sb..b..b......EB
+B#...#...#S#Sb.GbM.b......bB
+B#...#...#SBbb..bb.b.....GbB
+B#BBBBXbBBSB.....b.b.....bbB
+B#.--------B-----b.b..G...bB
+B#.....G..#.....bb.b....bbbB
+B#..#BXBBB#BBBb#b..b...Gb..B
+B#..#B...B#B..b#bbbbXbBb.G.B
+B#..#B...B#BG.b#........bbBB
+B#.G#B.E.B#BbbbbbBBbbbBbbbbB` },
+  { variant: 'classic', num: 69, data: `#.E.bb..........------------
+#bbbbb.......bb#............
+#bbbbb.......bb#.bBbBbBbBbBb
+#bbbbb.......bb#.G.G.G.G.G.G
+#bbGbb.......bb#bXbXbXbXbXbX
+#bbbbb.G..E..bb#bXbXbXbXbXbX
+#bbbbbbbbbbbbbb#------------
+#bbbbbbbbbbbbbb#...B.B.B.B.B
+#..M.E.........#...bXbXbXbbb
+#bbbbbbbb#bbbbbbbb#.....Xbbb
+#bbbbbbbb#...bbbbb#bbbb#Xbbb
+#bbbbbbbb#bbG..bbb#bbbb#Xbbb
+#bbbbbbbb#bbbbG..b#.E..#Xbbb
+.........#bbbbbb..#bbbb#Xbbb
+....G.G..#bbbbbbbb#bbbb#Xbbb
+bbbbbbbbbbbbbbbbbb#.GG.#Xbbb` },
+  { variant: 'classic', num: 70, data: `...........................S
+...........................S
+.....................E-GGG-S
+..G-G-...............#GbbbG#
+G#b.b.G-............G#bbbbb#
+b#....b...........G.b#bbGbb#
+.#......G-........b#-#bbbbb#
+.#......b.......G.-#..GbbbG.
+.#..............b#..........
+.#........G......#....GGGG..
+.#........b...G.-#...GbbbbG.
+.#............b#.....bbbb#X.
+.#.........G-..#.....bbb#Xb.
+.#.........b.G-#.....bb#Xbb.
+.#..........Gb.#.....b#Xbbb.
+.#..M.......b..#.E...#Xbbbb.` },
+  { variant: 'classic', num: 71, data: `....S.......................
+....S..............E........
+....S............#bbbbb#....
+.G#bbbb#b#E....G.#b...b#....
+b#bbbbb#bbbbb#bb#bbbbbb#bbb#
+b#....B#.G..B#.B#..Bb.b#..G#
+b#.bbbB#.Bb.B#.B#.GBb.b#.bb#
+b#.GbbB#...GB#.B#.b.b.b#.bb#
+b#.bbbB#.b.bB#.B#.BB..b#.bb#
+b#...GB#.B...#Gb#.bbG.b#E.G#
+b#bbbbb#bbbbb#Xb#bbbbbb#bbb#
+G#-------.GG.#..E.bb.....BG#
+BBB#....bbBBBbb#BBbG.....GB#
+...#bbbGbBBBBBb#BBBBBB#BBBB#
+M..#bGbbGGGGGG.#G.....#....#
+BBBBBBbbbbBBBBBBBbbbbbbbbbbb` },
+  { variant: 'classic', num: 72, data: `S...........................
+S......------------------bbb
+#....GE.........#..........b
+#bbXbbbb........#..........b
+#......b........#.GE#.bb.G.b
+#.G.#..b.G...---#bbb#bbbbbbb
+#bbb#G.bbbbb.G..#...#.......
+....#bbbbbbbbbbX#...#......G
+#...#bb..G.bbbbX#.Gb#-----bb
+#bbb#bbbbbbbbbbX#bbb#.G.#.bb
+#.....b---------#bGb#Xbb#.bb
+#GE#..b.....G...#bbb#...#.bb
+bbb#..b...G.bb..#bbb#...#.bb
+...#..b.G.bb....#bbb#...#.bb
+...#.Mbbbb....G.#bbb#..E#.bb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 73, data: `............................
+......SSSSSSSMS.......S.....
+....E....S....SS.....SSEB...
+..G#G....S.....SS...SS.BBB..
+.G###G...S......SS.SS.BBBBB.
+G#####G..S.......SSS.BBBBBBB
+#######--S..GE.G..S----###..
+...#....bbbbbbbbbbbb....#...
+..GBG...b.G......G.b....#...
+.GBBBG..b.--------.b....#...
+.BBBBB..b.#......#.b....#...
+..BBB...b.#......#.b....#...
+#bbbbb#.bG#...E..#Gb....#...
+#.....#.bbbbbbbbbbbb....#...
+#.....#..#........#.....#...
+#bbbbb##bbbbbbbbbbbb##bbbbb#` },
+  { variant: 'classic', num: 74, data: `.....S......................
+.....S...........BBBBBBBBBBB
+BBBBBSBBBBB#----#..........B
+B....S.....#.M..#...E......B
+bbbbb#bbbbbbbbbbbbbbbbbbbbbb
+bb#..#..#bbb....bbbb......bb
+b##bbbbb#bbb.bb.bbbbbbbbbbbb
+b#bbbbbb.#bb.Gb.bbb.bb..bb.b
+b#b.bbb.b#bb.bb.bbb.Gbbb.G.b
+b#bb.G.bb#bb....bbb.bb.Gbb.b
+b#bbbbbbb#bbbbbbbbbXbbbbbbbb
+b#..b.bG.##..............E#b
+b#bbbbbbb.#bbbbbbbb#bbbbbb#b
+b#.Gbbb...#......bb#......#b
+b#......E.#...G..bb#...G..#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 75, data: `.........G...G..............
+.G...G...bb#bb...G...G....G.
+.bb#bb.....#.....bb#bb...b#b
+...#......#........#......#.
+....#......#........#....#..
+...#.......E#...GG...#....#.
+..#........#....bb..#.----.#
+...#......#........#......#.
+....#......#.------.#....#M.
+...#.-----.E#........#....bb
+..#...GG...#........#.......
+...#..bb..#........#........
+..E.#......#........#.E.....
+bbbbbXXXXXXXXXXXXXXXbbbbbbb#
+...........................#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 76, data: `bbbbbbbbbbbbbbb............S
+b.............b............S
+b.------------##bbbbbbbG...S
+b.............#b..G..b.b---#
+bG.GE......M..#b.....b.bE..#
+b#bbbbbb#BBBBBBbBB...#..bb.#
+b#.....b#......bbb...#.....#
+b#G....b#-------...E.b#....#
+b#...bbB#......bbbbbbb#...#b
+b#..bbGB#....bbb.....b#bbbbb
+b#..b..B#..GbbGb.GG..b#bb.bb
+b#bb...B#..bb..bbbbbbb#b.b.b
+b#bG...B#.bb...b-----b#bb.bb
+b#.....###b....b..G..b#bGb.b
+b#.....#b#...........b#bb.bb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 77, data: `.----......GGGGGGG.....----.
+#....bbbbbbbbbbbbbbbbbb....#
+#.BBBbbbbbbbbbbbbbbbbbbBBB.#
+#....bbbbbbbbbbbbbbbbbb....#
+#EB#.bbbbbbbbbbbbbbbbbb.#BE#
+BBB#.b....b....b....bbb.#BBB
+...#.bGGGGbGGGGbGGGGbbb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#.bbb....b....b....b.#...
+...#.bbbGGGGbGGGGbGGGGb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#.bbbbbbbbbbbbbbbbbb.#...
+...#...................M#...` },
+  { variant: 'classic', num: 78, data: `b.........................bS
+b......G..E...-----------GbS
+bbbbbbbbbbbbb##....E.G..#bbS
+bbbb.........##bbbbbbbbbbb.S
+bbbbb..G..E..##........bb..S
+bbbbbbbbbbbbb##..G....bbb#.S
+bbbbbbb......##bbbbbbbb..#.S
+...G..bb..G..##.....bbbXb#.S
+#bbbbbbbbbbbb##.G..bb....#.S
+#bb.b.bbbb...##bbbbb.G...#.S
+#..#b#b.Gbb..##..bbbbbXbb#.S
+BBB#.#b#bbbbM##.bb.G.....#.S
+BBBBB#.#b.bbb##bbbbbXbbbb#.S
+BBBBBBB###b.b##b.........#.S
+.........#.#.##..........#.S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 79, data: `.....................S......
+....E...........B....S...E.G
+#BBBBB.BBBBBBB#BB...bSb#bbbb
+#.......---...#BGbb#bSb#bbbb
+bb#bb.bb..#bE.#.bbb#bSb#bbGb
+..#..bbGb.#.b.#bb..#bSb#bbbb
+#b...bbbbX#..b#..#bbbSb#....
+#....M....#...b..#b..S.bbbb#
+#bbbbbbbb.b.Gb..G#b#bbbbbbb#
+#bbbbbbbbXb.b..bbbb#bb.....#
+#bbbbbbbbXb.....Gbb#..bbbbbb
+#bbG...bbXb----#b.b#------..
+#bb...GbbXb#...b..bG....b.b#
+#bbbbbbbbXb#..bbbbbbb#bbbGb#
+#...bbG....#.bb......#..bbb#
+#bbbbbbbbbb#bbbbbbbbbbb....#` },
+  { variant: 'classic', num: 80, data: `......-----------G..........
+BBBBBB...bb.....bBBBBBBb#...
+B------..GG.....b......b#...
+B#......bbbX....b.E...Gb#...
+B#GG....G..G....bbbbbbXb#...
+BBBB#.G.bXbb..........E##...
+....#.......G...G...E--.#...
+....#.....bBBBBBBBBBb--.#...
+....#GE.G.bE.....G..b...#...
+....#bbbb#bbbbbbXbbbb...#...
+.....b..b#..............#...
+.....b..b#..............#...
+.....bGGb#..............#...
+.....bbXb#..............#...
+.........#....E..M......#...
+bbbBBBBBbbbBBBBbbbBBBBbbbBBB` },
+  { variant: 'classic', num: 81, data: `S...........................
+S...........................
+BBBBBBB#...............#BBBB
+.......#...E.........E.#....
+.......#bbbbbbbBBBbbbbb#....
+...b...#...............#....
+..b..--#...............#....
+..b.G.G#....GbG.....GGG#....
+..b.bGb#--..b.b.GGG.bbb#--..
+.b..bGb#G.G--Gb.bbb.bGb#G.G-
+.b..bbb#bGb.GbG.GGG.bbb#bGb.
+.b....b#GbG.bbb.bbb.bGb#GbG.
+b.....b#bGb.........bbb#bGb.
+.......#-#.............#-#..
+.......#....M..........#....
+bbbBBBbbbbbbbbbBBBBbbbbbbbbb` },
+  { variant: 'classic', num: 82, data: `BBBBBBBBBBBB.S.BBBBBBBBBBBBB
+B--------#bB-S-Bb#---------B
+B......G.#b--S--b#.G.......B
+B...G..bb#--GSG--#bb..G....B
+B..GbbX-##bBbSbBb##-bXb.G..B
+B.Gbb--#-bX-#S#-Xb-#--bbbG.B
+bGbb--#-----#S#-----#---bbGB
+bX---#------#S#------#----Xb
+b---#E------#S#------E#----b
+b...#bbbbbbX#M#Xbbbbbb#....b
+b.G.#.......bbb.......#..G.b
+#...#....E..bGb..E....#....#
+#---#bXbbbbb#.#bbbbbXb#----#
+#.G..#......#.#......#..G..#
+#....#..G...#.#..G...#.....#
+bbbbbbbbbBbbbbbbbBbbbbbbBBBB` },
+  { variant: 'classic', num: 83, data: `.----G................G.GMbS
+.....b#..............#bbbbbS
+.....b#.............#XbbbbbS
+.....b#............#bXbb..bS
+.....b#...........#bbXbbG.bS
+.G.E.b#..........#bGbXbbXXbS
+bbbb..b#........#b.#bXbb..bS
+G...bG.b#G.....#b.G#bXbb..bS
+bbb#.b..bb#...#bbbb#bXbb..bS
+G..b#.bG.b#GE#b.G.G#bXbb..bS
+bb#.b#.b..bb#bbbbbb#bXbb..bS
+G.b#.b#.bG.b#.G.G.-#bXbb..bS
+b#.b#.b#.b.b#bbbbb.#bXbbXXbS
+.b#.b#.b#..........#bXbb...S
+..#..#..#.....E....#.......S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 84, data: `......................S.....
+......................S.....
+E.......GbG...........SbG...
+bbbbb#bbbbbbbb#b#bbbbbbbbbb#
+G...b#.G......#b#....b.....#
+bbb#bbbbb#bbbbbbbbbb#b#bbbbb
+G..#.....#..E.......#b#....G
+b#bbbbbbbbbbbbbb#bbbbbbbbbbb
+G#bbG..b......Gb#....E.bG...
+bbbbbbbbb#bbbbbbbbb#bbbbbbbb
+bb#.....E#bbbG.bb..#..bb..Gb
+bb#bbbb#bbbbbbbbb#bbb#bbbbbb
+G.#bbbb#b.GbbbbbG#bbb#....bb
+bb#bbbb#bbbbbbbbb#bbbbbb#bbb
+bb#...b#.....b.M.#..b...#..G
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 85, data: `..............E..G..........
+.........G..bbbbbb#b.G......
+.....bbbXbbbb.....#bbbbbXb..
+.....b......b.....#b.....b..
+.....b.EG...b.....#b.....b..
+.bbbbbbbb.G.bG..b#bbbbbGGb..
+.b......bbbXbbbbb#....bXbbbb
+.b......b.....G.b#.EG....-.b
+.b......b....#bbbbbbbbbbb.#b
+.b...G.Gb....#b.........G.#b
+.b..bbbbb....#b.G..#b#.#bbbb
+.bbbb...b.Gb#bbbb..#bbbXb...
+....b.G.bbbb#...b.G#b.......
+....bbbbb..b#...bbbXb.......
+............#......M........
+BbBbBbBbBbBbBbBbBbBbBbBbBbBb` },
+  { variant: 'classic', num: 86, data: `S..........................S
+S--------------------------S
+##........................##
+#..bXbb....bbbXbb..bbbbbb..#
+#..b..bb...b....b..b....X..#
+#..b...bb..b.......b.......#
+#..b....b..b.......b.......#
+#..b...Gb..b....G..b.......#
+#..b...bb..b...bb..b....G..#
+#..bG.bb...b...Gb..bG..Gb..#
+#..bbbb....bbbXbb..bbXbbb..#
+#......M...................#
+#.#bbbbbb..bbbbbb..b#bbbb..#
+#.#b...Gb..bbbbbb#.b#bbGb..#
+#E#b....b.Ebb.Gbb#..#bbbb..#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 87, data: `.S..........................
+..S.........................
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+.#G....G#......G#.....G#....
+.G#....#G......#G.....#G....
+M#G....G#.....EG#...E.G#..E.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 88, data: `.--------b..........E.......
+#........b..G....#bbbb#.b.b#
+#.XXXXXX.bbbbb#B.#B...#.b.b#
+#.XXXXXX.b..G.#B.#B#B.#.b.b#
+#.XXXXXX.b#bbbbB.#B#B.#.b.b#
+#.XXGGXX.b#.G..B.#B#B.#.b.b#
+#.XXXXXX.bbbbb#B.#B#B.#.b.b#
+#.XXXXXX.b..G.#B.#B#B.#.bGb#
+#.......Eb#bbbbB.#B#B.#.bbX#
+#bbbbbbbbb#.G..B.#B#B.#....#
+#bbbbbbbbbbbbb#BbbB#Bbbbbbb#
+#bbbbbbbbb..G.#BBBB#BBBBbbb#
+#bbGGbbbbb#bbbbB.G.S.G.BGbb#
+#bbbbbbbbG#BbBBBBBBBBBBBbbb#
+#BBBBBBBBBB.......G..EG....#
+#.M........#bbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 89, data: `BSbBBBbBBbbBbbBBbB.BBbBBbbBb
+B#SSSSSBSBbBBbSBSSSSSSBBbbbb
+B#.M.GSBS.GGG.S.S..E.S.G..Sb
+B#BbBbSBSbBbbB#b#Bbbb#bbbbSb
+B#.G..SBS.GGG.#.#.Gbb#bbbBSb
+B#BbBSSBS.bbb.#.#.BBG#GbbGSb
+B#SSS.GBS.....#G#..bB#BbBBSb
+B#..SbbBS..G..#B#..G.#----Sb
+B#G.ES.BS.bbb.#B#..bB#..GBbb
+B#bbbb#BS..b..#G#..b.#.bbGSb
+B#..B.#BSSSSSS#B#..b.#...B#B
+B#..B.#---------#GEb.#BGGG#b
+B#..BG#Bbbbb#.GB#bbbbbbbbbbb
+B#..Bb#B...bbbbbBbB-------#b
+B#.G..#..G...G.......E.GGG#b
+BbbbbbbBbBBBBBBBBBBBBbBBBB#b` },
+  { variant: 'classic', num: 90, data: `..................#...S.....
+........--........#...S.....
+G...G..--.#.....--#..GSE....
+bbbb#--...#.E..---bXbb#b#...
+....#..BbXb#..---GbG..Sb#...
+XXbbb#..G..#-#BB.Bbbbbbb#...
+XG...#..B....#...BBBB.--#...
+.XG..#......G#.G.....#B.....
+..bG.#bXbb#BBBBBB#bXB#B.....
+..#bG#....#..G...#...#B.....
+..#.X#B...#bXbbbb#bbB#B.....
+..#.-#..G.#..G...#..B#B.....
+..#B.G..B.#bbbbXb#.BG#GB....
+..#..B....#..G...#.BB#BB....
+..#.......#bbXbbb#..E#......
+bbbbbbbbbb#..E..M#bbbbbbbbbb` },
+  { variant: 'classic', num: 91, data: `..............S.............
+..............S.............
+..............S.............
+.------...E..#b#..E...------
+......#---#bG#b#Gb#---#.....
+.#bG.b#...#bbbbbbb#...#b.Gb#
+.#bbbb....#-#b.b#-#....bbbb#
+.##bb.......#bbb#.......bb##
+..#bb.......#b.b#.......bb#.
+..#bb.......#bbb#.......bb#.
+..#bb.......#b.b#.......bb#.
+..#bb.......#bbb#.......bb#.
+..#bb.......#b.b#.M...E.bb#.
+..#bbbbbbbbb#bbb#bbbbbbbbb#.
+G.#bb...G..b#.G.#b..G...bb#G
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'classic', num: 92, data: `........................S...
+...............G.....bEbSb..
+......#---#bbbbbbbbbbb.bSb..
+G.----#....b......G..b.bSb..
+b#.........b....bbbbbb.bSb..
+bb#......E.b....G......bSb..
+bbb#.....G.b.....-----.bSb..
+bbbb#.-----bG..Gb....#..S...
+BBBBBB#....bbbbbb....#--S...
+......#....bbbbbb....#.bbbbb
+......#....bbbbbb....#.bG.E.
+......#....bbbbbb....#.bbbb#
+......#..............#.....#
+....--#..............#.....#
+E.Gb..#.......M......#.....#
+bbbb..#bbGbbbbbbbbbbb#..bbb#` },
+  { variant: 'classic', num: 93, data: `.............SS.............
+..E.#####..GGSSGG..#####.E..
+....#####.#bbbbbb#.###.#....
+..#b#.#.#.#..G...#.#.#.#b#..
+..#b#.#.#.#bbbbbb#.#.#.#b#..
+...b#.#.#-#..M.G.#-#.#.#b...
+...GB.#.B-bbbbbbbb-B.#.BG...
+...X#.#.#-#bbbbbb#-#.#.#X...
+..#X#.#.#-#bbbbbb#-#.#.#X#..
+..###.#.#..#bXXb#..#.#.###..
+..###.#.#..#bXXb#..#.#.###..
+...##.#.#...bGGb...#.#.##...
+....###.#..........#.###....
+.....####..........####.....
+......###..........###......
+.......E#bbbbbbbbbb#E.......` },
+  { variant: 'classic', num: 94, data: `G..bbbbbbbbbbbbSbbbbbbbbbbbb
+#b---....-...GbSb..........b
+#bGb.bbbb.bbbbbSb#bbb#bbbb#b
+#bGb.b..b...G.bSb#bbb#bbbb#b
+#bGb.bGGbbbbbbbSb#..b#.EGb#b
+#bGb.bbbbbbbbbbSbbb#b#bbbb#b
+#bGb..G....E...S..b#b#bbbb#b
+#bGbbbbb#bbbbG.S.Gb#b#....#b
+#bGb....#...bbbbbbb#bbbbbb#b
+#bGb#bbbGbb#..G...b#...G.b#b
+#bGb#b.G..bbbbbbb#bbbbbbbb#b
+#bGb#.#bb#EG....b#....G..b#b
+#bGbbbbbbbbbbbb#bbbbbbbb#b#b
+#bGbG..b.G.b.G.#G.b...G.#b#b
+#bXb#b#b#b#b#bbbbbb#bbbbbb#b
+#.G.#b#G#b#G#bM..G.#..G...#b` },
+  { variant: 'classic', num: 95, data: `..S.........................
+..S.........................
+..S......-----........-----#
+.E#....-......#..--.E#.....#
+Xb#---#.bXbb..#bb..bb#.bbXbb
+Xb....#bbXbbb.#bb..bb#.bbXb.
+Xb....#bbE-...#bb..bb#.bb...
+Xb....#bb#.bb.#bb..bb#-.b...
+Xb.G..#bb#Gbb.#bbG.bbG#XXGM.
+X.--#-#bb#.bb.#bb..bb.#bbbb.
+bb.##..bb#..b.#bb..bb.#bbbb.
+bb##...bb#.X.-#bb..bb.#bb...
+bb#....bb#.bb..bb..bb.#bb...
+bb#.G--bb#..G...b.Gb..#...G.
+bbbbb#.bbbbbb#..bbXb..#bbbb#
+bbbbb#.Gbbbb.#..GbXG..#bbbbb` },
+  { variant: 'classic', num: 96, data: `.-..E...bbbb.E..G...bbbb....
+#.#bbbb#bbbb#bbbbbb.bbbbbbb#
+#.#bbbb#..G.#bbbGbb.bbbbGbb#
+#.#bGGb#bbbbbbbbbbb....bbbb#
+#.bbbbb#.....--------------#
+#.....b#E........G..G.......
+#bXb#.b#bbbbbXbbbbbbb#.G.G..
+#G.b#.b#-----.-----#BBBBBBBB
+bb.b#.b#....G.G....#..MG..G.
+...G#.b#bbbbbXbbbbb#bbbbbbb#
+bb#BB.b#-----------#.......#
+bb#...G#....G.....Bbbbbbb#.#
+bb#bbbbbbbbbbbbbbSB....G.#.#
+Gb#b.............SBbbbbbXb.#
+bb#b.....G....G..SB....E...#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 97, data: `.............##----#####bbbb
+............#bb#---#GG.#bbbb
+...........#bbbb#...##G#.#.#
+..........#bbbbbb#....##G#G#
+..........#bbbbbb#.....#####
+..........#bBbBXB#.....#.#.#
+..........#GBbBXG#.....#.#.#
+..........#bBbBXB#.....#G#G#
+G---------#bBbBXB#.....#####
+#G........#GBbBXG#.....#.#.#
+b#G.......#bBbBXB#.....#.#.#
+bb#G......#bBbBXB#.....#G#G#
+bbb#G.....#GbbbXG#.....#####
+bbbb#G....#bbbbbb#.....#.#.#
+bbbbb#G..#Bb.bB.bB#...M#G#G#
+bbbbbb#.E#Bb.bB.bB#E.#bbbbbb` },
+  { variant: 'classic', num: 98, data: `BS.........................B
+BSBBBB.BBBBBBBBBbBBBBBBBBBGB
+BS....G...G----...--------#B
+BS.......#bb..bbbbb.....bb#B
+BS.....G.#.......Gb..b.GbG#B
+BS....bbb#..G.M..bb..bXbbB#B
+BS.G.....#bbbbb#..b.E.....#B
+BS.bbb...#b...b#..b---#bbbbB
+BS.....E.#bG..b#..b...#---.B
+BS...#bbbbbbbbb#bbb...#..G.B
+Bbbb.#bG.b.G..b...b...#.bbbB
+BG.bb#bbbbbbbbb...b...#.b..B
+Bbbbb#---GGBGGbG..bbBBB#BbbB
+B...b#..bbbBbbbbb#b....#..GB
+B.G.b#....G......##..E.#b#.B
+bbbbb#bbbbbbbbbbbb#bbbbbbbbb` },
+  { variant: 'classic', num: 99, data: `..---......G..G....---..B.b#
+bb..b#....#bbbb#..#E..bbB..#
+.bb.b#...#bbbbbbbbbb#.bbB.b#
+bb..b#bbbbbGbbGbbbbb#.bGBbb#
+GbbGb#.....E........#.....b#
+bbbbbbbbbbbbbbbbbXbbbbbbbbb#
+...G.E...G..........M...E..#
+BBBBBBBBBBBBBBBB#bbbbbbbbbbb
+.-------------.B#...........
+#......-......#B#----------.
+#.....-.-.....#Bbb.bb.bb.bb#
+#....-.b.-....#BBBBBBBBBBBB#
+#...-.bbb.-...#------------#
+#..-.bbbbb.-..#XbXbXbXbXbXbX
+#.-.bbGGGbb.-.#B............
+#-.bbbbbbbbb.-#B........E...` },
+  { variant: 'classic', num: 100, data: `.................E.E.E-.....
+...............#bbbbbb.#bbb#
+...............#b....b.#bbb#
+...........#bbbbbb...b.#bbb#
+...........#b....b...b.#bbb#
+.......#bbbbbb...bGGGb.#bbb#
+.......#b....b...bbbbb.#bbb#
+...#bbbbbb...bGGGb.....#bbb#
+..E#b....b...bbbbb.#bbbbbbb#
+bbbbbb...bGGGb....E#b....bb#
+b....b...bbbbb.#bbbbbb...bb#
+b....bGGGb.....#b....b...bb#
+b....bbbbb.#bbbbb.GGGbGGGbb#
+bGGGGb.....#bBBBBBBbBBBbBBB#
+bbbbbb.#bbbbb........M.....#
+.......#bbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 101, data: `#..........................#
+#.....#bGbb#.....#bbGb#....#
+#EG...#bbbb#.....#bbbb#...G#
+bbbb#.#bbbb#-----#bbbb#.#bbb
+....#.#bbGb#.....#bGbb#.#...
+..GE#.#bbbb#.....#bbbb#.#G..
+#bbbb.#bbbb#.....#bbbb#.bbb#
+#.....#bGbb#-----#Gbbb#....#
+#.G...#bbbb#.....#bGbb#..G.#
+bbbb#.#bbGb#.....#bbbb#.#bbb
+....#.#Gbbb#.....#bbGb#.#...
+..G.#.#bbbb#-----#bbbb#.#.G.
+#bbbb.#bGbb#.....#bbbG#.bbb#
+#.....#bbbb#.....#bGbb#....#
+#..M..#bbGG#..E..#bbbb#..E.#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 102, data: `---------....#......-----...
+.........#....#....#........
+...------#.G...#...#........
+..#.G.E..bbb...#....#.......
+..#.bbbb......#.---..#.GG--.
+..#..........#...G...#.BB...
+..#----...G.#....B..#......G
+.......#.bb.#......#.......b
+.......#.....#.....BBBbbbBbb
+.......#......#.--..........
+...GEG.#.......#.........B.B
+..bbbb.#----...#...BBBBBBB.B
+G........GG...#.G......G.GEB
+B........BB..#..b..bbbbbbbbb
+...........M.#..............
+bbbbbBBBbbbbbbbbbBBBbbbbbbbb` },
+  { variant: 'classic', num: 103, data: `-----------------------#....
+..G....G.....G.....G...#....
+bbbb..bbbb..bbbX..bbXb.#....
+.....G....G......G.....#....
+b..bXbb..bbXb..Xbbb..b.#....
+.G......G...G......G...#....
+bbbb..bbbb..bbbX..bbXb.#....
+....G.....G.....G......#....
+b..bbXb..bXbb..Xbbb..b.#....
+..G.....G.....G....G...#....
+bbbb..bbbb..bbbX..bbXb.#....
+E....M...........E.....#...E
+bbbbbbbbbbbbbbbbbbbbbbbbSbbb
+bbbbbbbbbbbbbbbbbbbbbbbbSbbb
+bbbbbbbbbbbbbbbbbbbbbb..S..b
+bbbbbbbbbbbbbbbbbbbbbb.ESE.b` },
+  { variant: 'classic', num: 104, data: `............E..............S
+....G.................G....S
+..#bbb#....bb#bb....#bbb#..S
+.#b.G.b##bb#####bb##b.G.b#.S
+b#bbbbb#bb#######b#bbbbbb#bS
+.....E...####G####.........S
+bbbbbbbbb#########bbbbbbbbbS
+.bbGbb...b#######b..bbGbb..S
+..bbb.....b#####b....bbb...S
+...b.......b###b......b....S
+............b#b............S
+............b#b............S
+............b#b............S
+............b#b............S
+....E........#.....M.......S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbS` },
+  { variant: 'classic', num: 105, data: `bbbbBBbbbbbbbbbbbbbbbbbbbbbS
+b.G..B.....G..E....M......bS
+b#b#.BbXb#bbbbbbXbbbbbbbb.bS
+b#bb#.bXb##bbG--------G...bS
+b#.bb#.Xbb##bbG...G..Gbb#.bS
+b#..bb#.bbb##bbG....Gbb.#b#S
+b##..bb#.bb###bbG..Gbb..###S
+b###G.b##.b#b##bb..bb..b##bS
+b####..#b#.#bb##bXbb..b###bS
+bG####E#bb##bbb##Xb..###G#bS
+b##G..##.bb#.bbb#X.Gb####bbS
+bbb#bbbbG.bb#.bb#..b###E##bS
+b########..b##.##E###G..##bS
+b#.##.G..#..#b###b##bbbbb#bS
+bG.#b#bbbb#.....###G.....#.S
+bbbbb####G#bbbbb##bbbbbbbbbb` },
+  { variant: 'classic', num: 106, data: `BBBBBBBBBBBBS..BBB.......BbB
+bbbbbbbBbbBBS..bbB.......bBb
+...G..bBbBbBS..BbB.......b..
+#BbbbXb....BS.E.bB......Gb.G
+#bbbb...----#bbBbBXbbbbb#B.#
+#b.Gb.---BbB#b....XBbbbb#b.#
+#bbb---..BbB#b----XBbbbb#Bb#
+#bb---......#B.....G.bbB#bb#
+#b--G...bbBb#b....XbbBBb#bb#
+#--.B-------#...-----.bb#.b#
+...BbE..G..B#XbbB.M.G...#bb#
+bbXbBbb.BbbB#XbbBBbBBbB....#
+bbXbB......B#X....E.G.Bbbbbb
+bbXbB-------#Xbb..bbbbB..G.b
+bb.....G...B#..........bbbbb
+bBbbbbBbb#..#..#bbbBbbbbbbbb` },
+  { variant: 'classic', num: 107, data: `.----------..M...----------.
+#....----..bbbbbb..----....#
+#....---.bbbbbbbbbb.---....#
+#....--.bbbbbbbbbbbb.--....#
+#....-.bbbbbGGGGbbbbb.-....#
+#....-.bbbbbbbbbbbbbb.-....#
+#.....bbbbbbbbbbbbbbbb.....#
+#.....bbGGGGbbbbGGGGbb.....#
+#.....bbbbbbbbbbbbbbbb.....#
+#.....bbbbbbGGGGbbbbbb.....#
+#......bbbbbbbbbbbbbb......#
+#....-.bbbbbbbbbbbbbb.-....#
+#....-..bGGGGbbGGGGb..-....#
+#....--..bbbbbbbbbb..--....#
+#EGGG---G..bbbbbb..G---GGGE#
+bbbbbbbbb#GGGGGGGG#bbbbbbbbb` },
+  { variant: 'classic', num: 108, data: `bbbbbbbbbbbb....bbbbbbBBbbbS
+b---------------------.bb.bS
+b.#bbbbbbbbb#..Sb-----#----S
+M.#GBGGGG...#..SbG..GG#...GS
+bb#bbbbbBbbb#..Sbbb#bbbXb#bS
+b.#####.B..G#..SbG.#-----#.S
+bG..BG#..GGb#..SbB.#.BBB.#GS
+bbbbbbbXbbbb#..SbG.#E..GG#B#
+b..GBGG.B..b#..Sbbbbbb#bbbb#
+b..BBBB.B..b#--#bG....#..GGS
+b.GGG.GGBG.b#GE#bBG...#.bbb#
+b#bbbXbbbb#bbbbbbbbb#bbbbbb#
+b#--------#bbb.-----#-B.---#
+b#.G..GGG.#..G#.G.G.#.B#G.Gb
+bb#bb#Bb#bbbXb#bbBbXbbbbb#bb
+.G#GG#E.#.....#........GG#GG` },
+  { variant: 'classic', num: 109, data: `##.bbbbbE#BBB.BBB#Ebbbbb.##B
+#B##.G.##B#######B##.G.##B##
+G#B#b#b#B#Gbb#bbG#B#b#b#B#Gb
+b.#B###B#.b.###.b.#B###B#.b#
+.b##B#B##b.#...#.b##B#B##b..
+#b.#####.b#.bbb.#b.#####.b#b
+#b#.....#b#b.G.b#b#.....#b#M
+#b.#####.b#.bbb.#b.#####.b#b
+.b##B#B##b.#...#.b##B#B##b..
+X.#B###B#.b.###.b.#B###B#.b#
+G#B#b#b#B#Gbb#bbG#B#b#b#B#Gb
+#B##.G.##B#######B##.G.##B##
+B#.bbbbb.#BBB#BBB#.bbbbb.#BB
+B#.#.G.#.#BB###BB#.#.G.#.#BB
+B#.#b#b#E##B###B##E#b#b#.#BB
+#B#B###B#B#######B#B###B#B##` },
+  { variant: 'classic', num: 110, data: `......B-------..---.##bb#..S
+G...EGB------Gbb...##bb##..S
+bbb#bbB.....Gbb...##bb##G..S
+...#..B....Gbb...##bb##G.BBS
+G..#.GB...Gbb...##bb##G.BB.S
+bbb#bbB..Gbb...##bb##G.BB..S
+..M#..B.Gbb...##bb##G.BB.GGS
+bbb#.GBGbb...##bb##G.BB.#bb.
+bbb#bbBbb...##bb##G.BB..#GG.
+bGb#..B.G..##E.##G.BB.#bbbb.
+bbb#.GBbbbbbbbbbbb#B..#G.EG.
+Gbb#bbB-----------#B.#bbbbb.
+bbb#.GBG.G..#......B.#G...G.
+bBBBBBBbbb..#.bbbb.B.#bbbbb.
+...........E#bbGGbbB.#G...G.
+bbbbbbbbbbbbBbbbbbbB.bbbbbbb` },
+  { variant: 'classic', num: 111, data: `............###.............
+...........####.............
+.............##.............
+..E.........####.........E..
+-----------######-----------
+-----------######-----------
+.----------######----------.
+...--------######--------...
+.....------######------.....
+........---######---........
+G.G.G.G.G..######..G.G.G.G.G
+...........##EM##...........
+bbbbbbbbbbb##bb##bbbbbbbbbbb
+bbbbbbbbbbb##bb##bbbbbbbbbbb
+.G.G.G.G....#..#....G.G.G.G.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 112, data: `.....................BBBBBB#
+--------------..E..........#
+#............#BBBBBBB.#b.#Sb
+#.E#B#.......#-----#.b#.b#..
+BBBBB#B#B.M........#..bb.SbX
+#----#.#bXbbbBBB.bb#.bb#SSbX
+#....#.#b.Gb...G...#.b.#b--X
+#......#b..Gbbbb.BB#.G#bG.GG
+#......#b.Ebbbbb...#.b#b...b
+#XG.....b.bbbbbG.BB#SS#b#bbb
+#.b.....b.Gbbbbb.G.#..b.#bb.
+#..b....b.bbbbbb.#B#.bbb#.bb
+#...b...b#.GbG.b.#.#..b.#b.G
+#....b...#bbbbbb.#B#.b.bb.bb
+#.......b..........#........
+bbBBBbbbbbbbbbBBBBbBbBBBbBBB` },
+  { variant: 'classic', num: 113, data: `S...........................
+S...........................
+bbbbbbbbbbbbbbb#bb.G......M.
+....E.....E....#bbXbBBBBBBB#
+G..###########.#...........#
+bG.#..########.#.G.G.#bbbbb#
+.bG#..#........#.bSb.bbbbbb#
+..b#..#G.G.G.G..#.b........#
+...bG.#bXbXbXb.#.....EG.G.G#
+....b.#.........#....b#bbbb#
+......#.#.#.#..#......#.....
+......#.........#.....#.E...
+.......#.#.#...#......bbbbb#
+........#.#.#...#..........#
+....E....GSb...#...E.......#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 114, data: `.......--..........--....--.
+.bbbbbbG-#bbbbbbbb#-GbbbbG-.
+.bbbbbbbG#bbbbbbbb#GbbbbbbG.
+.bbbbbbbb#bbbbbbbb#bbbbbbbb.
+.bbb.bbbb#bbb.....#bbb...bb.
+.bbb..bbb#bbbGGG..#bbbGGG--.
+.bbb..bbb#bbbbbb..#bbbbbbG-.
+.bbb..bbb#bbbbbb..#.bbbbbbG.
+.bbb..bbb#bbbbbb..#..bbbbbb.
+.bbb.Gbbb#bbb.....#.....bbb.
+.bbbGbbbb#bbbGGGGG#bbGGGbbb.
+.bbbbbbbb#bbbbbbbb#bbXbbbbb.
+.bbbbbbb.#bbbbbbbb#.bXbbbb..
+.bbbbbb..#bbbbbbbb#..Xbbb...
+..E..E...#...M....#...E..E..
+bbbbbbbbbSbbb##bbbSbbbbbbbbb` },
+  { variant: 'classic', num: 115, data: `...........................S
+--------.b#............G..GS
+...GbG..#b#bBbBbBbBbBXBbBbBb
+..Gb.bG.#b#....G...G..------
+.Gb...bG#bbBbBbBbBbBb#.....#
+.b.....X#bBBBBBBBBBBB#..G..#
+........#----------#bbbXbbb#
+...................#b......#
+..G.MG.............#b......#
+#bbbbbbb#.E.G..G...#b.G..GE#
+#.EG..G.#bBbBbBbBbBbBBbBXBb#
+#bbbbbbb#bbbbbbG.bbb.......#
+#..G.G..#bbbbbbbb.bb.......#
+#bbbbbbb#bbbbbbbbb.b.......#
+#...G.G.#bbbbbbbbbb..G..G..#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 116, data: `bbSbBbBbBbBbBBb.bSbB.bbSbbbb
+bbSbbbbbbBbBB#B.BSBb.b.S..#b
+bBS......bB..#...S.G..ES..#b
+bbbXbb#------#bbXbbbbbbbbb#b
+.M.G..#G#bBG.#.B..BbB..b..#b
+bbbbb#bb#BbB..G.B....B.---#b
+..Bb.#B.#BBBbBBb.B..-----b#b
+G.E..#..#..b---------B.Gbb#b
+bXBbb#..#GBBbG.bBG..B..bb.#b
+BX.B.#..GBbBBbG.Bb---#b...#b
+..b..#.GB.GGG.BG..B..#....#.
+#----#GB.#bBb..BG...b#bbbbbb
+#.#..BB--#......B..G.#.BBBBB
+#.#bBbGG.#--#..#.bbbb#..B..b
+#.#G.GbbGEGG#--#..bbB#...EGb
+bbbbbbbbbbbb#.G#Gbbbbbbbbbbb` },
+  { variant: 'classic', num: 117, data: `............bbb............S
+....G..E.G..BBB.....GE..G..S
+#bbbbbbbbbbbbbb#bbbbbbbbbbbb
+#----------.BBB#............
+...........#bbb#..---------.
+.----------#BBB#G..........#
+#.G..----M..bbbbbb.......G#b
+bbbbb....b#.BBBBBB....EG#bbb
+..-.b....b#.bbbbbb...G#bbbbb
+bbG#b....b#.BBBBBB.G#bbbbbbb
+Gbb#b....b#-----.G#bbbbbbbbb
+bbG#b....b#.BBB.#BBBBBBBBBBB
+Gbb#b.GG.b#.bbb.#...........
+bbG#bbbbXb#.BBB.#bbbbbbbbbb#
+Gbb#..E...#GbbbG#bG........#
+bbbbbbbbbbbbBBBbbbBBBBBBBBBB` },
+  { variant: 'classic', num: 118, data: `----------------............
+.....G..........#E..........
+....GGG........###..........
+....GGG........###..........
+...GG.........##............
+.GG.GGG.....##.###..--------
+GG.GG..GG..##.##..##...E....
+...##.........##......#####.
+.E.###........###.....GGGGG.
+####.##....####.##....#####.
+.....##.........##....GGGGG.
+.....##.......M.##....#####.
+bbbbbbbbbbbb#bbbbbbbbbbbbbbb
+............#...............
+............#...............
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 119, data: `........................S...
+...G....................S...
+#Bbb....................SBB#
+#BGbb.G................GSBB#
+#..bGbbb..........E.bbbbbbb#
+#..b.b..bbbG.....bbb.G.....#
+#--..bG.b..b..G.bbG.BBBB...#
+#..bbbbbb...bbbXb......bbbB#
+#G.M.............bBBB#b.G..#
+#BBBB--------........#bbbG.#
+#...B....EGGGG.......#..bbbb
+#.G.BG..BBBBBBBBBB...#.GB..G
+#bbbbb...............#bbBBbb
+#----#------.........#......
+.....#...............#E.....
+...G.#...bbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 120, data: `.............S..............
+.............S..............
+.........#...S............#.
+...bbbbbb#...#------------#.
+...b..G.b#...#..........E.#.
+...b....b#...#BBBBBBbbBBbbBB
+BbBBbBBbBBbBB#b-----bXbbb..b
+.GE.G.....G..#b.#...b--.b..b
+bbbbbbbXbbbbb#b.#bGGbGb#bG.b
+.------------#b.#bbbbXb#b..b
+#E...........#b.#G...--###bb
+#bbbbbbbbbbbb#bbbbbb#.G..#..
+#...........M#......#bb..###
+#Gbbbbb.G.bbb#bb.G.b#bG--..#
+#bb.G.bbbbbG.#Gbbbbb#bbG.bb#
+bbbbbbbbbbbbbbbbbbbb#..bbbbb` },
+  { variant: 'classic', num: 121, data: `............................
+bbbbbb#S............S#bbbbbb
+bbb###GS............SG###bbb
+##bbb###G..........G###bXb##
+G###bXb###GE....EG###bbb###G
+..G###bbb###G..G###bXb###G..
+....G###bXb######bbb###G....
+......G###bbb##bbb###G......
+........G###b##b###G........
+......G###bbb##bbb###G......
+....G###bbb######bXb###G....
+..G###bXb###G..G###bbb###G..
+G###bbb###G......G###bXb###G
+##bXb###G..........G###bbb##
+bbb###GS............SG###bbb
+bbbbbb#S.......M....S#bbbbbb` },
+  { variant: 'classic', num: 122, data: `S...........................
+S......E..........G.........
+S.BB#BBBB.........BBBB#BBBBB
+S...#....bG......b....#b.---
+S---#-----b.....b-----#B#..G
+bG..#..G...b...b......#b#--.
+.bE.#---.b#.b.b...G...#B...#
+..b.....b.#..X........#bG..#
+M..b...b..#.........G.#B.--#
+BBb.b.b...#b.------.b.#b#...
+....bX....#.b.G....b..#B#.E.
+G#bbb.....#..b....b.G.#bbbb#
+b#B-------#...b..b..bb#bbbb#
+.#.............XX.....#....#
+.#....................#....#
+BBBBBBbbbbbbbBBBBbbbbBBBBBBB` },
+  { variant: 'classic', num: 123, data: `..............S.............
+...--------..-S---..........
+..#........#-.....#.#bbbb#..
+..#-------E#------.#b.#-.b#.
+..#.......#b..---.#b..#.G.X#
+..#......#X.b#...#b...#...Gb
+..#..--.#b...b#.-.M---#----b
+#.b##S.#bG#bb.b#..b........b
+#b.b#S.#bbbbbbb#..bbbb.bbbbb
+bbXbbS.#b..bG.b#-#....-...E#
+bbXbbS.#bbbbbbb..#bbbb.bbbb#
+b.G.bS.#b.Gb..b#.#bGbb.bbbb#
+bbbbbS.#bbbbbbb#.#bbbb.bbGb#
+bbbbbS.#b..bG..#.#b....b...#
+b...bS.#bbbbbbb#.#bbXbbbXbb#
+b.G..Sb#......b#b#...b..G..#` },
+  { variant: 'classic', num: 124, data: `S..........................S
+S..........................S
+S-----#.....#------#b.....b#
+......#-----#......#b.G...b#
+.G....#.....#.E.G..#bbbbbXb#
+bbb.G.b##...bbbbbbbbbbbbbXb#
+bbbbbbb.#.G..........G.....#
+bbbbbG..#bb...GbG...bb.....#
+bbbbbbG.#bb..GbbbG..bb.....#
+bbbbbbbG#bb.GbbbbbG.bb.E.G.#
+bbbbbbbb#bbXbbbbbbbbbbb#BBb#
+b......E#..............#.bb#
+b..G..bb#.......M......#.bb#
+bbbbbbbb#----#bbbb#G---#.bb#
+b..G....#..G.#bbGb#b..b#Gbb#
+bbbbbbbbbbbbbbbbbb#bbbb#bbb#` },
+  { variant: 'classic', num: 125, data: `....------..............-...
+.bbb......#--...E..#bbbb....
+.bG......#--.bbbbbb#bbbb....
+.bbb.....--..XbbbbX#bGGb....
+.....bbbX....XbbbbX#bbbb....
+.....bbbX.bb-XbGGbX#....Xbbb
+.....bGGX.bb.XbbbbX#....Xbbb
+.....bbbX..........#....XGGb
+...................#....Xbbb
+.........XbbX......#........
+XbbbX....XGGX......#Xbbb....
+XbbbX....XbbX......#Xbbb.bb.
+X.G.X..............#XGGb.bb.
+XbbbX..............#Xbbb....
+..............E....#.M......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 126, data: `...G......-.-..E...-......-E
+#bbb.#bbbbGbGbbbbb#.-....-.#
+#..G.#bbbbbbbbbbbb#.-G.-.G.#
+#bbb.#bbGbbbbbGbbb#-..-.-.-#
+#..G.#bbbbbbbbbbbb#.G...G..#
+#bbb.#bGbbbbbbbGbb#.--..-..#
+#..G.#bbbbbbbbbbbb#.-.G.-G-#
+#bbb.#bbGbbbbbGbbb#...-..-.#
+#..G.#bbbbbbbbbbbb#..-.-...#
+#bbb.#bbbGbbbGbbbb#-..-.-.-#
+#..G.#bbbbbbbbbbbb#..G...-.#
+#bbb.#bbbbGbGbbbbb#...--.G.#
+#..G.#bbbbbbbbbbbb#.-..-.-.#
+#bbb.#bbbGbbbGbbbb#.G.-.-.-#
+#.E..#bbbbbbbbbbbb#.....M...
+#bbbb#bbGbbbbbGbbb#bbbbbbbbb` },
+  { variant: 'classic', num: 127, data: `......S....................S
+......S......E.............S
+---.E.S------bbbbb#....E...S
+#bbBbbb.bbbbbbb#Gbbbbbbbbbb#
+#bbGbbb.BG...#b#bb...G...G.#
+#bbbbbb.BBBBB#B#...-------.#
+#........----#.#...#.......#
+bbXbbb#........#...#..b....#
+---...#bbbbbb.bbbbbbb#bbbbbb
+G...#bb.....----b.########--
+....#b..BBB#....bG########.G
+#bbbb..b...BBB#.b-########.-
+#.....b..#bbbb#.bG########..
+#...#b...#bbbb#.b-########..
+#M..#b#..#b.Gb#.bbbbbbbbbbb#
+bbbbbbbbbbbbbbb............#` },
+  { variant: 'classic', num: 128, data: `.-........................-.
+#.bbbbbbbbbbbbbbbbbbbbbbbb.#
+#.b....b..G..Gb.......b..b.#
+#.b.G..bbbbXbbb.......b..b.#
+#.bXbbbb.....b.GE.G...b.Gb.#
+#.b...b......bbbbbbbbbbbbb.#
+#.b.G.b......b......b....b.#
+#.bbbbb..G.E.b......b....b.#
+#.b...bbbbbbbbb.....b..G.b.#
+#.b......b....bG..E.bbXbbb.#
+#.b.G..G.b....bbbbbbb....b.#
+#.bbbXbbbb....b...b......b.#
+#.b.G.bG...EG.bG..b.G....b.#
+#.bbbXbbbbbbbbbbXbbbbbbXbb.#
+#...........M......E.......#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 129, data: `.............##.............
+..E#.........##.........#.E.
+.bb#bb.....bb##bb.....bb#bb.
+bbG#Gbb...bbb##bbb...bbG#Gbb
+b..#.....bbG.##.Gbb..b..#...
+bbG#G.---bb..##......bbG#G..
+.bb#bb...bbG.##EG.....bb#bb.
+..G#Gbb...bbb##bb......G#Gbb
+...#..b....bb##bbb.--...#..b
+bbG#Gbb....G.##.Gbb..bbG#Gbb
+.bX#Xb.......##..bb...bb#Xb.
+...#.....bbG.##EGbb.....#...
+..........bbb##bbb..........
+...........bb##bb...........
+........M....##.............
+bbbbbbbbbbbbb##bbbbbbbbbbbbb` },
+  { variant: 'classic', num: 130, data: `#...........................
+#..--......-----------------
+#...S.....G#....G....#...E.#
+bbb.bbbbbbb#-------#.#.#BBBB
+.G.........#.G.....#.#.#....
+BBB#bbb.E..#-------#.#.BBBB#
+...#.G.bbbbb....G..#.#.....#
+.M.#.bbbbbGb-------#.#.#BBBB
+#b.#---------------#.#.#.G..
+#bbbbbbbXbbbbb...E...#.BBBB#
+#G..bbbb.....bG..bbbb#.....#
+#bbbbbbbbbbbbbBB.bbbbbb#bbbb
+#Bbbbbbbbbbbbb...bbbbbb#bbbG
+#Bbbbbbbbbbbbb#B.bbGbbb#bbbb
+#B.Gbbbbbbbbbb#B.......#....
+#.bbbbbbbG....#Bbbbbbbbbbbbb` },
+  { variant: 'classic', num: 131, data: `............S...............
+b.........bGSGb.........b...
+.b---#-----b#b-----#---b....
+..bG.#.E...G#G...E.#.Gb.....
+...b-#-#---b#b---#-#-b......
+....b..#..X.#.X..#..b.......
+.#---b.#.b--#--b.#.b------#.
+.#-#..b#b.......b#b.....#-#.
+...#..b#b.......b#b.....#...
+.#-#..b#b.M.G...b#bbbb..#-#.
+.#....b#bbbbbbbbb#bbbb....#.
+.#-#..b#b.bbbbb.b#bbGb..#-#.
+..G#..b#b.bbGbb.b#bbbb..#G..
+.#-#E.b#b.bbbbb.b#b....E#-#.
+.#----.#.-.....-.#.-------#.
+.#....b#b.bbbbb.b#b.......#.` },
+  { variant: 'classic', num: 132, data: `bS.........................b
+bS-------------------------b
+bS.......Xbbb#bbbX.........b
+bS....GXbX...#...Xbb.G.....b
+bS..GXbXGGGGG#GGEGGbXb.G...b
+bS.bbXbXbbbbb#bbbbbbXbXb.G.b
+bbbb.........#.........bXbXb
+bb.....GGGG..#E.GGGG.....bXb
+b....#bbbbbbX#bbbbbbb#.....b
+b....#.......#.......#.....b
+b...G#..GGGGG#.G.GGGG#.E...b
+b.#Xbbbbbbbbb#Xbbbbbbbbb#..b
+b.#..........#..........#..b
+b.#..........#..........#..b
+b.#..........#..M.......#..b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 133, data: `-------------#--------------
+.G......G....#...G...G.EG..G
+EG..G....E.G.#.G...G.G......
+.bXbbXb#.#bXbbbb#.#bXb......
+.bXbbXbb##bXbbbbX##bXb......
+.bXbbXbbX#bXbbbbXb#bXb......
+.bXb..bbX#bXb..bXb#bXb......
+.bXb..bbX#bXb..bXb#bXb......
+.bXb..bbX#bXb..bXb#bXb......
+.bXb..bbX#bXb..bXb#bXb......
+.bXb.GbbX#bXb.GbXb#bXb......
+.bXbXbbbX#bXbXbbXb#bXbbbXbb.
+.bXbXbbb.#bXbXbbX.#bXbbbXbb.
+.bXbXbb..#bXbXbb..#bXbbbXbb.
+.........#...M....#.........
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 134, data: `GE.....bbbbbbbbbbbbbbbbbbbbb
+bb#....bbbbbbbbbbbbbbbbbbbbb
+#bbbb#....bbbbbbbbbbbbbbbbbb
+#bbbbbbb#.E..bbbbbbbbbbbbbbb
+#bbbbb.bbbb#....bbbbbbbbbbbb
+#bbbbb.bbbbbbb#....bbbbbbbbb
+#bbbbb.bbbbbbbbbb#.E..bbbbbb
+#bbbb.G.bbbbbbbbbbbb#....bbb
+#bbbbbbb.G.bbbbbbbbbbbb#....
+#bbbbb.bbbb.G.bbbbbbbbbbbbb#
+#bbbbb.bbbbbbb.G.bbbbbbbbbb#
+#bbbbb.bbbbbbbbb#.G.bbbbbbb#
+#bbbbb.bbbbbbbbb#bbb.bbbbbb#
+#G...G...G...G.b#bbb.bbbbbb#
+bbbbbbbbbbbbbb..#bbb......M#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 135, data: `.......S....................
+.......S....................
+.......S...#BBBBBBBBBBBBBBBB
+bb##bbb#bbb#.....E...-------
+bGb#b.b#b.b#bbbbbbbbbbbb..G.
+b.b#bGb#bGb####G####G###bbb#
+bX##bbb#b.b##BBBB##BBB##...#
+#############B..G##B..##bb#G
+##....#.bb.##B.-B##B.G##b.#b
+##.bbb#.bGb##BBBB##BBB##b#.b
+##.bG.#..bb##----.######b#..
+##.bb.#.b.b#..G...#####bbbb#
+##....#Mbb.#bbbbbbb..G#bbbG#
+#######BBBB#b#####B.bb#bbb.#
+#.....G..BB#b#.#.#B.bb#.bb#b
+bbbbb#...E..b#.#G#B..G#b.E#b` },
+  { variant: 'classic', num: 136, data: `.....................EEE....
+..................GGGGGGS...
+...........GGGGGGSbbbbbbb...
+....GGGGGGSBBBBBBB..........
+...Sbbbbbbb.................
+...SS.......................
+....S.......................
+GGGGS.......................
+bbbb#.......................
+bbbbbbbbbb#.................
+bbbbbbbbbbbbbbb#............
+bbbbbbbbbbbbbbbbbbb#........
+bbbbbbbbbbbbbbbbbbbbbb#.....
+bbbbbbbbbbbbbbbbbbbbbbbb#...
+bbbbbbbbbbbbbbbbbbbbbbbbb#..
+bbbbbbbbbbbbbbbbbbbbbbbbb#M.` },
+  { variant: 'classic', num: 137, data: `S...........................
+S...G...G...GE.EG...G...G...
+bbbbbbbbbbbbbbSbbbbbbbbbbbbb
+..............#.............
+.............b#b............
+.............G#G............
+...E........bb#bb.......E...
+...#........G.#.G.......#...
+..b#b......bbb#bbb.....b#b..
+..G#G......G..#..G.....G#G..
+.bb#bb....bbbb#bbbb...bb#bb.
+.G.#.G....G...#...G...G.#.G.
+bbb#bbb..bbbbb#bbbbb.bbb#bbb
+G..#..G..G....#....G.G..#..G
+...#..........#.M.......#...
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 138, data: `.............S..............
+.............S..............
+..........E..S..G---........
+.--------#BBBBbXbb..#.......
+#........#.......G..#.......
+#......bbbbbbBBBbbbbbbb.....
+#......bG.b...b...b...b.....
+#.E.GG.b..b..Gb.GGb.GGb.G...
+#bbbbbbb..bbbbbbbbbbbbbbbbb.
+#b..b.bbbbb.....b...........
+#b.Gb.G..b...#G.b.M......G..
+#bbbbbbbbbbbB#BbbbbbbbXbbbbb
+#............#..........---.
+#............#.........#..G.
+#........G...#.........#.bbb
+bbbbbbbbbbbbb#....G.E..#..G.` },
+  { variant: 'classic', num: 139, data: `S...............S..Bbbbb....
+SbbbbbbbbbbbbbbbS..B.G#b.G..
+S-----------#..b#--Bbb#b.BBB
+G#bBb.....G.#--b#...G.#b...#
+B#...bb.....#..b#..Bbb#b..G#
+B#bb..Gb...M#..b#.GBE.#b#--#
+##.Gbbbbbbbb#..b#..Bb#bb#..#
+#..bbb.....B#..b#....#..#.G.
+#...bb....GB#..bb#...#..#bbb
+##...bbbbbbB#E..bbb#.#..#...
+B#bbb------Bbb#...bbb##.#bb#
+b#....E.......bB#...bb#b...#
+b#bbbbbbb#......bB#...#b...#
+b#bbGbbbb#bbbbb#bbbBB##bbb.#
+b#bbbbbGb#bbbbb#G..G.##bG..#
+b#bbbbbbbbbbbbbbbbbbb#bbbbb#` },
+  { variant: 'classic', num: 140, data: `............................
+..........SSSSSSSS..........
+..........#bbbbbb#..........
+........E.#b.E..b#.E........
+..........#b..G.b#..........
+.....#bbbbbbbbbbbbbbbb#.....
+.....#b....b....b....b#.....
+.....#b....b....b....b#.....
+.....#b....b....b....b#.....
+.....#b..G.bE.G.b..G.b#.....
+#bbbbbbbbbbbbbXbbbbbbbbbbbb#
+#b....b....b....b....b....b#
+#b....b....b....b....b....b#
+#b..G.b..G.b..G.b..G.b..G.b#
+#b#bb#b#bb#b#bb#b#bb#b#bb#b#
+#.#bb#.#bb#M#bb#E#bb#.#bb#.#` },
+  { variant: 'classic', num: 141, data: `----------........----------
+#.........bbbbbbbb.........#
+#.......bbbbbbbbbbbb.......#
+#...E..bbbbbbbbbbbbbb..E...#
+#.BBBBbbbbbbbbbbbbbbbbBBBB.#
+#........bbbbbbbbbb........#
+#.B#........bbbb........#B.#
+BBB#....................#BBB
+...#..G..G..G..G..G..G..#...
+...#....................#...
+...#........bbbb........#...
+...#.....bbbXXXXbbb..M..#...
+...#..bbbXXXXXXXXXXbbb..#...
+...#...XXXXXXXXXXXXXX...#...
+...#....XXXXXXXXXXXX....#...
+...#......XXXXXXXX......#...` },
+  { variant: 'classic', num: 142, data: `-----------.................
+...........#.....b...-.-....
+..G..G..G.E#----.bbbb.#.bbbb
+bbbbbbbbbbb.....#bbbb.#.Xbbb
+GG.......GG.----#bbbb.#.Xbbb
+bbG.....Gbb#.....b.bb.#.XGGb
+bbbG...Gbbb#----.b.bb.#.Xbbb
+bbbbG.Gbbbb.....#b.bb.#.XGGb
+bbbbbGbbbbb..E..#b.bb.#.Xbbb
+bbbbbbbbbbb#bbbbbbGGb.#.XGGb
+...........#.....bbbb.#.Xbbb
+bSb....M...#.........E#.XGGb
+bSbbbbbbbbbbb#bbbbbbbbbbXbbb
+bS....bbbGbbb#bbbbbG........
+bS....bbbbGbb#bbG.Gbb#.....G
+bSG..Gbbbbb..#..bbbbbbbbbbbb` },
+  { variant: 'classic', num: 143, data: `bbbbbbbbSbbbbbbbbbbbbbbbbbbb
+M.B..BBBS...B#.b...#-------.
+b#...#.B#BB.B#Gb#BB#........
+G#BBb#.B#BB..#..#.........G.
+bb#..#.B#..bbb#B#-----......
+GB#bbBGB#bb---#B#.......bbbb
+..#....B#B.GB.#Bbb...G......
+.E#..G.B#Bbbbb#B.#.......E..
+BBbb#b.B#B....#--#BBBBBBBBBB
+#..B#b..#Bbbbbbb.#...B-----B
+#b..#bbb#B.GbG..bbb#.B.#...B
+#B.#BB.B#B..b......#...#...B
+#B.#B.GB#...bbbbbbbbbbb#B..B
+#.bbb.BB#Bbbb..........#...B
+#....E..#BG.B#.G....G..#...B
+bbbbbbbbbBbbG#BBbbbbBBB#..GB` },
+  { variant: 'classic', num: 144, data: `............................
+.....---S......---....-...--
+#...#..-bBBBBBB...bbbb.BB#..
+#G..#G..b...BG...........#.G
+bb#-BB#.B#..BBbB.XXXXbb.#bXb
+.G#.EG#.B#..BG..........#...
+#bb-#BB.B##.BBb#.X....X.#...
+#G..#G..B.##..B#..bGGb..#...
+bb#-BB#.B..##.B#...bb#--#.G.
+EG#..G#.B...##B#.....#..bbXb
+#bb-#BB.B....#B#..E..#......
+#G..#GE.B.....B#BBBBBBBB#.G.
+bb#-BB#.B.....B#b..G.G.b#bXb
+.G#..G#.B.....B#b#bBbBbb#...
+#bb-BBB.BEGG#b.#b#.G.G..#...
+#.M.....bbbbbbBBbbBbBbBbBbBb` },
+  { variant: 'classic', num: 145, data: `......E...S.......S...E.....
+...........S.....S..........
+............S...S...........
+..........Gbbb#bbbG.........
+..........bGbG#GbGb.........
+..G......bG#.#b#.#Gb....G.G.
+..bb#b#bbbbbb#.#bbbbbb#b#bb.
+.Gb.#b#......###......#b#Gb.
+.b.##b#################b##.b
+.b#EG.b#######b#######b.GE#b
+..bbb#.b#.G..#.#..G.#b.#bbb.
+...Gbb#bbbbbbb#bbbbbbb#bbG..
+...bb.#.....G.#.G.....#.bb..
+...b.#bb######b######bb#.b..
+.G..#bbb###b#####b###bbb#MG.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 146, data: `b....-.....M....-....b.G....
+bbbb#.bbbbbbbbbb.#bbbb.bbbb#
+bbbb#.b..bbbbb.b.#bbbb...G.#
+bGbb#.b.bbbbb..b.#bbGb.#bbbb
+bbbb#.b..bbbbb.b.#bbbb.#G...
+bbGb#.b.bbbbb..b.#bGbb.bbbb#
+bbbb#.b..bbbbb.b.#bbbb....G#
+bGbb#.b.bbbbb..b.#bbbb.#bbbb
+bbbb#.b..bbbbb.b.#.bbb.#.G..
+bbGb#.b.bbbbb..b.#bbbb.bbbb#
+bbbb#.b...bbbb.b.#bGbb..G..#
+bGbb#.bGbbbbbGGb.#bbbb.#bbbb
+bbbb#.bbbbbbbbbb.#bbG..#..G.
+bbGb#.bbbbbbbbbb.#bbbb.bbbb#
+bbbb#..E.....E...#bbbb..E..#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 147, data: `................S...........
+.E-.........-M..S.....-.....
+.#.#.......#.#..S....#.#...#
+#..##.....#...#.S...#...#..#
+.bG#.#...#.bGb.#S..#.bGb.#-#
+.bb#..---#Ebbb.#---#Eb#b...#
+Bbb#bbXbbBbbBbbBbbXbbB#bXbb#
+b..#..X..b..Gbbb..Gb.b#.X..#
+b--#--X--b.#b----#----#-b--#
+b..#..X..b.#b..b.#X#.bE.G..#
+bXB#bBbXBbb#bbBbbBX#BbbBbXb#
+.Xbbbb...bb#bb...bX#bb...Xb#
+...#---.--b#b--.--X#b--.--b#
+..b#b..G..b#b..G..b#...G..b#
+.Gb#b..B..b#b..B..b#b..B..b#
+bX.#.XbBbb.#.bbBbb.#.bbBbX.#` },
+  { variant: 'classic', num: 148, data: `............................
+..........EE.SS.EE..........
+.........GGGSbbSGGG.........
+...GGGGGSBBBBBBBBBBSGGGGG...
+..Sbbbbbb..........bbbbbbS..
+..SSS..................SSS..
+....S..................S....
+....S..................S....
+....S..................S....
+....S..................S....
+....S..................S....
+....S..................S....
+....S..................S....
+....S..................S....
+....S..........M.......S....
+BbbbbbbBbbbbbBBbbbbbBbbbbbbB` },
+  { variant: 'classic', num: 149, data: `............................
+.........#bb....bb#.........
+........#bb......bb#........
+.......#bb........bb#.......
+......#bbG..E.....Gbb#......
+..G--#bbbbbbbbbbbbbbbb#--GE.
+.#b#...bbG........Gbb...#b#.
+.##b#...bb.G....G.bb...#b##.
+.G##b#E..bbbb..bbbb...#b##G.
+..G##b#...bbb..bbb...#b##G..
+...G##b#...bbGMbb...#b##G...
+....G##b#...bbbb...#b##G....
+.....G##b#...##...#b##G.....
+......G##b#..##..#b##G......
+G..E...G#bb#.##.#bb#G...E..G
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'classic', num: 150, data: `.----........EM........----.
+#....bb#G..........G#bb....#
+#....bb#G..........G#bb....#
+#.....bb#G........G#bb.....#
+#G.G..bb#G........G#bb..G.G#
+#bbbb#.bb#G......G#bb.#bbbb#
+#G..G#.bb#G......G#bb.#G..G#
+#bbbbb#.bb#G....G#bb.#bbbbb#
+#GE.EG#.bb#G....G#bb.#GE.EG#
+#bbbbbb#.bb#G..G#bb.#bbbbbb#
+#G....G#.bb#G..G#bb.#G....G#
+#bbbbbbb#.bb#GG#bb.#bbbbbbb#
+#G.....G#.bbbbbbbb.#G.....G#
+#bbbbbbbb#.bbbXbb.#bbbbbbbb#
+#G......G#.GGbXGG.#G......G#
+bbbbbbbbbbbbbBBbbSbbbbbbbbbb` },
+  { variant: 'professional', num: 1, data: `E.............M............E
+bSbbbbbbbbbbb..bbbbbbbbbbbSb
+############################
+G##...###....##...###....##G
+G##.#..##.##.##.#..##.##.##G
+G##.##.##.##.##.##.##.##.##G
+G##.#..##.##.##.#..##.##.##G
+G##...###....##...###....##G
+G##########################G
+G##########################G
+G##....##....##....#.....##G
+G##.#####.##.##.######.####G
+G##....##.##.##...####.####G
+G#####.##.##.##.######.####G
+G##....##....##.######.####G
+############################` },
+  { variant: 'professional', num: 2, data: `...........SSSSSSS..........
+.........SSSS...............
+........SSSS................
+#------.#...........M.......
+#......b#.....#Bbbbbbbbbbb..
+#......b#.....#Bbbbbbbbbb...
+#......b#....#BBbb....bb....
+#......bb.E.#BBbbG....Gb....
+#....BBbbBBBXBbbb......b....
+#...Bb#########bbbbbbbbb....
+#...BbG.......Gbbbbbbbbb....
+#...BbXbbbbbbbbbbbbbbbbbG...
+#.EBBbXbbbbbbbbbbbGGGGGbbbX.
+#.BBBBGGGBGGGBBBBB.GGG.BBG..
+#......G...G........G......E
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 3, data: `SBBBBBBBBBBBBBBBBBBBBBBBBBBB
+S.G....BBBBB.-..B..---....BB
+bbbb#bG..-..-E#.B.#...#BBGGG
+BBBB#bb#BGB#..#...#...#BBbbb
+BBB.#GG#BGB#..#-.-#....BBbbb
+BB.-BbbBBGB.-E..#......B.BbX
+B.-.B...BGB#.bbbb.....-..G..
+.-.BBBb#BGBG#.....b#bb.B.B#.
+G.B...b#BGB#G.GGGGG#GGBB.G#.
+b.B...b#BGBG#.b#bbbbbbBB#B..
+.-B...b#BGB#G.G#..G..GBB#G..
+bbB...b#BGBG#.bbbbbb#bBB.B#.
+#B...Gb#BGB#G.G...G.#.BB.G#.
+#bbbbbb#BGBG#.bbbbb.#.B.#B..
+#......#...#.M.....#bbbbbbb#
+bBbBbBbBbBbBbBbBbBb#GGGGGGX.` },
+  { variant: 'professional', num: 4, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBBS
+G.B..EEG.G..M...G.GEE..B.G.S
+B#BBBBBB.BBBBBBBB.BBBBBB#BBG
+.#......................#.BG
+G#.....G.G......G.G.....#GBG
+bbbbbb#b.bbbbbb#b.bbbbbb#bBG
+G.....#G.G.....#G.G.....#GBG
+b#bbbbbb.b#bbbbbb.b#bbbbbbBG
+G#.....G.G#.....G.G#.....GBG
+bbbbbb#b.bbbbbb#b.bbbbbb#bBG
+G.....#G.G.....#G.G.....#GBG
+b#bbbbbb.b#bbbbbb.b#bbbbbbBG
+G#.....G.G#.....G.G#.....GBG
+bbbbbb#b.bbbbbbbb.bbbbbb#bBG
+......#.................#...
+bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
+  { variant: 'professional', num: 5, data: `............................
+G...........ESE............G
+bBbB#BbBbBbBbBbBbBbBbBb#bBbB
+....#G.......G........G#....
+bbbbbbb#bbbbbbb#bbbbbbbbbbb#
+G.B.G.B#.G....B#.G.........#
+bBbbBbbBbbBbbBbbBbb#bbBbbBbb
+.G...B.G...BG......#...B...G
+BbBB#BBbBBbBBbBB#BBbBB#BBbBB
+G..B#....B.G.BGB#....B#.....
+bBbBbB#BbBbBbB#BbBbB#BbBbBb#
+G.....#...B..M#..B..#B..G..#
+bbbbbbbbb#bbbbbbbb#bbbbbbbbb
+.........#........#.........
+.........#........#.........
+GGGG#bbBbbBbbBbbBbbBbbB#GGGG` },
+  { variant: 'professional', num: 6, data: `...-....-....-....-....-....
+#BBEBBBBEBBBBMBBBBEBBBBEBBB#
+#..........................#
+#..---------------------...#
+#..........................#
+#..............G...........#
+#...............G..........#
+#......bbbbbbbbbbb.........#
+#.....b.....b.....-........#
+#....b......b.....G-.......#
+#...b.---------------bbb...#
+#..bb...bbbbbbbbbb...bbbbG.#
+#.bbb.G.bbbbbbbbbb.G.bbbbb.#
+#....GGG..........GGG......#
+#.....G............G.......#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 7, data: `.............S..............
+.............S..............
+.E.G---------S----------G.E.
+#bbb.....GGG.S.GGG......bbb#
+#.G.....GbbbGSGbbbG......G.#
+#bb....GX...bGb...XG.....bb#
+#.G....b.....X.....b.....G.#
+#bb....bG.........Gb.....bb#
+#..G....bG.......Gb.....G..#
+#bbb.....bG.....Gb......bbb#
+#...G.....bG...Gb......G...#
+#bbbb......bG.Gb.......bbbb#
+#....G......bGb.......G....#
+#bbbbb.......X........bbbbb#
+#E...........M............E#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 8, data: `...........................S
+.-------------------------.S
+#..G.......G.......G......bG
+#.bbb..-..bbb..-..bbb..-..bb
+#.....-.#.....-.#.....-.#...
+#....E..#....E..#....E..#...
+bbbbbb..bbbbbb..bbbbbb..bbb#
+G......................#...#
+bbbb.......#bbbbbbbbbb#.bbbb
+G...bb#.--.#...........##...
+#bb...#BGGB.bbbbb#bbbbbb.#..
+#..bbbbbbbb.bbbbb#........#.
+#...........bbGbb#...M...#..
+bbbbbbb#bbbbbbbbb#bbbbbbb...
+.......#......---#bGGGGG#bb.
+G#bbbbbbbbbbb#GGG#Gbbbbbbb#G` },
+  { variant: 'professional', num: 9, data: `.............##----#####bbbb
+............#bb#---#GG.#bbbb
+...........#bbbb#...##G#.#.#
+..........#bbbbbb#....##G#G#
+..........#bbbbbb#.....#####
+..........#bBbBbB#.....#.#.#
+..........#GBbBbG#.....#.#.#
+..........#bBbBbB#.....#G#G#
+G---------#bBbBbB#.....#####
+#G........#GBbBbG#.....#.#.#
+b#G.......#bBbBbB#.....#.#.#
+bb#G......#bBbBbB#.....#G#G#
+bbb#G.....#GbbbbG#.....#####
+bbbb#G....#bbbbbb#.....#.#.#
+bbbbb#G..#Bb.bB.bB#...M#G#G#
+bbbbbb#.E#Bb.bB.bB#E.#bbbbbb` },
+  { variant: 'professional', num: 10, data: `bbbbbSbbbbbbbbbbbbbbbbbbbbbb
+....bSb.------.b.----------.
+SbbS.Sb.bbbbbbSb.B..G...G..#
+S.bbbbb.b....bSb.B.bbb.bbb.#
+bS.....-bSbbS.Sb.B..G...G..#
+bbbbbbb.bS.bbbbb.B.bbb.bbb.#
+E.....G.bbS.G...-B.EG...GE.#
+#bbbbbb.bbbbbbbb.B.bbb.bbb.#
+#--------------------------#
+#.G#.G#.G#..B#########B.-G.#
+#.#G.#G.#G..B##BBBBB##B.G-.#
+#.G#.G#.G#..B#########B.-G.#
+#.#G.#G.#G.......G......G-.#
+#.G#.G#.G#...BbBbBbBbB..-G.#
+#.#G.#G.#G.M-....-....-..-.#
+bbbbbbbbbbb#G#bb#G#bb#G#bbbb` },
+  { variant: 'professional', num: 11, data: `S...........................
+S...........................
+SbBBbbbbbbbbbbbbB#EE.G......
+SXBB.----------.Bbbbbbbbbbb#
+S.GB.GGG.......#B.....G....#
+SbBB.GGG.bbbbb.#B#bbbbbbbbbb
+SXBB.GGG.bbGbb.#B#...G......
+S.GB.....bbbbb.#Bbbbbbbbbbb#
+SbBB...........#B.....G....#
+SXBB.----..G..-#B#bbbbbbbbbb
+S.GB#....bBbBb..B#...G......
+SbBB#.--........Bbbbbbbbbbb#
+SXBB#BGGB#..GG..B.....G....#
+S.GB#bbbbb.bbbb.B#bbbbbbbbbb
+SbbB#.........EEB#...G.....M
+SbX.#bbbbbbbbbbb.#bbbbbbbbbb` },
+  { variant: 'professional', num: 12, data: `..........EE................
+Xbbbbbbbbbbbbbbbbbbbbbbbbbb#
+Gb.-.bbbbbbbbbbbbbbbbbbbbbB#
+Gb#bGb.-.bbbbbbbbbbbbbbbbbB#
+Gb#bGb#bGb.-.bbbbbbbbbbbbbB#
+Gb#bGb#bGb#bGb.-.bbbbbbbbbB#
+Gb#bGb#bGb#bGb#bGb.-.bbbbbB#
+Gb#bGb#bGb#bGb#bGb#bGb.-.bB#
+Gb#bGb#bGb#bGb#bGb#bGb#bG.B#
+Gb#bGb#bGb#bGb#bGb#bGb#bb#B#
+Gb#bGb#bGb#bGb#bGb#b..#bb#B#
+Gb#bGb#bGb#bGb#b..#bbbb.##B#
+Gb#bGb#bGb#b..#bbbbBBB.#BBB#
+Gb#bGb#b..#bbbbbbbb...#B#.B#
+Gb#b..#bbbbbbbbbbbbEG...#bB#
+..#bbbbbbbbbbbbbbbbbbbbb#bM#` },
+  { variant: 'professional', num: 13, data: `.............BbE.G..M..B....
+SB...-.......BbbbbXbbXbB....
+SBbbbGB#.G...BBBB.b.BBBB....
+SBGbbbB#.#X#G-....---------G
+SBbbbGB#.#X##.-..........-.#
+SBGbbbB#.#..#..-........-..#
+SBbbbGB#.#-.#...-......-...#
+SBGbbbB#-#..#....--..--....#
+SBbbbbB#....#.....-..-.....#
+S........--.#...G.----...G.#
+#bBbBbB#bGGb#BbBB..--..BBbB#
+#......#BbbB#......--......#
+#E....E#....#......--......#
+XBBBBBBB.GG.#...G..--....G.#
+XGGGGGGB....#......--......#
+bBbBbBb-----#bbbb..--..#bbb#` },
+  { variant: 'professional', num: 14, data: `S...........................
+Sb...........BBBBBBBBBBBBBB.
+Sb..-#.......BBBBbBbBbBBBG#.
+Sb.b-.#........#......E.BB#.
+Sb.b-.#..#...--#bbbbbbb.B##.
+S-Sb-..#B#.XbX.#-.......B#..
+.bSb-...G#.XGX.#.-.....--#..
+.bSG...#B#.XXX.#..-...-M..b.
+.bSb....G#..-..#...-.-....bX
+.BB....#B#XbX..#....-.......
+.......#B#XGX..#.....-......
+...bbX.#B#XXX..#......-.....
+....G..#B#.-...#.......-....
+.#BBBXB#B#-....#............
+.#BBBBB#B#E....#...........G
+.#.....#BbbbbbbbbbbbbbbSbbbb` },
+  { variant: 'professional', num: 15, data: `B..........B.SS.B..........B
+B...G..G...B.SS.B...G..G...B
+BBBBBXXBBBBBS..SBBBBBXXBBBBB
+#------..--..SS..-B..GGGGGGG
+#.GbG...G#.G.SS...B.#BBBBBBB
+#bXbXbbb#..GS..S..B.#GGGGG..
+#GXbXG.....S....S.BBBBBBBB#.
+#b.bXbX..BEG.....MB...GGGG#.
+#bbbXbX..bbbbXbbbbb.##BBBBBB
+#..--#..-#--------##.----..G
+BBB..#.-.#...GG...#......BBB
+.-#..#-..#...GG...#......#-.
+G#...-....#......#....-...#G
+#..BB......#....#....-.BB..#
+#...E.......#..#.......E...#
+#GbbbbbbbbbbbXbbbbbbbbbbbbG#` },
+  { variant: 'professional', num: 16, data: `............................
+S...--.B...B.-............-.
+Sb.b-.#B#B#B#Xbbbbbbbbbbb#.G
+Sb.b-.#G#B#G#X...........#.G
+SbGb-.bbbBbbbXbbbbbbbbbbB#.G
+Sbbb-.G....EEX...........#.G
+Sb.G..#bbbbbbX#BBBBBBBB#B#.G
+Sb.b..#.....GX#B......B#B#.G
+SBXB..bbbbbb#X#BbBBBB#B#B#.G
+S..B..G.....#X#BG...B#B#B#.G
+.BBB..#bbbbbbX#......#B#B#.G
+......#.....GXBBBBBBBBB#B#.G
+.-----bbbbbb#..........#.#.G
+.GGGGG......##BBBBBBBBBBB#.G
+............##M.........E#..
+.bbbbbbbbbbb##bbbbbbbbbbb#bb` },
+  { variant: 'professional', num: 17, data: `.............BB.............
+S........G.BX..XB.G........S
+S......G.Bb..EE..bB.G......S
+S....G.Bb.--------.bB.G....S
+S..G.Bb...G.......#..bB.G..S
+SG.BBbbbXbbbXbbbbb##bbbBB.GS
+SBB-------b..G...b.#b----BBS
+Sb........b.GGG..B#.B.....bS
+Sb.G......#------B.#B...G.bS
+Sb.GG.....#......##.#..GGGbS
+Sb#bbbbbbbbbbbXbbbbbbbbbb#bS
+Sb#.....b-------------b..#bS
+Sb#.....b.............b..#bS
+Sb#.....b.............b..#bS
+S##G....#...G..M..G...#..##S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 18, data: `........S..........S........
+.......GS..........SG.......
+#BBBBBBBB..#B##B#..BBBBBBBB#
+#.........b#B##B#b.........#
+BBBBBBBBBBB#B##B#BBBBBBBBBBB
+G..........#B##B#..........G
+bbbbbbbbbbbbB##Bbbbbbbbbbbbb
+-.-....E....-##-....E....-.-
+G#GBbbbbbbbBG##GBbbbbbbbBG#G
+.#.B..bbb..B.##.B..bbb..B.#.
+.#.B..bbb..B.##.B..bbb..B.#.
+.#.BbbbGbbbB.##.BbbbGbbbB.#.
+.#.B..bbb..B.##.B..bbb..B.#.
+.#.G-#---#-G.##.G-#---#-G.#.
+.#.b.#.G.#.bM##.b.#.G.#.b.#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 19, data: `bG#.Eb#bbb#bG#..b#bbb#bG#.Eb
+bbb#bG#..b#bbb#bG#..b#bbb#bG
+.Gb#bbb#bG#..b#bbb#bG#..b#bb
+#bG#..b#bbb#bG#..b#bbb#bG#..
+#bbb#bG#..b#bbb#bG#..b#bbb#b
+#.Gb#bbb#bG#..b#bbb#bG#..b#b
+b#bG#..b#bbb#bG#..b#bbb#bG#.
+b#bbb#bG#..b#bbb#bG#..b#bbb#
+G#..b#bbb#bG#..b#bbb#bG#..b#
+bb#bG#..b#bbb#bG#..b#bbb#bG#
+Gb#bbb#bG#..b#bbb#bG#..b#bbb
+XG#..b#bbb#bG#..b#bbb#bG#..b
+bbb#bG#..b#bbb#bG#..b#bbb#bG
+.Gb#bbb#bG#..b#bbb#bG#..b#bb
+#bG#..b#bbb#bG#.Mb#bbb#bG#..
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 20, data: `..............S......E......
+-M..----.....S-S.....GSSSSSG
+.bXbbX.Ebbbbb#Sb...b.Sb...b#
+.....X..b...b#Sb...b..b...b#
+.GGG.X..b...b#Sb...b..b-..b#
+.GGG.X..b...b#Sb...b..b.-.b#
+.GGG.X..b...b#SbGGGb..bb.-b#
+.GGG.X..b...b#Sbbbbb..b.b.b#
+.GGG.X..b...b#Sbbbbb..b-Gbb#
+.GGG.X..b...b#Sb.G.b..b.-Gb#
+.-...X..b...b#Sb...b..b..-b#
+G....X..b.GGb#Sb...b..b...b#
+.....X..bEGGb#Sb...b..b...b#
+.bbbbX..bbbbb#Sb...b..b...b#
+.............#S............#
+BBbBBbBb#X#bb#SbbbbbbXbbbbb#` },
+  { variant: 'professional', num: 21, data: `SbEEGGGGGGGGGGGGGGGGGGGGGGGb
+Sbbbbbbbbbbbbbbbbbbbbbbbbb#b
+SbGGGGGGGGGGGGGGGGGGGGGGGG#b
+SbBBBbBbBbBbbbbbbbbbbbbbbb#b
+SbGGGGGGGGGGGGGGGGGGGGGGGG#b
+Sbbbbbbbbbbbbbbbbbbbbbbbbb#b
+SbGGGGGGGGGGGGGGGGGGGGGGGM#b
+Sb#bbbbbbbbbbbbbbbbbbbbbbbbb
+Sb#GGGGGGGGGGGGGGGGGGGGGGGGb
+Sb#bbbbbbbbbbbBbBbBbBbBBBBBb
+Sb#GGGGGGGGGGGGGGGGGGGGGGGGb
+Sb#bbbbbbbbbbbbbbbbbbbbbbbbb
+Sb#GGGGGGGGGGGGGGGGGGGGGGGGb
+Sbbbbbbbbbbbbbbbbbbbbbbbbb#b
+SEEEGGGGGGGGGGGGGGGGGGGGGG#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 22, data: `E.-.#--G--....E------------#
+S#.-#..B..-...#..----------#
+#S..-..B.#.-..#..G..G..G..G.
+S#...-.B.#-.-.#..----------#
+#S.bb.-..#.-.-#-#.........-#
+S#.bb..-.#..-.-.#-----#..#-X
+#S.GG...-#...-.-#..G.G#.G#.G
+S#.....-.G.G.G.G..#---#--#-b
+#S.-..-...........#......#..
+S#.G.-bbbbbbbb#bbbbbbbbbbX--
+#S..-.....G.#.#..G.......-.-
+S#.-....G.#.#-#.bbb....--.-.
+#S.G....#.#-#.G..G...--....#
+S#......#-#.G...bbb--.M....#
+#S......#.G...........BB#bbb
+bbbbbbbbbbbbbbbbbbbb#...#bbG` },
+  { variant: 'professional', num: 24, data: `.......###b-----------------
+......#GGGbSS...SS..#......E
+.....#....bS.S.S....#......B
+....#.....bSS..S.S.B#BG....B
+...#.....GbS.S.SSS.B#BXXXXXB
+..#.....Gb.SS..GGGGB#B.G...B
+.#......bbb#...bbbbB#BXXXXXB
+#.......bbb#...bbM.B#B..G..B
+#.......b.G.#..bbbbB#BXXXXXB
+##......b.b.#...bbGB#B...G.B
+..#.....b.b#...bb.GB#BXXXXXB
+...#....b.b#..bb..GB#B....GB
+....##.Gb.b#.bb...GB#BXXXXXB
+....E#....b#bbGGGGGB#B.....B
+bbbbbbbbbbbbbbbbbbbb#bbbbbXb
+bG.................G#G....GB` },
+  { variant: 'professional', num: 25, data: `M.....G.G......------#.....S
+BBBBBBB.bbbbbbb#GGb..#.....S
+..-----........#..b..#BBBBBB
+.-...b#GG.G...G#GGb..#......
+-G..Gbbbb.bbbbbbbbb.bbbbbbb#
+-bbbbb.GG.G--------#.......#
+-----b.bbbbbG.G.GGG#.......#
+.E...b.bbbbbbbb.#--#.G..b..#
+XbbbbbG.G...b#--#..bbbbbbbb#
+.bbbbbbbbG..b#.............#
+bbbbbbbbb.GGb#b.....G.G....#
+G....G.bb.#b.#b#bbbbb.bbbbb#
+bbbbbbXbb.#bG#b#......E....#
+.G....Gbb.#bbbbbbbbbbbbb#..#
+Xbbbbbbb#G#bbGbG......Gb#..#
+..G....G#bbBbBbBbBbBbBbBbBbB` },
+  { variant: 'professional', num: 26, data: `...........................#
+.....................E.....#
+..#bXb#.....M#bbbbbbbbbbbbbb
+..#...#.....G#..............
+..#...#.....G#..G.G.G.G.....
+..#...#.....G#.G.G.G.G.G....
+..#GG.bbb#..G#..G.G.G.G.....
+..XbbX.E.#..G#..............
+..#GG#...#..G#bbbbbbbbbbXb#.
+..#BB#...#..G#....E.......#.
+..#GG#...#..G#............#.
+..#BB#...#..G#............#.
+.........#..G#............#.
+.-.......#-.G#............#.
+..b..#bbb#.#G#..........G-#.
+Gb#bb#GGb#.XbXS.........b.#.` },
+  { variant: 'professional', num: 27, data: `..-..E--------------#.......
+..BBbb..............#.......
+....................#.......
+.....#---...........#....#..
+.....S......G....---#-...#..
+bX...#......bbBBB...#.Bbb#..
+.#...S......G-......#....#..
+..S..#......G.-.....#....#..
+..G..S......G.---##.#....#..
+.....#......G.#..G..#G...#..
+.....#......G.#..S..#G...#..
+BbbBSbG.....G.#.....#G...#..
+bb..S...M---G-#.....#G...#..
+......B.....XB#.....#G...#..
+------......G.#....G#G...#..
+.............#bBbBXbBB...#..` },
+  { variant: 'professional', num: 28, data: `............E..............M
+SBBBBBBB..BBBBBB..BBBBBB..BB
+SB.G.......--...............
+SB.BBBB#.--Bbbb#bb#bb#bb#bb#
+SBG....#-..BE..#.G#.G#.G#.G#
+SBB..--....Bbbb#bbbbbbbb#bb#
+S..--......BE..#.G..G..G#.G#
+S--........B#bbbbbbbbbbbbbb#
+SGB#bG...Gb.#..G....bbbbbb.#
+B#B#bb...bb.bbbbbb#.bbbbb.##
+#XB#bbbXbbb....G..#.bbbb.##b
+X#B#bb...bb.#bbbbbb.GGb.##bb
+#XB#b.....b.#.......bb.##bbb
+X#B#bXbbbXbbbbbbbbbbb.##bbbb
+#XB#.................##bbbbb
+X#.#bbbbbbbbbbbbbb#G##bbbbbb` },
+  { variant: 'professional', num: 29, data: `............................
+.......E.bbb#...............
+......Gbbbbbbb#.............
+.....Gbb....bbb#............
+.....bb......bbbbbb#........
+.....bb......bbbbb##........
+.....bb...........#.........
+.....bb..........E#.........
+.....bb......bbbbb#.........
+.....bb......bbbbbb#........
+......bbG..Gbbb....#........
+.......bbbbbbb.....#........
+........bbbb.......#........
+...................#........
+M..................#.......E
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 30, data: `.G.#b#.G.#b#.G.#b#.G.#b#.G.#
+b#bb.bb#bb.bb#bb.bb#bb.bb#bb
+.#.b.b.#.b.b.#.b.b.#.b.b.#.b
+#b#.G.#b#.G.#b#.G.#b#.G.#b#G
+b.bb#bb.bb#bbMbb#bb.bb#bb.bb
+b.b.#.b.b.#.b.b.#.b.b.#.b.b.
+.G.#b#.G.#b#.G.#b#.G.#b#.G.#
+b#bb.bb#bb.bb#bb.bb#bb.bb#bb
+.#.b.b.#.b.b.#.b.b.#.b.b.#.b
+#b#.G.#b#.G.#b#.G.#b#.G.#b#G
+b.bb#bb.bb#bb.bb#bb.bb#bb.bb
+b.b.#.b.b.#.b.b.#.b.b.#.b.b.
+EG.#b#.G.#b#.G.#b#.G.#b#.GE#
+b#bb.bb#bb.bb#bb.bb#bb.bb#bb
+.#.b.b.#.b.b.#.b.b.#.b.b.#.b
+#b#.G.#b#.G.#b#.G.#b#.G.#b#G` },
+  { variant: 'professional', num: 31, data: `EE....M....EE---------------
+#bbbbbbbbbbb#..............G
+#bG.......Gb#Gbbbbbbbbbbb#b#
+#bbbbbbbbbbb#BBBBBBBBBBBBX#X
+#-----------#.Gb.G..b.G.b#XG
+#XXXXXXXXXXX#b#b#b##b#b#bXb#
+#...........#b#G#b##G#b#...#
+#bbbbb#bbbbb#bbbbb#bb#bb#b#b
+#..B#B#B#G.B#.....#Gb#..#b#G
+#B#B#B#G#B#B#bb#bbbbbbbbbb#b
+#B#G#B#B#B#G#..#.Gb.......#.
+#B#B#G#B#B#B#bbbbbb#bbbbbb#b
+#G#B#B#B#B#B#..b...#.GbG..#.
+#B#B#B#B#B#B#bbb#bbbbbbbbb#b
+#G#.#.#.#.#G#...#.........#.
+#b#b#b#b#b#b#BbBbBbBbBbBbBbB` },
+  { variant: 'professional', num: 32, data: `...S...........E...........E
+...S....G.............GGG---
+SSSSSSS.bbbb#B.-.#B.-#BBBBB.
+S.....S.....#BB#BBBBXBBBB---
+b#bbb#bb#.#b#..#G..G..G.B.BB
+E....#..bbbbbbbbb#-b#-b#B--B
+bb#.#bb..........------#GG.E
+..#-#..#BbBbBbBbB......bbbb#
+bbB.Bbb#....GMG...bbbb#bbbb#
+bbB.Bbb#BbBbB#BbBb.---#....#
+GGB.BGG#.....#....#...bbbb#b
+bbbbbbb##bbbbbbbbb#bG.....#.
+---....##....---..#.b..#bbbb
+...#bbbbbbbb#...bbb#.b.#...E
+...#...GG...#...Gbbb#.bbb#bG
+G..#bbbbbbbb#...bbbbb#.G.#bG` },
+  { variant: 'professional', num: 33, data: `...........SS...............
+.....--....SS...............
+....#..-.BBSSBB.............
+...#....b..SS..b.........-#-
+..#.....bbbbbbbb...-....-.#.
+.#.G....bbbBBbbb..#.-..G.#..
+.#....G.bBbBBbBb..#..-...#..
+..#.....b.GBBG.b...#..-.#...
+...#....bBbbbbBb...#...-#..G
+....#...............#......E
+....#....------.....#....#bb
+...#....#B....B#.....#..#bbB
+..#.G...#BBBBBB#.....#.#bb.G
+.#......#......#....#bbbbbbb
+E#.....E#G.M..G#E...#......G
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 34, data: `.......................S....
+BG...E..................S...
+BbBBBBBBBBBBBBBB#--.....S...
+.............GB.#..--....S..
+.BBBBBBBBBBBBbB.#....--..S..
+#.BG............#......--.S.
+#.BbBBBBBBBBBB..#........-SG
+#..........GB.#.#.........Bb
+#..BBBBBBBBbB.#.#........#B.
+#.#.BG........#.#.......#B.G
+#.#.BbBBBBBB..#.#......#B.bB
+#.#......GB.#.#.#.....#B.bbB
+#.#..BBBBbB.#.#.#....#BBBb.B
+#.#.#.BG....#.#.#...#BBBBbBB
+#.#.#.BbBB..#.#.#...#....E.G
+bbbbb#E..M#bbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 35, data: `EbbbbbbbbbbbbbbbbbbbbbbbbbbE
+Sb#---###---#..#---###---#bS
+Sb#.##.....##bb##.....##.#bS
+Sb##.....##.#bb#.##.....##bS
+Sb#...###...#bb#...###...#bS
+Sb#..#.....##bb##.....#..#bS
+Sb#.#....##.#bb#.##....#.#bS
+Sb#b#bbbb#bbbGGbbb#bbbb#b#bS
+Sb#b#bbbb#bbbGGbbb#bbbb#b#bS
+S.#.#----##E#bb#E##----#.#.S
+Sb#..#.....##bb##.....#..#bS
+Sb#...###...#bb#...###...#bS
+Sb##.....##.#bb#.##.....##bS
+Sb#.##.....##bb##.....##.#bS
+SbG...###...#.M#...###...GbS
+SbbbbbbbbbbbbbbbbbbbbbbbbbbS` },
+  { variant: 'professional', num: 36, data: `bbbbbbbbbbSbbbbbbbbbbbbbbbbb
+b##G###G#####G###G##bBG##GBb
+b###################b#B##B#b
+b#bbb#bbb#X#bbb#bbb#b######b
+b#E#-#--b#X#b#-#--E#b#B##B#b
+bbX#XbX#b#X#b#XbX#XbbB####Bb
+b#.#---##GXG###--#.#b##GG##b
+b#bbXX#bbXbXbb#XXbb#b##Xb##b
+b#----#bG...Gb#----#b#bbGb#b
+b#XXXX#bbbXbbb#XXXX#b##bX##b
+b#b.--#-------#--.b#b##GG##b
+b#b#bb#bbXXXbb#bb#b#bB####Bb
+b#.#--#---X---#--#.#b#B##B#b
+b#b#b#bbX#b#Xbb#b#b#b######b
+b#.#b#...#M#G..#b#.#.#B##B#b
+bbbbbbbbbbbbbbbbbbbbbBG##GBb` },
+  { variant: 'professional', num: 37, data: `#........................M.b
+#bbbbbbbbbbbbbbbbbbbbbbbbbGb
+#bb.bb.bb.bb.bb.bb.bb.bb.bb.
+#.bb.bb.bb.bb.bb.bb.bb.bb.b.
+#b.bb.bb.bb.bb.bb.bb.bb.bbGE
+#bb.bb.bb.bb.bb.bb.bb.bb.bbG
+#.bb.bb.bb.bb.bb.bb.bb.bb.b.
+#b.bb.bb.bb.bb.bb.bb.bb.bbG.
+#bb.bb.bb.bb.bb.bb.bb.bb.bb.
+#.bb.bb.bb.bb.bb.bb.bb.bb.b.
+#b.bb.bb.bb.bb.bb.bb.bb.bbGE
+#bb.bb.bb.bb.bb.bb.bb.bb.bbG
+#GbbGbbGbbGbbGbbGbbGbbGbbGb.
+#b.bb.bb.bb.bb.bb.bb.bb.bb..
+#...........................
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 38, data: `----------------------------
+#.G.....GG.G.....GG.G.....GG
+#.bbbbbbb..bbbbbbb..bbbbbbb.
+#.bbbbbbb..bbbbbbbG.bbbbbbbG
+#.bb...bb..bb.......bb......
+#.bb...bbG.bb.......bb......
+#Ebb.......bb...E...bbG....G
+#.bb..G..G.bb.......bbbbbbb.
+#.bb..bbb..bb.......bbbbbbb.
+#.bb..bbb..bb............bb.
+#.bb...bb..bb............bb.
+#.bbG.Gbb..bbG....G.....Gbb.
+#.bbbbbbb..bbbbbbbG.bbbbbbb.
+#.bbbbbbbG.bbbbbbb..bbbbbbbG
+#............M.............E
+#bbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 39, data: `..........................S.
+E..............E.GbG...GbGSE
+bbbbbbbbb#bbb#bb#bbb#bbbbbb#
+bbbbbbbbb#b..#.b#...#.b....#
+b.bbbbbbb#Gbbbb.b#bbbGbbbbbb
+b.bGGbbbb#bb..bG.#.........G
+G.bbbbbbb#bbb..bbbb#bbbbbbbb
+bbbbbbbbb#b---.....#.......G
+.........#..#bbbbbbbb..BBBBB
+bbbbbbbbbB#.#bbbbbbbbb.--..G
+#bbbbG.bbB#.#..M....##b..###
+#bbbbbbG.BBBBbbbbb#bX##b..#G
+#....GbbbG...BBBBB#bXb##b.##
+#bbbbbbbbbb#bGb...#bXbb##bG#
+#...G...Eb.#bbb#B.#bXbbb##b.
+bbbbbbbbb..#G..#BB#.....G##G` },
+  { variant: 'professional', num: 40, data: `............................
+......S..............S......
+.#b-#XSBBBB#BbbB#BBBBSX#-b#.
+.#....S....#....#....S....#.
+.#...bbb...#....#...bbb...#.
+#--..G.G..-#.EE.#-..G.G..--#
+#..bXb.bbb.bbbbbb.bbb.bXb..#
+#.b.......#..EE..#.......b.#
+#..bG..G#b#--bb--#b#G..Gb..#
+.#..b.#b#....bb....#b#.b..#.
+..#..b#....bbGGbb....#b..#..
+.#..Gb#G---bbGGbb---G#bG..#.
+#.-.b.#b#....bb....#b#.b.-.#
+#b.b....#b#..bb..#b#....b.b#
+#.........#--.M--#.........#
+#.#bbbbbbb.bbbbbb.bbbbbbb#.#` },
+  { variant: 'professional', num: 41, data: `.............SS.............
+...E.E.......SS.......E.E...
+G.#bbb#.G....SS....G.#bbb#.G
+Bbbb.bbbB#bbbbbbbb#Bbbb.bbbB
+BbGbbbGbB#..b..b..#BbGbbbGbB
+Bbbb.bbbBbb#bGGb#bbBbbb.bbbB
+B..bbb..B..#.bb.#..B..bbb..B
+Bbbb.bbbB#bbbbbbbb#Bbbb.bbbB
+BbGbbbGbB#........#BbGbbbGbB
+Bbbb.bbbB#...M....#Bbbb.bbbB
+B..bbb..Bbbbb##bbbbB..bbb..B
+Bbbb.bbbBG...##...GBbbb.bbbB
+BbGbbbGbBBBB#BB#BBBBbGbbbGbB
+Bbbb.bbbB...#..#...Bbbb.bbbB
+BbBbBbBbB#B.#..#.B#BbBbBbBbB
+....G....#bbbbbbbb#....G....` },
+  { variant: 'professional', num: 42, data: `b.bbbbbbbbbbbbbbbbbbbbbbbbbb
+bS-------------------------b
+b#bbbbbbbbbbbbbbbbbbbbbbbb.b
+b#b.---------------------b.b
+b#bb#bbbbbbbbbbbbbbbbbbb.b.b
+b#bb#b-----------------b.b.b
+b#bb#b#bbbbbbbbbbbbbbb.b.b.b
+b#bb#b#b.............b.b.b.b
+b#bb#b#b#BG.......E.Gb.b.b.b
+b#bb#b#b#bbbbbbbbbbbbb.b.b.b
+b#bb#b#b#E............Gb.b.b
+b#bb#b#bbbbbbbbbbbbbbbbb.b.b
+b#bb#b#E................Gb.b
+b#bb#bbbbbbbbbbbbbbbbbbbbb.b
+b#bb#E....................Gb
+b#Mbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 43, data: `b............SS............b
+b------------SS------------b
+bb...........##...........bb
+bBb.---------##---------.bBb
+bG.b.........##.........b.Gb
+bBBBb.-------##-------.bBBBb
+bG...b.......##.......b...Gb
+bBBBBBb.-----##-----.bBBBBBb
+bG.....b.....##.....b.....Gb
+bBBBBBBBb.---##---.bBBBBBBBb
+bG.......b...##...b.......Gb
+bBBBBBBBBBb.-##-.bBBBBBBBBBb
+bG.........b.##.b.........Gb
+bBBBBBBBBBBBb##bBBBBBBBBBBBb
+bGM..........##..........EGb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 44, data: `SM........................ES
+S..........................S
+#--------------------------#
+.#........................#.
+.b#....BGGB.....BGGB.....#b.
+.b.#...bbbb.....bbbb....#.b.
+.b.b#......BG.GB.......#b.b.
+.b.bG#...B.bbbbb..B...#Gb.b.
+.b.b..#..B........B..#..b.b.
+.bGBBB.#.BG......GB.#.BBBGb.
+.b....b.#.bbbbbbbb.#.b....b.
+GBBBBBBB.#........#.BBBBBBBG
+........b.#......#.b........
+BBBBBBBBBBB#....#BBBBBBBBBBB
+GE..........#..#..........EG
+bbbbbbbbbbbbb##bbbbbbbbbbbbb` },
+  { variant: 'professional', num: 45, data: `#-------------------------#S
+#M........................#S
+#BbbGbbBbbGbbBbbGbbBbbGbbB#S
+#bBbbbbbGbbbbbGbbbbbGbbBbb#S
+#........................E#S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbS
+.........................EbS
+#bbbbbbbbbbbbbbbbbbbbbbbbbbS
+#bbbbGbbbbbbbbbbbbbbbbGbbbbS
+#.......................E#bS
+bbbbbbbbbbbbbbbbbbbbbbbbb#bS
+bbbbbGbbbbbbbbbbbbbbbbGbb#bS
+#.......................E#bS
+#bbbbbbbbbbbbbbbbbbbbbbbbbbS
+#bbbbGbbbbbbbbbbbbbbbbGbbbbS
+#..........................S` },
+  { variant: 'professional', num: 46, data: `............................
+.......E.........M.........S
+#bBbBbB#BBbXBBB#.b.#B.....BS
+#G.X.Gb#BG.X.GB#.b.#BbbbbbBS
+BbBBBbB#BbBBBbB#.b.#BbbbGbBS
+.......#--...--#.b.#BbbbbbBS
+bb#bbbbb#bbbbb#bbb.#BBbBBBBS
+bb#.....#-...###...#BB...BBS
+bb#-----#.-###b###BBBBBBbBBS
+bb#BG.GB#-.#XX#XX#B........S
+Gb##bbb##.-#..#..#BBBBBBBBB.
+bbb#bbb#.-.#b#.#b#.......b-.
+...#...#..-..#.#Ebbbbbbb#bbb
+bbbb#bbbbbbb#b.EbB......#...
+G...#.......#..bbB#BBBBBBXBB
+bbbbbbbbbbbbbbbbbB#G....GX..` },
+  { variant: 'professional', num: 47, data: `.....................E.....M
+SSSSSSSSSSSSSSSSSSSSSSSSSSSS
+G#.#.#.#.#.#.#.#.####BBBbbBB
+b.b.b.b.b.b.b.b.b...#bG.bb.G
+G......X.X.X.X.X.#bbbGBbbbbB
+BbBbBb......-....#.Gb#bBbbBb
+......bBbBbB.#BBB.BBb#bb....
+#bbbbb......#....-B.-#-bBBBb
+#..G..#bbbb#..B.B..G.#......
+bbbbbb#----#.EB.B#bXX#bbbbbb
+BBBBBBB....b#BB.B#.G.#......
+######Gbbbb.#B.G.Bbbbbbbbbb#
+#bXbXbbE....#BbbbB.........#
+#.....bbbb#bbBbbbB#bbbbbbbbb
+#.........#.......#........G
+bbbbbbbbbbbbbbbbbb#b#.#b#.#b` },
+  { variant: 'professional', num: 48, data: `.S....#-.E#-...E.........G.S
+.S....#.-.#.-.#bbbbbbbbbbbbb
+.S....#..-#..-#.------------
+.#bbbbb..bb..bb.bbbbbbbbbbb#
+.#...GB.....GG.GB........--#
+.#....BBbbbbbb.BB--------..#
+#bbbbbbb..G.....G.bG.b.G.E.#
+#bbbbbbb..bbbbbbb.bbbb..bbb#
+#BBbBBBB...................#
+#bbGbb..b#bbbbbbbBbbB#..b..#
+#bbXbbbbb#bbbbbbbBBb.bbbb#bb
+#bb.bbGbb#bbbbbbbBBbG.bbb#bb
+#..---...#bbbbbbbGBbb....#.G
+#..GGG.#bbbbGGGbbbBbb#bbbbbb
+#M.....#...........E.#..--bb
+bbbbbbbbbbbbbbbbbbbbbb#Gb#GG` },
+  { variant: 'professional', num: 49, data: `BBS.........................
+BBSEE........G.G.G....G....E
+BBBbBbBbBbBbBbBbBbBbBSBBBBBB
+----------#B.........S......
+B.GGGG....#B........GSG..M.G
+BB.....#BBBB#bbbbbBBBSbbbbbb
+GBB....#....#bbbbb...S......
+#.BB..#.....#BGBGB...S......
+#......#.#BBBBXbXB#BBSbbbbb#
+#bbbb.#..#.........G.Sbbbbb#
+#......#.#...G.#BBBB.Sbbbbb#
+#.bbb.#..##BBB.#.....SbbbGb#
+#.GbG..#.##....#..G..SGGbbb#
+bbbbb.#..BBBBBBBBBB..S.....#
+.......#.............S...bb#
+.G.G#bbbbbbbbbbbbbbbbbbb#..#` },
+  { variant: 'professional', num: 50, data: `SB.E........................
+Sbbb.E......................
+S.GBBB.G....................
+#Bb.Gbbb.G................BB
+#Bbbb.GBBB.G..........E.bbb-
+#Bbbbbb.Gbbb.G......E.BBB---
+#Bbbbbbbb.GBBB....G.bbb---#-
+#Bb.G.bbBBb.....G.BBB----.#-
+#BbbbbbbBBB...G.bbb---B.GB#-
+#----.......G.BBB----.BbbB#-
+....#..G....bbbG----......#-
+#bbbbbbb..BBBBBbbbb.......#-
+#........M................#-
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#
+#...........GBBG...........#
+bbbbbbbbbbbb#E.#bbbbbbbbbbbb` },
+  { variant: 'professional', num: 51, data: `-------Sbbbbbbbbbbbbbbbbbbbb
+#bbbbbbSb.------------------
+#b...GbSb.bbbbbbbbbbbbbbbbb#
+#b#bbbbSb.b--------------.b#
+#b#....Sb.b#bbbbbbbbbbbbb.b#
+#bbbbbbbb.b#b-----GE......b#
+#-------b.b#bG...Gbbbbbbbbb#
+#bbbbbb#b.b#bbbbb.bGb----.b#
+#b....b#b.b#----b.b#b#bbb.b#
+#b.bb#b#b.b#bbb#b.b#b#bGb.b#
+#b.Gb#b#b.b#.Gb#b.b#b#b#b.b#
+#bbbb#b#b.bbbbb#b.b#b#b#b.b#
+#----#b#b......#b.b#b#b#...#
+#bbbbbb#bbbbbbbbb.b#b#bbbbbb
+#...GGb#E..........#b#.....M
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 52, data: `#------------.M.-----------#
+#bbbbbbb.--.EbbbE.--.bbbbbb#
+#....G...-.bbbbbbb.-...G...#
+#bbbbb..-.bbbG.Gbbb.-..bbbb#
+#..G...-.bbbG...Gbbb.-...G.#
+#bbb..-.bbbG.....Gbbb.-..bb#
+#.G...-bbbG..bbb..Gbbb-...G#
+#bb....bbb..bbbbb..bbb....b#
+#...G...bbb..bGb..bbb...G..#
+#bbbb.---bbb.....bbb---.bbb#
+#.....G...bbbG.Gbbb...G....#
+#bbbbbb....bbb.bbb....bbbbb#
+#..G....G.bbbb.bbbb.G....G.#
+#bbb....bbbbb...bbbbb....bb#
+#.............E............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 53, data: `..............#M..........-S
+..#B---------###---------B-S
+.#BE..........#..........E.S
+#B............#........B.G.S
+#BBbB...G...Gb#bG...G..BBb.S
+##.GB...bbb.BX#XB.bbb......S
+.##B...GbbbbB.G.BbbbbG...BSS
+.#B....bb.bbG.B.Gbb.bb..BSS.
+.#.....bb..bb.B.bb..bb..SS.G
+.##B#...bbGbb...bbGbb.SSSB.#
+.#B.#...bb..bX.Xb..bbSSGB..#
+.B.G#....BBbbXBXbbBB.S.B..G#
+.BBBB#...BBXbXBXbXBB..SBBBB#
+----B#----------------#--.B#
+...B.#..G...G...G...G.#....#
+.....#....E...E...E...#bb#.#` },
+  { variant: 'professional', num: 54, data: `......E...S................E
+....--#...S.......E.........
+bbbbbb#...S.................
+bbbbbbbbbb#-.....-##-.....-#
+bbbbbbbbbB#.-...-.##.-...-.#
+bbbbbbbbbB#..-.-..##..-.-..#
+bbG..b.G.B#...-.G.##.G.-...#
+bbbbbbbbbB#..G.-..##..-.G..#
+bbbbbbbbbB#-..G.-.##.-.G..-#
+bbb.G...bB#.-..G.-##-.G..-.#
+bbbbbbbbbB#..-..G.--.G..-..#
+bbbbbbbbbB#...-...--...-...#
+bG...b..GB#....-.-..-.-....#
+bbbbbbbbbB#.....-.GG.-.....#
+M...bb....#................#
+bbb#.G#bbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 55, data: `............E..bSbbbbbbbbbbb
+.........----#.bSSbbbbSSSSSb
+b.......b....#.bbSSSbbSbbbSb
+bbbbbbbbb....#...bbSSSSbbbSb
+.......GB...--#b.........GSb
+bbbbbbbbb..--.#BBBBBBBBBBBBB
+.......GB.--..#............E
+bbbbbbbbb--...#-------#bbbbb
+......GB--....#.G.....##bbbb
+bbbbbbb--.....#.......###bbG
+......--......#.#bbbbbb###bb
+.....--.......bb#bbGbbbb###b
+....--........bb#bbbbbbbb###
+...G..........bb#bbbbbbbbb##
+M...............#.........E#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 56, data: `.M........................S.
+#bbbbbbb#-............#bb.Sb
+#.GbbbG.#.-..........#G.b.Sb
+#.bbbbb.#..-.....Gb#..#.bbSb
+#bbbbbbb#bG.-....bb#G#..bSGb
+#.GbbbG.#bb....Gbbb##...bSbb
+#.bbbbb.#.bb...bbbb..#G.bGSb
+#bbbbbbb#..bbGbbbbb...#.bbSb
+#G.bbbbb#...bbbbbbb.G#..bSSb
+#.bbbbbG#bbbBbbbbbb.#...bSbb
+#bbbbbbb#BbGBbbbbbb..#..bSSb
+#G.bbbbb#BbbBbbbbbb...#.bbSb
+#.bbbbGb#............#G.bSSb
+#bbbbbbb#.----........#.bSbb
+#G.bbbbb#B....B#.....#.#bSSb
+#Ebbbbbb#EbbbbE#bbbb#..#ESbb` },
+  { variant: 'professional', num: 57, data: `BSBB#..................#BBSB
+BSBB.#................#.BBSB
+SSSSS.S....##bbGbb##...SSSSS
+SEBB..S...#.##EbE##.#..SBBES
+BBBB..S..#....GbG....#.SBBBB
+...SSS..#.....#b#.....#.SS..
+..S....#.....#bbb#.....#..S.
+.S.SSS#-----.-bbb-.---#.SS..
+.S....#.GG..bbbbbbb...#...S.
+--S---#bbbbbbbbbbbbbbb#BB-S-
+---S--#bbbbbG.bbb.Gbbb#.....
+----S-#bbbbbbbbbbbbbbb#.....
+...S..#..-.........-..#.....
+..S...#...............#.....
+.S....#........M......#.....
+bbbbbb#bbbbbbbbbbbbbbb#bbbbb` },
+  { variant: 'professional', num: 58, data: `BE................G....B...B
+BBBBBBBBBBBBBBBBBBB..BBBB#BB
+.#.#..#...#...#.#..B.....#..
+.#-#-.#...#..-#.#..-----.#..
+.#.#.-#..-#.-.##...#B.GB.#..
+.#.#..#.-.#-..##.BB.---..S..
+.#-#..#-..#GE.##...b..B..##.
+.#.#..#..bbbb.#.#..G.-##BB#E
+.#.#..#.......#.#..B.B.#.#bb
+.#-#..#G..bbbbB#Bb.....bb#..
+b#.#.bbbb.....###........#bb
+b#.#..........#-#-.......#..
+b#.#..........#.#.bbbbbbbSbb
+b#M#--------..#bBb..BSSSSSSB
+bBbBS......SbbB.B...BSSSSSSB
+bbB.SbbbbbbSGB..B...BSSSESSB` },
+  { variant: 'professional', num: 59, data: `...........bb..###E---------
+..G.....bb....#G#G#.........
+.#b.........-######..bbbbbbb
+#bGb#..###--..#####..bbbbb.b
+#.X...####..#.###G#..bGbbb.b
+#.#...####..#.#####..bbbb..b
+#.....###G#...#G###..bb.b.bb
+#......#####..####...bb...bb
+#..G..G###########...bb..bbb
+#.....######G##G##...bb.bbbb
+#......##########....bb..bbb
+#....########M###....bbbb.bb
+#...#...##########.E.bbbbG.b
+#...#G##-#----####.b.bbbbbbb
+#..............##G#.........
+bbbbbbbbbbbbbbb.###bbbbbbbbb` },
+  { variant: 'professional', num: 60, data: `E.....................G.bbb.
+bbbbbbbbbbbbbbbbbbbbbbb.bbbS
+......................SS..bS
+bb##bb###bbbb###bbbb.##.b#bS
+bb##b###bb.b#####bb#.##..#bS
+Gb##b###bbbb#####bb#.##.#bbS
+bbb#b##bb..Gb####bb#.#####bS
+bb##b##bbbbbb####bb#.##.b#bS
+bb##b#bb#####b###bb#SSM.b#bS
+bb##b#bbb####bb#bbbbS##.b#bS
+...#E#...S..S..#....SS..b#bS
+bbbbbbbbbbbESbbbbbbbbbbbb#bS
+B..........BB.G..........#bS
+BSBBBBBBBbS..#bbbbbbbbbbbbbS
+BS.......BBBBBBBBBBBBBBBBBBS
+BBSESbbbS..................S` },
+  { variant: 'professional', num: 61, data: `SBBBBBBBBBBBBBBBBBBBBBBBBEEE
+SB...-----------#--------BBG
+SB.b#.....--....#..-......#.
+SB.b#....-......#...-.....#G
+SB.b#....-......#....-.--.#.
+SB.b#.....--....#.....-...#G
+SB.b#.bbb...-...#...--.-..#.
+SB.b#..bbb..-bbbbbbb....-.#G
+SB.b#.bbb.--.G.....G.....-..
+SB.b#..bbb..-b......-...-.#G
+SB.b#.bbb.--.b#bbbbb.-.-..#.
+SB.b#..bbb....#.......-...#.
+SB.b#.bbb.--..#......-.-..#.
+SB.b#.G.....-.#.....-...-.#.
+SG.b#...M.--..#....-.....-#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 62, data: `..........SM.S..............
+..........SBBS..............
+..........SBBS..............
+.........##bb##.............
+........#..bb..#............
+.........#b..b#.SS..........
+........#bbGGbb#..SS........
+.......#BBB..BBB#...S.......
+.......##bbbbbb##SSSSSSSSS..
+.......#bb....bb#...S...BSEE
+.......#bEG..GEb#..S....BBBB
+.....#BBBbb##bbBBB#.........
+.....##bbbb##bbbb##.........
+.....#bbb..##..bbb#.........
+.....#.....##.....#......GE.
+bbbbb#bbbbb##bbbbb#bbbbb.bbb` },
+  { variant: 'professional', num: 63, data: `BBBBBBBBBBBBBBBBBBBBBBBBBBMB
+-.-#----##-.-##.-.##-.-##B#B
+.b-#....##.b.##b.b##.b.##B#B
+bb-#bbbb##bb.##bGb##bb.##B#B
+.b-#.E..##.b.##.b.##.b.##B#B
+Gb.#bbbb##.b.##b.b##.b.##B#B
+bbb#....##bbb##b.b##bbb##B#B
+...#....##...##...##...##B#B
+bbb#bbbb##bbb##bbb##bbb##B#B
+...#....##...##...##...##B#B
+bb.#....##.b.##b.b##bb.##B#B
+-.b#bbbb##bb.##bGb##..b##B#B
+Gb.#.E..##.b.##.b.##.b.##B#B
+b..#bbbb##.b.##b.b##b..##B#B
+bbb#....##bbb##b.b##bbb##.#B
+...######################bBB` },
+  { variant: 'professional', num: 64, data: `#--------------------------#
+#E...........E............B#
+#B#----------------------#E#
+#.#b.....................#b#
+#b#.#------------------#b#.#
+#G#B#.................B#G#B#
+#B#.#B#--------------#.#B#.#
+#.#b#.#b.............#b#.#b#
+#b#.#b#.#----------#b#.#b#.#
+#.#B#.#B#.........B#.#B#.#B#
+#B#G#B#.#B#------#.#B#G#B#.#
+#.#b#.#b#.#b.....#b#.#b#.#b#
+#b#.#b#.#b#.#--#b#.#b#.#b#.#
+#G#B#.#B#.#B#.B#.#B#.#B#.#B#
+#B#.#B#.#B#.#BM#B#.#B#.#B#G#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 65, data: `...........#bb.....#........
+...........#bbb#..#b#.......
+..........#...bb#bb.bb#.....
+.......#bbb...#.b#####b#....
+.....##b..bb..#b#...S#b#....
+....#bb....bb.#bG#..S##b#...
+..##b###.bbbbb#bbb..SS#b#S..
+..#E-E#.##bbbbbb###.S#E#E#..
+..#---#..###bbbb#...S#-#-#..
+..-----...###b#b#...S--#-SS.
+..-----...#.Mb#b.#..S--#--S.
+..-.-.-...#bbbbbb#..S--#--S.
+..G.G.G...#bbbbbb#..S-.#.-S.
+..........#bb.bbb#..SG.#.GS.
+..........#bbGbbb#..S..#..S.
+bbbbbbbbbb#..#....#bbbbbbbbb` },
+  { variant: 'professional', num: 66, data: `S...bbb.....bbbb#E....E#bbbb
+S.bbbbbbb...bbbb#G....G#bbbb
+Sbbbbbbbbb...G#bb#....#bb#bb
+Sbbb###bbbb#bb#bb#G..G#bb#bb
+Sb###.###bb#bb##Eb#..#bb##bb
+S##.....##b#bb##bb#..#bb##bb
+#.....#.#bb#bb###bb##bb###bb
+#....#.bbbb.bb#.#bb##bb#.#bb
+#....#bbb...bb#.##b##bb#.#bb
+##...##bbb..bb#..#b##b#..#bb
+b.#...###bb#bb#..######..#bb
+bb#.#E#.#bb#bb#...####...#bb
+bbbb###b#bb.bb#...####...#bb
+.bbb-G.b#b..bb#..........#bb
+..bbbbbb#...bb#..........#bb
+....bbb.M.....#bbbbbbbbbb#bb` },
+  { variant: 'professional', num: 67, data: `bbbbbbbbbbbbbbSbbbbbbbbbbbbb
+b.#E#.#.#.#.#.#.#.#.#.#.#E#b
+b.#b#b#b#b#b#bbbbbbbbbbbbb#b
+b.#G#.#.#.#.#.#.#.#.#.#G#b#b
+b.#.bbbbbbbbbb#b#b#b#b#b#b#b
+b.#.bG#.#.#.#.#.#.#.#G#b#b#b
+b.#.b.#b#b#b#bbbbbbbbb#b#b#b
+b.#.b.#-#-#-#-#.#.#.#b#b#b#b
+b.#.b.#.#.#.#M#.#.#.#b#b#b#b
+b.#.b.#bbbbbbb#b#b#b#b#b#b#b
+b.#.bG#.#.#.#.#.#.#.#G#b#b#b
+b.#.bbbb#b#b#bbbbbbbbbbb#b#b
+b.#G#.#.#.#.#.#.#.#.#.#G#b#b
+b.#b#b#bbbbbbb#b#b#b#b#b#b#b
+b.#E#.#.#.#.#.#.#.#.#.#.#E#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 68, data: `BbbbbbbbbbbbbbSbbbbbbbbbbbbB
+B#G.........G.S.G........G#B
+B#BbbbbbbbbbbbbbbbbbbbbbbB#B
+B#B#..........M.........#B#B
+B#B#Bbbbbbbbbb#bbbbbbbbB#B#B
+B#B#B#........#.......#B#B#B
+B#B#B#BbbbbbbbbbbbbbbB#B#B#B
+B#B#B#B--------------B#B#B#B
+B#B#B#BG....G.#.G...GB#B#B#B
+B#B#B#BbbXbbbb#bbXbbbB#B#B#B
+B#B#B#E.......#.....E.#B#B#B
+B#B#BbbbbbbbXbbbXbbbbbbB#B#B
+B#B#..........#.........#B#B
+B#BbbbbbXbbbbb#bbbbbXbbbbB#B
+B#G........G..#..G.......G#B
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'professional', num: 69, data: `...........................S
+...........................S
+..........................MS
+.bbbbbSbb#bb.bb#bbbbSbbbbbb#
+.........#.bbb.#...........#
+.........#..E..#...........#
+.........#.GbG.#...........#
+#bbbbbbbbbbbbbbbbbbbbbbbbbbX
+#...........................
+#............b#.............
+#bbbbbbbbbbbXbbbbbbbbbbbbbb#
+S..........................#
+#bbbbbbbbbbbb.bb...........#
+#.....G....bbbGb#bbbbbEbbbb#
+#.E...b....bbbb.#.....G....#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 70, data: `#------M....................
+#...........................
+#...........................
+#...........................
+#....bbBBBbbbbbbbbbBBBbb....
+#.bbbbbBBBbbbbbbbbbBBBbbbbb.
+#BbbbbB...---------...BbbbbB
+#BGbbbB.B.G.G.G.G.G.B.BBbbGB
+#.BbBB..BBE........BB..BBbB.
+#......EBBbbbbbbbbbBB.....b.
+#......BBBBB.GGG.BBBBB.....b
+#.....BBBBB.GBBBG.BBBBB....b
+#....BBBBBB.GBBBG.BBBBBBGbb.
+#....BBBBBBB.GGG.BBBBBBBbb..
+#....BBBBBBBBBbBBBBBBBBB....
+bbbb#...................#bbb` },
+  { variant: 'professional', num: 71, data: `......................M...S.
+.....................bBG..S.
+..........G.----.....BBB..S.
+#bbbbbbbbbb.#........bBb..S.
+#E..........#...G.........S.
+bbbbbbbbbb#.#..Gbbbbbbbbb.S.
+..........#.#.Gbb..bbbbbbbS.
+#bbbbbbbbbb.#.bb....bbbb.bbG
+#...........#.......bbbb..bb
+bbbbbbbbbb#.#.......bbGb..bb
+..........#.#.....-------.bb
+#bbbbbbbbbb.#.....bb..bb#.b.
+#...........#...Gbb.Gbb.#...
+bbbbbbbbbb#.#...bb..bb..#...
+G.........#.#...b..bb...#...
+bbbbbbbbbb#.#.....bb....#..E` },
+  { variant: 'professional', num: 72, data: `.............B..-.ES........
+E..G.G.......B.---.S.G.G...E
+BBBBBB..G.G..S-----S.BBBBBBB
+.....BBBBBB..S..G.G..B...-#.
+....-#..-#B.GS..BBBBBB.--.#.
+...-.#.-.#BBBSG.B.-----G..#.
+bbb..#-..#...SBBB.BG.BGbbb#.
+bbb..B...#...S....BbbB....#.
+bGbGG.GG.#..GS............#.
+bXb......#BBBS.....#bbbbbbb#
+.........#...S.....#...G...#
+.........#..GS.....#G..bbbb#
+#bbbbbbbbbbbbSbbbbbbb.......
+#............S..............
+#M...........S...........b#.
+bbbbbbbbbbbbbbbbbbbbbbbbBG#b` },
+  { variant: 'professional', num: 73, data: `#--..#-------M--------#-....
+#..bbb...---.b.---....#.-...
+#.G....bbG.-bbb-.Gbb..#..-.G
+bbb#...bbbb.bbb.bbbb..#...BB
+...#...GbbbbbbbbbbbG..##.-..
+.G.#.....bbbbGbbbb....#B#.-G
+#bbb......b.GXG.b.....#BBBBB
+#.........bbbGbbb.....#.-#..
+#.G......bbbb.bbbb....#-.#..
+bbb#....Gbbb...bbbG..bbb.#..
+...#....bbb.....bbb......#..
+.G.#....bb.......bb...bb##..
+#bbb..G.E.........E.G...#...
+#....#bbb#.......#bbb#..#...
+#....#...#G.....G#...#..#b.G
+bbbbbbbbbbbbbbbbbbbbbbbb#.BB` },
+  { variant: 'professional', num: 74, data: `E.............#-.......S....
+....----....M.#.b......S....
+........#bbbbb#.bbb....S....
+.......b#bbbbB#bbbGb...S.--S
+...bb.bb#bbbbB##bbbbb.GS-..S
+..bG.bbb#bbbbB.#bbbbbbb....S
+..bbGbbb#bbbGB#bbbbbbbb....S
+...bXbbb#bbbbB#bbbbbb...B#BS
+.....bbb#bbbbB#Gbbbb..BBB#BS
+......bG#bbbbB#B.....B...#BS
+......BB#....##B.....B#BBBBS
+.---.BBB#....#BB.....B#..B.S
+b...#BB.#....#BB.....BBB#B.S
+.b..#.BB##...##BB.......#BGS
+G.b.#..BB#....#BBB...#BBBBBB
+...b#...##....#......#.....E` },
+  { variant: 'professional', num: 75, data: `..........S......S..........
+...---..--#--.M--#--..---...
+..#.-.bb..S-.bb.-S..bb.-.#..
+.G#.Gbbbb.S.bbbb.S.bbbbG.#G.
+..#.bbbbbbSbbbbbbSbbbbbb.#..
+..#.bbbbbbSbbbbbbSbbbbbb.#..
+..#..bbbbbXbbbbbbXbbbbb..#..
+..#...bbbGXbbGGbbXGbbb...#..
+..#......................#..
+..#.....bbbbbbbbbbbb.....#..
+..#.......bbbbbbbb.......#..
+..#..........GG..........#..
+..#........bbbbbb........#..
+..#..........bb..........#..
+..#..........GG..........#..
+EG#bbbbbbbbbbbbbbbbbbbbbb#GE` },
+  { variant: 'professional', num: 76, data: `.......B......#.............
+.......B......#.............
+bbbb#..BE..G..#SSS----SG...E
+bbbb#..BBBBBG..G...--.SBBBBB
+Gbbb#---...BBBBBG.G...S.....
+bbbb....#..-...BBBBG.GS.....
+........#.-.#..-..BBBBS....G
+........#-..#.-.#.....S.#bbb
+....#b......#-..#.....S.#...
+#bbbbG...GGGGGGG#.....S.#.-.
+#...............#.....S.#-.#
+bbbbb#..........#bb#bbS..G.#
+bbbbb#.............#.G.....#
+bbbbb#..#bbbbbbbbbbbbb.bbbbb
+bbbbb#..#..................G
+Gbbbb#M.#bbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 77, data: `S....E......................
+S---------------------------
+SSSSSSSSSSSSSSSS.....M.....#
+bbbbbX.G....G..S.....BBBBBB#
+bbbbbX.....bbbbS.....BBBBBB#
+bbbGbX..G.SSSSSS.#bbbbbb...#
+bb.SSSSSbbS.....G#bbbbbb...#
+b..S.G.SSSS...#bbbbbb......#
+...Sbbb.......#bbbbbb......#
+.G.S.......#bbbbbb.........#
+bbbSS.....G#bbbbbb.........#
+....S...#bbbbbb............#
+....S...#bbbbbb............#
+....#bbbbbbb...............#
+.G..#bbbbbbbGG.............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 78, data: `BBBBBBBBBBBSBBBBBBBBBBBBBBBB
+#--....-...S........----#.-#
+#GGBbbBGbbbbbbbbbbbb...E#..#
+#..BbbB.bbbbGbbbbbGb....#..#
+#..B..B..bbb..G.G.......#..#
+#.EBbbB...bbb...........#..#
+#..B..B...Gbbb.....-....#..#
+#..BbbB.....bGb...---...#..#
+#..B..B.....bGb..-----..#..#
+#..BbbB...GbbX....---...#..#
+#..BG.B...bbb......-....#..#
+#..BbbB.Ebbb............bb.#
+#.......bbbbGbbbbbGb..G..G.#
+#.......bbbbbbbbbbbb.......#
+#............M.............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 79, data: `ES............E......E......
+.S.----.-.................EG
+bBb....#.-.......#bbbbbbbbbb
+.BGB.-.#..-......#.........M
+.B..b..#...-.....#.....BBBBB
+GBBBBB.#....-G...#.........G
+......b#.....b-..#.....#bbbb
+BBBBBBB#.......-.#.....#....
+.......#...--...-#.....bbbb#
+#Bbbbbb..#BGGB#............#
+#Bbbbbb..#BbbB#..bbbbb.#bbbb
+#Bbbbbb..#....#..bbbbb.#....
+#Bbbbbb..#....#..bGbbb.bbbb#
+#BbbbbG..#....#..bbbbb....G#
+#........#....#............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 80, data: `...............EE...........
+#bbbbbbbbbbbbSSbbbbbbbbbbbb#
+#b.Gb..b..b..bb..b..b..bG.b#
+#b..b.Gb..bG....Gb..bG.b..b#
+#bbbb..b.GbB....BbG.b..bbbb#
+#b.....b..bG....Gb..b.....b#
+#bbbbbbb..bBB..BBb..bbbbbbb#
+#b........b......b........b#
+#BBBBBBBBBBBBGGBBBBBBBBBBBB#
+#....-.........b....b#.B...#
+#bbbSSB.Xbbbb..b#b.Gb#bGbBB#
+#BBBBbBGX...b..b#bBBb#.BBBB#
+#........#bGb..b#....#.....#
+#bbbXbbbbbBBb..bbbbbbbbbbbb#
+#M.......................EE#
+#bbbbbbbbbbbbSSbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 81, data: `...........S................
+..BBBBBBBBBSBBBBBBBBBBBBBBB#
+.Eb.G.G.G.bSb....bG#####GBG#
+.Mb.#.#.#.bSb#b#bb#######BB#
+GEb.bb#bb.bSb#b#bbG#####GBG#
+b.....#....#.#b..G......#BB#
+..bbbbbbbbXSbbbXbbbbbbbbbBG#
+.........GBSB.X.B.bbbbbbbBB#
+..BBBBBBBBBSB.B.B.bbbbbbb..#
+.........G.SB.B.BGbbbbbbb..#
+SSBBBBBBBBBBB.B.BBbbbbGbb..#
+S........G....B...bbbbbbb..#
+S.BBBBBBBBBBBBB.G..........#
+S........G....B.b.bbbbbbbbb#
+S.b#BBBBBBBBBBB.BBBBBBBBBBB#
+SGb#.......................#` },
+  { variant: 'professional', num: 82, data: `............................
+#bGb....................bGb#
+#bbbbGb..............bGbbbb#
+#...bbbbGb...--...bGbbbb...#
+#......bbbbGb..bGbbbb......#
+#bGb......bbb..bbb......bGb#
+#bbbbGb.....b##b.....bGbbbb#
+#...bbbbGb...##...bGbbbb...#
+#......bbbbGb##bGbbbb......#
+#bGb......bbb##bbb......bGb#
+#bbbbGb.....b##b.....bGbbbb#
+#...bbbbGb...##...bGbbbb...#
+#......bbbbGb..bGbbbb......#
+#.........bbb..bbb.........#
+#M....................EEEEE#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 83, data: `S............--............S
+S#-.........#bb#.b.bbbbbbb#S
+S#.-........#bb#.b.bG....b#S
+S#..-.M..-..#bb#.b.bbbbb.b#S
+S#..#bbb#.-.#bb#.b.......b#S
+S#..#bGb#..-#bb#.bbbbbbbbb#S
+S#..#bGb#...EbbE..........#S
+SbbbbbbbbbbbbbbbbbbbbbbbbbbS
+SbbbbbbbbbbbbbbbbbbbbbbbbbbS
+Sb.........-EbbE.........G.S
+Sb.bbbbbbbbb#bb...#bbbb#...S
+SbGbGbG....b#bb...#bGGb#...S
+Sb.b.bbbbbb.#bbGb##bGGb#...S
+Sb.b.......b#bbbbbbbbbbbbb.S
+Sb.bbbbbbbb.#bb............S
+Sb.........b#..#bbbbbbbbbbbS` },
+  { variant: 'professional', num: 84, data: `..........................M.
+......................EEEEbS
+...........................S
+#bGbGbGbGb#..........G.....S
+#bbbbbbbbb#bbbbbbbbb#b.....S
+#.GbGbGbG.#.........#.G....S
+#bbbXbXbbb#bbbbbbbbb#bb....S
+#bGbGbGbGb#.........#..G...S
+#bbbXbXbbb#bbbbbbbbb#bbb...S
+#.GbGbGbG.#.........#...G..S
+#bbbXbXbbb#bbbbbbbbb#bbbb..S
+#bGbGbGbGb#.........#....G.S
+#bbbXbXbbb#bbbbbbbbb#bbbbb.S
+#.GbGbGbG.#.........#.....GS
+#bbbXbXbbb#bbbbbbbbb#bbbbbb.
+#.G.....G.#.........#......G` },
+  { variant: 'professional', num: 85, data: `EGB..........M...........BGE
+#BB#BBB#BBBBBBBBB#BBBB#B#BB#
+#B##.#B#.#.#.#.#.##B#.#B#BB#
+#B#BBBBBB#BBB#BBBB#.#BBB#BB#
+#B##BBB#G#B#.#.#B#BBB#..#BB#
+##B#.#BBBBBBBBB#B#.#.#B#BBB#
+B#BBB#G#.#.#.#G#.BBBB#B#.#.#
+B#.#G#BB#BBBBBBB#BB#.#.BBBBB
+B#BBBB#.#.#.#.#.#.B#BBBB#.#B
+G#.#.BBBBBBBBB#BBBB#.#.##BBB
+BBBB#.#.B.#.#.#B#.#BBBBB#.#B
+#.#.#B#GBB#BBBBB#B#.#.#BBB#G
+#BBBBBBB#.#.#.#.#BBBBB#.#BBB
+#.#.#.BB#BBBBBBBBG#.#.BB#.#B
+#BBBB#BB#.#.#B#BBB#B#BBBBB#B
+#.#GB#.G#BBBBB#G#.#.#.#.#.#B` },
+  { variant: 'professional', num: 86, data: `...........................S
+..G.M..................E..ES
+#BbbbbbbB#bbbbbbbb###.Sb#.bS
+#BbbbbbbB..#.#.#.#.##b#b#.bS
+#BbbbbbbB#bbbbbbbbbb#Bbb#GbS
+#BbbbbbbB#...........bbbb#bS
+#BbbbbbbB#BBBBBBBBBBb.Bbb#.S
+#BbbGbbbB#.......BBBBbBbbbb#
+#BbbbbbbB#bbXbbb#BGB..B..G.#
+#--------#bbXGbb#B#BbBB#bbbb
+..b.......XBXBXX#.#B..B#.G..
+b#bbBb#B.bXBXB.BX#..BbBbbbb#
+b#.GBb#B...BXBGBXBb#..B..G.#
+bBBBBb.BBBB........BBBB#bbbb
+G...B#b...B#BBBBBB#....#....
+bbb#.#b#bb.#......#bbbb.....` },
+  { variant: 'professional', num: 87, data: `ME.E.E.EBG...........Bbbbbbb
+bS.S.S.SBBBBBBB#BbbbbBSSSSSS
+.SbS.S.SB.....B#BGbbbBSbbbbb
+.S.SbS.SB#bbbbb#BBBbbBSSSSSS
+.S.S.SbS.#bGbbb#.-..BBBBBBB#
+.S.SSS.Sb#Xbbbb#-b#.G......#
+.SS...SS.......BbB#.b.bBbBb#
+.S.-#-.S....---...#.BBbBbBb#
+..-.#.-........-..#........#
+.-.-#-.-........-.#........#
+G.-.#.-.G........-#.GG.....#
+.-.-#-.-....--....b..b.bBbB#
+.G-.#.-G..#bGGb#.....BBbBbB#
+.-.-#-.-..#bbbb#...........#
+..-G#G-...#....#...........#
+bbbbbbbbbbbbbbbbb..bbbbbbbb#` },
+  { variant: 'professional', num: 88, data: `b.b.bb.b.b.bb.b.bb.b.b.bb.bS
+b.b.bb.b.b.bb.b.bb.b.b.bb.bS
+b.b.bb.b.b.bb.b.bb.b.b.bb.bS
+bEbEbb.b.b.bb.b.bb.b.bEbbEbS
+bGbGbbGbGbGbbGbGbbGbGbGbbGbS
+bXbXbbXbXbXbbXbXbbXbXbXbbXbS
+bXbXbbXbXbXbbXbXbbXbXbXbbXbS
+#...-.-...-.--.-...---.....S
+#bbb.b.bbb.b..b.bbb...bbbbb#
+#b.b.b.b.b.bb.b.b.b...b...b#
+#bbb.b.bbb.bbbb.b.b...b...b#
+#b...b.b.b.bbbb.b.b...b...b#
+#b...b.b.b.b.bb.b.b..BB..BB#
+#b...b.b.b.bM.b.bbb..BB..BB#
+#...........G..............#
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
+  { variant: 'professional', num: 89, data: `MB..bbbbbbbbbbbbbbbbbb.....S
+.B#bbbE..............b#bGbbS
+.b#bGb.bbbbbbbbbbbbb#b#bbbbS
+.b#bbb.bE..........b#b#bbbbS
+.b#bGb.b.bbbbbbbbb#b#b#bbbbS
+.b#bbb.b.bE......b#b#b#bbGbS
+.b#bGb.b.b.bbbbb#b#b#b#bbbbS
+.b#bbb.b.b.bEG.b#b#b#b#bbbbS
+.b#bGb.b.b.bbb#b#b#b#b#bbbbS
+.b#bbb.b.b.G..#b#b#b#b#bGbbS
+.b#bGb.b.bbbbbbb#b#b#b#bbbbS
+.b#bbb.b.G......#b#b#b#bbbbS
+.b#bGb.bbbbbbbbbbb#b#b#bbbbS
+.b#bbb.G..........#b#b#bbGbS
+.b#bbbbbbbbbbbbbbbbb#b#bbbbS
+..#b................#.#....S` },
+  { variant: 'professional', num: 90, data: `bbbbbbbbbbbbbSSbbbbbbbbbbbbb
+.b...........SS...........b.
+.b...........SS...........b.
+.b#Bbbbb#bbbbbbbbbb#bbbbB#b.
+E.#B....#..........#....B#.E
+bb#bbbbbbbbbbbbbbbbbbbbbb#bb
+bb#bbbbbbG...bb...Gbbbbbb#bb
+bb#bbbbbbbbbbGGbbbbbbbbbb#bb
+bb#bbbbbGb..GbbG..bGbbbbb#bb
+bb#bbbGbbGbbbGGbbbGbbGbbb#bb
+bb#bbbbbbbbG-bb-Gbbbbbbbb#bb
+bb#b.G.b.G.bbGGbb.G.b.G.b#bb
+bb#bbbbbbbbbGbbGbbbbbbbbb#bb
+bb#bbbbbbbbbbbbbbbbbbbbbb#bb
+..#...........M..........#..
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 91, data: `S............E.............S
+S--------------------------S
+#..........................#
+#..........................#
+#.....bbbb.......-.bbb.-...#
+#...bbbbb.........bGbGb....#
+#..bbbGb...GG.....bbbbb....#
+#..bbbbb...GG.....bbbbb....#
+#...bbbbb.........bbbbb....#
+#.....bbbb........b.b.b....#
+#..........................#
+#..........................#
+#..........................#
+#..........................#
+#EE..........M...........EE#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 92, data: `G--------..........--------G
+#........bbbbbbbbbb........#
+#.......b..........b.......#
+#......b..GG....GG..b......#
+#......b..bb....bb..b......#
+#......b.....M......b......#
+#.......b....bb....b.......#
+#........b...bb...b........#
+#.........b......b.........#
+#..........bbbbbb..........#
+#.E........bGGGGb........E.#
+#.bbb......bbbbbb......bbb.#
+#.Gbbbbbbb........bbbbbbbG.#
+#.bbb....GbbbbbbbbG....bbb.#
+#..........................#
+#..........................#` },
+  { variant: 'professional', num: 93, data: `............................
+S.b..........E.....E.....E..
+S.bbSbb#.b#b-#b-#b-#b-#b-#bG
+S...S..S.b#.................
+S.bbb.b#.b#bbbbb#Bb.Bbbbbbbb
+S.B...b#.b#bGbGb#.b.Bbbbbbbb
+S.Bb#.b#.b#bbbbb#.b.Bbbbbbbb
+S.Bb#.b#.b#bbGbb#.b.Bbbbbbbb
+S.Bb#.b#.b#bbbbb#.b.Bbbbbbbb
+S.Bb#Gb#Gb#bGbGb#.b.Bbbbbbbb
+bbBbbBbbBb#bbbbb#bG.BbbbGbbb
+..G...B...#.M...#.bbBbbbbbbb
+bbbbbbbbbbbb#bbbbb..........
+G.----------#-------BbbXbbbb
+b...........#............b#G
+G#BbBbBbBbBbBbBbBbBbBbBb#b..` },
+  { variant: 'professional', num: 94, data: `.EEEEE......................
+BBBSBBBBBBBBBBBBBBBBBBBBBBBB
+BGBS.......................B
+B#BSBBBBBBBBBBBBBBBBBBBBBB#B
+B#BSB#.#.#.#.#.#.......--.#B
+B#BSB#BBBBBBBBB#BBBBBBB..B#B
+B#BSB#.#.G#BB#B#...GBB..B##B
+B#BSBBBBBB#.G#B#BBBBB..B###B
+B#BSB#.#.#B#BBB#.GBB..B##B#B
+B#BSB#BBB#B#.#B#BBB..B##BB#B
+B#BSB#.#B#BBB#B#M..GB##BBB#B
+B#BSBBB#B#.#B#BBB#-B##BBBB#B
+B#BSBG..BBB#.#B.....#..G..#B
+B##SBbBBBBBBBBBbBBBBBBBBBb#B
+B..S......................#B
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'professional', num: 95, data: `SSSSSSSSSSSSSSSSSSSSSSSSSSSS
+#bbbbbbbbbbbbbXbbbbbbbbbbbb#
+#bb########bbbXbbbbbbbbbGbb#
+#bbbXXXXXXXbbbXbbbbbbbbbbbb#
+#b........................b#
+#b.G.G.G.G.G.G.G.G.G.G.##.b#
+#b........................b#
+#b..G.G.G.G.G.G.G.G.G..##.b#
+#b........................b#
+#bE#.G.G.G.G.G.G.G.G.#.##.b#
+#bE.......................b#
+#bE##.G.G.G.G.G.G.G.##.##.b#
+#bE.......................b#
+#bE...################M...b#
+#bbbbbbbbbbbbbbbbbbbbbbbbXb#
+############################` },
+  { variant: 'professional', num: 96, data: `bEEEEb......................
+bXb..b.....................S
+bGb.Gb...b..bGb.Gb...b..bGbS
+bXbbXb...bG.bXbbXb.G.bG.bXbS
+..b...bXbbXb..b...bXbbXb..bS
+.Gb...b..bGb.Gb...b..bGb.GbS
+bXb.G.bG.bXbbXb.G.bG.bXbbXbS
+...bXbbXb..b...bXbbXb..b...S
+...b..bGb.Gb...b..bGb.Gb...S
+...bG.bXbbXb.G.bG.bXbbXb.G.S
+bXbbXb..b...bXbbXb..b...bXbS
+b..bGb.Gb...b..bGb.Gb...b..S
+...........................S
+#bbbbbbbbbbbbbbbbbbbbbbbbbbS
+#............M.............S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 97, data: `............................
+Sbbbbbbbbbbbbbbbbbbbbbbbbbbb
+SSSSSSSSSSSSSSSSSSSSSSSSSSSS
+.--------------------......S
+..........M..........#.....S
+G.-bbbb#bbbbb#bbbb-..bbbbbb#
+G.-bbbG#bbGbb#Gbbb-........#
+G.-bbbb#b...b#bbbb-..#bbbbbG
+G.-bbbGbb...bbGbbb-..#bbbbbb
+G.-bbbbbbbbbbbbbbb-..#bbbbbb
+G.-bbbbbbbbbbbbbbb-..#-----.
+G.-bbbbbbbbbbbbbbb-..bXbbXb#
+....-----EEE-----....bG..Gb#
+...#.....#E#.....#...bbbbbb#
+...##...##E##...##.........#
+bbb#bbbbb#b#bbbbb#bbbbbbbbb#` },
+  { variant: 'professional', num: 98, data: `M.bEEEEb....G....G..........
+bbb----b#bbbbbbbbbbSbbbbb...
+..b....b#b....-....S..-..-..
+..G....b#b#bbbSbbbbGbb.bb.bb
+bbb....b#b#bGbSbbbbbGbb.bb.b
+##.....b#b#b.bS....bbGbb.bb.
+##.....##b#bbbS.....bbGbb.bb
+##........#b..S......bbGbb.b
+bbb....bbb#b..S.......bbGbb.
+BBBBBBBBBBbbSbbbbbbb#..bbGbb
+............SbG#b...#...bb.b
+G.........b#Sb..b...#.......
+bbbbbbbbb#bbbbBBbbbbbbbb#bb#
+.........#..........b....b.#
+G........#....#X#..GbbbbbG.#
+bbbbbbbbbbbbbbbbbbbbbbbbbX#b` },
+  { variant: 'professional', num: 99, data: `..-.......G.....G.....GEEEEE
+#b.BbBbBbBbBbBbBbBbBbBbBbBbB
+#b..........................
+#b........G.....G.....G.....
+#b.BbBbBbBXBbBbBbBbBXBbBXBbB
+#b..........................
+#b........G.....G.....G.....
+#b.BbBbBXBbBbBXBbBbBXBbBXBbB
+#b..........................
+#b........G.....G.....G.....
+#b.#bBbBbBXBbBbBXBbBXBbBXBb#
+#b.#.......................#
+#b.#......G.....G.....G....#
+#..#bBbBbBbBXBbBXBbBXBbBbBb#
+bbS#............M..........#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 100, data: `#------------------------.G.
+#..........EEE.......M....b#
+#...bbb-.bbbbbbb..bbbbbbb..#
+#..bbbb-.bbbbbbb..bbbbbbb.#b
+#.bbbbb-.bb-.-bb..bb...bb.#.
+#...bbb-.bb-.-bb..bb.-.bb.b#
+#...bbb-.bb-.-bb..bb.-.bb..#
+#...bbb-.bb-.-bb..bb.-.bb.#b
+#...bbb-.bb-.-bb..bb.-.bb.#.
+#...bbb-.bb-.-bb..bb.-.bb.b#
+#...bbb-.bb-.-bb..bb...bb..#
+#...bbb-.bbbbbbb..b.bbb.b.#b
+#...bGX-.bGbGbGb..bGbbbGb.#.
+#-------------------------b#
+#..........................#
+BbBbBbBbBbBbBbBbBbBbBbBbBbBb` },
+  { variant: 'professional', num: 101, data: `M......E....S.......E.......
+........bb..S....#bb........
+......bbbbbbSS.#bbbbbb......
+-----bbbbbbbbS#bbbbbbbb-----
+...bbbbbbbbbb#.bbbbbbbbbb...
+.bbbbE---#..-.#-..#---Ebbbb.
+--.bbG...#.-.#..-.#...Gbb...
+.BbGbb...#-...#..-#...bbGbB.
+.BBb.bb..Xb..#...bX..bb.bBB.
+.BBBbGbb..bb..#.bb..bbGbBBB.
+.BBBBb.bb..bb#.bb..bb.bBBBB.
+.BBBBBbGbb..b.#b..bbGbBBBBB.
+.BBBBBBb.bb.b#.b.bb.bBBBBBB.
+.BBBBBBBbGbbb.#bbbGbBBBBBBB.
+.BBBBBBBBb...#....bBBBBBBBB.
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'professional', num: 102, data: `SbBbBbBbBbBbBbBbBbBbBbBbBbBb
+S-............G............#
+#Xbbbbbbbbbbb.B.BbBbBbBbBbB#
+#b.bbbbbbbbbb.bBbBbBbBbBbBb#
+#b.bbbbbbbbbb..G...........#
+#b.b-bBb-bb-b..B.BbBbBbBbBb#
+#b.b-bBb-bb-b..bBbBbBbBbBbB#
+#b.b-bBb-bb-b...G..........#
+#b.b-bBb-bb-b...B.BbBbBbBbB#
+#b.b-bBb-bb-b...bBbBbBbBbBb#
+#b.b-bBb-bb-b....G.........#
+#bGbGbBbGbbGb....B.BbBbBbBb#
+#bXbbbbbbbbbb....bBbBbBbBbB#
+#..........................#
+#M....................EEEEE#
+#BbBbBbBbBbBbBbBbBbBbBbBbBb#` },
+  { variant: 'professional', num: 103, data: `.BbBbBbBbBbBbBbBbBbBbBbBbBbB
+SE.....M..............BbBbBb
+S....................#......
+Sb.....G............##......
+Sbbbbbbbbbbbbbbbbbbb#b......
+Sbbbbbbbbbbbbbbbbbbb#bG.....
+S..bbbbbbbbbb.bbbbbb#bb.....
+S.............bbbbbb#bbbb...
+.SSS..S...S.S.bb#bbb#bbbb...
+S.....S...S.SG..#.bb#.bbbbb.
+S.GGG.S...S.SSG.#GGb#.bbbbbG
+S.SSS.S...S.S.SG#XXb#.bbbbbX
+S..S..SGGGS.S..S#...#...bbbX
+.SSS...SSS..S...S...#...bbbX
+....................#...bbbX
+bbbbbbbbbbbbbbbbbbbbbbS.....` },
+  { variant: 'professional', num: 104, data: `.........S..E...............
+.-------.S..................
+#........SSSS#BBBBBBBBBBBBB#
+#.....bbb....#B.....EE....b#
+#bbbb.b.Gbb..#b.#bBbBbBbG.B#
+#bbbb.bbbbbb.#B.#BbBbBbBXBb#
+#bbbb.b....b-#b.#..........#
+#bbbb.bbbbbb.#BbBbBbBbBbBbB#
+#bbbb.b....b............SS..
+#bbbb.bbbbbbbbbbbbbbbbbb.S..
+#bbbb.bG.b.Gb....Eb....b.S..
+#bbbb.bbbbbbbbbXbbbbbbbb.SSS
+#bbGb.b.....b.G...bb..Gb...S
+#XXXb.bbbbbbbbbXbbbbbbbb...S
+#M........E................S
+#bXbbbbbbbbbbbbXbbbbbbbbXbbb` },
+  { variant: 'professional', num: 105, data: `.Mbbbbbbbbb.......E.....-...
+.#---------#BBBBBBBBBBBB.-..
+.#.........#BG........GB..-.
+.#.........#BBBBBB#B#BBB...-
+.##bbb#....#BG....#E#.GBGGGG
+.##bGb#....#BBBB#BB#BBBB.E..
+.##bGb#....#B...#..#........
+.bbbbbbbbbb#bbbbbbbbbbbbbbb#
+.bbbbbbbb..#.Gbbbbbbbbbb..b#
+.bG.E..b##bbbb....Gbbbbbbbb#
+.bbbbb#b#bG..bXbbbb...Gb..b#
+.b....#.#bbb#bXbbbbXbbbbbbb#
+.bb#bbbbbbbb#bXbbbbXbbbb.GX#
+.bb#.......b#bXbbbbXbXbbbbX#
+.bbbbbbbbbbb#...E.......Xbb#
+.bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
+  { variant: 'professional', num: 106, data: `bG..............b.......bGbS
+bbbbbb#b#bbbbbbbb#b.G.B#b#bS
+M....b#b#bGGbbbbb#b.BBB#b#bS
+bEEEEb#b#b..bbbbb#b....#b#bS
+b....b#bbbbbbbbGb#b.G.B#b#bS
+b....b#b........b#b.BBB#b#bS
+b.....#b.BBBBBBBb#b....#b#bS
+bb.b.bbb.........#b.G.B#b#bS
+..b.....bbbbbbbbbbb.BBB#b#bS
+b#.b.....---------b....#b#bS
+Gb#.b...#..GbG.bG.bBBBbBB#bS
+..b#.b..#..bbbbbbbb......#bS
+...b#.b.#..-------bbBBBBBBbS
+....b#.b#..G.G..G..........S
+......#.#..................S
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 107, data: `bbbbbbbbbbbbbbbbSbbbbbbbbbbb
+bbbbbbbbbbbbbbbbSbbbbbbbbbbb
+bbbbbbbbb#..G...S.b.........
+bbbbbbbbb#bbbbbbSbbbbbbbbbbb
+bM......b#------------#bbbbb
+bbbbbbbbb#............#.G.bb
+bbbbbbbbb#bbbbbbbbbbbb#bbbbb
+bbbbbbbbb#b.....S....b#bb.G.
+bbbbbbbbb#bb....S...bb#bbbbb
+bbbbbbbbb#bbb...S..bbb#.GEbb
+bbbbbG..b#bbbbb.SGbbbb#bbbbb
+bbbbbbbbb#b.G..bSbbbbb#bb.G.
+bbbbbbb..#bbbbbbSbbbbb#bbbbb
+bbbbbbbbbbbbbbbbSbbbbb#.GEbb
+..............GGG.....#bbbbb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 108, data: `S..B...BbbbbbbbbbbbbbbbbbbbB
+S..bG..E#------------.......
+S..bbb#bbb......Gbb..#BbbbbG
+S.Gb..#.bb.......bb..#Bbbbbb
+#bbb..#.bb.......bb..#BGbbbb
+#..b..#.bb.......bb..#Bbbbbb
+#..b..#.bb.......bb..#Bbbbbb
+#GEb..#.bb.......bb..#......
+#bbb..#.bbG......bb..bbbb#bb
+#..b..#.bbbbbbbbbbbG.....#..
+#..b..#.bbbbbbbGbbb#----.#EG
+#..b..#.b...GG....b#...BbbbB
+#..b..#.b.bbbbbbb.b#........
+#..b..#...G........#........
+#..B.Bbbbbbb#bbbbbbbb#bbbbbB
+#G........G.#........#.M.G..` },
+  { variant: 'professional', num: 109, data: `BBBBBBBBBS..................
+BbbbbbbbBS..................
+BbB....GBBBBBBS.............
+B...#BbbbbbbBSSG..E..#BBBBb#
+BG--#BbG....BS.BbBbB##B.BBb#
+BBB.#BbbbB#.BSS..B..G#B.BBb#
+BG..#..EGBbbB.S..B...#..BBb#
+B#BBBbbbbbB..SSEGBG..GB#BBb#
+B#.-#BbbbbB..SBbbBbB.BB#B.b#
+BBB.#BG.bbBG.SS..B....B#BGb#
+B...#BbbbbBbB.S..B#---.#BXb#
+B#BB#.....B..SS.GB#..#B.BG-#
+B#.BBBbbB#B..SBbbB#G.#B.Bb#.
+B#..GBG.B#B..S..GBBB.#..Bbb#
+B#.#BBbbB#BbbB#BbB....B#BGb#
+BBBBBB...#..M.#...#B#..#...#` },
+  { variant: 'professional', num: 110, data: `G...MBbbBB.....S............
+bbbbbbbbBG...EGS....G......G
+bbbbbbbbBB#BBbBSB.B#b.b#bbBB
+b.G.....BG#B.G.SB.b#b.b#....
+bbbbbbbbBB#BSBbBB.b#b.bbbbb#
+bbbbbbbB.G#BS.G.B.b#b.b....#
+b.G.....b#BBBbBSB.b#b.b#bbbb
+bbbbbbbbB#.B.G.SBGb#b.b#.G..
+bbbbbbbbBB#BSBbBB.b#b.bbbbb#
+b.G.....BG#BS.G.B.b#b.b....#
+bbbbbbbbBB#BBbBSB.b#b.b#bbbb
+b...bG..BG#BG..SB.b#..b#.E..
+bG..bbbbBB#BBbbBB.bbbbbbbbb#
+bb#.b.....#................#
+G.#bb#bb#bbbbbbbbbbbbbbbbbb#
+bb#..#bb#..........EG......#` },
+  { variant: 'professional', num: 111, data: `BBBBBBBBBBBBBBBB...........S
+B---------------...........S
+B#B.BG..#B..BG.BG..--......S
+B#b.Bbbbbb..BBbbbbB..B.....S
+.#b......BG.B..b.GbG.B-.#BGS
+#Bbbbbbb.BbbB..bbbbbbBGBBBBS
+#B.bG..b....bG.b..b.Gb.....S
+#B.bbBBbbXb.bbbb..bbbbbbB..S
+#.....E..Gb....bG.b..b.GbG.S
+#BBbBBBB#bbbbb.bbbb..bbbbbbX
+#b.....B#....bGE..bG.b..EG.X
+#bbbbbbBBBBB#bbbb.bbbbbbbbbX
+#..B......GB#...b....bG.bbbX
+#bbbbbBBBbBBBBB#bbbb.bbbbbbX
+#.....G..M....B#...B.......G
+BbbbbbbbbbbbB#.#....#bbbbbbB` },
+  { variant: 'professional', num: 112, data: `bbbbbbbbbbbbbbbbbbBE.......S
+X#----------------BbBbBbBbBS
+X#.G...G...G...G.BB..-....GS
+X#....-----------#B#B.BBBBB.
+X#..........E....#B#...-.-..
+XbbBBbbBbBbbBbbbB#BBBBB.B.B#
+#----------------#-..-.....#
+#..................#b.bbbb#b
+#.G...G...G...G...G#b.b.bb#b
+#...........E......#b.b.bb#G
+#.bbbbbb#BbbBBbbBbBBb.b.bb#b
+#.bG....#bGb.G.b.G.bb.b.Gb#b
+#.......#..b#b#b#b#b..Gbbb#G
+#bb#bbbbbb#b#b#b#b#bGbbbbb#b
+#.b#.....b#b#b#b#b#bbbbbbb#b
+#.bbbb#..b#.#b#.#b#...GM..#b` },
+  { variant: 'professional', num: 113, data: `...........................S
+bbbbbbbbbbbbbbbbbbb....E...S
+G#----....M....---.#bbbbbbbb
+b#.G.#bbbbbbbbbG.bbbbbbbbbbb
+G#BBB#bbbbbbbbbbb###bbbG.bbb
+b#...#b.bG.bb.bbb.G###bb.Gbb
+G#-#.#b.bb.bb.bbb...G###bbbb
+bB.#.#b.Gb.Gb.GbbBB...G###bb
+G..#.#bbbbbbbbbbbbbBB...G#.b
+b#-#-............GbbbBB....b
+G#.G.#bBBBBb#.BbbbbbbbbBBBbb
+b#BBB#......#..............b
+.#...#----..#..........E....
+Bbb#.....G..#bbbbbbbbbbbbbb#
+...#..E.....#..--------....#
+G..#bbbbbbbbbbb...E.E..bbbbb` },
+  { variant: 'professional', num: 114, data: `bbBbbbbBbB..S.E.E.E.E.EB....
+G#---#---...SbBbbBbBbbBbB...
+b#.G.#.G..Sbb............b..
+G#...#..b#b.....G.....G.G.B.
+B#bb#bbbB#bbbBbBbbBB#bbbbXbB
+b#b###b.b#b......Gb###b..G.b
+b#b#b#b.b#b#bbbbbbb#b#bbbb.b
+b#b#G#b.b#b#bbGMbbb#.#b..G.b
+b#bbbbb.b#b#bbbbbbb#.#bXbbbb
+b#.G.G..b#b#....bbb#G#b...Gb
+BbbbXbbB###bbbb#bbbbbbbbBXBB
+G#b#----#b#---###b........#G
+b#b#..........#.#b--------#b
+b###.bbbbbbbb.#.#b......G.bB
+bb#..bbGbbGbb.###GbbBbBbB#.G
+bb#............#.bBG.....#Bb` },
+  { variant: 'professional', num: 115, data: `...............S............
+....E....-E....SE..GE...E..G
+#bbbbbbb#.b....S..G#bbbbbbbb
+#bbbGbbb#.bb...S.G#.........
+#.BbbbB.#.bbb..SG#.........G
+#..BbB..#.bG.bbS#G..bbbbbbXb
+#...B...#.bbbbbS.#G.........
+#...M...#.bbb.bS..#G.......G
+bbbb#bbbb.b.bbbS..G#bbbbbbbb
+....#.....GbbbbS.G#.........
+....#.....bbbbbSG#....bBbbb#
+#bbbbbbbbbbbbbbS#G...B#....#
+#................#G..BBb...#
+#.................#G.BBGbb.#
+#..................#.BBB...#
+bBbBbBbBbBbBbBbBbBbBbBbBbBbB` },
+  { variant: 'professional', num: 116, data: `............................
+..b..b..b..b..b..b..b..b..bS
+Sb.Sb.Sb.Sb.Sb.Sb.Sb.Sb.Sb.S
+SbbXbbXbbXbbXbbXbbXbbXbbXbbX
+S......M...bX....bX.........
+#bbbbbB#bb#bX#bb#bX#bbbbbbb.
+#bbbGbB#bb#..#bb#..#bbbbbbb.
+#b.bbbB#bb#..#bb#..#bbbbbbb.
+#bbbGbB#bbbbbbbbbbbbbb.bbbb.
+#b.bbbB#bGbG.....bbbbb.bbbb-
+#bbbGbB#..bbbbbb#b.G.b.bbbb-
+#b.bbbB#bbb..E..#.bbbbG.bGb.
+#bbbGbB#..Gbbbbbb#....b.bbb.
+#b.bbbB#bbb......bbbb#-----.
+#bbbbbB#..................#G
+#E....E#bBbBbBbBbBbBbBb-#b-#` },
+  { variant: 'professional', num: 117, data: `..-.........................
+#BXbb#B.........E-..........
+#BXbb#b#bBBBBBBBb.#bBbBbBbBb
+#BXbb#B#bG.....Gb.#...b.---G
+#GXbb#b#bBBBBBBBb.#bbbbb....
+#BXbb#B#........M.#.b..#bbbb
+#GXbb#bBBBBBBBBB#BBBBBB#bbbb
+#BXbb#B---------#-----.#bbbb
+#BGbb#b....G....#BbBbB..#bbb
+#BbXX#B.bbbbbbb.#bBbBb..#bbb
+#....#b.........#.......#bbb
+#bBbBbBbB#BbBbBbBbBbBbB#-#bb
+#.......B#..G...G...G..#.#bb
+BBBBbBBBB#.bbb.bbb.bbb.#.#bb
+G........#....E...E....#bbbG
+bbbbbbbbb#bbbbbbbbbbbbb#....` },
+  { variant: 'professional', num: 118, data: `........SS....SG.......-----
+#bbbb#BES.S...Sbbbbbbb#b.X.b
+#bb..#BB#S....SG......#b.X.b
+#.bb.#..#.S.S.Sbbbbbbb#b.X.b
+#..bb#BE#SGG.S........#b.X.b
+#.bb.#BBbBbBb#bBbBbBbBXb.X.b
+#bb..#...----#..b......b.X.b
+#.bb.#BE.G..G#BbGbB#bXGb.X.b
+#..bb#BB#b..b#BbbbB#...b.X.b
+#.bb.#..#.bb.#BbbbB#bbbb.X.b
+#bb..#BE#....#.....#...b.X.b
+#.bb.#BBb#..#b#.#bbbbb#b.X.b
+#..bb#...bbbbbbbb.....#bbbbb
+#.bb.#B..........G...G#bGbGb
+#bGGb#BE.#bbbbbb#..M..#.....
+#.bb.#.bbbBBBBBBbbbbbbbbbbSG` },
+  { variant: 'professional', num: 119, data: `.............M..............
+#BbbbbbbbbbbB##BbbbbbbbbbbB#
+#bbbbbbbbbbbb##bbbbbbbbbbbb#
+#bbGbbbbbbbbb##bbGbbbbbbbbb#
+#bbbbbbbbbbbb##bbbbbbbGbbbb#
+#bbGbb#bGbbbb##bbbbbbbbbbbb#
+#bbbbb-bbbbbb##bGGbbbbbGGbb#
+#bbbbb-bbbbbb##bbbbbbbbbbbb#
+#bbbbb-bG.bbb##bbbbbbbbbb.b#
+#bbbbb.bb#bbb##bbbbbbbbbGGb#
+#bbbbbbbG#bbb##GbbbbbbGGbbb#
+#bbbbbbbb#bbb##bbbbbbbbbbbb#
+#bGbbbbbG#bbb##BbGbbbbbbbbb#
+#bbbbbbbbbbbb##bbbbbbbGbbbb#
+#E..........E##E..........E#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 120, data: `M..........................E
+...Bb#bbbbb#bbbbbbbbbbbb#bbb
+..#..#.....#............#.BB
+BB...#.....#...........bSb.B
+...BB#.BBbb.#B.B..#bBB#bbb#B
+BBB..#.b-bb.#B.B.SBb#B#G..#B
+.....#..bb.#BB.BBBBbBBBBG.#B
+.b.#B#.BGGB#..#.GB.G...bBBBB
+..bB.#..bb.#-B.BBBbBB#bb....
+G#-B.#..B..#..B.---.BSbG-.B.
+bBBB.#.BGbB#...EBBB#BBBBSb#.
+--...#..Bb.#BbB#...#....BBB.
+.b.-.#...b.#B#Gbb#.#.#-#-#-#
+b#bSb#.E...#.B#-#b.#B-#-#-#-
+#GBBb#b#bSb#.BB.BB#GB#-#-#-#
+Bb###bbbbb.#bbbBbbbbB-#-#-#G` },
+  { variant: 'professional', num: 121, data: `BBBBBBBBBBB#-....-...MEE....
+#...--.....#.b..b.bbb#..BBBB
+#bbb.......#.G..G.bGb#......
+#bGb.......#.b..b.b.b#..G...
+#b.bGBBBbbbB.bbbb.bbb#......
+#bbb.B..GGG..---.....#..bbbb
+#....Bb#...#b...b#...#..Gbbb
+bbbb#Bb#..##b...b##..#.bbbbb
+....#Bb#..#.b.G.b.#..#....G.
+#bbbbBb#.##bbG.Gbb##.#......
+#....Bb#.#.bG...Gb.#.#.#bbbb
+bbbb#Bb#.#bG.bbb.Gb#.#.#....
+....#Bb#..bEbbbbb.b..#.#####
+#bbbbBb#..G.bbbbb.G..#.----#
+#.....b#....bGGGb....#.....#
+bbbbbbbbbbb#.....#bbbbbbbbbb` },
+  { variant: 'professional', num: 122, data: `SSSSSSSSSSSSSSSSSSSSSSSSSSSS
+E...........SSSS...........E
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#
+#b.Gbb......bGGb......bbG.b#
+#..bbbbbbG..bbbb...Gbbbbb..#
+bb#..bbbbbbb..M.bbbbbbb..#bb
+..bb#..bbbbbEbbEbbbbb..#bb..
+....bb#.--.b.Gb.b.--.#bb....
+.GbbG.bb..#b.bb.b#..bb.GbbG.
+bbGGbb..#bbb.bG.bbb#..bbGGbb
+..bb..#bbbbb.bb.bbbbb#..bb..
+....#bbbb..........bbbb#....
+..#bbbb..#bbbbbbbb#..bbbb#..
+Gb#......#b..GG..b#......#bG
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 123, data: `b#S#.#...#S.S#..SS...SS.S#Sb
+b#E#.#...#.S.#.S..S.S..E.#.b
+b#S#.#...#...#.S..S.SSS..#.b
+b#.#.#...#...#.S..S...S..#.b
+b#G#G#SSG#GG.#.GSSGGSSGG.#.b
+bbbbbbbbbbbbSSSbbbbbbbbbbbbb
+############################
+.####..................####.
+..###bbbbbbbbbbbbbbbbbb###..
+...######################...
+....####......M.....####....
+.....###bbbbbbbbbbbb###.....
+......################......
+.......####......####.......
+........###bbbbbb###......GE
+Gbbbb#...##########...#bb.bb` },
+  { variant: 'professional', num: 124, data: `BBbbSSS.SGSbSSS.SSSbbSSS....
+BBBbb#..#b#b#bbbS..Sb#BBbbbb
+BBbGb#Bb#S#.#SbbS##bb#SBbbbb
+BBBbb#BbSbSbSbbb#bb#b#BBbbbG
+.....#BGSbSbSSSb#bb#.#SSbbbb
+#BbBbBbBbBbBbBbBbBbBbBbBbBb#
+#........B....--...b......b#
+#.#-..-#.B.#bbbbbb#b#bbb..b#
+#.#.--.#.B.#bbbbbb#b#bGbbbb#
+#.#-..-#.B.#bbGGbb#E#b.bbbb#
+#.#bGGb#.BBBBBBBBBBBBbbbb.b#
+#.#....#.....-------------.#
+#.#....#.....G...G...G...G.#
+#.#....#...................#
+#.#....#............M..EE..#
+#bbbbbbbbbbbbbbbbbbbbbbbbbb#` },
+  { variant: 'professional', num: 125, data: `...........................#
+...........................#
+........#bbb...............#
+.......#bbbbbb.............#
+......##bbbbbbbb...........#
+.....##.bbbbbbbbbb.........#
+....##...bbbbbbbb..........#
+...##....bbbbbbbG..........#
+..##......bbbbbGG..........#
+..##......bbbbGG...........#
+..##.......bbGG............#
+..##.......b...............#
+..##.......................#
+..##.......................#
+..##.##....................#
+bbbbbbbbb#EEEEE...........M#` },
+  { variant: 'professional', num: 126, data: `ME......G......G...........E
+B.....#bbb-...-#.#bbbbbbbbbb
+B..B..#....-.-.#.#bbbbbbbbbb
+..bGb.#.....-..#.#bbbbbbbbbb
+.BbBbB#....-.-.#.#bbbbbbbbbb
+.-----#.G.-...-#.#bbbbGGbbbb
+......bXbb.......#bbbbbbbbbb
+...........#b#...#..........
+.bbbb#bb#bbbbbbbbbbbb#bbbbb#
+.bG.b.Gb#............#b...b#
+.bBBbBBb#..bbb..bbb..#b.G.b#
+....E...#..bbb..bbb..#X...b#
+.bbbbbbb#b#.G.GG.G.#b#bBBBX#
+........#.#........#.#.....#
+........#E#........#E#.....#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 127, data: `..............M.............
+SSSSSSSSSSSSSSSSSSSSSSSSSSSS
+G...S------------------S...G
+bbbb#BbbbbbXB..BXbbbbbB#bbbb
+G...#BBBBBBB.bb.BBBBBBB#...G
+bbbb#BBBBBB.bbbb.BBBBBB#bbbb
+G...#BBBBB.bbGGbb.BBBBB#...G
+bbbb#BBBB.bbG..Gbb.BBBB#bbbb
+....#BBB.bbG....Gbb.BBB#....
+#bbbb...bbG......Gbb...bbbb#
+#bbb....bbG......Gbb....bbb#
+#bbbb...GbbG....GbbG...bbbb#
+#BBBbBBBB.bbG..Gbb.BBBBbBBB#
+#BBB.BBBBB.bbGGbb.BBBBB.BBB#
+#.........EEbbbbEE.........#
+bbbbbbbbbbb#.XX.#bbbbbbbbbbb` },
+  { variant: 'professional', num: 128, data: `.........SSSSSSSSSS.........
+......SSSS..EEEE..SSSS......
+...SSSS..G..BBBB..G..SSSS...
+SSSS..G..BBBB..BBBB..G..SSSS
+S..G..BBBBG......GBBBB..G..S
+BBBBS.G..BBBB##BBBB..G.SBBBB
+...BBBBS.G..B##B..G.SBBBB...
+G.....BBBBS.G##G.SBBBB.....G
+bbbb#....BBBB##BBBB....#bbbb
+...bbbb#.....##.....#bbbb...
+......bbbb#..##..#bbbb......
+.........bbbb##bbbb.........
+.............##.............
+bbbbbbbbbbbbb##bbbbbbbbbbbbb
+.............##M............
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 129, data: `M.---.--..-----.-...-.-.-...
+bb...b..bb...b.#.###.#S#.#..
+b.b.b.b.b.b.b.b#.S.S.#.#.#..
+b.b.b.b.b.b.b.b#.SSS.#S#.#.S
+bGb.bGb.bGb.bGX#...S.#.#.S#S
+bX...X..bX...X.S.SSS.###...#
+...........................#
+-------------...--.--...-..#
+#.###.###.###bbb..b..bbb.bbb
+#.S.S.S.S.S..bG..b.b.bG...b.
+#.SSS.SSS.SSSbbb.b.b.bb...b.
+#...S.S.S...S.Gb.bGb.b....b.
+#.SSS.SSS.SSSbbb..X..b....b.
+#.......................EEEE
+BBBBBBBBBBBBBbbbbbbbbbbbbbbb
+bbbbbbbbbbbbbBBBBBBBBBBBBBBB` },
+  { variant: 'professional', num: 130, data: `.M...........GG...........E.
+SbbbbbbbbbbbbbbbbbbbbbbbbbbS
+Sb...........GG...........bS
+SbBBBBBb#BBBB##bbbbbbbbbbbbS
+SbBG...b...GB##...........bS
+SbbBBBBbBBBBb##Bbbbb....bbbS
+Sb-----------##Bbbb...bEbGbS
+Sb.....-.....##Bbb...bbbb#bS
+Sbbbb.bEb.bb.##..Gb.bGbbb#bS
+S.bbb.bbb.XG.##..b.bbbb#.#bS
+Sbbbb.bbb.Gb.##...GG...#b#bS
+SbGbb..G..bb.##BBBBBBBB#.#bS
+Sb..........E##E..GG...#b#bS
+SbbbbbbbbbbbbbbbbbbbbbbbbbbS
+SG........................GS
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 131, data: `.....BBB.......#-...-#b....M
+#bGb#B.#.bbbbbb#.b#b.#b...GE
+#bbb#B#.G......#.b.b.#BBBBB.
+#bbb#B#.XXbbbbb#.b#b.#......
+#bbb#B#........#.b.b.#..BB..
+#bbb#B.#.bbbbbb#.b#b.#.b.Gb.
+#bbb#BBBB...bbb#.b.b.#.b#bb.
+#bbb#......#bBb#.bbb.#.b#bb.
+#bbb#b...BBbb-b#.bbb.#.b#bb.
+#...#b...BBbb-b#.bGb.#.b#bb.
+#BBBbbXG.BBGbBB#.....#.b#bb.
+#...Gbbb.BBbBBBbbbbbb#.b#...
+#BBXbbG....E.........#.b#-b.
+#.....BBBBBbBBBBBBBBB#.bbbb.
+#E..................E#......
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 132, data: `...G.........E........-.....
+#bbb.bbbbbbbbbbbbbbbbb.bbb#.
+#..E.bbbbbbbbbbbbbbbbb.bbb#.
+bbb#.bbbbbbbbbbbbbbbbb.bb##.
+bGb#.bbbbbbbb.bbbbbb.G.b###b
+bb##.bbbbbbb...bbbbbbb..#b#b
+.##b.bbbbbbG...Gbbbbbb.E#bGb
+.#bb.bbbbbbb...bbbbbbb.b##bb
+b##b.bbbbbbbb.bbbGbbbb.bb##b
+bb##.bbbbbbbbbbbbbbbbb..bb#.
+bbb#.bbbbbbbb..bbbbbbb.Gbb#.
+.b##.bbbbbbbb.bbbbbbbb.bb##b
+G##b.bbbbbbbbGbbbbbbbb.b##bb
+##bb.bbbbbbbbXbbbbbbbb.##bGG
+#............M.........#..bb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 133, data: `-------G------------G-------
+#-..-..b..-.M##..-..b..-..-#
+#.-..-.G.-..-##-..-.G.-..-.#
+#..-..bbb..-.##.-..bbb..-..#
+#...-..G..-..##..-..G..-...#
+#....bbbbb...##...bbbbb....#
+#...b-bbb-b..##..b-bbb-b...#
+#..b..-b-.bb.##.bb.-b-.bb..#
+#..bb-GbG-bb.##.bb-GbG-bb..#
+#.bbb-bEb-bbb##bbb-bEb-bbb.#
+#.bb.-b.b-.bb##bb.-b.b-.bb.#
+#b...-bGb-...##...-bGb-...b#
+#bbbb.-b-.bbb##bbb.-b-.bbbb#
+#Ebbb-GbG-bbb##bbb-GbG-bbbE#
+#..bb.bbb.bb.##.bb.bbb.bb..#
+#....#bbb#...##...#bbb#....#` },
+  { variant: 'professional', num: 134, data: `#BBBBBBB.E...M...EE.BBBBBBB#
+#..BBBB..BBBBBbBBBB..BBBB..#
+#BSEB..G###......###G..BESB#
+#BBBB.BBbb#BBBbBB#bbBB.BBBB#
+#B.....####......####.....B#
+#B.bBBb#bbbBBBbBBbbb#bBBb.B#
+S......####......####......S
+bBBBBbBbbb#BBBBBB#bbbBbBBBBb
+G.........###..###.........G
+bBBXbBXBBBbbb##bbbBBBXBbXBBb
+.....G.......##.......G.....
+BBBXBbXBBB###..###BBBXbBXBBB
+G......####..##..####......G
+bBBbBBX#...#XBBX#...#XBBbBBb
+G...#####XBBB##BBBX#####...G
+BBBX#...#B########B#...#XBBB` },
+  { variant: 'professional', num: 135, data: `.BBBBBBBB#..................
+.........#........--........
+....E.G..#-SSSSSS#..-..G...G
+...#b#bbXB.-..SE.#...--#bbbb
+...#BS..GBG-..S.#BXbB..#....
+...#BBBBBBB.BB#-#..G..#Bbbbb
+...#--.BBBB...#....B..#-...#
+.---.B#.....G.#G......#-b.B#
+b-B-bB#BXb#BBBBBB#bbXb#BbGB#
+b...bB#...#..BB..#....#.#bB#
+bbGbbB#Bbb#bbGBB.#...B#....#
+.bb...#...#.bbGBB#.G..#-#bbB
+......#...#bGbbGB#.B..G.#bGB
+bbbbbb#...#bbGbb.#.---B.#XbB
+......#E..#.bbGbb#......#...
+bbbbbbBbbb#M..E..#bbbbbbbBbb` },
+  { variant: 'professional', num: 136, data: `S...........................
+S.....................-----.
+S........M..........E......#
+S....bbbbbbbbbbbbbbbbbbb...#
+S..bbbbbbbbbbbbbbbbbbbbbbG.#
+S.bbbb..G...............bb.#
+S.bbGG..bb.E......G.....bX.#
+Gbbb....bbbbbbbbbbbbbbbbbG.#
+.Xbb....bbbbbbbbbbbbbbbb...#
+.Gbb...............G.......#
+..bbbb..G.......E.bb.......#
+...bbbbbbbbbbbbbbbbbG......#
+.....bbbbbbbbbbbbbbb.......#
+...........................#
+E...........E..............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 137, data: `SB.BB.BBBBBB....BBBBBBBBBBBB
+SB.BB.-----.----..........-B
+S----#-----BS..#BBBBBBBBB#.B
+SG...#G....BS..#...G...B.#.M
+Sb#bXBbb#bbBS..#bbbBbbbBb#bB
+S.#-----#.GBS..#G..B.#####.B
+S.#.B.B.#.BBS..#bG...#GB..GB
+#B#G...E#..BS..#bbbbXBbBbbbB
+#BBbb#bbBbbBS..#b..B.G.BG..B
+SG...#....GB#--#b..B.BBBB..B
+#bbb.#....BB#EG#b.GB.G...G.B
+#bbbbBb#bbBBBbbBb#bBbbXbbb#B
+#---.B-#-----.bBb#--------#B
+#G..#B.#.G...#G..#.G....G.#B
+Bb#bBBbBXbBbb#bXbBb#bB#bb#bB
+Gb#.G........#.....#.E#G.#..` },
+  { variant: 'professional', num: 138, data: `.........S....bbbbbM........
+.........S...bG###Gb.------#
+.-----...S...b######b......#
+#........S...b###E###b.....#
+#.....bb.S...b#######b.....#
+#....bG.bS....bG#####b.....#
+#.....bb.......b###Gbb.....#
+#...............bbbbbbb.-..#
+#...E................bbb...#
+#######-b#..S...SS.SSSbbB..#
+#######.b#.S.S.S...S..GbBB.#
+#######.b#.S.S.S...SS...BBB#
+#######.b#.SSS.S...S.....BBB
+#######Gb#.S.S..SS.SSS....BB
+--------b#..E..............E
+G..G.#bbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 139, data: `SbbbbbbbbbbbbbbbbbbbbbbbbbbS
+S----#B#----#bb#----#B#----S
+S....#B#...#.M..#...#B#....S
+S....#B#....#bb#....#B#....S
+S....###....#bb#....###....S
+#BS....#bbbb#..#bbbb#....SB#
+#BES...#....#bb#....#...SEB#
+#bbbbbbbbbbb#bb#bbbbbbbbbbb#
+#BBBBBBBBBBBBbbBBBBBBBBBBBB#
+#BE.....B..........B.....EB#
+#B.....#bbbb#GG#bbbb#.....B#
+#......#....#bb#....#......#
+#....#B#....#bb#....#B#....#
+#....#B#...#.GG.#...#B#....#
+#...G#B#G.B.#bb#.B.G#B#G...#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 140, data: `E--------------#............
+..........GG...#............
+#bbbbbb...##...Bbbbbbb#bbbbb
+#........#BB#.........#bGGbb
+Bbbbbb#.b#BB#b........#b..bb
+......#..####..#bbbbbbBbbXbb
+bbbbbbB...##...#..........GE
+bbbbbbB...##..-#.b.bbbbbbbbb
+bbbbbbB...##......b.bbbbbbbb
+bbbbbbB...##.......b.bbbbbbb
+bbbbbbB...##........b.bbbbGb
+GbbbbbB...##.........b.bbbbb
+.-----.SbbbBb#..............
+S.....SSbbBBb#E...BB#.......
+S.....SbbbBBbBbbbbBBB#.....M
+S.....SbbbBBbBbbbbBBBB#-----` },
+  { variant: 'professional', num: 141, data: `SbbEbEbbbbbbbbbbbbbbbbEbEbbS
+S......#---#....#---#......S
+S...bGb#...#-##-#...#bGb...S
+S...bbXbG..bb##bb..GbXbb...S
+S...G...bb..####..bb...G...S
+Sbb.bbbbGbb.#bb#.bbGbbbb.bbS
+S......bbGbb#bb#bbGbb......S
+S##bbb..bbG.#..#.Gbb..bbb##S
+S##bbbb..bbbb##bbbb..bbbb##S
+S##bG.GB#....##....#BG.Gb##S
+S##bGbB..bbbb##bbbb..BbGb##S
+S##XBB.GbbG..##M.GbbG.BBX##S
+####...bbGbb####bbGbb...####
+####bbbbGbb.####.bbGbbbb####
+####....bbG.####.Gbb....####
+bbbbbbbB#GBbbbbbbBG#Bbbbbbbb` },
+  { variant: 'professional', num: 142, data: `...........................S
+G.........GBBG............-S
+#E.......#bbbb#.....bbbbbBM#
+#E.......#GBBG#.....bbbbb#.#
+#E.....#bbbBBbbb#...bbGbbB.#
+#E.....#G..BB..G#...bbbbbB.#
+#....#bbbbbBBbbbbb#.bbbbbB.#
+#....##G...BB...G##........#
+#bbbb..#bbbBBbbb#.....bbbbb#
+#......##G.BB.G##..........#
+#........#bBBb#............#
+#........##GG##............#
+#..........##..............#
+#.........#BB#.............#
+#G........#..#............G#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 143, data: `............................
+S.M.SSSE.SSSE.SSSE.SSSE.SSSS
+#bbb#.#bb#.#bb#.#bb#.#bb#..S
+#bGb#.#bb#.#bb#.#bb#.#bb#..S
+#XbXb.bbbb.bbbb.bbbb.bbbb..S
+#............#.............S
+#.#bGGb.bbbb.#BGb.#bbb.bbbb#
+#..b..b.B#GB.#Bbb.#bGb.bG..#
+#..bbbb.BBBB.#Bbb.bXbb.bbXb#
+#............##............#
+#bbbb.bbbb.bbB#.BBBB.BBBB..#
+#bbGb.bGGb.bGB#.BG.....GB..#
+#bXbb.b..b.bXB#.BBB#.#BBB..#
+#............##............#
+#............##............#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 144, data: `SB.........--M............B.
+SB........#..GG...........B.
+SB........#..bb...........B.
+SB....bbB##.bBBb.##Bbb....B.
+SB...bbB##.bB##Bb.##Bbb...B.
+SB..bbB##.bB####Bb.##Bbb..B.
+SBGbbB##.bB##--##Bb.##BbbGB.
+SBbbB##.bB##----##Bb.##BbbB.
+SBbE##.bB##--..--##Bb.##EbB.
+SBb##.bB##--.GG.--##Bb.##bB.
+SB##.bB##--..bb..--##Bb.##B.
+SB#.bB##--..bbbb..--##Bb.#B.
+SB#bB##--..bb##bb..--##Bb.B.
+SBbB##--..bb####bb..--##Bb..
+SBB##---.bb##GG##bb.---##Bb.
+SS##--E.bb##-bb-##bb..--##bb` },
+  { variant: 'professional', num: 145, data: `##GE#..#..#..#.E#..#..#..#E#
+#.b#.b#.b#.b#.b#.#b.#bG#bG##
+#b#.b#.b#.b#.b##b.#b.#b.#b.#
+##.b#.b#.b#.b#..#b.#b.#b.#b#
+#.b#Gb#.b#.b#.#b.#bG#b.#b.##
+#b#.b#.b#Gb##b.#b.#b.#b.#b.#
+##.b#.b#.b#..#b.#b.#b.#b.#b#
+#.b#.b#.b#.#b.#bG#b.#b.#b.##
+#b#.b#.b##b.#b.#b.#b.#b.#b.#
+##.b#.b#M.#b.#b.#b.#b.#b.#b#
+#.b#.b#.#b.#b.#b.#b.#b.#b.##
+#b#.b##b.#b.#b.#b.#b.#b.#b.#
+##.b#..#bG#b.#bG#b.#b.#b.#b#
+#.b#.#b.#b.#b.#b.#b.#b.#b.##
+#b##b.#b.#b.#b.#b.#b.#b.#b.#
+##..#..#..#..#..#..#..#..#.#` },
+  { variant: 'professional', num: 146, data: `........M.........-.-.-..--.
+#Bb#bB#.bbb#Bb#bB#.#.#.bb..#
+#Bb#bB#bbb.#Bb#bB#.#.#..bb.#
+#Bb#bB#.bbb#Bb#bB#.#.#.bb..#
+#Bb#bB#bbb.#Bb#bB#.#.#..bb.#
+##bBb##.bbb##bBb##.#.#.bbE.#
+E#bBb#.bbb.E#bBb#E.#.#..bb.#
+.#bBb#.B..B.#bBb#.##.#.bb..#
+.#bBb##BG.B##bBb#.#..#..bb.#
+.###bB#.bb.#Bb###.#.##.bG..#
+...#bB#..bb#Bb#...#.#...bb.#
+##.#bB#.bb.#Bb#.###.#..bb..#
+.#.#bB#..bb#Bb#.#...#...bb.#
+.#.####BB.B####.#.####.bb..#
+.#....#B.GB#....#.#..#..Gb.#
+.####.#Bbb.#.####.#..#.bb..#` },
+  { variant: 'professional', num: 147, data: `#######-.......-----..M.####
+######..bbbbbbb.....#bb..###
+#####..bbbbbbbbb.....#bb..##
+####..bbG.....Gbb.....#bb..#
+###..bb.........bb.....#bb..
+##.GbbG.........Gbb....G#bbG
+#..bbbbbbbbb#.....bbbbbXbbbb
+#..bbbbbbbbbb#....GbbbbXbbbb
+##..bb#.G..Gbb#..........bb.
+###..bb#.....bb#........bb..
+####..bb#.....bb#.G..E.bb..#
+#####..bb#E....bXbbbbbbb..##
+######..bb#.....Xbbbbbb..###
+#######.............G...####
+########.....E.........#####
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'professional', num: 148, data: `S-..E..................M..-#
+S.BBBbBBBbBBBbbBBBbBBBbBBB.#
+SbE......................Eb#
+#B..##...##......##...##..B#
+#B.#..#.#..#.GG.#..#.#..#.B#
+#B.#..#.#..#.##.#..#.#..#.B#
+#B.G##GGG##G....G##GGG##G.B#
+#B.#..#.#..#.##.#..#.#..#.B#
+#B.#..#.#..#G..G#..#.#..#.B#
+#B..##...##......##...##..B#
+#B........................B#
+#.BBBbBBBbBbbbbbbBbBBBbBBB.#
+#.---------.bbbb.---------.#
+#..G....G..#bbbb#..G....G..#
+#.E........#b##b#........E.#
+BBBBBbBBBbBbG##GbBbBBBbBBBBB` },
+  { variant: 'professional', num: 149, data: `BB..-...BBB..-..B.--........
+.G-#.BbG...b#.BbGb..#BBbGB#b
+.b..#.Bb..Gb#..BB..#B.Gbb.#b
+.Bb..#.bbB.bB#E...#B..bBBBBb
+.BBb..#.BBbBBbBBBb#BBBb....G
+.BGbb.#----...--.b#.....B#.X
+.BBb..BXB...bB.G.BbBBbBB.#BX
+.BB..BBGBB.bBBBbBB...-..#BB.
+.B..BBBXBBBbG....BGbB..#BB..
+..GBB.#---.BBB....bB..#BB.--
+..BB.#....#..........#BB.#.G
+.BB.#B....----#Bb#..#B...#b.
+...#..BEb...E.#.bBb#B.bbB#b.
+..SX#..bBb.SbBBbbGB#.BbbG.bB
+GSBGB#..BGbSbG.bbBBb#.bbbBBB
+BS.X..#..bBSB.BBbM..#B#b..GB` },
+  { variant: 'professional', num: 150, data: `SS#SS.#..#.#S#..#S#.#..#.#S.
+..S...S..S.S....S...SS.S.S.S
+..S...SSSS.SS...SS..SS.S.S.S
+..S...S..S.S....S...S.SS.S.S
+..#...#..#.#S#..#S#.#.S#.#S.
+#BBBBBBBBBBBBBBBBBBBBBBBBBB#
+#Bb#G#b#G#b#E##E#b#G#b#G#bB#
+#Bb#b#b#b#b#b##b#b#b#b#b#bB#
+#BG#b#G#b#G#b##b#G#b#G#b#GB#
+#bbbbbbbbbbbb##bbbbbbbbbbbb#
+#BG#b#G#b#G#b##b#G#b#G#b#GB#
+#Bb#b#b#b#b#b##b#b#b#b#b#bB#
+#Bb#E#b#G#b#.##.#b#G#b#E#bB#
+#BBBBBBBBBBBB##BBBBBBBBBBBB#
+#EG..........##..........GM#
+bbbbbbbbbb#..##..#bbbbbbbbbb` },
+  { variant: 'fanbook', num: 1, data: `.......M..........---..---..
+.b...bbb.-#bbbb-.b...bbG..b#
+.b.G#b..b.#b....b.b..b.b..b#
+.b..#bG.b.#b.G.bS.Gb.b.bG.b#
+.b..#bbb--#Xbb.bbBBb.b..b.b#
+.bG.#b.b...X...b...b.b..bGb#
+.bbb.b..b..b...b...b.b...bb#
+..................-........#
+..bbbb..#bbb.-#bbb.#b...b..#
+..b...B#b..#b.b...b#b..b...#
+..b..Gb#b..#b.b...b#bGb....#
+..b#bb.#b.G#b.b.G.b#bb.....#
+..b#.#b.b.-#b.b.--b#bbbG...#
+..b#..b.b...b.b...b#b..b.--#
+..bbbb...bbb...bbb..b...b...
+............................` },
+  { variant: 'fanbook', num: 2, data: `#----------..M..-----------#
+#..........bbbbb...........#
+#.......-.bbbbbbb.-........#
+#........bb-bbb-bb.........#
+#........bb.bbb.bb.........#
+##....b..bbb.X.bbb..b.....##
+#.#....bGGGGGGGGGGGb.....#.#
+#..#...bG....G....Gb....#..#
+#...#...bGGGGbGGGGb....#...#
+#....#..bbbBBbBBbbb...#....#
+#.....#..bb#####bb...#.....#
+#......#..bbbbbbb...#......#
+#.......#..bbbbb...#.......#
+#........#..bbb...#........#
+#.........#bbbbb.#.........#
+.........bbbbbbbbb..........` },
+  { variant: 'fanbook', num: 3, data: `Bbbbbbbbbb...bSb...bbbbbbbbB
+B....b..#bE.bbSbb.Eb#...b..B
+B...b..#bbbbb.S.bbbbb#.--b#B
+BE..b.#bbbb...S...bbbb#..b#B
+B...b.bbbb...SbS...bbbbb.b#B
+B.M..bb.b...SbbbS....b.bb.#B
+B.EEbbbbb..SbbbbbS...bbbbb#B
+B......G..S...G...S..G....#B
+B.....G#GS...G#G...SG#G...#B
+B....G#.#G..G#.#G..G#.#G..#B
+B...G#...#GG#...#GG#...#G.#B
+B...#..G..##..G..##..G..#.#B
+B....#...#..#...#..#...#..#B
+B....G#.#G..G#.#G..G#.#G..#B
+B....--#------#------#--..#B
+B......G......G......G....#B` },
+  { variant: 'fanbook', num: 4, data: `B........bbbbbbbbb.S.......B
+B........b...M...b.S.......B
+B-------bbbbbbbbbbbS------#B
+B#......bb#.-..-.#bb......#B
+B#......b.#.b..b.#.b......#B
+B#.....Gb.#......#.bG.....#B
+B#....Gb.G#E....E#G.bG....#B
+B#...Gb.Gb.#..G.#.bG.bG...#B
+B#..Gb.Gb..G#..#G..bG.bG..#B
+B#.Gb.Gb..Gb.##.bG..bG.bG.#B
+B#.b.Gb..Gb..##..bG..bG.b.#B
+B#..Gb..Gb..bb#b..bG..bG..#B
+B#..b..Gb..bbG#bb..bG..b..#B
+B#.....b..bbB#GBbb..b...###B
+B#.......bbbB#BBbbb.....#..B
+B#......############...##..B` },
+  { variant: 'fanbook', num: 5, data: `....G......G.....G..........
+bb#bbXbbbb#bbbbXbbbb#bbbXbb#
+..#.......#.........#----..#
+..#.E.....#..............E.#
+bbbbbb#bXb#b#bbbbbXb#bbb#bbb
+......#---#.#.......#...#...
+.G....#.....#...G...#...#..G
+bbb#Xbbbbbbbb#bbXbbbbbbbbXbb
+...#.........#..............
+G..#.........#..E.....G.....
+bbbbbb#bbXbbbbbbbbb#bbbbbbbb
+......#............#........
+....G.#............#.......G
+bb#bbbbbbXbbbbbbXbbbbbb#bbbb
+..#....................#....
+..#.........M..........#....` },
+  { variant: 'fanbook', num: 6, data: `BB#B##BB##B##B###B#BBBB#BB#B
+B####B#BBB#BBEBB#BB#B#BB#BBB
+BB#B#B####B#####B#####B###BB
+B###BBBB#BBBBBB#BB#BB#B#BBBB
+B#B#B#####B###B#B###BBB#B##B
+B#B#B##BB#B#BBB##B#B#######B
+B#B#BB##B#####B#BB#B#BBBB#BB
+B#B#B#B#BBB#B#B#B####B##B##B
+B#B###B###BBB#B#B#BB#BB###BB
+B#BBBBB#B#B###B#B#B#BB#B#B#B
+B####B##B#B#BBB#B#####B##BBB
+BBB#B#BBB#B#B###BB#BB##B###B
+BE##B###B#B#BBB#####B#B#BB#B
+BB#BB#B###B###BBBBBBB###BB#B
+BB####B#B###B#####B###BBMG#B
+B##B#BB#B#E#B#B#B###B#BE#B#B` },
+  { variant: 'fanbook', num: 7, data: `GM....E...........Gb#####Gbb
+bb-bbbbbbbbbbbbb-b#b#b.b#bbb
+..................#b#b.b#.bb
+...bb.bbbbbb.#bbbbbb#b.b#.bb
+BB...b.......#.bbbbb.b.b#.bb
+...b.bbbbbbbbb#.bbbb.b.b#.bb
+...b.G.......b#..bbb.b.b#.bb
+...bbbbbbbbb.b#...bb.b.b#.bb
+G..bG.......Gb####bb.b.b#.bb
+bb.bbbbbb#bbbb...#...b.b#.bb
+......bG.#.G.....#.bbb.b#.bb
+#b.bbbbbbb.bbbbbb#...b.b#.bb
+#.bb..bbbbbbbbbbb#b.Gb.b#.bb
+#.bbbbbbbbbbbbbbbbbbbb.b#.bb
+.Gb..-..................#.bb
+...SbGbbbbbbbb#bbbbbbb.b#Gbb` },
+  { variant: 'fanbook', num: 8, data: `.G..........E#..............
+.bbbbbbbbbbbb#....bb........
+.###.........#-.....bb......
+...#....G..G#..-......bb....
+..b#bbbbb.Eb#bE.---...E.bb..
+..b#.....Gb.#.b..G.----.....
+.#bb....G.G#G#...b...G......
+#.#bbbbbb.b.#.b..b.GGb......
+.#.........b#b..bbGbb.......
+#bbbb.G.....#..bbb..........
+#....bbbb#bbbbbbbGbbbbb.....
+#........#.......bbGbbbG....
+#.GG....#.#...G.GbbbbbbG....
+#b.bbbbbbbbbbbb..bbGGGbG....
+#.G...G.....GM.bbbb.bb......
+bbbbbbbbbbbbbb#...G.G.#Bb.G.` },
+  { variant: 'fanbook', num: 9, data: `...E.E.E.....M.S..E...E.....
+...............S............
+...............S............
+#--.-.-.-.---..S..-.--#.....
+#..b.b.b.b..b.bbbb.b..#bbb..
+#..b.b.b.bbGb.b..b.b..#b....
+#..b.b.b.bbbb.b....b..#bbb..
+#bGb.b.b.b.bb.bGbb.bGb#b....
+#Xbb.bbb.b..b.bbbb.bbX#bbb..
+#.....................#.....
+#bbbbbbbbbbbbb#bbb#bbb#b.GG.
+#bGb....-..bGb#...#..b#bbbbb
+#bb.#bbb.b#b.b#bGG#bbb#....#
+#b.G#bGb..#b.b#---#bGbbbbbb#
+#.Gb#b.b..#.bbb...bb.......#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'fanbook', num: 10, data: `............................
+..bbbbbbbb#bbbbbbbbbbbGbbbbb
+G-bGGGGGGb#GGGbbbGGGbbbbbbbb
+bGBBBBBbbG#bbbbbbb#bbbGGGbbb
+bGGGG..bbb#-------##..bbbbbb
+bGbbbbbbbG#GGGGGGG##bbbbbbbb
+bGGGGGGGGb#bbbbbbbb#bbbbbbbb
+bGbbbbbbbb#bbbbGbbb#bGGGbbbb
+bGbbbbbbbb#bbGGGGGb#bbbbbbbb
+bXbbbbbbbbbbbbbbbbb#bbbbbbbb
+b.GGGGGG.---GGGGGGG#GGGGbbbb
+b.bbbbbb#G-Gbbbbbbbbbbbbbbbb
+b.bbbb..#bbbbbbbbbbbbbbbbbbb
+b.bbb...#...................
+G.......#.......M......EEEEE
+b.....bb#bbbbbbbbbbbbbbbbbbb` },
+  { variant: 'fanbook', num: 11, data: `B.........................SB
+B------------------------bSB
+B#.......M.....#.E.#.....bSB
+Bbbbbbb.bbb#.bbBbbb#bb...bSB
+Bbbbbbb...G#.bbBbbb#.Gb..bSB
+Bbbbbb.....#.bbb.bb#.....bSB
+Bb....b....#.b....b#.....bSB
+Bb....b....#.b....b#..G..bSB
+Bb.-.Gb....#.b....b#.#b..bSB
+Bb#.bbb....#.b..G.b#.#..bbSB
+Bb#.bb.....#.b..b.b#.#...bSB
+Bb#.bbG....#.b.G..b#.#...bSB
+Bb#........#.b.b..b#.#....SB
+Bbbbbbb..G.#.b....b#.#.SbbbB
+Bbbbbbb#...#......E#.#....GB
+BG.....#####bbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 12, data: `B.............S............B
+B.------------S.---------..B
+B#b#....G....b#b..E...M..b#B
+B#.b#bbbbbb#b.#.bbbbbbbbb.#B
+B#.b#b--...#bb#bbbbb.bbbb.#B
+B#.b#b#-bbb#..#....#----#-#B
+B#-...#.b.-bbbSbbbG#....#.#B
+B#.b.b#.GbGb..S..bb#b#b.b.#B
+B#.bbb#.bbb...S...bbb.b#b.#B
+B#.G..b..b....S.......#bb.#B
+B#.b..BGbb....S....b.bGbb.#B
+B#.bbbbX.b....S....bbbbbb.#B
+B#.....G.b....S....bG.....#B
+B#.bb#bb.b....S....bbbb#b.#B
+B#.b#.bbbb....S....bbGb#b.#B
+B#Gb#...Gb..G.S.G..bb.#bb.#B` },
+  { variant: 'fanbook', num: 13, data: `B.....#----B---#--#------bBB
+BE.E..#........#..#..G.G-bBB
+Bbbbb.#.bbG.Gbb#..##.bGb.bBB
+B.E...#..bb.bb..--#.#bbb#bBB
+B.#b..#...bbb.....#..bGb.bBB
+B#.Gb###.bbMbb....#..b#b.bBB
+B#bGb.#...........#..b-b.bBB
+B#.bB.bbb.bbbbb#b##b#bGb.bBB
+B#bG#.bGG#bbb.b#b##b#bbb.bBB
+B#bbb.b...bGG.b.b##......bBB
+B#bGb.bbbbbbb...b.#bbbb#.bBB
+B#bGb.....bbbbbbb.#bGGbb.bBB
+B##b..............#bb#bb.bBB
+B#####.bbbbbbbb#bbbbb#bb.bBB
+B#....b............GG.b..bBB
+BbbbbbbbbbbbbbbbbbbbbbbbbbBB` },
+  { variant: 'fanbook', num: 14, data: `BE.....b.....--.G..bG......B
+B.....Mb.....#.bbb-.bbbbbb#B
+B-...Gbb.....#......-..b..#B
+BGbbbb.....G.#.....b..GbG#.B
+BbGb.G..#bbb.#Gb#..b#bbbG#.B
+B..b#bbbb.Gbbbb.#..b#bbbb#.B
+Bb--#-GG.bb...G.#..b#bGGbb#B
+BGGGS.bb..#bbbbbb.Gb#b-#..#B
+B#b#-.GGGGG......Gbb#bGGG.#B
+B#b.#.#bbb#.....Gb.b#bbbbbbB
+B#b#GG#G.G#GGGGGbG#B.......B
+B#bbbbbbbbbbbbbbbbbbbb#....B
+B#---------------..---#bG-#B
+B#b.E.....E..G..........b.#B
+B#bbbbbbbbbbbbbbbbbbbbbbb.#B
+B#........................#B` },
+  { variant: 'fanbook', num: 15, data: `B..........................B
+B...bbbbbbb#M......bbb#....B
+B..bbbbbbbbb#-----bbbbb#...B
+B.bbbbbbbbbGb.....bbbbb#...B
+B.bbbbb...bbb....bbbbbbb#..B
+B.bbbb...........bbbbbbb#..B
+B.bbbbb...------.bbbbGbb#..B
+B..bbGbbbb...G..bbb....b.#.B
+B....bbbbbbb....bb#....bb#.B
+B.......Bbbbb...bb......b#.B
+B........bbbb...bb......b#.B
+B#bbB....bbbb.Sbbbbbbbbbbb#B
+B#bGb...bbbbb.Sbbbbbbbbbbb#B
+B#.bbbbbbbbb..SbGb#...Gb.b#B
+B#..bbbbbGb.BBBbbb.....bbb#B
+B#........................#B` },
+  { variant: 'fanbook', num: 16, data: `B......................MEG.B
+B.....S..#.Gbbbbbbbb#bbb.b.B
+Bb...#-bbbbbG-G.G.G.G#bbb..B
+Bb#bbb..bbb.#.bbbbbbbbbbb..B
+Bb#...b-----#bGGbbbbbbbbb..B
+BBBBB#BBBB.BBBBBBBBBBBbbb..B
+B....#----S-.G.G.G.G.G.G...B
+B#b.........Sbbbbbbbbbb#...B
+B#bbbbbbbbSb#...........b..B
+B#bG.bbbbbbb#...........b..B
+B#bbbbbbbbbb#...........b..B
+B#bGbGbbbbbb#...........b..B
+B#bbbbbbbbbb#G...G...G.Gb..B
+B#G.G.G.G.Gb#bbbbbbbbbbbb..B
+B#bbbbbbbbb.#..............B
+B#.........bEb.EEE.........B` },
+  { variant: 'fanbook', num: 17, data: `B...-.-.-.............-.MG.B
+B#bbGbGbGb#bbbb#bbbbb#-#bGbB
+B#b.bbbbbbbbbbb-bG#Gbb.bbbbB
+B#b#bbbb..-bbbG#GbGbG---G--B
+B#b#bbbbbG.b.-b#bGXGbb.#bbbB
+B#b#b.....-.bGb#bbbbbb.#bGbB
+B#b#b####b.bGbb#..##...#bbbB
+B#b#b#---.GbbG-#bbGGbb#.-.EB
+B#b#b...#b.bGbb##GbbGb#..b.B
+B#b#bbbb#bbb..b#bbGbbb#..bbB
+B#b#b---#------#bbbGbb#...EB
+B#b#b#----------#GbbG##..b.B
+B#b#b#..........bbGGbb#..bbB
+B#b#.##bbbbbbbbbbbbbbbbb#..B
+B#.#--------------------#bGB
+BbbbXXXbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 18, data: `bbb.......bbbb.........bbbbb
+b.b#bbbbb#b.bbbb#bbbb##b.bbb
+bb##bbGbb#bbbGbb#bbGb#.bbbbb
+..#.bbbbb#..bbbb#bbbbb#...bb
+..#bbGb###......#bbbGb#...bb
+.##bbbb#........#bbbbbb#..bb
+.#.bG.b#....M...###bbGb#..bb
+##bbbbb###bbbbb##.#bbbGb#.bb
+#.bEbbb###bbEbb##..#bEb.#.bb
+.bbbb###.#bbbbb#...#bbbbX#bb
+.bGb##...#.bEb.#....#BGbb#bb
+bbbb#...bbbbbbbbb#...#bbb#bb
+bGb##....bbbGbbbb#bbb#...#bb
+bbb#...bbbbbbbbb##bGb#bbb#bb
+...#............#bbbb#bGb#bb
+bbbbbbbbbbbbbbbb#bGSb.bGb#bb` },
+  { variant: 'fanbook', num: 19, data: `..........................S.
+.........................MS.
+b#...........#b#........bbS.
+#bbbbbbbbbbbbb#bbbbbbbbb#bS.
+#.G.G.G.GbGGGG#bG.G.G.G.#bS.
+#.#.#.#.#bGXbb#b#.#.#.#.#bS.
+#G#G#G#G#bGGGG#b#G#G#G#G#bS.
+bbbbbbbbbbGXbb#bbXbbbbbbbbS.
+.........bGGGG#...........S.
+.........bGXbb#G..........S.
+.........bGGGG#G..........S.
+.........bGXbb#G..........S.
+.........bG...#G..........S.
+.........bG...#G..........S.
+.........bG...#G..........S.
+.........bG...#G..........S.` },
+  { variant: 'fanbook', num: 20, data: `B.............S............B
+B..........M..S............B
+BbbbbbbbbbbbbbbbbbbbbbbbbbSB
+BbbbbbbbbbbbbbbbbbbbbbbbbbSB
+Bbb...bbb...#b#...bb...bbb#B
+Bb.bbbGb#bbb#b#bbb#b#bb.bb#B
+Bb.bbbbb#bbb###bbb#b#bbb.b#B
+Bb.bbbbb#bbb#b.b.b#b#bbb.b#B
+Bb.bbbbb#bbb#b.b.b###bbbbb#B
+Bb.bbG#b.bbb#b.b.b#b#bbb.b#B
+Bb.bbb.b.bbb#b.b.b#b#bbb.b#B
+Bb.bbb.b.bbb#b#bbb#b.b-GbbSB
+Bbb...bbbG.#bbb###Gb...b.b#B
+Bbbbbbbbbbbbbbbbbbbbbbbbb.SB
+BbbbbbbbbbbbbbbbbbbbbbbbbbSB
+BEEEEE....................SB` },
+  { variant: 'fanbook', num: 21, data: `B.....................S....B
+B.----------------....S--..B
+B#..................E..#...B
+B#..bbbbb#bbbbb....#bbb#...B
+B#...#..-#-..#.....#..G....B
+B#...#G-.#.-G#.....#.......B
+B#...#-.-#-.-#.....#.......B
+B#...#.-G#G-.#.#E#.#bbb#...B
+B#b..#-..#..-#.#b#...G.#...B
+B#b..#.-.#.-.#.#b#.....#...B
+B#b..#-G-#-G-#.#b#.....#...B
+B#b..#...#...#-.b#.#bbb#...B
+B#bb.#---#---#..b#.#G......B
+B#bG.....#....bbb#.#....G..B
+B#..E....#..bbbGb#.#...Eb#MB
+B#bbbbbbbbb#G#bbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 22, data: `B.........S................B
+BbbG......S........E..G....B
+B..BB#---#S#-----##BbBBb#..B
+B....#...#-#.....bbbbbbb#..B
+BGE--#........BB#bbbbbbb#..B
+Bbb..#........--#-------#..B
+BB.G.#b.E.....b.#.......#..B
+BB.G.#bbbbGGG.b.#....E..#..B
+BB........bBBbb.#.bbbb..#..B
+Bbbbbbbbb.......#.bbbb#b#b#B
+B.......b.......#..GG.#...#B
+B.........------#-----#...#B
+B...............#.....#bb.#B
+B...GG..........#.....#bGB#B
+B.#bbbbbbbbbbbbb#.....#bGB#B
+B.#......M......#.....#bGb#B` },
+  { variant: 'fanbook', num: 23, data: `Bbbbbb............S........B
+B...bb......bbb.b.Sbb......B
+Bbb.....bbb#.bG.bb#.bbbbbb.B
+B.G.bbbbbbb##b#.bbb#-.---#.B
+BBBBb#-..GG.#b#--Gb#.-...#.B
+B....#.BBBBB#b...bb#.bbbb#.B
+BGGGE.b....b#Mbb#..#.bbGb#.B
+BbBBBBB.-.bbbbB##bbbbbbbbb.B
+B--...bb.b-.#bB#.bE........B
+B..bb.bbBb.b#bG#.bbbbbbbbbBB
+B.bb..b..bbb#bB#.....bbbbb.B
+B..bbbB.....#.B#-..b#bbbbbGB
+BGbbGbBBBBBBBbB#G.bb#bbbbb#B
+Bbbbbb#....#...#.bbb#.....#B
+B.....#..G.#EG.#bbbb#....bbB
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 24, data: `..---E..-...--M-----G--..E.-
+bb...bb#Gbbb..b....G#-.bXb..
+bbG.Gbb#bbbbb.b...G#b-bbXbb.
+.bb.bb.#bbbbbGb..G#bbGbbXbb.
+..b.b.#.bb.bbb#.G#bb#bbb.bbb
+..b.b.#bb...bb#G#bb.#bb...bb
+..bbb.#bb...bb#bbb..#bb...bb
+..bbb.#bb...bb#bG...#bb...bb
+...b..#bb...bb#bbG..#bb...bb
+...b..#bb...bb#.bbG.#bb...bb
+...b..#bbG.Gbb#..bbG#bbG.Gbb
+...b..#bbb.bbb#...bb#bbb.bbb
+...b..S.bbbbb.b#...b.bbbbbbb
+...b..S.bbbbb.b#...bb.bbbbb.
+...b..S..bbb..b#...bb..bbb..
+bb#G#bbb#GGG#bGb#GGGG#bGGG#b` },
+  { variant: 'fanbook', num: 25, data: `........-...........b.......
+#b.b..#bb.b#bbbbbbb.b#bbGbb#
+#Gbbbb#bbX.#b.......b#b.bb.#
+#b....#-.b.#b----.G.b#b..G.#
+#....#bb.b.#.bbbbbbbb#b....#
+#.#bb.b.b..b#bbbbbb..#b...#.
+#.#bG.b.#.bb#b.b.bb#b#....#.
+#.#.bbb..b.b#b.---b#bbb.b.#.
+#..#..b....b#bGGbGb#b.bb..#.
+##bbbbb.bG.b#b##-#b#bb...b.#
+.#.G...bbb..#bbbbb.#b.b.b.b#
+.bbbbb#..b..#...G..#bGbG.b##
+b.....bb#bbbbbbbbbbbb#.bGb.#
+M......b#..G.b.bb...b.#.bbb#
+#bbbbb#bbb#G#..bG..##-bbbbb#
+#bbGbb#...#.#bbb#.b#b......#` },
+  { variant: 'fanbook', num: 26, data: `BM.EG..................GGGGB
+Bbb.b.....#bEG....b#...bbb#B
+B.bbb.....#b.b....b#.G....#B
+B.........#.bb..G.b#.b.bbb#B
+Bbbbbb.bG.#b.b.bb.b#.bb..b#B
+B.....G#-.#bGGb.bbb#.....b#B
+BGGGG.bb..#GbbbEb.b#bGbGbb#B
+B#bb#.....#bGb.bGGGbbbbEbb#B
+B##.b-.bG.#bbGGbbbbbb#bbbb#B
+Bb#bb.G#-.#b#bb.bGG.b#....#B
+Bb#bb.bb..#b#bbGbbbb#b#bbbbB
+BG#b.G....#b#bbbG.bbGG#bbb.B
+B#bbbb.bG.#b#bbbb.bbbb#bbbbB
+B#....G#b##b#bbbbGbbbb#Gbb.B
+B#GG..bbbbb##---bbG-###bEbbB
+B#bbb..........b#b.Sbb#b#b.B` },
+  { variant: 'fanbook', num: 27, data: `BbGb-M..............b.b.b..B
+Bb#b.bbbbbbBBBBB#bb-b-#-#G#B
+Bb#b#--b-G-b#G#.B#bGb#Gb.#bB
+Bb#b#G#.###..b.#BBBBb.#b#G.B
+Bb#b#b.#...#...#.#b#b#.bbbGB
+Bb#-#b.#b.#b#.#..#.#..#.---B
+Bbbb#b.#b..b.#.bbbb#bbbbbb#B
+B..b#b.#b.b.E.#..-b.bb-.b.#B
+B#b-#-#.#.-.b#.bb...b-.bGb#B
+B#b-...#.b.bGb#.b.b...bbEb#B
+B#bbbbb.#b.bbb.##bbb.bbGbb#B
+B#bGbb.#...bGbb#bbbb-b.b..#B
+B#bbbb#b#bbb--b#b..b------#B
+B#bG.b#b.b-.bbb#.bbb#-.b.#.B
+B#..b.#..bGb...#.b..#.bG..#B
+B#bbGbbbbb.#bbbb#bGbGbbb.b#B` },
+  { variant: 'fanbook', num: 28, data: `B.........#.---............B
+B---------#-...#-----------B
+B.........#b.....b..G.....#B
+B#bbbBB.bBbb.bbbbbb#..E#bbbB
+B##G.....--..bbbbG..#..#b.bB
+B.#.G.bbb--E.bbbb#...#.#bbbB
+B.#..GbGb.-..Gbbbb#.#..#...B
+B.#...bbb--.bbbbbbb#.GEbbb#B
+B.#E....#M....G....b#..bGb#B
+B.#bbbbbbb#.bbbbb#bbbb.bGb#B
+B.#..b...b#.b.-bb....b.bbb#B
+B.##bbbb.b#.b.Gbb.G..b.b--#B
+B.#.bG.bGb#.bbbbbbbbbb.b#G.B
+B.#bbbbbbb#....bb.-....bbb#B
+B.#b...G.b#.bb#bG#.-......#B
+B.#..bbbbb.Ebb#bb#..bbb#..#B` },
+  { variant: 'fanbook', num: 29, data: `Bb.................b.....G.B
+Bb......---........bbbbb#bbB
+Bb..b#..#.....#bbb#..Gbb#bEB
+Bb#b.#..#.G...#bG.b#...b#bbB
+Bb#bb#..#E...bbbbbbbbbbb#bGB
+B.#.bb#bbbbBb#.......b..#bbB
+B..#b.#.bb..b#bbbbbb.bG.#bbB
+B#bbb.#.bb..b#.......b--#bbB
+B#b.G.#.bb..b#.G.G.G...G#bbB
+B#b...#.bb.Gb#bbbbbbbb--#bbB
+B#b...#.bbbbb#.bG...#bG.#bGB
+B#b...#...M...bbbbb.#b--#bbB
+B#b....bbbbbbbb.....#b.G#bbB
+B#bbbbbbbG.bG.bb#b..#b..#bbB
+B#..G..Ebbbbbbbb#...#b..#bbB
+Bbbbbbb#..G..G.b#E..#b#.#bGB` },
+  { variant: 'fanbook', num: 30, data: `B.....M....................B
+B....-#------#.....#------#B
+B...-.#......#.....#......#B
+B..-..#.bGbbb#.....#.bGbbb#B
+BG-..-#.bbbbb#-...-#.bbbbb#B
+Bb..-.#.....E#.-.-.#.....E#B
+B..-..#..BBBb#..-..#..bbbb#B
+BG-..-#...G..#.-.-.#....G.#B
+Bb..-.#bbbbbb#-...-#.bb.bb#B
+B..-..#bbbbbb#.-G-.#.bbbbb#B
+BG-..-#------#..-..#------#B
+Bb..-.#.....E#G-.-G#.....E#B
+B..-..#.BBBBb#-...-#..bbbb#B
+BG-...#...G..#.-.-.#......#B
+Bb..--#bbbbbb#..-..#bbbGbb#B
+B..S...bbbbbb..-.-..bbbbbb.B` },
+  { variant: 'fanbook', num: 31, data: `B....###..EEEEE..###.......B
+B...#...#.-----.#...#......B
+B..#..M..#....-#.G.G.#.....B
+B..#.-.-.#.....#.....#.....B
+B..#..#..#.GGG.#..b..#.....B
+Bb-.#.b.#..bbb..#...#..bb..B
+Bb...###..b..b...###...b...B
+B.b.GG#GG.b...b...#...b....B
+B..bbb#bbb.....bbb#bbb.....B
+B.....#...........#........B
+B.....#...........#........B
+B...###...........#........B
+B..#...##........#.#.......B
+B.#......#......#...#......B
+Bbb...G..#.....#.....#.....B
+B.......#bb...bb#...#bbSG..B` },
+  { variant: 'fanbook', num: 32, data: `B..........................B
+B..bEb#------G------#bEb...B
+B...bGb#.....b.....#bGb.b..B
+B..bGb.#----#.#----#.bGb...B
+B...b.......#.#.......b....B
+B..#--------#E#............B
+B..#.........b.--------#...B
+B..#........b#b........#...B
+B..#.......bb#bb.......#...B
+B..#....#.bbG#Gbb.#....#...B
+B..#.....bbGb#bGbb....#.#..B
+B..#....bbGb.#.bGbb..#...#.B
+B..#...bbGX..#..XGbb.#....#B
+B..#.........#.......#.b.b#B
+B..#M........#.......#bGbGSB
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 33, data: `B...........#b#............B
+B...........#b#............B
+B#bbbbb#....#b#....#bbbbb#.B
+B#b.G.b#....#b#....#b-.-b#.B
+B#b.E.b#....#b#....#b-G-b#.B
+B#bbbbb#....#b#.####b-E-b#.B
+B##########b...b#..#bbbbb#.B
+B.........#b...b#..#######.B
+Bbbbbbbbbb#b.G.b#..........B
+B.........#b.E.b#bbbbbbbbbbB
+B.#b#b#b###bbbbb#..........B
+B.#b#b.b#.#########bbbbb#..B
+B.#bGb#b#....b....#b...b#..B
+B.#b.E.b#....b....#b.G.b#..B
+B.#bbbbb#....b....#b.E.b#..B
+B.#######....b.M..#bbbbb#..B` },
+  { variant: 'fanbook', num: 34, data: `B.bbbb...............S.....B
+B..E...bbbbbbbbbbbbbbS.....B
+B#b##b#E.............SbbbbbB
+B#.bbbbbbbbbbbbbbbb.B#----#B
+B#.#----....M..#-#bbb#....#B
+B#.#....-.#..#-#.#---#....#B
+B#.#.....-#--#...G........#B
+B#.#......#...............#B
+B#.#..G.G.#...............#B
+B#.#.GE...#.....-..E.-GG..#B
+B..#.bb#bbb#bbbb.bbbb.bb..#B
+B..#...#...#..............#B
+B..#---#...#..............#B
+B......#...#..............#B
+B......#...#..............#B
+BG.....#..E#..............GB` },
+  { variant: 'fanbook', num: 35, data: `B...#-###.......###-#....S.B
+B---#.#####...#####EbbbbbSbB
+B#...bbbbbbbbbbbbbbb..-..S.B
+B#.BBbbbbbbbbbbbbbbbbb..-GSB
+B#....b-----------b......#bB
+B#Eb#.b..........-b...#-S..B
+BBBB##b.bbb...bbb.b#bbbSG..B
+B...##b..G..G..G..b#b.bbb#.B
+Bbbb#Gb.....G.....bG.b.G.#.B
+BGbb#Gb.....G.....bG-.bb.#.B
+Bbbb#Gb...........bG.b...#.B
+BbGb#..b..-----..b..-.b..#.B
+Bbbb#...b...E...b....b...#.B
+BGbb#....bbbbbbb....-.b..#.B
+Bbbb#....##MGE##.....bG.G#GB
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 36, data: `B............S.............B
+B............S.............B
+B#...-.-...E.S.E..M-.-..E#.B
+B#bbb.b.bb#b...bbbb.b.bbb#.B
+B#.b.b.b.b.Bbbbb.b.b.b.b.#.B
+B#b.b.b.b.b.b.b.b.b.b.b.b#.B
+B#.b.b.b.b.bbbbb.b.b.b.b.#.B
+B#bGb.bGb.b.bbb.b.bGb.bGb#.B
+B#.b.b.b.b.......b.b.b.b.#.B
+B#.......b.#bbb#.b.......#.B
+B#bbbbbbbbbbbbbbbbbbbbbbb#.B
+B#bbGbbG..bbbGbbb..GbE.Gb#.B
+B#bE.bbb..bbGGGbb.bbbbbbb#.B
+B#bbbbb.bbbb###bbbb.bbbbb#.B
+B#..........###..........#.B
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 37, data: `B......S............S......B
+B.b....S.....M......S......B
+B.bGbbb#bbbbbbbbbbbb#bbbbbbB
+B#bb.bb#bbbbbbbbbbbb#bBbbbbB
+B#b...b#b###G#G####b#bbBb.#B
+B#bb.bb#b######b###b#b#..bbB
+B##.bbb#b#b##.####bb#b.#b.bB
+B##.bbb#b##G#bbG###b#b.#b#bB
+Bb...bb#b#######b##b#b##bGbB
+Bbb.bbb#bG#b#G###G#b#b#.#bbB
+BbGbbbb#b##########b#b#b.GbB
+B......#b##G#b#G###b#b#bb.bB
+Bbbbbbb#b#######b##b#bbbbbbB
+BE.....#b##b#######b#.....EB
+B#bbbbbb.#G#####G#..bbbbbb#B
+B#.G....bBBBBBBBBBBb..G...#B` },
+  { variant: 'fanbook', num: 38, data: `B...-------..M...-------...B
+B.Gb#bbb...bbbbbb...bbb#bG.B
+B--b#Eb..bbb....bbb..bE#b--B
+Bbbb##..b..bbbbbb..b..##bbbB
+Bb.b##.b.#b.bbbb.b#.b.##bGbB
+Bbbbb#-#.#-......-#.#-#bbbbB
+B....bb#.#.bbbbbb.#b#bb....B
+Bbbb.bb#b#bGbb#bGb#b#bb.bbbB
+BG....b#b#b-b#.b-b#b#b....GB
+BbGbbGb#b#.bbG#bb.#b#bGbbGbB
+BG.bbbb#b#.bbbbbb.#b#bbbb.GB
+Bbb..G.#.b#..Xb..#b.#.G..bbB
+B.....###.bbGXbGbb.###.....B
+Bbb#bb#.b#..bGGb...b.#bb#bbB
+B..#...#.bb##bb##bb.#...#..B
+B#bbbbGb#E...##...E#bGbbbb#B` },
+  { variant: 'fanbook', num: 39, data: `B..........................B
+B#bbbbbbbbbbbbbbbbb.b#bbbb.B
+B#.Gbb....Ebb.......b#bbGb.B
+B#bbb....GbbE........#b....B
+B#bbbE.-GbbbbG...bbGbbb....B
+B#..bbGGb...bbG...b.....b..B
+B#b..bbbbb...bbG..bbG..b.G.B
+B#bb..bbbbbG..bbG...bG..GbbB
+B#.bb..bbbbbG..bb.b..b.Gbb.B
+B#.Gbb..bbbbbG...bbG...bb#.B
+B#Gb.bb..bbbbb.b.b.......#.B
+B#b.Gbbb...#bb.b.B#BB#..G#GB
+B#.Gb.Gbb..#bbbb.B#.B#..G#GB
+B#.b..b.bb.#.....B#GB#..G#GB
+B#..E.....M#.....BBBB#.bbbbB
+Bbbbbbbbbbbbbbbb#....#bbbbbB` },
+  { variant: 'fanbook', num: 40, data: `B...#...................-..B
+B---#---.............bbb.#.B
+BG..#.G.#bbBBBBBBBBBBbGb.B#B
+Bb..#.b.#--..G...G...bbb.b#B
+Bb.G#.b.#.-.#b#.#b#......G#B
+Bb.b#.b.#b.bBBBBBBBBBBB.bb#B
+Bb.--.b.#b-..G.G...-#b-.G-#B
+B.bG.bb.#b.bBB.BBBb.#..G.b#B
+B..bb...#b..b..EG...b#.bbb#B
+B.......#bGbbbbbbbbbb#..--#B
+B..#BBBBBb...........b.bEb#B
+B#.#Bbbbbb#BbBBbBBbBBbbbbb#B
+BBBBBbbbbb#.G..G..G......B#B
+BM........#...............#B
+BBBBBBBBBB#BBBBBBBBBBBBBBBBB
+BG........#.....E........GGB` },
+  { variant: 'fanbook', num: 41, data: `BSbE.......................B
+BSbb.......................B
+BSbbb............G-........B
+BSbbbb...........bE.bbbbbb#B
+BSbbbbb........-.bbbbbbbbb#B
+BSbbbbbb.....G-..bbbbb...b#B
+BS.....G.....b...bG...b#Gb#B
+B.bb#.#b.....bbbbb.##bb#.b#B
+B.Eb#.#b.G-..bbbbbb##b##bb#B
+Bbbb#.#b.B...bG...b#bb...b#B
+B...#.#b.bbbbbbbb#b#b#b#bb#B
+B...#.#b.b#b#.#bb#b..#b#Gb#B
+B...#.#b.bG#b#G#b#.bb#b..b#B
+B...S.#b.bbbbbbbbbbbbbbbbb#B
+B.G.Sb#....M.......E......#B
+BbbbbbbbbbbbbbbbbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 42, data: `M--..GG.....#.....-...B.....
+#..b.bb.G...#bbbEb.BBBB#bbb.
+#..bbbb.b...#bGGb...GG.#bGb#
+#...B..bb...##bb.b.#bb.#bGGb
+#..BBB....B..#E.....G..#bbGb
+#...B....GB..#bbbb.bb.bbbbbb
+#...B.G..BBB.#..b.bb....#.G#
+#E....bG..B..#.b..bbb..b#.b#
+bbbbbbbb..B.##...bbb..bb#...
+.....G....B.#...B.b..bbb#...
+..Gbbbb#..B.#..BBB..bbbb#...
+.Gbbb..#....#...B..bbbbb#...
+bbbbbb##..G#b.b#BGbbbbbb#...
+b..#bG##.bbb.b.#Bbbbbbbb#.G.
+b.G.bb##......#.........#.b.
+bbbbbbbb.bbbbb#bbb.bbbbb#bb.` },
+  { variant: 'fanbook', num: 43, data: `b..-...M....b#.............b
+bbbGbbb#bbbGb#b#bbbbbbb#bbbb
+bbbbbbb#bGbbb#b#bbb#bGb#b#bb
+bbbbbbb#bbGGb#bGbGb...b#bbbb
+bbbbbbbb#bbGb#bbGBBEBBEBBEBB
+bbbbbbbbb#bbb#bbb.Gb.Gb.Gb..
+bbbbbbbbb#bbb#bbb#bG#bG#b..G
+.......bbb#Gb#bbbbbbbbbbbbbb
+#bbbbbbbbbbbb#b............b
+#bGbGbbG.G.Gb#b..bbbbbbbbb#b
+#G.Gbbbbbbbbb#bG.bb.#.#.#b#b
+#bGbbbbbbbbbb#bbb.GbGbGbGb#G
+#bbGbbbbbbbbb#bbbb#.#.#.#.#b
+#GbbGGGbbbbGG#bbBBbBbBbBbBGb
+#bGbb#bGbGbbb#bG.bG.bG.bG.bb
+#bGbbbbbGbbbb#Gb#Gb#Gb#Gb#Gb` },
+  { variant: 'fanbook', num: 44, data: `B.G------M...--------...G..B
+BGbEbbbbb#bEb..bbbb#Gb#bbbbB
+Bb.bbbbbb#bbbb....b#b.#.G..B
+B...G.bbb#.bb..GG.b#b.#.bbbB
+Bb.bb....#.....bb.b#b.#.G..B
+Bb.bb....#b.bbbb...#bb#bbEbB
+Bbbb..bbb#b..G...b#...#..b.B
+Bb.....bb#bbbbbb.b#b.b#.G..B
+Bb.bbbbG.#.bb....G...b#B.bbB
+Bb....bbb#....bb.bG...#B...B
+Bbb.bbbbb#bbbbb..bb.b##.bb.B
+B..Gb.G.b#..........b#.b...B
+B.bbb.#bbbbbbb#bbb.#bbbbBBBB
+B..G..#b.....b#....#b.G....B
+Bbbbbbbbb#bbbbbbbbbbbb#bbbbB
+B......Gb#G.........Gb#G...B` },
+  { variant: 'fanbook', num: 45, data: `Bb#b...b.....b.#.bbbbbbb-G#B
+BG#G.#bG##bb-G--#------.bb#B
+B#.bb##b--#.b#..#b...#....#B
+B#-...#.bb#.b#.bb.#bGb.b-.#B
+B..#.bb..b#...bb.#..#.b..b#B
+B#b-b.b..b.#b.bb#.-..#..b.#B
+B#b.b.bbGbb#b.#..-#.....b.#B
+B#b...bb#..#bM#-#.b.b..#..#B
+B#..#.bb.b.#-#Eb#..#bb...b#B
+B#.b...b.#-..#.b#bbGbb.b.b#B
+B#.b..#....#bb.b#.b..b.b-b#B
+B#b..b.#..#.bb...#b..bb.#.SB
+B#.-b.bGb#.bb.#b.#bb.#....#B
+B#........b#..#b.#--b##bb.#B
+B#bb.------#--G.bb##Gb#.G#GB
+B#..bbbbbbb.#.b.....b...b#bB` },
+  { variant: 'fanbook', num: 46, data: `BS.......--G.M.GE.-G......GB
+BS..E------b#bbb#bG#GGbbbb#B
+BS..b#...bG...G.-bb#b.bEGb#B
+BS..b#..b..b.#bb..b#...bbb#B
+BS..b.#b.Gb..#Gb.Gb#.b#bbb#B
+BS..bb#.bb...b#..bb..b#..b#B
+BS..bb.#bG#b-.b#.b.....bb.#B
+BS..bbb#bbXb...#..bb#b..#bbB
+BS..bbb#.....bG#....#bbbbG.B
+BS..bbb#..GG.bbb.bGb#....#.B
+BS..bbb#.............b...#.B
+BS..bbb#bbb#.....b..#b#bbbbB
+B#bbbbb#...#b##bbbbbbb#b...B
+B#..Gbbbbbbb.#b#bb...G#-b#.B
+B#S#b..G..b..#..Gb.bbbbb.b#B
+B.EE...b......b#..Gbb.G...#B` },
+  { variant: 'fanbook', num: 47, data: `B...................bbbb..GB
+Bbbbbbbbbbbb#bb.....b###GB#B
+B.....-..E.b#...bbbbb#..-.#B
+B#bb#b.bb##-#.........#..bbB
+B#bb.b#b....bb#....b#..#...B
+B#bb#bGb.....#bbbbbb####.E.B
+B#BBBBBB....#bG............B
+B#..........#bbbbb.........B
+B#.......G..#b.....bbb#bMG.B
+B#..........#b#bb#....#.bb.B
+B#b#.....---#b#..#....#..b.B
+B#.b#..........bE..bbbb#b..B
+BG#b#..bbbbbbbbbbbbb#..#.b.B
+Bb#bbbb...........-.#bbbb..B
+BG....#bbbbbbbbbb#.b#...bG.B
+B....G#...G.b.G..#bE.#b#G..B` },
+  { variant: 'fanbook', num: 48, data: `.....E...........-.-........
+...M....#bbbbbbbbEbGbbbb#bbb
+..bGb...#bGb..b..bbbb...#bGb
+...X....#bb.-.b..-......#bGb
+........#..G..bbG..G....#bbb
+b#bEb...#b#-#bGb........#bGb
+b#.bbb..#bb..bbb...#bbbbbbbb
+b#.G....#........G.#--..--.b
+b.bbbbSb.bbbbbbbbb....#b..GE
+b.....S.#........b....#..#..
+Gb#--b#..bbbbbbbbbbb#bbGb#..
+bb....#.......bbb...#...b...
+bG#bbb#-G....b.b.b...#.b.b.b
+.#G..Gb.....b..b..b...#...b.
+G#bbbb#.#.......b.....#.....
+G#GGGGb#.bbbb.bbbbb#..#...EG` },
+  { variant: 'fanbook', num: 49, data: `B......G............----bbbB
+B..GG.b#EE.b..b#bBBB....bbbB
+Bbbbbbb#...bbbb#b.........bB
+B.....-#....b.b#bG.b.bbb--bB
+BbbB#.-#..bbbbb#bbbbbbBB..bB
+BGG.#.-#..bbbbb#--#.Gb...bbB
+B...#.-#GG....--..#.Gb#b.bGB
+B.bb#.....M.......#...#bGb#B
+B...bbbb#bbbbbbbbb#bbbbbb##B
+B.......#bGb...b.b#......#GB
+Bbbbbbb#.bGb#bbb#b##bbb.bb#B
+B--bbbb#bbGbb#bb#b##b.G.bG#B
+BGEbbbb#bbGbbbG.#b##b...bb#B
+Bbbbbbb##bGbbbb-#b##bbb.bG#B
+B..G.....bbbbbbbbb##BBBBBB#B
+Bbbbbbb#.....E....##......#B` },
+  { variant: 'fanbook', num: 50, data: `B..............--..........B
+B....bBbBb#---#--bb#bBbBbBbB
+B...bb..Eb.#....b.b#b..E.G.B
+Bb.bb...bE#G...b.-b#b#BBBBBB
+B.b....b..G#.Gb#..b#b#.....B
+B..G..b...#..b##b.b#bbbBB..B
+Bb.b.b.....#...G.bb#G....B.B
+B..bbbG.-bbb.b.b..bb#..b#..B
+B.bb..b..bbGb.bG...bbbbbbb#B
+B....b...bbb.b.b.-.-.-.-..#B
+B....---#bGbb.bG#bBbBb#.bb.B
+B..M..b.#bbbbb.b#.....#.GbbB
+BbbBb.b.#.......#.....#.bbGB
+Bbbbbbb.#bbbbbbb#.G.G.#..bbB
+B.......#.#b.#bb#b...b#bbbGB
+B...#bbb#.#bG#bG.bbbbbbbbbbB` },
+  { variant: 'fanbook', num: 51, data: `Bbbbbbbbbbbbbbbbbbbbbb....SB
+Bb...-.-.-.-.-............SB
+B.E#bGbGbGbGbGb#...M......SB
+Bbbbbbbbbbbbbbbbb#bbbbbbbb#B
+B...............b#-----#..#B
+B.b#--....--....b......#..#B
+B.b#..bbbb..#b..bbbbGbb#..#B
+B.bb#bb...b.#b..bGbbbbb#..#B
+B.bb#bbbbb..#b..bbbb.--#..#B
+B.bb.#b...b.#b..bGbb#.....#B
+B.bb.#bbbb..#b..bbb.#bbG.b#B
+B.bbG#b...b.#b..bGbb#bbbbb#B
+B.bb.#bbbb..#b..bbb.#bbbGb#B
+B.bbbbbbGbbb#b..bGbb#bb..b#B
+B.bbbbbb...b#G..bbbbbbbBBb#B
+B.bbbbbbbbbb#b............SB` },
+  { variant: 'fanbook', num: 52, data: `B#.b-------bbbbbbb....#bbbbB
+B#.b...E...b.G.G.b.G.b#b..MB
+B#.bbbbbb#bb#bbbbbbbb.#.#bbB
+B#.b.bbb.#bG#b#bGbbbb.#bb.#B
+B#.b.bbb.#bb#b#b.bbbb.#bb.#B
+B#.b..G.#bb.bbbbbb...b....#B
+B#.b..b.#bb.b......#b.bbbb#B
+B#.bb#..#..G.bbbb#b.EG.#..#B
+B#..b#bbbbb.bbbbb##bbEb#.G.B
+Bbb#b#..GG...bb#---b.#b#b.bB
+B..#bbbbbbbbbbb#GGGG.#b#b.bB
+B#bb.bbbbbbbbbb#Bb..bBb#...B
+B#.b.bbb.....-#bBBBBbbb#bb.B
+B#..E....-bbb.#bBBb....#b.GB
+B#bbbbbGbGbbb.#....#b#.#b..B
+B#.....bbbbbb.#bbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 53, data: `BS----....-........E.......B
+B#.E..BBBB..........bE.....B
+B#b.b......bbbbbbbbb...E...B
+B#bbbbb...............b...GB
+B#.E........bbbbbbbbbbb.M.#B
+B#b.b...................b.#B
+B#bbbb.......bbbbbbbbbbb#.#B
+B#...............G.......#.B
+B#b.b...G....bbbbbbbbbbbb.#B
+B#bbb...bb.......G.......#.B
+B#..G-.bb..............#b..B
+B#.Gb..b.G...........#bGb.GB
+B#bbbbbbbB.........#b.bbbbbB
+B#.------G.......#b.b.bbbbbB
+B#b......S.......#bGbbbbbbbB
+BbbBBBBBBB...bbbb#bbbbbbbbbB` },
+  { variant: 'fanbook', num: 54, data: `Bbb...bb.....M.....-#bbbbbbB
+BG..b#...bbbbbbbb#b.#......B
+Bbbb.#bbbb.b.bbb.#bbbb.bbb#B
+Bbbb.#b......G.#bbbb..b...#B
+B.bb.#b.#b#bb..#b.Gb----#b#B
+BbbEb#..b..#.bbbbbb.....#b#B
+B.bbbbbbbGb#........bbb.#b#B
+B....bbbb.b#bb#bbb..bbb.#b#B
+Bbbb........#.#bG#bb#G#b#b.B
+Bb.#Bbbbb...#.#b.#..#.#b#b#B
+B.#....G#bbb..bbbb..#.#b#b#B
+BG#bb...#.G#bb...Gbbbbb.#b#B
+B#B#G#bbb..#G#bbbbbbbbb#bb#B
+B#b#.#bbbbbb.#bEbGbb..-#.b#B
+B#bBb#bbbbbbbbbb..bb#b.#bb#B
+B....#.........G....#bEBGb#B` },
+  { variant: 'fanbook', num: 55, data: `B........--.-.-.-.-------..B
+B#bbbbbb-#GbGbGbGbG#.....bGB
+B#bbbbbb.#bbbbbbbbb#--bbbbbB
+B#bbbbbb.b....-....#.......B
+B#bbbbbG.bbb#b.bbbbbbb.bbb#B
+B#bbbbbb.bG.#G.bbbb..G...G#B
+B#-..Gb..bbb#b.b..b#bb.b#bbB
+B#.b#...bb.b#b..bbb#G...#.GB
+BGbG#b...bGb#G.b-Gb#bb.b#bbB
+B#bb#bbb-bbb#bGbbbb#G..#..MB
+BGbG#b-b....#bbbbbbbbbbbbbbB
+Bbbb#bGb.bb#-....----..-b..B
+B...#.bb.bG#.bbbbS...bbGb.bB
+B#bbbb-...b.#bbbGbbb#..-...B
+B#....-bGbG.#.bGbbGb#bbbbGbB
+B#bbbb.bbbb#.bGbbbbb#bG.b#GB` },
+  { variant: 'fanbook', num: 56, data: `BM.Eb..-......--...........B
+BXbX.#b.b#bbG#GGb#bbb#bbbb#B
+B...#bb.b..b#GGb#.b.bbb#.b#B
+Bbb.#b..bb#bbbG.#b......#b#B
+Bbb.#GGb.bGG.GG#bbb..b.b#b#B
+BGG.#b.#G#.bbbG#..bbbbb.#b#B
+Bbb.###.#.##.GGGb#Gb-..BGb#B
+BGG.G.G.#b#b.b.bbb#b.bb.Gb#B
+Bbb.bbb#bbb-..b.b.#.b.bbb.#B
+B..#-.b#.Gb.bb.G..#b.Gbbbb#B
+B#b#Gbb#.G.bbbbbEb#bbb.bbb#B
+BGb#bG.##-bb..b.bG#Gb..bbb#B
+BGb#.bb.b.....b.Gb#bGbEbbE#B
+B#b#bbbb.#bG.bbbbG#Gb.bbbb#B
+B..#....b#bbbbbb#bbb.....-#B
+Bbb#bbb#b#......#..b.bbbbE#B` },
+  { variant: 'fanbook', num: 57, data: `BM......................b..B
+Bbb##.bbbbbbb.----#-.-.-..#B
+Bbbbb.......bb....#.b.b.b#.B
+B....bbbb#bbGGbbbb#b.b.bG.GB
+B...bbbbb#..bb....#.b.b.XG.B
+B..bbbGEb#bbGEbbbb#b.b.bG.GB
+B.b.bbbbb#..bb....#.b.b.XG.B
+BbG.......bbGGbbbb#b.b.bG.GB
+B.b.bbbbb#..bb....#.b.b.XG.B
+B..bbGEbb#bbGEbbbb#b.b.bG.GB
+B....bbbb#..bb....#.b.b.XG.B
+B.....bbb#bbGGbbbb#b.b.bG.GB
+B........#..bb....#.b.b.X#.B
+B.......#.#.b.....#....b..#B
+B.G....#...#......#.....X.bB
+B#bb.bbbb#bbb..bbbbbbbbbbbbB` },
+  { variant: 'fanbook', num: 58, data: `Bbbbbbbbbbbbbbbbbbbbbbbbbb#B
+Bbbbbbbbbbbbbbbbbbbbbbbbbb#B
+B#..........-.......G..-..SB
+B#bb#bbb#b.bEbbbb#bbb.bEbb#B
+B#..#bGb#..bbbbbb#.bb.bbb.#B
+B.bGb#.b#..G...bbb#b...--#SB
+B#bbbbbbbb.b#bbbbb#.G.G-#.SB
+B--.--...G..#bGbG.#bb.b..#SB
+BE#b.Gb#bbbb#bbb..#b......#B
+Bbb#bbb#-#bb#bbbbbbb#.b.Gb#B
+B--#Gbb#.#---.......#bbbb.#B
+BbbbBb#..#...bbbb#..#b...b#B
+B..E..#bb#bb#bbGb#b.bbbbbb#B
+B#bbbb...#..#bbbb#bb...GE.#B
+B#bbGb.b.--.#--M-#.#...bbb#B
+B#bbb#G#b.Gb#..bGGGG#..G..#B` },
+  { variant: 'fanbook', num: 59, data: `............................
+...#bbbbbbbbbbbbbbbbbbEEEEEb
+...#---------------...bbbbb.
+#B.#M...............G.G.G.G.
+#bBbBb.............bbXbbbbbX
+#--------------------------.
+#-.........................#
+..#b#bb....................#
+..#bXbb.....................
+..#GGG.BBBBBBBBbbbbbbbbbbbbb
+..#...SGGGGGG.Bb....bb...b.b
+..#BbBXBbBbBb#Bb.bb.b.bbbb.b
+..#..........#Bb....b.bbbb.b
+..#..........#Bb.bbbb.bbbbbb
+..#..........#Bb.bbbbb...b.b
+..S...........Bbbbbbbbbbbbbb` },
+  { variant: 'fanbook', num: 60, data: `BB.BBBBBBBBBBBBBBBBBBBBB.BSB
+BB-.....................-BSB
+BB#bbbbbbbbbbG.bbbbbbbb##BSB
+BB#bG......GbEb#....#.b##BSB
+BB#bbbS#bbbbb.bbbbbb.#b.#BSB
+BB#bGb#.bG..b.bG.b#Gb#.b#BSB
+BB#BBBBBBBBBBBBBBBBBBBBB#.SB
+BB#E.........M.........E#B.B
+BB#bbbbbbbbbbbbbbbbbbbbb#B.B
+BB#Gbb.Gbb.G.b.G.bbG.bbG#B.B
+BB#bbbbbbbbbbbbbbbbbbbbb#B.B
+BB#bbbbbbbbb...b#b#b#b#b#B.B
+BB#.#b#b#b#bGGGb#b#b#b#b#B.B
+BB#BBBBBBBBbbbbbBBBBBBBB#B.B
+BB#........bbbbb........#..B
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'fanbook', num: 61, data: `M.............--------......
+#bbbbbbb...#bb........bb#...
+#b.#b..b...#b..#bbbb#..b#...
+#bG.b.Gb...#b..#bGGb#..b#...
+#.bbbbb....#b.b#b--b#b.b#...
+#b.#b..b...#bbbbbbbbbbbb#...
+#bG.b.Gb..#..............#..
+#.bbbbb...#b...#bbbb#...b#..
+#b.#b..b..#b...#bGGb#...b#..
+#bG.b.Gb..#b.#b.b..b.b#.b#..
+#.bbbbb...#bbbbbbbbbbbbbb#..
+#b##b..b.#................#.
+.bG.b.Gb.#bS#bS#bbbb#.b#.b#.
+Gbbbbbbb.#b.#b.#bGGb#.b#.b#.
+.........#bG#bG#b..b#Gb#Gb#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'fanbook', num: 62, data: `.........................S.S
+----------.....GGG........S.
+#......bbbbbbbbbbbbbbbbbb#.#
+.#EEEEE.------------------#.
+#......b#..bbbbb...........#
+.#.....b#....M............#.
+#......b#..#bbb#......b#...#
+.#.....b#..#bGb#....b#b#..#.
+#......b#.-.b.b..Gb#b.b#...#
+.#.....b#..bbbbb-.bGbGb#..#.
+#........#.bbbbb.BBBbBBB...#
+.#.....b-.#bbbbb..........#.
+#......G-#...G....bbb#Sb#..#
+.#................bGb#.b#.#.
+#...................b#bb#..#
+#b.....bbbbbbbbb....Sbb#bbbb` },
+  { variant: 'fanbook', num: 63, data: `.-.-.-.-.-..................
+b.b.b.b.b.BBBBBB##.#.#.###..
+.b.b.b.b.Bb....#.#.##...#...
+b.b.b.b.B.....#..#.#.#...#..
+.b.b.b.B#-...#.###.#..#...#.
+b.b.b.Bb#...#..E.#.#.E.#.###
+.b.b.Bb.#.bbbbbbbbbbbbbbbbbb
+b.b.Bb.-#................--.
+GbGB.-#...b#bbb#bEEE--...b.#
+....#.....b#bbb##bbb..bbbb.#
+bbbb#bb...b#bbbb#bbb.bbB...#
+..-.bbbbbbb#bbbb#Gbb.bG....#
+#b.#......b#b...bbbbb#..M..#
+#bb.bb#bbb.#.#b---#b#bbbbb.#
+#bbbbb#bbbb#Bbb.#.#b#..-Sb.#
+Gbb#bbGbbGb#BGGb.b#b#bbSGb.#` },
+  { variant: 'fanbook', num: 64, data: `M.............--------......
+#bbbbbbb.S.#bb........bb#.S.
+#b.#b..b.S.#b..#bbbb#..b#.S.
+#bG.b.Gb.S.#b..#bGGb#..b#.S.
+#.bbbbb..S.#b.B#b--b#B.b#.S.
+#b.#b..b.S.#bbbbbbbbbbbb#.S.
+#bG.b.Gb..#..SSSSSSSSSS..#..
+#.bbbbb...#b...#bbbb#...b#..
+#b.#b..b..#b...#bGGb#...b#..
+#bG.b.Gb..#b.#b.b..b.b#.b#..
+#.bbbbb...#bbbbbbbbbbbbbb#..
+#b.#b..b.#..SSSSSSSSSSSS..#.
+.bG.b.Gb.#b.#b.#bbbb#.b#.b#.
+Gbbbbbbb.#b.#b.#b..b#.b#.b#.
+.........#bG#bG#bGGb#Gb#Gb#.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'fanbook', num: 65, data: `............................
+-----------...S.............
+#......bbbbbbbbbbbbbbbbbb#.#
+.#EEEEE.------------------#.
+#......b#..bbbbb...........#
+.#.....b#....M............#.
+#......b#..#bbb#......b#...#
+.#.....b#..#bGb#....b#b#..#.
+#......b#...b.b..Gb#b.b#...#
+.#.....b#.-bbbbb-.b.b.b#..#.
+#........#.bbbbb.bbbbbbb...#
+.#.....b-#.bbbbb..........#.
+#......G-#...G....bbb#.b#..#
+.#................bGb#.b#.#.
+#...................b#Xb#..#
+#b.....bbbbbbbbb.....bb#bbbb` },
+  { variant: 'fanbook', num: 66, data: `.-.-.-.-....................
+b.b.b.b.b.BBBBBB##.#.#.###..
+.b.b.b.b.Bb....#.#.##...#...
+b.b.b.b.B.....#..#.#.#...#..
+.b.b.b.B#-...#.###.#..#...#.
+b.b.b.Bb#...#..E.#.#.E.#.###
+.b.b.Bb.#.bbbbbbbbbbbbbbbbbb
+b.b.Bb.-#................--.
+GbGB..#...b#bbb#BEEE--...b.#
+....#b....b#bbX##Bbb-.bbbb.#
+bbbbb#b...b#Xbbb#bbb-bbB...#
+...-.bbbbbb#bbbb#Gbb.bG....#
+#bb.#.....b#bX..bbbBbb..M..#
+#bbb.bb#bb.#.#b---#B#bbbbb.#
+#bbbbbb#bbbbbbb.#.#B#....b.#
+Gbbb#bbGbbGbbGGb.b#B#bbbGb.#` },
+  { variant: 'revenge', num: 1, data: `#B....SSS...SS...SS..SSS...B
+#B...S.....S..S.S..S.S..S..B
+#B...S..SS.S..S.S..S.S..S..B
+#B...S...S.S..S.S..S.S..S..B
+#B....SSS...SS...SS..SSS...B
+#BBBBBBBBBBBBBBBBBBBBBBBBBBB
+#...........................
+#bbbbbbbbBbbbbbbbbbbbbbb-...
+#bb#bbbbB#.bb#bb..b#b#bb-B#.
+#bb#bbbbB#bbb#b#bbbbb#bb-B#M
+#bb#bGGbB#Gbb#b#bbGbb#bb-B#E
+#bb#bbbbB#.bb#b#bbbbb#bb-B#.
+#bBb#..GBB#.#BbBbbbbb#Bb-B#.
+#BBBBBBBBBBBBB.BBBBBbBB.-B#.
+#EE..................G...B#.
+bbbbbbbbbbbbbbbbbbbbbbbb.bb.` },
+  { variant: 'revenge', num: 2, data: `SB........................B.
+SB....................G...B.
+SB#bbb#-#G#G#G#G#G#-#bbbb#B.
+SB#......#G#G#G#G#.....G.#B.
+SB#bbb#---#G#G#G#---#bbbb#B.
+SB#........#G#G#.....G...#B.
+SB#bbb#-----#G#-----#bbbb#B.
+SB#...GGGGGGG#GGGGGGGG...#B.
+SBBbbbbbbbbbb#bbbbbbbbXXXBB.
+S............#..............
+S..bbbbbb....#....bbbbbb....
+S..bbGGbb....#....bbGGbb....
+S..bbbbbb....#....bbbbbb....
+S............#..............
+S...M........#.......G.....E
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'revenge', num: 3, data: `..........................BS
+.........-------..........BS
+bbbbbbbbb.......#.........BS
+.bbGGGbb....GG..#...G.....BS
+..bbbbb...-bbbbbbbbbbbbbb#BS
+...bbb....-.........bbbb##BS
+....b.....-.........bGb##bBS
+.........-..........bb##bbBS
+........-.G.........b##bbbBS
+.......-.GG...G....G##bbbbBS
+G.....-.GGG..bbb#bbbbbbbbbBS
+bbbXbb..GGG.....#.........BS
+...#....bbbb....#.........BS
+...#............#.........BS
+G..#......M.G...#...G....EES
+bbb#bbbSbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'revenge', num: 4, data: `............................
+.......#BG..........#BG.....
+..-#BG.#BBG.........#BBG....
+...#BX.#BBX#BG......#BBBG...
+.G.#..G#...#BBG.....#BBBBG..
+.Xbbbbbbbbb#BBBG....#BBBBBG.
+..bbbGGGbb.#BBBB....#BBBBBBG
+...bbbbbb..#BBBBX...#BBBBBBX
+...........#........#.......
+.......G...#..GGG...#.GGGG..
+......bbbbbbbbbbbbbbbbbbbbb#
+........bb...bGGGBGGG..-.bb#
+.........bbb..GGGBGG#Xb.bb.#
+...........bbbBBBBBBBbbb...#
+..EEE...GG...G...G.G......M#
+..BBBBBBBBBBBBBBBBBBBBBBBBB#` },
+  { variant: 'revenge', num: 5, data: `B.........S................B
+B.........S................B
+BBBBBBBBBBSBBBBBBBBBBBBBBBBB
+BBBBBBBBBBSSSSSSSSSSSSSSSS.B
+B.G..G.....G..GG......G.GG#B
+B#bbbbbbbbbbbbbbbbbbbbbbbbbB
+B#.....................EEEEB
+Bbbbbbbbbbbbbbbbbbbbbbbbbb#B
+B..G.............G.GGG....#B
+B#bbbbbbbbbbbbbbbbbbbbbbbbbB
+B#...........G...........G.B
+Bbbbbbbbbbbbbbbbbbbbbbbbbb#B
+B.....G..G....GG.........G#B
+B#BBBBBBBBBBBBBBBBBBBBBBBBBB
+B#....................G..GGM
+BBBBBBBBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'revenge', num: 6, data: `BSBBBBBBBBBBBBBBBBBBBBBBBBBB
+BS.-------------------.....B
+BS.....#..............#.G..B
+BXbXXXX#..............bbbb#B
+B......#..bbbbbbbb........#B
+B......#.b########b.......#B
+BXXXXXX#b##.GGGG.##b......#B
+BGX.XGX#b#..----..#b......#B
+BGXGXGX#b#........#b......#B
+BGXGXGX#.X#.----.#b.......#B
+BGXGXGX#--bbXXXXbb........#B
+B.XGX.X#..................#B
+BXXXXXX#..................#B
+B------#.............EEGGM#B
+Bbbbbbbb.bbbbbbbbbbbSbbbbbbB
+...GGG..............S.......` },
+  { variant: 'revenge', num: 7, data: `...------------------------#
+..-.....#.#.-.EE..-.GGGGGG.#
+.M.-....#-G..-EE..-.GGGGG.-#
+..---.....#...GG..#.GGGG.--#
+.....-....#.-.GG..G.GGG.---#
+......-...#.-...-.#.GG.----#
+.....-.-..#.-....-....-----#
+....-...-.#.G....G..--..G..#
+.G.-.....-#-----.-G-....G..#
+.#-.......#.-...-.#-....G..#
+.#.-......#.-..-..#-....G..#
+....-.....#--.-.........G..#
+.....-....#..-.--------.G..#
+......-...#.-...-.--.-..G..#
+.......---#-.....-..-...G..#
+..........#................#` },
+  { variant: 'revenge', num: 8, data: `Sb.........................b
+Sb.........GG..............b
+Sb.bbbbbbbbbbbbbbbbbbbbbbbbb
+SbE---.bbb..G..---....--....
+Sbb#.b#..b.bbbb...#..-..bbb#
+Sbb.bbbb#b........#--.bb-XX#
+SbbGGGGb#....G.....E..bbGXX#
+SbbbbbbbbbbbbbbbbbbbbbbXbbX#
+Sb.------------------------#
+Sb#bbbbbbbXbbbbbbbXbb#bbbbbb
+Sb#b.E.G....b......G.#b.....
+Sb#b.bbbbbb#b.bbbbbbb#b.bbb#
+Sb#..b..G.b#..b..G..b#..b..#
+Sbbbbb.#b.bbbbb.#b..bbbbb.#b
+SG....M#b....G.E#b........#b
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'revenge', num: 9, data: `.E.-----------............BS
+#bbG.BBBBBBB.Gbb#......BS.BS
+#bbbG.BBBBB.Gbbb#......BBBBS
+#bbbbG.BBB.Gbbbb#.....GE..BS
+#bbbbbG.B.Gbbbbbbbb#bbbbb#BS
+#bbbbbbG.Gbbbbbb...#....b#BS
+#bbbbbbbGbbbbbbbG.......b#BS
+#bbbbbbbbbbbbbbbbbbbb#bbb#BS
+#G.....B#B....E......#..b#BS
+bbbbbb#B#B..bbbbbbb#...Gb#BS
+......#B#B..bbbbbbGbbbbbb#BS
+#bbbbbbB#BG.bbbGb..b.G..b#BS
+#bbGbbbB#Bbbbbbbbbbbbbbbb#BS
+#.....MB#B...G.........G.#BS
+BBBBBBBB#BBBBBbBBBBBBBBBBBBS
+........#.....G.G..........S` },
+  { variant: 'revenge', num: 10, data: `S...........................
+S----....------------------.
+#...SBS.#..G-..G..-.G.-..G..
+#...SB#.#..G.-.#.-..#..-.#..
+#.GESB#.#.-#---#----#----#.G
+#bbbS.#.#-.-.-.-.--.-.--.-..
+#G..SB#.#..........G.....EE.
+#bbbSB#..bbbbbbbbbbbbb#bbbbb
+#..GSB#..bbbbbb.......#.....
+#bbbS.#..bbbbbb.......#..G..
+#.G.SB#..bbbbbb....#bbbb#bbb
+#bbbSB#..bbbGbb....#b...#...
+#..bSB#..bbbbbb....#b.G....G
+bb#bSB#........#bbbbbbbbbbbb
+M.#bSB#........#.....G...GEE
+bbbbSB#..#bbbbbbbbbbbbbbbbbb` },
+  { variant: 'revenge', num: 11, data: `b.bbbbbbbbbbbbbbbbbbbbbbbbbb
+bS.bb......................b
+bbS.b..#bbbbbbb#-----......b
+bbbSb..#bbbbGbbS....Sb#bSG.b
+bbbS.G.#bGbbbbbS.G..Sb#bbbbb
+bbbbbbbbbbbbbbbbbbbbbb#.....
+.....................bbbbbb#
+----b#..G.bbbb#............#
+....b#bbb#bbbb#....G.......#
+G...b#...#bbGb#bbbbbbbb#bbbb
+....b#.G.#....G........#..G.
+.G..bbbbbbbbbbbbbb#.G..#bbb#
+...G...........G..#bbbb#.G.#
+.............#bbbbbb...#bbbb
+.......G....M#........E#EEEE
+Sbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'revenge', num: 12, data: `S...........................
+S.................G.-------.
+S..............BBBBBG......#
+BBBS..........B#####BG.....#
+B..S.........B##.G.##BG....#
+B.BBBBB#BBBBX##EGGG.##XG...#
+B.B..G.#B...BBBBbBBBBBB....#
+BGB#BBBBB.....---.B........#
+BGB#B............#B.bbbbbb.#
+BGB#B..G..G......#B.bbbbbb.#
+BGB#BBBBBBBBBB...#B.bbbbbb.#
+BGB#--------.B.G.#B.bbGbbb.#
+B.B#.G.GG.G.#BBBbBB.bbbbbb.#
+B.B#BBBbBBBBBB..G...bbbbbb.#
+B.M#...EEEE...BBBB.........#
+BBBBBBBBBBB#.............#BB` },
+  { variant: 'revenge', num: 13, data: `BBBBBBBBBBBBBBBBBBBBBBBBBB.B
+B..---------..............SB
+B.b........G#bbbbbS......S.B
+BGb........#b----bS.....S..B
+BGb.......#G....##bbS..S...B
+BGb.....-G#b#....##bS.S....B
+BGb....#Gb#b#.....#bbbbbbbbB
+BG.....#bb#b#.GG..#b...GG..B
+BGb...G#b..bbbbbbbbb#bbbbbGB
+BGb#bbbbb.Gb.-------#b.G.bGB
+BGb#b...bbbb#.....G......bGB
+BGb#b.G..G..b#bbbbbbb#bbbbGB
+B.b#b........#.......#..Gb.B
+B.b#bbb#bbbbbbbb#bbbbbbbbb#B
+B.M#...#....GG..#....GEEEE#B
+BbBBbBbBbbbBBbbBBbBBbBbbbBBB` },
+  { variant: 'revenge', num: 14, data: `S...........................
+S...........................
+Gbbbbbbbbbbbbbbbbbbbbbbbbbb#
+Gb.-------------#---------b#
+Gb#.G....G..G...b#........B#
+Gb#...#bbbbbbbb#bb#.bbbbb.B#
+GbX#..#.G......#.b#..bbGb.B#
+GbXb#bbbbb...G.#.bb#..bbb.B#
+GbGb#....b#bbbb#.Gbb##.bb.B#
+GbGb#.G..b#.....#bbbbb#.b.B#
+Gb.bbbbb#b#...G.#....bb#..B#
+Gb...G..#bb#bbbb#..G..b#..B#
+.b#bbbbb#b.#....#bbbbbbb#.B#
+Gb#EEEE....#.G..#....GMbb#B#
+Gbbbbbbbbbbbbbbbbbbbbbbbbbb#
+...........................#` },
+  { variant: 'revenge', num: 15, data: `...........................S
+...G............G..........S
+#bbbbbbbbb-#bbbbbbbbb#.....S
+#..........#.........#.G...S
+#.....G.....------...bbbbXX#
+bb#bbbbbbbb................#
+..#...............#bbbbbbbbb
+..#.G.............#bbbbbbbbb
+#bbbbbbbb#...G....#bbbbGbbbb
+#........#bbbbbbbbbbbbbbbbbb
+#..G.....#..................
+bbbb#bbbbbbbbbbbbbbbbbbbbbb#
+bbbb#bGGGG.GG.G.GG..GGGGG..#
+bGbb#bbbbbbbbbbbbbbbbbbbbbbb
+bbbb#EEEEE.................M
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'revenge', num: 16, data: `S..bbbbbbbbbbbbbbbbbbbbbbbbb
+SM.b..b.------.bbbbbbbbbbbb.
+#B.b#b.#.bbbb.-......E.....X
+#BEb#b#b#....#.BbbbbbbbbbbbG
+#B.b#bbbbbbb#..GBbbbbb-bbbbb
+#B.b#bGbbbb#b#.Bbbbbbb-bbbbG
+#B.b#bbbbb#Bb#...bbbGb-bGbbb
+#B.b#..b.#bbbbbb#.bbbbXbbbbG
+#B.bbb#bG#bb..G.#.........bb
+#B...b#bXbbbbbbbbbbB.......G
+#B.bbb#.....b#bbbbbB.#bBBb#b
+#B.b#bbbb#G.b#b.G..B.#b.Gb#G
+#B.b#....#bbbbbbbSSbbbbXbbbb
+#bXbbbbbbbBBBBBBBBBBBBBBBbBB
+#......................EEE..
+#BbBbBbBbBbBbBbBbBbBbBbBbBbB` },
+  { variant: 'revenge', num: 17, data: `...................b........
+.bbbbbbbbbbbb#bS...b........
+#bB.GG...E..b#bbbbbb..#bbbXb
+#bBbbbBBBbb#b#.......#BbG#.b
+#bB-.bGG..b#b#..M...#BBbb#.b
+#bB.bbbb#.b#bbbbbbb#.--bbbXb
+#bBBbGG.#.b#......b#...B..G.
+#bBBbbbbb.bbbbbbb#bbb#.BBBBb
+#bBG............b#b..#......
+#bbbb........G...#b..#...#b.
+#b...#bbbbbBBBBBBbb#bbbbb#bb
+#b...#b..b#BB......#b.b.b#bG
+#bb..#bE.b#BB#bbbbbbb.G.b#.b
+bb#bbbbbb.bBB#b.....bbbXb#b.
+bb#b....b....#b.G.......b#bG
+bb#bGGG..bbbbbbXbbbbbbbbbbbb` },
+  { variant: 'championship', num: 1, data: `............................
+#--------------------------#
+#.G..G.GGGG.G....G.....GG..#
+#.G..G.G....G....G....G..G.#
+#.GGGG.GGG..G....G....G..G.#
+#.G..G.G....G....G....G..G.#
+#.G..G.GGGG.GGGG.GGGG..GG..#
+#.......................E.E#
+#--###---###---###--####---#
+#MS...S.S...S.S...S.S...S..#
+#b#b....S...S.S...S.S...#bb#
+#bS.b##.S...S.S...S.SbbbS.b#
+#bS...Sb#b..S.S...#b#...S.b#
+#b.SSSS..S##bGG###..SSSS..b#
+#b........................b#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 2, data: `GE....BB....SGS...E......M.G
+#-----B-B----#----BB-------#
+#----GB--B---#----B-B------#
+#---BBB------#---GB--B-----#
+#---BBB------#--BBB--------#
+#------------#--BBB--------#
+#E...GGG.....E............E#
+#............G.........GG..#
+#------------#---------BB--#
+#--------BB--#---------B-B-#
+#--------B-B-#--------GB--B#
+#-------GB--B#-------BBB---#
+#------BBB-----------BBB---#
+#......BBB........GGG......#
+#..........................#
+#GGGGGGGGGGGGGGGGGGGGGGGGGG#` },
+  { variant: 'championship', num: 3, data: `#####G##E########M###......S
+#####################B.....S
+#####################B.....S
+G#####E####G#########Bbbbbbb
+####BBBBBBBBBBBBBBBBBBBBBBBB
+############################
+#####G########E##G##########
+BBBBBBBBBBBBBBBBBBBBBBBB####
+########G##########G###B###G
+#######################B####
+#######################B####
+####G#########G#######GBG###
+####BBBBBBBBBBBBBB#####B####
+#################B##########
+###########E#G#G#B##########
+BBBBBBBBBBBBBBBbBB#G#######G` },
+  { variant: 'championship', num: 4, data: `.............#..............
+-------------S--------------
+............GSG............#
+......G....#b#b....EG......#
+#BBBBBBBBBBBB#BBBBBBBBBBBBBB
+#............S..............
+#...........GSG.............
+#.E...G....bb#bb#...G....E..
+BBBBBBBBBBBBB#BBBBBBBBBBBBB#
+.............S.............#
+............GSG............#
+......G..#bbb#bbb...G....E.#
+#BBBBBBBBBBBB#BBBBBBBBBBBBBB
+#............S..............
+#...........GSG.............
+#.....GM.bbbb#bbbb#.G....E..` },
+  { variant: 'championship', num: 5, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.
+bbbbbbbbbbbbbbbbbbbbbbbbbbbS
+M.............G.b..........S
+#BbBbBbBbBbBb.b.bbbbbbbbbbb#
+#BbBbBbBbBbBbBb.b.bbbbbbb.b#
+#............G..b.bbbbbbb.b#
+#bBbBbBbBbBb.b..b.b-bbb-b.b#
+#bBbBbBbBbBbBb..b.b-bbb-b.b#
+#...........G...b.b-b.b-b.b#
+#BbBbBbBbBb.b...b.b-b.b-b.b#
+#BbBbBbBbBbBb...b.b-b.b-b.b#
+#..........G....b.b-b.b-b.b#
+#bBbBbBbBb.b....bGbGbGbGbGb#
+#bBbBbBbBbBb....bXbbbbbbbbb#
+#......................EEEE#
+#bbbbbbbbbbb....bbbbbbbbbbbb` },
+  { variant: 'championship', num: 6, data: `#--------------------------#
+#b.b..b.b.....G..bbb.b.b...#
+#bbb..bbb...b.b..b.b.bbb...#
+#...G...G...bbb.....G.....M#
+#.b.b..bbb.......G.bbb..b.b#
+#.bbb..b.bG....bbb.b.b..bbb#
+#G...G....b.b..b.b....E....#
+#b.b.b.b..bbb.......G.b.b..#
+#bbb.bbb......G...b.b.bbb..#
+#...G....G..b.b...bbb....G.#
+#.b.b...bbb.bbb..G.....b.b.#
+#.bbb...b.b......b.b...bbb.#
+#....G.....b.b...bbb...E...#
+#..b.b.b.b.bbbG.G.....bbb..#
+#..bbb.bbb....b.b.....b.b..#
+#.EEE.G.......bbb...G.....G#` },
+  { variant: 'championship', num: 7, data: `############################
+#..........................#
+#............GG............#
+#...........GXXG...........#
+#...........bXXb...........#
+#........G.GbXXbG.G........#
+#........bGb.G.bbGb........#
+#.....G.Gbbb.bG.bbbG.G.....#
+#.....bGbbb.GbbG.bbbGb.....#
+#.....bbbb..bbbb..bbbb.....#
+#..G.Gbb.G.Gb.bbG.G.bbG.G..#
+#..bGbb..bGbb..bbGb..bbGb..#
+#..bX.G.Gbbb....bbbG.G.Xb..#
+#..bb.bGbbb......bbbGb.bb..#
+#..bb.bbb..GGGGGG..bbb.bb..#
+#...M.....#bbbbbb#....EEEE.#` },
+  { variant: 'championship', num: 8, data: `#G#bb#G#BB#G#bb#G#BB#G#bb#G#
+#BB#.#bb#.#BB#.#bb#E#BB#.#b#
+##E#BB#.#bb#E#BB#.#bb#.#BB##
+##bb#.#BB#.#bb#.#BB#.#bb#.##
+#B#.#bb#.#BB#.#bb#.#BB#.#bb#
+#.#BB#.#bb#.#BB#.#bb#.#BB#.#
+#bb#.#BB#.#bb#.#BB#.#bb#E#B#
+##.#bb#.#BB#.#bb#.#BB#.#bb##
+##BB#.#bb#.#BB#.#bb#.#BB#.##
+#b#.#BB#.#bb#.#BB#.#bb#.#BB#
+#.#bb#.#BB#.#bb#.#BB#.#bb#.#
+#BB#.#bb#.#BB#.#bb#.#BB#.#b#
+##.#BB#.#bb#E#BB#.#bb#.#BB##
+##bb#.#BB#.#bb#.#BB#.#bb#.##
+#B#.#bb#.#BB#.#bb#.#BB#.#bb#
+#M#BB#G#bb#G#BB#G#bb#.#BB#G#` },
+  { variant: 'championship', num: 9, data: `bbbbbbbbbbbbS.b.SbbbbbbbbbbS
+bb.E###.##.ES...SE##..##.EbS
+.Gbb..Gb.Gb##...#bG.bbG.bbGS
+Gbb..Gb.Gb##....#bbG.bbG.bbS
+bb..Gb.Gb##.G.M.#.bbG.bbG.bb
+b..Gb.Gb##.Gbbbb#G.bbG.bbG.b
+.G.b.Gb##.Gbb..bb#G.bbG.bbG.
+#bb.Gb##.Gbb.GG.bb#G.bbG.bb.
+#b.Gb##.GbbG#bb#Gbb#G.bbG.bb
+#.Gb##.GbbG#b..b#Gbb#G.bbG..
+#Gb##.GbbG#b.GG.b#Gbb#G.bbGE
+#b##.GbbG#b.GbbG.b#Gbb#G.bb#
+###.GbbG#b.GbbbbG.b#Gbb#G.b#
+##.GbbG#b.GbbGGbbG.b#Gbb#G.#
+#G.bbG#b.G...bb...G.b#Gbb#G#
+bb#.Gb#.bbbbbbbbbbbb.#b.G#bb` },
+  { variant: 'championship', num: 10, data: `#---..bbbb...G##..bbbbbbbb..
+#..GbbGbbb..G#..Gbb.......b.
+#.GbbbbGbb.G#..GbbG#bbbbbbb.
+#GbbbbbbGb.#G.-bbG#.....bb..
+#bbbbbbbbb.G#.-b.#.......bb.
+#.--GGbGGb.#G.-b#........Gb.
+#G..bbGbbG.G#.-b#b.......#b.
+M#..GbbGbb.#G.-b#bG#bG#bG#b.
+.b#.bbGbbG.G#.-b#BBBBBBBBBb.
+Eb#.GbbGbb.#G.-b#.........b.
+.b#.bbGbbG.G#.-bbbbbb#bbbbb.
+.b#.GbbGbb.b#.-bbG..b#b..Gb.
+.G#.bbGbbGb.#.-..b.Eb#b..bb.
+.b#..bbbbb..#..bb.bbb#bbbb..
+..#---.bbbbb....b#####bbb...
+..S.........................` },
+  { variant: 'championship', num: 11, data: `#--------------------------#
+#...M......................#
+#.bbbbb.bbbbb..bbbbb.bbbbb.#
+#.b.G.b.b.G.b..b.G.b.b.G.b.#
+#.bBbbb.bbbbb..bbbbb.bBbbb.#
+#...b.....b......b.....b...#
+#.bbbBb.bbbbb..bbbbb.bbbBb.#
+#.b.G.b.b.G.b..b.G.b.b.G.b.#
+#.bBbbb.bbbbb..bbbbb.bBbbb.#
+#...b.....b......b.....b...#
+#.bbbBb.bbbbb..bbbbb.bbbBb.#
+#.b.G.b.b.G.b..b.G.b.b.G.b.#
+#.bbbbb.bbbbb..bbbbb.bbbbb.#
+#...b.....b......b.....b...#
+#E........b......b........E#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 12, data: `S..------------------------#
+.bS..X.E.b...b.E.b...b...b.#
+..GXS.GbG.GXG.GbG.GXG.GbG..#
+X.bXbSbbb.bXb.bbX.XXb.bbb..#
+...b.S.b...b...b...b...b...#
+GbG.GXS.SXS.GbG.GXG.GXG.GbG#
+Xbb.bbbSbbXSXbb.bXX.bbb.bbb#
+.b...b.E.b.S.b.E.X...b...b.#
+..GXG.GbG.GXS.GXG.GbG.GbG..#
+X.bbb.bbb.bbbSbbb.Xbb.XbX..#
+...b...b...b.S.b...b...b...#
+GbG.GbG.GXG.GbS.GbG.GbG.GbG#
+Xbb.bbb.bbb.bbbSbbX.bbb.bbX#
+.b.G.b.G.b.G.b.S.b.G.b.G.b.#
+M.#b#.#X#.#b#.Sb..#b#.#b#.E#
+bb#.#.#.#.#.#.#.#.#.#.#.#bb#` },
+  { variant: 'championship', num: 13, data: `B.BBBBBBBBBBBBBBBBBBBBBBBBBS
+BSM#.#G#.#G#.#G#.#G#.#G#.#BS
+BBB#BBBBBBB#BBBBBBB#BBBBB#BS
+B#B#G#.#G#B#G#.#G#B#G#B#B#BS
+B#BBBBBBB#B#BBBBBBBBB#B#B#BS
+B#G#.#G#B#B#B#G#.#G#B#B#B#BS
+BBB#BBBBB#B#B#BBBBB#B#B#B#BS
+B#B#B#.#G#B#B#B#G#B#B#.#G#BS
+B#B#B#BBBBB#B#B#B#B#BBBBB#BS
+B#G#.#G#B#G#B#G#B#B#.#G#B#BS
+B#BBBBB#B#B#BBB#B#BBBBB#B#BS
+B#B#G#.#B#B#G#B#B#.#G#B#B#BS
+B#B#BBBBBBBBBBB#B#BBB#B#BBBS
+B#B#.#G#.#G#.#G#B#B#B#B#E#BS
+B#BBBBBBBBBBBBBBB#B#B#BBB#BS
+B#E#G#.#B#.#G#.#G#B#G#.#B#..` },
+  { variant: 'championship', num: 14, data: `...M...E...E...E...E...E...S
+bbb#bXb#bbb#bXb#bbb#bXb#bbb#
+bbb#bXb#bbb#bXb#bbb#bXb#bbb#
+bbb#bXb#bbb#bXb#bbb#bXb#bbb#
+############################
+bbb#bXb.bXb#bbb.bXb#bXb.bbb#
+bbb#bXb.bXb#bbb.bXb#bXb.bbb#
+bbb#bXbGbXb#bbbGbXb#bXbGbbb#
+############################
+bXb.bbb#bXb.bbb#bXb.bbb#bXb#
+bXb.bbb#bXb.bbb#bXb.bbb#bXb#
+bXbGbbb#bXbGbbb#bXbGbbb#bXb#
+#G###G###G###G###G###G###G##
+bbb#bbb#bbb#bbb#bbb#bbb#bbb#
+bbb#bbb#bbb#bbb#bbb#bbb#bbb#
+bbb#bbb#bbb#bbb#bbb#bbb#bbb#` },
+  { variant: 'championship', num: 15, data: `E...........................
+MG..G..G..G..G..G..G..G..S..
+.#-.#-.#-.#-.#-.#-.#-.#-.#-.
+.#..#..#..#E.#..#..#E.#..#..
+.#..#..#..#..#..#..#..#..#..
+.#..#..#..#..#..#..#..#..#..
+.#..#..#..#..#..#..#..#.-#..
+.#..#..#..#..#..#..#.-#.....
+.#..#..#..#..#..#.-#........
+.#..#..#..#..#.-#.....bbbbb#
+.#..#..#..#.-#.....bGbbbbbb#
+.#..#..#.-#.....bbbbbbbbbbb#
+.#..#.-#.....bbbbbbbbbbbbbb#
+.#.-#.....b.bbbbbbbbbbbbbbb#
+-#.....bbbbbbbbbbbbbbbbbbbb#
+.S..bbbbbbbbbbbbbbbbbbbbbbb#` },
+  { variant: 'championship', num: 16, data: `####..######################
+#..Gbb..BB.G.B#GE.BBG..B#.G#
+#.Gbb.....BBEG.B#G..BBG..B##
+#Gbb......G.BB.G.B#G..BBG..#
+#bb......#bb..BB.G.B#G..BBG#
+#B.G....#Xb.....BB.G.B#G..B#
+#.BB.G.#bX........BB.G.B#G.#
+#G..Bb.bb..........GBB.G.BB#
+#B#G..BB.G.......#bb..BB.G.#
+#G.B#G..BB.G....#Xb.....BBM#
+#BG..B#GE.BB.G.#bX.......Gb#
+#.BBGE.B#G..Bb.bb......GbBB#
+#G..BB.G.B#G..BB.G....GbB..#
+#B#G..BBG..B#G..BB.G.GbB...#
+#E.B#...BB...B#...bb.bb....#
+####################bbbbbbb#` },
+  { variant: 'championship', num: 17, data: `.........S........S.........
+....G....S........S.........
+...#Bb#E.S........S..#bB#.G.
+#Bb#..#BB#........#BB#..#BB#
+#M.G..G..#bB#.G#bB#..G..G..#
+BB#.G....G.S#BB#.........#Bb
+..#bB#E.#BBSG..#BB#...#Bb#.G
+#BBG.#bB#......G..#SBB#G.#BB
+#....G..#bB#E...#BbS..#bB#..
+#bBS....G..#BBS.#..G..#..E..
+.G.SBB#..#BB..SbB#....#BbB#.
+......#Bb#....G..#BB#...G.#.
+...#Bb#.G#BB#.......#bB#..#.
+#BB#..#bB#..#Bb#.#Bb#G.#BB#.
+#..S..S.ES..SG.SGS..S..S.GS.
+#BBBBBBBB#b.BBbBB#b.BBBBBBBB` },
+  { variant: 'championship', num: 18, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.
+M.-..b#...bb#...bb#...bb.bb#
+bb-bbb#bbb-b#bbb-b#bbb-b.bb#
+bb-bXb#bbb-b#bbb-b#bGb-b.bb#
+bb-bXb#bb-.b#bbb-b#bX-.b.bb#
+bb-bXb#.-.bb#...-b#...bbbbb#
+bb-bXb#.bbbb#bXb-b#bbbb.b.b#
+bb-bXb#b.bbb#bbb-b#bbbb.b.b#
+bb-bXb#bbGbb#bbb-b#bbbbG..b#
+bb-bG.#bXX..#bGb-.#b.Gbbb.b#
+bbbXbbbbbbbbbXbbXbbbXbbbbbb#
+.SSS.-------------------E.E#
+S.....SS..S.SS.S.SS.S..S.E.#
+.SS..S..S.SS...SS....SS....#
+...S.S..S.S....S.....S.....#
+SSS...SS..S....S....S....S.#` },
+  { variant: 'championship', num: 19, data: `........--.B..-..BBB...-..BB
+b#BGbBB#..bGbB.#b...GbB.#-G.
+b#.bbG.B#..BB..#bG..bB.#..b.
+bBBBBb..B#...E#Bb.Bbb.#..bB.
+G....bBBB#bBBBbBBbBB.#..bBB.
+X.#B.....#b.--...----#.bbGB.
+XB#.BBbBBbB.G.Bb...BXB..bBB.
+.BB#..-...BBbBBBb.BBGBB..BB.
+..BB#..BbGB....GbBBBXBBB..B.
+--.BB#..Bb....BBB.---#.BBG..
+G.#.BB#..........#....#.BB..
+.b#...B#..#bB#----....B#.BB.
+.b#Bbb.B#bBb.#.E...bEB..#...
+Bb.GbbB.#BGbbBBbS.bBb..#XS..
+BBBbbb.#bBBbb.GbSbGB..#BGBSG
+BG..b#B#..MbBB.BSBb..#..X.SB` },
+  { variant: 'championship', num: 20, data: `S...........................
+SG....E.......------------GG
+#B------------.GGGGGGGG.GGB#
+#BXbbbbbbbXbbbXbbbXbbbbXbbB#
+#B.G..E..G..G.....G.....G.B#
+#B.BBBBBBBBBBB.bbbXbbbbXbbB#
+#B.GGGEGGGGG.B.B.GGGGGGGG.B#
+#B.bbbbbbbbb.B.B.bbbbbbbb.B#
+#B.G..E..G..G..B..G.....G.B#
+#b#bbbbbbbbbbbXbbbbbbbbbb#b#
+#b#G..E..G..G..G..G..G...#b#
+#bbbbbbbbbbbbb.BBBBBBBBBBbb#
+#..G..M..G..GB.G..G..G..G..#
+#bbbbbbbbbbbbb.bbbbbbbbbb.b#
+#..G..G..G..GB.G..G..G..G..#
+#bbbbbbbbbbbbb.bbbbbbbbbbbb#` },
+  { variant: 'championship', num: 21, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbbS
+bbbb--------b---------....bS
+bbb.....M...b....E....#b..bS
+bbb...bbbb..bbbbbbbbb.#b..bS
+bb...bbbbb..bbbGbbGbb.#b..bS
+bb.....Gbb..bGbbbbbGb.#b..bS
+b....E......bbbGbbbbG.#b..bS
+b...bbbb....bGbbbbGbb.#b..bS
+bXbbbbbbBB..bbbGbGbbb.#b..bS
+bXbGGGGGb##.bGbbbbbGb.#b..bS
+bXbbbbbb##.bbbbGbbbbG.#b..bS
+bXbbbb....bbbGbbbbGbb.#X..bS
+bXbbbb#b.bbbbbbbbbbbb.#bbbbS
+b.....#.b.bbb.........#b..bS
+b....#.bbb.b..........#b.GbS
+bbbbbbbbbbb.bbbbbbbbbbbbbXSS` },
+  { variant: 'championship', num: 22, data: `BB.BBBBBBBBBBSBBBBBBBBBBB.BB
+b#GGGGGGGGGGGSMGGGGGGEGGGG#b
+B#BBBBBBBBBBB#BBBBBBBBBBBB#B
+b#BEGGGGGGG#.#.#GGGGGGGG.B#b
+B#bGBBBBbBB#G#G#BBbBBBBBGb#B
+b#BGb#GGGEB#####B.GEGG.bGB#b
+B#bGB#BBBXBB###BBXBBBB#BGb#B
+b#BGb#B.GGGG###GGG.G#B#bGB#b
+B#bGB#bGBBBB###BBBGB#b#BGb#B
+b#BGb#BGG.GG###GGEGG#B#bGB#b
+B#bGB#BBBXBB###BBXBBBB#BGb#B
+b#BGb#GGGGb#####bGGGGG#bGB#b
+B#bGBBBBBBB#BGB#BBBBBBBBGb#B
+b#BGGGGGGGG#bGb#GGGGGGGGGB#b
+B#BBBBBBBBBBBGBBBBBBBBBBBB#B
+b#GGGGGGGGGGGGGGGGGGGGGGGG#b` },
+  { variant: 'championship', num: 23, data: `bbbbbbbbbbbbbbbbbbbbbbbbbbb.
+bM.b..b.....b..b...--.--.--#
+bG.b...G#b...G.b..b.Gb..bG.#
+bbbb#bbbbbbbbbbbbbbb.bb#bbb#
+b..b#Gb..b.Gb..b.G...bG#b..#
+b..b#....b..b....#b----#b..#
+bbbbb#bbbbbbbbbbbbbbbbbbbbb#
+b..b.#b..b..b.Gb...G.bG#b..#
+b.G..#bG.......b..b#..##bG.#
+b.bbbbbbbbbbbbbbbbbbbbbbbbb#
+b..b..b..bG#b..b....#b..b..#
+b...G.b..b..b...G#b..b..b..#
+b.bb#bbbbbbbb#bbbbbbbbbbbbb#
+b.Gb#.b..b...#Gb..bG....b..#
+b..b#..G....b#......Sb....G#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 24, data: `#----------------.Ebbbb.----
+#-----.E.-------.bbbbbbb.---
+#---..bbb..----.bbbbbbbb.---
+#--.bbbbbbb..-.bbbbbbb..----
+#-.b..bbbbbbb.bbbbbb...-----
+#-.b.G.bbbbbbbbbbbb.bbbbb.--
+#--.bbb.bbbbbbbbbb.bbbbbbbb.
+#-------.bbbbbbbbbb.bbbbbbbb
+#.......bbbbbbbbbbbb.bbbbbbb
+#......bbbGbbbGbbbbbb.bbbbbb
+#......bbbbbbbbbbbbbb.bbbbbb
+#...-----bbbbbbbb-----bbbbbb
+#....----bb...bbb------bbbbb
+#--.bbbSbbbb#bbbbb.bbbb.bbbb
+#..bGbbS..bbbbbb..bbbbbb.bbb
+#M#X#bbbS........bb#b#bb.bbb` },
+  { variant: 'championship', num: 25, data: `bbbbbbbbbb########bbbbbbbbbb
+bbbbbbb####EE...M####bbbbbbb
+bbbbbb##...bbbbbb...##bbbbbb
+bbbbb##.bbbbb-bbbbbb.##bbbbb
+bbbb##.bbbbbb--b.bGbb.##bbbb
+bbb##.bbGbbbb--bbbbbbb.##bbb
+bbb#.bbbbE...--...Ebbbb.#bbb
+bbb#.bbbbbbbb--bbbbbbbb.#bbb
+bbb#.bbbbb--b--b--bbbbb.#bbb
+bbb#.bbbb--bb--bb--bbbb.#bbb
+bbb##.bb-.bb.--bbbG-bb.##bbb
+bbbb##.bbbbbb.-bbbbbb.##bbbb
+bbbbb##.bbbbbb.bbbbb.##bbbbb
+bbbbbb##...bbbbbb...##bbbbbb
+bbbbbbb####......####bbbbbbb
+bbbbbbbbbb########bbbbbbbbbb` },
+  { variant: 'championship', num: 26, data: `bbbbb#################bbbbbb
+bbbb##...............##bbbbb
+bbb##.....M......E....##bbbb
+bb##..#bbbbbb#bbbbbb#..##bbb
+bb#...#b..G.b#b.G..b#...#bbb
+bb#---#BG...b#b...GB#---#bbb
+bb#GGG#bb.bbb#bbb.bb#GGG#bbb
+bb#GGG#.b.XBBBBBb.b.#GGG#bbb
+bb#...#.bbb.....bbb.#...#bbb
+bb#---#.....GGG.....#---#bbb
+bb#...#.bbbbbbbbbbb.#...#bbb
+bb#E......G#####G.....E#bbbb
+bbb#....XXbXXXXXbXX...#bbbbb
+bbbb#E..............E#bbbbbb
+bbbbb#..............#bbbbbbb
+bbbbbb#GGGGGGGGGGGG#bbbbbbbb` },
+  { variant: 'championship', num: 27, data: `...BE.........B.............
+...B#BBBBBBBB.B.............
+...B#BB.......B.............
+...B#BB.BBBBBBB.............
+....#.#.....................
+....#.#.....................
+....#.#.....................
+....#.#.BBBBBBBBBBBBBBBBBBBS
+....#.GGBGGGGGGGGGGGGGGGGGG#
+....#.BBBBBBBBBBBBBBBBBBBBBB
+....#.......................
+....#.GGGGGGGGGGGGGGGGGGGGG#
+....#.BBBBBBBBBBBBBBBBBBBBBB
+....#.......................
+....#.GGGGGGGGGGGGGGGGGGGGG#
+M...#.BBBBBBBBBBBBBBBBBBBBBB` },
+  { variant: 'championship', num: 28, data: `...M...........E............
+bbSbbbbbXbbbbbbbbbSbbbbbbbbb
+..S...b..........bS.........
+SbbbbbbbbbbXbbbbbbbbbbXbbbSb
+S.........b............b..S.
+bbbbSbbbbbbbbbbbbbbbXbbb..S.
+....S------------.........S.
+....-.#..........bbb...bbbb#
+bbbb--#bbbbbbbbbbb......---#
+bbbb-.#................-...#
+bbEb-.bbbbb#bbbbbbb....-...#
+bbbb-......#.........G.-..#b
+bbEb-.bb#bbbbbb.#bb#.b.-.#bb
+bbbb-...#.......#..#....#bbb
+bGGb....#.......#..#....#bbb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 29, data: `###b#............#bM.EbE####
+XbXb#.G.G.G.G....#bbbGbbXbb#
+#bXb#.########..G###bGEGGEb#
+#b###.#bXbXXX#...G.#bbbbbGbb
+#bb##.#bSSGGX#####.#####bGGE
+Xbb#G.#bGSSbXbXXb#.G.G.#bXbb
+#####.#bSSGbXSGGb#####.#####
+#bbb#.#bbbXbXSSbbXbXb#..GGGS
+#GGb#.#####bGGGbbGSSb#.G####
+###b#G....#bXbbbbSSGb#..G#XX
+#X#b#.....#####bGGGGb#..G#X#
+#X#bbbbb#G....#bbbbXb#.###X#
+#X#####b#.....########.#bXX#
+#XbbXb#bXbbb#G..G...G.G#b###
+####Gb####bbb####...####b#bX
+XXXX#bbbG###bXXX#G.G#XXXb#b#` },
+  { variant: 'championship', num: 30, data: `bbbbbbbbbbbbbbSbbbbbbbbbbbbb
+b....E.G.E..MSSS..E.G.E....b
+bSbbbbbbbbbbb...bbbbbbbbbbSb
+.#------------------------#.
+.#...........S............#.
+.#...........S............#.
+.#...........S............#.
+.#...........S............#.
+.#...........S............#.
+.#...........S............#.
+.#...........S............#.
+.#...........SG...........#.
+.#.....G......B......G....#.
+.#.....B......B......B....#.
+#......B......B......B..E..#
+#bbbbb...bbbb.B.bbbb...bbbb#` },
+  { variant: 'championship', num: 31, data: `.SS---S---S---S---S---S---SS
+.#bbXbbbXbbbXbbbXbbbXbbbXbb#
+.#b---b...b--.b.--b...b---b#
+.#bXbXbXbXbXbXbXbbbbbXbXbXb#
+.#b....b---b...b...X---b..b#
+.#bbXbXbXbXbXbXbXbbbXbXbXbb#
+.#b...b...b---b---b...b...b#
+.#bXbXbXbbbXbXbXbXbXbXbXbXb#
+.#b..X..#b---b---b...b....b#
+.#bbXXXbXbXbXbXbXbbbbbXbXbb#
+.#b...b---b...X...b#--b...b#
+.#bXbXbXbXbXbXXbbbbbbXbXbXb#
+.#b---.b...b...b#..b...b--b#
+.#bbXbXbXbXbXXXXXbXbXbXbXbb#
+.#MEE.........G.........EEE#
+.bbbbbbbbbbbbS.Sbbbbbbbbbbbb` },
+  { variant: 'championship', num: 32, data: `.S............M...........S.
+.#.#bbbbbbbbbbBBBBBBBBBBB.#.
+.#.#b...................#.#.
+.#.#BGb#b.......G.E..G#b#.#.
+.#.#BBBBBBBBBBBBBBBBBBbb#.#.
+.#..#b..............---#..#.
+.#..#bG.E.E.E...Gb#b.Gb#..#.
+.#..#bbbbbbbBBBBBBBBBBb#..#.
+.#---#---............b....#.
+.#...#bG.b#b....GG...B#...#.
+.#...#bbbbbbBBBBBBBBBB#...#.
+.#....#B..................#.
+.#....#BGE.b#b#.GG..b#....#.
+.#....#BbBBBBBBBBBBBb#....#.
+.#........................#.
+.#........................#.` },
+  { variant: 'championship', num: 33, data: `-------------#G-------------
+.G.GEG.......G#.......GMG.G.
+bbbbbbbb.....#G.....bbbbbbbb
+bb.....bb....G#....bb.....bb
+bSb....b.b...#G...b.b....bSb
+bSSb...b..b..G#..b..b...bSSb
+bSSSbE.b...b.#G.b...b.EbSSSb
+bSSSSXXbbbXbbG#bbXbbbXXSSSSb
+bSSSSX.b....b#Gb....b.XSSSSb
+bbbbbXbbG...bG#b...GbbXbbbbb
+.b###X##bG..b#Gb..Gb##X###b.
+..b##X###bG.bG#b.Gb###X##b..
+#..b#X####XGb#GbGX####X#b..#
+##..bX#####XbG#bX#####Xb..##
+..#..XXbbbbXb#GbXbbbbXX..#..
+bb##.........G#.........##bb` },
+  { variant: 'championship', num: 34, data: `.S..-............E..........
+BS.#..b#..........B--------X
+.#B#bBBBBbbB#bbbB#.#.......#
+#BBB#.-.B.G.B#bbB#..B...B..#
+#BG..#G.GB#E-##bB#--G...G-B#
+#BB#.#.#BB#..BB#B#..B.G-B..#
+#GB#.#.BG.#..GB#B#--G.B.G-B#
+#BG#-#BB#.#.G#B#B#..B-G.B..#
+#GB#.BG.#.#.X#.#B#--G.B.G-B#
+#BG#BB#.#.#.BGB#B#..B.G-B..#
+#BBBG.#.#.#.GXG#B#--G.B.G-B#
+#GBB#.#.#.#.#BBB.#..B-G.B..#
+BBG.#.#.#.#.#B..b#--G.B.G-B#
+B.#.#.#.#.#.#.b#B#..B...B..#
+GB#B#B#B#B#.BBB.M#BS....EE.#
+#.#.#.#.#.#....b#BBBbbbbBBbB` },
+  { variant: 'championship', num: 35, data: `S..........................S
+S..G..E.G.......G....G..E.GS
+BBBBBBBBBBb#..#bBBBBBBBBBBBB
+...........#..#.............
+...........#bb#.............
+G..EG....G.#..#......G..E.G.
+bBbBbBbBbBbB##BbBbBbBbBbBbBb
+............##..............
+------....G.##...G..--------
+......#BBBBBBBBBBBB#........
+......#............#........
+.G.E..#.G.....G....#...GE.G.
+BBBBXbbbbbbb##bbbbbbbXBBBBBB
+............##..............
+............##..............
+.G....MG....##.....G......G.` },
+  { variant: 'championship', num: 36, data: `..SSSSSSSSSSSSSSSSSSSSSSSSS.
+..S..E......-----.....M...S.
+..Sbbbbbbbbb..#..bbbbbbbbbS.
+..SS#-#-#-#.b###b.#-#-#-#SS.
+..b-#-#-#-#-b#.#b-#-#-#-#-b.
+..b-#G#.#G#-b###b-#G#.#G#-b.
+...bbbbbbbbb.###.bbbbbbbbb..
+.............#.#............
+.............###.....bbb....
+.............###....b--#.G..
+#b.-----G....#.#...b.G.#bbb.
+#BG.---.b....###--.B.b.#--..
+#bBbG-.b#bBbBb#b..b....#....
+#..bBbBb#...E.#.bBbBbBbBb.GB
+B#......Bb.bBb#b#...G...G.bB
+bBbB#Gb#......G.#bBbBbBbBbBb` },
+  { variant: 'championship', num: 37, data: `..........................S.
+.....#------------------#S..
+.....#-.-.-.-.-.-.-.-bbb#...
+.....#.b.b.b.b.b.b...b.b.#..
+...#bbbbbbbbbbbbbbb..bbb..#.
+...#b.bbbb.b.bbb.b.Xbbbb.#..
+...#bbbbbbbbbbbbbbbXbbbb#...
+.E.#bbb.bbbbb.bbbbbXbbbb.#..
+#bbbbbbbbbb.bbbb.G.Xbbbb..#.
+#bb-bbbbbbbbbbbbXbbXbbbb...#
+#bbbb..Gbbb.bbbbXbbXbbbb..#.
+#b...#bbbbb.bbb-Xb-Xb-bb.#..
+#Xbbb#XbbbbG.bbXbbXXbbbb#...
+#Xb-bbb--bbbb--XbbX--bbb.#..
+#Xbbbb----bb----bb----bb..#.
+#...##..E.##..G.##.G..##.M.#` },
+  { variant: 'championship', num: 38, data: `M####bbbb.#bbb#-----bbbb####
+#bbb#-----#bbb#bbbb.bbbb#bb#
+#bbb.bbXbE#bbb#bbbb-----#bb#
+#.GEGE.GEG#.G.#G.G..GG..G..#
+bbb.BBXb.b#Xb#bb#b.XbXb.bX#b
+bbb..GXb.b#Xb#bb#b.GbXb.bb#b
+bXb.bbXb.b####bb#b.XbXb.#.##
+GG.G---------..G#.G.G...G.G.
+bb.X#bbEbXbb.bXb#.bXb#.bbXX.
+bb.X#bb.bXbG-####.bGb#------
+bb.X#bb.bXbb.bbb#.bXb#.bbbb.
+G.G.#...G.G..GG.#.GG.#..GG.G
+b#X#bX#Xbbb.bbbb#XbbX#bbbb.b
+b#X#bb#Xbbb.bbbb#XbbX#bbbb.b
+b######Xbbb.bbbb#XbbX#bbbb.b
+G#GGGGGGGGGGGGGG#GGGG#GGGGGG` },
+  { variant: 'championship', num: 39, data: `.E.........--..........M....
+...#bbbbbbb...bbbbbb#.......
+...#bbbbbbb...bbbbbb#-#-.SS.
+...#....bbb...bbb...E.#.S..S
+#--#....bbb...bbb.....#.S..S
+#..#...bbb.....bbb....#..SS.
+#..E..bbb.......bbb...#.....
+#....bbb.GG...GG.bbb..#.S.S.
+#....bbb.bb...bb.bbb..#.SS..
+#....bbb.........bbb..#.S.SS
+#....bbb..bbbbb..bbb..#.....
+#....bbb..bbbbb..bbb..#bBbb#
+#.....bb...bbb...bbb..b.G.b#
+bbbbb#bbb..GbG..bbb---b.b.b#
+b.G.b#.bbbbbbbbbbb----bb.bb#
+b.b.b#...bb...bb...........#` },
+  { variant: 'championship', num: 40, data: `............................
+#----.......................
+#.ME.#bbb#..---------..#bbb#
+#...b#bbbbb#..-----..#bbbbb#
+#..bb#b#bbb#bb.....bb#bbb#b#
+#..bb#b#bbb#bb.bbb.bb#bbb#b#
+#...b#bbb#bbbb..#..bbbb#bbb#
+#....#bbb#bbbb.b#b.bbbb#bbb#
+#...b#b#bbb#bb.b#b.bb#bbb#b#
+#..bb#b#bbb#bb.b#b.bb#bbb#b#
+#..bb#bbb#bbbb.b#b.bbbb#bbb#
+#...b#bbb#bbbb.b#b.bbbb#bbb#
+#....#.#bbb#bb.b#b.bb#bbb#b#
+b#..#bb#bbb#...b#b...#bbb#b#
+bb##bbbbb.G...bb#bb...G.bbb#
+bbbbbbbbbbbbbbbbbbbbbbbbb..#` },
+  { variant: 'championship', num: 41, data: `.........E....S...........bS
+bb...#bbb.....S..b.bSbbbbbbS
+...bb#....bSbbbbbb.bbb....bS
+.....#..b.bbbbb..b.....#b.bS
+.bSbbbbbb........bbbbbbb..bS
+.bbb....bbbbbbb.......E..bbS
+................b..bbbbbbb.S
+bbbb.bb...M..bbbb#.b.......S
+.......#bbbb.....#.....#bbbS
+.#bb...#...G.bbbb#.#bbbb.G.S
+b#...bbb.#bbb......G....#bXS
+.#..G....#.....G.#bbb...#...
+.bbbbbb#bb.bbbbb.#....bbbb#.
+.G...E.#.....G...#........#.
+bbb.bbbbbb#.bbb..bbbb#..#bbb
+..........#..........#..#...` },
+  { variant: 'championship', num: 42, data: `.....----........SSE........
+....#....bbbbbbbS..Sbbbbbb..
+..#bbbbb.b.....bS..Sb....b..
+..#b...bbbbb...bMSS.b.#bbbbb
+#b#bbb.b...b#..bbb#bb.#b.b.b
+#b...b.b...b#...b.#...#bbb.b
+#b..Gb.b.b#bbbbbbb#...#b...b
+#b.bbbbb.b#......bbb#b.bbbbb
+#b.b.b.b.bbb..b#bb..#bbbb#..
+#bbbbb.bbb.#bbbbb...#b..b#..
+#..b.....bG#.b.bbbbbbb#.b#G.
+#..b..bbbbbb.b.b.E.b.G#bbbb.
+b#bbb#b.Eb.b.b.b...b..#b.Eb.
+b#..b#b.Gbbbbb.b...bbbbb..b.
+b#..b#bbbbbb...bbbbb...bXbb.
+bbbbb#............b.....X...` },
+  { variant: 'championship', num: 43, data: `...bbb#bbb........bbb#bbb...
+.bbb..#.....bbbb.....#..bbb.
+.b....#bbbbbb..bbbbbb#....b.
+.bbSbbbb............bbbbSbb.
+..bS.....#bbb..bbb#.....Sb..
+X.bSbbbbb#........#bbbbbSb.X
+XBBSBBBBBBBB#..#BBBBBBBBSBBX
+X..S...G.b..#..#..b.G...S..X
+XBBSBBBBBB#B.--.B#BBBBBBSBBX
+...S......#.b..b.#......S...
+Eb.S.b#.M.#bb..bb#.E.#b.S.bE
+.bbbbb#bbbb#b..b#bbbb#bbbbb.
+E....b#bbG.#bGGb#.Gbb#b....E
+bb..bb#.b--#bGGb#--b.#bb..bb
+bbb...#..bbbbbbbbbb..#...bbb
+bbbbbbbb#..........#bbbbbbbb` },
+  { variant: 'championship', num: 44, data: `..................M........S
+.bb#b#bbbbbbb#bbbbbbbbb#bbbS
+...#.b#b.....#.b#b.....#.b.S
+.bb#bb#bb.b#bbbb#bbSbbbbbbbS
+..#.S.#.....#...#..#.....#.S
+..b#..#b..bb#..b#b.b#..b.#-.
+.b.#..#..-.b#..bbb..b#bbb#..
+.b#b.b#bbGb#b#.....b.#...b#.
+..#b..b#b-#b.#-b#b...#.b#b#.
+..#....#bbbbEbb.#.bbbb..#b#.
+.b#.-.b#b-..b..b#.....-.#b#.
+.b#..b.#bbbb.#b.#.#bGbb.#b#.
+..#..#b#---bb.b#..##b---#b#.
+.bb#.#..#....b#b.b.#bbbbb##.
+...bbb#-.#----#---bb-----#..
+............E...............` },
+  { variant: 'championship', num: 45, data: `bbbbbbbbbbbbb...............
+bM.b..b.G...b.#...----------
+b..bG...#b.Gb-#...#.........
+bbbbb#bbbbbbbE#..S#.bbbbbbb.
+b..bG#b..bG.b.#.S.#.GbbbGbb.
+bG.b.#bG....b-#S..#.bGbbbbG.
+bb.bb#bbbbbbb.....#.GbbbGbb.
+b.Gb.#b.Gb#.b.....#.bGbbbbG.
+b...G#b..bG.b.....#.GbbbGbb.
+bbbbb#bbbbbbb.....#.bGbbbbG.
+b--b.#b--b..b.....#.........
+b--b.#b--b.Eb.....#bbbbbbbbb
+bbbbbbbbbbbbb.....#b..#b..Gb
+b#.b.....b........#bbbbbbbbb
+b#E...b.G..#b.....#b...b#.Gb
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 46, data: `.......ES.....SE............
+BB.BB..BS..M..SBB..B..BBBBB.
+B.B.B..B.S.#.S.B.B.B..BBB...
+B...B..B..S#S..B..BB..BBBBB.
+bbbbbXbbbBb#bbbbbbbbbb.Ebb..
+#-.........#.-..-.G-GGb#bbb#
+#..GbbbbbGb#bG#b.#b.#bb#..b#
+#.GGbbbbbGb#bBBBXXb#bXbGbbb#
+#GGGbbbbbGb#.G....BB.G...G.#
+#bGbbbbbbGb#XBBbXbbbbbbBBbb#
+#..BBXGXBBB#B.GXXb.GbB.GBBB#
+bb#BBGGGBBB#b#bbbBbbbbbbbbb#
+b.#BGGGGGBB#BG.......G...Gb#
+b#bbbbbbbbb#BBBBBB.bbbbbBBb#
+b#.G.G.G.G.#.bbbbb#bG.....G#
+bbbbbbbbbbbbB.bbbb#Eb#bSbbbb` },
+  { variant: 'championship', num: 47, data: `#.-.E..E..E..E...-..-..-.M-#
+#b.bbGbbGbbGbbGbb.bb.bb.bb.#
+#bb.bb.bb.bb.bb.bb.bb.bb.bb#
+#.bb.bb.bb.bb.bb.bb.bb.bb.b#
+#b.bb.bb.bb.bb.bb.bb.bb.bb.#
+#bb.bb.bb.bb.bb.bb.bb.bb.bb#
+#.bb.bb.bb.bb.bb.bb.bb.bb.b#
+#b.bb.bb.bb.bb.bb.bb.bb.bb.#
+#bb.bb.bb.bb.bb.bb.bb.bb.bb#
+#.bb.bb.bb.bb.bb.bb.bb.bb.b#
+#b.bb.bb.bb.bb.bb.bb.bb.bb.#
+#bb.bb.bb.bb.bb.bb.bb.bb.bb#
+#.bbGbbGbbGbbGbbGbbGbbGbbGb#
+#b.bb.bb.bb.bb.bb.bb.bb.bb.#
+#..........................#
+bbbbbbbbbbbbbbbbbbbbbbbbbbbb` },
+  { variant: 'championship', num: 48, data: `.........S........S.........
+.........S........S.........
+....b....S........S....b....
+....bBBXb#bXBBBBXb#bXBBb....
+....bGGXb#bX....Xb#bXGGb....
+....bbb.B#b.bbbb.b#B.bbb....
+.......BB#BB....BB#BB.......
+...bBBXB##B......B##BXBBb...
+...bGGXB#bbBXBBXBbb#BXGGb...
+...bbb.B#bGGXBBXGGb#B.bbb...
+......BB#bbb.BB.bbb#BB......
+..bBBXB##...BBBB...##BXBBb..
+..bGGXB#............#BXGGb..
+..bbb.B#............#B.bbb..
+..EE.B##..M.......EE##B.E...
+bbbb#.#bbbbbbbbbbbbbb#.#bbbb` },
+  { variant: 'championship', num: 49, data: `bbS.....................Sbbb
+bbbbbSE.....M.......ESbbbbbb
+bbbbbbbbbS#bbbbb#Sbbbbbbbbbb
+.....G....#X...X#.....G.....
+...#bb....#bbGbb#....bb#....
+#bbbb..#b.#bbbbb#.b#..bbbbb#
+#.....#bbSbbbbbbbSbb#......#
+#..E.#X.bSb..XG.bSX.b#..E..#
+#bbbbbbGbSbGbbb.bSbGbbbbbbb#
+#.....bXbSbbbbbXbSbXb......#
+Xb#......S.......S......#bbb
+Xbbbb#b.SbbbbbbbbbS.b#bbbXXb
+XG..b#bbS#b.GbG.b#Sbb#..b.Gb
+bbG..#.bb#b.XbX.b#bb.#.b..bb
+bbb..#...#bbbbbbb#...#b.....
+bbbbb#bbb#.......#bbb#bbbbbb` },
+  { variant: 'championship', num: 50, data: `M......--....--.----.b.GEG.G
+Eb#..#B..G.B#bGbGb...b#bXb.#
+BbbbbbB#b.bb#b.b.bbbb##bb..#
+BbbbbbB#.b.b#b--.bGbb#.bb-.#
+........#...#bbbbbbbb#..G..#
+#bbbbbbX#...#--b.bGbb..bb.bb
+#b..b#.b#b.Gb.#bG.bbbBB..bbb
+#bG.b.Gb#bb.b.#bbbG#.......G
+#.bbbbb.#..b..#bGbb#-.G.b#bb
+#b.#b..b#..bEb#bbbG#.bb.G#bG
+#bG.b.GX#...bb#bGb..#bG#b.b.
+#.bbbbb.#....b#b..Eb#b##bbbb
+#b..b..b#....-#.G.b##.bb...G
+.bG.b.Gb#...#.G.b.b#.....#bb
+Gbbbbbbb#...#.b.bB##.#bb.#bG
+........#b..b.bB..#..#bbG#b.` },
+  { variant: 'championship', num: 51, data: `M.bEEEEb....G....G..........
+b.b----b#bbbbbbbbbbSbbbbb...
+..b....b#b....-....S..-..-..
+..G....b#b#bbbSbbbbGbb.bb.bb
+bbb....b#b#bGbSbbbbbGbb.bb.b
+##.....b#b#b.bS....bbGbb.bb.
+##.....##b#bbbS.....bbGbb.bb
+##........#b..S......bbGbb.b
+bbb....bbb#b..S.......bbGbb.
+BBBBBBBBBBbbSbbbbbbb#..bbGbb
+............SbG#b...#...bb.b
+G.........b#Sb..b...#.......
+bbbbbbbbb#bbbbBBbbbbbbbb#bb#
+.........#..........b....b.#
+G........#....#X#..GbbbbbG.#
+bbbbbbbbbbbbbbbbbbbbbbbbbX#b` },
 ];
+
+// level strings (rows separated by newlines) for the preview
+export default ORIGINAL_LEVELS.map((level) => level.data);
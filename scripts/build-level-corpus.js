@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Build the canonical level corpus (src/procgen/corpus/levels.json) offline
+ *
+ * Reads the level packs of the game (totalrecall/lodeRunner.v.*.js) as they
+ * are and, when they have been parsed (scripts/parse-level-images.js), the
+ * Arduboy levels of original-level-txt-download-images/parsed. Levels are
+ * normalized to 16 rows of 28 TotalRecall tiles and deduplicated; see
+ * scripts/level-corpus.js for the format.
+ *
+ * The corpus is read by scripts/train-markov.js, scripts/convert-totalrecall-levels.js
+ * (public/original-levels.js) and getCorpusLevels() of src/procgen.
+ *
+ * Usage:
+ *   node scripts/build-level-corpus.js [--out PATH] [--no-arduboy]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import {
+  CORPUS_FORMAT, CORPUS_VERSION, CORPUS_PATH, LEVEL_WIDTH, LEVEL_HEIGHT,
+  TOTALRECALL_PACKS, VGLC_TO_TOTALRECALL
+} from './level-corpus.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAME_DIR = path.join(__dirname, '..', 'totalrecall');
+const ARDUBOY_DIR = path.join(__dirname, '..', 'original-level-txt-download-images', 'parsed');
+
+const LEVEL_SIZE = LEVEL_WIDTH * LEVEL_HEIGHT;
+
+function parseArgs(argv) {
+  const options = { out: CORPUS_PATH, arduboy: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out': options.out = argv[++i]; break;
+      case '--no-arduboy': options.arduboy = false; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// Short id of a text (FNV-1a hash, 8 hex digits), as markovTextId() of the game
+function textHash(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// level array of a pack file, run in a sandbox: the files are global scripts
+function readPackFile(pack) {
+  const sandbox = {};
+  vm.runInNewContext(fs.readFileSync(path.join(GAME_DIR, pack.file), 'utf8'), sandbox, { filename: pack.file });
+
+  const levels = sandbox[pack.varName];
+  if (!Array.isArray(levels)) throw new Error(`No ${pack.varName} in ${pack.file}`);
+  return levels;
+}
+
+// [{ source, variant, level, map }] of the game packs
+function totalRecallLevels() {
+  const levels = [];
+
+  for (const pack of TOTALRECALL_PACKS) {
+    readPackFile(pack).forEach((map, i) => {
+      if (typeof map !== 'string' || map.length !== LEVEL_SIZE) {
+        throw new Error(`${pack.file} level ${i + 1}: ${map && map.length} tiles, expected ${LEVEL_SIZE}`);
+      }
+      levels.push({ source: 'totalrecall', variant: pack.variant, level: i + 1, map });
+    });
+  }
+  return levels;
+}
+
+// parsed Arduboy level files (VGLC rows), short rows padded with empty tiles
+function arduboyLevels() {
+  if (!fs.existsSync(ARDUBOY_DIR)) return [];
+
+  return fs.readdirSync(ARDUBOY_DIR)
+    .map((file) => ({ file, match: file.match(/^level_(\d+)\.txt$/) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10))
+    .map(({ file, match }) => {
+      const rows = fs.readFileSync(path.join(ARDUBOY_DIR, file), 'utf8').replace(/\r/g, '').trim().split('\n');
+      if (rows.length !== LEVEL_HEIGHT) throw new Error(`${file}: ${rows.length} rows, expected ${LEVEL_HEIGHT}`);
+
+      const map = rows.map((row) => [...row.padEnd(LEVEL_WIDTH, '.').slice(0, LEVEL_WIDTH)]
+        .map((tile) => {
+          if (!(tile in VGLC_TO_TOTALRECALL)) throw new Error(`${file}: unknown tile '${tile}'`);
+          return VGLC_TO_TOTALRECALL[tile];
+        }).join('')).join('');
+
+      return { source: 'arduboy', variant: 'arduboy', level: parseInt(match[1], 10), map };
+    });
+}
+
+function countTiles(map, tile) {
+  return map.split(tile).length - 1;
+}
+
+function buildCorpus(levels) {
+  const byMap = new Map();
+  const entries = [];
+
+  for (const { source, variant, level, map } of levels) {
+    const id = `${variant}-${String(level).padStart(3, '0')}`;
+    const first = byMap.get(map);
+
+    if (first) {
+      first.metadata.alsoIn.push(id);
+      continue;
+    }
+
+    const entry = {
+      id,
+      source,
+      variant,
+      level,
+      rows: Array.from({ length: LEVEL_HEIGHT }, (_, y) => map.slice(y * LEVEL_WIDTH, (y + 1) * LEVEL_WIDTH)),
+      metadata: {
+        gold: countTiles(map, '$'),
+        guards: countTiles(map, '0'),
+        traps: countTiles(map, 'X'),
+        hiddenLadders: countTiles(map, 'S'),
+        hash: textHash(map),
+        alsoIn: []
+      }
+    };
+    byMap.set(map, entry);
+    entries.push(entry);
+  }
+
+  return {
+    format: CORPUS_FORMAT,
+    version: CORPUS_VERSION,
+    charset: 'totalrecall',
+    width: LEVEL_WIDTH,
+    height: LEVEL_HEIGHT,
+    levels: entries
+  };
+}
+
+// one level per line: small diffs when a pack changes
+function formatCorpus(corpus) {
+  const { levels, ...head } = corpus;
+  const headText = JSON.stringify(head, null, 2).slice(0, -2);
+
+  return `${headText},\n  "levels": [\n` +
+    levels.map((entry) => `    ${JSON.stringify(entry)}`).join(',\n') +
+    '\n  ]\n}\n';
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const levels = totalRecallLevels();
+
+  if (options.arduboy) levels.push(...arduboyLevels());
+
+  const corpus = buildCorpus(levels);
+  fs.mkdirSync(path.dirname(options.out), { recursive: true });
+  fs.writeFileSync(options.out, formatCorpus(corpus));
+
+  const counts = {};
+  for (const entry of corpus.levels) counts[entry.variant] = (counts[entry.variant] || 0) + 1;
+  console.log(`${levels.length} levels read, ${corpus.levels.length} unique written to ${options.out}`);
+  for (const [variant, count] of Object.entries(counts)) console.log(`  ${variant}: ${count}`);
+  for (const entry of corpus.levels) {
+    if (entry.metadata.alsoIn.length) console.log(`  ${entry.id} also in ${entry.metadata.alsoIn.join(', ')}`);
+  }
+}
+
+main();
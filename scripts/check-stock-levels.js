@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Check the stock level packs against the level editor tools
+ *
+ * Every stock level is playable, so the editor lint (lintLevel() of
+ * totalrecall/lodeRunner.markov.js) must not find an error in any of them:
+ * an error here is a solver move the lint does not know.
+ * Each pack is also exported as text, TotalRecall and VGLC charsets
+ * (totalrecall/lodeRunner.levelText.js), and must import back the same.
+ * The full solver must also reject the unsolvable levels of SOLVER_CASES,
+ * which it could only finish with a move the game does not allow, and the
+ * solution path drawn by Show Path (findSolutionPath()) must never step
+ * into a brick it did not dig.
+ *
+ * Usage:
+ *   node scripts/check-stock-levels.js [--pack classic] [--verbose]
+ *
+ * Options:
+ *   --pack NAME   classic, professional, revenge, fanbook or championship
+ *                 (default: all packs)
+ *   --verbose     list the warnings too
+ *
+ * Exits with 1 when a check fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAME_DIR = path.join(__dirname, '..', 'totalrecall');
+
+const PACKS = {
+  classic: ['lodeRunner.v.classic.js', 'classicData'],
+  professional: ['lodeRunner.v.professional.js', 'proData'],
+  revenge: ['lodeRunner.v.revenge.js', 'revengeData'],
+  fanbook: ['lodeRunner.v.fanBookMod.js', 'fanBookData'],
+  championship: ['lodeRunner.v.championship.js', 'championData']
+};
+
+// Levels the full solver must not solve: [name, rows]
+const SOLVER_CASES = [
+  // the escape ladder is behind a brick wall, the runner can only dig
+  // beside the wall, never walk into it
+  ['escape through a brick', [
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '     H                      ',
+    '& $ #H                      ',
+    '############################',
+    '@@@@@@@@@@@@@@@@@@@@@@@@@@@@'
+  ]]
+];
+
+const GAME_SCRIPTS = [
+  'lodeRunner.def.js',
+  'lodeRunner.markov.js',
+  'lodeRunner.edit.js',
+  'lodeRunner.levelText.js'
+];
+
+// Game scripts are global scripts: run them in this context, so their
+// globals are real globals
+function loadGameScript(file) {
+  vm.runInThisContext(fs.readFileSync(path.join(GAME_DIR, file), 'utf8'), { filename: file });
+}
+
+function parseArgs(argv) {
+  const options = { packs: Object.keys(PACKS), verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--pack':
+        if (!PACKS[argv[i + 1]]) throw new Error(`Unknown pack: ${argv[i + 1]}`);
+        options.packs = [argv[++i]];
+        break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// lint every level of a pack, returns the number of levels with errors and with warnings
+function checkLint(name, levels, options, log) {
+  let failed = 0, warned = 0;
+
+  levels.forEach((map, i) => {
+    const problems = lintLevel(map, MAX_OLD_GUARD);
+    const errors = problems.filter((problem) => problem.error);
+    const shown = options.verbose ? problems : errors;
+
+    if (errors.length) failed++;
+    else if (problems.length) warned++;
+    shown.forEach((problem) => {
+      const cells = problem.cells.map((cell) => `(${cell.x},${cell.y})`).join(' ');
+      log(`${name} ${i + 1}: ${problem.error ? 'error' : 'warning'}: ${problem.text}${cells ? ' ' + cells : ''}`);
+    });
+  });
+  return { failed, warned };
+}
+
+// export a pack as text and import it back, returns the number of levels changed
+function checkTextRoundTrip(name, levels, log) {
+  let failed = 0;
+
+  for (const vglc of [0, 1]) {
+    const charset = vglc ? 'VGLC' : 'TotalRecall';
+    const imported = parseLevelText(levelsToText(levels, vglc));
+
+    if (!imported || imported.length !== levels.length) {
+      log(`${name}: ${charset} text: ${imported ? imported.length : 0} levels imported, expected ${levels.length}`);
+      failed = levels.length;
+      continue;
+    }
+    imported.forEach((level, i) => {
+      if (level.map === levels[i]) return;
+      log(`${name} ${i + 1}: ${charset} text: imported level differs`);
+      failed++;
+    });
+  }
+  return failed;
+}
+
+// solution path of every level of a pack, returns the number of paths through a brick
+function checkSolutionPaths(name, levels, log) {
+  let failed = 0;
+
+  levels.forEach((map, i) => {
+    const dug = new Set();
+    const bad = findSolutionPath(map).steps.find((step) => {
+      if (step.dig) dug.add(`${step.dig.x},${step.dig.y}`);
+      return '#@'.includes(map.charAt(step.y * NO_OF_TILES_X + step.x)) && !dug.has(`${step.x},${step.y}`);
+    });
+
+    if (!bad) return;
+    log(`${name} ${i + 1}: solution path steps into the brick at (${bad.x},${bad.y})`);
+    failed++;
+  });
+  return failed;
+}
+
+// full solver on SOLVER_CASES, returns the number of cases solved
+function checkSolverCases(log) {
+  let failed = 0;
+
+  for (const [name, rows] of SOLVER_CASES) {
+    const map = rows.join('');
+
+    if (!canSolveLevel(levelFromString(map)).solvable && !findSolutionPath(map).solvable) continue;
+    log(`solver: ${name}: solved, expected no solution`);
+    failed++;
+  }
+  return failed;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const log = console.log;
+  let total = 0, failed = 0;
+
+  // game scripts log through console.log
+  console.log = () => {};
+  GAME_SCRIPTS.forEach(loadGameScript);
+
+  for (const name of options.packs) {
+    loadGameScript(PACKS[name][0]);
+    const levels = globalThis[PACKS[name][1]];
+    const lint = checkLint(name, levels, options, log);
+    const text = checkTextRoundTrip(name, levels, log);
+    const paths = checkSolutionPaths(name, levels, log);
+
+    log(`${name}: ${levels.length} levels, ${lint.failed} with lint errors, ${lint.warned} with warnings only, ` +
+      `${text} text round trips failed, ${paths} solution paths through a brick`);
+    total += levels.length;
+    failed += lint.failed + text + paths;
+  }
+
+  const solver = checkSolverCases(log);
+  log(`solver: ${SOLVER_CASES.length} unsolvable levels, ${solver} solved`);
+  failed += solver;
+
+  log(`\n${total} levels: ${failed} failed`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Extract the levels of an Apple II / C64 disk image or a .pzl puzzle set
+ * into a level pack the game editor imports (totalrecall/lodeRunner.disk.js)
+ *
+ * The importer and the pack writer of the game are loaded as they are, so the
+ * pack is the same as the game exports.
+ *
+ * Usage:
+ *   node scripts/import-disk-levels.js Lode_Runner_Apple-II.dsk
+ *   node scripts/import-disk-levels.js LODERUN2.D64 --format json --out lode2.json
+ *   node scripts/import-disk-levels.js MYLODE.DSK --from 1 --to 20
+ *
+ * Options:
+ *   --format F        text (default), vglc or json
+ *   --out PATH        write the pack to PATH (default: stdout)
+ *   --from N, --to N  level range of the image (1-based)
+ *   --name NAME       pack name of --format json (default: the image name)
+ *   --creator NAME    pack creator of --format json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAME_DIR = path.join(__dirname, '..', 'totalrecall');
+
+const GAME_SCRIPTS = [
+  'lodeRunner.def.js',
+  'lodeRunner.misc.js',
+  'lodeRunner.v.classic.js',      // stock games known by their first level
+  'lodeRunner.v.revenge.js',
+  'lodeRunner.v.championship.js',
+  'lodeRunner.levelText.js',
+  'lodeRunner.disk.js'
+];
+
+const FORMATS = ['text', 'vglc', 'json'];
+
+function loadGameScript(file) {
+  vm.runInThisContext(fs.readFileSync(path.join(GAME_DIR, file), 'utf8'), { filename: file });
+}
+
+function parseArgs(argv) {
+  const options = { format: 'text', creator: '' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+
+    switch (argv[i]) {
+      case '--format': options.format = value; i++; break;
+      case '--out': options.out = value; i++; break;
+      case '--from': options.from = parseInt(value, 10); i++; break;
+      case '--to': options.to = parseInt(value, 10); i++; break;
+      case '--name': options.name = value; i++; break;
+      case '--creator': options.creator = value; i++; break;
+      default:
+        if (argv[i].startsWith('--') || options.image) throw new Error(`Unknown option: ${argv[i]}`);
+        options.image = argv[i];
+    }
+  }
+  if (!options.image) throw new Error('No disk image given');
+  if (!FORMATS.includes(options.format)) throw new Error(`Unknown format: ${options.format}`);
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  GAME_SCRIPTS.forEach(loadGameScript);
+
+  const bytes = new Uint8Array(fs.readFileSync(options.image));
+  const all = diskImageLevels(bytes, path.basename(options.image));
+  if (!all) throw new Error(`No levels in ${options.image}`);
+
+  const from = Math.max(options.from || 1, 1);
+  const to = Math.min(options.to || all.length, all.length);
+  const levels = all.slice(from - 1, to);
+  if (!levels.length) throw new Error(`No levels in range ${from}-${to} (${all.length} levels)`);
+
+  let text;
+  if (options.format === 'json') {
+    globalThis.playerName = options.creator;
+    text = levelsToPack(levels, options.name || path.basename(options.image, path.extname(options.image)));
+  } else {
+    text = levelsToText(levels.map((level) => level.map), options.format === 'vglc' ? 1 : 0);
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, text);
+    console.error(`${levels.length} levels of ${all.length} written to ${options.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+main();
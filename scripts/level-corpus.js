@@ -0,0 +1,70 @@
+/**
+ * Canonical level corpus: every known level in one JSON file
+ * (src/procgen/corpus/levels.json, built by scripts/build-level-corpus.js)
+ *
+ * {
+ *   format: "meelode-corpus", version: 1, charset: "totalrecall", width: 28, height: 16,
+ *   levels: [{
+ *     id: "classic-001", source: "totalrecall", variant: "classic", level: 1,
+ *     rows: [16 rows of 28 tiles],
+ *     metadata: { gold, guards, traps, hiddenLadders, hash, alsoIn: ["professional-023"] }
+ *   }, ...]
+ * }
+ *
+ * Rows use the TotalRecall charset of the game (' #@H-XS$0&'), like the JSON
+ * level packs of totalrecall/lodeRunner.levelText.js. A level found more than
+ * once is kept at its first place, metadata.alsoIn lists the other places.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CORPUS_FORMAT = 'meelode-corpus';
+export const CORPUS_VERSION = 1;
+export const CORPUS_PATH = path.join(__dirname, '..', 'src', 'procgen', 'corpus', 'levels.json');
+
+export const LEVEL_WIDTH = 28;
+export const LEVEL_HEIGHT = 16;
+
+// level packs of the game, in corpus order
+export const TOTALRECALL_PACKS = [
+  { variant: 'classic', name: 'Classic', file: 'lodeRunner.v.classic.js', varName: 'classicData' },
+  { variant: 'professional', name: 'Professional', file: 'lodeRunner.v.professional.js', varName: 'proData' },
+  { variant: 'fanbook', name: 'Fan Book', file: 'lodeRunner.v.fanBookMod.js', varName: 'fanBookData' },
+  { variant: 'revenge', name: 'Revenge', file: 'lodeRunner.v.revenge.js', varName: 'revengeData' },
+  { variant: 'championship', name: 'Championship', file: 'lodeRunner.v.championship.js', varName: 'championData' }
+];
+
+// TotalRecall -> VGLC tiles ('S' and 'X' are kept: hidden ladder, trap brick)
+export const TOTALRECALL_TO_VGLC = {
+  ' ': '.', '#': 'b', '@': 'B', 'H': '#', '-': '-', 'X': 'X', 'S': 'S', '$': 'G', '0': 'E', '&': 'M'
+};
+
+// VGLC -> TotalRecall tiles, 't' and 'X' are both trap bricks
+export const VGLC_TO_TOTALRECALL = {
+  '.': ' ', 'b': '#', 'B': '@', '#': 'H', '-': '-', 't': 'X', 'X': 'X', 'S': 'S', 'G': '$', 'E': '0', 'M': '&'
+};
+
+export function readCorpus(file = CORPUS_PATH) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No level corpus at ${file}, run: node scripts/build-level-corpus.js`);
+  }
+
+  const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (corpus.format !== CORPUS_FORMAT || !(corpus.version <= CORPUS_VERSION)) {
+    throw new Error(`${file} is not a level corpus (version ${CORPUS_VERSION} or earlier)`);
+  }
+  return corpus;
+}
+
+// level string of a corpus level (TotalRecall charset, row after row)
+export function corpusLevelMap(entry) {
+  return entry.rows.join('');
+}
+
+export function toVglc(levelMap) {
+  return [...levelMap].map((tile) => TOTALRECALL_TO_VGLC[tile] || '.').join('');
+}
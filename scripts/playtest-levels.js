@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Playtest levels headless with the bot runner (totalrecall/lodeRunner.bot.js)
+ *
+ * The game core, runner, guard and bot scripts of the game are loaded as they
+ * are, the bot plays each level with the real game rules. When the runner dies
+ * or is stuck the bot plays again from a saved point before (botPlaytest), so a
+ * finished level was cleared by one sequence of keys from its start.
+ *
+ * Result of a level: finish, dead, stuck (no progress for a while) or timeout
+ * (--max-ticks), of the last try.
+ *
+ * Usage:
+ *   node scripts/playtest-levels.js --pack classic [--from 1] [--to 150]
+ *   node scripts/playtest-levels.js --file my-levels.txt
+ *   node scripts/playtest-levels.js --generated 20 [--seed 12345] [--style championship]
+ *
+ * Options:
+ *   --pack NAME       classic, professional, revenge, fanbook or championship
+ *   --from N, --to N  level range of the pack (1-based)
+ *   --file PATH       text file of levels: 16 lines of 28 tiles each,
+ *                     levels separated by an empty line
+ *   --generated N     first N levels of a Generated Mode run (the levels the game plays)
+ *   --seed S          run seed of --generated, core seed of every play (default 1)
+ *   --style NAME      level style of --generated (a sub-model of totalrecall/markov-model.json,
+ *                     default: the default style of the model)
+ *   --max-ticks N     give up a level after N ticks (default 12000)
+ *   --min-finish P    exit with code 1 when less than P percent of the levels are finished
+ *   --help            show this help
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAME_DIR = path.join(__dirname, '..', 'totalrecall');
+
+const PACKS = {
+  classic: ['lodeRunner.v.classic.js', 'classicData'],
+  professional: ['lodeRunner.v.professional.js', 'proData'],
+  revenge: ['lodeRunner.v.revenge.js', 'revengeData'],
+  fanbook: ['lodeRunner.v.fanBookMod.js', 'fanBookData'],
+  championship: ['lodeRunner.v.championship.js', 'championData']
+};
+
+const GAME_SCRIPTS = [
+  'lodeRunner.def.js',
+  'lodeRunner.core.js',
+  'lodeRunner.markov.js', // createMarkovRng: the PRNG of the core
+  'lodeRunner.misc.js',
+  'lodeRunner.runner.js',
+  'lodeRunner.guard.js',
+  'lodeRunner.bot.js'
+];
+
+// Game scripts are global scripts: run them in this context, so their
+// globals are real globals (a separate vm context is much slower)
+function loadGameScript(file) {
+  vm.runInThisContext(fs.readFileSync(path.join(GAME_DIR, file), 'utf8'), { filename: file });
+}
+
+// the usage block of the comment at the top of this file
+function usage() {
+  const source = fs.readFileSync(fileURLToPath(import.meta.url), 'utf8');
+  const comment = source.slice(source.indexOf('/**'), source.indexOf('*/'));
+  return comment.split('\n').slice(1).map((line) => line.replace(/^ \*( |$)/, '')).join('\n').trimEnd();
+}
+
+function parseArgs(argv) {
+  const options = { seed: 1, maxTicks: 12000 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+
+    switch (argv[i]) {
+      case '--help': options.help = true; break;
+      case '--pack': options.pack = value; i++; break;
+      case '--from': options.from = parseInt(value, 10); i++; break;
+      case '--to': options.to = parseInt(value, 10); i++; break;
+      case '--file': options.file = value; i++; break;
+      case '--generated': options.generated = parseInt(value, 10); i++; break;
+      case '--seed': options.seed = parseInt(value, 10); i++; break;
+      case '--style': options.style = value; i++; break;
+      case '--max-ticks': options.maxTicks = parseInt(value, 10); i++; break;
+      case '--min-finish': options.minFinish = parseFloat(value); i++; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!options.pack && !options.file && !options.generated) options.pack = 'classic';
+  return options;
+}
+
+// levels of a text file, each row padded to NO_OF_TILES_X tiles; an empty line
+// between levels, a row of spaces (also the first row) is an empty row
+function readLevelFile(file) {
+  const lines = fs.readFileSync(file, 'utf8').replace(/\r/g, '').split('\n');
+  const levels = [];
+  let rows = [];
+
+  for (const line of lines) {
+    if (!rows.length && line === '') continue;
+    rows.push(line.slice(0, NO_OF_TILES_X).padEnd(NO_OF_TILES_X, ' '));
+    if (rows.length === NO_OF_TILES_Y) {
+      levels.push(rows.join(''));
+      rows = [];
+    }
+  }
+  if (rows.length) {
+    throw new Error(`Level ${levels.length + 1} of ${file}: ${rows.length} rows, expected ${NO_OF_TILES_Y}`);
+  }
+  return levels;
+}
+
+// [{ name:, map: }] of the levels to playtest
+function getLevels(options) {
+  if (options.generated) {
+    loadGameScript('lodeRunner.generated.js');
+    setMarkovModelText(fs.readFileSync(path.join(GAME_DIR, 'markov-model.json'), 'utf8'));
+    if (options.style && !setMarkovStyle(options.style)) {
+      throw new Error(`Unknown style: ${options.style} (${markovStyles().map((style) => style.id).join(', ')})`);
+    }
+
+    // the run as Generated Mode plays it, without saving it as the last run
+    globalThis.playMode = PLAY_BOT;
+    initGeneratedRun(options.seed, 1, markovStyle);
+
+    const levels = [];
+    for (let levelNo = 1; levelNo <= options.generated; levelNo++) {
+      levels.push({ name: `${markovStyle} seed ${options.seed} #${levelNo}`, map: getGeneratedLevelMap(levelNo) });
+    }
+    return levels;
+  }
+
+  if (options.file) {
+    return readLevelFile(options.file).map((map, i) => ({ name: `${path.basename(options.file)} #${i + 1}`, map }));
+  }
+
+  const pack = PACKS[options.pack];
+  if (!pack) throw new Error(`Unknown pack: ${options.pack}`);
+  loadGameScript(pack[0]);
+
+  const data = globalThis[pack[1]];
+  const from = Math.max(options.from || 1, 1);
+  const to = Math.min(options.to || data.length, data.length);
+  const levels = [];
+  for (let levelNo = from; levelNo <= to; levelNo++) {
+    levels.push({ name: `${options.pack} ${levelNo}`, map: data[levelNo - 1] });
+  }
+  return levels;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const log = console.log;
+
+  if (options.help) {
+    log(usage());
+    return;
+  }
+  const summary = { finish: 0, dead: 0, stuck: 0, timeout: 0, invalid: 0 };
+
+  // game scripts log through console.log while a level loads
+  console.log = () => {};
+  GAME_SCRIPTS.forEach(loadGameScript);
+  const levels = getLevels(options);
+
+  for (const level of levels) {
+    if (!level.map || level.map.length !== NO_OF_TILES_X * NO_OF_TILES_Y) {
+      summary.invalid++;
+      log(`${level.name}: invalid level`);
+      continue;
+    }
+
+    const start = Date.now();
+    const result = botPlaytest(level.map, { seed: options.seed, maxTicks: options.maxTicks });
+
+    summary[result.result]++;
+    log(`${level.name}: ${result.result} ticks=${result.ticks} goldLeft=${result.goldLeft} ` +
+      `retries=${result.retries} (${Date.now() - start}ms)`);
+  }
+
+  const finishRate = levels.length ? summary.finish * 100 / levels.length : 0;
+  log(`\n${levels.length} levels: ${summary.finish} finished (${finishRate.toFixed(0)}%), ${summary.dead} dead, ` +
+    `${summary.stuck} stuck, ${summary.timeout} timeout` + (summary.invalid ? `, ${summary.invalid} invalid` : ''));
+
+  if (options.minFinish !== undefined && finishRate < options.minFinish) {
+    log(`Clear rate below ${options.minFinish}%`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/**
+ * Train the Markov level model from the level corpus
+ * (src/procgen/corpus/levels.json, see scripts/build-level-corpus.js)
+ *
+ * Each tile is learned from a context of tiles already generated by the
+ * row-scan sampler (the rows above and the tiles to the left); gold, guards
+ * and the runner are empty, a hidden ladder is a ladder, a trap is 't'.
+ * Cells outside the level are 'X' in the context keys.
+ *
+ * Usage:
+ *   node scripts/train-markov.js                              # all game packs, one "mixed" style
+ *   node scripts/train-markov.js --variant championship --smoothing 0.5
+ *   node scripts/train-markov.js --order 2 --holdout 0.1 --seed 7 --out /tmp/model.json
+ *   node scripts/train-markov.js --source arduboy --flip      # Arduboy levels, mirrored too
+ *   node scripts/train-markov.js --styles --game              # one style per pack, into the game model
+ *
+ * Options:
+ *   --source S        corpus source: totalrecall (default) or arduboy
+ *   --variant V,...   only these variants (classic, professional, revenge, fanbook, championship)
+ *   --order N         1: above, left, aboveLeft (default, the game's context)
+ *                     2: also above2, left2
+ *   --context C,...   context neighbors, of: above, left, aboveLeft, aboveRight, above2, left2
+ *   --flip            add each training level mirrored left to right
+ *   --smoothing A     Laplace smoothing: A is added to the count of every tile (default 0)
+ *   --holdout F       keep fraction F of the levels out of training and report the
+ *                     log-likelihood of them under the model (the model is trained on the rest)
+ *   --seed S          seed of the holdout split (default 1)
+ *   --style NAME      name of the trained sub-model (default: the variant when there is
+ *                     one --variant, else "mixed")
+ *   --styles          train one sub-model per variant instead, named after it
+ *   --out PATH        model file (default src/procgen/trained/markov-model.json)
+ *   --game            also put the sub-models into the model the game loads
+ *                     (totalrecall/markov-model.json, default context only); its
+ *                     other sub-models are kept
+ *
+ * The game's seeded levels (Generated Mode seeds, Daily Challenge, saved level
+ * sources) are only re-created by the sub-model they were generated with:
+ * replacing one of the game model changes every level of that style.
+ *
+ * The model file:
+ *   { format: "meelode-markov", version: 2, context: [...], tiles: ".bB#-t", edge: "X",
+ *     corpus: { format, version, levels, variants: { name: levels } },
+ *     default: "mixed",
+ *     models: {
+ *       mixed: { name: "Mixed", smoothing:,
+ *                training: { date, source, variants: { name: levels }, levels, flip, holdout, seed },
+ *                evaluation: { levels, tiles, logLikelihood, perplexity, unseenContexts, zeroProbability } | null,
+ *                transitions: { "above|left|aboveLeft": { tile: probability } } },
+ *       championship: { name: "Championship", ... }, ...
+ *     } }
+ *
+ * Version 1 files (one model, transitions at the top) and the bare transitions
+ * of earlier game models are read as one "mixed" sub-model.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readCorpus, corpusLevelMap, TOTALRECALL_PACKS, LEVEL_WIDTH, LEVEL_HEIGHT } from './level-corpus.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MODEL_FORMAT = 'meelode-markov';
+const MODEL_VERSION = 2;
+
+const DEFAULT_OUT = path.join(__dirname, '..', 'src', 'procgen', 'trained', 'markov-model.json');
+const GAME_MODEL = path.join(__dirname, '..', 'totalrecall', 'markov-model.json');
+
+const MODEL_TILES = '.bB#-t';
+const EDGE_TILE = 'X';
+
+const MIXED_STYLE = 'mixed';
+
+// probability a holdout tile is counted at when the model gives it 0 (the
+// model can't generate it), about -20 bits: no model scores better by
+// leaving tiles out of the evaluation
+const ZERO_PROBABILITY_FLOOR = 1e-6;
+
+// display names of the styles, the game lists them in its style menu
+const STYLE_NAMES = { mixed: 'Mixed', arduboy: 'Arduboy' };
+for (const pack of TOTALRECALL_PACKS) STYLE_NAMES[pack.variant] = pack.name;
+
+// TotalRecall tile -> model tile
+const TILE_MAP = {
+  ' ': '.', '#': 'b', '@': 'B', 'H': '#', '-': '-', 'X': 't', 'S': '#', '$': '.', '0': '.', '&': '.'
+};
+
+// context neighbors: offset from the tile (all generated before it by a row scan)
+const NEIGHBORS = {
+  above: [0, -1],
+  left: [-1, 0],
+  aboveLeft: [-1, -1],
+  aboveRight: [1, -1],
+  above2: [0, -2],
+  left2: [-2, 0]
+};
+
+const ORDERS = {
+  1: ['above', 'left', 'aboveLeft'],
+  2: ['above', 'left', 'aboveLeft', 'above2', 'left2']
+};
+
+function parseArgs(argv) {
+  const options = { source: 'totalrecall', context: ORDERS[1], smoothing: 0, holdout: 0, seed: 1, out: DEFAULT_OUT };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+
+    switch (argv[i]) {
+      case '--source': options.source = value; i++; break;
+      case '--variant': options.variants = value.split(','); i++; break;
+      case '--order':
+        if (!ORDERS[value]) throw new Error(`Unknown order: ${value} (1 or 2)`);
+        options.context = ORDERS[value]; i++; break;
+      case '--context': options.context = value.split(','); i++; break;
+      case '--flip': options.flip = true; break;
+      case '--smoothing': options.smoothing = parseFloat(value); i++; break;
+      case '--holdout': options.holdout = parseFloat(value); i++; break;
+      case '--seed': options.seed = parseInt(value, 10); i++; break;
+      case '--style': options.style = value; i++; break;
+      case '--styles': options.styles = true; break;
+      case '--out': options.out = value; i++; break;
+      case '--game': options.game = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  for (const name of options.context) {
+    if (!NEIGHBORS[name]) throw new Error(`Unknown context neighbor: ${name}`);
+  }
+  if (!(options.smoothing >= 0)) throw new Error('--smoothing must be 0 or more');
+  if (!(options.holdout >= 0 && options.holdout < 1)) throw new Error('--holdout must be in [0, 1)');
+  if (options.style && options.styles) throw new Error('--style names one sub-model, --styles names them after the variants');
+  if (options.game && options.context.join() !== ORDERS[1].join()) {
+    throw new Error('--game needs the default context (above, left, aboveLeft): the game samples with it');
+  }
+  return options;
+}
+
+// mulberry32, as the game's seeded generator
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// rows of model tiles of a corpus level
+function modelLevel(entry) {
+  const map = corpusLevelMap(entry);
+  const rows = [];
+
+  for (let y = 0; y < LEVEL_HEIGHT; y++) {
+    rows.push([...map.slice(y * LEVEL_WIDTH, (y + 1) * LEVEL_WIDTH)].map((tile) => TILE_MAP[tile] || '.'));
+  }
+  return rows;
+}
+
+function flipLevel(level) {
+  return level.map((row) => [...row].reverse());
+}
+
+function contextKey(level, x, y, context) {
+  return context.map((name) => {
+    const [dx, dy] = NEIGHBORS[name];
+    const row = level[y + dy];
+    const tile = row && row[x + dx];
+    return tile || EDGE_TILE;
+  }).join('|');
+}
+
+// visit every tile of the levels with its context key
+function forEachTile(levels, context, visit) {
+  for (const level of levels) {
+    for (let y = 0; y < level.length; y++) {
+      for (let x = 0; x < level[y].length; x++) {
+        visit(contextKey(level, x, y, context), level[y][x]);
+      }
+    }
+  }
+}
+
+// { context: { tile: probability } }, and the tile frequencies for contexts never seen
+function train(levels, context, smoothing) {
+  const counts = {};
+  const unigram = {};
+
+  forEachTile(levels, context, (key, tile) => {
+    if (!counts[key]) counts[key] = {};
+    counts[key][tile] = (counts[key][tile] || 0) + 1;
+    unigram[tile] = (unigram[tile] || 0) + 1;
+  });
+
+  const transitions = {};
+  for (const key in counts) transitions[key] = normalize(counts[key], smoothing);
+  return { transitions, unigram: normalize(unigram, smoothing) };
+}
+
+// counts to probabilities; with smoothing every tile of the alphabet gets some
+function normalize(tileCounts, smoothing) {
+  const tiles = Object.keys(tileCounts);
+  if (smoothing > 0) {
+    for (const tile of MODEL_TILES) if (!tiles.includes(tile)) tiles.push(tile);
+  }
+
+  let total = 0;
+  for (const tile of tiles) total += (tileCounts[tile] || 0) + smoothing;
+
+  const probabilities = {};
+  for (const tile of tiles) probabilities[tile] = ((tileCounts[tile] || 0) + smoothing) / total;
+  return probabilities;
+}
+
+// average log2-likelihood per tile of the holdout levels; a context never seen
+// in training uses the tile frequencies, a tile of probability 0 is counted
+// at ZERO_PROBABILITY_FLOOR (and counted apart too)
+function evaluate(model, levels, context) {
+  let sum = 0;
+  let tiles = 0;
+  let unseenContexts = 0;
+  let zeroProbability = 0;
+
+  forEachTile(levels, context, (key, tile) => {
+    let probabilities = model.transitions[key];
+    if (!probabilities) {
+      unseenContexts++;
+      probabilities = model.unigram;
+    }
+
+    let p = probabilities[tile] || 0;
+    if (!p) {
+      zeroProbability++;
+      p = ZERO_PROBABILITY_FLOOR;
+    }
+    sum += Math.log2(p);
+    tiles++;
+  });
+
+  const logLikelihood = tiles ? sum / tiles : 0;
+  return {
+    levels: levels.length,
+    tiles,
+    logLikelihood: Number(logLikelihood.toFixed(4)),
+    perplexity: Number(Math.pow(2, -logLikelihood).toFixed(4)),
+    unseenContexts,
+    zeroProbability
+  };
+}
+
+// seeded split: [training entries, holdout entries]
+function splitHoldout(entries, fraction, seed) {
+  const count = Math.round(entries.length * fraction);
+  if (!count) return [entries, []];
+
+  const order = entries.map((_, i) => i);
+  const rng = createRng(seed);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const holdout = new Set(order.slice(0, count));
+  return [entries.filter((_, i) => !holdout.has(i)), entries.filter((_, i) => holdout.has(i))];
+}
+
+function styleName(style) {
+  return STYLE_NAMES[style] || style.charAt(0).toUpperCase() + style.slice(1);
+}
+
+// [{ style, entries }] of the sub-models to train
+function styleJobs(options, entries) {
+  if (!options.styles) {
+    const style = options.style || (options.variants && options.variants.length === 1 ? options.variants[0] : MIXED_STYLE);
+    return [{ style, entries }];
+  }
+
+  const jobs = [];
+  for (const entry of entries) {
+    let job = jobs.find((j) => j.style === entry.variant);
+    if (!job) jobs.push(job = { style: entry.variant, entries: [] });
+    job.entries.push(entry);
+  }
+  return jobs;
+}
+
+function trainStyle(options, entries) {
+  const [trainEntries, holdoutEntries] = splitHoldout(entries, options.holdout, options.seed);
+  const trainLevels = [];
+  for (const entry of trainEntries) {
+    const level = modelLevel(entry);
+    trainLevels.push(level);
+    if (options.flip) trainLevels.push(flipLevel(level));
+  }
+
+  const variants = {};
+  for (const entry of trainEntries) variants[entry.variant] = (variants[entry.variant] || 0) + 1;
+
+  const trained = train(trainLevels, options.context, options.smoothing);
+  const evaluation = holdoutEntries.length ? evaluate(trained, holdoutEntries.map(modelLevel), options.context) : null;
+
+  return {
+    smoothing: options.smoothing,
+    training: {
+      date: new Date().toISOString(),
+      source: options.source,
+      variants,
+      levels: trainLevels.length,
+      flip: !!options.flip,
+      holdout: options.holdout,
+      seed: options.seed
+    },
+    evaluation,
+    transitions: trained.transitions
+  };
+}
+
+function corpusSummary(corpus) {
+  const variants = {};
+  for (const entry of corpus.levels) variants[entry.variant] = (variants[entry.variant] || 0) + 1;
+  return { format: corpus.format, version: corpus.version, levels: corpus.levels.length, variants };
+}
+
+// model file of any version as version 2; version 1 and bare transitions are one "mixed" sub-model
+function readModelFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (data.format !== MODEL_FORMAT) {
+    return {
+      format: MODEL_FORMAT, version: MODEL_VERSION, context: ORDERS[1], tiles: MODEL_TILES, edge: EDGE_TILE,
+      corpus: null, default: MIXED_STYLE,
+      models: {
+        [MIXED_STYLE]: {
+          name: styleName(MIXED_STYLE), smoothing: 0,
+          training: { source: 'totalrecall', note: 'earlier game model: all game packs, read before the level corpus' },
+          evaluation: null,
+          transitions: data
+        }
+      }
+    };
+  }
+  if (data.version === 1) {
+    const { format, version, context, tiles, edge, transitions, ...model } = data;
+    return {
+      format, version: MODEL_VERSION, context, tiles, edge, corpus: null, default: MIXED_STYLE,
+      models: { [MIXED_STYLE]: { name: styleName(MIXED_STYLE), ...model, transitions } }
+    };
+  }
+  if (data.version !== MODEL_VERSION || !data.models) throw new Error(`${file}: unknown model version ${data.version}`);
+  return data;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const corpus = readCorpus();
+  const entries = corpus.levels.filter((entry) =>
+    entry.source === options.source && (!options.variants || options.variants.includes(entry.variant)));
+
+  if (!entries.length) {
+    throw new Error(`No ${options.source} levels` + (options.variants ? ` of ${options.variants.join(', ')}` : '') +
+      ' in the level corpus');
+  }
+
+  const models = {};
+  for (const { style, entries: styleEntries } of styleJobs(options, entries)) {
+    models[style] = { name: styleName(style), ...trainStyle(options, styleEntries) };
+  }
+  const styles = Object.keys(models);
+
+  const model = {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    context: options.context,
+    tiles: MODEL_TILES,
+    edge: EDGE_TILE,
+    corpus: corpusSummary(corpus),
+    default: styles.includes(MIXED_STYLE) ? MIXED_STYLE : styles[0],
+    models
+  };
+
+  fs.mkdirSync(path.dirname(options.out), { recursive: true });
+  fs.writeFileSync(options.out, JSON.stringify(model, null, 1) + '\n');
+
+  for (const style of styles) {
+    const { training, transitions } = models[style];
+    console.log(`${style}: trained on ${training.levels} levels (` +
+      `${Object.entries(training.variants).map(([v, n]) => `${v} ${n}`).join(', ')}` +
+      `${options.flip ? ', mirrored too' : ''}), ${Object.keys(transitions).length} contexts`);
+  }
+  console.log(`Context ${options.context.join('|')}, written to ${options.out}`);
+
+  if (options.game) {
+    const game = fs.existsSync(GAME_MODEL) ? readModelFile(GAME_MODEL) : { ...model, models: {} };
+    if (game.context.join() !== options.context.join()) throw new Error(`${GAME_MODEL}: context ${game.context.join('|')}`);
+
+    game.corpus = model.corpus;
+    Object.assign(game.models, models);
+    if (!game.models[game.default]) game.default = model.default;
+    fs.writeFileSync(GAME_MODEL, JSON.stringify(game));
+    console.log(`Game model written to ${GAME_MODEL}: ${styles.join(', ')} ` +
+      `(styles ${Object.keys(game.models).join(', ')}, default ${game.default})`);
+  }
+
+  for (const style of styles) {
+    const { evaluation } = models[style];
+    if (!evaluation) continue;
+
+    console.log(`\n${style} holdout: ${evaluation.levels} levels, ${evaluation.tiles} tiles`);
+    console.log(`  log-likelihood ${evaluation.logLikelihood} bits/tile, perplexity ${evaluation.perplexity}`);
+    console.log(`  ${evaluation.unseenContexts} tiles in contexts never seen, ` +
+      `${evaluation.zeroProbability} tiles of probability 0` + (evaluation.zeroProbability ? ' (try --smoothing)' : ''));
+  }
+}
+
+main();
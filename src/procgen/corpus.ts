@@ -0,0 +1,73 @@
+/**
+ * Level Corpus - every known level in one JSON file
+ *
+ * Built offline from the game's level packs (totalrecall/lodeRunner.v.*.js)
+ * by scripts/build-level-corpus.js; see scripts/level-corpus.js for the format.
+ * Rows are in the TotalRecall charset of the game and converted to VGLC tiles here.
+ */
+
+import { Level, TileChar, TILES, LEVEL_WIDTH } from './types';
+import corpusData from './corpus/levels.json';
+
+export interface CorpusLevelMetadata {
+  gold: number;
+  guards: number;
+  traps: number;
+  hiddenLadders: number;
+  hash: string;
+  alsoIn: string[];
+}
+
+export interface CorpusLevel {
+  id: string;
+  source: string;
+  variant: string;
+  level: number;
+  rows: string[];
+  metadata: CorpusLevelMetadata;
+}
+
+export interface CorpusFilter {
+  source?: string;
+  variant?: string;
+}
+
+// TotalRecall -> VGLC tiles; the hidden ladder is a ladder, as in the Markov training
+const TOTALRECALL_TILES: Record<string, TileChar> = {
+  ' ': TILES.EMPTY,
+  '#': TILES.BRICK,
+  '@': TILES.SOLID,
+  'H': TILES.LADDER,
+  '-': TILES.ROPE,
+  'X': TILES.TRAP,
+  'S': TILES.LADDER,
+  '$': TILES.GOLD,
+  '0': TILES.ENEMY,
+  '&': TILES.SPAWN,
+};
+
+/**
+ * Corpus levels as stored, optionally of one source / variant
+ */
+export function getCorpusEntries(filter: CorpusFilter = {}): CorpusLevel[] {
+  return (corpusData.levels as CorpusLevel[]).filter(entry =>
+    (!filter.source || entry.source === filter.source) &&
+    (!filter.variant || entry.variant === filter.variant)
+  );
+}
+
+/**
+ * Convert a corpus level to a Level (VGLC tiles)
+ */
+export function corpusEntryToLevel(entry: CorpusLevel): Level {
+  return entry.rows.map(row =>
+    [...row.padEnd(LEVEL_WIDTH, ' ')].map(tile => TOTALRECALL_TILES[tile] ?? TILES.EMPTY)
+  );
+}
+
+/**
+ * Get corpus levels as parsed Level objects (28x16), e.g. for training
+ */
+export function getCorpusLevels(filter: CorpusFilter = {}): Level[] {
+  return getCorpusEntries(filter).map(corpusEntryToLevel);
+}
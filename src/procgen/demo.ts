@@ -9,6 +9,8 @@ import {
   LodeRunnerLevelGenerator,
   ConstructiveLevelGenerator,
   getSampleLevels,
+  getCorpusLevels,
+  createSeededRng,
   levelToString,
   validateLevel,
   TILES,
@@ -37,9 +39,9 @@ async function main() {
   console.log('Lode Runner Level Generator Demo');
   console.log('================================\n');
 
-  // Get sample levels for training
+  // Get sample levels for validation
   const sampleLevels = getSampleLevels();
-  console.log(`Loaded ${sampleLevels.length} sample levels for training`);
+  console.log(`Loaded ${sampleLevels.length} sample levels`);
 
   // Test: Validate a sample level
   console.log('\n--- Validating Sample Level 1 ---');
@@ -48,10 +50,12 @@ async function main() {
   console.log(`Reachable gold: ${validation.reachableGold.length}`);
   console.log(`Spawn: (${validation.spawnPosition?.x}, ${validation.spawnPosition?.y})`);
 
-  // Create and train Markov generator
+  // Create and train Markov generator on the level corpus
   console.log('\n--- Training Markov Generator ---');
+  const corpusLevels = getCorpusLevels({ source: 'totalrecall' });
+  console.log(`Loaded ${corpusLevels.length} corpus levels for training`);
   const markovGenerator = new LodeRunnerLevelGenerator();
-  markovGenerator.train(sampleLevels);
+  markovGenerator.train(corpusLevels);
   console.log('Training complete!');
 
   // Generate levels with Markov
@@ -65,6 +69,20 @@ async function main() {
     printStats(result);
   }
 
+  // Generate levels with Wave Function Collapse (same training), seeded;
+  // the second one has a ladder placed in the middle beforehand
+  console.log('\n--- Generating Levels (WFC) ---');
+  for (let i = 0; i < 2; i++) {
+    const result = markovGenerator.generate({
+      backend: 'wfc',
+      goldCount: 6,
+      enemyCount: 2,
+      fixedTiles: i === 1 ? [6, 7, 8, 9].map(y => ({ x: 14, y, tile: TILES.LADDER })) : [],
+    }, 10, createSeededRng(i + 1));
+    printLevel(result.level, `WFC Generated Level ${i + 1} (seed ${i + 1})`);
+    printStats(result);
+  }
+
   // Test constructive generator
   console.log('\n\n--- Generating Levels (Constructive) ---');
   const constructiveGenerator = new ConstructiveLevelGenerator();
@@ -9,19 +9,28 @@
  * ```typescript
  * import {
  *   LodeRunnerLevelGenerator,
- *   getSampleLevels,
+ *   getCorpusLevels,
+ *   createSeededRng,
  *   levelToString,
- *   validateLevel
+ *   validateLevel,
+ *   TILES
  * } from './procgen';
  *
- * // Create and train generator
+ * // Create and train generator (on the classic levels of the level corpus)
  * const generator = new LodeRunnerLevelGenerator();
- * generator.train(getSampleLevels());
+ * generator.train(getCorpusLevels({ variant: 'classic' }));
  *
  * // Generate a level
  * const result = generator.generate({ goldCount: 8, enemyCount: 3 });
  * console.log(levelToString(result.level));
  * console.log(`Valid: ${result.validation.valid}, Attempts: ${result.attempts}`);
+ *
+ * // Or with Wave Function Collapse, seeded, with a tile placed beforehand
+ * const wfcResult = generator.generate(
+ *   { backend: 'wfc', fixedTiles: [{ x: 14, y: 8, tile: TILES.LADDER }] },
+ *   10,
+ *   createSeededRng(42)
+ * );
  * ```
  */
 
@@ -46,6 +55,16 @@ export {
   SAMPLE_LEVELS,
 } from './levelParser';
 
+// Level corpus (scripts/build-level-corpus.js)
+export {
+  getCorpusEntries,
+  getCorpusLevels,
+  corpusEntryToLevel,
+  type CorpusLevel,
+  type CorpusLevelMetadata,
+  type CorpusFilter,
+} from './corpus';
+
 // Solvability checking
 export {
   validateLevel,
@@ -60,11 +79,13 @@ export {
 export {
   MarkovLevelGenerator,
   PatternMarkovGenerator,
+  type WfcOptions,
 } from './markovGenerator';
 
 export {
   LodeRunnerLevelGenerator,
   ConstructiveLevelGenerator,
   createTrainedGenerator,
+  createSeededRng,
   type GenerationResult,
 } from './levelGenerator';
@@ -2,12 +2,14 @@
  * Level Generator Pipeline
  *
  * Combines Markov generation with solvability validation to produce
- * playable Lode Runner levels.
+ * playable Lode Runner levels. The structure comes from the row-scan
+ * Markov sampler or, with config.backend 'wfc', from Wave Function
+ * Collapse over the overlapping patterns of the training levels.
  */
 
 import { Level, TileChar, TILES, LEVEL_WIDTH, LEVEL_HEIGHT, Position, GeneratorConfig, ValidationResult } from './types';
 import { createEmptyLevel, cloneLevel, getTile, setTile, findTiles, getSpawnPosition, getGoldPositions } from './levelParser';
-import { MarkovLevelGenerator } from './markovGenerator';
+import { MarkovLevelGenerator, PatternMarkovGenerator } from './markovGenerator';
 import { validateLevel, validateLevelFull, isSolvable, isFullySolvable, getReachablePositions } from './solvabilityChecker';
 
 export interface GenerationResult {
@@ -18,22 +20,43 @@ export interface GenerationResult {
   fullySolvable?: boolean; // True if level can be completed (all gold + escape)
 }
 
+// WFC runs that end in a contradiction before generateRaw() gives up
+const WFC_MAX_RUNS = 5;
+
+/**
+ * Seeded random number generator (mulberry32, as the game's generator)
+ * The same seed gives the same levels with any backend
+ */
+export function createSeededRng(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Main level generator class
  */
 export class LodeRunnerLevelGenerator {
   private markovGenerator: MarkovLevelGenerator;
+  private patternGenerator: PatternMarkovGenerator;
   private trained: boolean = false;
 
-  constructor(markovOrder: number = 1) {
+  constructor(markovOrder: number = 1, patternSize: number = 3) {
     this.markovGenerator = new MarkovLevelGenerator(markovOrder);
+    this.patternGenerator = new PatternMarkovGenerator(patternSize);
   }
 
   /**
-   * Train the generator on existing levels
+   * Train the generator on existing levels (both backends)
    */
   train(levels: Level[]): void {
     this.markovGenerator.train(levels);
+    this.patternGenerator.train(levels);
     this.trained = true;
   }
 
@@ -153,13 +176,19 @@ export class LodeRunnerLevelGenerator {
       height = LEVEL_HEIGHT,
       goldCount = 5,
       enemyCount = 2,
+      backend = 'markov',
     } = config;
 
     // Generate structure
-    let structure = this.markovGenerator.generateStructure(width, height, rng);
-
-    // Post-process structure
-    structure = this.markovGenerator.postProcessStructure(structure);
+    let structure: Level;
+    if (backend === 'wfc') {
+      structure = this.generateWfcStructure(config, rng);
+    } else {
+      structure = this.markovGenerator.generateStructure(width, height, rng);
+
+      // Post-process structure
+      structure = this.markovGenerator.postProcessStructure(structure, rng);
+    }
 
     // Place entities
     const level = this.placeEntities(structure, goldCount, enemyCount, rng);
@@ -167,6 +196,20 @@ export class LodeRunnerLevelGenerator {
     return level;
   }
 
+  /**
+   * Structure of the WFC backend; its constraints already give a floor,
+   * escape ladders and the fixed tiles, so there is no post-processing
+   */
+  private generateWfcStructure(config: GeneratorConfig, rng: () => number): Level {
+    const { width = LEVEL_WIDTH, height = LEVEL_HEIGHT, fixedTiles, escapes } = config;
+
+    for (let run = 0; run < WFC_MAX_RUNS; run++) {
+      const structure = this.patternGenerator.generate(width, height, { fixedTiles, escapes }, rng);
+      if (structure) return structure;
+    }
+    throw new Error(`WFC found no level for the constraints in ${WFC_MAX_RUNS} runs`);
+  }
+
   /**
    * Generate a guaranteed solvable level
    * Will retry up to maxAttempts times
@@ -144,7 +144,11 @@ export async function fetchVGLCLevels(count: number = 150): Promise<Level[]> {
 
 /**
  * Embedded sample levels for offline use / testing
- * (First 5 VGLC levels)
+ * (First 3 VGLC levels)
+ *
+ * They stay out of the level corpus (src/procgen/corpus/levels.json): they
+ * are 32x22 VGLC layouts, and the corpus holds 28x16 game levels only, so
+ * they would have to be cropped. For game levels use getCorpusLevels().
  */
 export const SAMPLE_LEVELS: string[] = [
   `................................
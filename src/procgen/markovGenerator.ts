@@ -7,7 +7,7 @@
  * Can be trained on the fly or load pre-trained model from JSON.
  */
 
-import { Level, TileChar, TILES, LEVEL_WIDTH, LEVEL_HEIGHT, Position } from './types';
+import { Level, TileChar, TILES, LEVEL_WIDTH, LEVEL_HEIGHT, Position, TileConstraint } from './types';
 import { createEmptyLevel, cloneLevel, normalizeLevel, getTile } from './levelParser';
 
 // Pre-trained model data (exported from training script)
@@ -32,7 +32,7 @@ type TransitionMap = Map<ContextKey, Map<TileChar, number>>;
  */
 export class MarkovLevelGenerator {
   private transitions: TransitionMap = new Map();
-  private structureTiles: TileChar[] = [TILES.EMPTY, TILES.BRICK, TILES.SOLID, TILES.LADDER, TILES.ROPE];
+  private structureTiles: TileChar[] = [TILES.EMPTY, TILES.BRICK, TILES.SOLID, TILES.LADDER, TILES.ROPE, TILES.TRAP];
   private order: number;
 
   constructor(order: number = 1) {
@@ -180,7 +180,7 @@ export class MarkovLevelGenerator {
   /**
    * Post-process to ensure structural validity
    */
-  postProcessStructure(level: Level): Level {
+  postProcessStructure(level: Level, rng: () => number = Math.random): Level {
     const processed = cloneLevel(level);
     const height = level.length;
     const width = level[0]?.length || 0;
@@ -197,7 +197,7 @@ export class MarkovLevelGenerator {
             const below = processed[y + 1][x];
             if (below === TILES.EMPTY) {
               // Either extend ladder down or remove it
-              if (Math.random() < 0.7) {
+              if (rng() < 0.7) {
                 processed[y + 1][x] = TILES.LADDER;
               } else {
                 processed[y][x] = TILES.EMPTY;
@@ -211,7 +211,7 @@ export class MarkovLevelGenerator {
           const below = processed[y + 1]?.[x];
           // Rope over solid ground is weird - convert to empty or ladder
           if (below === TILES.BRICK || below === TILES.SOLID) {
-            processed[y][x] = Math.random() < 0.5 ? TILES.EMPTY : TILES.LADDER;
+            processed[y][x] = rng() < 0.5 ? TILES.EMPTY : TILES.LADDER;
           }
         }
       }
@@ -245,16 +245,58 @@ export class MarkovLevelGenerator {
   }
 }
 
+/**
+ * Options of PatternMarkovGenerator.generate()
+ */
+export interface WfcOptions {
+  // Tiles allowed in the bottom row, null for none (default: solid floor)
+  floor?: TileChar[] | null;
+  // Number of top row columns with a ladder to escape by (default 1), picked at random
+  escapes?: number;
+  // Tiles placed before generation, kept as they are (structure tiles only)
+  fixedTiles?: TileConstraint[];
+  // Decisions undone before giving up (default 1000)
+  maxBacktracks?: number;
+}
+
+// neighbor offsets of the directions right, left, down, up
+const WFC_DX = [1, -1, 0, 0];
+const WFC_DY = [0, 0, 1, -1];
+
+const STRUCTURE_TILES: TileChar[] = [TILES.EMPTY, TILES.BRICK, TILES.SOLID, TILES.LADDER, TILES.ROPE, TILES.TRAP];
+
 /**
  * Higher-order 2D Markov model using overlapping patterns
- * Similar to WFC's overlapping model but simpler
+ *
+ * Wave Function Collapse, overlapping model: every NxN window of a generated
+ * level is a pattern seen in training. Each window position (cell) keeps the
+ * patterns still possible there; the cell of lowest entropy is collapsed to one
+ * pattern, drawn by training frequency, and the choice is propagated to the
+ * neighbor cells (two neighbors agree on their overlap). A contradiction undoes
+ * the last choice and bans it (backtracking).
+ *
+ * Patterns seen less than minPatternCount times are left out of generation:
+ * they are mostly the quirks of one level, and each pattern costs time.
  */
 export class PatternMarkovGenerator {
   private patterns: Map<string, number> = new Map();
   private patternSize: number;
-
-  constructor(patternSize: number = 3) {
+  private minPatternCount: number;
+
+  // pattern tables built for generation, see buildTables()
+  private tables: {
+    list: string[];
+    weights: Float64Array;
+    weightLogs: Float64Array;
+    outKey: Int32Array[];       // [direction][pattern]: key of the pattern's overlap toward the neighbor
+    inKey: Int32Array[];        // [direction][pattern]: key the pattern needs from the neighbor before it
+    byInKey: Int32Array[][];    // [direction][key]: patterns of that inKey
+    keyCount: number[];         // [direction]: number of keys
+  } | null = null;
+
+  constructor(patternSize: number = 3, minPatternCount: number = 2) {
     this.patternSize = patternSize;
+    this.minPatternCount = minPatternCount;
   }
 
   /**
@@ -284,6 +326,7 @@ export class PatternMarkovGenerator {
    */
   train(levels: Level[]): void {
     this.patterns.clear();
+    this.tables = null;
 
     for (const level of levels) {
       const levelPatterns = this.extractPatterns(level);
@@ -299,4 +342,284 @@ export class PatternMarkovGenerator {
   getPatternCount(): number {
     return this.patterns.size;
   }
+
+  /**
+   * Check if the model has been trained
+   */
+  isTrained(): boolean {
+    return this.patterns.size > 0;
+  }
+
+  /**
+   * Overlap keys of the patterns: a pattern and its right neighbor agree when the
+   * right N-1 columns of the one are the left N-1 columns of the other (rows alike)
+   */
+  private buildTables(): NonNullable<PatternMarkovGenerator['tables']> {
+    if (this.tables) return this.tables;
+
+    const n = this.patternSize;
+    const list = [...this.patterns.keys()].filter(pattern => this.patterns.get(pattern)! >= this.minPatternCount);
+    const count = list.length;
+    const weights = new Float64Array(count);
+    const weightLogs = new Float64Array(count);
+    const horizontalKeys = new Map<string, number>();
+    const verticalKeys = new Map<string, number>();
+    const keyId = (keys: Map<string, number>, key: string): number => {
+      let id = keys.get(key);
+      if (id === undefined) keys.set(key, id = keys.size);
+      return id;
+    };
+    const columns = (pattern: string, from: number): string => {
+      let key = '';
+      for (let y = 0; y < n; y++) key += pattern.slice(y * n + from, y * n + from + n - 1);
+      return key;
+    };
+
+    // low: first N-1 columns / rows, high: last N-1 columns / rows
+    const lowH = new Int32Array(count), highH = new Int32Array(count);
+    const lowV = new Int32Array(count), highV = new Int32Array(count);
+
+    list.forEach((pattern, p) => {
+      weights[p] = this.patterns.get(pattern)!;
+      weightLogs[p] = weights[p] * Math.log(weights[p]);
+      lowH[p] = keyId(horizontalKeys, columns(pattern, 0));
+      highH[p] = keyId(horizontalKeys, columns(pattern, 1));
+      lowV[p] = keyId(verticalKeys, pattern.slice(0, (n - 1) * n));
+      highV[p] = keyId(verticalKeys, pattern.slice(n));
+    });
+
+    // right, left, down, up
+    const outKey = [highH, lowH, highV, lowV];
+    const inKey = [lowH, highH, lowV, highV];
+    const keyCount = [horizontalKeys.size, horizontalKeys.size, verticalKeys.size, verticalKeys.size];
+    const byInKey = inKey.map((keys, d) => {
+      const lists: number[][] = Array.from({ length: keyCount[d] }, () => []);
+      keys.forEach((key, p) => lists[key].push(p));
+      return lists.map(l => Int32Array.from(l));
+    });
+
+    this.tables = { list, weights, weightLogs, outKey, inKey, byInKey, keyCount };
+    return this.tables;
+  }
+
+  /**
+   * Generate a level structure (without entities) with Wave Function Collapse
+   *
+   * Boundary constraints: the bottom row is of the floor tiles, and a ladder
+   * reaches the top row in `escapes` random columns. Fixed tiles are kept.
+   * The same rng sequence gives the same level. Returns null when the
+   * constraints can't be met within maxBacktracks.
+   */
+  generate(
+    width: number = LEVEL_WIDTH,
+    height: number = LEVEL_HEIGHT,
+    options: WfcOptions = {},
+    rng: () => number = Math.random
+  ): Level | null {
+    const n = this.patternSize;
+    if (!this.isTrained()) throw new Error('PatternMarkovGenerator is not trained');
+    if (width < n || height < n) throw new Error(`Level must be at least ${n}x${n}`);
+
+    const { floor = [TILES.SOLID], escapes = 1, fixedTiles = [], maxBacktracks = 1000 } = options;
+    const { list, weights, weightLogs, outKey, inKey, byInKey, keyCount } = this.buildTables();
+    const patternCount = list.length;
+    if (!patternCount) throw new Error(`No pattern seen ${this.minPatternCount} times in training`);
+
+    // window positions (cells), row after row
+    const cellsX = width - n + 1;
+    const cellsY = height - n + 1;
+    const cellCount = cellsX * cellsY;
+
+    const wave = new Uint8Array(cellCount * patternCount).fill(1);
+    const alive = new Int32Array(cellCount).fill(patternCount);
+    const sumWeights = new Float64Array(cellCount);
+    const sumWeightLogs = new Float64Array(cellCount);
+
+    // support[d][cell * keyCount[d] + key]: patterns alive at the cell giving key to its neighbor in direction d
+    const support = keyCount.map(keys => new Int32Array(cellCount * keys));
+    const neighbor = WFC_DX.map((dx, d) => {
+      const cells = new Int32Array(cellCount);
+      for (let cell = 0; cell < cellCount; cell++) {
+        const x = cell % cellsX + dx, y = Math.floor(cell / cellsX) + WFC_DY[d];
+        cells[cell] = (x >= 0 && x < cellsX && y >= 0 && y < cellsY) ? y * cellsX + x : -1;
+      }
+      return cells;
+    });
+
+    let totalWeight = 0, totalWeightLog = 0;
+    for (let p = 0; p < patternCount; p++) {
+      totalWeight += weights[p];
+      totalWeightLog += weightLogs[p];
+    }
+    sumWeights.fill(totalWeight);
+    sumWeightLogs.fill(totalWeightLog);
+    for (let d = 0; d < 4; d++) {
+      const keys = keyCount[d];
+      for (let p = 0; p < patternCount; p++) support[d][outKey[d][p]]++;
+      for (let cell = 1; cell < cellCount; cell++) support[d].copyWithin(cell * keys, 0, keys);
+    }
+
+    // removals, undone on backtracking
+    let trail = new Int32Array(1 << 16);
+    let trailLength = 0;
+    // keys a cell no longer gives to its neighbor, stack of (cell, direction, key)
+    let exhausted = new Int32Array(3 << 16);
+    let exhaustedLength = 0;
+    let contradiction = false;
+
+    const remove = (cell: number, p: number): void => {
+      wave[cell * patternCount + p] = 0;
+      sumWeights[cell] -= weights[p];
+      sumWeightLogs[cell] -= weightLogs[p];
+      if (--alive[cell] === 0) contradiction = true;
+
+      if (trailLength === trail.length) {
+        const grown = new Int32Array(trail.length * 2);
+        grown.set(trail);
+        trail = grown;
+      }
+      trail[trailLength++] = cell * patternCount + p;
+
+      for (let d = 0; d < 4; d++) {
+        if (neighbor[d][cell] < 0) continue;
+        const index = cell * keyCount[d] + outKey[d][p];
+        if (--support[d][index] === 0) {
+          if (exhaustedLength === exhausted.length) {
+            const grown = new Int32Array(exhausted.length * 2);
+            grown.set(exhausted);
+            exhausted = grown;
+          }
+          exhausted[exhaustedLength++] = cell;
+          exhausted[exhaustedLength++] = d;
+          exhausted[exhaustedLength++] = outKey[d][p];
+        }
+      }
+    };
+
+    const propagate = (): boolean => {
+      while (exhaustedLength && !contradiction) {
+        const key = exhausted[--exhaustedLength], d = exhausted[--exhaustedLength], cell = exhausted[--exhaustedLength];
+        const next = neighbor[d][cell];
+        const base = next * patternCount;
+        const patterns = byInKey[d][key];
+        for (let i = 0; i < patterns.length && !contradiction; i++) {
+          if (wave[base + patterns[i]]) remove(next, patterns[i]);
+        }
+      }
+      exhaustedLength = 0;
+      return !contradiction;
+    };
+
+    const undo = (mark: number): void => {
+      while (trailLength > mark) {
+        const entry = trail[--trailLength];
+        const cell = Math.floor(entry / patternCount), p = entry - cell * patternCount;
+        wave[entry] = 1;
+        alive[cell]++;
+        sumWeights[cell] += weights[p];
+        sumWeightLogs[cell] += weightLogs[p];
+        for (let d = 0; d < 4; d++) {
+          if (neighbor[d][cell] >= 0) support[d][cell * keyCount[d] + outKey[d][p]]++;
+        }
+      }
+      contradiction = false;
+    };
+
+    // tile constraints: the patterns of every cell covering the tile must have it there
+    const constrainTile = (x: number, y: number, tiles: readonly TileChar[]): void => {
+      for (let cy = Math.max(0, y - n + 1); cy <= Math.min(y, cellsY - 1); cy++) {
+        for (let cx = Math.max(0, x - n + 1); cx <= Math.min(x, cellsX - 1); cx++) {
+          const cell = cy * cellsX + cx;
+          const offset = (y - cy) * n + (x - cx);
+          for (let p = 0; p < patternCount && !contradiction; p++) {
+            if (wave[cell * patternCount + p] && !tiles.includes(list[p][offset] as TileChar)) remove(cell, p);
+          }
+        }
+      }
+    };
+
+    // patterns that no pattern can stand next to, where there is a neighbor
+    const unsupported = [0, 1, 2, 3].map(d =>
+      [...Array(patternCount).keys()].filter(q => support[d][inKey[d][q]] === 0));
+    unsupported.forEach((patterns, d) => {
+      const back = d ^ 1;
+      for (const q of patterns) {
+        for (let cell = 0; cell < cellCount; cell++) {
+          if (neighbor[back][cell] >= 0 && wave[cell * patternCount + q]) remove(cell, q);
+        }
+      }
+    });
+
+    if (floor) {
+      for (let x = 0; x < width; x++) constrainTile(x, height - 1, floor);
+    }
+    for (const { x, y, tile } of fixedTiles) {
+      if (!STRUCTURE_TILES.includes(tile)) throw new Error(`Fixed tile '${tile}' at ${x},${y} is not a structure tile`);
+      if (x < 0 || x >= width || y < 0 || y >= height) throw new Error(`Fixed tile at ${x},${y} is outside the level`);
+      constrainTile(x, y, [tile]);
+    }
+
+    const fixedTop = new Set(fixedTiles.filter(t => t.y === 0).map(t => t.x));
+    const escapeColumns = [...Array(width).keys()].filter(x => !fixedTop.has(x));
+    for (let i = 0; i < escapes && escapeColumns.length; i++) {
+      const [x] = escapeColumns.splice(Math.floor(rng() * escapeColumns.length), 1);
+      constrainTile(x, 0, [TILES.LADDER]);
+    }
+
+    if (!propagate()) return null;
+
+    // collapse: the cell of lowest entropy to one pattern, until every cell has one
+    const decisions: Array<{ cell: number; pattern: number; mark: number }> = [];
+    let backtracks = 0;
+
+    for (;;) {
+      let cell = -1;
+      let lowest = Infinity;
+      for (let c = 0; c < cellCount; c++) {
+        if (alive[c] <= 1) continue;
+        const entropy = Math.log(sumWeights[c]) - sumWeightLogs[c] / sumWeights[c] + rng() * 1e-6;
+        if (entropy < lowest) {
+          lowest = entropy;
+          cell = c;
+        }
+      }
+      if (cell < 0) break;
+
+      const base = cell * patternCount;
+      let r = rng() * sumWeights[cell];
+      let pattern = -1;
+      for (let p = 0; p < patternCount; p++) {
+        if (!wave[base + p]) continue;
+        pattern = p;
+        r -= weights[p];
+        if (r <= 0) break;
+      }
+
+      decisions.push({ cell, pattern, mark: trailLength });
+      for (let p = 0; p < patternCount; p++) {
+        if (p !== pattern && wave[base + p]) remove(cell, p);
+      }
+
+      // a contradiction bans the last choice; when that fails too, the one before
+      while (!propagate()) {
+        const decision = decisions.pop();
+        if (!decision || ++backtracks > maxBacktracks) return null;
+        undo(decision.mark);
+        remove(decision.cell, decision.pattern);
+      }
+    }
+
+    // each tile from the pattern of the last cell covering it
+    const level = createEmptyLevel(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const cx = Math.min(x, cellsX - 1), cy = Math.min(y, cellsY - 1);
+        const base = (cy * cellsX + cx) * patternCount;
+        let p = 0;
+        while (!wave[base + p]) p++;
+        level[y][x] = list[p][(y - cy) * n + (x - cx)] as TileChar;
+      }
+    }
+    return level;
+  }
 }
@@ -10,6 +10,7 @@ export const TILES = {
   SOLID: 'B',      // not diggable
   LADDER: '#',
   ROPE: '-',
+  TRAP: 't',       // looks like brick, falls through ('X' in TotalRecall)
   GOLD: 'G',
   ENEMY: 'E',
   SPAWN: 'M',
@@ -31,6 +32,7 @@ export const TILE_PROPERTIES: Record<TileChar, TileProperties> = {
   'B': { solid: true, passable: false, climbable: false, diggable: false, ground: true },
   '#': { solid: false, passable: true, climbable: true, diggable: false, ground: false },
   '-': { solid: false, passable: true, climbable: true, diggable: false, ground: false },
+  't': { solid: false, passable: true, climbable: false, diggable: false, ground: false },
   'G': { solid: false, passable: true, climbable: false, diggable: false, ground: false },
   'E': { solid: false, passable: true, climbable: false, diggable: false, ground: false },
   'M': { solid: false, passable: true, climbable: false, diggable: false, ground: false },
@@ -48,6 +50,15 @@ export interface Position {
   y: number;
 }
 
+// A tile placed before generation
+export interface TileConstraint extends Position {
+  tile: TileChar;
+}
+
+// Structure generator: 'markov' samples tile by tile in row-scan order,
+// 'wfc' collapses overlapping NxN patterns (Wave Function Collapse)
+export type GeneratorBackend = 'markov' | 'wfc';
+
 export interface GeneratorConfig {
   width?: number;
   height?: number;
@@ -55,6 +66,11 @@ export interface GeneratorConfig {
   enemyCount?: number;
   // Markov chain order (1 = bigram, 2 = trigram, etc.)
   markovOrder?: number;
+  // Structure generator (default 'markov')
+  backend?: GeneratorBackend;
+  // 'wfc' only: tiles kept as they are, and the number of top row escape ladders (default 1)
+  fixedTiles?: TileConstraint[];
+  escapes?: number;
 }
 
 export interface ValidationResult {
@@ -0,0 +1,816 @@
+//=============================================================================
+// Bot runner
+//
+// Plays a level through the same key actions as pressKey(): each tick
+// botAction() returns ACT_LEFT, ACT_RIGHT, ACT_UP, ACT_DOWN, ACT_DIG_LEFT,
+// ACT_DIG_RIGHT or ACT_STOP for the current core state.
+//
+// The planner searches the tile map from the runner (moves follow the
+// rules of moveRunner: fall without support, climb only on ladders, trap
+// bricks block sideways), with dig-through moves to drop below a floor.
+// Tiles a guard reaches first are left out. Targets are the nearest gold,
+// then the top row once the hidden ladders appear.
+//
+// Every few ticks the routes worth a try (nearest targets with and without
+// the guards, flee, dig a hole first, stand still) are played ahead with
+// the headless core (coreSave & coreRestore) and the one with the best
+// outcome is taken, so guards trapped in holes and dropped gold come from
+// the real game rules.
+//
+// When every route dies, or no gold and no new tile came for a while (the
+// target is banned then), routes of random keys are played ahead too, and
+// longer, to find a way out such as a hidden ladder or a dig the planner
+// doesn't know.
+//
+// Used by PLAY_BOT mode (idle demo & menu) and headless by botPlaytest()
+// (scripts/playtest-levels.js), which plays again from a saved checkpoint
+// when the runner dies or is stuck.
+//=============================================================================
+
+var BOT_DIG_COST = 6;        //dig & drop through a floor
+var BOT_DIG_STEPS = 3;       //time of digging in tiles moved
+var BOT_GUARD_DELAY = 2;     //guard steps before a guard in a hole or reborn moves
+var BOT_GUARD_HORIZON = 8;   //guards farther than .. steps don't count
+var BOT_SAFE_MARGIN = 5;     //steps ahead of the nearest guard without extra cost
+var BOT_MARGIN_COST = 3;     //extra cost of each step below BOT_SAFE_MARGIN
+var BOT_STUCK_TICKS = 80;    //no gold or new tile for .. ticks: give up the target for a while
+var BOT_STUCK_ROLLOUT_TICKS = 150; //look ahead of the routes once stuck
+var BOT_GIVEUP_TICKS = 600;  //botPlaytest(): stuck for .. ticks is a failure
+var BOT_BAN_TICKS = 300;
+var BOT_SAFE_DISTANCE = 8;   //no target: stay .. steps ahead of guards
+var BOT_WAIT_BONUS = 12;     //flee to a floor to dig on both sides
+var BOT_MAX_TICKS = 12000;   //botPlaytest() gives up
+var BOT_CHECKPOINT_TICKS = 50; //botPlaytest() saves the game every .. ticks
+var BOT_RETRIES = 60;        //botPlaytest() plays again from a checkpoint up to .. times
+var BOT_RETRY_DEPTH = 3;     //each .. retries without a new gold go twice as far back
+var BOT_JITTER_SCORE = 800;  //random score of each route on a retry
+var BOT_HOLE_TICKS = 40;     //fall through a hole which stays open for .. ticks
+var BOT_HOLE = -2;           //open hole with ground below: runner would be stuck in it
+
+var BOT_ROUTE_TARGETS = 2;   //routes to the nearest .. targets
+var BOT_ROLLOUT_TICKS = 60;  //look ahead of a route
+var BOT_ESCAPE_TICKS = 40;   //look ahead after a gold
+var BOT_PANIC_ROUTES = 60;   //routes of random keys when every route dies or stuck
+var BOT_DECIDE_TICKS = 4;    //choose a route every .. ticks
+var BOT_FINISH_SCORE = 1000000;
+var BOT_DEAD_SCORE = -1000000;
+var BOT_GOLD_SCORE = 1000;
+var BOT_DROP_SCORE = 300;    //guard drops a gold (trapped in a hole)
+var BOT_DISTANCE_SCORE = 10;
+var BOT_LOST_DISTANCE = 100; //no target reachable
+var BOT_UNSAFE_DISTANCE = 20; //route to the target only without guards
+var BOT_DANGER_SCORE = 30;    //each step the guards are closer than BOT_SAFE_DISTANCE
+var BOT_KEEP_SCORE = 5;      //stay on the route unless another one is better
+var BOT_WAIT_SCORE = 2;      //each tick the runner is standing still
+var BOT_STRANDED_SCORE = 3000; //each target no way leads to (a gold left behind in a pit)
+
+var botRoute, botDecideTick, botPlanGold, botGoal;
+var botTick, botLastPos, botStillTicks, botBan, botSpeed;
+var botSeen, botSeenGold, botProgressTick;
+var botJitter = null, botRetry = 0;
+
+function initBot()
+{
+	botRoute = null;
+	botDecideTick = 0;
+	botGoal = -1; //nearest target
+	botTick = 0;
+	botLastPos = -1;
+	botStillTicks = 0;
+	botSeen = {}; //tiles visited since the last gold
+	botSeenGold = -1;
+	botProgressTick = 0;
+	botBan = {}; //tile id => tick until the target is banned
+	botSpeed = guardCount?botGuardSpeed():1;
+}
+
+//=====================================================
+// tiles as the planner sees them
+//=====================================================
+function botTileId(x, y)
+{
+	return y * NO_OF_TILES_X + x;
+}
+
+//tile of map[x][y] without runner, guard & gold,
+//a guard in a hole is a brick to walk on
+function botTile(x, y)
+{
+	var act = map[x][y].act, base = map[x][y].base;
+
+	if(act == GOLD_T) return EMPTY_T; //gold dropped by guard
+	if(act == RUNNER_T) return (base == BLOCK_T)?EMPTY_T:base;
+	if(act == GUARD_T) return (base == BLOCK_T)?BLOCK_T:base;
+	if(act == EMPTY_T && base == BLOCK_T) { //hole
+		if(y < maxTileY && botHoleTime(x, y) > BOT_HOLE_TICKS && botPassable(botTile(x, y+1))) return EMPTY_T; //fall through
+		return BOT_HOLE;
+	}
+	return act;
+}
+
+//ticks until the hole at [x][y] is filled
+function botHoleTime(x, y)
+{
+	var obj, time;
+
+	for(var i = 0; i < fillHoleObj.length; i++) {
+		obj = fillHoleObj[i];
+		if(obj.pos.x != x || obj.pos.y != y) continue;
+
+		time = -obj.curFrameTime;
+		for(var j = obj.curFrameIdx; j < fillHoleTime.length; j++) time += fillHoleTime[j];
+		return time;
+	}
+	return 0;
+}
+
+function botPassable(token)
+{
+	return (token == EMPTY_T || token == LADDR_T || token == BAR_T);
+}
+
+//runner stands (or hangs) at [x][y] without falling
+function botSupported(x, y)
+{
+	var base = map[x][y].base, below;
+
+	if(base == LADDR_T || base == BAR_T || y >= maxTileY) return 1;
+	below = botTile(x, y+1);
+	return (below == BLOCK_T || below == SOLID_T || below == LADDR_T);
+}
+
+function botIsHole(x, y)
+{
+	return (map[x][y].act == EMPTY_T && map[x][y].base == BLOCK_T);
+}
+
+//runner can dig [side] (-1 left, 1 right) from [x][y] (see ok2Dig)
+function botCanDig(x, y, side)
+{
+	var dx = x + side;
+
+	if(dx < 0 || dx > maxTileX || y >= maxTileY) return 0;
+	return (map[dx][y+1].act == BLOCK_T && map[dx][y].act == EMPTY_T && map[dx][y].base != GOLD_T);
+}
+
+//guards which can catch the runner
+function botActiveGuard(g)
+{
+	return (g.action != ACT_IN_HOLE && g.action != ACT_REBORN);
+}
+
+//=====================================================
+// steps of the nearest guard to each tile: guards
+// move like the runner without digging, a guard in a
+// hole or reborn starts a few steps late
+//=====================================================
+function botGuardSteps(table)
+{
+	var steps = [], queue = [], g, id, moves;
+
+	for(var i = 0; i < NO_OF_TILES_X * NO_OF_TILES_Y; i++) steps[i] = Infinity;
+
+	for(var i = 0; i < guardCount; i++) {
+		g = guard[i];
+		id = botTileId(g.pos.x, g.pos.y);
+		if(!botActiveGuard(g)) { //climbs out of the hole or reborn soon
+			steps[id] = Math.min(steps[id], BOT_GUARD_DELAY);
+			if(g.pos.y > 0) steps[id-NO_OF_TILES_X] = Math.min(steps[id-NO_OF_TILES_X], BOT_GUARD_DELAY);
+			continue;
+		}
+		//a moving guard is up to half a tile away from its tile
+		steps[id] = 0;
+		if(g.pos.x > 0) steps[id-1] = Math.min(steps[id-1], 1);
+		if(g.pos.x < maxTileX) steps[id+1] = Math.min(steps[id+1], 1);
+		if(g.pos.y > 0) steps[id-NO_OF_TILES_X] = Math.min(steps[id-NO_OF_TILES_X], 1);
+		if(g.pos.y < maxTileY) steps[id+NO_OF_TILES_X] = Math.min(steps[id+NO_OF_TILES_X], 1);
+	}
+	for(var d = 0; d <= BOT_GUARD_DELAY; d++) {
+		for(var i = 0; i < steps.length; i++) if(steps[i] == d) queue.push(i);
+	}
+
+	for(var head = 0; head < queue.length; head++) {
+		id = queue[head];
+		moves = table[id];
+		for(var i = 0; i < moves.length; i++) {
+			var next = botTileId(moves[i].x, moves[i].y);
+
+			if(moves[i].via || steps[next] <= steps[id] + 1) continue;
+			steps[next] = steps[id] + 1;
+			queue.push(next);
+		}
+	}
+	return steps;
+}
+
+//=====================================================
+// moves from [x][y]: { x:, y:, act:, cost:, steps:, via:, path: }
+// act: key action at [x][y], steps: time in tiles moved,
+// via: tile passed by a dig move, path: plan steps of a
+// dig move between [x][y] and the end tile (botNewRoute)
+//=====================================================
+function botMoves(x, y)
+{
+	var moves = [], token;
+
+	if(!botSupported(x, y)) { //falling
+		if(y < maxTileY && ((token = botTile(x, y+1)) == TRAP_T || botPassable(token))) {
+			moves.push({ x: x, y: y+1, act: ACT_STOP, cost: 1, steps: 1 });
+		}
+		return moves;
+	}
+
+	if(x > 0 && botPassable(botTile(x-1, y))) moves.push({ x: x-1, y: y, act: ACT_LEFT, cost: 1, steps: 1 });
+	if(x < maxTileX && botPassable(botTile(x+1, y))) moves.push({ x: x+1, y: y, act: ACT_RIGHT, cost: 1, steps: 1 });
+
+	if(map[x][y].base == LADDR_T && y > 0 && botPassable(botTile(x, y-1))) {
+		moves.push({ x: x, y: y-1, act: ACT_UP, cost: 1, steps: 1 });
+	}
+	if(y < maxTileY && ((token = botTile(x, y+1)) == TRAP_T || botPassable(token))) {
+		moves.push({ x: x, y: y+1, act: ACT_DOWN, cost: 1, steps: 1 });
+	}
+
+	for(var side = -1; side <= 1; side += 2) {
+		var dx = x + side, ex = dx + side, dig = (side < 0)?ACT_DIG_LEFT:ACT_DIG_RIGHT;
+		var step = (side < 0)?ACT_LEFT:ACT_RIGHT, back = (side < 0)?ACT_RIGHT:ACT_LEFT;
+
+		if(botCanDig(x, y, side)) {
+			if(y + 2 <= maxTileY && botFallThrough(dx, y+2)) { //dig through the floor, fall on below the hole
+				moves.push({ x: dx, y: y+1, act: dig, cost: BOT_DIG_COST, steps: BOT_DIG_STEPS, via: { x: dx, y: y },
+					path: [{ x: dx, y: y, act: ACT_STOP }] });
+			} else if(ex >= 0 && ex <= maxTileX && botPassable(botTile(ex, y+1))) { //drop in the hole, walk out on the side
+				moves.push({ x: ex, y: y+1, act: dig, cost: BOT_DIG_COST + 1, steps: BOT_DIG_STEPS + 1, via: { x: dx, y: y },
+					path: [{ x: dx, y: y, act: ACT_STOP }, { x: dx, y: y+1, act: step }] });
+			}
+		}
+
+		//dig through two floors: dig [ex][y+1] from [dx][y], go back, dig [dx][y+1],
+		//drop in the hole, dig [ex][y+2] from it and fall through both holes
+		if(ex < 0 || ex > maxTileX || y + 3 > maxTileY || !botCanDig(x, y, side) || !botCanDig(dx, y, side)) continue;
+		if(map[ex][y+2].act != BLOCK_T || botFallThrough(dx, y+2) || !botFallThrough(ex, y+3)) continue;
+
+		moves.push({ x: ex, y: y+2, act: step, cost: BOT_DIG_COST * 3, steps: BOT_DIG_STEPS * 3 + 2, via: { x: dx, y: y },
+			path: [
+				{ x: dx, y: y, act: dig, stay: 1 }, { x: dx, y: y, act: back },
+				{ x: x, y: y, act: dig, stay: 1 }, { x: x, y: y, act: step },
+				{ x: dx, y: y, act: ACT_STOP },
+				{ x: dx, y: y+1, act: dig, stay: 1 }, { x: dx, y: y+1, act: step },
+				{ x: ex, y: y+1, act: ACT_STOP }
+			] });
+	}
+	return moves;
+}
+
+//runner falls through [x][y] (not on a ladder or bar)
+function botFallThrough(x, y)
+{
+	var token = botTile(x, y);
+
+	if(token != TRAP_T && !botPassable(token)) return 0;
+	return (map[x][y].base != LADDR_T && map[x][y].base != BAR_T);
+}
+
+//botMoves() of all tiles, by tile id
+function botMoveTable()
+{
+	var table = [];
+
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) table.push(botMoves(x, y));
+	}
+	return table;
+}
+
+//guard moves per runner move (see moveGuard)
+function botGuardSpeed()
+{
+	var policy = movePolicy[guardCount], moves = 0;
+
+	for(var i = 0; i < policy.length; i++) moves += policy[i];
+	return moves / policy.length / guardCount;
+}
+
+//steps the runner is ahead of the guards: a guard on or next to
+//the tile always comes first, guards far away go elsewhere by the
+//time the runner comes
+function botMargin(guardSteps, runnerSteps)
+{
+	if(guardSteps <= 1) return 0;
+	if(guardSteps > BOT_GUARD_HORIZON) return BOT_SAFE_MARGIN;
+	return Math.floor(guardSteps / botSpeed) - runnerSteps;
+}
+
+//=====================================================
+// search [table] (botMoveTable) from the runner,
+// return { dist:[], prev:[] }, [guardSteps]
+// (botGuardSteps) or null: no guards
+//=====================================================
+function botSearch(table, guardSteps)
+{
+	var size = NO_OF_TILES_X * NO_OF_TILES_Y;
+	var dist = [], steps = [], prev = [], done = [];
+	var start = botTileId(runner.pos.x, runner.pos.y);
+
+	for(var i = 0; i < size; i++) { dist[i] = Infinity; steps[i] = 0; prev[i] = null; done[i] = 0; }
+	dist[start] = 0;
+
+	//bucket queue, costs are small integers
+	var bucket = [[start]], d = 0, cur, moves;
+
+	for(; d < bucket.length; d++) {
+		if(!bucket[d]) continue;
+		while(bucket[d].length) {
+			cur = bucket[d].pop();
+			if(done[cur] || dist[cur] != d) continue;
+			done[cur] = 1;
+
+			moves = table[cur];
+			for(var i = 0; i < moves.length; i++) {
+				var next = botTileId(moves[i].x, moves[i].y);
+				var nextSteps = steps[cur] + moves[i].steps;
+				var margin = BOT_SAFE_MARGIN, nd;
+
+				if(guardSteps) {
+					margin = botMargin(guardSteps[next], nextSteps);
+					if(margin < 1) continue; //guard comes first
+					if(moves[i].via && botMargin(guardSteps[botTileId(moves[i].via.x, moves[i].via.y)], nextSteps) < 1) continue;
+				}
+
+				nd = d + moves[i].cost + Math.max(0, BOT_SAFE_MARGIN - margin) * BOT_MARGIN_COST;
+				if(nd < dist[next]) {
+					dist[next] = nd;
+					steps[next] = nextSteps;
+					prev[next] = { id: cur, move: moves[i] };
+					(bucket[nd] || (bucket[nd] = [])).push(next);
+				}
+			}
+		}
+	}
+	return { dist: dist, steps: steps, guardSteps: guardSteps, prev: prev, table: table };
+}
+
+//=====================================================
+// targets: gold on map, top row after all gold taken;
+// while guards carry the last gold: a floor to dig
+// holes on both sides and wait for them
+//=====================================================
+function botTargets()
+{
+	var targets = [], wait = [];
+
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			if(goldComplete) {
+				if(y == 0) targets.push(botTileId(x, y));
+			} else if(map[x][y].base == GOLD_T) {
+				targets.push(botTileId(x, y));
+			} else if(map[x][y].act == EMPTY_T && botCanDig(x, y, -1) && botCanDig(x, y, 1)) {
+				wait.push(botTileId(x, y));
+			}
+		}
+	}
+	return (targets.length || goldComplete)?targets:wait;
+}
+
+//gold on map, plan again when it changes
+function botMapGold()
+{
+	var count = 0;
+
+	for(var x = 0; x < NO_OF_TILES_X; x++) {
+		for(var y = 0; y < NO_OF_TILES_Y; y++) {
+			if(map[x][y].base == GOLD_T) count++;
+		}
+	}
+	return count;
+}
+
+//=====================================================
+// route: plan [{ x:, y:, act: }] from the runner tile
+// to [target] of [search], act is the key action on
+// that tile; [first]: key action before the plan
+//=====================================================
+function botNewRoute(search, target, first)
+{
+	var plan = [], id, step;
+
+	if(target >= 0) {
+		plan.unshift({ x: target % NO_OF_TILES_X, y: (target / NO_OF_TILES_X) | 0, act: ACT_STOP });
+		for(id = target; (step = search.prev[id]) != null; id = step.id) {
+			if(step.move.path) plan = step.move.path.concat(plan);
+			plan.unshift({ x: step.id % NO_OF_TILES_X, y: (step.id / NO_OF_TILES_X) | 0, act: step.move.act });
+		}
+	}
+	return { plan: (target >= 0)?plan:null, idx: 0, first: first, target: target };
+}
+
+//no target: the reachable standing tile where guards come last,
+//best with bricks to dig on both sides, not at a dead end
+function botFleeTarget(search)
+{
+	var best = -1, bestScore = 0, score, x, y;
+
+	for(var id = 0; id < search.dist.length; id++) {
+		if(search.dist[id] == Infinity) continue;
+		x = id % NO_OF_TILES_X;
+		y = (id / NO_OF_TILES_X) | 0;
+		if(!botSupported(x, y)) continue;
+
+		score = Math.min(search.guardSteps[id], BOT_SAFE_DISTANCE) * 4 - search.dist[id];
+		if(botCanDig(x, y, -1) && botCanDig(x, y, 1)) score += BOT_WAIT_BONUS;
+		else if(search.table[id].length < 2) score -= BOT_WAIT_BONUS;
+		if(best < 0 || score > bestScore) { best = id; bestScore = score; }
+	}
+	return best;
+}
+
+//at the target: move into the gold pick up window (see moveRunner),
+//climb to the top row to finish, else wait
+function botTargetAction()
+{
+	var x = runner.pos.x, y = runner.pos.y;
+
+	if(goldComplete) return (y == 0 && runner.pos.yOffset > 0)?ACT_UP:ACT_STOP;
+	if(map[x][y].base != GOLD_T) return ACT_STOP;
+
+	if(runner.pos.yOffset < 0) return ACT_DOWN;
+	if(runner.pos.yOffset >= H4) return ACT_UP;
+	if(runner.pos.xOffset < 0) return ACT_RIGHT;
+	if(runner.pos.xOffset >= W4) return ACT_LEFT;
+	return ACT_STOP;
+}
+
+//key action of [route] for the core state, the route
+//is dropped when the runner is off it
+function botRouteAction(route)
+{
+	var x = runner.pos.x, y = runner.pos.y, plan = route.plan, act, side;
+
+	if(route.keys) return (isDigging() || route.idx >= route.keys.length)?ACT_STOP:route.keys[route.idx++];
+	if(route.first != ACT_UNKNOWN) {
+		act = route.first;
+		route.first = ACT_UNKNOWN;
+		return act;
+	}
+	if(!plan || isDigging()) return ACT_STOP;
+
+	while(route.idx < plan.length && (plan[route.idx].x != x || plan[route.idx].y != y)) route.idx++;
+	if(route.idx >= plan.length) {
+		route.plan = null;
+		return ACT_STOP;
+	}
+	if(route.idx == plan.length - 1) return botTargetAction();
+
+	act = plan[route.idx].act;
+	if(act == ACT_DIG_LEFT || act == ACT_DIG_RIGHT) {
+		side = (act == ACT_DIG_LEFT)?-1:1;
+		if(botIsHole(x + side, y + 1)) {
+			if(plan[route.idx].stay) { //hole is open, next step on this tile
+				route.idx++;
+				return botRouteAction(route);
+			}
+			act = (side < 0)?ACT_LEFT:ACT_RIGHT; //hole is open, go
+		} else if(!botCanDig(x, y, side)) {
+			route.plan = null;
+			act = ACT_STOP;
+		}
+	}
+	return act;
+}
+
+//=====================================================
+// routes worth a try: the nearest targets with and
+// without the guards, flee, dig a hole on either side
+// before the best one, stand still and the route on
+// the way; [escape]: only safe routes, after a rollout
+// got a gold
+//=====================================================
+function botCandidates(escape)
+{
+	var x = runner.pos.x, y = runner.pos.y;
+	var table = botMoveTable();
+	var safe = botSearch(table, botGuardSteps(table)), free = escape?null:botSearch(table, null);
+	var targets = botTargets(), routes = [], best;
+
+	targets = targets.filter(function(id) { return !(botBan[id] > botTick); });
+
+	for(var i = 0; i < (escape?1:2); i++) {
+		var search = i?free:safe, order;
+
+		order = targets.filter(function(id) { return search.dist[id] < Infinity; });
+		order.sort(function(a, b) { return search.dist[a] - search.dist[b]; });
+		for(var j = 0; j < order.length && j < BOT_ROUTE_TARGETS; j++) {
+			routes.push(botNewRoute(search, order[j], ACT_UNKNOWN));
+		}
+	}
+	best = routes.length?routes[0]:botNewRoute(safe, botFleeTarget(safe), ACT_UNKNOWN);
+	if(routes.length) routes.push(botNewRoute(safe, botFleeTarget(safe), ACT_UNKNOWN));
+	else routes.push(best);
+
+	for(var side = -1; side <= 1; side += 2) {
+		if(botSupported(x, y) && botCanDig(x, y, side)) {
+			routes.push(botNewRoute(safe, best.target, (side < 0)?ACT_DIG_LEFT:ACT_DIG_RIGHT));
+		}
+	}
+	routes.push(botNewRoute(safe, -1, ACT_UNKNOWN)); //stand still
+
+	if(!escape && botRoute && botRoute.plan) {
+		botRoute.keep = 1;
+		routes.push(botRoute);
+	}
+	return routes;
+}
+
+//=====================================================
+// play [route] for [ticks] with the game rules, return
+// its score: dead is worst, then gold taken (or dropped
+// by a guard), the distance left to the next target and
+// how close the guards are; with [escape] a rollout which gets a gold
+// goes on with the best escape route (botBestRoute)
+//=====================================================
+function botRollout(route, ticks, escape)
+{
+	var gold = goldCount, mapGold = botMapGold();
+	var copy = { plan: route.plan, idx: route.idx, first: route.first, target: route.target, keys: route.keys };
+
+	for(var tick = 0; tick < ticks; tick++) {
+		if(coreLevelFinished()) return BOT_FINISH_SCORE - tick;
+		coreTick(botRouteAction(copy));
+		if(gameState == GAME_RUNNER_DEAD) return BOT_DEAD_SCORE + tick;
+		if(escape && goldCount != gold) {
+			if(coreLevelFinished()) return BOT_FINISH_SCORE - tick;
+			return BOT_GOLD_SCORE + botBestRoute(botCandidates(1), BOT_ESCAPE_TICKS, 0).score;
+		}
+	}
+	if(botTrapped()) return BOT_DEAD_SCORE + ticks; //dead when the hole is filled
+	return (gold - goldCount) * BOT_GOLD_SCORE + Math.max(0, botMapGold() - mapGold) * BOT_DROP_SCORE + botScoreEnd();
+}
+
+//rollout of each route of [routes], return { route:, score: } of the best one,
+//the game state is restored after each rollout
+function botBestRoute(routes, ticks, escape)
+{
+	var save = coreSave();
+	var best = null, bestScore = 0, score;
+
+	for(var i = 0; i < routes.length; i++) {
+		score = botRollout(routes[i], ticks, escape);
+		coreRestore(save);
+		if(routes[i].keep) score += BOT_KEEP_SCORE;
+		if(botJitter) score += botJitter() * BOT_JITTER_SCORE; //retry: another choice
+		if(routes[i].first == ACT_UNKNOWN && (!routes[i].plan || routes[i].plan.length < 2)) {
+			score -= botStillTicks * BOT_WAIT_SCORE; //waiting gets worse
+		}
+		if(best == null || score > bestScore) { best = routes[i]; bestScore = score; }
+	}
+	return { route: best, score: bestScore };
+}
+
+//runner in a hole with ground below
+function botTrapped()
+{
+	var x = runner.pos.x, y = runner.pos.y;
+
+	if(map[x][y].base != BLOCK_T) return 0;
+	return (y >= maxTileY || !botPassable(botTile(x, y+1)));
+}
+
+//score of the state at the end of a rollout: distance to
+//the nearest target (a safe route counts more than a route
+//the guards may block) and no way to get away from guards
+function botScoreEnd()
+{
+	var table = botMoveTable(), guardSteps = botGuardSteps(table);
+	var safe = botSearch(table, guardSteps), free = botSearch(table, null);
+	var targets = botTargets(), dist = BOT_LOST_DISTANCE, escape = 0, lost = 0, id;
+
+	for(var i = 0; i < targets.length; i++) {
+		id = targets[i];
+		if(free.dist[id] == Infinity) lost++;
+		if(botBan[id] > botTick) continue;
+		dist = Math.min(dist, safe.dist[id], free.dist[id] + BOT_UNSAFE_DISTANCE);
+	}
+	if(goldComplete) lost = (lost == targets.length)?1:0; //no way to the top row
+	for(id = 0; id < safe.dist.length && escape < BOT_SAFE_DISTANCE; id++) {
+		if(safe.dist[id] < Infinity) escape = Math.max(escape, Math.min(guardSteps[id], BOT_SAFE_DISTANCE));
+	}
+	return -dist * BOT_DISTANCE_SCORE - (BOT_SAFE_DISTANCE - escape) * BOT_DANGER_SCORE - lost * BOT_STRANDED_SCORE;
+}
+
+//[count] routes of random keys for [ticks], other keys on each retry of botPlaytest()
+var BOT_KEYS = [ACT_LEFT, ACT_RIGHT, ACT_UP, ACT_DOWN, ACT_STOP, ACT_DIG_LEFT, ACT_DIG_RIGHT];
+function botRandomRoutes(count, ticks)
+{
+	var random = createCoreRandom(botTick + botRetry * 100003), routes = [], keys, act, hold;
+
+	for(var i = 0; i < count; i++) {
+		keys = [];
+		while(keys.length < ticks) {
+			act = BOT_KEYS[(random() * BOT_KEYS.length) | 0];
+			hold = (act == ACT_DIG_LEFT || act == ACT_DIG_RIGHT)?1:2 + ((random() * 10) | 0);
+			while(hold-- > 0) keys.push(act);
+		}
+		routes.push({ plan: null, idx: 0, first: ACT_UNKNOWN, target: -1, keys: keys });
+	}
+	return routes;
+}
+
+//ticks without a gold or a new tile
+function botStuckTicks()
+{
+	return botTick - botProgressTick;
+}
+
+//choose the route with the best rollout, the game view
+//is off while the rollouts play
+function botDecide()
+{
+	var routes = botCandidates(0), saveView = gameView, ticks, best, panic;
+
+	botGoal = -1;
+	for(var i = 0; i < routes.length && botGoal < 0; i++) {
+		if(routes[i].target >= 0 && routes[i].first == ACT_UNKNOWN) botGoal = routes[i].target;
+	}
+
+	gameView = headlessView;
+	ticks = (botStuckTicks() >= BOT_STUCK_TICKS)?BOT_STUCK_ROLLOUT_TICKS:BOT_ROLLOUT_TICKS;
+	best = botBestRoute(routes, ticks, 1);
+	if(best.score < BOT_DEAD_SCORE / 2 || ticks != BOT_ROLLOUT_TICKS) { //every route dies or stuck: try random keys
+		panic = botBestRoute(botRandomRoutes(BOT_PANIC_ROUTES, ticks), ticks, 1);
+		if(panic.score > best.score) best = panic;
+	}
+	botRoute = best.route;
+	gameView = saveView;
+
+	botRoute.keep = 0;
+	botDecideTick = botTick + BOT_DECIDE_TICKS;
+	botPlanGold = botMapGold();
+}
+
+//=====================================================
+// key action of this tick
+//=====================================================
+function botAction()
+{
+	var pos = botTileId(runner.pos.x, runner.pos.y), act;
+
+	botTick++;
+	if(isDigging()) return ACT_STOP;
+
+	botStillTicks = (pos == botLastPos)?botStillTicks + 1:0;
+	botLastPos = pos;
+
+	//no gold and no new tile for a while: give up this target for
+	//a while and look for a way out with random keys (botDecide)
+	if(goldCount != botSeenGold) {
+		botSeen = {};
+		botSeenGold = goldCount;
+	}
+	if(!botSeen[pos]) {
+		botSeen[pos] = 1;
+		botProgressTick = botTick;
+	}
+	if(botStuckTicks() && botStuckTicks() % BOT_STUCK_TICKS == 0) {
+		if(botGoal >= 0) botBan[(botRoute && botRoute.target >= 0)?botRoute.target:botGoal] = botTick + BOT_BAN_TICKS;
+		botRoute = null;
+	}
+
+	if(!botRoute || botTick >= botDecideTick || botMapGold() != botPlanGold) botDecide();
+
+	act = botRouteAction(botRoute);
+	if(!botRoute.plan && botRoute.target >= 0) botDecideTick = botTick + 1; //off the route
+	return act;
+}
+
+//=====================================================
+// PLAY_BOT mode: the bot plays classic levels in a
+// random order until any key or click
+//=====================================================
+var botLevelRnd = null, botLevelCount = 0;
+
+function botPlay()
+{
+	if(playMode == PLAY_EDIT) canvasReSize();
+	playMode = PLAY_BOT;
+
+	soundStop(soundDig);
+	soundStop(soundFall);
+	pasteIconObj.disable();
+	selectIconObj.disable(1);
+	demoIconObj.disable(1);
+	anyKeyStopDemo();
+
+	startGame();
+}
+
+//called by startGame() & closingScreen(), return level map of next level
+function getBotLevelMap()
+{
+	levelData = getPlayVerData(1);
+	if(botLevelRnd == null || botLevelCount != levelData.length) {
+		botLevelRnd = new rangeRandom(1, levelData.length, 0);
+		botLevelCount = levelData.length;
+	}
+	curLevel = botLevelRnd.get();
+
+	return levelData[curLevel-1];
+}
+
+//called by beginPlay(), no waiting for the first key
+function initBotPlay()
+{
+	initBot();
+	recordMode = RECORD_NONE;
+
+	gameState = GAME_RUNNING;
+	playTickTimer = 0;
+	if(goldCount <= 0) showHideLaddr();
+	showTipsText("BOT PLAY", 2500, "PRESS ANY KEY TO PLAY");
+}
+
+//=====================================================
+// bot state of a botPlaytest() checkpoint
+//=====================================================
+function botSaveState()
+{
+	return {
+		route: botRoute?coreSaveObject(botRoute):null,
+		decideTick: botDecideTick, planGold: botPlanGold, goal: botGoal,
+		tick: botTick, lastPos: botLastPos, stillTicks: botStillTicks,
+		ban: coreSaveObject(botBan),
+		seen: coreSaveObject(botSeen), seenGold: botSeenGold, progressTick: botProgressTick
+	};
+}
+
+function botRestoreState(save)
+{
+	botRoute = save.route?coreSaveObject(save.route):null;
+	botDecideTick = save.decideTick;
+	botPlanGold = save.planGold;
+	botGoal = save.goal;
+	botTick = save.tick;
+	botLastPos = save.lastPos;
+	botStillTicks = save.stillTicks;
+	botBan = coreSaveObject(save.ban);
+	botSeen = coreSaveObject(save.seen);
+	botSeenGold = save.seenGold;
+	botProgressTick = save.progressTick;
+}
+
+//=====================================================
+// headless playtest of [levelMap] with the bot,
+// options { seed:, maxTicks: }
+// return { result: "finish" | "dead" | "stuck" | "timeout",
+//          ticks:, goldLeft:, retries: }
+// the game is saved every BOT_CHECKPOINT_TICKS; when the runner dies
+// or is stuck it plays again from a checkpoint before, with random
+// scores for the routes, so a finish is a sequence of keys which
+// clears the level from its start (it replaces the core state of the
+// level on screen)
+//=====================================================
+function botPlaytest(levelMap, options)
+{
+	var state, maxTicks, result, checkpoints, back, fails = 0, bestGold;
+
+	options = options || {};
+	maxTicks = options.maxTicks || BOT_MAX_TICKS;
+
+	state = coreLoadLevel(levelMap, { seed: options.seed });
+	initBot();
+	botRetry = 0;
+	botJitter = null;
+	bestGold = goldCount;
+	checkpoints = [];
+	while(1) {
+		while(state.state == GAME_RUNNING && state.tick < maxTicks && botStuckTicks() < BOT_GIVEUP_TICKS) {
+			if(state.tick % BOT_CHECKPOINT_TICKS == 0) checkpoints.push({ core: coreSave(), bot: botSaveState() });
+			state = coreTick(coreLevelFinished()?ACT_STOP:botAction());
+			if(goldCount < bestGold) {
+				bestGold = goldCount;
+				fails = 0;
+			}
+		}
+		if(state.state == GAME_FINISH || state.tick >= maxTicks || botRetry >= BOT_RETRIES) break;
+
+		//dead or stuck: back to a checkpoint before it, farther back after more failures
+		back = Math.pow(2, Math.floor(fails++ / BOT_RETRY_DEPTH));
+		if(state.state != GAME_RUNNER_DEAD) back += Math.floor(botStuckTicks() / BOT_CHECKPOINT_TICKS); //before the stuck
+		checkpoints.length = Math.max(1, checkpoints.length - back);
+		coreRestore(checkpoints[checkpoints.length-1].core);
+		botRestoreState(checkpoints[checkpoints.length-1].bot);
+		checkpoints.pop(); //saved again when the loop goes on
+		state = coreState();
+		botJitter = createCoreRandom(++botRetry);
+	}
+	if(state.state == GAME_FINISH) result = "finish";
+	else if(state.state == GAME_RUNNER_DEAD) result = "dead";
+	else result = (state.tick < maxTicks)?"stuck":"timeout";
+	botJitter = null;
+
+	return {
+		result: result,
+		ticks: state.tick,
+		goldLeft: state.goldCount,
+		retries: botRetry
+	};
+}
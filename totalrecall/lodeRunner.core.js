@@ -0,0 +1,421 @@
+//=============================================================================
+// Headless game core
+//
+// The game rules (lodeRunner.runner.js, lodeRunner.guard.js) only change the
+// state declared here and tell [gameView] what happened. The canvas view
+// (lodeRunner.view.js) draws it with EaselJS; the headless view ignores it,
+// so a level can be played tick by tick without stage, sprites or sounds:
+//
+//   coreLoadLevel(levelMap, { seed: 1234 });
+//   while(coreTick(ACT_LEFT).state == GAME_RUNNING) { ... }
+//
+// Same level + same seed + same input of every tick = same game.
+// The headless core needs AI version >= 3, older versions are timed by
+// sprite animations.
+//=============================================================================
+
+var maxTileX = NO_OF_TILES_X - 1, maxTileY = NO_OF_TILES_Y - 1;
+
+var tileW = BASE_TILE_X, tileH = BASE_TILE_Y; //tile width & tile height
+var W2 = (tileW/2|0), W4 = (tileW/4|0);       //W2: 1/2 tile-width,  W4: 1/4 tile width
+var H2 = (tileH/2|0), H4 = (tileH/4|0);       //H2: 1/2 tile-height, H4: 1/4 tile height
+var xMove, yMove;                             //move step of runner & guard
+
+var curAiVersion = AI_VERSION;
+var maxGuard = MAX_NEW_GUARD;
+
+var gameState;
+var keyAction = ACT_STOP;
+
+var runner = null,  guard= [];
+var map; //[x][y] = { base: base map, act : active map, state:, bitmap: }
+var guardCount, goldCount, goldComplete;
+var holeObj = {}; //digging hole { action:, pos:, shapeFrame:, curFrameIdx:, digLimit: }
+
+//settings of the game shell (key.js, demo.js, main.js) read by the rules,
+//left undefined (off) while the core runs alone
+var godMode, playMode, recordMode, recordCount;
+
+var coreTickCount = 0; //ticks since coreLoadLevel()
+
+//move step of AI version 1, 2, 3 & 4
+var coreMoveSpeed = [
+	{ xMove: 8, yMove: 8 }, //ver 1
+	{ xMove: 8, yMove: 9 }, //ver 2
+	{ xMove: 8, yMove: 9 }  //ver 3 & 4
+];
+
+//=====================================================
+// seeded random for guard gold carry time & reborn
+// column, so a game can be played again exactly
+//=====================================================
+var coreSeed = 0;
+var coreRandom = Math.random;
+
+//the PRNG of the level generator (createMarkovRng of lodeRunner.markov.js),
+//so replays and seeded levels depend on one PRNG
+function createCoreRandom(seed)
+{
+	return createMarkovRng(seed);
+}
+
+function randomCoreSeed()
+{
+	return (Math.random() * 4294967296) >>> 0;
+}
+
+function setCoreSeed(seed)
+{
+	coreSeed = seed >>> 0;
+	coreRandom = createCoreRandom(coreSeed);
+}
+
+//=====================================================
+// view without output, gameView of the headless core
+//=====================================================
+function noView() {}
+
+var headlessView = {
+	buildLevel: noView,
+	soundPlay: noView, soundStop: noView, themeSoundPlay: noView,
+
+	moveSprite: noView, playShape: noView, showFrame: noView,
+	playSprite: noView, stopSprite: noView, setRedhat: noView,
+	onAnimationEnd: noView, clearAnimationEnd: noView,
+
+	showTile: noView, addGold: noView, removeGold: noView,
+	digStart: noView, digFrame: noView, digEnd: noView,
+	digAnimationFrame: function() { return holeObj.curFrameIdx; },
+	fillStart: noView, fillFrame: noView, fillEnd: noView,
+
+	getGold: noView, allGoldTaken: noView,
+	guardInHole: noView, guardDead: noView, runnerDead: noView
+};
+
+var gameView = headlessView;
+
+//=====================================================
+// variables depend on AI version
+//=====================================================
+function initAiVersionVariable()
+{
+	var idx = (curAiVersion > coreMoveSpeed.length)?(coreMoveSpeed.length-1):(curAiVersion-1); //array index don't overflow
+
+	xMove = coreMoveSpeed[idx].xMove;
+	yMove = coreMoveSpeed[idx].yMove;
+
+	//------------------------------------------------------------------------------------
+	// Change move policy for support LR FAN BOOK with one guard
+	// Original policy for one guard is [0, 1, 1] ==> 2/3 speed of runner
+	// while AI_VERSION >= 3 change policy to [ 0, 1, 0, 1, 0, 1 ] ==> 1/2 speed of runner
+	//------------------------------------------------------------------------------------
+	if(curAiVersion < 3) {
+		movePolicy[1] = [0, 1, 1, 0, 1, 1];
+		maxGuard = MAX_OLD_GUARD;
+		holeObj.digLimit = 6; //for check guard is close to runner when digging
+	} else {
+		movePolicy[1] = [0, 1, 0, 1, 0, 1]; //slow down the guard when only one guard
+		maxGuard = MAX_NEW_GUARD;           //change max guard
+		holeObj.digLimit = 8; //for check guard is close to runner when digging
+	}
+}
+
+function initCoreVariable()
+{
+	guard = [];
+	keyAction = holeObj.action = ACT_STOP;
+	goldCount = guardCount = goldComplete = 0;
+	runner = null;
+	coreTickCount = 0;
+
+	initRnd();
+	initGuardVariable();
+	initStillFrameVariable();
+	initAiVersionVariable();
+}
+
+//=====================================================
+// build map[x][y], runner & guard[] of [levelMap],
+// the sprites are created by gameView.buildLevel()
+//=====================================================
+function coreBuildMap(levelMap)
+{
+	var index = 0;
+	var mapGuardCount = 0; //Number of original guards
+
+	//(1) create empty map[x][y] array;
+	map = [];
+	for(var x = 0; x < NO_OF_TILES_X; x++) {
+		map[x] = [];
+		for(var y = 0; y < NO_OF_TILES_Y; y++) {
+			map[x][y] = { bitmap: null };
+			if(levelMap.charAt(index++) == '0') mapGuardCount++;
+		}
+	}
+
+	//(2) set map
+	index = 0;
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			var id = levelMap.charAt(index++);
+
+			switch(id) {
+			default:
+			case ' ': //empty
+				map[x][y].base = EMPTY_T;
+				map[x][y].act  = EMPTY_T;
+				break;
+			case '#': //Normal Brick
+				map[x][y].base = BLOCK_T;
+				map[x][y].act = BLOCK_T;
+				break;
+			case '@': //Solid Brick
+				map[x][y].base = SOLID_T;
+				map[x][y].act  = SOLID_T;
+				break;
+			case 'H': //Ladder
+				map[x][y].base =LADDR_T;
+				map[x][y].act  =LADDR_T;
+				break;
+			case '-': //Line of rope
+				map[x][y].base = BAR_T;
+				map[x][y].act  = BAR_T;
+				break;
+			case 'X': //False brick
+				map[x][y].base = TRAP_T; //behavior same as empty
+				map[x][y].act  = TRAP_T;
+				break;
+			case 'S': //Ladder appears at end of level
+				map[x][y].base = HLADR_T; //behavior same as empty before end of level
+				map[x][y].act  = EMPTY_T; //behavior same as empty before end of level
+				break;
+			case '$': //Gold chest
+				map[x][y].base = GOLD_T; //keep gold on base map
+				map[x][y].act  = EMPTY_T;
+				goldCount++;
+				break;
+			case '0': //Guard
+				map[x][y].base = EMPTY_T;
+				map[x][y].act  = GUARD_T;
+				if(--mapGuardCount >= maxGuard) {
+					map[x][y].act = EMPTY_T;
+					break;  //too many guards, set this tile as empty
+				}
+				guard[guardCount++] = {
+					pos: { x:x, y:y, xOffset:0, yOffset:0},
+					action: ACT_STOP,
+					shape: "runLeft",
+					lastLeftRight: "ACT_LEFT",
+					hasGold: 0
+				};
+				break;
+			case '&': //Player
+				map[x][y].base = EMPTY_T;
+				map[x][y].act  = RUNNER_T;
+				if(runner !=  null) {
+					map[x][y].act  = EMPTY_T;
+					break;  //too many runner, set this tile as empty
+				}
+				runner = {
+					pos: { x:x, y:y, xOffset:0, yOffset:0},
+					action: ACT_UNKNOWN,
+					shape: "runRight",
+					lastLeftRight: "ACT_RIGHT"
+				};
+				break;
+			}
+		}
+	}
+	assert(mapGuardCount == 0, "Error: mapCuardCount design error !" );
+}
+
+//=====================================================
+// one tick of the game
+//=====================================================
+function coreLevelFinished()
+{
+	return (goldComplete && runner.pos.y == 0 && runner.pos.yOffset == 0);
+}
+
+//move runner, guards, holes & reborn of one tick (input: keyAction)
+function coreMove()
+{
+	if(!isDigging()) moveRunner();
+	else processDigHole();
+	if(gameState != GAME_RUNNER_DEAD) moveGuard();
+
+	if(curAiVersion >= 3) {
+		processGuardShake();
+		processFillHole();
+		processReborn();
+	}
+}
+
+//=====================================================
+// headless play: load level [levelMap] with
+// options { seed:, aiVersion:, view: }
+//=====================================================
+function coreLoadLevel(levelMap, options)
+{
+	options = options || {};
+
+	curAiVersion = options.aiVersion || AI_VERSION;
+	assert(curAiVersion >= 3, "Error: headless core needs AI version >= 3 !");
+
+	gameView = options.view || headlessView;
+	setCoreSeed((typeof options.seed == "undefined")?randomCoreSeed():options.seed);
+	initCoreVariable();
+	coreBuildMap(levelMap);
+	gameView.buildLevel();
+	if(goldCount <= 0) showHideLaddr();
+	gameState = GAME_RUNNING;
+
+	return coreState();
+}
+
+//play one tick with [action] (ACT_STOP, ACT_LEFT ... ACT_DIG_RIGHT) as key input
+function coreTick(action)
+{
+	if(gameState != GAME_RUNNING) return coreState();
+
+	if(coreLevelFinished()) {
+		gameState = GAME_FINISH;
+	} else {
+		keyAction = action;
+		coreMove();
+	}
+	coreTickCount++;
+
+	return coreState();
+}
+
+//snapshot of the game state
+function coreState()
+{
+	var guards = [], holes = [];
+
+	for(var i = 0; i < guardCount; i++) {
+		guards.push({
+			x: guard[i].pos.x, y: guard[i].pos.y,
+			xOffset: guard[i].pos.xOffset, yOffset: guard[i].pos.yOffset,
+			action: guard[i].action, hasGold: guard[i].hasGold
+		});
+	}
+	for(var i = 0; i < fillHoleObj.length; i++) {
+		holes.push({ x: fillHoleObj[i].pos.x, y: fillHoleObj[i].pos.y });
+	}
+
+	return {
+		tick: coreTickCount,
+		state: gameState, //GAME_RUNNING, GAME_RUNNER_DEAD or GAME_FINISH
+		runner: {
+			x: runner.pos.x, y: runner.pos.y,
+			xOffset: runner.pos.xOffset, yOffset: runner.pos.yOffset,
+			action: runner.action
+		},
+		guards: guards,
+		holes: holes,
+		digging: (holeObj.action == ACT_DIGGING),
+		goldCount: goldCount,
+		goldComplete: goldComplete
+	};
+}
+
+//=====================================================
+// save & restore the whole core state, for look ahead:
+//
+//   var save = coreSave();
+//   coreTick(ACT_LEFT); ...  //with the headless view
+//   coreRestore(save);
+//
+// runner, guard & hole objects are restored in place,
+// their sprites are kept
+//=====================================================
+function coreSaveValue(value)
+{
+	if(Array.isArray(value)) return value.slice(); //shapeFrame
+	if(value && typeof value == "object") return coreSaveObject(value); //pos, holePos
+	return value;
+}
+
+function coreSaveObject(obj)
+{
+	var save = {};
+
+	for(var key in obj) {
+		if(key == "sprite") continue;
+		save[key] = coreSaveValue(obj[key]);
+	}
+	return save;
+}
+
+function coreRestoreObject(obj, save)
+{
+	for(var key in obj) {
+		if(key != "sprite" && !(key in save)) delete obj[key];
+	}
+	for(var key in save) {
+		obj[key] = coreSaveValue(save[key]);
+	}
+	return obj;
+}
+
+function coreSave()
+{
+	var tiles = [], guards = [], fillHoles = [];
+
+	for(var x = 0; x < NO_OF_TILES_X; x++) {
+		for(var y = 0; y < NO_OF_TILES_Y; y++) tiles.push(map[x][y].act, map[x][y].base);
+	}
+	for(var i = 0; i < guardCount; i++) guards.push(coreSaveObject(guard[i]));
+	for(var i = 0; i < fillHoleObj.length; i++) {
+		fillHoles.push({ obj: fillHoleObj[i], save: coreSaveObject(fillHoleObj[i]) });
+	}
+
+	return {
+		tiles: tiles,
+		runner: coreSaveObject(runner),
+		guards: guards,
+		holeObj: coreSaveObject(holeObj),
+		fillHoles: fillHoles,
+		shakingGuardList: shakingGuardList.slice(),
+		rebornGuardList: rebornGuardList.slice(),
+		gameState: gameState, keyAction: keyAction,
+		goldCount: goldCount, goldComplete: goldComplete,
+		coreTickCount: coreTickCount,
+		moveOffset: moveOffset, moveId: moveId,
+		random: coreRandom.getState?coreRandom.getState():null,
+		bornRndX: bornRndX.getState()
+	};
+}
+
+function coreRestore(save)
+{
+	var idx = 0;
+
+	for(var x = 0; x < NO_OF_TILES_X; x++) {
+		for(var y = 0; y < NO_OF_TILES_Y; y++) {
+			map[x][y].act = save.tiles[idx++];
+			map[x][y].base = save.tiles[idx++];
+		}
+	}
+	coreRestoreObject(runner, save.runner);
+	for(var i = 0; i < guardCount; i++) coreRestoreObject(guard[i], save.guards[i]);
+	coreRestoreObject(holeObj, save.holeObj);
+	fillHoleObj = [];
+	for(var i = 0; i < save.fillHoles.length; i++) {
+		fillHoleObj.push(coreRestoreObject(save.fillHoles[i].obj, save.fillHoles[i].save));
+	}
+
+	shakingGuardList = save.shakingGuardList.slice();
+	rebornGuardList = save.rebornGuardList.slice();
+	gameState = save.gameState;
+	keyAction = save.keyAction;
+	goldCount = save.goldCount;
+	goldComplete = save.goldComplete;
+	coreTickCount = save.coreTickCount;
+	moveOffset = save.moveOffset;
+	moveId = save.moveId;
+	if(save.random != null) coreRandom.setState(save.random);
+	bornRndX.setState(save.bornRndX);
+}
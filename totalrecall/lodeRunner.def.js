@@ -25,6 +25,7 @@ var KEYCODE_BKSPACE = 8, //backspace
 	KEYCODE_ENTER = 13,
 	KEYCODE_SPACE = 32,
 	KEYCODE_ESC = 27, //escape
+	KEYCODE_DELETE = 46, //delete
 	
 	KEYCODE_X = 88,  //dig right
 	KEYCODE_Y = 89,  //dig left (Y key to dig left, for German keyboards)
@@ -55,8 +56,10 @@ var KEYCODE_BKSPACE = 8, //backspace
 	KEYCODE_C = 67, //'C'
 	KEYCODE_D = 68, //'D'
 	KEYCODE_E = 69, //'E'
+	KEYCODE_F = 70, //'F'
 	KEYCODE_G = 71, //'G'	
 	KEYCODE_H = 72, //'H'
+	KEYCODE_P = 80, //'P'
 	KEYCODE_Q = 81, //'Q'
 	KEYCODE_R = 82, //'R'
 	KEYCODE_S = 83, //'S'
@@ -85,7 +88,7 @@ var SCORE_VALUE_PER_POINT = 100; //for modern & edit mode
 
 var PLAY_NONE = 0, PLAY_CLASSIC = 1, PLAY_MODERN = 2, PLAY_DEMO = 3,
 	PLAY_EDIT = 4, PLAY_TEST = 5, PLAY_AUTO = 6, PLAY_DEMO_ONCE = 7,
-	PLAY_GENERATED = 8;
+	PLAY_GENERATED = 8, PLAY_DAILY = 9, PLAY_REPLAY = 10, PLAY_BOT = 11;
 
 var GAME_START = 0,          GAME_RUNNING = 1, 
 	GAME_FINISH = 2,         GAME_FINISH_SCORE_COUNT= 3, 
@@ -151,6 +154,8 @@ var MAX_HISCORE_RECORD = 10, MAX_HISCORE_NAME_LENGTH = 12;
 // Define value for playData 
 //===========================
 var PLAY_DATA_USERDEF = 999;
+var PLAY_DATA_DAILY = 998; //hi-score table of daily challenge
+var PLAY_DATA_GENERATED = 997; //hi-score table of generated mode
 
 //================================================
 // Define themes string also as theme folder name 
@@ -174,12 +179,19 @@ var STORAGE_FIRST_PLAY  = "loderunner_firstRun";
 
 var STORAGE_MODERN_SCORE_INFO = "loderunner_modernScore";
 
+var STORAGE_GENERATED_INFO = "loderunner_generatedInfo"; //seed of last generated run
+var STORAGE_DAILY_INFO = "loderunner_dailyInfo"; //date & result of last daily challenge
+
+var STORAGE_GHOST_RUN = "loderunner_ghost_"; //best run of a level (+ id of level map)
+var STORAGE_GHOST_GENERATED = "loderunner_ghostGenerated"; //level ids of saved generated runs
+
 var STORAGE_USER_INFO = "loderunner_userInfo"; //user created 
 var STORAGE_USER_SCORE_INFO = "loderunner_userScore"; //user created
 
 var STORAGE_EDIT_INFO = "loderunner_editInfo";
 
 var STORAGE_USER_LEVEL = "loderunner_userLevel";
+var STORAGE_USER_LEVEL_SOURCE = "loderunner_userLevelSource"; //seed & model of a saved generated level
 var STORAGE_TEST_LEVEL  = "loderunner_testlevel";
 
 var STORAGE_HISCORE_INFO = "loderunner_hiScore";
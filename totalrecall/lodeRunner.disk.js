@@ -0,0 +1,262 @@
+//=============================================================================
+// Level import from disk images
+//
+//   Apple II .dsk/.do/.po (143360 bytes): a level in each 256-byte sector
+//     from offset 0x3000, 0xE0 bytes of tiles, two tiles in a byte (low
+//     nibble left), read until the first sector which isn't a level
+//   C64 .d64 (174848 bytes, 175531 with error info): a level in each
+//     256-byte block from offset 0x2A00 but the directory track, a start
+//     byte then the tiles as the Apple II; some images keep the tiles xor 0xFF
+//   An image of a stock game keeps the level count of that game (MAX_LEVEL
+//   of the C++ tool), the sectors after its last level may still hold the
+//   levels of the disk it was made from
+//   .pzl puzzle set (Lode Runner Online): compressed puzzles of 14 layers,
+//     turf (layer 8 & 9), gold (layer 1), runner and guards converted to the
+//     classic tiles
+//
+// Ported from tools/LodeRunnerDiskParser.cpp and tools/pzlDiskParser.cpp,
+// the levels are level strings of ' #@H-XS$0&' (see lodeRunner.levelText.js)
+//=============================================================================
+
+var DISK_SECTOR_SIZE = 0x100;
+var DISK_LEVEL_SIZE = 0xE0;  //NO_OF_TILES_X * NO_OF_TILES_Y / 2
+var DISK_TILES = " #@H-XS$0&"; //nibble value 0 - 9
+var DISK_RUNNER_ID = 9;
+
+var APPLE_DISK_SIZE = 143360, APPLE_LEVEL_START = 0x3000;
+var C64_DISK_SIZE = 174848, C64_DISK_ERROR_SIZE = 175531, C64_LEVEL_START = 0x2A00;
+var C64_SKIP_BYTE = 0x4B, C64_DATA_XOR = 0xFF;
+var C64_DIR_TRACK_START = 0x16500, C64_DIR_TRACK_END = 0x17800; //track 18: BAM & directory
+
+var PZL_HEAD_STRING = "Lode Runner Puzzle Set";
+var PZL_IMAGE_HEAD_SIZE = 0x70;
+var PZL_HEAD_SIZE = 8;                             //4 WORDs: size-6, 0, puzzle number, 1
+var PZL_SIZE_ADDR = 6;
+var PZL_MAX_COMP_SIZE = PZL_HEAD_SIZE + 256 + 14 * 540; //head + title + 14 layers
+var PZL_FULL_SIZE = 7923;                          //a decompressed puzzle
+var PZL_LAYER_BASE = 0x122 - 540, PZL_LAYER_STEP = 540, PZL_LAYER_Y_INC = 18;
+var PZL_RUNNER_CNT_ADDR = 0x1EAA, PZL_RUNNER_BASE = 0x1EAC, PZL_RUNNER_STEP = 4;
+var PZL_GUARD_CNT_ADDR = 0x1EB4, PZL_GUARD_BASE = 0x1EB5, PZL_GUARD_STEP = 6;
+var PZL_DOOR_TURF = 8;
+
+//turf (layer 8 * 10 + layer 9) of a puzzle to the classic tile
+var pzlTurfTile = { 0:' ', 11:'#', 12:'@', 51:'H', 61:'-', 26:'X', 52:'S' };
+
+//=====================================================
+// Apple II & C64
+//=====================================================
+
+//level of the nibble-packed tiles at [offset], null when it isn't a level:
+//a tile out of range, not one runner or all empty
+function diskNibbleLevel(bytes, offset, xor)
+{
+	var levelMap = "", runner = 0, empty = 1;
+
+	if(offset + DISK_LEVEL_SIZE > bytes.length) return null;
+
+	for(var i = 0; i < DISK_LEVEL_SIZE; i++) {
+		var value = bytes[offset + i] ^ xor;
+		var left = value & 0x0F, right = value >> 4;
+
+		if(left >= DISK_TILES.length || right >= DISK_TILES.length) return null;
+		if(left == DISK_RUNNER_ID) runner++;
+		if(right == DISK_RUNNER_ID) runner++;
+		if(value) empty = 0;
+		levelMap += DISK_TILES.charAt(left) + DISK_TILES.charAt(right);
+	}
+	if(runner != 1 || empty) return null;
+
+	return levelMap;
+}
+
+function readAppleDisk(bytes)
+{
+	var levels = [], levelMap;
+
+	for(var offset = APPLE_LEVEL_START; offset + DISK_SECTOR_SIZE <= bytes.length; offset += DISK_SECTOR_SIZE) {
+		if((levelMap = diskNibbleLevel(bytes, offset, 0)) == null) break;
+		levels.push(levelMap);
+	}
+	return levels;
+}
+
+//level count of a stock game found by its first level, 0 when unknown
+//(e.g. the Championship Apple II disk keeps Classic levels 51 - 93 after its 50)
+function diskStockLevelCount(firstLevel)
+{
+	var stockGames = [ { levels: classicData, count: 150 }, 
+	                   { levels: championData, count: 50 }, 
+	                   { levels: revengeData, count: 25 } ];
+
+	for(var i = 0; i < stockGames.length; i++) {
+		if(stockGames[i].levels[0] == firstLevel) return stockGames[i].count;
+	}
+	return 0;
+}
+
+//every block which is a level: the start byte differs between images,
+//and there are other blocks between the levels
+function readC64Disk(bytes)
+{
+	var levels = scanC64Disk(bytes, 0);
+
+	if(!levels.length) levels = scanC64Disk(bytes, C64_DATA_XOR);
+	return levels;
+}
+
+function scanC64Disk(bytes, xor)
+{
+	var levels = [], levelMap;
+
+	for(var offset = C64_LEVEL_START; offset + DISK_SECTOR_SIZE <= bytes.length; offset += DISK_SECTOR_SIZE) {
+		if(bytes[offset] == C64_SKIP_BYTE) continue;
+		if(offset >= C64_DIR_TRACK_START && offset < C64_DIR_TRACK_END) continue;
+		if((levelMap = diskNibbleLevel(bytes, offset + 1, xor)) != null) levels.push(levelMap);
+	}
+	return levels;
+}
+
+//=====================================================
+// .pzl puzzle set
+//=====================================================
+function isPzlFile(bytes)
+{
+	if(bytes.length < PZL_IMAGE_HEAD_SIZE) return 0;
+
+	for(var i = 0; i < PZL_HEAD_STRING.length; i++) {
+		if(bytes[i] != PZL_HEAD_STRING.charCodeAt(i)) return 0;
+	}
+	return 1;
+}
+
+function readPzlFile(bytes)
+{
+	var levels = [], offset = PZL_IMAGE_HEAD_SIZE;
+
+	while(offset + PZL_HEAD_SIZE <= bytes.length) {
+		var compSize = (bytes[offset] | bytes[offset+1] << 8) + PZL_SIZE_ADDR;
+		var puzzle;
+
+		if(compSize < 100 || compSize > PZL_MAX_COMP_SIZE) break;
+		if(bytes[offset+2] || bytes[offset+3]) break;
+		if(offset + compSize > bytes.length || bytes[offset + compSize - 1] != 0) break;
+
+		if((puzzle = pzlDecompress(bytes, offset, compSize)) == null) break;
+		levels.push(pzlToLevel(puzzle));
+		offset += compSize;
+	}
+	return levels;
+}
+
+//command bytes after the head: 0x00 end, 0xFF n: n bytes as they are,
+//n c: c repeated n times; null when the puzzle overruns the buffer
+function pzlDecompress(bytes, offset, compSize)
+{
+	var puzzle = new Uint8Array(PZL_FULL_SIZE);
+	var bufIdx = PZL_HEAD_SIZE, compIdx = offset + PZL_HEAD_SIZE, end = offset + compSize;
+	var cmd, count;
+
+	puzzle.set(bytes.subarray(offset, offset + PZL_HEAD_SIZE));
+
+	while(compIdx < end - 1) {
+		if((cmd = bytes[compIdx++]) == 0x00) break;
+		if(cmd == 0xFF) {
+			count = Math.min(bytes[compIdx++], end - compIdx);
+			if(bufIdx + count > PZL_FULL_SIZE) return null;
+			puzzle.set(bytes.subarray(compIdx, compIdx + count), bufIdx);
+			compIdx += count;
+		} else {
+			count = cmd;
+			if(bufIdx + count >= PZL_FULL_SIZE) return null;
+			puzzle.fill(bytes[compIdx++], bufIdx, bufIdx + count);
+		}
+		bufIdx += count;
+	}
+	return puzzle;
+}
+
+//value of cell (x, y) at [layer] (1 - 14), x: 1 - 28, y: 1 - 16
+function pzlTile(puzzle, x, y, layer)
+{
+	return puzzle[PZL_LAYER_BASE + layer * PZL_LAYER_STEP + x * PZL_LAYER_Y_INC + y];
+}
+
+function pzlToLevel(puzzle)
+{
+	var map = [];
+
+	for(var y = 1; y <= NO_OF_TILES_Y; y++) {
+		for(var x = 1; x <= NO_OF_TILES_X; x++) {
+			var turf = pzlTile(puzzle, x, y, 8) * 10 + pzlTile(puzzle, x, y, 9);
+			var tile = pzlTurfTile[turf];
+
+			if(tile == null) {
+				//a door on the top row over the exit ladder is the exit, others empty
+				tile = ' ';
+				if(pzlTile(puzzle, x, y, 8) == PZL_DOOR_TURF && pzlTile(puzzle, x, y, 9) == 1 && y == 1 &&
+				   pzlTile(puzzle, x, y+1, 8) == 5 && pzlTile(puzzle, x, y+1, 9) == 2)
+				{
+					tile = 'S';
+				}
+			}
+			if(tile == ' ' && pzlTile(puzzle, x, y, 1)) tile = '$';
+			map.push(tile);
+		}
+	}
+
+	//runner: the first one enabled (of two)
+	if(puzzle[PZL_RUNNER_CNT_ADDR] == 1) {
+		for(var i = 0; i < 2; i++) {
+			var runnerBase = PZL_RUNNER_BASE + i * PZL_RUNNER_STEP;
+
+			if(!puzzle[runnerBase]) continue;
+			pzlAddGuy(puzzle, map, puzzle[runnerBase + 2], puzzle[runnerBase + 3], '&');
+			break;
+		}
+	}
+
+	for(var i = 0; i < puzzle[PZL_GUARD_CNT_ADDR]; i++) {
+		var guardBase = PZL_GUARD_BASE + i * PZL_GUARD_STEP;
+
+		pzlAddGuy(puzzle, map, puzzle[guardBase + 4], puzzle[guardBase + 5], '0');
+	}
+	return map.join('');
+}
+
+//a runner or guard at (x, y), on an empty cell or a door of the top row
+function pzlAddGuy(puzzle, map, x, y, tile)
+{
+	var idx = (y-1) * NO_OF_TILES_X + (x-1);
+
+	if(x < 1 || x > NO_OF_TILES_X || y < 1 || y > NO_OF_TILES_Y) return;
+	if(map[idx] != ' ' && !(y == 1 && pzlTile(puzzle, x, y, 8) == PZL_DOOR_TURF)) return;
+	map[idx] = tile;
+}
+
+//=====================================================
+// import
+//=====================================================
+function isDiskImageName(fileName)
+{
+	return /\.(dsk|do|po|d64|pzl)$/i.test(fileName || "");
+}
+
+//[{ map:, source: }, ...] of a disk image (Uint8Array), null when it has none
+function diskImageLevels(bytes, fileName)
+{
+	var levelMaps, count;
+
+	if(isPzlFile(bytes)) {
+		levelMaps = readPzlFile(bytes);
+	} else if(bytes.length == C64_DISK_SIZE || bytes.length == C64_DISK_ERROR_SIZE || /\.d64$/i.test(fileName || "")) {
+		levelMaps = readC64Disk(bytes);
+	} else if(bytes.length == APPLE_DISK_SIZE || /\.(dsk|do|po)$/i.test(fileName || "")) {
+		levelMaps = readAppleDisk(bytes);
+	} else {
+		return null;
+	}
+	if(!levelMaps.length) return null;
+	if((count = diskStockLevelCount(levelMaps[0])) > 0) levelMaps = levelMaps.slice(0, count);
+
+	return levelMaps.map(function(levelMap) { return { map: levelMap, source: null }; });
+}
@@ -5,6 +5,23 @@ var editMap;
 var MAX_EDIT_GUARD = 5;     //maximum number of guards
 var EMPTY_ID = 0, GUARD_ID = 8, RUNNER_ID = 9;
 var EDIT_PADDING = 1;
+var EDIT_TOOL_ROW_Y = TEXT_TILE_Y + 16; //height of a tool button row
+var EDIT_TOOL_ROWS = 2;                 //drawing tools row, GENERATE ... REDO row
+var EDIT_GENERATE_ATTEMPT = 30;
+var EDIT_MAX_UNDO = 100;
+var EDIT_LINT_DELAY = 300;              //ms after the last edit before the level check
+var EDIT_PASTE_WAIT = 50;               //ms for the paste event of CTRL-V (level text on the clipboard)
+
+var EDIT_TOOL_PEN = 0, EDIT_TOOL_LINE = 1, EDIT_TOOL_RECT = 2, EDIT_TOOL_BOX = 3, 
+	EDIT_TOOL_FILL = 4, EDIT_TOOL_SELECT = 5;
+var editToolInfo = [ //[name, button x in tiles]
+	[ "PEN",    0.5 ],
+	[ "LINE",   4   ],
+	[ "RECT",   8.5 ],
+	[ "BOX",    13  ],
+	[ "FILL",   16.5],
+	[ "SELECT", 21  ]
+];
 
 //value | Character | Type
 //------+-----------+-----------
@@ -46,14 +63,35 @@ var mouseDown = 0;
 var lastDown = {x:-1, y:-1};
 
 var testButton, newButton, saveButton, loadButton;
+var generateButton, lockButton, unlockButton, undoButton, redoButton;
 var editorTile =[], editorActiveTileId = -1;
 var editorButton = [], editorButtonMouseOverId = -1;
 var editInNarrowScreen = 0;
 
 var editMapIsEmpty = 1;
 
+//inpaint: cells kept by GENERATE (level string order), painted in lock mode
+var editLockMap = [], editLockMode = 0;
+var lockCursorObj, lockDownValue = -1, lockDownPos, lockDownMap, lockRectMode = 0;
+
+//undo & redo: maps before each edit (a mouse stroke, paste or GENERATE)
+var editUndoList = [], editRedoList = [];
+var editStrokeSaved = 0;
+
+//drawing tools
+var editTool = EDIT_TOOL_PEN, toolButton = [];
+var editToolDown = null;                  //{ x:, y:, map: } where the drag began
+var editSelection = null, editSelectObj;  //{ x:, y:, w:, h: } of selected cells
+var editClipboard = null;                 //rows of the copied area
+var editCursorCell = null;
+var editPasteTimer = null;
+
+//level check (lintLevel() in markov.js): problem cells over the map, list in #lint-panel
+var editLintTimer = null, editLintObj;
+
 function startEditMode()
 {
+	clearIdleDemoTimer();
 	playMode = PLAY_EDIT;
 	playData = PLAY_DATA_USERDEF; //for title name only
 	mainStage.removeAllChildren();
@@ -75,6 +113,7 @@ function startEditMode()
 	createBaseTile();
 	createEditMap();
 	checkEditMapEmpty(); // 2021/04
+	scheduleEditLint();
 	startEditTicker();
 	setButtonState();
 	initForPlay();
@@ -95,14 +134,14 @@ function canvasEditReSize()
 	
 	//(1) try use scale same as play mode 
 	canvasX = (BASE_SCREEN_X+toolAreaX) * tileScale + EDIT_PADDING * (NO_OF_TILES_X+1);
-	canvasY =  BASE_SCREEN_Y * tileScale + EDIT_PADDING * (NO_OF_TILES_Y+1);
+	canvasY = (BASE_SCREEN_Y+EDIT_TOOL_ROWS*EDIT_TOOL_ROW_Y) * tileScale + EDIT_PADDING * (NO_OF_TILES_Y+1);
 	
 	if(canvasX > (screenX1 - menuIconAreaX) || canvasY > screenY1) {
 		//(2) can not fit, find new scale 
 		for (var scale = MAX_SCALE*100; scale >= MIN_SCALE*100; scale -= 10) {
 			tileScale = scale/100; //new scale 
 			canvasX = (BASE_SCREEN_X+toolAreaX) * tileScale + EDIT_PADDING * (NO_OF_TILES_X+1);
-			canvasY =  BASE_SCREEN_Y * tileScale + EDIT_PADDING * (NO_OF_TILES_Y+1);
+			canvasY = (BASE_SCREEN_Y+EDIT_TOOL_ROWS*EDIT_TOOL_ROW_Y) * tileScale + EDIT_PADDING * (NO_OF_TILES_Y+1);
 			if (canvasX <= (screenX1 - menuIconAreaX) && canvasY <= screenY1 || tileScale <= MIN_SCALE) break;
 		}
 	}
@@ -178,7 +217,7 @@ function createEditMap()
 			}
 			bitmap.scaleX = bitmap.scaleY = tileScale;
 			
-			tile.addChild(backColor, bitmap);
+			tile.addChild(backColor, bitmap, createLockMark(x, y));
 			tile.x = (tileWScale + EDIT_PADDING) * x+EDIT_PADDING + editStartX;
 			tile.y = (tileHScale + EDIT_PADDING) * y+EDIT_PADDING;
 			editMap[x][y] = { tile: tile, id: id };
@@ -194,6 +233,9 @@ function createEditMap()
 	
 	addSelectIcon();
  	addCursorTile();
+	addLockCursor();
+	addSelectionFrame();
+	addLintFrame();
 	drawEditLevel();
  	
 	addEditorButton();
@@ -216,6 +258,9 @@ function clearEditMap()
 		}
 	}
 	editMapIsEmpty = 1;
+	clearEditLock();
+	clearEditHistory();
+	scheduleEditLint();
 }
 
 function tile2Id(tileChar)
@@ -304,6 +349,14 @@ function addCursorTile()
 
 }
 
+function addLockCursor()
+{
+	lockCursorObj = new createjs.Shape();
+	lockCursorObj.graphics.setStrokeStyle(2*tileScale).beginStroke("#0ff").drawRect(0, 0, tileWScale, tileHScale);
+	lockCursorObj.visible = false;
+	mainStage.addChild(lockCursorObj);
+}
+
 //var gameTicker = null; ....//same as playTicker
 function startEditTicker()
 {
@@ -379,6 +432,7 @@ function selectTileClick()
 	actTile = baseTile[this.myId];
 	cursorTileObj.getChildAt(1).image =  actTile.image;
 	selectedTile = this;
+	if(editLockMode) setEditLockMode(0); //back to draw tiles
 }
 	
 function drawEditLevel()
@@ -412,6 +466,12 @@ function addEditorButton()
 	drawLoadButton();
 	drawTestButton();
 	drawSaveButton();
+	drawGenerateButton();
+	drawLockButton();
+	drawUnlockButton();
+	drawUndoButton();
+	drawRedoButton();
+	drawToolButtons();
 	
 	enableTestButton();
 }
@@ -559,6 +619,8 @@ function drawLoadButton()
 		testLevelInfo.fromPlayData = loadPlayData;
 		testLevelInfo.fromLevel = level;
 		setTestLevel(testLevelInfo);
+		clearEditLock();
+		clearEditHistory();
 		startEditMode();
 	}
 	
@@ -708,6 +770,807 @@ function drawSaveButton()
 	}
 }
 
+function drawGenerateButton()
+{
+	var border, backColor, text;
+	var textSting = "GENERATE";
+	
+	var width = textSting.length * tileWScale;
+	var x = 0.5*(tileWScale+EDIT_PADDING)+EDIT_PADDING;
+	var y = editToolRowY(1);
+	
+	generateButton = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	backColor.graphics.beginFill("#FFF").drawRect(0, 0, width, tileHScale).endFill();
+	
+	generateButton.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, generateButton);
+		
+	generateButton.x = x;
+	generateButton.y = y;
+	generateButton.on('click', generateButtonClick);
+	mainStage.addChild(generateButton);	
+	
+	generateButton.x1 = x + width;
+	generateButton.y1 = y + tileHScale;
+	editorButton[editorButton.length] = generateButton;
+	
+	function generateLevel(rc)
+	{
+		if(rc) {
+			loadMarkovModel(generateEditMap, function(reason) {
+				startEditTicker();
+				gameResume();
+				showTipsText("LEVEL MODEL NOT LOADED", 3000, reason.toUpperCase());
+			});
+		} else {
+			startEditTicker();
+			gameResume();
+		}
+	}
+	
+	function generateButtonClick()
+	{
+		gamePause();
+		stopEditTicker();
+		if(!editMapIsEmpty && !editLockCount()) {
+			yesNoDialog(["Abort current editing ?"], yesBitmap, noBitmap, mainStage, tileScale, generateLevel);
+		} else {
+			generateLevel(1);
+		}
+	}
+}
+
+function drawLockButton()
+{
+	var border, backColor, text;
+	var textSting = "LOCK";
+	
+	var width = textSting.length * tileWScale;
+	var x = 9*(tileWScale+EDIT_PADDING)+EDIT_PADDING;
+	var y = editToolRowY(1);
+	
+	lockButton = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	lockButton.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, lockButton);
+		
+	lockButton.x = x;
+	lockButton.y = y;
+	lockButton.on('click', lockButtonClick);
+	mainStage.addChild(lockButton);	
+	
+	lockButton.x1 = x + width;
+	lockButton.y1 = y + tileHScale;
+	editorButton[editorButton.length] = lockButton;
+	setEditLockMode(editLockMode);
+	
+	function lockButtonClick()
+	{
+		setEditLockMode(!editLockMode);
+	}
+}
+
+function drawUnlockButton()
+{
+	var border, backColor, text;
+	var textSting = "UNLOCK";
+	
+	var width = textSting.length * tileWScale;
+	var x = 13.5*(tileWScale+EDIT_PADDING)+EDIT_PADDING;
+	var y = editToolRowY(1);
+	
+	unlockButton = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	backColor.graphics.beginFill("#FFF").drawRect(0, 0, width, tileHScale).endFill();
+	
+	unlockButton.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, unlockButton);
+		
+	unlockButton.x = x;
+	unlockButton.y = y;
+	unlockButton.on('click', unlockButtonClick);
+	unlockButton.alpha = editLockCount()?1:0;
+	mainStage.addChild(unlockButton);	
+	
+	unlockButton.x1 = x + width;
+	unlockButton.y1 = y + tileHScale;
+	editorButton[editorButton.length] = unlockButton;
+	
+	function unlockButtonClick()
+	{
+		clearEditLock();
+	}
+}
+
+function drawUndoButton()
+{
+	var border, backColor, text;
+	var textSting = "UNDO";
+	
+	var width = textSting.length * tileWScale;
+	var x = 20*(tileWScale+EDIT_PADDING)+EDIT_PADDING;
+	var y = editToolRowY(1);
+	
+	undoButton = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	backColor.graphics.beginFill("#FFF").drawRect(0, 0, width, tileHScale).endFill();
+	
+	undoButton.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, undoButton);
+		
+	undoButton.x = x;
+	undoButton.y = y;
+	undoButton.on('click', editUndo);
+	undoButton.alpha = editUndoList.length?1:0;
+	mainStage.addChild(undoButton);	
+	
+	undoButton.x1 = x + width;
+	undoButton.y1 = y + tileHScale;
+	editorButton[editorButton.length] = undoButton;
+}
+
+function drawRedoButton()
+{
+	var border, backColor, text;
+	var textSting = "REDO";
+	
+	var width = textSting.length * tileWScale;
+	var x = 24.5*(tileWScale+EDIT_PADDING)+EDIT_PADDING;
+	var y = editToolRowY(1);
+	
+	redoButton = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	backColor.graphics.beginFill("#FFF").drawRect(0, 0, width, tileHScale).endFill();
+	
+	redoButton.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, redoButton);
+		
+	redoButton.x = x;
+	redoButton.y = y;
+	redoButton.on('click', editRedo);
+	redoButton.alpha = editRedoList.length?1:0;
+	mainStage.addChild(redoButton);	
+	
+	redoButton.x1 = x + width;
+	redoButton.y1 = y + tileHScale;
+	editorButton[editorButton.length] = redoButton;
+}
+
+//=====================================================
+// BEGIN for UNDO & REDO
+//
+// The map before each edit is kept: one step for a
+// mouse stroke (with the runner or guards removed by
+// addManCheck), a paste or a GENERATE.
+//=====================================================
+function saveEditUndo()
+{
+	editUndoList.push(copyEditingMap());
+	if(editUndoList.length > EDIT_MAX_UNDO) editUndoList.shift();
+	editRedoList = [];
+	setUndoButtonState();
+}
+
+function editUndo()
+{
+	if(!editUndoList.length || testLevelInfo.level > MAX_EDIT_LEVEL) return;
+	
+	editRedoList.push(copyEditingMap());
+	setEditingMap(editUndoList.pop());
+	setUndoButtonState();
+}
+
+function editRedo()
+{
+	if(!editRedoList.length || testLevelInfo.level > MAX_EDIT_LEVEL) return;
+	
+	editUndoList.push(copyEditingMap());
+	setEditingMap(editRedoList.pop());
+	setUndoButtonState();
+}
+
+function clearEditHistory()
+{
+	editUndoList = [];
+	editRedoList = [];
+	if(undoButton) setUndoButtonState();
+}
+
+function setUndoButtonState()
+{
+	var enabled = (testLevelInfo.level <= MAX_EDIT_LEVEL);
+	
+	undoButton.alpha = (enabled && editUndoList.length)?1:0;
+	redoButton.alpha = (enabled && editRedoList.length)?1:0;
+}
+
+//replace the editing map in place (undo & redo, drawing tools)
+function setEditingMap(levelMap)
+{
+	var index = 0;
+	
+	lastRunner = null;
+	lastGuardList = [];
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			var id = tile2Id(levelMap.charAt(index++));
+			var tileObj = editMap[x][y];
+			
+			tileObj.tile.getChildAt(1).image = id?baseTile[id].image:emptyTile.image;
+			tileObj.id = id;
+			addManCheck(id, x, y);
+		}
+	}
+	editMapChanged();
+}
+
+//set tile [id] at [x, y] like PEN does
+function editPutTile(x, y, id)
+{
+	var tileObj = editMap[x][y];
+	
+	if(tileObj.id == id) return;
+	delManCheck(tileObj.id, x, y);
+	tileObj.tile.getChildAt(1).image = id?baseTile[id].image:emptyTile.image;
+	tileObj.id = id;
+	addManCheck(id, x, y);
+}
+
+function editMapChanged()
+{
+	checkEditMapEmpty();
+	scheduleEditLint();
+	testLevelInfo.modified = 1;
+	testLevelInfo.pass = 0;
+	if(!lastRunner) disableTestButton();
+	setButtonState();
+}
+
+//=====================================================
+// BEGIN for GENERATE & inpaint (lock mode)
+//
+// In lock mode a click or drag on the map locks cells
+// (or unlocks them when the first cell is locked),
+// SHIFT-drag locks a rectangle. GENERATE keeps the
+// locked cells and fills the others from the Markov
+// model (generateInpaintedLevel() in markov.js).
+//=====================================================
+function generateEditMap()
+{
+	var levelMap = copyEditingMap();
+	var numGold = 0, numGuards = 0;
+	var solvable;
+	
+	saveEditUndo();
+	if(editLockCount()) { //keep the number of gold & guards of the map
+		numGold = levelMap.split("$").length - 1;
+		numGuards = Math.min(levelMap.split("0").length - 1, MAX_EDIT_GUARD);
+	}
+	levelMap = generateInpaintedLevel(levelMap, editLockMap, numGold, numGuards, EDIT_GENERATE_ATTEMPT);
+	solvable = markovLastSolvable;
+	
+	gameResume();
+	testLevelInfo.levelMap = levelMap;
+	testLevelInfo.modified = 1;
+	testLevelInfo.pass = 0;
+	testLevelInfo.fromPlayData = testLevelInfo.fromLevel = -1;
+	setTestLevel(testLevelInfo);
+	startEditMode();
+	setTimeout(function() { showTipsText(solvable?"GENERATED":"NOT SOLVABLE", 1500);}, 50);
+}
+
+function createLockMark(x, y)
+{
+	var lockMark = new createjs.Shape();
+	
+	lockMark.graphics.setStrokeStyle(2*tileScale).beginStroke("#0ff").beginFill("rgba(0,255,255,0.25)")
+		.drawRect(tileScale, tileScale, tileWScale-2*tileScale, tileHScale-2*tileScale).endFill();
+	lockMark.visible = !!editLockMap[y*NO_OF_TILES_X+x];
+	
+	return lockMark;
+}
+
+function updateLockMark()
+{
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			editMap[x][y].tile.getChildAt(2).visible = !!editLockMap[y*NO_OF_TILES_X+x];
+		}
+	}
+	unlockButton.alpha = (editLockCount() && testLevelInfo.level <= MAX_EDIT_LEVEL)?1:0;
+}
+
+function editLockCount()
+{
+	var count = 0;
+	
+	for(var i = 0; i < editLockMap.length; i++) {
+		if(editLockMap[i]) count++;
+	}
+	return count;
+}
+
+function clearEditLock()
+{
+	editLockMap = [];
+	if(editMap && unlockButton) updateLockMark();
+}
+
+function setEditLockMode(mode)
+{
+	editLockMode = mode?1:0;
+	setButtonActive(lockButton, editLockMode);
+}
+
+//lock (or unlock) cell [x, y] while mouse down
+function editLockPaint(x, y)
+{
+	if(lockDownValue < 0) { //first cell decides lock or unlock
+		lockDownValue = editLockMap[y*NO_OF_TILES_X+x]?0:1;
+		lockDownPos = {x:x, y:y};
+		lockDownMap = editLockMap.slice();
+	}
+	
+	if(lockRectMode) { //rectangle from first cell
+		editLockMap = lockDownMap.slice();
+		for(var y1 = Math.min(y, lockDownPos.y); y1 <= Math.max(y, lockDownPos.y); y1++) {
+			for(var x1 = Math.min(x, lockDownPos.x); x1 <= Math.max(x, lockDownPos.x); x1++) {
+				editLockMap[y1*NO_OF_TILES_X+x1] = lockDownValue;
+			}
+		}
+	} else {
+		editLockMap[y*NO_OF_TILES_X+x] = lockDownValue;
+	}
+	updateLockMark();
+}
+
+//=====================================================
+// BEGIN for drawing tools
+//
+// PEN draws cell by cell (click a cell twice to erase),
+// LINE, RECT (outline) and BOX (filled) draw from the
+// cell pressed to the cell released, FILL replaces the
+// connected cells of the same tile. SELECT drags out a
+// rectangle; drag inside it to move it, CTRL-X/C/V to
+// cut/copy/paste, H to flip, DELETE to clear, ESC to
+// drop the selection.
+//=====================================================
+function drawToolButtons()
+{
+	toolButton = [];
+	for(var i = 0; i < editToolInfo.length; i++) {
+		drawToolButton(i, editToolInfo[i][0], editToolInfo[i][1]*(tileWScale+EDIT_PADDING)+EDIT_PADDING);
+	}
+}
+
+function drawToolButton(tool, textSting, x)
+{
+	var border, backColor;
+	var width = textSting.length * tileWScale;
+	var y = editToolRowY(2);
+	var button = new createjs.Container();
+
+	//child id = 0
+	border = new createjs.Shape();
+	border.graphics.beginFill("#40F").drawRect(-editBorder, -editBorder, width+editBorder*2, tileHScale+editBorder*2).endFill();
+	
+	//child id = 1
+	backColor = new createjs.Shape();
+	button.addChild(border, backColor);
+	
+	//child id = 2
+	drawText(0, 0, textSting, button);
+	
+	button.x = x;
+	button.y = y;
+	button.on('click', function() { setEditTool(tool); });
+	mainStage.addChild(button);
+	
+	button.x1 = x + width;
+	button.y1 = y + tileHScale;
+	editorButton[editorButton.length] = button;
+	toolButton[tool] = button;
+	setButtonActive(button, tool == editTool);
+}
+
+function setEditTool(tool)
+{
+	editTool = tool;
+	if(editLockMode) setEditLockMode(0);
+	if(tool != EDIT_TOOL_SELECT) setEditSelection(null);
+	
+	for(var i = 0; i < toolButton.length; i++) {
+		setButtonActive(toolButton[i], i == tool);
+	}
+}
+
+//mouse down or moved to cell [x, y] with LINE, RECT, BOX, FILL or SELECT
+function editToolDrag(x, y)
+{
+	var down = editToolDown;
+	
+	if(!down) { //first cell of this drag
+		down = editToolDown = { x:x, y:y, map:copyEditingMap() };
+		switch(editTool) {
+		case EDIT_TOOL_FILL:
+			editFloodFill(x, y, actTile.id);
+			return;
+		case EDIT_TOOL_SELECT:
+			if(editSelection && x >= editSelection.x && x < editSelection.x+editSelection.w &&
+			   y >= editSelection.y && y < editSelection.y+editSelection.h) 
+			{ //move the selection
+				down.sel = editSelection;
+				down.region = getEditRegion(editSelection);
+			}
+			break;
+		default:
+			saveEditUndo();
+			break;
+		}
+	}
+	
+	switch(editTool) {
+	case EDIT_TOOL_LINE:
+	case EDIT_TOOL_RECT:
+	case EDIT_TOOL_BOX:
+		setEditingMap(down.map);
+		drawEditShape(editTool, down.x, down.y, x, y, actTile.id);
+		editMapChanged();
+		break;
+	case EDIT_TOOL_SELECT:
+		if(down.sel) {
+			moveEditSelection(down, x - down.x, y - down.y);
+		} else {
+			setEditSelection(editRect(down.x, down.y, x, y));
+		}
+		break;
+	}
+}
+
+function drawEditShape(tool, x0, y0, x1, y1, id)
+{
+	var cells = [];
+	
+	if(tool == EDIT_TOOL_LINE) {
+		cells = editLineCells(x0, y0, x1, y1);
+	} else {
+		var rect = editRect(x0, y0, x1, y1);
+		for(var y = rect.y; y < rect.y+rect.h; y++) {
+			for(var x = rect.x; x < rect.x+rect.w; x++) {
+				if(tool == EDIT_TOOL_BOX || x == rect.x || x == rect.x+rect.w-1 || y == rect.y || y == rect.y+rect.h-1)
+					cells.push({x:x, y:y});
+			}
+		}
+	}
+	for(var i = 0; i < cells.length; i++) editPutTile(cells[i].x, cells[i].y, id);
+}
+
+//cells from [x0, y0] to [x1, y1] (Bresenham's line)
+function editLineCells(x0, y0, x1, y1)
+{
+	var cells = [];
+	var dx = Math.abs(x1-x0), dy = -Math.abs(y1-y0);
+	var sx = (x0 < x1)?1:-1, sy = (y0 < y1)?1:-1;
+	var err = dx + dy, e2;
+	
+	while(1) {
+		cells.push({x:x0, y:y0});
+		if(x0 == x1 && y0 == y1) break;
+		e2 = 2*err;
+		if(e2 >= dy) { err += dy; x0 += sx; }
+		if(e2 <= dx) { err += dx; y0 += sy; }
+	}
+	return cells;
+}
+
+function editRect(x0, y0, x1, y1)
+{
+	return { x:Math.min(x0, x1), y:Math.min(y0, y1), w:Math.abs(x1-x0)+1, h:Math.abs(y1-y0)+1 };
+}
+
+function editFloodFill(x, y, id)
+{
+	var fromId = editMap[x][y].id;
+	var stack = [{x:x, y:y}], cell;
+	
+	if(fromId == id) return;
+	saveEditUndo();
+	
+	if(id == RUNNER_ID || id == GUARD_ID) { //only one runner & MAX_EDIT_GUARD guards
+		editPutTile(x, y, id);
+	} else {
+		while(stack.length) {
+			cell = stack.pop();
+			if(cell.x < 0 || cell.y < 0 || cell.x >= NO_OF_TILES_X || cell.y >= NO_OF_TILES_Y) continue;
+			if(editMap[cell.x][cell.y].id != fromId) continue;
+			
+			editPutTile(cell.x, cell.y, id);
+			stack.push({x:cell.x-1, y:cell.y}, {x:cell.x+1, y:cell.y}, {x:cell.x, y:cell.y-1}, {x:cell.x, y:cell.y+1});
+		}
+	}
+	editMapChanged();
+}
+
+//move the selection of the drag [down] by [dx, dy], kept inside the map
+function moveEditSelection(down, dx, dy)
+{
+	var sel = down.sel;
+	
+	dx = Math.max(-sel.x, Math.min(dx, NO_OF_TILES_X - sel.x - sel.w));
+	dy = Math.max(-sel.y, Math.min(dy, NO_OF_TILES_Y - sel.y - sel.h));
+	if(!dx && !dy && !down.moved) return;
+	
+	if(!down.moved) {
+		saveEditUndo();
+		down.moved = 1;
+	}
+	setEditingMap(down.map);
+	clearEditRegion(sel);
+	setEditSelection(putEditRegion(down.region, sel.x+dx, sel.y+dy));
+	editMapChanged();
+}
+
+function addSelectionFrame()
+{
+	editSelection = null;
+	editSelectObj = new createjs.Shape();
+	mainStage.addChild(editSelectObj);
+}
+
+function setEditSelection(sel)
+{
+	var w = tileWScale + EDIT_PADDING, h = tileHScale + EDIT_PADDING;
+	
+	editSelection = sel;
+	editSelectObj.graphics.clear();
+	if(!sel) return;
+	
+	editSelectObj.graphics.setStrokeStyle(2*tileScale).beginStroke("#ff0")
+		.drawRect(w*sel.x + EDIT_PADDING + editStartX, h*sel.y + EDIT_PADDING, w*sel.w - EDIT_PADDING, h*sel.h - EDIT_PADDING);
+}
+
+//tiles of [sel], one string per row
+function getEditRegion(sel)
+{
+	var rows = [], row;
+	
+	for(var y = sel.y; y < sel.y+sel.h; y++) {
+		row = "";
+		for(var x = sel.x; x < sel.x+sel.w; x++) row += tileInfo[editMap[x][y].id][1];
+		rows.push(row);
+	}
+	return rows;
+}
+
+//put [rows] with top left at [x, y], cells outside the map are dropped;
+//returns the area of the map covered
+function putEditRegion(rows, x, y)
+{
+	var sel = editRect(Math.max(x, 0), Math.max(y, 0), 
+	                   Math.min(x+rows[0].length, NO_OF_TILES_X)-1, Math.min(y+rows.length, NO_OF_TILES_Y)-1);
+	
+	clearEditRegion(sel); //runner & guards moved within the area are not taken as extra ones
+	for(var y1 = sel.y; y1 < sel.y+sel.h; y1++) {
+		for(var x1 = sel.x; x1 < sel.x+sel.w; x1++) {
+			editPutTile(x1, y1, tile2Id(rows[y1-y].charAt(x1-x)));
+		}
+	}
+	return sel;
+}
+
+function clearEditRegion(sel)
+{
+	for(var y = sel.y; y < sel.y+sel.h; y++) {
+		for(var x = sel.x; x < sel.x+sel.w; x++) editPutTile(x, y, EMPTY_ID);
+	}
+}
+
+function copyEditSelection(cut)
+{
+	editClipboard = getEditRegion(editSelection);
+	copyLevelMap = null; //one clipboard: area or whole map
+	if(cut) {
+		saveEditUndo();
+		clearEditRegion(editSelection);
+		editMapChanged();
+	}
+	setPasteIconState();
+}
+
+//paste copied area at the selection or the cell under the mouse, then select it to move
+function pasteEditClipboard()
+{
+	var x = 0, y = 0;
+	
+	if(editSelection) {
+		x = editSelection.x;
+		y = editSelection.y;
+	} else if(editCursorCell) {
+		x = editCursorCell.x;
+		y = editCursorCell.y;
+	}
+	saveEditUndo();
+	setEditTool(EDIT_TOOL_SELECT);
+	setEditSelection(putEditRegion(editClipboard, x, y));
+	editMapChanged();
+}
+
+function flipEditSelection()
+{
+	var rows = getEditRegion(editSelection);
+	
+	saveEditUndo();
+	putEditRegion(rows.map(function(row) { return row.split("").reverse().join(""); }), editSelection.x, editSelection.y);
+	editMapChanged();
+}
+
+function deleteEditSelection()
+{
+	saveEditUndo();
+	clearEditRegion(editSelection);
+	editMapChanged();
+}
+
+//=====================================================
+// BEGIN for level check
+//
+// After each edit (once the mouse has rested for
+// EDIT_LINT_DELAY ms) the level is checked by the
+// solvers, problem cells are marked on the map:
+// red for errors, orange for warnings.
+//=====================================================
+function addLintFrame()
+{
+	editLintObj = new createjs.Shape();
+	mainStage.addChild(editLintObj);
+}
+
+function scheduleEditLint()
+{
+	hideSolutionPath(); //path of the map before the edit
+	if(editLintTimer) clearTimeout(editLintTimer);
+	editLintTimer = setTimeout(runEditLint, EDIT_LINT_DELAY);
+}
+
+function runEditLint()
+{
+	var problems = [];
+
+	editLintTimer = null;
+	if(playMode != PLAY_EDIT) return;
+
+	if(testLevelInfo.level <= MAX_EDIT_LEVEL && !editMapIsEmpty) {
+		map2LevelData();
+		problems = lintLevel(testLevelInfo.levelMap, MAX_NEW_GUARD);
+	}
+	drawEditLint(problems);
+	setEditLintPanel(problems);
+}
+
+function drawEditLint(problems)
+{
+	var w = tileWScale + EDIT_PADDING, h = tileHScale + EDIT_PADDING;
+	var g = editLintObj.graphics;
+
+	g.clear();
+	for(var i = 0; i < problems.length; i++) {
+		var color = problems[i].error?"rgba(255,32,32,":"rgba(255,160,0,";
+		var cells = problems[i].cells;
+		
+		for(var j = 0; j < cells.length; j++) {
+			g.setStrokeStyle(2*tileScale).beginStroke(color + "1)").beginFill(color + "0.35)")
+				.drawRect(w*cells[j].x + EDIT_PADDING + editStartX, h*cells[j].y + EDIT_PADDING, tileWScale, tileHScale)
+				.endFill().endStroke();
+		}
+	}
+	mainStage.update();
+}
+
+function setEditLintPanel(problems)
+{
+	var list = document.getElementById('lint-list');
+	var item;
+	
+	if(!list) return;
+	while(list.firstChild) list.removeChild(list.firstChild);
+	
+	for(var i = 0; i < problems.length; i++) {
+		item = document.createElement('li');
+		item.className = problems[i].error?"lint-error":"lint-warning";
+		item.textContent = problems[i].text;
+		list.appendChild(item);
+	}
+	if(!problems.length) {
+		item = document.createElement('li');
+		item.className = "lint-ok";
+		item.textContent = editMapIsEmpty?"Empty level":"No problems found";
+		list.appendChild(item);
+	}
+	setEditSourceText();
+	showEditLintPanel(testLevelInfo.level <= MAX_EDIT_LEVEL);
+}
+
+//a level saved from Generated Mode is no longer that generated level once edited
+function markEditLevelEdited(level)
+{
+	var source = getEditLevelSource(level);
+	
+	if(!source) return;
+	source.edited = getLocalTime();
+	setEditLevelSource(level, source);
+}
+
+//where the level comes from (saved from Generated Mode), shown in the check panel
+function setEditSourceText()
+{
+	var sourceText = document.getElementById('lint-source');
+	var source = getEditLevelSource(testLevelInfo.level);
+	var text = "";
+	
+	if(!sourceText) return;
+	if(source) {
+		text = ((source.from == "daily")?"Daily Challenge":"Generated Mode") + ", seed " + source.seed + 
+		       " #" + source.level + (source.reroll?("." + source.reroll):"");
+		if(source.style) text += ", " + markovStyleName(source.style);
+		text += ", model " + source.model;
+		if(source.edited || testLevelInfo.modified) text += " (edited)";
+	}
+	sourceText.textContent = text;
+	sourceText.style.display = text?"block":"none";
+}
+
+function showEditLintPanel(show)
+{
+	var panel = document.getElementById('lint-panel');
+	
+	if(!show && editLintTimer) {
+		clearTimeout(editLintTimer);
+		editLintTimer = null;
+	}
+	if(panel) panel.classList.toggle('active', !!show);
+}
+
 //=======================
 // BEGIN for TEST Mode
 //=======================
@@ -800,6 +1663,7 @@ function saveEditLevel()
 	if(testLevelInfo.level > editLevels) { // new level
 		addEditLevel(testLevelInfo.levelMap);
 	} else {
+		if(testLevelInfo.levelMap != editLevelData[testLevelInfo.level-1]) markEditLevelEdited(testLevelInfo.level);
 		setEditLevel(testLevelInfo.level, testLevelInfo.levelMap);
 	}
 	clearUserLevelScore(); //clear score 
@@ -817,6 +1681,7 @@ function stageMouseDown(event)
 	if( e.which === undefined || e.which == 1 ) { // 1: left, 2: middle, 3: right 
 		// only support left mouse button
 		mouseDown = 1;
+		lockRectMode = e.shiftKey?1:0; //lock mode: SHIFT-drag for rectangle
 		//console.log(e.which)
 		//console.log("DOWN");
 	}
@@ -833,6 +1698,9 @@ function stageMouseUp(event)
 		// only support left mouse button
 		mouseDown = 0;
 		lastDown = {x:-1, y:-1};
+		lockDownValue = -1;
+		editStrokeSaved = 0;
+		editToolDown = null;
 		//console.log(e.which)
 		//console.log("UP");
 	}
@@ -958,6 +1826,8 @@ function editSelectLevel(level)
 	testLevelInfo.levelMap = editLevelData[level-1];
 	testLevelInfo.fromPlayData = testLevelInfo.fromLevel = -1;
 	setTestLevel(testLevelInfo);
+	clearEditLock();
+	clearEditHistory();
 	startEditMode();
 }
 
@@ -1042,31 +1912,120 @@ function editHandleKeyDown(event)
 	
 	if (event.ctrlKey) {
 		switch(event.keyCode) {
-		case KEYCODE_C: //CTRL-C : copy current level
-			if (!editMapIsEmpty) {	
+		case KEYCODE_C: //CTRL-C : copy selected area or current level
+			if(editSelection) {
+				copyEditSelection(0);
+				setTimeout(function() { showTipsText("COPY AREA", 1500);}, 50);
+			} else if (!editMapIsEmpty) {	
 				copyLevelMap = copyEditingMap();
 				copyLevelPassed = (!testLevelInfo.modified && lastRunner) || testLevelInfo.pass;
+				editClipboard = null;
 				setTimeout(function() { showTipsText("COPY MAP", 1500);}, 50);
 			}
 			break;	
-		case KEYCODE_V: //CTRL-V : paste copy map
-			if(copyLevelMap != null && editMapIsEmpty && testLevelInfo.level <= MAX_EDIT_LEVEL) {
-				editPasteMap();
-			}
+		case KEYCODE_X: //CTRL-X : cut selected area
+			if(editSelection) copyEditSelection(1);
+			break;	
+		case KEYCODE_V: //CTRL-V : paste copy area or copy map, unless the paste event imports level text
+			cancelEditPaste();
+			editPasteTimer = setTimeout(editPaste, EDIT_PASTE_WAIT);
 			break;	
+		case KEYCODE_Z: //CTRL-Z : undo, CTRL-SHIFT-Z : redo
+			if(event.shiftKey) editRedo();
+			else editUndo();
+			break;	
+		case KEYCODE_Y: //CTRL-Y : redo
+			editRedo();
+			break;	
+		case KEYCODE_P: //CTRL-P : solution path on/off
+			toggleSolutionPath();
+			return false; //not the print dialog
+		}
+	} else if(editSelection) {
+		switch(event.keyCode) {
+		case KEYCODE_DELETE: //clear selected area
+		case KEYCODE_BKSPACE:
+			deleteEditSelection();
+			break;
+		case KEYCODE_H: //flip selected area horizontally
+			flipEditSelection();
+			break;
+		case KEYCODE_ESC: //drop the selection
+			setEditSelection(null);
+			break;
 		}
 	}
 	return true;
 }	
 
+function editPaste()
+{
+	editPasteTimer = null;
+	if(editClipboard != null && testLevelInfo.level <= MAX_EDIT_LEVEL) {
+		pasteEditClipboard();
+	} else if(copyLevelMap != null && editMapIsEmpty && testLevelInfo.level <= MAX_EDIT_LEVEL) {
+		editPasteMap();
+	}
+}
+
+function cancelEditPaste()
+{
+	if(editPasteTimer) clearTimeout(editPasteTimer);
+	editPasteTimer = null;
+}
+
+//=====================================================
+// levels from a file, a file dropped on the editor or
+// the clipboard (lodeRunner.levelText.js): one level
+// goes on the map (one undo step), more levels are
+// added to the custom levels
+//=====================================================
+function editImportLevels(levels)
+{
+	var added = 0, newLevel = (testLevelInfo.level > editLevels);
+
+	if(levels.length == 1) {
+		if(testLevelInfo.level > MAX_EDIT_LEVEL) {
+			showTipsText("CUSTOM LEVELS FULL", 2500, "MAX " + MAX_EDIT_LEVEL + " LEVELS");
+			return;
+		}
+		saveEditUndo();
+		setEditSelection(null);
+		clearEditLock();
+		setEditingMap(levels[0].map);
+		testLevelInfo.fromPlayData = testLevelInfo.fromLevel = -1;
+		showTipsText("IMPORT MAP", 1500);
+		return;
+	}
+
+	for(var i = 0; i < levels.length; i++) {
+		if(editLevelData.indexOf(levels[i].map) >= 0) continue; //already a custom level
+		if(!addEditLevel(levels[i].map, levels[i].source)) break;
+		added++;
+	}
+	if(newLevel && added) { //the level being edited is still the next one
+		testLevelInfo.level = editLevels+1;
+		drawEditLevelNo();
+		setButtonState();
+	}
+	setEditSelectMenu();
+	if(added < levels.length && editLevels >= MAX_EDIT_LEVEL) {
+		showTipsText(added + " LEVELS IMPORTED", 2500, "CUSTOM LEVELS FULL");
+	} else {
+		showTipsText(added + " LEVELS IMPORTED", 2500);
+	}
+}
+
 function editPasteMap()
 {
+	saveEditUndo();
 	testLevelInfo.levelMap = copyLevelMap;
 	testLevelInfo.modified = 1;
 	testLevelInfo.pass = copyLevelPassed;
 	testLevelInfo.fromPlayData = testLevelInfo.fromLevel = -1;
 	setTestLevel(testLevelInfo);
 	copyLevelMap = null; //clear copy map after paste
+	clearEditLock();
 	startEditMode();
 	////setButtonState();
 	setTimeout(function() { showTipsText("PASTE MAP", 1500);}, 50);
@@ -1143,6 +2102,17 @@ function editorButtonMouseOver(button)
 	//mouseOver = 1;	
 }
 
+//active tool or mode button gets a cyan background
+function setButtonActive(button, active)
+{
+	var backColor = button.getChildAt(1);
+	var width = button.x1-button.x;
+	
+	button.activeColor = active?"#0ff":null;
+	backColor.graphics.clear();
+	backColor.graphics.beginFill(button.activeColor || "#FFF").drawRect(0, 0, width, tileHScale).endFill();
+}
+
 function editorButtonMouseOut(button)
 {
 	var border = button.getChildAt(0);
@@ -1153,7 +2123,7 @@ function editorButtonMouseOut(button)
 	
 	var backColor = button.getChildAt(1);
 	backColor.graphics.clear();
-	backColor.graphics.beginFill("#fff").drawRect(0, 0, width, tileHScale).endFill();
+	backColor.graphics.beginFill(button.activeColor || "#fff").drawRect(0, 0, width, tileHScale).endFill();
 	canvas.style.cursor = "default";	
 	//mouseOver = 0;	
 }	
@@ -1165,11 +2135,20 @@ function setButtonState()
 		loadButton.alpha = 0;
 		testButton.alpha = 0;
 		saveButton.alpha = 0;
+		generateButton.alpha = 0;
+		lockButton.alpha = 0;
+		unlockButton.alpha = 0;
+		undoButton.alpha = 0;
+		redoButton.alpha = 0;
+		for(var i = 0; i < toolButton.length; i++) toolButton[i].alpha = 0;
 		canvas.style.cursor = "default";
 		editWarningMsg(0);
 		return;
 	} else {
 		newButton.alpha = 1;
+		generateButton.alpha = 1;
+		lockButton.alpha = 1;
+		for(var i = 0; i < toolButton.length; i++) toolButton[i].alpha = 1;
 		editWarningMsg(1);
 	}
 	
@@ -1196,17 +2175,32 @@ function editTick()
 		//debug(mainStage.mouseX,editStartX, x,y);
 		if(mouseInStage && x >= 0 && x < NO_OF_TILES_X && y >= 0 && y < NO_OF_TILES_Y) {
 			//edit area
+			editCursorCell = {x:x, y:y};
 
 			if(editorActiveTileId >= 0) selectTileMouseOut(editorTile[editorActiveTileId]);
 			if(editorButtonMouseOverId >= 0) editorButtonMouseOut(editorButton[editorButtonMouseOverId]);
 
 			if( x != lastDown.x || y != lastDown.y) {
-				cursorTileObj.alpha = 1;
+				cursorTileObj.alpha = editLockMode?0:1;
 				cursorTileObj.x = (tileWScale + EDIT_PADDING) * x+EDIT_PADDING + editStartX;
 				cursorTileObj.y = (tileHScale + EDIT_PADDING) * y+EDIT_PADDING;
-				if(mouseDown) {
+				lockCursorObj.visible = (editLockMode == 1);
+				lockCursorObj.x = cursorTileObj.x;
+				lockCursorObj.y = cursorTileObj.y;
+				if(mouseDown && editLockMode) {
+					editLockPaint(x, y);
+					lastDown = {x:x, y:y};
+				} else if(mouseDown && editTool != EDIT_TOOL_PEN) {
+					editToolDrag(x, y);
+					lastDown = {x:x, y:y};
+				} else if(mouseDown) {
 					var clickTile = editMap[x][y];
 
+					if(!editStrokeSaved) { //one undo step for the whole stroke
+						saveEditUndo();
+						editStrokeSaved = 1;
+					}
+
 					if(!actTile.id || clickTile.id == actTile.id) {
 						if(actTile.id) cursorTileObj.alpha = 0.1;
 						delManCheck(clickTile.id, x, y);
@@ -1220,6 +2214,7 @@ function editTick()
 					}
 					lastDown = {x:x, y:y};
 					checkEditMapEmpty();
+					scheduleEditLint();
 
 					if(testLevelInfo.pass || actTile.id == RUNNER_ID || testLevelInfo.modified == 0) {
 						testLevelInfo.modified = 1;
@@ -1232,6 +2227,8 @@ function editTick()
 			checkTileMouseOver(mainStage.mouseX, mainStage.mouseY);
 			checkButtonMouseOver(mainStage.mouseX, mainStage.mouseY);
 			cursorTileObj.alpha = 0;
+			lockCursorObj.visible = false;
+			editCursorCell = null;
 		}
 	}
 	mainStage.update();
@@ -1261,6 +2258,7 @@ function copyShareLevelForEditing()
 		testLevelInfo.pass = 1;
 		testLevelInfo.fromPlayData = testLevelInfo.fromLevel = -1;
 		setTestLevel(testLevelInfo);
+		clearEditHistory();
 	} else {
 		if (shareLevelData[0] != testLevelInfo.levelMap) {
 			//(testMap != empty and testMap != shareMap) ==> keep shareLevel map to copyMap 
@@ -0,0 +1,343 @@
+//=============================================================
+// Generated Mode run
+//
+// A run is identified by one seed. The Nth level generated in
+// the run uses deriveMarkovSeed(runSeed, N), so a run seed plus
+// a level number re-creates any generated level exactly.
+//
+// A run plays with classic rules: score carried across levels,
+// a bonus life for each level finished, the same level again
+// after runner dead and game over when no life left. The hi-score
+// keeps the run seed & start level, so the run can be re-played.
+//
+// Game menu (Generated Mode only): skip level costs a life, new
+// level (another level of the same difficulty) costs points.
+// Save level keeps the generated level in custom levels.
+//
+// A run plays one level style (a sub-model of the Markov model,
+// see setMarkovStyle()), the style is part of the run identity:
+// the same seed of another style is another run, with its own
+// hi-score table. The run style is made active only while a level
+// of the run is generated, the style picked for Generated Mode
+// stays the active one (the daily challenge plays the default style).
+//
+// URL parameters (optional):
+//   ?seed=[run seed]&level=[level number]&style=[level style]
+//=============================================================
+
+var GENERATED_MAX_ATTEMPT = 100; //full solvability check rejects most candidates of high levels
+var GENERATED_MAX_RETRY = 10;     //retries when no candidate is solvable
+var GENERATED_RETRY_EASIER = 3;   //each retry targets the difficulty of 3 levels lower
+var GENERATED_RETRY_SEED = 0x10000; //seed index of retry 0, apart from the new level seeds (1, 2, ...)
+
+//difficulty ramp, see generatedDifficulty()
+var GENERATED_MIN_GOLD = 4,  GENERATED_MAX_GOLD = 10;
+var GENERATED_MIN_GUARD = 1, GENERATED_MAX_GUARD = 5;
+//the score band is best-effort: the candidate closest to it is kept, the
+//estimator seldom scores a solvable candidate over about 50
+var GENERATED_MIN_SCORE = 20, GENERATED_MAX_SCORE = 44, GENERATED_SCORE_BAND = 8;
+
+var GENERATED_SKIP_LIFE = 1;         //skip level costs a life
+var GENERATED_NEW_LEVEL_SCORE = 500; //new level costs points
+
+var generatedRunSeed = 0;     //seed of the current run
+var generatedStartLevel = 1;  //level number the run started at
+var generatedLevelNo = 0;     //number of the level on screen (1 = first level of run)
+var generatedLevelSeed = 0;   //seed of the level on screen
+var generatedLevelMap = null; //map of the level on screen
+var generatedReroll = 0;      //new levels asked for at the level on screen
+var generatedRerollList = [];  //[levelNo, ...] of each new level asked for in the run
+var generatedSkipList = [];    //[levelNo, ...] of each level skipped in the run
+var generatedDailyKey = "";   //UTC date (YYYY-MM-DD) of the daily challenge run
+var generatedStyle = "";      //level style of the run
+var generatedModelId = "";    //model id of the run style (markovModelId while it is active)
+
+//play modes which play Markov generated levels
+function generatedPlayMode()
+{
+	return (playMode == PLAY_GENERATED || playMode == PLAY_DAILY);
+}
+
+//new run of level style [style] (the active style if none)
+function initGeneratedRun(runSeed, startLevelNo, style)
+{
+	if(typeof runSeed == "undefined" || runSeed == null) runSeed = randomMarkovSeed();
+	if(typeof startLevelNo == "undefined" || startLevelNo < 1) startLevelNo = 1;
+	if(!style) style = markovStyle;
+
+	generatedRunSeed = runSeed >>> 0;
+	generatedStartLevel = startLevelNo;
+	generatedLevelNo = startLevelNo - 1;
+	generatedLevelSeed = 0;
+	generatedLevelMap = null;
+	generatedReroll = 0;
+	generatedRerollList = [];
+	generatedSkipList = [];
+	generatedStyle = style;
+	curLevel = startLevelNo;
+
+	curScore = 0;
+	runnerLife = RUNNER_LIFE;
+	sometimePlayInGodMode = 0;
+
+	debug("Generated run seed = " + generatedRunSeed + ", style = " + generatedStyle);
+}
+
+//resume the saved run [info] (getGeneratedInfo) after initGeneratedRun():
+//a level rerolled (New Level) stays rerolled, the lists of the levels
+//rerolled & skipped go on (runs saved before them have none)
+function resumeGeneratedRun(info)
+{
+	generatedLevelNo = info.level; //same level: getGeneratedLevelMap() keeps the reroll
+	generatedReroll = info.reroll || 0;
+	generatedRerollList = (info.rerollList || []).slice();
+	generatedSkipList = (info.skipList || []).slice();
+}
+
+//=====================================================
+// run seed, start level & style from url
+// (?seed=...&level=...&style=...),
+// daily: the seed of a daily challenge run
+//=====================================================
+function getGeneratedUrlInfo()
+{
+	var seedText = getQueryStringParameterValue(location.search, "seed");
+	var seed = parseMarkovSeed(seedText);
+	var level = parseInt(getQueryStringParameterValue(location.search, "level"));
+	var style = getQueryStringParameterValue(location.search, "style");
+
+	if(seed == null) return null;
+	if(isNaN(level) || level < 1) level = 1;
+	if(!style) style = markovDefaultStyle();
+	style = style.toLowerCase();
+
+	return { seed: seed, level: level, style: style, daily: dailySeed(seedText, seed, style) };
+}
+
+//=====================================================
+// difficulty target of level [level]:
+// more gold and guards and a higher estimator score
+// (estimateLevelDifficulty) as the level goes up
+//=====================================================
+function generatedDifficulty(level)
+{
+	var step = level - 1;
+	var score = Math.min(GENERATED_MIN_SCORE + step, GENERATED_MAX_SCORE);
+
+	return {
+		gold:  Math.min(GENERATED_MIN_GOLD + ((step / 3) | 0), GENERATED_MAX_GOLD),
+		guard: Math.min(GENERATED_MIN_GUARD + ((step / 4) | 0), GENERATED_MAX_GUARD),
+		minScore: score - GENERATED_SCORE_BAND,
+		maxScore: score + GENERATED_SCORE_BAND
+	};
+}
+
+//=====================================================
+// get the map of level [levelNo] of the run,
+// generate it only when it is not the level on screen,
+// a new level asked for at [levelNo] has its own seed,
+// generated with the run style, the active style is kept.
+// No solvable candidate: retry with a seed derived from
+// the level seed and the target of an easier level,
+// null when all retries fail (never an unverified level)
+//=====================================================
+function getGeneratedLevelMap(levelNo)
+{
+	if(generatedLevelMap && levelNo == generatedLevelNo) return generatedLevelMap;
+
+	var activeStyle = markovStyle;
+	var target, seed;
+
+	if(levelNo != generatedLevelNo) generatedReroll = 0;
+	generatedLevelNo = levelNo;
+	generatedLevelSeed = deriveMarkovSeed(generatedRunSeed, levelNo - 1);
+	if(generatedReroll) generatedLevelSeed = deriveMarkovSeed(generatedLevelSeed, generatedReroll);
+	setMarkovStyle(generatedStyle);
+	generatedModelId = markovModelId;
+	generatedLevelMap = null;
+	for(var retry = 0; !generatedLevelMap && retry <= GENERATED_MAX_RETRY; retry++) {
+		target = generatedDifficulty(Math.max(levelNo - retry * GENERATED_RETRY_EASIER, 1));
+		seed = retry?deriveMarkovSeed(generatedLevelSeed, GENERATED_RETRY_SEED + retry):generatedLevelSeed;
+		generatedLevelMap = generateLevelWithDifficulty(target.gold, target.guard, target.minScore, target.maxScore, 
+		                                                GENERATED_MAX_ATTEMPT, seed);
+	}
+	setMarkovStyle(activeStyle);
+	if(playMode == PLAY_GENERATED) setGeneratedInfo();
+
+	return generatedLevelMap;
+}
+
+//level [curLevel] of the run: the next level after a level finished,
+//the same level again after runner dead
+function generatedRunLevelMap()
+{
+	return getGeneratedLevelMap(curLevel);
+}
+
+//hi-score info of the run, null when god mode was on (score can't be verified)
+function generatedScoreInfo()
+{
+	if(sometimePlayInGodMode) return null;
+	
+	var scoreInfo = { s: curScore, l: curLevel, seed: generatedRunSeed, start: generatedStartLevel, style: generatedStyle,
+	                  reroll: generatedRerollList.slice(), skip: generatedSkipList.slice() };
+	if(playMode == PLAY_DAILY) scoreInfo.date = generatedDailyKey;
+	return scoreInfo;
+}
+
+//storage id of a hi-score table, the daily challenge has one table per day,
+//Generated Mode one per level style (the default style keeps the plain id)
+function generatedHiScoreId(playDataId)
+{
+	if(playDataId == PLAY_DATA_DAILY) return playDataId + "_" + generatedDailyKey;
+	if(playDataId == PLAY_DATA_GENERATED && generatedStyle && generatedStyle != markovDefaultStyle()) {
+		return playDataId + "_" + generatedStyle;
+	}
+	return playDataId;
+}
+
+//title of a hi-score table, Generated Mode shows the level style
+function generatedHiScoreTitle(playDataId)
+{
+	if(playDataId == PLAY_DATA_GENERATED && generatedStyle && generatedStyle != markovDefaultStyle()) {
+		return "Generated " + markovStyleName(generatedStyle);
+	}
+	return playDataToTitleName(playDataId);
+}
+
+//=====================================================
+// game menu of Generated Mode: skip the level on
+// screen or play another one of the same difficulty,
+// called by menu with (id, callbackFun) or without
+//=====================================================
+function generatedMenuReady()
+{
+	if(playMode != PLAY_GENERATED || changingLevel) return 0;
+	return (gameState == GAME_START || gameState == GAME_RUNNING || gameState == GAME_PAUSE);
+}
+
+function generatedSkipLevel(id, callbackFun)
+{
+	if(callbackFun != null) callbackFun();
+	if(!generatedMenuReady()) return;
+
+	if(runnerLife <= GENERATED_SKIP_LIFE) {
+		showTipsText("NO LIFE TO SKIP", 2000);
+		return;
+	}
+	runnerLife -= GENERATED_SKIP_LIFE;
+	generatedSkipList.push(curLevel);
+	curLevel++;
+	generatedChangeLevel();
+}
+
+function generatedNewLevel(id, callbackFun)
+{
+	if(callbackFun != null) callbackFun();
+	if(!generatedMenuReady()) return;
+
+	if(curScore < GENERATED_NEW_LEVEL_SCORE) {
+		showTipsText("NEW LEVEL COSTS " + GENERATED_NEW_LEVEL_SCORE, 2000, "NOT ENOUGH SCORE");
+		return;
+	}
+	curScore -= GENERATED_NEW_LEVEL_SCORE;
+	generatedReroll++;
+	generatedRerollList.push(curLevel);
+	generatedLevelMap = null; //generate again with the next seed
+	generatedChangeLevel();
+}
+
+function generatedChangeLevel()
+{
+	soundStop(soundFall);
+	soundStop(soundDig);
+	stopAllSpriteObj();
+	gameState = GAME_NEW_LEVEL;
+}
+
+//=====================================================
+// save the generated level on screen (or the last one
+// played after level end or game over) into custom
+// levels, with the seed, style & model it comes from
+//=====================================================
+function saveGeneratedLevel(id, callbackFun)
+{
+	if(callbackFun != null) callbackFun();
+
+	if(!generatedPlayMode() || !generatedLevelMap) {
+		showTipsText("NO GENERATED LEVEL", 2000);
+		return;
+	}
+	if(editLevelData.indexOf(generatedLevelMap) >= 0) {
+		showTipsText("LEVEL ALREADY SAVED", 2000);
+		return;
+	}
+	if(!addEditLevel(generatedLevelMap, generatedLevelSource())) {
+		showTipsText("CUSTOM LEVELS FULL", 2500, "MAX " + MAX_EDIT_LEVEL + " LEVELS");
+		return;
+	}
+	showTipsText("LEVEL SAVED", 2500, "CUSTOM LEVEL " + editLevels);
+}
+
+function generatedLevelSource()
+{
+	return {
+		from: (playMode == PLAY_DAILY)?"daily":"generated",
+		seed: generatedRunSeed,
+		level: generatedLevelNo,
+		reroll: generatedReroll,
+		levelSeed: generatedLevelSeed,
+		style: generatedStyle,
+		model: generatedModelId,
+		date: getLocalTime()
+	};
+}
+
+function generatedSeedText()
+{
+	var styleText = (generatedStyle != markovDefaultStyle())?(" " + markovStyleName(generatedStyle).toUpperCase()):"";
+	
+	if(playMode == PLAY_DAILY) return "DAILY " + generatedDailyKey + " #" + generatedLevelNo;
+	return "SEED " + generatedRunSeed + " #" + generatedLevelNo + (generatedReroll?("." + generatedReroll):"") + styleText;
+}
+
+//=============================================================
+// Daily Challenge: one seeded run per UTC day, one attempt,
+// always of the default level style
+//=============================================================
+function dailyDateKey(date)
+{
+	return date.getUTCFullYear() + "-" +
+	       ("0" + (date.getUTCMonth()+1)).slice(-2) + "-" +
+	       ("0" + date.getUTCDate()).slice(-2);
+}
+
+function dailyRunSeed(dateKey)
+{
+	return parseMarkovSeed("DAILY-" + dateKey);
+}
+
+//a daily challenge run played in Generated Mode would replay (or preview)
+//the daily levels with no attempt limit: seed text DAILY-[date] of any day
+//or today's run seed typed as a number, of the default style
+function dailySeed(seedText, seed, style)
+{
+	if(style != markovDefaultStyle()) return false;
+	if(/^DAILY-/.test(String(seedText).trim())) return true;
+
+	return (seed == dailyRunSeed(dailyDateKey(new Date())));
+}
+
+function dailyPlayedToday()
+{
+	var dailyInfo = getDailyInfo();
+
+	return (dailyInfo != null && dailyInfo.d == dailyDateKey(new Date()));
+}
+
+function initDailyRun()
+{
+	generatedDailyKey = dailyDateKey(new Date());
+	initGeneratedRun(dailyRunSeed(generatedDailyKey), 1, markovDefaultStyle());
+	setDailyInfo(); //attempt used once the run starts
+}
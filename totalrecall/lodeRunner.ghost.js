@@ -0,0 +1,264 @@
+//=============================================================================
+// Ghost race (Training Mode & Generated Mode)
+//
+// A translucent runner plays the best finished run of the level (saved
+// replay, see lodeRunner.replay.js), or the world record run of the built-in
+// demo data (wfastDemoData) when the level has no saved run yet.
+//
+// The ghost track is played by the headless core before the level is built,
+// so the ghost only shows recorded positions and never touches the map.
+// The ground bar shows how far ahead or behind the ghost the player is,
+// compared at each gold and at the finish.
+//=============================================================================
+
+var GHOST_ALPHA = 0.4;
+var GHOST_MAX_TICKS = 20000;      //stop a demo run which never ends
+var GHOST_MAX_GENERATED_RUN = 30; //saved runs of generated levels
+
+var ghostMode = 1; //CTRL-G: ghost on/off
+
+var ghostTrack = null; //{ x:[], y:[], shape:[], gold:[], ticks:, finished:, from: } of level on screen
+var ghostSprite = null, ghostTxt = null, ghostTxtValue;
+var ghostTick, ghostShape, ghostStartGold, ghostGold, ghostDelta;
+
+//play modes with ghost race
+function ghostPlayMode()
+{
+	return (playMode == PLAY_MODERN || playMode == PLAY_GENERATED);
+}
+
+//id of level map, key of the saved run (FNV-1a hash)
+function ghostLevelId(levelMap)
+{
+	var h = 0x811C9DC5;
+
+	for(var i = 0; i < levelMap.length; i++) {
+		h ^= levelMap.charCodeAt(i);
+		h = Math.imul(h, 0x01000193);
+	}
+	return ("0000000" + (h >>> 0).toString(16)).slice(-8);
+}
+
+//=====================================================
+// keep the finished run with the fewest ticks,
+// runs with god mode don't count
+//=====================================================
+function ghostSaveBest(replay)
+{
+	var best;
+
+	if(!replay || !ghostPlayMode()) return;
+	if(replay.result != 1 || replay.godMode || replay.god.length) return;
+
+	best = getGhostRun(replay.level);
+	if(best && best.ticks <= replay.ticks) return;
+
+	setGhostRun(replay);
+}
+
+//=====================================================
+// ghost track of [levelMap], called before the level
+// is built (the headless core replaces all state)
+//=====================================================
+function ghostPrepare(levelMap)
+{
+	var run, demo;
+	var saveAiVersion = curAiVersion, saveGodMode = godMode;
+	var savePlayMode = playMode, saveRecordMode = recordMode, saveGameState = gameState;
+
+	ghostTrack = null;
+	if(!ghostPlayMode()) return;
+
+	recordMode = RECORD_NONE;
+	if( (run = getGhostRun(levelMap)) != null) {
+		ghostTrack = ghostReplayTrack(run);
+	} else if( (demo = ghostDemoRun(levelMap)) != null) {
+		ghostTrack = ghostDemoTrack(levelMap, demo);
+	}
+	curAiVersion = saveAiVersion;
+	godMode = saveGodMode;
+	playMode = savePlayMode;
+	recordMode = saveRecordMode;
+	gameState = saveGameState;
+
+	if(ghostTrack && !ghostTrack.finished) ghostTrack = null;
+}
+
+function ghostNewTrack(from, levelMap)
+{
+	var gold = levelMap.split("$").length - 1;
+
+	return { x: [], y: [], shape: [], gold: [], ticks: 0, finished: 0, from: from, goldCount: gold };
+}
+
+//save runner position of this tick
+function ghostTrackTick(track)
+{
+	track.x.push(runner.pos.x * tileW + runner.pos.xOffset);
+	track.y.push(runner.pos.y * tileH + runner.pos.yOffset);
+	track.shape.push(runner.shape);
+	track.ticks++;
+
+	if(goldCount < track.goldCount) {
+		track.gold.push(track.ticks);
+		track.goldCount = goldCount;
+	}
+}
+
+function ghostReplayTrack(run)
+{
+	var track;
+
+	track = ghostNewTrack("BEST", run.level);
+	track.finished = (simulateReplay(run, function() { ghostTrackTick(track); }).result == 1);
+
+	return track;
+}
+
+//world record run of training mode level (wfastDemoData)
+function ghostDemoRun(levelMap)
+{
+	var demo;
+
+	if(playMode != PLAY_MODERN || !curDemoLevelIsVaild()) return null;
+
+	demo = playerDemoData[curLevel-1];
+	if(demo.state != 1 || demo.ai < 3 || levelData[curLevel-1] != levelMap) return null;
+
+	return demo;
+}
+
+//play demo data like PLAY_DEMO mode: key codes, gold drop & reborn position are recorded
+function ghostDemoTrack(levelMap, demo)
+{
+	var track;
+
+	playMode = PLAY_DEMO;
+	godMode = demo.godMode?1:0;
+	demoRecord = demo.action;
+	demoGoldDrop = demo.goldDrop;
+	demoBornPos = demo.bornPos;
+	demoRecordIdx = demoGoldIdx = demoBornIdx = demoTickCount = 0;
+
+	coreLoadLevel(levelMap, { aiVersion: demo.ai });
+	track = ghostNewTrack("WORLD", levelMap);
+	while(gameState == GAME_RUNNING && !coreLevelFinished() && track.ticks < GHOST_MAX_TICKS) {
+		playDemo(); //set keyAction
+		coreTick(keyAction);
+		ghostTrackTick(track);
+	}
+	track.finished = coreLevelFinished();
+
+	return track;
+}
+
+//=====================================================
+// ghost sprite, called after the level is built
+//=====================================================
+function ghostBuild()
+{
+	ghostSprite = null;
+	ghostTxt = null;
+	if(!ghostTrack) return;
+
+	ghostTick = 0;
+	ghostShape = runner.shape;
+	ghostStartGold = goldCount;
+	ghostGold = 0;
+	ghostDelta = null;
+
+	ghostSprite = new createjs.Sprite(runnerData, ghostShape);
+	ghostSprite.stop();
+	ghostSprite.set({alpha:GHOST_ALPHA, visible:(ghostMode == 1)});
+	addSprite2Stage(ghostSprite, runner.pos.x, runner.pos.y);
+	moveSprite2Top(); //runner & guards over the ghost
+}
+
+//called after each tick of the player
+function ghostMove()
+{
+	var t;
+
+	if(!ghostSprite) return;
+
+	if( (t = ghostTick++) < ghostTrack.ticks) {
+		var moved = (!t || ghostTrack.x[t] != ghostTrack.x[t-1] || ghostTrack.y[t] != ghostTrack.y[t-1]);
+
+		ghostSprite.x = ghostTrack.x[t] * tileScale | 0;
+		ghostSprite.y = ghostTrack.y[t] * tileScale | 0;
+		if(ghostTrack.shape[t] != ghostShape) {
+			ghostShape = ghostTrack.shape[t];
+			ghostSprite.gotoAndPlay(ghostShape);
+		} else if(moved) {
+			ghostSprite.play();
+		} else {
+			ghostSprite.stop();
+		}
+	} else {
+		ghostSprite.set({alpha:0}); //ghost has left the level
+	}
+	ghostUpdateDelta();
+}
+
+//=====================================================
+// ahead (< 0) or behind (> 0) in ticks: compared when
+// the player gets a gold and at the finish; while the
+// ghost has got the next gold first, the player falls
+// behind tick by tick
+//=====================================================
+function ghostUpdateDelta()
+{
+	var gold = ghostStartGold - goldCount; //gold taken by player
+	var ticks = ghostTick;
+	var next;
+
+	if(coreLevelFinished()) {
+		ghostDelta = ticks - ghostTrack.ticks;
+	} else {
+		if(gold != ghostGold) { //player got a gold
+			ghostGold = gold;
+			if(gold <= ghostTrack.gold.length) ghostDelta = ticks - ghostTrack.gold[gold-1];
+		}
+		next = (gold < ghostTrack.gold.length)?ghostTrack.gold[gold]:ghostTrack.ticks;
+		if(ticks > next && (ghostDelta == null || ticks - next > ghostDelta)) ghostDelta = ticks - next;
+	}
+	drawGhost();
+}
+
+//ghost race info on the left of the ground bar
+function drawGhost()
+{
+	var text, color = "#ffffff";
+
+	if(!ghostTrack) return;
+
+	if(ghostDelta == null) {
+		text = "GHOST " + ghostTrack.from;
+	} else if(ghostDelta == 0) {
+		text = "GHOST EVEN";
+	} else {
+		text = ((ghostDelta < 0)?"AHEAD ":"BEHIND ") + (Math.abs(ghostDelta) / speedMode[speed]).toFixed(1) + "s";
+		color = (ghostDelta < 0)?"#33ff66":"#ff4433";
+	}
+	if(ghostTxt && text == ghostTxtValue) return;
+	ghostTxtValue = text;
+
+	if(ghostTxt) mainStage.removeChild(ghostTxt);
+	ghostTxt = new createjs.Text(text, "bold " + (GROUND_TILE_Y-4)*tileScale + "px Helvetica", color);
+	ghostTxt.x = 4*tileScale;
+	ghostTxt.y = NO_OF_TILES_Y * tileHScale + 1*tileScale;
+	ghostTxt.shadow = new createjs.Shadow("black", 1, 1, 1);
+	ghostTxt.visible = (ghostMode == 1);
+	mainStage.addChild(ghostTxt);
+}
+
+function toggleGhostMode()
+{
+	if( (ghostMode ^= 1) == 1) {
+		showTipsText("GHOST ON", 1500);
+	} else {
+		showTipsText("GHOST OFF", 1500);
+	}
+	if(ghostSprite) ghostSprite.visible = (ghostMode == 1);
+	if(ghostTxt) ghostTxt.visible = (ghostMode == 1);
+}
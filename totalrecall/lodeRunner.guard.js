@@ -242,20 +242,14 @@ function guardMoveStep( id, action)
 				
 				if( curShape == "fallRight") newShape = "shakeRight";
 				else newShape = "shakeLeft";
-				themeSoundPlay("trap");
+				gameView.themeSoundPlay("trap");
 				shakeTimeStart = recordCount; //for debug
 				if(curAiVersion < 3) {
-					curGuard.sprite.on("animationend", function() { climbOut(id); });
+					gameView.onAnimationEnd(curGuard, function() { climbOut(id); });
 				} else {
 					add2GuardShakeQueue(id, newShape);
 				}
-				
-				if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {
-					drawScore(SCORE_IN_HOLE);
-				} else {
-					//for modem mode & edit mode
-					//drawGuard(1); //only guard dead need add count
-				}
+				gameView.guardInHole();
 			}
 		}
 		
@@ -331,20 +325,19 @@ function guardMoveStep( id, action)
 	
  	if(action == ACT_STOP) {
 		if(curGuard.action != ACT_STOP){
-			curGuard.sprite.stop();
+			gameView.stopSprite(curGuard);
 			if(curGuard.action != ACT_CLIMB_OUT) curGuard.action = ACT_STOP;
 		}
 	} else {
 		if(curGuard.action == ACT_CLIMB_OUT) action = ACT_CLIMB_OUT;
-		curGuard.sprite.x = (x * tileW + xOffset) * tileScale | 0;
-		curGuard.sprite.y = (y * tileH + yOffset) * tileScale | 0;
 		curGuard.pos = { x:x, y:y, xOffset:xOffset, yOffset:yOffset};	
+		gameView.moveSprite(curGuard);
 		if(curShape != newShape) {
-			curGuard.sprite.gotoAndPlay(newShape);
 			curGuard.shape = newShape;
+			gameView.playShape(curGuard, newShape);
 		}
 		if(action != curGuard.action){
-			curGuard.sprite.play();
+			gameView.playSprite(curGuard);
 		}
 		curGuard.action = action;
 		if(action == ACT_LEFT || action == ACT_RIGHT) curGuard.lastLeftRight = action;
@@ -360,7 +353,7 @@ function guardMoveStep( id, action)
 	  )  
 	{
 		//curGuard.hasGold = ((Math.random()*26)+14)|0; //14 - 39 
-		curGuard.hasGold = ((Math.random()*26)+12)|0; //12 - 37 change gold drop steps
+		curGuard.hasGold = ((coreRandom()*26)+12)|0; //12 - 37 change gold drop steps
 		guardWearRedhat(curGuard); //9/4/2016
 		if(playMode == PLAY_AUTO || playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) 	getDemoGold(curGuard);
 		if(recordMode) processRecordGold(curGuard);
@@ -375,13 +368,13 @@ function guardMoveStep( id, action)
 //meanings: guard with gold
 function guardWearRedhat(guard)
 {
-	if(redhatMode) guard.sprite.spriteSheet = redhatData;
+	gameView.setRedhat(guard, 1);
 }
 
 //meanings: guard without gold
 function guardRemoveRedhat(guard) 
 {
-	if(redhatMode) guard.sprite.spriteSheet = guardData;
+	gameView.setRedhat(guard, 0);
 }
 
 function dropGold(id) 
@@ -476,13 +469,13 @@ function processGuardShake()
 		
 		if( curGuard.curFrameTime < 0) { //start shake => set still frame
 			curGuard.curFrameTime = 0;
-			curGuard.sprite.gotoAndStop(curGuard.shapeFrame[curIdx]);
+			gameView.showFrame(curGuard, curGuard.shapeFrame[curIdx]);
 		} else {
 			if(++curGuard.curFrameTime >= shakeTime[curIdx]) {
 				if(++curGuard.curFrameIdx < curGuard.shapeFrame.length) {
 					//change frame
 					curGuard.curFrameTime = 0;
-					curGuard.sprite.gotoAndStop(curGuard.shapeFrame[curGuard.curFrameIdx]);
+					gameView.showFrame(curGuard, curGuard.shapeFrame[curGuard.curFrameIdx]);
 				} else {
 					//shake time out 
 				
@@ -520,9 +513,9 @@ function climbOut(id)
 	var curGuard = guard[id]
 	
 	curGuard.action = ACT_CLIMB_OUT;
-	curGuard.sprite.removeAllEventListeners ("animationend");
-	curGuard.sprite.gotoAndPlay("runUpDn");
 	curGuard.shape = "runUpDn";
+	gameView.clearAnimationEnd(curGuard);
+	gameView.playShape(curGuard, "runUpDn");
 	curGuard.holePos = {x: curGuard.pos.x, y: curGuard.pos.y };
 	
 	if(DEBUG_TIME) loadingTxt.text = "ShakeTime = " + (recordCount - shakeTimeStart); //for debug
@@ -869,11 +862,13 @@ function guardReborn(x, y)
 		bornY = bornPos.y;
 	}
 	
-	if(recordMode == RECORD_KEY) saveRecordBornPos(bornX, bornY);
-	else if(recordMode == RECORD_PLAY) {
-		var bornPos = getRecordBornPos();
-		bornX = bornPos.x;
-		bornY = bornPos.y;
+	if(recordMode) { //record mode is off while the core runs alone
+		if(recordMode == RECORD_KEY) saveRecordBornPos(bornX, bornY);
+		else if(recordMode == RECORD_PLAY) {
+			var bornPos = getRecordBornPos();
+			bornX = bornPos.x;
+			bornY = bornPos.y;
+		}
 	}
 	
 	map[bornX][bornY].act = GUARD_T;
@@ -882,13 +877,12 @@ function guardReborn(x, y)
 	var curGuard = guard[id];
 	
 	curGuard.pos = { x:bornX, y:bornY, xOffset:0, yOffset: 0 };
-	curGuard.sprite.x = bornX * tileWScale | 0;
-	curGuard.sprite.y = bornY * tileHScale | 0;
+	gameView.moveSprite(curGuard);
 	
 	rebornTimeStart = recordCount;
 	if(curAiVersion < 3) {
-		curGuard.sprite.on("animationend", function() { rebornComplete(id); });
-		curGuard.sprite.gotoAndPlay("reborn");
+		gameView.onAnimationEnd(curGuard, function() { rebornComplete(id); });
+		gameView.playShape(curGuard, "reborn");
 	} else {
 		add2RebornQueue(id);
 	}
@@ -905,12 +899,12 @@ function rebornComplete(id)
 
 	if( map[x][y].act == RUNNER_T) setRunnerDead(); //collision
 	map[x][y].act  = GUARD_T; 
-	guard[id].sprite.removeAllEventListeners ("animationend");
 	guard[id].action = ACT_FALL;
 	guard[id].shape = "fallRight";
 	//guard[id].hasGold = 0;
-	guard[id].sprite.gotoAndPlay("fallRight");
-	themeSoundPlay("reborn");
+	gameView.clearAnimationEnd(guard[id]);
+	gameView.playShape(guard[id], "fallRight");
+	gameView.themeSoundPlay("reborn");
 	
 	if(DEBUG_TIME) loadingTxt.text = "rebornTime = " + (recordCount - rebornTimeStart); //for debug
 }
@@ -937,7 +931,7 @@ function add2RebornQueue(id)
 {
 	var curGuard = guard[id];
 	
-	curGuard.sprite.gotoAndStop("reborn");
+	gameView.showFrame(curGuard, "reborn");
 	curGuard.curFrameIdx  =   0;
 	curGuard.curFrameTime =  -1;
 		
@@ -956,7 +950,7 @@ function processReborn()
 			if(++curGuard.curFrameIdx < rebornFrame.length) {
 				//change frame
 				curGuard.curFrameTime = 0;
-				curGuard.sprite.gotoAndStop(rebornFrame[curGuard.curFrameIdx]);
+				gameView.showFrame(curGuard, rebornFrame[curGuard.curFrameIdx]);
 			} else {
 				//reborn 
 				var id = rebornGuardList[i];
@@ -56,7 +56,7 @@ function showScoreTable(_playData, _curScoreInfo, _callbackFun, _waitTime)
 		var infoJSON = null, levelMap;
 		var rc = 0;
 		
-		infoJSON = getStorage(STORAGE_HISCORE_INFO + _playData);
+		infoJSON = getStorage(STORAGE_HISCORE_INFO + generatedHiScoreId(_playData));
 		
 		if(infoJSON) {
 			var infoObj = JSON.parse(infoJSON);
@@ -75,7 +75,7 @@ function showScoreTable(_playData, _curScoreInfo, _callbackFun, _waitTime)
 	function setHiScoreInfo()
 	{
 		var infoJSON = JSON.stringify(hiScoreInfo);
-		setStorage(STORAGE_HISCORE_INFO + _playData, infoJSON); 
+		setStorage(STORAGE_HISCORE_INFO + generatedHiScoreId(_playData), infoJSON); 
 	
 	}
 
@@ -86,7 +86,7 @@ function showScoreTable(_playData, _curScoreInfo, _callbackFun, _waitTime)
 		scoreInfo.id = cId;
 		var infoJSON = JSON.stringify(scoreInfo);
 		
-		setStorage(STORAGE_LASTSCORE+_playData, infoJSON); 
+		setStorage(STORAGE_LASTSCORE+generatedHiScoreId(_playData), infoJSON); 
 	}
 	
 	function updateScoreInfo()
@@ -154,7 +154,7 @@ function showScoreTable(_playData, _curScoreInfo, _callbackFun, _waitTime)
 	
 	function drawHiScoreList()
 	{
-		var title = playDataToTitleName(_playData);
+		var title = generatedHiScoreTitle(_playData);
 		var localHighScore = "LOCAL HIGH SCORES";
 		var barTile;
 
@@ -273,6 +273,7 @@ function showScoreTable(_playData, _curScoreInfo, _callbackFun, _waitTime)
 					_playData,
 					playMode,
 					winner,
+					('seed' in scoreInfo)?scoreInfo:null, //generated run: seed, start, style, date, reroll & skip
 					function(result) {
 						if (result.success) {
 							console.log('Score submitted! Global rank:', result.rank);
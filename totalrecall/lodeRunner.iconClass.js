@@ -1397,7 +1397,7 @@ function changeThemeScreen()
 	
 	//change fillHoleObj theme
 	for(var i = 0; i < fillHoleObj.length; i++) {
-		fillHoleObj[i].spriteSheet = holeData;
+		fillHoleObj[i].sprite.spriteSheet = holeData;
 	}
 	
 	moveSprite2Top();
@@ -1461,7 +1461,7 @@ function clearInfo()
 {
 	var i;
 
-	if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {
+	if(classicScoreMode()) {
 		for(i = 0; i < scoreTxt.length; i++) mainStage.removeChild(scoreTxt[i]);
 		for(i = 0; i < scoreTile.length; i++) mainStage.removeChild(scoreTile[i]);
 
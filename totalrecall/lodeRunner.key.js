@@ -1,4 +1,3 @@
-var keyAction = ACT_STOP; //// keyLastLeftRight = ACT_RIGHT;
 var shiftLevelNum = 0;
 var runnerDebug = 0;
 
@@ -81,6 +80,12 @@ function pressCtrlKey(code)
 	case KEYCODE_H:	//CTRL-H : redHat mode on/off
 		toggleRedhatMode();
 		break;
+	case KEYCODE_G:	//CTRL-G : ghost race on/off
+		toggleGhostMode();
+		break;
+	case KEYCODE_P:	//CTRL-P : solution path on/off
+		toggleSolutionPath();
+		break;
 	case KEYCODE_1: //CTRL-1
 	case KEYCODE_2: //CTRL-2
 	case KEYCODE_3: //CTRL-3
@@ -269,6 +274,11 @@ function pressKey(code)
 			gamePause();
 			showScoreTable(playData, null, function() { menuIconEnable(); gameResume();});	
 			return; //don't record this key code !
+		} else if(generatedPlayMode()) {
+			menuIconDisable(1);
+			gamePause();
+			showScoreTable((playMode == PLAY_DAILY)?PLAY_DATA_DAILY:PLAY_DATA_GENERATED, null, function() { menuIconEnable(); gameResume();});	
+			return;
 		} else {
 			keyAction = ACT_UNKNOWN;
 		}
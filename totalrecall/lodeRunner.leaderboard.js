@@ -11,12 +11,8 @@
 var LEADERBOARD_API_URL = 'https://mann.cool/api/leaderboard';
 var LEADERBOARD_GAME_SLUG = 'meelode';
 
-// Cache for global scores
-var globalLeaderboardCache = {
-	classic: null,
-	generated: null,
-	lastFetch: 0
-};
+// Cache for global scores: { [variant + filter]: { entries, lastFetch } }
+var globalLeaderboardCache = {};
 
 var CACHE_DURATION = 60000; // 1 minute cache
 
@@ -24,10 +20,20 @@ var CACHE_DURATION = 60000; // 1 minute cache
  * Get the variant string based on play mode and data
  */
 function getLeaderboardVariant(playData, playMode) {
-	if (playMode === PLAY_GENERATED) {
+	if (playMode === PLAY_GENERATED || playData === PLAY_DATA_GENERATED) {
+		// One board per level style, as the hi-score tables (generatedHiScoreId);
+		// the default style keeps the plain variant
+		if (generatedStyle && generatedStyle !== markovDefaultStyle()) {
+			return 'generated-' + generatedStyle;
+		}
 		return 'generated';
 	}
 
+	// Daily challenge runs are ranked apart from endless generated runs
+	if (playMode === PLAY_DAILY || playData === PLAY_DATA_DAILY) {
+		return 'daily';
+	}
+
 	// Map playData to game version names
 	var variants = {
 		1: 'classic',
@@ -40,6 +46,15 @@ function getLeaderboardVariant(playData, playMode) {
 	return variants[playData] || 'classic';
 }
 
+/**
+ * Query filter of a variant: daily challenge scores are ranked per day,
+ * [date] (YYYY-MM-DD) or the day of the daily run played, else today (UTC)
+ */
+function getLeaderboardFilter(variant, date) {
+	if (variant !== 'daily') return '';
+	return '&date=' + encodeURIComponent(date || generatedDailyKey || dailyDateKey(new Date()));
+}
+
 /**
  * Submit a score to the mann.cool leaderboard
  *
@@ -49,9 +64,10 @@ function getLeaderboardVariant(playData, playMode) {
  * @param {number} playData - Game version (1=classic, etc)
  * @param {number} playMode - Play mode
  * @param {boolean} isWinner - Whether player completed all levels
+ * @param {object} runInfo - {seed, start, style, date, reroll, skip} of a generated run (to verify the score), or null
  * @param {function} callback - Called with {success, rank} or {error}
  */
-function submitToLeaderboard(playerName, score, level, playData, playMode, isWinner, callback) {
+function submitToLeaderboard(playerName, score, level, playData, playMode, isWinner, runInfo, callback) {
 	if (!playerName || playerName.length < 2) {
 		if (callback) callback({ error: 'Invalid player name' });
 		return;
@@ -73,6 +89,16 @@ function submitToLeaderboard(playerName, score, level, playData, playMode, isWin
 		winner: isWinner ? 1 : 0
 	};
 
+	if (runInfo && runInfo.seed != null) {
+		payload.seed = runInfo.seed;
+		payload.startLevel = runInfo.start;
+		if (runInfo.style) payload.style = runInfo.style;
+		if (runInfo.date) payload.date = runInfo.date; // daily challenge: ranked per day
+		// Levels replaced (New Level) and skipped (Skip Level): the run can't be re-played without them
+		payload.reroll = runInfo.reroll || [];
+		payload.skip = runInfo.skip || [];
+	}
+
 	console.log('Submitting to leaderboard:', payload);
 
 	// Use XMLHttpRequest for broader compatibility
@@ -88,7 +114,7 @@ function submitToLeaderboard(playerName, score, level, playData, playMode, isWin
 					console.log('Leaderboard response:', response);
 
 					// Invalidate cache since we just submitted
-					globalLeaderboardCache[variant] = null;
+					delete globalLeaderboardCache[variant + getLeaderboardFilter(variant, payload.date)];
 
 					if (callback) {
 						callback({
@@ -131,17 +157,19 @@ function submitToLeaderboard(playerName, score, level, playData, playMode, isWin
  */
 function fetchGlobalLeaderboard(playData, playMode, limit, callback) {
 	var variant = getLeaderboardVariant(playData, playMode);
+	var filter = getLeaderboardFilter(variant);
+	var cacheKey = variant + filter;
 	limit = limit || 10;
 
 	// Check cache
 	var now = Date.now();
-	if (globalLeaderboardCache[variant] &&
-		(now - globalLeaderboardCache.lastFetch) < CACHE_DURATION) {
-		console.log('Using cached leaderboard for', variant);
+	var cached = globalLeaderboardCache[cacheKey];
+	if (cached && (now - cached.lastFetch) < CACHE_DURATION) {
+		console.log('Using cached leaderboard for', cacheKey);
 		if (callback) {
 			callback({
 				success: true,
-				entries: globalLeaderboardCache[variant],
+				entries: cached.entries,
 				cached: true
 			});
 		}
@@ -151,7 +179,7 @@ function fetchGlobalLeaderboard(playData, playMode, limit, callback) {
 	var url = LEADERBOARD_API_URL +
 		'?game=' + encodeURIComponent(LEADERBOARD_GAME_SLUG) +
 		'&variant=' + encodeURIComponent(variant) +
-		'&limit=' + limit;
+		'&limit=' + limit + filter;
 
 	console.log('Fetching global leaderboard:', url);
 
@@ -166,8 +194,7 @@ function fetchGlobalLeaderboard(playData, playMode, limit, callback) {
 					console.log('Global leaderboard:', response);
 
 					// Update cache
-					globalLeaderboardCache[variant] = response.entries || [];
-					globalLeaderboardCache.lastFetch = now;
+					globalLeaderboardCache[cacheKey] = { entries: response.entries || [], lastFetch: now };
 
 					if (callback) {
 						callback({
@@ -0,0 +1,313 @@
+//=============================================================================
+// Level import & export in text formats
+//
+// A level is NO_OF_TILES_Y rows of NO_OF_TILES_X tiles, in one of the charsets:
+//   TotalRecall ' #@H-XS$0&' (the level strings of lodeRunner.v.*.js)
+//   VGLC        '.bB#-tGEM'  (src/procgen), 'S' for the hidden ladder
+// A text pack is levels separated by an empty line (the --file format of
+// scripts/playtest-levels.js). A JSON pack keeps metadata:
+//   { format: "meelode-levels", version: 1, name:, creator:, date:,
+//     charset: "totalrecall" | "vglc", levels: [ { rows: [], source: }, ... ] }
+// (source: where a custom level comes from, see setEditLevelSource)
+//
+// The editor exports from the game menu and imports from a file (game menu
+// or dropped on the editor) or from the clipboard (CTRL-V); CTRL-C without
+// a selection also puts the map on the clipboard as text. A file can also be
+// a disk image (Apple II, C64 or .pzl, see lodeRunner.disk.js).
+//=============================================================================
+
+var LEVEL_PACK_FORMAT = "meelode-levels";
+var LEVEL_PACK_VERSION = 1;
+var LEVEL_TEXT_MAX_SIZE = 1024 * 1024; //bytes of an import file
+
+var textToVglcTile = { ' ':'.', '#':'b', '@':'B', 'H':'#', '-':'-', 'X':'t', 'S':'S', '$':'G', '0':'E', '&':'M' };
+var vglcToTextTile = { '.':' ', 'b':'#', 'B':'@', '#':'H', '-':'-', 't':'X', 'X':'X', 'S':'S', 'G':'$', 'E':'0', 'M':'&' };
+var vglcOnlyTiles = ".btBGEM"; //a row with any of them is VGLC
+
+//=====================================================
+// export
+//=====================================================
+function levelToText(levelMap, vglc)
+{
+	var rows = [];
+
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		var row = levelMap.substr(y * NO_OF_TILES_X, NO_OF_TILES_X);
+		if(vglc) row = row.replace(/./g, function(tile) { return textToVglcTile[tile] || '.'; });
+		rows.push(row);
+	}
+	return rows;
+}
+
+//levels separated by a blank line
+function levelsToText(levelMaps, vglc)
+{
+	return levelMaps.map(function(levelMap) { return levelToText(levelMap, vglc).join('\n'); }).join('\n\n') + '\n';
+}
+
+//[levels]: [{ map:, source: }, ...]
+function levelsToPack(levels, name)
+{
+	var pack = {
+		format: LEVEL_PACK_FORMAT,
+		version: LEVEL_PACK_VERSION,
+		name: name,
+		creator: playerName,
+		date: getLocalTime(),
+		charset: "totalrecall",
+		levels: levels.map(function(level) {
+			var item = { rows: levelToText(level.map, 0) };
+			if(level.source) item.source = level.source;
+			return item;
+		})
+	};
+	return JSON.stringify(pack, null, 1);
+}
+
+function downloadText(fileName, text)
+{
+	var element = document.createElement('a');
+	element.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(text));
+	element.setAttribute('download', fileName);
+
+	element.style.display = 'none';
+	document.body.appendChild(element);
+	element.click();
+	document.body.removeChild(element);
+}
+
+function customLevelList()
+{
+	var levels = [];
+
+	for(var i = 0; i < editLevels; i++) {
+		levels.push({ map: editLevelData[i], source: getEditLevelSource(i+1) });
+	}
+	return levels;
+}
+
+//game menu of the editor: " Export "
+function exportLevelMenu(id, callbackFun)
+{
+	var levelNo = ("00" + testLevelInfo.level).slice(-3);
+	var exportMenuList = [ { activeItem: 0 } ];
+
+	if(!editMapIsEmpty) {
+		exportMenuList.push(
+			{ name: " This Level (Text) ", activeFun: function(id, callbackFun) {
+				exportDone(callbackFun, "meelode-level" + levelNo + ".txt", levelsToText([copyEditingMap()], 0));
+			}},
+			{ name: " This Level (VGLC) ", activeFun: function(id, callbackFun) {
+				exportDone(callbackFun, "meelode-level" + levelNo + "-vglc.txt", levelsToText([copyEditingMap()], 1));
+			}}
+		);
+	}
+	if(editLevels > 0) {
+		exportMenuList.push(
+			{ name: " All Levels (Text) ", activeFun: function(id, callbackFun) {
+				exportDone(callbackFun, "meelode-levels.txt", levelsToText(editLevelData.slice(0, editLevels), 0));
+			}},
+			{ name: " All Levels (VGLC) ", activeFun: function(id, callbackFun) {
+				exportDone(callbackFun, "meelode-levels-vglc.txt", levelsToText(editLevelData.slice(0, editLevels), 1));
+			}},
+			{ name: " All Levels (JSON) ", activeFun: function(id, callbackFun) {
+				exportDone(callbackFun, "meelode-levels.json", levelsToPack(customLevelList(), "Custom Levels"));
+			}}
+		);
+	}
+	if(exportMenuList.length == 1) {
+		if(callbackFun) callbackFun();
+		showTipsText("NOTHING TO EXPORT", 2000);
+		return;
+	}
+	menuDialog(" Export ", exportMenuList, mainStage, tileScale, 1, mainMenuClose, callbackFun);
+
+	function exportDone(callbackFun, fileName, text)
+	{
+		if(callbackFun) callbackFun();
+		downloadText(fileName, text);
+	}
+}
+
+//=====================================================
+// import
+//=====================================================
+
+//rows of one level, null when not a level
+function rowsToLevel(rows)
+{
+	var vglc = 0, levelMap = "";
+
+	if(rows.length != NO_OF_TILES_Y) return null;
+	for(var y = 0; y < rows.length; y++) {
+		if(typeof rows[y] != "string" || rows[y].length > NO_OF_TILES_X) return null;
+		for(var i = 0; i < vglcOnlyTiles.length; i++) {
+			if(rows[y].indexOf(vglcOnlyTiles.charAt(i)) >= 0) vglc = 1;
+		}
+	}
+
+	for(var y = 0; y < rows.length; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			var tile = (x < rows[y].length)?rows[y].charAt(x):(vglc?'.':' ');
+
+			if(vglc) tile = vglcToTextTile[tile];
+			if(tile == null || !tileIdMapping.hasOwnProperty(tile)) return null;
+			levelMap += tile;
+		}
+	}
+	return levelMap;
+}
+
+//levels of a text pack; an empty line between levels, rows of spaces
+//(also the first row) and empty rows inside a level are empty rows
+function textToLevels(text)
+{
+	var lines = text.replace(/\r/g, '').split('\n');
+	var levels = [], rows = [];
+
+	for(var i = 0; i < lines.length; i++) {
+		if(!rows.length && lines[i] === "") continue;
+		rows.push(lines[i]);
+		if(rows.length == NO_OF_TILES_Y) {
+			var levelMap = rowsToLevel(rows);
+			if(levelMap == null) return null;
+			levels.push({ map: levelMap, source: null });
+			rows = [];
+		}
+	}
+	if(rows.length) return null;
+
+	return levels;
+}
+
+function packToLevels(pack)
+{
+	var levels = [];
+
+	if(!pack || pack.format != LEVEL_PACK_FORMAT || !Array.isArray(pack.levels)) return null;
+	if(!(pack.version <= LEVEL_PACK_VERSION)) return null;
+
+	for(var i = 0; i < pack.levels.length; i++) {
+		var item = pack.levels[i];
+		var levelMap = (item && Array.isArray(item.rows))?rowsToLevel(item.rows):null;
+		var source = (item && item.source && typeof item.source == "object")?item.source:null;
+
+		if(levelMap == null) return null;
+		levels.push({ map: levelMap, source: source });
+	}
+	return levels;
+}
+
+//[{ map:, source: }, ...] of a text or JSON pack, null when it isn't one
+function parseLevelText(text)
+{
+	var levels, pack;
+
+	if(typeof text != "string" || text.length > LEVEL_TEXT_MAX_SIZE) return null;
+
+	if(text.trim().charAt(0) == '{') {
+		try {
+			pack = JSON.parse(text);
+		} catch(e) {
+			return null;
+		}
+		levels = packToLevels(pack);
+	} else {
+		levels = textToLevels(text);
+	}
+	if(!levels || !levels.length) return null;
+
+	return levels;
+}
+
+//select a level file, [callback](levels) when it has levels
+function openLevelFile(callback)
+{
+	var input = document.createElement('input');
+
+	input.setAttribute('type', 'file');
+	input.setAttribute('accept', '.txt,.json,.lvl,.dsk,.do,.po,.d64,.pzl');
+	input.style.display = 'none';
+	input.onchange = function() {
+		document.body.removeChild(input);
+		if(!input.files.length) return;
+		readLevelFile(input.files[0], callback);
+	};
+	document.body.appendChild(input);
+	input.click();
+}
+
+function readLevelFile(file, callback)
+{
+	var reader = new FileReader();
+
+	if(file.size > LEVEL_TEXT_MAX_SIZE) {
+		showTipsText("WRONG LEVEL FILE", 2500);
+		return;
+	}
+	if(isDiskImageName(file.name)) {
+		reader.onload = function() {
+			var levels = diskImageLevels(new Uint8Array(reader.result), file.name);
+
+			if(levels == null) showTipsText("NO LEVELS ON DISK", 2500);
+			else callback(levels);
+		};
+		reader.readAsArrayBuffer(file);
+		return;
+	}
+	reader.onload = function() {
+		var levels = parseLevelText(reader.result);
+
+		if(levels == null) showTipsText("WRONG LEVEL FILE", 2500);
+		else callback(levels);
+	};
+	reader.readAsText(file);
+}
+
+//game menu of the editor: " Import "
+function importLevelMenu(id, callbackFun)
+{
+	if(callbackFun) callbackFun();
+	openLevelFile(editImportLevels);
+}
+
+//=====================================================
+// drop & clipboard, while editing (no dialog open)
+//=====================================================
+function levelTextEditing()
+{
+	return (playMode == PLAY_EDIT && document.onkeydown == editHandleKeyDown);
+}
+
+function initLevelTextEvents()
+{
+	document.addEventListener('dragover', function(event) {
+		if(levelTextEditing()) event.preventDefault(); //allow drop
+	});
+
+	document.addEventListener('drop', function(event) {
+		if(!levelTextEditing()) return;
+		event.preventDefault();
+		if(event.dataTransfer.files.length) {
+			readLevelFile(event.dataTransfer.files[0], editImportLevels);
+		}
+	});
+
+	document.addEventListener('paste', function(event) {
+		var levels;
+
+		if(!levelTextEditing() || !event.clipboardData) return;
+		levels = parseLevelText(event.clipboardData.getData('text/plain'));
+		if(levels == null) return; //CTRL-V pastes the copy area or copy map
+		event.preventDefault();
+		cancelEditPaste();
+		editImportLevels(levels);
+	});
+
+	document.addEventListener('copy', function(event) {
+		if(!levelTextEditing() || !event.clipboardData) return;
+		if(editSelection || editMapIsEmpty) return;
+		event.preventDefault();
+		event.clipboardData.setData('text/plain', levelsToText([copyEditingMap()], 0));
+	});
+}
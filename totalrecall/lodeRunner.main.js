@@ -24,10 +24,7 @@ var screenX1, screenY1;
 var canvasX, canvasY;
 var screenBorder;
 
-var tileW, tileH; //tile width & tile height
 var tileWScale, tileHScale; //tile width/height with scale
-var W2, W4;       //W2: 1/2 tile-width,  W4: 1/4 tile width
-var H2, H4;       //H2: 1/2 tile-height, H4: 1/4 tile height
 
 var mainStageX, mainStageY;
 var scroeStageX, scoreStageY;
@@ -36,8 +33,8 @@ var canvas;
 var mainStage, scoreStage;
 var loadingTxt;
 
-var gameState, lastGameState;
-var tileScale, xMove, yMove;
+var lastGameState;
+var tileScale;
 
 var speedMode = [14, 18, 23, 29, 35]; //slow   normal  fast , slow down all speed 6/2/2016
 
@@ -80,6 +77,7 @@ function init()
 	
 	////genUserLevel(MAX_EDIT_LEVEL); //for debug only
 	getEditLevelInfo(); //load edit levels
+	initLevelTextEvents(); //level text dropped on or pasted into the editor
 	showLoadingPage(); //preload function 
 }
 
@@ -368,7 +366,10 @@ function clearIdleDemoTimer()
 
 function waitIdleDemo(maxIdleTime)
 {
-	// Auto-demo disabled - just wait for user interaction
+	//wait user key or the bot plays after idle too long
+	clearIdleDemoTimer();
+	startIdleTime = new Date();
+	idleTimer = setInterval(function() { checkIdleTime(maxIdleTime); }, 500);
 	anyKeyStopDemo();
 }
 
@@ -434,11 +435,13 @@ function checkIdleTime(maxIdleTime)
 {
 	var idleTime = (new Date() - startIdleTime);
 		
+	if(document.querySelector("[id$='-modal'].active")) { //menu or dialog open: not idle
+		startIdleTime = new Date();
+		return;
+	}
 	if(idleTime > maxIdleTime){ //start demo
 		clearIdleDemoTimer();
-		playMode = PLAY_AUTO;
-		anyKeyStopDemo(); 
-		startGame();
+		botPlay();
 	}
 }
 
@@ -471,6 +474,8 @@ function startPlayTicker()
 	//createjs.Ticker.timingMode = createjs.Ticker.RAF;
 	if(playMode == PLAY_AUTO || playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) {
 		createjs.Ticker.setFPS(demoSpeed); //06/12/2014
+	} else if(playMode == PLAY_REPLAY) {
+		createjs.Ticker.setFPS(replayData.speed); //speed of the recorded run
 	} else {
 		createjs.Ticker.setFPS(speedMode[speed]);
 	}
@@ -488,6 +493,8 @@ function stopPlayTicker()
 function startGame(noCycle)
 {
 	var levelMap;
+	clearIdleDemoTimer();
+	showEditLintPanel(0); //level check panel of editor
 	gameState = GAME_WAITING;
 	startPlayTicker();
 	changingLevel = 1;
@@ -509,8 +516,9 @@ function startGame(noCycle)
 		levelMap = levelData[curLevel-1];
 		break;
 	case PLAY_GENERATED:
-		// Generate a new solvable level using Markov chain + A* verification
-		levelMap = generateSolvableLevel(6, 3, 20);
+	case PLAY_DAILY:	
+		// Generate the next seeded solvable level using Markov chain + A* verification
+		levelMap = generatedRunLevelMap();
 		if(!levelMap) {
 			console.error('Failed to generate level, falling back to classic');
 			levelMap = levelData[0];
@@ -519,6 +527,9 @@ function startGame(noCycle)
 	case PLAY_TEST:
 		levelMap = getTestLevelMap();
 		break;
+	case PLAY_REPLAY:
+		levelMap = getReplayInfo();
+		break;
 	case PLAY_DEMO:
 		getDemoInfo();
 		levelMap = levelData[curLevel-1];
@@ -531,6 +542,9 @@ function startGame(noCycle)
 		getAutoDemoLevel(1);
 		levelMap = levelData[curLevel-1];
 		break;
+	case PLAY_BOT:
+		levelMap = getBotLevelMap();
+		break;
 	}
 	showLevel(levelMap);
 	if(noCycle) {
@@ -541,27 +555,17 @@ function startGame(noCycle)
 	}
 }
 
-var maxTileX = NO_OF_TILES_X - 1, maxTileY = NO_OF_TILES_Y - 1;
-
-var runner = null,  guard= [];
-var map; //[x][y] = { base: base map, act : active map, state:, bitmap: }
-var guardCount, goldCount, goldComplete;
-
 function initVariable()
 {
-	guard = [];
-	keyAction = holeObj.action = ACT_STOP; 
-	goldCount = guardCount = goldComplete = 0;
-	runner = null;
 	dspTrapTile = 0;
 	
-	initRnd(); 
+	//new seed for each play of level, replay plays with the recorded seed
+	setCoreSeed((playMode == PLAY_REPLAY)?replayData.rng:randomCoreSeed());
+	initCoreVariable();
 	initModernVariable();
-	initGuardVariable();
 	initInfoVariable();
 	initCycVariable();
 	
-	initStillFrameVariable(); //05/01/2015 replace sprite with still frame image 
 	setSpeedByAiVersion(); //07/04/2014
 	
 	debug("curAiVersion = " + curAiVersion);
@@ -569,114 +573,11 @@ function initVariable()
 
 function buildLevelMap(levelMap) 
 {
-	var index = 0;
-	var mapGuardCount = 0; //Number of original guards 
+	coreBuildMap(levelMap);
 	
-	//(1) create empty map[x][y] array;
-	map = [];
-	for(var x = 0; x < NO_OF_TILES_X; x++) {
-		map[x] = [];
-		for(var y = 0; y < NO_OF_TILES_Y; y++) {
-			map[x][y] = {}; 
-			if(levelMap.charAt(index++) == '0') mapGuardCount++;
-		}
-	}
-	
-	//(2) draw map
-	index = 0;
-	for(var y = 0; y < NO_OF_TILES_Y; y++) {
-		for(var x = 0; x < NO_OF_TILES_X; x++) {
-			var id = levelMap.charAt(index++);
-			var curTile;
-
-			switch(id) {
-			default:		
-			case ' ': //empty
-				map[x][y].base = EMPTY_T;
-				map[x][y].act  = EMPTY_T;
-				map[x][y].bitmap = null;
-				continue;
-			case '#': //Normal Brick
-				map[x][y].base = BLOCK_T;
-				map[x][y].act = BLOCK_T;	
-				curTile = map[x][y].bitmap = getThemeBitmap("brick");
-				break;	
-			case '@': //Solid Brick
-				map[x][y].base = SOLID_T;
-				map[x][y].act  = SOLID_T;
-				curTile = map[x][y].bitmap = getThemeBitmap("solid");
-				break;	
-			case 'H': //Ladder
-				map[x][y].base =LADDR_T;
-				map[x][y].act  =LADDR_T;
-				curTile = map[x][y].bitmap = getThemeBitmap("ladder");
-				break;	
-			case '-': //Line of rope
-				map[x][y].base = BAR_T;
-				map[x][y].act  = BAR_T;
-				curTile = map[x][y].bitmap = getThemeBitmap("rope");
-				break;	
-			case 'X': //False brick
-				map[x][y].base = TRAP_T; //behavior same as empty
-				map[x][y].act  = TRAP_T; 
-				curTile = map[x][y].bitmap = getThemeBitmap("brick");
-				break;
-			case 'S': //Ladder appears at end of level
-				map[x][y].base = HLADR_T; //behavior same as empty before end of level
-				map[x][y].act  = EMPTY_T; //behavior same as empty before end of level
-				curTile = map[x][y].bitmap = getThemeBitmap("ladder");
-				curTile.set({alpha:0});	//hide the laddr
-				break;
-			case '$': //Gold chest
-				map[x][y].base = GOLD_T; //keep gold on base map
-				map[x][y].act  = EMPTY_T;
-				curTile = map[x][y].bitmap = getThemeBitmap("gold");
-				goldCount++;	
-				break;	
-			case '0': //Guard
-				map[x][y].base = EMPTY_T;
-				map[x][y].act  = GUARD_T;  
-				map[x][y].bitmap = null;
-				if(--mapGuardCount >= maxGuard) {
-					map[x][y].act = EMPTY_T;
-					continue;  //too many guards, set this tile as empty
-				}
-
-				curTile = new createjs.Sprite(guardData, "runLeft");
-				guard[guardCount] = { 
-					sprite: curTile,
-					pos: { x:x, y:y, xOffset:0, yOffset:0}, 
-					action: ACT_STOP,
-					shape: "runLeft",
-					lastLeftRight: "ACT_LEFT",
-					hasGold: 0
-				};					
-				guardCount++;	
-				curTile.stop();	
-				break;	
-			case '&': //Player
-				map[x][y].base = EMPTY_T;
-				map[x][y].act  = RUNNER_T;	
-				map[x][y].bitmap = null;
-				if(runner !=  null) {
-					map[x][y].act  = EMPTY_T;	
-					continue;  //too many runner, set this tile as empty
-				}
-				runner = {};	
-				curTile = runner.sprite = new createjs.Sprite(runnerData, "runRight");
-				runner.pos = { x:x, y:y, xOffset:0, yOffset:0};	
-				runner.action = ACT_UNKNOWN;	
-				runner.shape = "runRight";	
-				runner.lastLeftRight = "ACT_RIGHT";
-				curTile.stop();	
-				break;	
-			}
-			curTile.setTransform(x * tileWScale, y * tileHScale, tileScale, tileScale); //x,y, scaleX, scaleY 
-			mainStage.addChild(curTile); 
-		}
-	}
-	assert(mapGuardCount == 0, "Error: mapCuardCount design error !" );
-	moveSprite2Top();
+	gameView = canvasView;
+	gameView.buildLevel();
+	ghostBuild();
 }
 
 function moveSprite2Top()
@@ -733,6 +634,8 @@ var goldTxt, goldTile,
 	guardTxt, guardTile,
 	timeTxt, timeTile;
 
+var seedTxt = null; //for generated mode
+
 //=============================
 // initial modern mode variable
 //=============================
@@ -765,11 +668,19 @@ function initInfoVariable()
 
 	timeTxt = []; 
 	timeTile = [];
+	
+	seedTxt = null;
+}
+
+//play modes with SCORE & MEN information (classic rules)
+function classicScoreMode()
+{
+	return (playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO || generatedPlayMode());
 }
 
 function drawInfo()
 {
-	if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {
+	if(classicScoreMode()) {
 		//SCORE
 		drawScoreTxt();
 		drawScore(0);
@@ -798,6 +709,9 @@ function drawInfo()
 	//LEVEL
 	drawLevelTxt();
 	drawLevel();
+	
+	if(generatedPlayMode()) drawSeed();
+	drawGhost();
 }
 
 //for classic & auto demo mode
@@ -876,6 +790,19 @@ function drawLevel()
 	}
 }
 
+//for generated mode: seed shown on the ground bar, so the level can be re-created
+function drawSeed()
+{
+	if(seedTxt) mainStage.removeChild(seedTxt);
+	
+	seedTxt = new createjs.Text(generatedSeedText(), "bold " + (GROUND_TILE_Y-4)*tileScale + "px Helvetica", "#ffffff");
+	seedTxt.textAlign = "right";
+	seedTxt.x = NO_OF_TILES_X * tileWScale - 4*tileScale;
+	seedTxt.y = NO_OF_TILES_Y * tileHScale + 1*tileScale;
+	seedTxt.shadow = new createjs.Shadow("black", 1, 1, 1);
+	mainStage.addChild(seedTxt);
+}
+
 function drawGold(addGold)
 {
 	curGetGold += addGold;
@@ -918,7 +845,7 @@ function setGroundInfoOrder()
 
 	for(i = 0; i < groundTile.length; i++) moveChild2Top(mainStage, groundTile[i]);
 	
-	if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {
+	if(classicScoreMode()) {
 		for(i = 0; i < scoreTxt.length; i++) moveChild2Top(mainStage, scoreTxt[i]);
 		for(i = 0; i < scoreTile.length; i++) moveChild2Top(mainStage, scoreTile[i]);
 
@@ -941,6 +868,8 @@ function setGroundInfoOrder()
 	
 	for(i = 0; i < levelTxt.length; i++) moveChild2Top(mainStage, levelTxt[i]);
 	for(i = 0; i < levelTile.length; i++) moveChild2Top(mainStage, levelTile[i]);
+	
+	if(seedTxt) moveChild2Top(mainStage, seedTxt);
 }
 
 function drawText(x, y, str, parentObj, numberType)
@@ -997,28 +926,27 @@ function drawText(x, y, str, parentObj, numberType)
 var playTickTimer = 0;
 function playGame(deltaS)
 {
-	if(goldComplete && runner.pos.y == 0 && runner.pos.yOffset == 0) {
+	if(coreLevelFinished()) {
 		gameState = GAME_FINISH;
 		return;
 	}
 	
 	if(++playTickTimer >= TICK_COUNT_PER_TIME) {
-		if(playMode != PLAY_CLASSIC && playMode != PLAY_AUTO && playMode != PLAY_DEMO) drawTime(1);
+		if(!classicScoreMode()) drawTime(1);
 		else countTime(1);
 		playTickTimer = 0;
 	}
 	
 	if(playMode == PLAY_AUTO || playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) playDemo();
+	if(playMode == PLAY_BOT) keyAction = botAction();
 	if(recordMode) processRecordKey();
-	if(!isDigging()) moveRunner();
-	else processDigHole();
-	if(gameState != GAME_RUNNER_DEAD) moveGuard();
-	
-	if(curAiVersion >= 3) {
-		processGuardShake();
-		processFillHole();
-		processReborn();
+	if(playMode == PLAY_REPLAY && !replayPlayTick()) {
+		replayPlayEnd(gameState); //all ticks played, but level not end
+		return;
 	}
+	replayRecordTick();
+	coreMove();
+	ghostMove();
 }
 
 //***********************
@@ -1032,12 +960,15 @@ function showLevel(levelMap)
 	//loadingTxt.text = tileScale;  //for debug
 	mainStage.addChild(loadingTxt); //for debug
 
+	ghostPrepare(levelMap); //before initVariable(), it plays the ghost run with the game core
 	initVariable();	
+	replayRecordStart(levelMap);
 	setBackground();
 	
 	buildLevelMap(levelMap);
 	
 	buildGroundInfo();
+	setSolutionPathLevel(levelMap);
 }
 
 var tipsText = null, tipsRect = null;
@@ -1158,7 +1089,7 @@ function startAllSpriteObj()
 	if(curAiVersion < 3) { //for sprite only
 		//(3) fill hole stop
 		for(var i = 0; i < fillHoleObj.length; i++)
-			fillHoleObj[i].play();
+			fillHoleObj[i].sprite.play();
 	
 		//(4) hole digging
 		if(holeObj.action == ACT_DIGGING) holeObj.sprite.play();
@@ -1182,12 +1113,14 @@ function stopAllSpriteObj()
 	if(curAiVersion < 3) { //for sprite only
 		//(3) fill hole stop
 		for(var i = 0; i < fillHoleObj.length; i++)
-			fillHoleObj[i].stop();
+			fillHoleObj[i].sprite.stop();
 	
 		//(4) hole digging
 		if(holeObj.action == ACT_DIGGING) holeObj.sprite.stop();
 	}
 	
+	//(5) ghost stop
+	if(ghostSprite) ghostSprite.stop();
 }
 
 function gameOverAnimation()
@@ -1298,8 +1231,11 @@ function closingScreen(r)
 
 		if(playMode == PLAY_TEST) {
 			levelMap = getTestLevelMap();
-		} else if(playMode == PLAY_GENERATED) {
-			levelMap = generateSolvableLevel(6, 3, 20);
+		} else if(generatedPlayMode()) {
+			levelMap = generatedRunLevelMap();
+			if(!levelMap) levelMap = levelData[0]; //no solvable level generated
+		} else if(playMode == PLAY_BOT) {
+			levelMap = getBotLevelMap();
 		} else {
 			levelMap = levelData[curLevel-1];
 		}
@@ -1401,6 +1337,10 @@ function beginPlay()
 	if(playMode == PLAY_AUTO || playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) {
 		initPlayDemo();
 		if(playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) initForPlay();
+	} else if(playMode == PLAY_REPLAY) {
+		initReplayPlay();
+	} else if(playMode == PLAY_BOT) {
+		initBotPlay();
 	} else {
 		// Skip name input prompt - just go straight to help/game
 		// Players can enter name when they get a high score
@@ -1511,11 +1451,13 @@ function mainTick(event)
 		break;	
 	case GAME_RUNNING:
 		playGame(deltaS);
+		if(playMode == PLAY_REPLAY) replayFastForward(deltaS);
 		break;
 	case GAME_RUNNER_DEAD:
 		//console.log("Time=" + curTime + ", Tick= " + playTickTimer);
 		//if(recordMode) recordModeToggle(GAME_RUNNER_DEAD); //for debug only (if enable it must disable below statement)
 		if(recordMode == RECORD_KEY) recordModeDump(GAME_RUNNER_DEAD);	
+		replayRecordEnd(GAME_RUNNER_DEAD);
 			
 		soundStop(soundFall);
 		stopAllSpriteObj();	
@@ -1523,12 +1465,15 @@ function mainTick(event)
 		switch(playMode) {
 		case PLAY_CLASSIC:
 		case PLAY_AUTO:
+		case PLAY_GENERATED:
+		case PLAY_DAILY:	
 			--runnerLife;
 			drawLife();	
 			if(runnerLife <= 0) {
 				gameOverAnimation();
 				menuIconDisable(1);
 				if(playMode == PLAY_CLASSIC) clearClassicInfo();
+				if(playMode == PLAY_DAILY) setDailyInfo();
 				gameState = GAME_OVER_ANIMATION;
 			} else {
 				setTimeout(function() {gameState = GAME_NEW_LEVEL; }, 500);
@@ -1551,7 +1496,7 @@ function mainTick(event)
 			gameState = GAME_WAITING;	
 			break;	
 		case PLAY_MODERN:
-		case PLAY_GENERATED:
+		case PLAY_BOT:
 			setTimeout(function() {gameState = GAME_NEW_LEVEL; }, 500);
 			gameState = GAME_WAITING;
 			break;
@@ -1559,6 +1504,9 @@ function mainTick(event)
 			setTimeout(function() { back2EditMode(0); }, 500);
 			gameState = GAME_WAITING;
 			break;
+		case PLAY_REPLAY:
+			replayPlayEnd(GAME_RUNNER_DEAD);
+			break;
 		default:
 			debug("GAME_RUNNER_DEAD: desgin error !");
 			break;
@@ -1571,18 +1519,33 @@ function mainTick(event)
 		if(playMode == PLAY_CLASSIC && !sometimePlayInGodMode) {	
 			scoreInfo = {s:curScore, l: passedLevel+1 };
 		}	
+		
+		if(playMode == PLAY_DAILY) {
+			showScoreTable(PLAY_DATA_DAILY, generatedScoreInfo(), function() { showCoverPage();});	
+			gameState = GAME_WAITING;	
+			return;
+		}
+		
+		if(playMode == PLAY_GENERATED) {
+			showScoreTable(PLAY_DATA_GENERATED, generatedScoreInfo(), function() { showCoverPage();});	
+			gameState = GAME_WAITING;	
+			return;
+		}
 			
 		showScoreTable(playData, scoreInfo , function() { showCoverPage();});	
 		gameState = GAME_WAITING;	
 		return;
 	case GAME_FINISH: 
 		stopAllSpriteObj();
+		ghostSaveBest(replayRecordEnd(GAME_FINISH));
 		//console.log("Time=" + curTime + ", Tick= " + playTickTimer);
 			
 		switch(playMode) {
 		case PLAY_CLASSIC:
 		case PLAY_AUTO:		
 		case PLAY_DEMO:		
+		case PLAY_GENERATED:
+		case PLAY_DAILY:	
 			soundPlay(soundPass);
 			finalScore = curScore + SCORE_COMPLETE_LEVEL;
 			scoreDuration = ((soundPass.getDuration()) /(SCORE_COUNTER+1))| 0;
@@ -1606,15 +1569,17 @@ function mainTick(event)
 						  mainStage, tileScale, gameFinishCallback);
 			gameState = GAME_WAITING;
 			break;
-		case PLAY_GENERATED:
+		case PLAY_TEST:
 			soundPlay(soundEnding);
-			// Generate a new level after completing
-			setTimeout(function() {gameState = GAME_NEW_LEVEL; }, 1000);
+			setTimeout(function() { back2EditMode(1);},500);	
 			gameState = GAME_WAITING;
 			break;
-		case PLAY_TEST:
+		case PLAY_REPLAY:
 			soundPlay(soundEnding);
-			setTimeout(function() { back2EditMode(1);},500);	
+			replayPlayEnd(GAME_FINISH);
+			break;
+		case PLAY_BOT:
+			setTimeout(function() {gameState = GAME_NEW_LEVEL; }, 1000);
 			gameState = GAME_WAITING;
 			break;
 		default:
@@ -1646,6 +1611,12 @@ function mainTick(event)
 				case PLAY_CLASSIC:
 					if(++runnerLife > RUNNER_MAX_LIFE) runnerLife = RUNNER_MAX_LIFE;	
 					break;	
+				case PLAY_GENERATED:
+				case PLAY_DAILY:
+					if(++runnerLife > RUNNER_MAX_LIFE) runnerLife = RUNNER_MAX_LIFE;	
+					curLevel++; //generated levels never wrap
+					if(playMode == PLAY_DAILY) setDailyInfo();
+					break;	
 				case PLAY_AUTO:
 					if(demoCount >= demoMaxCount) {
 						setTimeout(function(){ showCoverPage();}, 500);	
@@ -1654,7 +1625,7 @@ function mainTick(event)
 					break;	
 				}
 
-				if(recordMode != RECORD_PLAY) {
+				if(recordMode != RECORD_PLAY && !generatedPlayMode()) {
 					if(incLevel(1, 1) && playMode == PLAY_CLASSIC && passedLevel >= levelData.length) 
 						gameState = GAME_WIN;
 				}
@@ -12,17 +12,20 @@
 //   'B' (solid) -> '@' (solid brick)
 //   '#' (ladder) -> 'H' (ladder)
 //   '-' (rope) -> '-' (rope)
+//   't' (trap) -> 'X' (trap brick: looks like brick, falls through)
 // We add after generation:
 //   '$' (gold)
 //   '0' (guard/enemy)
 //   '&' (player)
+//   'S' (hidden escape ladder, appears when all gold is collected)
 
 var MARKOV_TILES = {
     EMPTY: '.',
     BRICK: 'b',
     SOLID: 'B',
     LADDER: '#',
-    ROPE: '-'
+    ROPE: '-',
+    TRAP: 't'
 };
 
 var TOTALRECALL_TILES = {
@@ -38,14 +41,194 @@ var TOTALRECALL_TILES = {
     PLAYER: '&'
 };
 
-// Pre-trained Markov model data (loaded from JSON)
+// Model file (markov-model.json, written by scripts/train-markov.js):
+// { format: "meelode-markov", version: 2, context: ["above", "left", "aboveLeft"],
+//   tiles: ".bB#-t", edge: "X", corpus: { levels, variants }, default: "mixed",
+//   models: { mixed: { name: "Mixed", training: {...}, transitions: {...} },
+//             championship: { name: "Championship", ... }, ... } }
+// Each sub-model is a level style; version 1 files and the bare transitions
+// of earlier files are read as one "mixed" style.
+var MARKOV_MODEL_FORMAT = "meelode-markov";
+var MARKOV_MODEL_VERSION = 2;
+var MARKOV_MODEL_CONTEXT = "above|left|aboveLeft";
+var MARKOV_DEFAULT_STYLE = "mixed";
+
+// Loaded model file: { default:, models: { style: { name:, transitions: } } }
+var markovModelFile = null;
+
+// Transitions of the active style, the generator samples from them
 var markovModel = null;
 
+// Active style (sub-model name)
+var markovStyle = "";
+
+// Id of the active style (hash of its transitions), kept with levels saved from it
+var markovModelId = "";
+
+// Seed used by the last generateSolvableLevel() / generateMarkovLevel() call
+var markovLastSeed = 0;
+
+// ============================================================================
+// SEEDED RANDOM NUMBER GENERATOR
+// Every random choice made while building a level goes through an rng
+// function created here, so the same seed always yields the same level.
+// ============================================================================
+
+/**
+ * Create a seeded PRNG (mulberry32) returning floats in [0, 1),
+ * also the PRNG of the game core (createCoreRandom): getState() and
+ * setState() save and restore it (coreSave, coreRestore)
+ */
+function createMarkovRng(seed) {
+    var state = seed >>> 0;
+    var rng = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    rng.getState = function() { return state; };
+    rng.setState = function(value) { state = value >>> 0; };
+
+    return rng;
+}
+
+/**
+ * Pick a fresh random seed (unsigned 32-bit integer)
+ */
+function randomMarkovSeed() {
+    return (Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Derive the seed of the Nth level of a run from the run seed
+ */
+function deriveMarkovSeed(runSeed, index) {
+    var h = (runSeed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Parse a seed typed by a player (number, or any text hashed to a number)
+ * Returns null for an empty value
+ */
+function parseMarkovSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    var str = String(value).trim();
+    if (str.length === 0) return null;
+    if (/^\d+$/.test(str) && parseFloat(str) < 4294967296) return parseInt(str, 10) >>> 0;
+
+    // FNV-1a hash for text seeds
+    var h = 0x811C9DC5;
+    for (var i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Short id of a text (FNV-1a hash, 8 hex digits)
+ */
+function markovTextId(text) {
+    var h = 0x811C9DC5;
+    for (var i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return ("0000000" + (h >>> 0).toString(16)).slice(-8);
+}
+
+/**
+ * Read a model file (text), make its default style active
+ * Throws an Error telling what is wrong with the file
+ */
+function setMarkovModelText(text) {
+    var data = JSON.parse(text);
+    var file;
+
+    if (!data || typeof data !== 'object') throw new Error('not a model');
+
+    if (data.format !== MARKOV_MODEL_FORMAT) {
+        // bare transitions of the earlier model files
+        for (var key in data) {
+            if (key.split('|').length !== 3) throw new Error('not a model');
+        }
+        file = { default: MARKOV_DEFAULT_STYLE, models: {} };
+        file.models[MARKOV_DEFAULT_STYLE] = { name: 'Mixed', transitions: data };
+    } else {
+        if (!(data.version <= MARKOV_MODEL_VERSION)) throw new Error('model version ' + data.version);
+        if ((data.context || []).join('|') !== MARKOV_MODEL_CONTEXT) throw new Error('model context ' + data.context);
+
+        if (data.version < 2) {
+            file = { default: MARKOV_DEFAULT_STYLE, models: {} };
+            file.models[MARKOV_DEFAULT_STYLE] = { name: 'Mixed', transitions: data.transitions };
+        } else {
+            file = { default: data.default, models: data.models || {} };
+        }
+    }
+
+    for (var style in file.models) {
+        if (!file.models[style].transitions) throw new Error('no transitions of style ' + style);
+    }
+    if (!file.models[file.default]) throw new Error('no default style');
+
+    markovModelFile = file;
+    setMarkovStyle(file.default);
+}
+
+/**
+ * Make a style of the loaded model active, returns false when there is no such style
+ */
+function setMarkovStyle(style) {
+    if (!markovModelFile || !markovModelFile.models[style]) return false;
+
+    markovStyle = style;
+    markovModel = markovModelFile.models[style].transitions;
+    markovModelId = markovTextId(JSON.stringify(markovModel));
+    return true;
+}
+
+/**
+ * Default style of the loaded model
+ */
+function markovDefaultStyle() {
+    return markovModelFile ? markovModelFile.default : MARKOV_DEFAULT_STYLE;
+}
+
+/**
+ * Display name of a style of the loaded model
+ */
+function markovStyleName(style) {
+    var model = markovModelFile && markovModelFile.models[style];
+    return (model && model.name) || style;
+}
+
+/**
+ * Styles of the loaded model: [{ id, name }] in file order
+ */
+function markovStyles() {
+    var styles = [];
+
+    if (!markovModelFile) return styles;
+    for (var style in markovModelFile.models) {
+        styles.push({ id: style, name: markovStyleName(style) });
+    }
+    return styles;
+}
+
 /**
  * Load the pre-trained Markov model
+ * callback() once it is loaded, errorCallback(reason) when it can't be: no
+ * level can be generated then (the generator needs the model)
  */
-function loadMarkovModel(callback) {
-    if (markovModel) {
+function loadMarkovModel(callback, errorCallback) {
+    if (markovModelFile) {
         if (callback) callback();
         return;
     }
@@ -54,18 +237,25 @@ function loadMarkovModel(callback) {
     var xhr = new XMLHttpRequest();
     xhr.open('GET', 'markov-model.json', true);
     xhr.onreadystatechange = function() {
-        if (xhr.readyState === 4) {
-            if (xhr.status === 200) {
-                markovModel = JSON.parse(xhr.responseText);
-                console.log('Markov model loaded with ' + Object.keys(markovModel).length + ' patterns');
-                if (callback) callback();
-            } else {
-                console.error('Failed to load Markov model');
-                // Use fallback empty model
-                markovModel = {};
-                if (callback) callback();
+        if (xhr.readyState !== 4) return;
+
+        var reason = (xhr.status === 200) ? '' : 'HTTP ' + xhr.status;
+        if (!reason) {
+            try {
+                setMarkovModelText(xhr.responseText);
+            } catch (e) {
+                reason = e.message;
             }
         }
+
+        if (reason) {
+            console.error('Failed to load Markov model: ' + reason);
+            if (errorCallback) errorCallback(reason);
+            return;
+        }
+        console.log('Markov model loaded with ' + markovStyles().length + ' styles, ' +
+                    Object.keys(markovModel).length + ' patterns in ' + markovStyle);
+        if (callback) callback();
     };
     xhr.send();
 }
@@ -80,13 +270,15 @@ function getContextKey(above, left, aboveLeft) {
 /**
  * Sample a tile based on context from the Markov model
  */
-function sampleTile(above, left, aboveLeft) {
+function sampleTile(above, left, aboveLeft, rng) {
+    rng = rng || Math.random;
+
     var contextKey = getContextKey(above, left, aboveLeft);
     var tileProbs = markovModel[contextKey];
 
     if (!tileProbs) {
         // Fallback: random with bias toward empty
-        var r = Math.random();
+        var r = rng();
         if (r < 0.6) return MARKOV_TILES.EMPTY;
         if (r < 0.8) return MARKOV_TILES.BRICK;
         if (r < 0.9) return MARKOV_TILES.LADDER;
@@ -95,7 +287,7 @@ function sampleTile(above, left, aboveLeft) {
     }
 
     // Weighted random selection
-    var r = Math.random();
+    var r = rng();
     var cumulative = 0;
 
     for (var tile in tileProbs) {
@@ -119,6 +311,7 @@ function convertTile(markovTile) {
         case 'B': return TOTALRECALL_TILES.SOLID;
         case '#': return TOTALRECALL_TILES.LADDER;
         case '-': return TOTALRECALL_TILES.ROPE;
+        case 't': return TOTALRECALL_TILES.TRAP;
         default: return TOTALRECALL_TILES.EMPTY;
     }
 }
@@ -126,7 +319,7 @@ function convertTile(markovTile) {
 /**
  * Generate level structure using Markov chain
  */
-function generateMarkovStructure() {
+function generateMarkovStructure(rng) {
     var width = NO_OF_TILES_X;  // 28
     var height = NO_OF_TILES_Y; // 16
 
@@ -151,7 +344,7 @@ function generateMarkovStructure() {
             var left = x > 0 ? level[y][x - 1] : null;
             var aboveLeft = (y > 0 && x > 0) ? level[y - 1][x - 1] : null;
 
-            level[y][x] = sampleTile(above, left, aboveLeft);
+            level[y][x] = sampleTile(above, left, aboveLeft, rng);
         }
     }
 
@@ -160,19 +353,24 @@ function generateMarkovStructure() {
 
 /**
  * Post-process to fix structural issues
+ * Cells of the optional lock grid (locked[y][x]) are never changed
  */
-function postProcessLevel(level) {
+function postProcessLevel(level, rng, locked) {
+    rng = rng || Math.random;
+
     var height = level.length;
     var width = level[0].length;
 
     // Fix floating ladders - extend them down or remove
     for (var y = 0; y < height - 1; y++) {
         for (var x = 0; x < width; x++) {
+            if (locked && locked[y][x]) continue;
+
             if (level[y][x] === MARKOV_TILES.LADDER) {
                 var below = level[y + 1][x];
                 if (below === MARKOV_TILES.EMPTY && y < height - 2) {
                     // Extend ladder down
-                    if (Math.random() < 0.7) {
+                    if (rng() < 0.7 && !(locked && locked[y + 1][x])) {
                         level[y + 1][x] = MARKOV_TILES.LADDER;
                     } else {
                         level[y][x] = MARKOV_TILES.EMPTY;
@@ -184,7 +382,7 @@ function postProcessLevel(level) {
             if (level[y][x] === MARKOV_TILES.ROPE) {
                 var below = level[y + 1] ? level[y + 1][x] : null;
                 if (below === MARKOV_TILES.BRICK || below === MARKOV_TILES.SOLID) {
-                    level[y][x] = Math.random() < 0.5 ? MARKOV_TILES.EMPTY : MARKOV_TILES.LADDER;
+                    level[y][x] = rng() < 0.5 ? MARKOV_TILES.EMPTY : MARKOV_TILES.LADDER;
                 }
             }
         }
@@ -195,8 +393,9 @@ function postProcessLevel(level) {
 
 /**
  * Find valid positions for entities (empty space with ground below)
+ * Cells of the optional lock grid are left out
  */
-function findValidPositions(level) {
+function findValidPositions(level, locked) {
     var positions = [];
     var height = level.length;
     var width = level[0].length;
@@ -205,6 +404,7 @@ function findValidPositions(level) {
         for (var x = 0; x < width; x++) {
             var tile = level[y][x];
             var below = level[y + 1][x];
+            if (locked && locked[y][x]) continue;
 
             // Valid if current is empty/ladder and below is solid/brick/ladder
             if ((tile === MARKOV_TILES.EMPTY || tile === MARKOV_TILES.LADDER) &&
@@ -220,26 +420,35 @@ function findValidPositions(level) {
 
 /**
  * Place entities (player, guards, gold) on the level
+ * Entities already on the level count toward numGold / numGuards,
+ * new ones are not placed on cells of the optional lock grid
  */
-function placeEntities(level, numGold, numGuards) {
+function placeEntities(level, numGold, numGuards, rng, locked) {
     numGold = numGold || 6;
     numGuards = numGuards || 3;
+    rng = rng || Math.random;
 
-    var positions = findValidPositions(level);
+    var positions = findValidPositions(level, locked);
 
     // Shuffle positions
     for (var i = positions.length - 1; i > 0; i--) {
-        var j = Math.floor(Math.random() * (i + 1));
+        var j = Math.floor(rng() * (i + 1));
         var temp = positions[i];
         positions[i] = positions[j];
         positions[j] = temp;
     }
 
-    var placed = { player: false, gold: 0, guards: 0 };
+    var placed = { player: findPlayerPosition(level) !== null, gold: findGoldPositions(level).length, guards: 0 };
     var usedPositions = [];
 
+    for (var y = 0; y < level.length; y++) {
+        for (var x = 0; x < level[y].length; x++) {
+            if (level[y][x] === '0') placed.guards++;
+        }
+    }
+
     // Place player first (bottom half of level preferred)
-    for (var i = 0; i < positions.length; i++) {
+    for (var i = 0; i < positions.length && !placed.player; i++) {
         var pos = positions[i];
         if (pos.y > level.length / 2) {
             level[pos.y][pos.x] = '&'; // Player marker (will convert later)
@@ -280,6 +489,62 @@ function placeEntities(level, numGold, numGuards) {
     return level;
 }
 
+/**
+ * Add a hidden escape ladder ('S') column from the top row down to a floor or
+ * ladder top the runner can reach, so the level can be left once all gold is
+ * collected. Levels without such a column, or with a hidden ladder already,
+ * are returned unchanged. The column never crosses the optional lock grid.
+ */
+function placeEscapeLadder(level, rng, locked) {
+    rng = rng || Math.random;
+
+    var width = level[0].length;
+    var player = findPlayerPosition(level);
+    if (!player) return level;
+
+    for (var y = 0; y < level.length; y++) {
+        if (level[y].indexOf(TOTALRECALL_TILES.HLADDER) >= 0) return level;
+    }
+
+    var reachable = getReachablePositions(level, player.x, player.y);
+    var candidates = [];
+
+    for (var x = 0; x < width; x++) {
+        // The ladder only replaces empty cells
+        var bottom = 0;
+        while (bottom < level.length && level[bottom][x] === MARKOV_TILES.EMPTY &&
+               !(locked && locked[bottom][x])) bottom++;
+        if (bottom === 0 || bottom >= level.length) continue;
+
+        // Its foot must rest on something to stand on or on a visible ladder
+        var below = level[bottom][x];
+        if (below !== MARKOV_TILES.BRICK && below !== MARKOV_TILES.SOLID &&
+            below !== MARKOV_TILES.LADDER) continue;
+
+        if (reachable[x + ',' + (bottom - 1)]) candidates.push({ x: x, bottom: bottom });
+    }
+
+    if (candidates.length === 0) return level;
+
+    var escape = candidates[Math.floor(rng() * candidates.length)];
+    for (var y = 0; y < escape.bottom; y++) {
+        level[y][escape.x] = TOTALRECALL_TILES.HLADDER;
+    }
+
+    return level;
+}
+
+/**
+ * Copy of the level with hidden ladders shown, as after all gold is collected
+ */
+function revealHiddenLadders(level) {
+    return level.map(function(row) {
+        return row.map(function(tile) {
+            return tile === TOTALRECALL_TILES.HLADDER ? MARKOV_TILES.LADDER : tile;
+        });
+    });
+}
+
 /**
  * Convert 2D level array to TotalRecall string format
  */
@@ -291,7 +556,7 @@ function levelToString(level) {
             var tile = level[y][x];
 
             // Convert Markov tiles to TotalRecall format
-            if (tile === '&' || tile === '$' || tile === '0') {
+            if (tile === '&' || tile === '$' || tile === '0' || tile === TOTALRECALL_TILES.HLADDER) {
                 // Entity markers pass through
                 str += tile;
             } else {
@@ -305,8 +570,9 @@ function levelToString(level) {
 
 /**
  * Generate a complete playable level
+ * The same seed always produces the same level (a random seed is used if omitted)
  */
-function generateMarkovLevel(numGold, numGuards) {
+function generateMarkovLevel(numGold, numGuards, seed) {
     if (!markovModel) {
         console.error('Markov model not loaded!');
         return null;
@@ -314,20 +580,27 @@ function generateMarkovLevel(numGold, numGuards) {
 
     numGold = numGold || 6;
     numGuards = numGuards || 3;
+    if (seed === undefined || seed === null) seed = randomMarkovSeed();
+    markovLastSeed = seed >>> 0;
+
+    var rng = createMarkovRng(markovLastSeed);
 
     // Generate structure
-    var level = generateMarkovStructure();
+    var level = generateMarkovStructure(rng);
 
     // Post-process for validity
-    level = postProcessLevel(level);
+    level = postProcessLevel(level, rng);
 
     // Place entities
-    level = placeEntities(level, numGold, numGuards);
+    level = placeEntities(level, numGold, numGuards, rng);
+
+    // Hidden escape ladder
+    level = placeEscapeLadder(level, rng);
 
     // Convert to string
     var levelStr = levelToString(level);
 
-    console.log('Generated level with ' + numGold + ' gold and ' + numGuards + ' guards');
+    console.log('Generated level with ' + numGold + ' gold and ' + numGuards + ' guards (seed ' + markovLastSeed + ')');
 
     return levelStr;
 }
@@ -356,13 +629,16 @@ function hasGroundSupport(level, x, y) {
     var current = level[y] ? level[y][x] : null;
     var below = (y + 1 < height) ? level[y + 1][x] : null;
 
+    // The bottom edge of the map is a floor
+    if (y === height - 1) return true;
+
     // On a ladder or rope - can stay there
     if (current === MARKOV_TILES.LADDER || current === MARKOV_TILES.ROPE ||
         current === '#' || current === '-') {
         return true;
     }
 
-    // Standing on solid ground (brick, solid, ladder)
+    // Standing on solid ground (brick, solid, ladder), never on a trap
     if (below === MARKOV_TILES.BRICK || below === MARKOV_TILES.SOLID ||
         below === MARKOV_TILES.LADDER || below === 'b' || below === 'B' || below === '#') {
         return true;
@@ -387,10 +663,12 @@ function isPassable(level, x, y, dugPositions) {
         return true;
     }
 
-    // Passable tiles: empty, ladder, rope, gold, player, guard positions
+    // Passable tiles: empty, ladder, rope, trap (falls through), gold, player, guard positions
     return tile === MARKOV_TILES.EMPTY || tile === MARKOV_TILES.LADDER ||
-           tile === MARKOV_TILES.ROPE || tile === '.' || tile === '#' || tile === '-' ||
-           tile === '$' || tile === '&' || tile === '0';
+           tile === MARKOV_TILES.ROPE || tile === MARKOV_TILES.TRAP ||
+           tile === '.' || tile === '#' || tile === '-' ||
+           tile === '$' || tile === '&' || tile === '0' ||
+           tile === TOTALRECALL_TILES.HLADDER; // empty until all gold is collected
 }
 
 /**
@@ -406,6 +684,21 @@ function canDigAt(level, x, y) {
     return tile === MARKOV_TILES.BRICK || tile === 'b';
 }
 
+/**
+ * Check if the runner can dig from a position beside the cell to dig: it steps
+ * there, so it must be empty (no ladder, rope, trap or brick, see ok2Dig())
+ * A gold there is taken first by stepping on it and back
+ */
+function canDigBeside(level, x, y, dugPositions) {
+    if (!isPassable(level, x, y, dugPositions)) return false;
+    if (dugPositions && dugPositions[x + ',' + y]) return true;
+
+    var tile = level[y][x];
+    return tile === MARKOV_TILES.EMPTY || tile === TOTALRECALL_TILES.EMPTY ||
+           tile === '$' || tile === '&' || tile === '0' ||
+           tile === TOTALRECALL_TILES.HLADDER;
+}
+
 /**
  * Get valid moves from a position for A* pathfinding
  */
@@ -435,6 +728,7 @@ function getValidMoves(level, x, y, dugPositions) {
             }
             landY++;
         }
+        if (landY === height) moves.push({ x: x, y: height - 1 });
         return moves;
     }
 
@@ -454,13 +748,12 @@ function getValidMoves(level, x, y, dugPositions) {
         moves.push({ x: x, y: y - 1 });
     }
 
-    // Climb down
+    // Climb down, or let go of a rope and fall
     if (y < height - 1) {
         var below = level[y + 1][x];
         if (below === MARKOV_TILES.LADDER || below === '#' || dugPositions[x + ',' + (y + 1)]) {
             moves.push({ x: x, y: y + 1 });
-        } else if ((current === MARKOV_TILES.LADDER || current === '#') &&
-                   isPassable(level, x, y + 1, dugPositions)) {
+        } else if (onClimbable && isPassable(level, x, y + 1, dugPositions)) {
             moves.push({ x: x, y: y + 1 });
         }
     }
@@ -469,7 +762,8 @@ function getValidMoves(level, x, y, dugPositions) {
     if (hasSupport && x > 0) {
         var digX = x - 1;
         var digY = y + 1;
-        if (digY < height && canDigAt(level, digX, digY) && !dugPositions[digX + ',' + digY]) {
+        if (digY < height && canDigAt(level, digX, digY) && !dugPositions[digX + ',' + digY] &&
+            canDigBeside(level, digX, y, dugPositions)) {
             moves.push({ x: x - 1, y: y, dig: { x: digX, y: digY } });
         }
     }
@@ -478,7 +772,8 @@ function getValidMoves(level, x, y, dugPositions) {
     if (hasSupport && x < width - 1) {
         var digX = x + 1;
         var digY = y + 1;
-        if (digY < height && canDigAt(level, digX, digY) && !dugPositions[digX + ',' + digY]) {
+        if (digY < height && canDigAt(level, digX, digY) && !dugPositions[digX + ',' + digY] &&
+            canDigBeside(level, digX, y, dugPositions)) {
             moves.push({ x: x + 1, y: y, dig: { x: digX, y: digY } });
         }
     }
@@ -593,43 +888,1376 @@ function isLevelSolvable(level) {
     return true;
 }
 
+// ============================================================================
+// FULL SOLVABILITY CHECKER (Collect all gold AND escape)
+// Ported from TypeScript solvabilityChecker.ts canSolveLevel()
+// State = (position, collected gold bitmask)
+// ============================================================================
+
 /**
- * Generate a verified solvable level (retries until solvable)
+ * Minimal binary heap ordered by node.f, the open set of the full solver
  */
-function generateSolvableLevel(numGold, numGuards, maxAttempts) {
-    if (!markovModel) {
-        console.error('Markov model not loaded!');
-        return null;
+function createSolverHeap() {
+    var nodes = [];
+
+    return {
+        size: function() { return nodes.length; },
+        push: function(node) {
+            nodes.push(node);
+            var i = nodes.length - 1;
+            while (i > 0) {
+                var parent = (i - 1) >> 1;
+                if (nodes[parent].f <= nodes[i].f) break;
+                var temp = nodes[parent]; nodes[parent] = nodes[i]; nodes[i] = temp;
+                i = parent;
+            }
+        },
+        pop: function() {
+            var top = nodes[0];
+            var last = nodes.pop();
+            if (nodes.length > 0) {
+                nodes[0] = last;
+                var i = 0;
+                while (true) {
+                    var left = i * 2 + 1, right = left + 1, min = i;
+                    if (left < nodes.length && nodes[left].f < nodes[min].f) min = left;
+                    if (right < nodes.length && nodes[right].f < nodes[min].f) min = right;
+                    if (min === i) break;
+                    var temp = nodes[min]; nodes[min] = nodes[i]; nodes[i] = temp;
+                    i = min;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+/**
+ * Find escape positions - ladders that reach the top row
+ * If there are none, any open position in the top row counts
+ */
+function findEscapePositions(level) {
+    var escapes = [];
+    var width = level[0] ? level[0].length : 0;
+
+    for (var x = 0; x < width; x++) {
+        if (level[0][x] === MARKOV_TILES.LADDER) {
+            escapes.push({ x: x, y: 0 });
+        } else if (level[0][x] === MARKOV_TILES.EMPTY && level.length > 1 &&
+                   level[1][x] === MARKOV_TILES.LADDER) {
+            escapes.push({ x: x, y: 0 });
+        }
     }
 
-    numGold = numGold || 6;
-    numGuards = numGuards || 3;
-    maxAttempts = maxAttempts || 20;
+    if (escapes.length === 0) {
+        for (var x = 0; x < width; x++) {
+            var tile = level[0][x];
+            if (tile === MARKOV_TILES.EMPTY || tile === MARKOV_TILES.ROPE || tile === MARKOV_TILES.LADDER) {
+                escapes.push({ x: x, y: 0 });
+            }
+        }
+    }
 
-    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
-        console.log('Generation attempt ' + attempt + '/' + maxAttempts);
+    return escapes;
+}
 
-        // Generate structure
-        var level = generateMarkovStructure();
+/**
+ * Heuristic for the full solver: distance to the nearest uncollected gold
+ * plus the shortest gold-to-escape distance (never overestimates)
+ */
+function fullHeuristic(x, y, collectedGold, goldPositions, escapePositions) {
+    var allGoldMask = (1 << goldPositions.length) - 1;
+    var minDist = Infinity;
+
+    if (collectedGold === allGoldMask) {
+        for (var i = 0; i < escapePositions.length; i++) {
+            var dist = Math.abs(x - escapePositions[i].x) + Math.abs(y - escapePositions[i].y);
+            if (dist < minDist) minDist = dist;
+        }
+        return minDist === Infinity ? 0 : minDist;
+    }
 
-        // Post-process for validity
-        level = postProcessLevel(level);
+    var minEscapeDist = Infinity;
+    for (var i = 0; i < goldPositions.length; i++) {
+        if (collectedGold & (1 << i)) continue;
 
-        // Place entities
-        level = placeEntities(level, numGold, numGuards);
+        var gold = goldPositions[i];
+        var dist = Math.abs(x - gold.x) + Math.abs(y - gold.y);
+        if (dist < minDist) minDist = dist;
 
-        // Check solvability
-        if (isLevelSolvable(level)) {
-            console.log('Generated solvable level on attempt ' + attempt);
-            return levelToString(level);
+        for (var j = 0; j < escapePositions.length; j++) {
+            var escapeDist = Math.abs(gold.x - escapePositions[j].x) + Math.abs(gold.y - escapePositions[j].y);
+            if (escapeDist < minEscapeDist) minEscapeDist = escapeDist;
         }
     }
 
-    console.warn('Could not generate solvable level after ' + maxAttempts + ' attempts, returning last attempt');
+    return minDist + (minEscapeDist === Infinity ? 0 : minEscapeDist);
+}
 
-    // Return last generated level anyway
-    var level = generateMarkovStructure();
-    level = postProcessLevel(level);
-    level = placeEntities(level, numGold, numGuards);
-    return levelToString(level);
+/**
+ * Steps from a start position to every reachable position (BFS, same moves
+ * as getReachablePositions); returns { "x,y": steps }
+ */
+function getReachableDistances(level, startX, startY, maxIterations) {
+    maxIterations = maxIterations || 50000;
+
+    var distances = {};
+    var queue = [{ x: startX, y: startY, steps: 0, dugPositions: {} }];
+    var head = 0;
+
+    while (head < queue.length && head < maxIterations) {
+        var current = queue[head++];
+        var key = current.x + ',' + current.y;
+
+        if (distances[key] !== undefined) continue;
+        distances[key] = current.steps;
+
+        var moves = getValidMoves(level, current.x, current.y, current.dugPositions);
+
+        for (var i = 0; i < moves.length; i++) {
+            var move = moves[i];
+            if (distances[move.x + ',' + move.y] !== undefined) continue;
+
+            var dugPositions = current.dugPositions;
+            if (move.dig) {
+                dugPositions = {};
+                for (var k in current.dugPositions) {
+                    dugPositions[k] = true;
+                }
+                dugPositions[move.dig.x + ',' + move.dig.y] = true;
+            }
+            queue.push({ x: move.x, y: move.y, steps: current.steps + 1, dugPositions: dugPositions });
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Full A* solver: can the runner collect every gold in some order and then escape?
+ *
+ * Same state as canSolveLevel() in solvabilityChecker.ts, (position, collected
+ * gold bitmask), but positions are only the spawn and the gold: the legs between
+ * them are measured once with getReachableDistances(), so a 10 gold level searches
+ * 11 * 1024 states instead of 448 * 1024.
+ * The legs come from getDistances(level, x, y), getReachableDistances() by default.
+ * Returns { solvable, reason }, with order (gold indices in pickup order) when solved
+ */
+function canSolveLevel(level, maxIterations, getDistances) {
+    maxIterations = maxIterations || 100000;
+    getDistances = getDistances || getReachableDistances;
+
+    var spawn = findPlayerPosition(level);
+    if (!spawn) return { solvable: false, reason: 'No spawn position' };
+
+    var goldPositions = findGoldPositions(level);
+    if (goldPositions.length === 0) return { solvable: false, reason: 'No gold in level' };
+
+    // Limit gold count to prevent combinatorial explosion
+    if (goldPositions.length > 16) {
+        var reachable = isLevelSolvable(level);
+        return { solvable: reachable, reason: reachable ? undefined : 'Too many gold pieces for full solve check' };
+    }
+
+    // The escape is made after all gold is collected, with the hidden ladders shown
+    var revealed = revealHiddenLadders(level);
+    var escapePositions = findEscapePositions(revealed);
+    if (escapePositions.length === 0) return { solvable: false, reason: 'No escape positions at top of level' };
+
+    var goldCount = goldPositions.length;
+    var allGoldMask = (1 << goldCount) - 1;
+
+    // Key positions: 0..goldCount-1 are the gold, goldCount is the spawn
+    var keyPositions = goldPositions.concat([spawn]);
+    var legs = [], escapeSteps = [];
+
+    for (var i = 0; i < keyPositions.length; i++) {
+        var distances = getDistances(level, keyPositions[i].x, keyPositions[i].y);
+
+        legs[i] = [];
+        for (var j = 0; j < goldCount; j++) {
+            legs[i][j] = distances[goldPositions[j].x + ',' + goldPositions[j].y];
+        }
+
+        // Escape legs start at the last gold collected and may use the hidden ladders
+        distances = getDistances(revealed, keyPositions[i].x, keyPositions[i].y);
+
+        escapeSteps[i] = undefined;
+        for (var j = 0; j < escapePositions.length; j++) {
+            var steps = distances[escapePositions[j].x + ',' + escapePositions[j].y];
+            if (steps !== undefined && (escapeSteps[i] === undefined || steps < escapeSteps[i])) {
+                escapeSteps[i] = steps;
+            }
+        }
+    }
+
+    var openSet = createSolverHeap();
+    var visited = {};
+    var startH = fullHeuristic(spawn.x, spawn.y, 0, goldPositions, escapePositions);
+
+    openSet.push({ at: goldCount, collectedGold: 0, g: 0, f: startH });
+
+    var iterations = 0;
+
+    while (openSet.size() > 0 && iterations < maxIterations) {
+        iterations++;
+
+        var current = openSet.pop();
+
+        var key = current.at + ',' + current.collectedGold;
+        if (visited[key]) continue;
+        visited[key] = true;
+
+        // Win condition: all gold collected AND an escape position is reachable
+        if (current.collectedGold === allGoldMask) {
+            if (escapeSteps[current.at] !== undefined) {
+                var order = [];
+                for (var node = current; node.parent; node = node.parent) order.unshift(node.at);
+                return { solvable: true, order: order };
+            }
+            continue;
+        }
+
+        for (var j = 0; j < goldCount; j++) {
+            if (current.collectedGold & (1 << j)) continue;
+
+            var steps = legs[current.at][j];
+            if (steps === undefined) continue;
+
+            var collected = current.collectedGold | (1 << j);
+            if (visited[j + ',' + collected]) continue;
+
+            var g = current.g + steps;
+            openSet.push({
+                at: j, collectedGold: collected, parent: current,
+                g: g, f: g + fullHeuristic(goldPositions[j].x, goldPositions[j].y, collected, goldPositions, escapePositions)
+            });
+        }
+    }
+
+    if (iterations >= maxIterations) {
+        return { solvable: false, reason: 'Search exceeded ' + maxIterations + ' iterations' };
+    }
+
+    // The whole search space is searched: no order of the gold works
+    return { solvable: false, exhausted: true, reason: 'No path found to collect all gold and escape' };
+}
+
+/**
+ * Check that every gold is reachable (quick check), then that all gold
+ * can be collected in some order followed by an escape (full check)
+ */
+function isLevelFullySolvable(level) {
+    if (!isLevelSolvable(level)) return false;
+
+    var result = canSolveLevel(level);
+    if (!result.solvable) {
+        console.log('Full solvability check: ' + result.reason);
+        return false;
+    }
+
+    console.log('Full solvability check: PASSED');
+    return true;
+}
+
+// ============================================================================
+// GUARD-AWARE SOLVABILITY SIMULATION
+// Plays the first seconds of a level with the guards driven by bestMove() /
+// scanFloor() from lodeRunner.guard.js and stepped by its movePolicy table,
+// and searches the runner moves (without digging) for a way to stay alive.
+// Positions are whole tiles; crossing a tile takes GUARD_SIM_STEPS ticks
+// (tile 40x44 moved by xMove 8 / yMove 9 each tick), for runner and guards.
+// ============================================================================
+
+var GUARD_SIM_STEPS = 5;        // ticks to cross one tile
+var GUARD_SIM_TICKS = 4 * 18;   // about 4 seconds at normal speed (speedMode[1])
+var GUARD_SIM_MAX_NODES = 4000; // search limit, the start is unknown (not safe) when reached
+
+/**
+ * Build a TotalRecall style map[x][y] = { base, act } from a 2D level, the
+ * same way the game does, with guards and runner left out of the act map
+ */
+function createGuardSimMap(level) {
+    var width = level[0].length;
+    var height = level.length;
+    var levelStr = levelToString(level);
+    var simMap = [];
+
+    for (var x = 0; x < width; x++) {
+        simMap[x] = [];
+        for (var y = 0; y < height; y++) {
+            var tile = { base: EMPTY_T, act: EMPTY_T };
+
+            switch (levelStr.charAt(y * width + x)) {
+                case '#': tile.base = tile.act = BLOCK_T; break;
+                case '@': tile.base = tile.act = SOLID_T; break;
+                case 'H': tile.base = tile.act = LADDR_T; break;
+                case '-': tile.base = tile.act = BAR_T; break;
+                case 'X': tile.base = tile.act = TRAP_T; break;
+                case 'S': tile.base = HLADR_T; break; // empty until all gold is collected
+                case '$': tile.base = GOLD_T; break;
+            }
+            simMap[x][y] = tile;
+        }
+    }
+
+    return simMap;
+}
+
+/**
+ * Tile a moving guard or runner occupies: the source tile for the first half
+ * of the move, the target tile after that (the game updates map[].act likewise)
+ */
+function guardSimTile(unit) {
+    if (unit.step * 2 < GUARD_SIM_STEPS) return { x: unit.x, y: unit.y };
+    return { x: unit.toX, y: unit.toY };
+}
+
+/**
+ * Target tile of a guard action, checked against the active map the way
+ * guardMoveStep() does; null when the guard has to stay
+ */
+function guardSimTarget(simMap, g, action) {
+    var maxX = simMap.length - 1, maxY = simMap[0].length - 1;
+    var x = g.x, y = g.y, next;
+
+    switch (action) {
+        case ACT_UP:
+            if (y <= 0) return null;
+            next = simMap[x][y - 1].act;
+            if (next === BLOCK_T || next === SOLID_T || next === TRAP_T || next === GUARD_T) return null;
+            return { x: x, y: y - 1 };
+        case ACT_DOWN:
+        case ACT_FALL:
+            if (y >= maxY) return null;
+            next = simMap[x][y + 1].act;
+            if (next === BLOCK_T || next === SOLID_T || next === GUARD_T) return null;
+            return { x: x, y: y + 1 };
+        case ACT_LEFT:
+            if (x <= 0) return null;
+            next = simMap[x - 1][y].act;
+            if (next === BLOCK_T || next === SOLID_T || next === GUARD_T || simMap[x - 1][y].base === TRAP_T) return null;
+            return { x: x - 1, y: y };
+        case ACT_RIGHT:
+            if (x >= maxX) return null;
+            next = simMap[x + 1][y].act;
+            if (next === BLOCK_T || next === SOLID_T || next === GUARD_T || simMap[x + 1][y].base === TRAP_T) return null;
+            return { x: x + 1, y: y };
+    }
+    return null;
+}
+
+/**
+ * Ask bestMove() for the next action of simulated guard [id]. bestMove() works
+ * on the game globals map, runner and guard, so they point to the simulated
+ * world during the call and are restored afterwards.
+ */
+function guardSimBestMove(simMap, guards, id, simRunner) {
+    var saveMap = map, saveRunner = runner, saveGuard = guard;
+    var marked = [];
+    var action;
+
+    function mark(pos, act) {
+        marked.push(pos);
+        simMap[pos.x][pos.y].act = act;
+    }
+
+    var runnerTile = guardSimTile(simRunner);
+    mark(runnerTile, RUNNER_T);
+    for (var i = 0; i < guards.length; i++) mark(guardSimTile(guards[i]), GUARD_T);
+
+    map = simMap;
+    runner = { pos: { x: runnerTile.x, y: runnerTile.y, xOffset: 0, yOffset: 0 },
+               action: simRunner.falling ? ACT_FALL : ACT_STOP };
+    guard = guards.map(function(g) {
+        return { pos: { x: g.x, y: g.y, xOffset: 0, yOffset: 0 }, action: g.action };
+    });
+
+    try {
+        action = bestMove(id);
+    } finally {
+        map = saveMap;
+        runner = saveRunner;
+        guard = saveGuard;
+        for (var i = 0; i < marked.length; i++) {
+            var tile = simMap[marked[i].x][marked[i].y];
+            tile.act = (tile.base === GOLD_T || tile.base === HLADR_T) ? EMPTY_T : tile.base;
+        }
+    }
+
+    return action;
+}
+
+/**
+ * Runner choices at a tile (no digging): one falling tile when unsupported,
+ * otherwise every move of getValidMoves() plus standing still
+ */
+function guardSimRunnerMoves(level, x, y) {
+    var tile = level[y][x];
+    var onClimbable = tile === MARKOV_TILES.LADDER || tile === MARKOV_TILES.ROPE;
+
+    if (!onClimbable && !hasGroundSupport(level, x, y)) {
+        return isPassable(level, x, y + 1, {}) ? [{ x: x, y: y + 1, falling: true }] : [{ x: x, y: y }];
+    }
+
+    var moves = [{ x: x, y: y }];
+    var valid = getValidMoves(level, x, y, {});
+    for (var i = 0; i < valid.length; i++) {
+        if (!valid[i].dig) moves.push({ x: valid[i].x, y: valid[i].y });
+    }
+    return moves;
+}
+
+/**
+ * Index of the guard that caught the runner, or -1
+ */
+function guardSimCatch(guards, simRunner) {
+    var r = guardSimTile(simRunner);
+
+    for (var i = 0; i < guards.length; i++) {
+        var g = guardSimTile(guards[i]);
+        if (g.x === r.x && g.y === r.y) return i;
+    }
+    return -1;
+}
+
+/**
+ * Play one runner move (GUARD_SIM_STEPS ticks) against the guards.
+ * Returns the next node, or { caughtBy } when a guard gets the runner.
+ */
+function guardSimPlayMove(simMap, node, move) {
+    var guards = node.guards.map(function(g) {
+        return { x: g.x, y: g.y, toX: g.toX, toY: g.toY, step: g.step, action: g.action };
+    });
+    var simRunner = { x: node.x, y: node.y, toX: move.x, toY: move.y, step: 0, falling: !!move.falling };
+    var moveOffset = node.moveOffset, moveId = node.moveId;
+    var policy = movePolicy[guards.length];
+
+    for (var tick = 0; tick < GUARD_SIM_STEPS; tick++) {
+        simRunner.step++;
+
+        var caughtBy = guardSimCatch(guards, simRunner);
+        if (caughtBy >= 0) return { caughtBy: caughtBy };
+
+        // moveGuard(): movePolicy decides how many guard steps this tick
+        if (++moveOffset >= numOfMoveItems) moveOffset = 0;
+        var moves = policy[moveOffset];
+
+        while (moves-- > 0) {
+            if (++moveId >= guards.length) moveId = 0;
+            var g = guards[moveId];
+
+            if (g.step === 0) {
+                g.action = guardSimBestMove(simMap, guards, moveId, simRunner);
+                var target = guardSimTarget(simMap, g, g.action);
+                if (!target) {
+                    g.action = ACT_STOP;
+                    continue;
+                }
+                g.toX = target.x;
+                g.toY = target.y;
+            }
+
+            if (++g.step >= GUARD_SIM_STEPS) {
+                g.x = g.toX;
+                g.y = g.toY;
+                g.step = 0;
+            }
+
+            caughtBy = guardSimCatch(guards, simRunner);
+            if (caughtBy >= 0) return { caughtBy: caughtBy };
+        }
+    }
+
+    return {
+        x: move.x, y: move.y, guards: guards,
+        tick: node.tick + GUARD_SIM_STEPS, moveOffset: moveOffset, moveId: moveId
+    };
+}
+
+/**
+ * Can the runner survive the first GUARD_SIM_TICKS ticks under optimal play?
+ * Returns { safe, unknown, caught } where caught[id] counts the catches by guard [id]
+ * over the searched runner moves; unknown is true when the search gave up
+ * (GUARD_SIM_MAX_NODES) before a way to stay alive was found, safe is false then
+ */
+function simulateGuardStart(level) {
+    var player = findPlayerPosition(level);
+    var result = { safe: true, unknown: false, caught: [] };
+
+    // Needs the guard AI of lodeRunner.guard.js
+    if (!player || typeof bestMove !== 'function') return result;
+
+    var guards = [];
+    for (var y = 0; y < level.length; y++) {
+        for (var x = 0; x < level[y].length; x++) {
+            if (level[y][x] === '0') {
+                guards.push({ x: x, y: y, toX: x, toY: y, step: 0, action: ACT_STOP });
+                result.caught.push(0);
+            }
+        }
+    }
+    if (guards.length === 0) return result;
+
+    var simMap = createGuardSimMap(level);
+    var stack = [{ x: player.x, y: player.y, guards: guards, tick: 0, moveOffset: 0, moveId: 0 }];
+    var visited = {};
+    var nodes = 0;
+
+    while (stack.length > 0) {
+        var node = stack.pop();
+        if (node.tick >= GUARD_SIM_TICKS) return result;
+
+        // A search that gives up proves nothing: not safe, left to repairGuardStart()
+        if (++nodes > GUARD_SIM_MAX_NODES) {
+            result.safe = false;
+            result.unknown = true;
+            return result;
+        }
+
+        var key = node.x + ',' + node.y + ',' + node.tick + ',' + node.moveOffset + ',' + node.moveId;
+        for (var i = 0; i < node.guards.length; i++) {
+            var g = node.guards[i];
+            key += '|' + g.x + ',' + g.y + ',' + g.toX + ',' + g.toY + ',' + g.step;
+        }
+        if (visited[key]) continue;
+        visited[key] = true;
+
+        var moves = guardSimRunnerMoves(level, node.x, node.y);
+        for (var i = 0; i < moves.length; i++) {
+            var next = guardSimPlayMove(simMap, node, moves[i]);
+            if (next.caughtBy !== undefined) {
+                result.caught[next.caughtBy]++;
+            } else {
+                stack.push(next);
+            }
+        }
+    }
+
+    result.safe = false;
+    return result;
+}
+
+/**
+ * Make sure the runner is not caught in the first seconds: while the guard
+ * simulation fails (or can't tell), move the guard that catches most often to
+ * the free standing position farthest from the runner. Returns false when that
+ * does not help (the level should be rejected).
+ */
+function repairGuardStart(level) {
+    var player = findPlayerPosition(level);
+    if (!player) return false;
+
+    var guardTotal = 0;
+    for (var y = 0; y < level.length; y++) {
+        for (var x = 0; x < level[y].length; x++) {
+            if (level[y][x] === '0') guardTotal++;
+        }
+    }
+
+    for (var attempt = 0; attempt <= guardTotal; attempt++) {
+        var result = simulateGuardStart(level);
+        if (result.safe) return true;
+        if (attempt === guardTotal) break;
+
+        // Guards are numbered in map order, like guard[] in the game
+        var worst = 0;
+        for (var i = 1; i < result.caught.length; i++) {
+            if (result.caught[i] > result.caught[worst]) worst = i;
+        }
+
+        var guardPos = null, id = 0;
+        for (var y = 0; y < level.length && !guardPos; y++) {
+            for (var x = 0; x < level[y].length; x++) {
+                if (level[y][x] === '0' && id++ === worst) {
+                    guardPos = { x: x, y: y };
+                    break;
+                }
+            }
+        }
+
+        var positions = findValidPositions(level);
+        var farthest = null, farthestDist = -1;
+        for (var i = 0; i < positions.length; i++) {
+            var pos = positions[i];
+            if (level[pos.y][pos.x] !== MARKOV_TILES.EMPTY) continue;
+
+            var dist = Math.abs(pos.x - player.x) + Math.abs(pos.y - player.y);
+            if (dist > farthestDist) {
+                farthest = pos;
+                farthestDist = dist;
+            }
+        }
+        if (!farthest) break;
+
+        console.log('Guard start check: moving guard from (' + guardPos.x + ',' + guardPos.y +
+                    ') to (' + farthest.x + ',' + farthest.y + ')');
+        level[guardPos.y][guardPos.x] = MARKOV_TILES.EMPTY;
+        level[farthest.y][farthest.x] = '0';
+    }
+
+    console.log('Guard start check: runner caught in the first seconds');
+    return false;
+}
+
+/**
+ * Generate a verified solvable level (retries until solvable)
+ * All attempts draw from one PRNG stream seeded by `seed`, so the same
+ * seed always returns the same level (a random seed is used if omitted)
+ */
+function generateSolvableLevel(numGold, numGuards, maxAttempts, seed) {
+    if (!markovModel) {
+        console.error('Markov model not loaded!');
+        return null;
+    }
+
+    numGold = numGold || 6;
+    numGuards = numGuards || 3;
+    maxAttempts = maxAttempts || 20;
+    if (seed === undefined || seed === null) seed = randomMarkovSeed();
+    markovLastSeed = seed >>> 0;
+
+    var rng = createMarkovRng(markovLastSeed);
+    var level;
+
+    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
+        console.log('Generation attempt ' + attempt + '/' + maxAttempts + ' (seed ' + markovLastSeed + ')');
+
+        // Generate structure
+        level = generateMarkovStructure(rng);
+
+        // Post-process for validity
+        level = postProcessLevel(level, rng);
+
+        // Place entities
+        level = placeEntities(level, numGold, numGuards, rng);
+
+        // Hidden escape ladder
+        level = placeEscapeLadder(level, rng);
+
+        // Check solvability (collect all gold, then escape, guards don't catch the runner at once)
+        if (isLevelFullySolvable(level) && repairGuardStart(level)) {
+            console.log('Generated solvable level on attempt ' + attempt);
+            return levelToString(level);
+        }
+    }
+
+    console.warn('Could not generate solvable level after ' + maxAttempts + ' attempts, returning last attempt');
+
+    // Return last generated level anyway
+    return levelToString(level);
+}
+
+// ============================================================================
+// DIFFICULTY ESTIMATOR
+// Scores a generated level from its solution route (length, required digs),
+// guards near gold, rope/ladder density and dead ends.
+// Scores are roughly 0 (trivial) .. 100 (very hard).
+// ============================================================================
+
+// Difficulty of the last level returned by generateLevelWithDifficulty()
+var markovLastDifficulty = null;
+
+var DIFFICULTY_GUARD_NEAR = 8; // guards closer than this (in tiles) to gold add difficulty
+
+/**
+ * Shortest route between two positions, fewest digs first then fewest steps
+ * Returns { steps, digs } or null when the goal is unreachable
+ */
+function findRoute(level, startX, startY, goalX, goalY, maxIterations) {
+    maxIterations = maxIterations || 20000;
+
+    var open = [{ x: startX, y: startY, steps: 0, digs: 0, dugPositions: {} }];
+    var closed = {};
+    var iterations = 0;
+
+    while (open.length > 0 && iterations < maxIterations) {
+        iterations++;
+
+        // Pop the cheapest node (the grid is small, a linear scan is enough)
+        var best = 0;
+        for (var i = 1; i < open.length; i++) {
+            if (open[i].digs < open[best].digs ||
+                (open[i].digs === open[best].digs && open[i].steps < open[best].steps)) {
+                best = i;
+            }
+        }
+        var current = open.splice(best, 1)[0];
+        var key = current.x + ',' + current.y;
+
+        if (closed[key]) continue;
+        closed[key] = true;
+
+        if (current.x === goalX && current.y === goalY) {
+            return { steps: current.steps, digs: current.digs };
+        }
+
+        var moves = getValidMoves(level, current.x, current.y, current.dugPositions);
+
+        for (var i = 0; i < moves.length; i++) {
+            var move = moves[i];
+            if (closed[move.x + ',' + move.y]) continue;
+
+            var dugPositions = current.dugPositions;
+            if (move.dig) {
+                dugPositions = {};
+                for (var k in current.dugPositions) {
+                    dugPositions[k] = true;
+                }
+                dugPositions[move.dig.x + ',' + move.dig.y] = true;
+            }
+            open.push({
+                x: move.x, y: move.y,
+                steps: current.steps + Math.abs(move.x - current.x) + Math.abs(move.y - current.y),
+                digs: current.digs + (move.dig ? 1 : 0),
+                dugPositions: dugPositions
+            });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Collect every gold with a greedy nearest-gold route from the player start
+ * Returns { steps, digs, unreachable }
+ */
+function measureSolutionRoute(level) {
+    var route = { steps: 0, digs: 0, unreachable: 0 };
+    var pos = findPlayerPosition(level);
+    var remaining = findGoldPositions(level);
+
+    if (!pos) {
+        route.unreachable = remaining.length;
+        return route;
+    }
+
+    while (remaining.length > 0) {
+        var bestIndex = -1, bestLeg = null;
+
+        for (var i = 0; i < remaining.length; i++) {
+            var leg = findRoute(level, pos.x, pos.y, remaining[i].x, remaining[i].y);
+            if (leg && (!bestLeg || leg.digs < bestLeg.digs ||
+                        (leg.digs === bestLeg.digs && leg.steps < bestLeg.steps))) {
+                bestIndex = i;
+                bestLeg = leg;
+            }
+        }
+
+        if (!bestLeg) {
+            route.unreachable = remaining.length;
+            break;
+        }
+
+        route.steps += bestLeg.steps;
+        route.digs += bestLeg.digs;
+        pos = remaining.splice(bestIndex, 1)[0];
+    }
+
+    return route;
+}
+
+/**
+ * Count reachable standing positions with at most one way out (without digging)
+ */
+function countDeadEnds(level, reachable) {
+    var deadEnds = 0;
+
+    for (var key in reachable) {
+        var parts = key.split(',');
+        var x = parseInt(parts[0]), y = parseInt(parts[1]);
+
+        if (!hasGroundSupport(level, x, y)) continue;
+
+        var exits = getValidMoves(level, x, y, {}).filter(function(move) {
+            return !move.dig;
+        });
+        if (exits.length <= 1) deadEnds++;
+    }
+
+    return deadEnds;
+}
+
+/**
+ * Estimate how hard a level is to clear
+ * `level` is a 2D array of Markov tiles with entity markers ('&', '$', '0')
+ */
+function estimateLevelDifficulty(level) {
+    var height = level.length;
+    var width = level[0].length;
+    var guards = [], golds = findGoldPositions(level);
+    var ropes = 0, ladders = 0;
+
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            var tile = level[y][x];
+            if (tile === MARKOV_TILES.ROPE) ropes++;
+            else if (tile === MARKOV_TILES.LADDER) ladders++;
+            else if (tile === '0') guards.push({ x: x, y: y });
+        }
+    }
+
+    // Guards standing close to gold make collecting it dangerous
+    var guardProximity = 0;
+    for (var i = 0; i < guards.length; i++) {
+        var nearest = width + height;
+        for (var j = 0; j < golds.length; j++) {
+            var dist = Math.abs(guards[i].x - golds[j].x) + Math.abs(guards[i].y - golds[j].y);
+            if (dist < nearest) nearest = dist;
+        }
+        if (nearest < DIFFICULTY_GUARD_NEAR) {
+            guardProximity += (DIFFICULTY_GUARD_NEAR - nearest) / DIFFICULTY_GUARD_NEAR;
+        }
+    }
+
+    var route = measureSolutionRoute(level);
+    var player = findPlayerPosition(level);
+    var deadEnds = player ? countDeadEnds(level, getReachablePositions(level, player.x, player.y)) : 0;
+    var cells = width * height;
+
+    var info = {
+        pathLength: route.steps,
+        digs: route.digs,
+        unreachableGold: route.unreachable,
+        guards: guards.length,
+        guardProximity: guardProximity,
+        ropeDensity: ropes / cells,
+        ladderDensity: ladders / cells,
+        deadEnds: deadEnds
+    };
+
+    // Ropes mean hand-over-hand traversal and drops, ladders give easy escapes
+    var score = route.steps * 0.15 +
+                route.digs * 3 +
+                guards.length * 4 +
+                guardProximity * 4 +
+                info.ropeDensity * 150 -
+                info.ladderDensity * 60 +
+                deadEnds * 0.2;
+
+    info.score = Math.max(0, Math.min(100, Math.round(score)));
+
+    return info;
+}
+
+/**
+ * Generate a solvable level whose difficulty score is within [minScore, maxScore]
+ * Returns the candidate closest to the band when no attempt lands inside it (the
+ * band is best-effort), null when no attempt is solvable; the same seed always
+ * returns the same level
+ */
+function generateLevelWithDifficulty(numGold, numGuards, minScore, maxScore, maxAttempts, seed) {
+    if (!markovModel) {
+        console.error('Markov model not loaded!');
+        return null;
+    }
+
+    numGold = numGold || 6;
+    numGuards = numGuards || 3;
+    maxAttempts = maxAttempts || 20;
+    if (seed === undefined || seed === null) seed = randomMarkovSeed();
+    markovLastSeed = seed >>> 0;
+
+    var rng = createMarkovRng(markovLastSeed);
+    var best = null, bestDistance = Infinity, level = null;
+
+    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
+        level = generateMarkovStructure(rng);
+        level = postProcessLevel(level, rng);
+        level = placeEntities(level, numGold, numGuards, rng);
+        level = placeEscapeLadder(level, rng);
+
+        if (!isLevelFullySolvable(level) || !repairGuardStart(level)) continue;
+
+        var difficulty = estimateLevelDifficulty(level);
+        var distance = difficulty.score < minScore ? minScore - difficulty.score :
+                       difficulty.score > maxScore ? difficulty.score - maxScore : 0;
+
+        if (distance < bestDistance) {
+            best = { level: level, difficulty: difficulty };
+            bestDistance = distance;
+        }
+        if (distance === 0) break;
+    }
+
+    if (!best) {
+        console.warn('Could not generate solvable level after ' + maxAttempts + ' attempts (seed ' + markovLastSeed + ')');
+        markovLastDifficulty = null;
+        return null;
+    }
+
+    markovLastDifficulty = best.difficulty;
+    console.log('Generated level with difficulty ' + best.difficulty.score +
+                ' (target ' + minScore + '-' + maxScore + ', seed ' + markovLastSeed + ')');
+
+    return levelToString(best.level);
+}
+
+// ============================================================================
+// CONSTRAINT INPAINTING (level editor GENERATE)
+// Regenerates only the unlocked cells of a level: locked cells keep their
+// tile or entity, unlocked cells are sampled from the model conditioned on
+// their neighbours, including the locked cells to the right and below, which
+// the top-left to bottom-right chain would not see otherwise.
+// ============================================================================
+
+// Whether the last generateInpaintedLevel() result passed the solvability checks
+var markovLastSolvable = false;
+
+var INPAINT_MIN_PROB = 0.01; // weight of a locked neighbour the model never saw in that context
+
+/**
+ * Convert TotalRecall tile to Markov tile, entity markers and hidden ladders pass through
+ */
+function markovTileOf(tile) {
+    switch (tile) {
+        case TOTALRECALL_TILES.BRICK: return MARKOV_TILES.BRICK;
+        case TOTALRECALL_TILES.SOLID: return MARKOV_TILES.SOLID;
+        case TOTALRECALL_TILES.LADDER: return MARKOV_TILES.LADDER;
+        case TOTALRECALL_TILES.ROPE: return MARKOV_TILES.ROPE;
+        case TOTALRECALL_TILES.TRAP: return MARKOV_TILES.TRAP;
+        case TOTALRECALL_TILES.HLADDER:
+        case TOTALRECALL_TILES.GOLD:
+        case TOTALRECALL_TILES.GUARD:
+        case TOTALRECALL_TILES.PLAYER:
+            return tile;
+        default: return MARKOV_TILES.EMPTY;
+    }
+}
+
+/**
+ * Convert TotalRecall string to 2D level array (Markov tiles and markers)
+ */
+function levelFromString(levelStr) {
+    var level = [];
+
+    for (var y = 0; y < NO_OF_TILES_Y; y++) {
+        level[y] = [];
+        for (var x = 0; x < NO_OF_TILES_X; x++) {
+            level[y][x] = markovTileOf(levelStr.charAt(y * NO_OF_TILES_X + x));
+        }
+    }
+    return level;
+}
+
+/**
+ * Tile as seen by the model: entities and hidden ladders stand on empty cells
+ */
+function inpaintContextTile(level, x, y) {
+    if (y < 0 || x < 0 || x >= level[0].length) return null;
+
+    var tile = level[y][x];
+    return tile === MARKOV_TILES.BRICK || tile === MARKOV_TILES.SOLID || tile === MARKOV_TILES.LADDER ||
+           tile === MARKOV_TILES.ROPE || tile === MARKOV_TILES.TRAP ? tile : MARKOV_TILES.EMPTY;
+}
+
+/**
+ * Probability of the model for `tile` in the given context
+ */
+function markovTileProb(above, left, aboveLeft, tile) {
+    var tileProbs = markovModel[getContextKey(above, left, aboveLeft)];
+    var prob = tileProbs ? (tileProbs[tile] || 0) : 0;
+
+    return Math.max(prob, INPAINT_MIN_PROB);
+}
+
+/**
+ * Sample the unlocked cell (x, y): the model probability of each tile is
+ * weighted by how likely the locked right and below neighbours are after it
+ */
+function sampleInpaintTile(level, locked, x, y, rng) {
+    var above = inpaintContextTile(level, x, y - 1);
+    var left = inpaintContextTile(level, x - 1, y);
+    var aboveLeft = inpaintContextTile(level, x - 1, y - 1);
+    var tileProbs = markovModel[getContextKey(above, left, aboveLeft)];
+
+    if (!tileProbs) return sampleTile(above, left, aboveLeft, rng);
+
+    var width = level[0].length;
+    var lockedRight = x + 1 < width && locked[y][x + 1];
+    // The below-left cell must be known too (locked or out of bounds)
+    var lockedBelow = y + 1 < level.length && locked[y + 1][x] && (x === 0 || locked[y + 1][x - 1]);
+    var weights = {}, total = 0;
+
+    for (var tile in tileProbs) {
+        var weight = tileProbs[tile];
+
+        if (lockedRight) {
+            weight *= markovTileProb(inpaintContextTile(level, x + 1, y - 1), tile, above,
+                                     inpaintContextTile(level, x + 1, y));
+        }
+        if (lockedBelow) {
+            weight *= markovTileProb(tile, inpaintContextTile(level, x - 1, y + 1), left,
+                                     inpaintContextTile(level, x, y + 1));
+        }
+        weights[tile] = weight;
+        total += weight;
+    }
+
+    if (total <= 0) return MARKOV_TILES.EMPTY;
+
+    var r = rng() * total;
+    var cumulative = 0;
+    for (var tile in weights) {
+        cumulative += weights[tile];
+        if (r <= cumulative) return tile;
+    }
+
+    return MARKOV_TILES.EMPTY;
+}
+
+/**
+ * Level structure with the locked cells of `base` kept and the others sampled
+ * The bottom row is solid where it is not locked, as in generateMarkovStructure()
+ */
+function generateInpaintStructure(base, locked, rng) {
+    var height = base.length;
+    var width = base[0].length;
+    var level = [];
+
+    for (var y = 0; y < height; y++) {
+        level[y] = [];
+        for (var x = 0; x < width; x++) {
+            level[y][x] = locked[y][x] ? base[y][x] : MARKOV_TILES.EMPTY;
+        }
+    }
+
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            if (locked[y][x]) continue;
+
+            if (y === height - 1) {
+                level[y][x] = MARKOV_TILES.SOLID;
+            } else {
+                level[y][x] = sampleInpaintTile(level, locked, x, y, rng);
+            }
+        }
+    }
+
+    return level;
+}
+
+/**
+ * Fill the unlocked cells of a level (TotalRecall string) with generated tiles
+ * `lockMap` is an array of NO_OF_TILES_X * NO_OF_TILES_Y flags in level string
+ * order, a truthy flag keeps the cell. numGold / numGuards are totals, the
+ * locked entities included. Retries until the level is solvable and the locked
+ * cells are untouched (repairGuardStart() may move guards); markovLastSolvable
+ * tells whether the returned level passed, the last attempt is returned if not.
+ */
+function generateInpaintedLevel(levelStr, lockMap, numGold, numGuards, maxAttempts, seed) {
+    if (!markovModel) {
+        console.error('Markov model not loaded!');
+        return null;
+    }
+
+    numGold = numGold || 6;
+    numGuards = numGuards || 3;
+    maxAttempts = maxAttempts || 20;
+    if (seed === undefined || seed === null) seed = randomMarkovSeed();
+    markovLastSeed = seed >>> 0;
+    markovLastSolvable = false;
+
+    var base = levelFromString(levelStr), locked = [];
+
+    for (var y = 0; y < NO_OF_TILES_Y; y++) {
+        locked[y] = [];
+        for (var x = 0; x < NO_OF_TILES_X; x++) {
+            locked[y][x] = !!lockMap[y * NO_OF_TILES_X + x];
+        }
+    }
+
+    var rng = createMarkovRng(markovLastSeed);
+    var level;
+
+    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
+        console.log('Inpaint attempt ' + attempt + '/' + maxAttempts + ' (seed ' + markovLastSeed + ')');
+
+        level = generateInpaintStructure(base, locked, rng);
+        level = postProcessLevel(level, rng, locked);
+        level = placeEntities(level, numGold, numGuards, rng, locked);
+        level = placeEscapeLadder(level, rng, locked);
+
+        if (isLevelFullySolvable(level) && repairGuardStart(level) && inpaintKeepsLocked(level, base, locked)) {
+            console.log('Inpainted solvable level on attempt ' + attempt);
+            markovLastSolvable = true;
+            return levelToString(level);
+        }
+    }
+
+    console.warn('Could not inpaint solvable level after ' + maxAttempts + ' attempts, returning last attempt');
+
+    return levelToString(level);
+}
+
+/**
+ * Check that every locked cell still holds its tile
+ */
+function inpaintKeepsLocked(level, base, locked) {
+    for (var y = 0; y < level.length; y++) {
+        for (var x = 0; x < level[y].length; x++) {
+            if (locked[y][x] && level[y][x] !== base[y][x]) return false;
+        }
+    }
+    return true;
+}
+
+// ============================================================================
+// LEVEL LINT (level editor check panel)
+// Problems of a hand made level: errors make the level unplayable, warnings
+// are odd but allowed. What the solvers above find is a warning, they don't
+// know every trick (guards carrying gold, standing on a guard's head, ...);
+// scripts/check-stock-levels.js checks no stock level gets an error.
+// ============================================================================
+
+var LINT_MAX_ITERATIONS = 20000; // full-completion search, kept short for the editor
+
+/**
+ * Check a level (TotalRecall string), returns a list of
+ * { error: true|false, text: '...', cells: [{ x, y }, ...] }
+ */
+function lintLevel(levelStr, maxGuard) {
+    var level = levelFromString(levelStr);
+    var height = level.length, width = level[0].length;
+    var problems = [];
+
+    var player = findPlayerPosition(level);
+    var goldPositions = findGoldPositions(level);
+    var guards = [], floating = [], ropes = [];
+
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            var tile = level[y][x];
+            var below = y + 1 < height ? inpaintContextTile(level, x, y + 1) : null;
+
+            if (tile === '0') guards.push({ x: x, y: y });
+            if ((tile === MARKOV_TILES.LADDER || tile === TOTALRECALL_TILES.HLADDER) &&
+                (below === MARKOV_TILES.EMPTY || below === MARKOV_TILES.TRAP) &&
+                level[y + 1][x] !== TOTALRECALL_TILES.HLADDER) {
+                floating.push({ x: x, y: y });
+            }
+            if (tile === MARKOV_TILES.ROPE && (below === MARKOV_TILES.BRICK || below === MARKOV_TILES.SOLID)) {
+                ropes.push({ x: x, y: y });
+            }
+        }
+    }
+
+    if (!player) problems.push({ error: true, text: 'No runner', cells: [] });
+    if (guards.length > maxGuard) {
+        // Guards are loaded in map order, the extra ones are left out
+        problems.push({ error: true, text: 'Too many guards (' + guards.length + ', max ' + maxGuard + ')',
+                        cells: guards.slice(maxGuard) });
+    }
+    if (goldPositions.length === 0) problems.push({ error: false, text: 'No gold', cells: [] });
+
+    if (player) {
+        var reachable = getLintDistances(level, player.x, player.y);
+        var unreachable = goldPositions.filter(function(gold) {
+            return reachable[gold.x + ',' + gold.y] === undefined;
+        });
+
+        if (unreachable.length) {
+            problems.push({ error: false, text: unreachable.length + ' gold unreachable', cells: unreachable });
+        }
+        if (!canEscapeToTop(level, [player].concat(goldPositions))) {
+            problems.push({ error: false, text: 'No escape route to the top row', cells: [] });
+        } else if (!unreachable.length && goldPositions.length) {
+            // A search cut short (or too much gold to search) is no proof of a problem
+            var result = canSolveLevel(level, LINT_MAX_ITERATIONS, getLintDistances);
+            if (!result.solvable && result.exhausted) {
+                problems.push({ error: false, text: 'Gold can not all be collected before the escape', cells: [] });
+            }
+        }
+    }
+
+    if (floating.length) problems.push({ error: false, text: 'Floating ladders', cells: floating });
+    if (ropes.length) problems.push({ error: false, text: 'Ropes over ground', cells: ropes });
+
+    return problems;
+}
+
+/**
+ * Steps to every position like getReachableDistances(), but a position is
+ * searched again when standing over a hole just dug (digging down is not lost
+ * when the position was reached before without it), and the cells passed
+ * while falling count as reached (gold is taken on the way)
+ */
+function getLintDistances(level, startX, startY, maxIterations) {
+    maxIterations = maxIterations || 50000;
+
+    var distances = {}, visited = {};
+    var queue = [{ x: startX, y: startY, steps: 0, dugPositions: {} }];
+    var head = 0;
+
+    while (head < queue.length && head < maxIterations) {
+        var current = queue[head++];
+        var key = current.x + ',' + current.y;
+        var state = current.dugPositions[current.x + ',' + (current.y + 1)] ? key + ',dug' : key;
+
+        if (visited[state]) continue;
+        visited[state] = true;
+        if (distances[key] === undefined) distances[key] = current.steps;
+
+        var moves = getValidMoves(level, current.x, current.y, current.dugPositions);
+
+        for (var i = 0; i < moves.length; i++) {
+            var move = moves[i];
+            var dugPositions = {};
+
+            if (move.dig) dugPositions[move.dig.x + ',' + move.dig.y] = true;
+
+            // A fall of more than one cell
+            if (move.x === current.x && move.y > current.y + 1) {
+                for (var y = current.y + 1; y < move.y; y++) {
+                    if (distances[move.x + ',' + y] === undefined) distances[move.x + ',' + y] = current.steps + 1;
+                }
+            }
+            queue.push({ x: move.x, y: move.y, steps: current.steps + 1, dugPositions: dugPositions });
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Can the top row be reached from any of the start positions once the
+ * hidden ladders are shown?
+ */
+function canEscapeToTop(level, starts) {
+    var revealed = revealHiddenLadders(level);
+    var searched = {};
+
+    for (var i = 0; i < starts.length; i++) {
+        // Nothing new from a start reached by an earlier search
+        if (searched[starts[i].x + ',' + starts[i].y]) continue;
+
+        var reachable = getLintDistances(revealed, starts[i].x, starts[i].y);
+        for (var x = 0; x < level[0].length; x++) {
+            if (reachable[x + ',0'] !== undefined) return true;
+        }
+        for (var key in reachable) searched[key] = true;
+    }
+    return false;
+}
+
+// ============================================================================
+// SOLUTION PATH (path overlay of the editor and play field)
+// The route of canSolveLevel() cell by cell: the gold in the solver's pickup
+// order, each leg searched again like getReachableDistances() but keeping the
+// parent of each position, then the shortest leg to an escape position.
+// ============================================================================
+
+/**
+ * Shortest path between two positions, the same search as getReachableDistances()
+ * Returns [{ x, y, dig }, ...] (the start is left out, dig is the cell dug by
+ * the move) or null when the goal is unreachable
+ */
+function findLegPath(level, startX, startY, goalX, goalY, maxIterations) {
+    maxIterations = maxIterations || 50000;
+
+    var seen = {};
+    var queue = [{ x: startX, y: startY, dugPositions: {}, parent: null, dig: null }];
+    var head = 0;
+
+    while (head < queue.length && head < maxIterations) {
+        var current = queue[head++];
+        var key = current.x + ',' + current.y;
+
+        if (seen[key]) continue;
+        seen[key] = true;
+
+        if (current.x === goalX && current.y === goalY) {
+            var path = [];
+            for (var node = current; node.parent; node = node.parent) {
+                path.unshift({ x: node.x, y: node.y, dig: node.dig });
+            }
+            return path;
+        }
+
+        var moves = getValidMoves(level, current.x, current.y, current.dugPositions);
+
+        for (var i = 0; i < moves.length; i++) {
+            var move = moves[i];
+            if (seen[move.x + ',' + move.y]) continue;
+
+            var dugPositions = current.dugPositions;
+            if (move.dig) {
+                dugPositions = {};
+                for (var k in current.dugPositions) {
+                    dugPositions[k] = true;
+                }
+                dugPositions[move.dig.x + ',' + move.dig.y] = true;
+            }
+            queue.push({ x: move.x, y: move.y, dugPositions: dugPositions, parent: current, dig: move.dig || null });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Index of the target closest to (x, y), -1 when none is reachable
+ */
+function findNearestTarget(level, x, y, targets) {
+    var distances = getReachableDistances(level, x, y);
+    var best = -1;
+
+    for (var i = 0; i < targets.length; i++) {
+        var steps = distances[targets[i].x + ',' + targets[i].y];
+        if (steps !== undefined && (best < 0 || steps < distances[targets[best].x + ',' + targets[best].y])) {
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * The solution found by the full solver, for a level in the TotalRecall format
+ * Returns { solvable, reason, steps: [{ x, y, dig, gold }, ...] }: steps[0] is
+ * the spawn, gold is the pickup number (1, 2, ...) of the step that takes a gold
+ */
+function findSolutionPath(levelStr) {
+    var level = levelFromString(levelStr);
+    var result = canSolveLevel(level);
+
+    if (!result.solvable) return { solvable: false, reason: result.reason, steps: [] };
+
+    var spawn = findPlayerPosition(level);
+    var goldPositions = findGoldPositions(level);
+    var steps = [{ x: spawn.x, y: spawn.y, dig: null }];
+    var at = spawn, pickup = 0;
+
+    // Too much gold for the full search (no order): nearest gold first
+    var order = result.order;
+    if (!order) {
+        var remaining = goldPositions.slice();
+        order = [];
+        while (remaining.length) {
+            var next = findNearestTarget(level, at.x, at.y, remaining);
+            if (next < 0) return { solvable: false, reason: 'No path found to collect all gold', steps: [] };
+            at = remaining.splice(next, 1)[0];
+            order.push(goldPositions.indexOf(at));
+        }
+        at = spawn;
+    }
+
+    for (var i = 0; i < order.length; i++) {
+        var gold = goldPositions[order[i]];
+        var leg = findLegPath(level, at.x, at.y, gold.x, gold.y);
+
+        if (!leg) return { solvable: false, reason: 'No path found to collect all gold', steps: [] };
+        if (leg.length) leg[leg.length - 1].gold = ++pickup;
+        steps = steps.concat(leg);
+        at = gold;
+    }
+
+    // The escape uses the hidden ladders
+    var revealed = revealHiddenLadders(level);
+    var escapePositions = findEscapePositions(revealed);
+    var escape = escapePositions[findNearestTarget(revealed, at.x, at.y, escapePositions)];
+    var escapeLeg = escape ? findLegPath(revealed, at.x, at.y, escape.x, escape.y) : null;
+
+    if (!escapeLeg) return { solvable: false, reason: 'No path found to escape', steps: [] };
+
+    return { solvable: true, steps: steps.concat(escapeLeg) };
 }
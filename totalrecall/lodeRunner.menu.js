@@ -1684,9 +1684,13 @@ function menuIdToPlayData(menuId)
 }
 
 var playDataNameUserDef = "Custom Levels";
+var playDataNameDaily = "Daily Challenge";
+var playDataNameGenerated = "Generated Mode";
 function playDataToTitleName(verId)
 {
 	if(verId == PLAY_DATA_USERDEF) return playDataNameUserDef;
+	if(verId == PLAY_DATA_DAILY) return playDataNameDaily;
+	if(verId == PLAY_DATA_GENERATED) return playDataNameGenerated;
 	
 	for(var i = 0; i < playVersionInfo.length; i++) {
 		if(playVersionInfo[i].id == verId) return playVersionInfo[i].name;
@@ -1748,12 +1752,18 @@ function gameMenu(callbackFun)
 	var editPlayItemObj =    { name: " Play Mode ",  activeFun: editPlay };
 	var editBackupItemObj =  { name: " Backup ",     activeFun: backupDialog };
 	var	editRestoreItemObj = { name: " Restore ",    activeFun: restoreDialog };
+	var editExportItemObj =  { name: " Export ",     activeFun: exportLevelMenu };
+	var editImportItemObj =  { name: " Import ",     activeFun: importLevelMenu };
+	var skipLevelItemObj =   { name: " Skip Level (-1 MEN) ", activeFun: generatedSkipLevel };
+	var newLevelItemObj =    { name: " New Level (-" + GENERATED_NEW_LEVEL_SCORE + ") ", activeFun: generatedNewLevel };
+	var saveLevelItemObj =   { name: " Save Level ", activeFun: saveGeneratedLevel };
 
 	var gameMenuList = [
 		{ activeItem: 0 },
 		{ name: " Challenge Mode ", activeFun: classicPlay },
 		{ name: " Training Mode ",  activeFun: modernPlay },
 		{ name: " Generated Mode ", activeFun: generatedPlay },
+		{ name: " Daily Challenge ", activeFun: dailyPlay },
 //		{ name: " Demo Mode ",      activeFun: demoPlay },
 		{ name: " Change Game Version ",      activeFun: gameVersionMenu }
 	];
@@ -1774,6 +1784,10 @@ function gameMenu(callbackFun)
 			editMenuList[0].activeItem = 1; // edit.play
 
 		addMenuItem(editMenuList,  editRestoreItemObj, 2);
+		if(playMode == PLAY_EDIT) { //level text files
+			addMenuItem(editMenuList,  editImportItemObj, 2);
+			addMenuItem(editMenuList,  editExportItemObj, 2);
+		}
 			
 		if(editLevels > 0) { 
 			addMenuItem(editMenuList,  editBackupItemObj, 2);
@@ -1784,6 +1798,11 @@ function gameMenu(callbackFun)
 	case (gameVersionMenuList[0].activeItem < playVersionInfo.length):
 		titleName = playVersionInfo[gameVersionMenuList[0].activeItem].name;
 		if(playerDemoData.length > 0) addMenuItem(gameMenuList,  demoItemObj, 3);
+		if(playMode == PLAY_GENERATED) {
+			addMenuItem(gameMenuList,  skipLevelItemObj, -1);
+			addMenuItem(gameMenuList,  newLevelItemObj, -1);
+		}
+		if(generatedPlayMode()) addMenuItem(gameMenuList,  saveLevelItemObj, -1);
 		break
 	default:
 		error("design error, value =" + gameVersionMenuList[0].activeItem );
@@ -1864,9 +1883,70 @@ function modernPlay(id, callbackFun)
 	startGame();
 }
 
+//=====================================================
+// Generated Mode: load the Markov model, pick the level
+// style of a new run, a run from the url
+// (?seed=...&level=...&style=...) starts at once,
+// but not a daily challenge run
+//=====================================================
 function generatedPlay(id, callbackFun)
+{
+	loadMarkovModel(function() {
+		var urlInfo = getGeneratedUrlInfo();
+		
+		if(urlInfo && urlInfo.daily) {
+			if(callbackFun != null) callbackFun();
+			showTipsText("DAILY CHALLENGE SEED", 3000, "NOT FOR GENERATED MODE");
+		} else if(urlInfo) generatedStart(urlInfo.seed, urlInfo.level, urlInfo.style, callbackFun);
+		else generatedStyleMenu(callbackFun);
+	}, function(reason) {
+		generatedModelError(reason, callbackFun);
+	});
+}
+
+function generatedStyleMenu(callbackFun)
+{
+	var styles = markovStyles();
+	var styleMenuList = [ { activeItem: 0 } ];
+	var curStyle = markovStyle; //style picked for the last Generated Mode run
+	var lastRun = getGeneratedInfo();
+	var firstStyle = 0;
+
+	//the last run (seed & level on screen) can be resumed at that level
+	if(lastRun) {
+		styleMenuList.push({ name: " Resume Level " + lastRun.level + " ", activeFun: resumePlay });
+		firstStyle = 1;
+	}
+	
+	for(var i = 0; i < styles.length; i++) {
+		if(styles[i].id == curStyle) styleMenuList[0].activeItem = i + firstStyle;
+		styleMenuList.push({ name: " " + styles[i].name + " ", activeFun: stylePlay });
+	}
+	menuDialog(" Select Level Style ", styleMenuList, mainStage, tileScale, 1, mainMenuClose, callbackFun);
+	
+	function stylePlay(id, callbackFun)
+	{
+		generatedStart(null, 1, styles[id - firstStyle].id, callbackFun);
+	}
+	
+	function resumePlay(id, callbackFun)
+	{
+		var style = lastRun.style?lastRun.style:markovDefaultStyle(); //run saved before level styles
+		
+		generatedStart(lastRun.seed, lastRun.level, style, callbackFun, lastRun);
+	}
+}
+
+//[lastRun]: saved run to resume (getGeneratedInfo), or none
+function generatedStart(runSeed, startLevelNo, style, callbackFun, lastRun)
 {
 	if(callbackFun != null) callbackFun();
+	
+	if(!setMarkovStyle(style)) {
+		showTipsText("UNKNOWN LEVEL STYLE", 3000, style.toUpperCase());
+		return;
+	}
+	
 	if(playMode == PLAY_EDIT) canvasReSize();
 	playMode = PLAY_GENERATED;
 
@@ -1879,9 +1959,44 @@ function generatedPlay(id, callbackFun)
 	demoIconObj.disable(1);
 	initShowDataMsg();
 
-	// Load Markov model if not loaded, then start game
+	// New seeded run (random seed if null) of the style
+	initGeneratedRun(runSeed, startLevelNo, style);
+	if(lastRun) resumeGeneratedRun(lastRun);
+	startGame();
+}
+
+//no level can be generated without the model, the game goes on as before
+function generatedModelError(reason, callbackFun)
+{
+	if(callbackFun != null) callbackFun();
+	showTipsText("LEVEL MODEL NOT LOADED", 3000, reason.toUpperCase());
+}
+
+function dailyPlay(id, callbackFun)
+{
+	if(dailyPlayedToday()) { //one attempt per day
+		if(callbackFun != null) callbackFun();
+		showTipsText("DAILY CHALLENGE PLAYED", 3000, "NEXT ONE AT 00:00 UTC");
+		return;
+	}
+	
 	loadMarkovModel(function() {
+		if(callbackFun != null) callbackFun();
+		if(playMode == PLAY_EDIT) canvasReSize();
+		playMode = PLAY_DAILY;
+
+		soundStop(soundDig);
+		soundStop(soundFall);
+		disableStageClickEvent();
+		document.onkeydown = handleKeyDown;
+		pasteIconObj.disable();
+		selectIconObj.disable(1);
+		demoIconObj.disable(1);
+		initShowDataMsg();
+		initDailyRun();
 		startGame();
+	}, function(reason) {
+		generatedModelError(reason, callbackFun);
 	});
 }
 
@@ -3691,6 +3806,7 @@ function restoreDialog(id, _callBackFun)
 			editLevelData = [];
 			for(var i=0; i < tmpCustomLevels.length; i++) {
 				setEditLevel(++editLevels, tmpCustomLevels[i]); //editLevels: 1 - MAX_EDIT_LEVEL
+				setEditLevelSource(editLevels, null);
 			}
 			
 			//(3) save edit info
@@ -105,7 +105,7 @@ function themeSoundPlay(name)
 
 function soundDisable()
 {
-	if(playMode == PLAY_AUTO) return 1;
+	if(playMode == PLAY_AUTO || playMode == PLAY_BOT) return 1;
 	if(playMode == PLAY_DEMO || playMode == PLAY_DEMO_ONCE) return demoSoundOff;
 	else return soundOff;
 }
@@ -220,7 +220,7 @@ function  rangeRandom(minValue, maxValue, seedValue)
 				seed = seedValue;	
 				swapId = (seedRandom() * items) | 0;
 			} else {
-				swapId = (Math.random() * items) | 0;
+				swapId = (coreRandom() * items) | 0; //seeded by setCoreSeed()
 			}
 			tmp = rndList[i];
 			rndList[i] = rndList[swapId];
@@ -251,7 +251,21 @@ function  rangeRandom(minValue, maxValue, seedValue)
 	{
 		return reset;
 	}
-	
+
+	//state of the sequence, for coreSave() & coreRestore()
+	this.getState = function ()
+	{
+		return { rndList: rndList.slice(), idx: idx, reset: reset, seed: seed };
+	}
+
+	this.setState = function (state)
+	{
+		rndList = state.rndList.slice();
+		idx = state.idx;
+		reset = state.reset;
+		seed = state.seed;
+	}
+
 	//---------
 	// initial 
 	//---------
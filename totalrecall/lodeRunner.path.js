@@ -0,0 +1,146 @@
+//=============================================================================
+// Solution path overlay (level editor & play field)
+//
+// Shows the route found by the full solver (findSolutionPath() in
+// lodeRunner.markov.js): arrows drawn step by step from the runner, a cross
+// on each brick to dig and the gold numbered in pickup order.
+// CTRL-P shows or hides it; in the editor also the SHOW PATH button of the
+// level check panel. Shown in a Classic, Generated or Daily run, the run is
+// not ranked any more (as with god mode).
+//=============================================================================
+
+var PATH_STEP_TIME = 60; //ms between two arrows
+var PATH_COLOR = "#00ffff", PATH_DIG_COLOR = "#ff3030", PATH_GOLD_COLOR = "#ffff00";
+
+var pathObj = null;       //container of the overlay on stage
+var pathLevelMap = null;  //level on the play field
+
+//level on the play field, called after the level is built (the stage is new)
+function setSolutionPathLevel(levelMap)
+{
+	pathObj = null;
+	pathLevelMap = levelMap;
+}
+
+function toggleSolutionPath()
+{
+	if(pathObj) {
+		hideSolutionPath();
+	} else {
+		showSolutionPath();
+	}
+}
+
+function hideSolutionPath()
+{
+	if(!pathObj) return;
+
+	for(var i = 0; i < pathObj.getNumChildren(); i++) {
+		createjs.Tween.removeTweens(pathObj.getChildAt(i));
+	}
+	mainStage.removeChild(pathObj);
+	pathObj = null;
+}
+
+function showSolutionPath()
+{
+	var levelMap, result, steps;
+
+	if(playMode == PLAY_EDIT) {
+		if(testLevelInfo.level > MAX_EDIT_LEVEL || editMapIsEmpty) return;
+		levelMap = copyEditingMap();
+	} else {
+		levelMap = pathLevelMap;
+	}
+	if(!levelMap) return;
+
+	result = findSolutionPath(levelMap);
+	if(!result.solvable) {
+		showTipsText("NO SOLUTION FOUND", 1500);
+		return;
+	}
+
+	//a run that has seen the route is not ranked, same as god mode
+	if(playMode == PLAY_CLASSIC || generatedPlayMode()) {
+		sometimePlayInGodMode = 1;
+		showTipsText("PATH SHOWN", 1500, "SCORE NOT RANKED");
+	}
+
+	steps = result.steps;
+	pathObj = new createjs.Container();
+	for(var i = 1; i < steps.length; i++) {
+		if(steps[i].dig) addPathStep(pathDigMark(steps[i].dig), i);
+		addPathStep(pathArrow(steps[i-1], steps[i]), i);
+		if(steps[i].gold) addPathStep(pathGoldMark(steps[i]), i);
+	}
+	mainStage.addChild(pathObj);
+}
+
+//show [obj] at step [i] of the animation
+function addPathStep(obj, i)
+{
+	obj.alpha = 0;
+	pathObj.addChild(obj);
+	createjs.Tween.get(obj).wait(i * PATH_STEP_TIME).to({alpha:1}, PATH_STEP_TIME);
+}
+
+//top left of cell (x, y) on stage
+function pathCellX(x)
+{
+	if(playMode == PLAY_EDIT) return (tileWScale + EDIT_PADDING) * x + EDIT_PADDING + editStartX;
+	return x * tileWScale;
+}
+
+function pathCellY(y)
+{
+	if(playMode == PLAY_EDIT) return (tileHScale + EDIT_PADDING) * y + EDIT_PADDING;
+	return y * tileHScale;
+}
+
+//arrow between the centers of two cells
+function pathArrow(from, to)
+{
+	var shape = new createjs.Shape();
+	var x0 = pathCellX(from.x) + tileWScale/2, y0 = pathCellY(from.y) + tileHScale/2;
+	var x1 = pathCellX(to.x) + tileWScale/2, y1 = pathCellY(to.y) + tileHScale/2;
+	var angle = Math.atan2(y1 - y0, x1 - x0);
+	var head = tileWScale / 3;
+
+	shape.graphics.setStrokeStyle(3*tileScale, "round").beginStroke(PATH_COLOR)
+		.moveTo(x0, y0).lineTo(x1, y1).endStroke()
+		.beginFill(PATH_COLOR).moveTo(x1, y1)
+		.lineTo(x1 - head * Math.cos(angle - 0.5), y1 - head * Math.sin(angle - 0.5))
+		.lineTo(x1 - head * Math.cos(angle + 0.5), y1 - head * Math.sin(angle + 0.5))
+		.closePath().endFill();
+	shape.shadow = new createjs.Shadow("black", tileScale, tileScale, 1);
+
+	return shape;
+}
+
+//cross on a brick to dig
+function pathDigMark(cell)
+{
+	var shape = new createjs.Shape();
+	var x = pathCellX(cell.x), y = pathCellY(cell.y);
+	var d = tileWScale / 5;
+
+	shape.graphics.setStrokeStyle(4*tileScale, "round").beginStroke(PATH_DIG_COLOR)
+		.moveTo(x + d, y + d).lineTo(x + tileWScale - d, y + tileHScale - d)
+		.moveTo(x + tileWScale - d, y + d).lineTo(x + d, y + tileHScale - d)
+		.endStroke();
+
+	return shape;
+}
+
+//pickup order of a gold
+function pathGoldMark(step)
+{
+	var text = new createjs.Text(step.gold, "bold " + (tileHScale * 2/3 | 0) + "px Helvetica", PATH_GOLD_COLOR);
+
+	text.textAlign = "center";
+	text.x = pathCellX(step.x) + tileWScale/2;
+	text.y = pathCellY(step.y) - tileHScale/2;
+	text.shadow = new createjs.Shadow("black", tileScale, tileScale, 1);
+
+	return text;
+}
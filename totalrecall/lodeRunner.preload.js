@@ -138,7 +138,7 @@ var firstPlay = 0;
 
 var runnerData;
 var guardData = {}, redhatData = {};
-var holeData, holeObj = {};
+var holeData;
 var textData;
 var countryFlagData;
 
@@ -477,13 +477,11 @@ function createSoundInstance()
 //==============================
 
 var spriteSpeed = [
-	{ runnerSpeed: 0.65, guardSpeed: 0.3,  digSpeed: 0.68, fillSpeed: 0.24, xMoveBase: 8, yMoveBase: 8 }, //ver 1
-	{ runnerSpeed: 0.70, guardSpeed: 0.35, digSpeed: 0.68, fillSpeed: 0.27, xMoveBase: 8, yMoveBase: 9 }, //ver 2
-	{ runnerSpeed: 0.8,  guardSpeed: 0.4,  digSpeed: 1,    fillSpeed: 1,    xMoveBase: 8, yMoveBase: 9 }  //ver 3 & 4 
+	{ runnerSpeed: 0.65, guardSpeed: 0.3,  digSpeed: 0.68, fillSpeed: 0.24 }, //ver 1
+	{ runnerSpeed: 0.70, guardSpeed: 0.35, digSpeed: 0.68, fillSpeed: 0.27 }, //ver 2
+	{ runnerSpeed: 0.8,  guardSpeed: 0.4,  digSpeed: 1,    fillSpeed: 1 }  //ver 3 & 4 
 ];
 
-var curAiVersion = AI_VERSION;
-var maxGuard = MAX_NEW_GUARD; 
 function setSpeedByAiVersion()
 {
 	var idx = (curAiVersion > spriteSpeed.length)?(spriteSpeed.length-1):(curAiVersion-1); //array index don't overflow
@@ -494,22 +492,6 @@ function setSpeedByAiVersion()
 	DIG_SPEED = speedObj.digSpeed;
 	FILL_SPEED = speedObj.fillSpeed;
 	
-	xMove = speedObj.xMoveBase; 
- 	yMove = speedObj.yMoveBase;
-	
-	//------------------------------------------------------------------------------------
-	// Change move policy for support LR FAN BOOK with one guard 
-	// Original policy for one guard is [0, 1, 1] ==> 2/3 speed of runner 
-	// while AI_VERSION >= 3 change policy to [ 0, 1, 0, 1, 0, 1 ] ==> 1/2 speed of runner
-	//------------------------------------------------------------------------------------
-	if(curAiVersion < 3) {
-		movePolicy[1] = [0, 1, 1, 0, 1, 1];
-		maxGuard = MAX_OLD_GUARD;
-	} else {
-		movePolicy[1] = [0, 1, 0, 1, 0, 1]; //slow down the guard when only one guard
-		maxGuard = MAX_NEW_GUARD;           //change max guard 
-	}
-	
 	themeDataReset(1); //4/16/2015
 	createHoleObj();  //6/27/2016
 }
@@ -664,14 +646,6 @@ function createGuardObj(imageName)
 function createHoleObj()
 {
 	holeObj.sprite = new createjs.Sprite(holeData, "digHoleLeft");
-	
-	if(curAiVersion < 3) {
-		holeObj.digLimit = 6; //for check guard is close to runner when digging
-	} else {
-		holeObj.digLimit = 8; //for check guard is close to runner when digging
-	}
-	
-	holeObj.action = ACT_STOP; //no digging 
 }
 
 //=======================================
@@ -0,0 +1,352 @@
+//=============================================================================
+// Replay: record the key action of every tick of a run, save it as a file,
+// load it back and play it with pause, step & fast forward.
+//
+// Replay file (JSON text):
+// {
+//   format: "meelode-replay", version: 1,
+//   level:  level map (NO_OF_TILES_X * NO_OF_TILES_Y characters),
+//   seed:   { run:, level:, style: } of a generated level, or null,
+//   mode:   play mode of the run, levelNo: level number of the run,
+//   ai:     AI version, speed: ticks per second,
+//   rng:    core seed (setCoreSeed), drives guard gold drop & reborn column,
+//   godMode: god mode at start of run,
+//   ticks:  number of ticks played, result: 1 = level finished, 0 = runner dead,
+//   keys:   [tick, keyAction, tick, keyAction, ...] key action changes,
+//   god:    [tick, tick, ...] ticks which toggle god mode
+// }
+//
+// The game core is deterministic (see lodeRunner.core.js), the level, seed
+// and key actions re-create the run exactly.
+//=============================================================================
+
+var REPLAY_FORMAT = "meelode-replay";
+var REPLAY_VERSION = 1;
+var REPLAY_FAST_TICKS = 4; //ticks per frame while fast forward
+
+var replayRecord = null; //replay of the run on screen
+var replayRecordGod;     //god mode of the last recorded tick
+var lastReplay = null;   //replay of the last completed run
+
+var replayData = null;   //replay on playback
+var replayTick, replayKeyIdx, replayGodIdx, replayKey, replayFast;
+
+//=====================================================
+// record
+//=====================================================
+function replayRecordMode()
+{
+	switch(playMode) {
+	case PLAY_CLASSIC:
+	case PLAY_MODERN:
+	case PLAY_GENERATED:
+	case PLAY_DAILY:
+	case PLAY_TEST:
+		return (recordMode != RECORD_PLAY && curAiVersion >= 3);
+	}
+	return 0;
+}
+
+//called after initVariable(), coreSeed is the seed of this play
+function replayRecordStart(levelMap)
+{
+	replayRecord = null;
+	if(!replayRecordMode()) return;
+
+	replayRecord = {
+		format: REPLAY_FORMAT,
+		version: REPLAY_VERSION,
+		level: levelMap,
+		seed: generatedPlayMode()?{ run: generatedRunSeed, level: generatedLevelNo, style: generatedStyle }:null,
+		mode: playMode,
+		levelNo: curLevel,
+		ai: curAiVersion,
+		speed: speedMode[speed],
+		rng: coreSeed,
+		godMode: godMode,
+		ticks: 0,
+		result: 0,
+		keys: [],
+		god: []
+	};
+	replayKey = ACT_UNKNOWN;
+	replayRecordGod = godMode;
+}
+
+//called before coreMove() of each tick
+function replayRecordTick()
+{
+	if(replayRecord == null) return;
+
+	if(keyAction != replayKey) {
+		replayRecord.keys.push(replayRecord.ticks, keyAction);
+		replayKey = keyAction;
+	}
+	if(godMode != replayRecordGod) {
+		replayRecord.god.push(replayRecord.ticks);
+		replayRecordGod = godMode;
+	}
+	replayRecord.ticks++;
+}
+
+//state: GAME_FINISH or GAME_RUNNER_DEAD, return the replay of this run (or null)
+function replayRecordEnd(state)
+{
+	if(replayRecord == null) return null;
+
+	replayRecord.result = (state == GAME_FINISH)?1:0;
+	lastReplay = replayRecord;
+	replayRecord = null;
+
+	return lastReplay;
+}
+
+//=====================================================
+// save & load replay file
+//=====================================================
+function replayFileName(replay)
+{
+	var name = replay.seed?("seed" + replay.seed.run + "-" + replay.seed.level):("level" + replay.levelNo);
+
+	return "meelode-" + name + "-" + (replay.result?"finish":"dead") + ".replay";
+}
+
+function saveLastReplay()
+{
+	if(lastReplay == null) {
+		showTipsText("NO REPLAY YET", 2500);
+		return;
+	}
+
+	var element = document.createElement('a');
+	element.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(JSON.stringify(lastReplay)));
+	element.setAttribute('download', replayFileName(lastReplay));
+
+	element.style.display = 'none';
+	document.body.appendChild(element);
+	element.click();
+	document.body.removeChild(element);
+}
+
+//select a replay file, [callback](replay) when it is a valid replay
+function openReplayFile(callback)
+{
+	var input = document.createElement('input');
+
+	input.setAttribute('type', 'file');
+	input.setAttribute('accept', '.replay,.json,.txt');
+	input.style.display = 'none';
+	input.onchange = function() {
+		var reader = new FileReader();
+
+		document.body.removeChild(input);
+		if(!input.files.length) return;
+
+		reader.onload = function() {
+			var replay = parseReplay(reader.result);
+
+			if(replay == null) showTipsText("WRONG REPLAY FILE", 2500);
+			else callback(replay);
+		};
+		reader.readAsText(input.files[0]);
+	};
+	document.body.appendChild(input);
+	input.click();
+}
+
+//return replay or null when [text] isn't a replay this version can play
+function parseReplay(text)
+{
+	var replay;
+
+	try {
+		replay = JSON.parse(text);
+	} catch(e) {
+		return null;
+	}
+
+	if(!replay || replay.format != REPLAY_FORMAT) return null;
+	if(replay.version != REPLAY_VERSION) return null;
+	if(typeof replay.level != "string" || replay.level.length != NO_OF_TILES_X * NO_OF_TILES_Y) return null;
+	if(!(replay.ai >= 3) || !(replay.ticks >= 0) || !(replay.speed > 0)) return null;
+	if(!Array.isArray(replay.keys) || replay.keys.length % 2) return null;
+	if(!Array.isArray(replay.god)) replay.god = [];
+
+	return replay;
+}
+
+//=====================================================
+// playback
+//=====================================================
+function replayPlay(replay)
+{
+	if(playMode == PLAY_EDIT) canvasReSize();
+	playMode = PLAY_REPLAY;
+	replayData = replay;
+
+	soundStop(soundDig);
+	soundStop(soundFall);
+	disableStageClickEvent();
+	document.onkeydown = handleReplayKeyDown;
+	pasteIconObj.disable();
+	selectIconObj.disable(1);
+	demoIconObj.disable(1);
+	initShowDataMsg();
+
+	startGame();
+}
+
+//called by startGame(), return level map of replay
+function getReplayInfo()
+{
+	curAiVersion = replayData.ai;
+	curLevel = replayData.levelNo || 1;
+	godMode = replayData.godMode?1:0;
+
+	return replayData.level;
+}
+
+//called by beginPlay(), no waiting for the first key
+function initReplayPlay()
+{
+	replayTick = replayKeyIdx = replayGodIdx = 0;
+	replayKey = ACT_STOP;
+	replayFast = 0;
+
+	gameState = GAME_RUNNING;
+	playTickTimer = 0;
+	if(goldCount <= 0) showHideLaddr();
+	menuIconEnable();
+	showTipsText("REPLAY", 2500, "SPACE: PAUSE  ->: STEP  F: FAST");
+}
+
+//set keyAction of this tick, return false when all ticks played
+function replayPlayTick()
+{
+	var keys = replayData.keys;
+
+	if(replayTick >= replayData.ticks) return false;
+
+	while(replayKeyIdx < keys.length && keys[replayKeyIdx] <= replayTick) {
+		replayKey = keys[replayKeyIdx+1];
+		replayKeyIdx += 2;
+	}
+	while(replayGodIdx < replayData.god.length && replayData.god[replayGodIdx] <= replayTick) {
+		godMode ^= 1;
+		replayGodIdx++;
+	}
+	keyAction = replayKey;
+	replayTick++;
+
+	return true;
+}
+
+//state: GAME_FINISH, GAME_RUNNER_DEAD or GAME_RUNNING (ticks run out)
+function replayPlayEnd(state)
+{
+	var result = (state == GAME_FINISH)?1:((state == GAME_RUNNER_DEAD)?0:-1);
+
+	if(result == replayData.result && replayTick == replayData.ticks) {
+		showTipsText("REPLAY END", 2000);
+	} else {
+		showTipsText("REPLAY END", 2000, "OUT OF SYNC");
+	}
+	document.onkeydown = handleKeyDown;
+	setTimeout(function() { showCoverPage(); }, 2000);
+	gameState = GAME_WAITING;
+}
+
+//extra ticks of fast forward, called after playGame()
+function replayFastForward(deltaS)
+{
+	for(var i = 1; replayFast && i < REPLAY_FAST_TICKS && gameState == GAME_RUNNING; i++) {
+		playGame(deltaS);
+	}
+}
+
+//one tick while pause
+function replayStep()
+{
+	gameState = lastGameState;
+	playGame(0);
+	if(gameState == GAME_RUNNING) {
+		lastGameState = gameState;
+		gameState = GAME_PAUSE;
+	}
+	mainStage.update();
+}
+
+function handleReplayKeyDown(event)
+{
+	if(!event){ event = window.event; } //cross browser issues exist
+
+	if(event.shiftKey || event.ctrlKey) return false;
+	if(gameState != GAME_RUNNING && gameState != GAME_PAUSE) return false;
+
+	switch(event.keyCode) {
+	case KEYCODE_SPACE:
+	case KEYCODE_ESC:
+		if(gameState == GAME_PAUSE) {
+			gameResume();
+			showTipsText("", 1000); //clear text
+		} else {
+			gamePause();
+			showTipsText("PAUSE", 0);
+		}
+		break;
+	case KEYCODE_RIGHT:
+		if(gameState == GAME_PAUSE && lastGameState == GAME_RUNNING) replayStep();
+		break;
+	case KEYCODE_F:
+		replayFast ^= 1;
+		showTipsText(replayFast?"FAST FORWARD":"NORMAL SPEED", 1500);
+		break;
+	}
+	return false;
+}
+
+//=====================================================
+// play [replay] with the headless core, call [onTick]()
+// after each tick, return { ticks:, result: }
+// (it replaces the core state of the level on screen)
+//=====================================================
+function simulateReplay(replay, onTick)
+{
+	var keyIdx = 0, godIdx = 0, key = ACT_STOP;
+	var saveGodMode = godMode;
+	var result = -1;
+
+	if(replay.ai < 3) return { ticks: 0, result: result };
+
+	godMode = replay.godMode?1:0;
+	coreLoadLevel(replay.level, { seed: replay.rng, aiVersion: replay.ai });
+
+	while(coreTickCount < replay.ticks) {
+		if(coreLevelFinished()) break;
+		while(keyIdx < replay.keys.length && replay.keys[keyIdx] <= coreTickCount) {
+			key = replay.keys[keyIdx+1];
+			keyIdx += 2;
+		}
+		while(godIdx < replay.god.length && replay.god[godIdx] <= coreTickCount) {
+			godMode ^= 1;
+			godIdx++;
+		}
+		coreTick(key);
+		if(onTick) onTick();
+		if(gameState != GAME_RUNNING) break;
+	}
+	if(gameState == GAME_RUNNER_DEAD) result = 0;
+	else if(coreLevelFinished()) result = 1;
+	godMode = saveGodMode;
+
+	return { ticks: coreTickCount, result: result };
+}
+
+//play [replay] headless, return { ok:, ticks:, result: }
+function verifyReplay(replay)
+{
+	var play = simulateReplay(replay);
+
+	play.ok = (play.ticks == replay.ticks && play.result == replay.result);
+	return play;
+}
@@ -266,29 +266,28 @@ function runnerMoveStep(action, stayCurrPos )
 	
 	if(action == ACT_STOP ) {
 		if(runner.action == ACT_FALL) {
-			soundStop(soundFall);
-			themeSoundPlay("down");
+			gameView.soundStop("fall");
+			gameView.themeSoundPlay("down");
 		}
 		if(runner.action != ACT_STOP){
-			runner.sprite.stop();
+			gameView.stopSprite(runner);
 			runner.action = ACT_STOP;
 		}
 	} else {
-		runner.sprite.x = (x * tileW + xOffset) * tileScale | 0;
-		runner.sprite.y = (y * tileH + yOffset) * tileScale | 0;
 		runner.pos = { x:x, y:y, xOffset:xOffset, yOffset:yOffset};	
+		gameView.moveSprite(runner);
 		if(curShape != newShape) {
-			runner.sprite.gotoAndPlay(newShape);
 			runner.shape = newShape;
+			gameView.playShape(runner, newShape);
 		}
 		if(action != runner.action){
 			if(runner.action == ACT_FALL) {
-				soundStop(soundFall);
-				themeSoundPlay("down");
+				gameView.soundStop("fall");
+				gameView.themeSoundPlay("down");
 			} else if ( action == ACT_FALL) {
-				soundPlay(soundFall);
+				gameView.soundPlay("fall");
 			}
-			runner.sprite.play();
+			gameView.playSprite(runner);
 		}
 		if(action == ACT_LEFT || action == ACT_RIGHT) runner.lastLeftRight = action;
 		runner.action = action;
@@ -296,7 +295,7 @@ function runnerMoveStep(action, stayCurrPos )
 	map[x][y].act = RUNNER_T;
 	
 	//show trap tile if runner fall into the tile, 9/12/2015
-	if(map[x][y].base == TRAP_T) map[x][y].bitmap.set({alpha:0.5}); //show trap tile
+	if(map[x][y].base == TRAP_T) gameView.showTile(x, y, 0.5); //show trap tile
 	
 	// Check runner to get gold (MAX MOVE MUST < H4 & W4) 
 	if( map[x][y].base == GOLD_T &&
@@ -307,15 +306,9 @@ function runnerMoveStep(action, stayCurrPos )
 	  )  
 	{
 		removeGold(x,y);
-		themeSoundPlay("getGold");
+		gameView.getGold();
 		decGold();
 		//debug("gold = " + goldCount);
-		if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {
-			drawScore(SCORE_GET_GOLD);
-		} else {	
-			//for modern mode , edit mode
-			drawGold(1); //get gold 
-		}
 	}
 	//if(!goldCount && !goldComplete) showHideLaddr();
 	
@@ -328,30 +321,20 @@ function decGold()
 {
 	if(--goldCount <= 0) {
 		showHideLaddr();
-		if(runner.pos.y > 0) {
-			if(curTheme == "C64")  soundPlay("goldFinish" + ((curLevel-1)%6+1)); //six sounds
-			else soundPlay("goldFinish"); //for all apple2 mode, 9/12/2015
-		}
+		if(runner.pos.y > 0) gameView.allGoldTaken();
 	}
 }
 
 function removeGold(x,y)
 {
 	map[x][y].base = EMPTY_T;
-	mainStage.removeChild(map[x][y].bitmap);
-	map[x][y].bitmap = null;
+	gameView.removeGold(x, y);
 }
 
 function addGold(x, y)
 {
-	var tile;
-	
 	map[x][y].base = GOLD_T;
-	tile = map[x][y].bitmap = getThemeBitmap("gold");
-	tile.setTransform(x * tileWScale, y * tileHScale,tileScale, tileScale); //x,y, scaleX, scaleY 
-	mainStage.addChild(tile); 
-	
-	moveSprite2Top(); //reset runner, guard & fill hole object order
+	gameView.addGold(x, y);
 }
 
 function showHideLaddr()
@@ -363,7 +346,7 @@ function showHideLaddr()
 				haveHLadder = 1;
 				map[x][y].base =LADDR_T;
 				map[x][y].act  =LADDR_T;
-				map[x][y].bitmap.set({alpha:1}); //display laddr
+				gameView.showTile(x, y, 1); //display laddr
 			}
 		}
 	}
@@ -461,9 +444,7 @@ function processDigHole()
 	if(curAiVersion < 3) return;
 	
 	if(++holeObj.curFrameIdx < holeObj.shapeFrame.length) {
-		// change frame
-		holeObj.sprite.gotoAndStop(holeObj.shapeFrame[holeObj.curFrameIdx]);
-		holeObj.sprite.currentAnimationFrame = holeObj.curFrameIdx;
+		gameView.digFrame(); // change frame
 	} else { //dig complete
 		digComplete();
 	}
@@ -494,29 +475,24 @@ function digHole(action)
 		holeShape = "digHoleRight";
 	}
 	
-	soundPlay(soundDig);
-	map[x][y+1].bitmap.set({alpha:0}); //hide block (replace with digging image)
-	runner.sprite.gotoAndPlay(runner.shape);
-		
 	holeObj.action = ACT_DIGGING;
 	holeObj.pos = { x: x, y: y };
-	holeObj.sprite.setTransform(x * tileWScale, y * tileHScale,tileScale, tileScale);
+	holeObj.shapeFrame = (action == ACT_DIG_LEFT)?digHoleLeft:digHoleRight; //for AI version >= 3
+	holeObj.curFrameIdx = 0;
 	
 	digTimeStart = recordCount; //for debug
 	
-	if(curAiVersion < 3) {
-		holeObj.sprite.gotoAndPlay(holeShape);
-		holeObj.sprite.on("animationend", digComplete);
-	} else {
-		if(action == ACT_DIG_LEFT) holeShape = digHoleLeft;
-		else holeShape = digHoleRight; 
-			
-		holeObj.sprite.gotoAndStop(holeShape[0]);
-		holeObj.shapeFrame = holeShape;
-		holeObj.curFrameIdx = 0;
-	}
+	gameView.soundPlay("dig");
+	gameView.showTile(x, y+1, 0); //hide block (replace with digging image)
+	gameView.playShape(runner, runner.shape);
+	gameView.digStart(holeShape);
+}
 
-	mainStage.addChild(holeObj.sprite);
+//frame of digging hole, AI version < 3 is timed by the hole animation
+function digFrameIdx()
+{
+	if(curAiVersion < 3) return gameView.digAnimationFrame();
+	return holeObj.curFrameIdx;
 }
 
 var DEBUG_DIG=0;
@@ -528,12 +504,12 @@ function isDigging()
 		var x = holeObj.pos.x, y = holeObj.pos.y;
 		if(map[x][y].act == GUARD_T) { //guard come close to the digging hole !
 			var id = getGuardId(x, y);
-			if(holeObj.sprite.currentAnimationFrame < holeObj.digLimit && guard[id].pos.yOffset > -H4) {
-				if(DEBUG_DIG) loadingTxt.text = "dig : " + holeObj.sprite.currentAnimationFrame + " (X)";
+			if(digFrameIdx() < holeObj.digLimit && guard[id].pos.yOffset > -H4) {
+				if(DEBUG_DIG) loadingTxt.text = "dig : " + digFrameIdx() + " (X)";
 
 				stopDigging(x,y);
 			} else {
-				if(DEBUG_DIG) loadingTxt.text = "dig : " + holeObj.sprite.currentAnimationFrame + " (O)";
+				if(DEBUG_DIG) loadingTxt.text = "dig : " + digFrameIdx() + " (O)";
 				if(curAiVersion >= 3) { //This is a bug while AI VERSION < 3
 					map[x][y+1].act = EMPTY_T; //assume hole complete
 					rc = 1;
@@ -542,16 +518,16 @@ function isDigging()
 		} else {
 			switch( runner.shape ) {
 			case "digLeft":
-				if(holeObj.sprite.currentAnimationFrame > 2 ) {
-					runner.sprite.gotoAndStop("runLeft"); //change shape
-					runner.shape = "runLeft";
+				if(digFrameIdx() > 2 ) {
+					runner.shape = "runLeft"; //change shape
+					gameView.showFrame(runner, "runLeft");
 					runner.action = ACT_STOP;
 				}
 				break;
 			case "digRight":
-				if(holeObj.sprite.currentAnimationFrame > 2) {
-					runner.sprite.gotoAndStop("runRight"); //change shape
-					runner.shape = "runRight";
+				if(digFrameIdx() > 2) {
+					runner.shape = "runRight"; //change shape
+					gameView.showFrame(runner, "runRight");
 					runner.action = ACT_STOP;
 				}
 				break;
@@ -565,31 +541,30 @@ function isDigging()
 function stopDigging(x,y)
 {
 	//(1) remove holeObj
-	holeObj.sprite.removeAllEventListeners ("animationend");
 	holeObj.action = ACT_STOP; //no digging
-	mainStage.removeChild(holeObj.sprite); 
+	gameView.digEnd();
 
 	//(2) fill hole
 	y++;
 	map[x][y].act = map[x][y].base; //BLOCK_T
 	assert(map[x][y].base == BLOCK_T, "fill hole != BLOCK_T");
-	map[x][y].bitmap.set({alpha:1}); //display block
+	gameView.showTile(x, y, 1); //display block
 	
 	//(3) change runner shape
 	switch( runner.shape ) {
 	case "digLeft":
-		runner.sprite.gotoAndStop("runLeft");
 		runner.shape = "runLeft";
 		runner.action = ACT_STOP;
+		gameView.showFrame(runner, "runLeft");
 		break;
 	case "digRight":
-		runner.sprite.gotoAndStop("runRight");
 		runner.shape = "runRight";
 		runner.action = ACT_STOP;
+		gameView.showFrame(runner, "runRight");
 		break;
 	}
 	
-	soundStop(soundDig); //stop sound of digging
+	gameView.soundStop("dig"); //stop sound of digging
 }
 
 function digComplete()
@@ -598,44 +573,29 @@ function digComplete()
 	var y = holeObj.pos.y + 1;
 	
 	map[x][y].act = EMPTY_T;
-	holeObj.sprite.removeAllEventListeners ("animationend");
 	holeObj.action = ACT_STOP; //no digging
-	mainStage.removeChild(holeObj.sprite); 
+	gameView.digEnd();
 	
 	if(DEBUG_TIME) loadingTxt.text = "DigTime = " + (recordCount - digTimeStart);
 	
 	fillHole(x, y);
 }
 
-var fillHoleObj = [];
+var fillHoleObj = []; //filling holes { pos:, curFrameIdx:, curFrameTime: }
 function fillHole(x, y)
 {
-	var fillSprite = new createjs.Sprite(holeData, "fillHole");
+	var fillObj = {
+		pos: { x:x, y:y }, //save position 11/18/2014
+		curFrameIdx:   0,
+		curFrameTime: -1
+	};
 	
-	fillSprite.pos = { x:x, y:y }; //save position 11/18/2014
-	fillSprite.setTransform(x * tileWScale, y * tileHScale, tileScale, tileScale);
-	
-	if(curAiVersion < 3) {
-		fillSprite.on("animationend", fillComplete, null, false, {obj:fillSprite} );
-		fillSprite.play();
-	} else {
-		fillSprite.curFrameIdx  =   0;
-		fillSprite.curFrameTime =  -1;
-		fillSprite.gotoAndStop(fillHoleFrame[0]);
-	}
-	mainStage.addChild(fillSprite); 
-	fillHoleObj.push(fillSprite);
+	fillHoleObj.push(fillObj);
+	gameView.fillStart(fillObj);
 	
 	fillHoleTimeStart = recordCount; //for debug
 }
 
-function moveFillHoleObj2Top()
-{
-	for(var i = 0; i < fillHoleObj.length; i++) {
-		moveChild2Top(mainStage, fillHoleObj[i]);
-	}
-}
-
 function fillComplete(evt, data)
 {
 	//don't use "divide command", it will cause loss of accuracy while scale changed (ex: tileScale = 0.6...)
@@ -645,16 +605,15 @@ function fillComplete(evt, data)
 	var fillObj = data.obj;
 	var x = fillObj.pos.x, y = fillObj.pos.y; //get position 
 
-	map[x][y].bitmap.set({alpha:1}); //display block
-	fillObj.removeAllEventListeners ("animationend");
-	mainStage.removeChild(fillObj);
+	gameView.showTile(x, y, 1); //display block
+	gameView.fillEnd(fillObj);
 	removeFillHoleObj(fillObj);
 	
 	switch(map[x][y].act) {
 	case RUNNER_T : // runner dead
 		//loadingTxt.text = "RUNNER DEAD"; 
 		gameState = GAME_RUNNER_DEAD;
-		runner.sprite.set({alpha:0}); //hidden runner --> dead
+		gameView.runnerDead(); //hidden runner --> dead
 		break;
 	case GUARD_T: //guard dead
 		var id = getGuardId(x,y);
@@ -665,12 +624,7 @@ function fillComplete(evt, data)
 			guardRemoveRedhat(guard[id]); //9/4/2016	
 		}
 		guardReborn(x,y);
-		if(playMode == PLAY_CLASSIC || playMode == PLAY_AUTO || playMode == PLAY_DEMO) {	
-			drawScore(SCORE_GUARD_DEAD);
-		} else {
-			//for modern mode & edit mode
-			drawGuard(1); //guard dead, add count
-		}
+		gameView.guardDead();
 		break;
 	}
 	map[x][y].act = BLOCK_T;
@@ -678,10 +632,10 @@ function fillComplete(evt, data)
 	if(DEBUG_TIME) loadingTxt.text = "FillHoleTime = " + (recordCount - fillHoleTimeStart); //for debug
 }
 
-function removeFillHoleObj(spriteObj)
+function removeFillHoleObj(fillObj)
 {
 	for(var i = 0; i < fillHoleObj.length; i++) {
-		if(fillHoleObj[i] == spriteObj) {
+		if(fillHoleObj[i] == fillObj) {
 			fillHoleObj.splice(i,1);
 			return;
 		}
@@ -713,7 +667,7 @@ function processFillHole()
 			if(++curFillObj.curFrameIdx < fillHoleFrame.length) {
 				//change frame
 				curFillObj.curFrameTime = 0;
-				curFillObj.gotoAndStop(fillHoleFrame[curFillObj.curFrameIdx]);
+				gameView.fillFrame(curFillObj);
 			} else {
 				//fill hole complete 
 				fillComplete(null, {obj: curFillObj});
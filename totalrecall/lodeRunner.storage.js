@@ -230,6 +230,76 @@ function setModernScoreInfo()
 	}
 }
 
+//=====================
+// for generated mode
+//=====================
+function getGeneratedInfo()
+{
+	var infoJSON = getStorage(STORAGE_GENERATED_INFO);
+	
+	if(infoJSON) {
+		var infoObj = JSON.parse(infoJSON);
+		if(('seed' in infoObj) && ('level' in infoObj)) return infoObj;
+	}
+	return null;
+}
+
+function setGeneratedInfo()
+{
+	var infoObj = { seed: generatedRunSeed, level: generatedLevelNo, levelSeed: generatedLevelSeed, style: generatedStyle,
+	                reroll: generatedReroll, rerollList: generatedRerollList, skipList: generatedSkipList };
+	var infoJSON = JSON.stringify(infoObj);
+	
+	setStorage(STORAGE_GENERATED_INFO, infoJSON); 
+}
+
+//=====================
+// for daily challenge
+//=====================
+function getDailyInfo()
+{
+	var infoJSON = getStorage(STORAGE_DAILY_INFO);
+	
+	if(infoJSON) {
+		var infoObj = JSON.parse(infoJSON);
+		if(('d' in infoObj) && ('s' in infoObj) && ('l' in infoObj)) return infoObj;
+	}
+	return null;
+}
+
+function setDailyInfo()
+{
+	var infoObj = { d: generatedDailyKey, s: curScore, l: curLevel };
+	var infoJSON = JSON.stringify(infoObj);
+	
+	setStorage(STORAGE_DAILY_INFO, infoJSON); 
+}
+
+//=====================
+// for ghost race
+//=====================
+function getGhostRun(levelMap)
+{
+	return parseReplay(getStorage(STORAGE_GHOST_RUN + ghostLevelId(levelMap)));
+}
+
+function setGhostRun(replay)
+{
+	var id = ghostLevelId(replay.level);
+	var idList;
+
+	setStorage(STORAGE_GHOST_RUN + id, JSON.stringify(replay));
+	if(replay.seed == null) return;
+
+	//generated levels never end, keep the runs of the last levels only
+	idList = JSON.parse(getStorage(STORAGE_GHOST_GENERATED) || "[]");
+	if(idList.indexOf(id) < 0) idList.push(id);
+	while(idList.length > GHOST_MAX_GENERATED_RUN) {
+		clearStorage(STORAGE_GHOST_RUN + idList.shift());
+	}
+	setStorage(STORAGE_GHOST_GENERATED, JSON.stringify(idList));
+}
+
 function getFirstPlayInfo()
 {
 	var firstValue;
@@ -261,6 +331,7 @@ function delEditLevel(level)
 	editLevelInfo.splice(level-1,1); //delete id and shift others
 	editLevelInfo.push(delId); //put the deleted id to last of array
 	clearStorage(STORAGE_USER_LEVEL+("00"+(delId)).slice(-3));
+	clearStorage(STORAGE_USER_LEVEL_SOURCE+("00"+(delId)).slice(-3));
 	if(--editLevels <= 0) {
 		clearEditLevelInfo(); //no edit levels
 		clearStorage(STORAGE_USER_SCORE_INFO); //clear user score info
@@ -275,10 +346,12 @@ function delEditLevel(level)
 	return true;
 }
 
-function addEditLevel(levelMap) 
+//[source]: where the level comes from (see setEditLevelSource), or none
+function addEditLevel(levelMap, source) 
 {
 	if(editLevels >= MAX_EDIT_LEVEL) return false;
 	setEditLevel(++editLevels, levelMap);
+	setEditLevelSource(editLevels, source);
 	setEditLevelInfo();
 	
 	return true;
@@ -290,6 +363,30 @@ function setEditLevel(level, levelMap)
 	editLevelData[level-1] = levelMap;
 }
 
+//source of a level saved from Generated Mode: 
+//{ from:, seed:, level:, reroll:, levelSeed:, style:, model:, date:, edited: }, null: clear it
+//(edited: time of the last edit saved, the level is no longer the generated one)
+function setEditLevelSource(level, source)
+{
+	var key = STORAGE_USER_LEVEL_SOURCE+("00"+(editLevelInfo[level-1])).slice(-3);
+	
+	if(source) setStorage(key, JSON.stringify(source));
+	else clearStorage(key);
+}
+
+function getEditLevelSource(level)
+{
+	if(level > editLevels || level < 1) return null;
+	
+	var infoJSON = getStorage(STORAGE_USER_LEVEL_SOURCE+("00"+(editLevelInfo[level-1])).slice(-3));
+	
+	if(infoJSON) {
+		var infoObj = JSON.parse(infoJSON);
+		if(('seed' in infoObj) && ('levelSeed' in infoObj)) return infoObj;
+	}
+	return null;
+}
+
 function initEditLevelInfo()
 {
 	editLevels = 0;
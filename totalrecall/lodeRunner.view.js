@@ -0,0 +1,200 @@
+//=============================================================================
+// Canvas view: draws the state of the game core (lodeRunner.core.js)
+// with EaselJS sprites on mainStage and plays the sounds.
+// gameView is set to canvasView by buildLevelMap().
+//=============================================================================
+
+var canvasView = {
+	buildLevel: canvasBuildLevel,
+
+	soundPlay: function(name) { soundPlay(viewSound(name)); },
+	soundStop: function(name) { soundStop(viewSound(name)); },
+	themeSoundPlay: function(name) { themeSoundPlay(name); },
+
+	//-------------------------------------------------
+	// runner & guard sprite (obj = runner or guard[i])
+	//-------------------------------------------------
+	moveSprite: function(obj) {
+		obj.sprite.x = (obj.pos.x * tileW + obj.pos.xOffset) * tileScale | 0;
+		obj.sprite.y = (obj.pos.y * tileH + obj.pos.yOffset) * tileScale | 0;
+	},
+	playShape: function(obj, shape) { obj.sprite.gotoAndPlay(shape); },
+	showFrame: function(obj, frame) { obj.sprite.gotoAndStop(frame); }, //still frame (shape or frame number)
+	playSprite: function(obj) { obj.sprite.play(); },
+	stopSprite: function(obj) { obj.sprite.stop(); },
+
+	//meanings: guard with gold
+	setRedhat: function(obj, wear) {
+		if(redhatMode) obj.sprite.spriteSheet = wear?redhatData:guardData;
+	},
+
+	//for AI version < 3, timed by sprite animation
+	onAnimationEnd: function(obj, handler) { obj.sprite.on("animationend", handler); },
+	clearAnimationEnd: function(obj) { obj.sprite.removeAllEventListeners ("animationend"); },
+
+	//-------------------------------------------------
+	// tiles
+	//-------------------------------------------------
+	showTile: function(x, y, alpha) { map[x][y].bitmap.set({alpha:alpha}); },
+
+	addGold: function(x, y) {
+		var tile = map[x][y].bitmap = getThemeBitmap("gold");
+		tile.setTransform(x * tileWScale, y * tileHScale,tileScale, tileScale); //x,y, scaleX, scaleY
+		mainStage.addChild(tile);
+		moveSprite2Top(); //reset runner, guard & fill hole object order
+	},
+
+	removeGold: function(x, y) {
+		mainStage.removeChild(map[x][y].bitmap);
+		map[x][y].bitmap = null;
+	},
+
+	//-------------------------------------------------
+	// digging hole (holeObj) & filling hole (fillHoleObj[i])
+	//-------------------------------------------------
+	digStart: function(holeShape) {
+		var sprite = holeObj.sprite;
+
+		sprite.setTransform(holeObj.pos.x * tileWScale, holeObj.pos.y * tileHScale,tileScale, tileScale);
+		if(curAiVersion < 3) {
+			sprite.gotoAndPlay(holeShape);
+			sprite.on("animationend", digComplete);
+		} else {
+			sprite.gotoAndStop(holeObj.shapeFrame[0]);
+		}
+		mainStage.addChild(sprite);
+	},
+	digFrame: function() { holeObj.sprite.gotoAndStop(holeObj.shapeFrame[holeObj.curFrameIdx]); },
+	digAnimationFrame: function() { return holeObj.sprite.currentAnimationFrame; },
+	digEnd: function() {
+		holeObj.sprite.removeAllEventListeners ("animationend");
+		mainStage.removeChild(holeObj.sprite);
+	},
+
+	fillStart: function(fillObj) {
+		var sprite = fillObj.sprite = new createjs.Sprite(holeData, "fillHole");
+
+		sprite.setTransform(fillObj.pos.x * tileWScale, fillObj.pos.y * tileHScale, tileScale, tileScale);
+		if(curAiVersion < 3) {
+			sprite.on("animationend", fillComplete, null, false, {obj:fillObj} );
+			sprite.play();
+		} else {
+			sprite.gotoAndStop(fillHoleFrame[0]);
+		}
+		mainStage.addChild(sprite);
+	},
+	fillFrame: function(fillObj) { fillObj.sprite.gotoAndStop(fillHoleFrame[fillObj.curFrameIdx]); },
+	fillEnd: function(fillObj) {
+		fillObj.sprite.removeAllEventListeners ("animationend");
+		mainStage.removeChild(fillObj.sprite);
+	},
+
+	//-------------------------------------------------
+	// game events: sound & score
+	//-------------------------------------------------
+	getGold: function() {
+		themeSoundPlay("getGold");
+		if(classicScoreMode()) {
+			drawScore(SCORE_GET_GOLD);
+		} else {
+			//for modern mode , edit mode
+			drawGold(1); //get gold
+		}
+	},
+
+	allGoldTaken: function() {
+		if(curTheme == "C64")  soundPlay("goldFinish" + ((curLevel-1)%6+1)); //six sounds
+		else soundPlay("goldFinish"); //for all apple2 mode, 9/12/2015
+	},
+
+	guardInHole: function() {
+		if(classicScoreMode()) drawScore(SCORE_IN_HOLE);
+		//modern mode & edit mode: only guard dead need add count
+	},
+
+	guardDead: function() {
+		if(classicScoreMode()) {
+			drawScore(SCORE_GUARD_DEAD);
+		} else {
+			//for modern mode & edit mode
+			drawGuard(1); //guard dead, add count
+		}
+	},
+
+	runnerDead: function() { runner.sprite.set({alpha:0}); } //hidden runner
+};
+
+//=====================================================
+// create tile bitmaps, runner & guard sprites of the
+// map built by coreBuildMap()
+//=====================================================
+function canvasBuildLevel()
+{
+	var curTile;
+
+	for(var y = 0; y < NO_OF_TILES_Y; y++) {
+		for(var x = 0; x < NO_OF_TILES_X; x++) {
+			switch(map[x][y].base) {
+			default:
+			case EMPTY_T:
+				continue;
+			case BLOCK_T: //Normal Brick
+			case TRAP_T:  //False brick
+				curTile = getThemeBitmap("brick");
+				break;
+			case SOLID_T: //Solid Brick
+				curTile = getThemeBitmap("solid");
+				break;
+			case LADDR_T: //Ladder
+				curTile = getThemeBitmap("ladder");
+				break;
+			case BAR_T: //Line of rope
+				curTile = getThemeBitmap("rope");
+				break;
+			case HLADR_T: //Ladder appears at end of level
+				curTile = getThemeBitmap("ladder");
+				curTile.set({alpha:0});	//hide the laddr
+				break;
+			case GOLD_T: //Gold chest
+				curTile = getThemeBitmap("gold");
+				break;
+			}
+			map[x][y].bitmap = curTile;
+			addSprite2Stage(curTile, x, y);
+		}
+	}
+
+	for(var i = 0; i < guardCount; i++) {
+		curTile = guard[i].sprite = new createjs.Sprite(guardData, guard[i].shape);
+		curTile.stop();
+		addSprite2Stage(curTile, guard[i].pos.x, guard[i].pos.y);
+	}
+
+	if(runner != null) {
+		curTile = runner.sprite = new createjs.Sprite(runnerData, runner.shape);
+		curTile.stop();
+		addSprite2Stage(curTile, runner.pos.x, runner.pos.y);
+	}
+	moveSprite2Top();
+}
+
+//"fall" & "dig" sounds are instances (see createSoundInstance)
+function viewSound(name)
+{
+	if(name == "fall") return soundFall;
+	if(name == "dig") return soundDig;
+	return name;
+}
+
+function addSprite2Stage(sprite, x, y)
+{
+	sprite.setTransform(x * tileWScale, y * tileHScale, tileScale, tileScale); //x,y, scaleX, scaleY
+	mainStage.addChild(sprite);
+}
+
+function moveFillHoleObj2Top()
+{
+	for(var i = 0; i < fillHoleObj.length; i++) {
+		moveChild2Top(mainStage, fillHoleObj[i].sprite);
+	}
+}